@@ -10,6 +10,7 @@ import { initializeRedis } from "./config/redis.js";
 import { apiCacheMiddleware, bloodBankCacheMiddleware, ngoCacheMiddleware, searchCacheMiddleware, invalidateCacheMiddleware } from "./middleware/cache.js";
 import ngoRoutes from "./routes/ngo/NgoRoutes.js";
 import donorRoutes from "./routes/donor/DonorRoutes.js";
+import donorCalloutRoutes from "./routes/donor/DonorCalloutRoutes.js";
 import adminAuthRoutes from "./routes/admin/AdminAuthRoutes.js";
 import superAdminAuthRoutes from "./routes/admin/SuperAdminAuthRoutes.js";
 import approvalRoutes from "./routes/admin/ApprovalRoutes.js";
@@ -19,15 +20,26 @@ import bloodBankRoutes from "./routes/admin/BloodBankRoutes.js";
 import adminNgoRoutes from "./routes/admin/NgoRoutes.js";
 import bloodStockRoutes from "./routes/admin/BloodStockRoutes.js";
 import alertRoutes from "./routes/admin/AlertRoutes.js";
+import alertRuleRoutes from "./routes/admin/AlertRuleRoutes.js";
 import auditRoutes from "./routes/admin/AuditRoutes.js";
 import dashboardRoutes from "./routes/admin/DashboardRoutes.js";
 import orgRegistrationRoutes from "./routes/organization/OrganizationRegistrationRoutes.js";
 import orgUsersRoutes from "./routes/organization/OrganizationUsersRoutes.js";
+import orgRoleRoutes from "./routes/organization/OrganizationRoleRoutes.js";
+import orgApiKeyRoutes from "./routes/organization/OrganizationApiKeyRoutes.js";
+import notificationRoutes from "./routes/organization/NotificationRoutes.js";
+import messageRoutes from "./routes/organization/MessageRoutes.js";
+import noticeRoutes from "./routes/organization/NoticeRoutes.js";
 import bloodBankNgoDriveRoutes from "./routes/admin/BloodBankNgoDriveRoutes.js";
 import hospitalRoutes from "./routes/hospital/HospitalRoutes.js";
 import hospitalNgoDriveRoutes from "./routes/hospital/HospitalNgoDriveRoutes.js";
 import adminHospitalBloodRequestRoutes from "./routes/admin/HospitalBloodRequestRoutes.js";
+import jobRoutes from "./routes/admin/JobRoutes.js";
+import adminNotificationRoutes from "./routes/admin/NotificationRoutes.js";
+import adminNoticeRoutes from "./routes/admin/NoticeRoutes.js";
 import hospitalBloodRequestRoutes from "./routes/hospital/HospitalBloodRequestRoutes.js";
+import incidentRoutes from "./routes/hospital/IncidentRoutes.js";
+import realtimeRoutes from "./routes/realtime/RealtimeRoutes.js";
 import publicBloodBankRoutes from "./routes/BloodBankRoutes.js";  // ← Public blood banks
 import publicNgoRoutes from "./routes/NgoPublicRoutes.js";  // ← Public NGOs
 import debugRoutes from "./routes/DebugRoutes.js";  // ← Debug routes
@@ -53,7 +65,7 @@ app.use(cors({
   origin: corsOrigins,
   credentials: true,
   methods: ["GET", "POST", "PUT", "DELETE", "PATCH"],
-  allowedHeaders: ["Content-Type", "Authorization"]
+  allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"]
 }));
 
 // #region BodyParser
@@ -342,18 +354,30 @@ app.use("/api/admin/bloodbanks", bloodBankRoutes);
 app.use("/api/admin/ngos", adminNgoRoutes);
 app.use("/api/admin/blood-stock", bloodStockRoutes);
 app.use("/api/admin/alerts", alertRoutes);
+app.use("/api/admin/alert-rules", alertRuleRoutes);
 app.use("/api/admin/logs", auditRoutes);
 app.use("/api/admin/dashboard", dashboardRoutes);
 app.use("/api/admin/drives", bloodBankNgoDriveRoutes);
 app.use("/api/admin/requests", adminHospitalBloodRequestRoutes);
+app.use("/api/admin/jobs", jobRoutes);
+app.use("/api/admin/notifications", adminNotificationRoutes);
+app.use("/api/admin/notices", adminNoticeRoutes);
 app.use("/api/organization-users", orgUsersRoutes);  // ← Organization users
+app.use("/api/organization-roles", orgRoleRoutes);  // ← Custom roles and permissions of organization users
+app.use("/api/organization-api-keys", orgApiKeyRoutes);  // ← API keys for the organization's own software
+app.use("/api/notifications", notificationRoutes);  // ← Notification recipients, templates and delivery log
+app.use("/api/messages", messageRoutes);  // ← Request and drive message threads
+app.use("/api/notices", noticeRoutes);  // ← Super admin notices to organizations
 app.use("/api/hospitals", hospitalRoutes);  // ← Hospital routes
 app.use("/api/hospital-ngo-drives", hospitalNgoDriveRoutes);  // ← Hospital-NGO drives
 app.use("/api/hospital-blood-requests", hospitalBloodRequestRoutes);  // ← Hospital blood requests
+app.use("/api/hospital-incidents", incidentRoutes);  // ← Mass-casualty incidents
+app.use("/api/realtime", realtimeRoutes);  // ← Live dashboard updates (SSE)
 app.use("/api/blood-banks", publicBloodBankRoutes);  // ← Public blood banks list
 app.use("/api/public-ngos", publicNgoRoutes);  // ← Public NGOs list
 app.use("/api/ngo", authMiddleware, ngoRoutes);
 app.use("/api/donor", donorRoutes);
+app.use("/api/donor-callouts", donorCalloutRoutes);  // ← Emergency donor call-outs (hospitals, NGOs)
 app.use("/api/debug", debugRoutes);  // ← Debug routes (development only)
 app.use("/api/sync", syncRoutes);  // ← Sync routes (development only)
 
@@ -23,6 +23,84 @@ export const connectDB = async () => {
     await usersCollection.createIndex({ email: 1 }, { unique: true });
     await usersCollection.createIndex({ createdAt: 1 });
 
+    // Bag IDs are unique across blood banks
+    await db.collection("blood_units").createIndex({ bagId: 1 }, { unique: true });
+    await db.collection("blood_units").createIndex({ bloodBankId: 1, bloodGroup: 1, status: 1, expiresAt: 1 });
+
+    // One open stock reservation per blood request
+    await db.collection("stock_reservations").createIndex(
+      { requestId: 1 },
+      { unique: true, partialFilterExpression: { status: "HELD" } }
+    );
+
+    // Mass-casualty incidents (active ones are pinned on the admin dashboard)
+    await db.collection("incidents").createIndex({ status: 1, declaredAt: -1 });
+    await db.collection("incidents").createIndex({ hospitalId: 1, declaredAt: -1 });
+    await db.collection("hospitalBloodRequests").createIndex({ incidentId: 1 });
+
+    // Transport temperature trace per dispatch
+    await db.collection("cold_chain_readings").createIndex({ requestId: 1, allocationId: 1, recordedAt: 1 });
+
+    // Notification recipient lists, template overrides and delivery log (kept for 90 days)
+    await db.collection("notification_recipients").createIndex({ organizationId: 1, isActive: 1 });
+    await db.collection("notification_templates").createIndex({ organizationId: 1, event: 1 }, { unique: true });
+    await db.collection("notification_deliveries").createIndex({ status: 1, nextAttemptAt: 1 });
+    await db.collection("notification_deliveries").createIndex({ organizationId: 1, createdAt: -1 });
+    await db.collection("notification_deliveries").createIndex({ createdAt: 1 }, { expireAfterSeconds: 90 * 24 * 60 * 60 });
+
+    // Stock alert rules
+    await db.collection("alert_rules").createIndex({ isActive: 1, "scope.type": 1 });
+
+    // Alert SLA sweeps (escalation and missed resolve deadlines)
+    await db.collection("alerts").createIndex({ status: 1, acknowledgedAt: 1, "sla.acknowledgeBy": 1 });
+    await db.collection("alerts").createIndex({ status: 1, "sla.resolveBy": 1 });
+
+    // Donor call-outs: eligible donor lookup and appeal links
+    await db.collection("donors").createIndex({ emergencyAppealOptIn: 1, bloodGroup: 1, city: 1 });
+    await db.collection("hospitalBloodRequests").createIndex(
+      { "donorCallout.responders.responseTokenHash": 1 },
+      { sparse: true }
+    );
+
+    // Request and drive message threads, and the inbox of each organization
+    await db.collection("org_messages").createIndex({ "thread.entityType": 1, "thread.entityId": 1, createdAt: -1 });
+    await db.collection("org_messages").createIndex({ participantIds: 1, createdAt: -1 });
+
+    // Super admin notices: organization inboxes and the sent list
+    await db.collection("admin_notices").createIndex({ recipientIds: 1, createdAt: -1 });
+    await db.collection("admin_notices").createIndex({ createdAt: -1 });
+
+    // Login sessions: per-account lists, dropped a day after they expire
+    await db.collection("auth_sessions").createIndex({ subjectType: 1, subjectId: 1, lastUsedAt: -1 });
+    await db.collection("auth_sessions").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 24 * 60 * 60 });
+
+    // Activation and password reset links: looked up by hash, dropped a week after they expire
+    await db.collection("auth_account_tokens").createIndex({ tokenHash: 1 }, { unique: true });
+    await db.collection("auth_account_tokens").createIndex({ organizationCode: 1, userCode: 1, purpose: 1 });
+    await db.collection("auth_account_tokens").createIndex({ expiresAt: 1 }, { expireAfterSeconds: 7 * 24 * 60 * 60 });
+
+    // TOTP enrolments, one per account; failed codes are counted from the audit log
+    await db.collection("auth_two_factor").createIndex({ subjectType: 1, subjectId: 1 }, { unique: true });
+    await db.collection("audit_logs").createIndex({ entityId: 1, action: 1, timestamp: -1 });
+
+    // Organization API keys, found by the prefix every key starts with
+    await db.collection("organization_api_keys").createIndex({ prefix: 1 }, { unique: true });
+    await db.collection("organization_api_keys").createIndex({ organizationCode: 1, createdAt: -1 });
+
+    // Failed logins and lockout per login identity; spikes are counted across identities
+    await db.collection("auth_login_security").createIndex({ subjectType: 1, identifier: 1 }, { unique: true });
+    await db.collection("auth_login_security").createIndex({ lastFailedAt: 1 });
+    await db.collection("auth_login_security").createIndex({ lockedUntil: 1 });
+    await db.collection("audit_logs").createIndex({ action: 1, timestamp: -1 });
+
+    // Custom roles, one per name in each organization
+    await db.collection("organization_roles").createIndex({ organizationCode: 1, key: 1 }, { unique: true });
+
+    // Job registry and run history (runs kept for 30 days)
+    await db.collection("scheduled_jobs").createIndex({ name: 1 }, { unique: true });
+    await db.collection("job_runs").createIndex({ jobName: 1, startedAt: -1 });
+    await db.collection("job_runs").createIndex({ startedAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
     console.log("[DataBase]: MongoDB Connected Successfully");
     return db;
   } catch (error) {
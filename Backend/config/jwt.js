@@ -0,0 +1,65 @@
+import jwt from "jsonwebtoken";
+
+// #region Configuration
+
+const DEFAULT_ACCESS_TOKEN_TTL_SECONDS = 15 * 60;
+const DEFAULT_REFRESH_TOKEN_TTL_DAYS = 7;
+const CHALLENGE_TOKEN_TYPE = "2fa_challenge";
+
+/**
+ * Secret every JWT is signed with. There is no fallback: a default secret
+ * would let anyone who has read this repository mint tokens.
+ * @throws {Error} When JWT_SECRET is not set
+ */
+export const getJwtSecret = () => {
+  if (!process.env.JWT_SECRET) {
+    throw new Error("JWT_SECRET is not set");
+  }
+  return process.env.JWT_SECRET;
+};
+
+/**
+ * Lifetime of an access token; clients refresh it with their refresh token
+ */
+export const getAccessTokenTtlSeconds = () =>
+  Number(process.env.ACCESS_TOKEN_TTL_SECONDS) || DEFAULT_ACCESS_TOKEN_TTL_SECONDS;
+
+/**
+ * Lifetime of a refresh token; every refresh starts a new one
+ */
+export const getRefreshTokenTtlMs = () =>
+  (Number(process.env.REFRESH_TOKEN_TTL_DAYS) || DEFAULT_REFRESH_TOKEN_TTL_DAYS) * 24 * 60 * 60 * 1000;
+
+// #region Tokens
+
+/**
+ * Sign an access token for a session
+ * @param {Object} claims - User claims (userId/userCode/role/... or id/adminCode/role/...)
+ * @param {string} sessionId - Server-side session the token belongs to (`sid` claim)
+ */
+export const signAccessToken = (claims, sessionId) =>
+  jwt.sign({ ...claims, sid: sessionId }, getJwtSecret(), { expiresIn: getAccessTokenTtlSeconds() });
+
+/**
+ * Verify an access token; throws like jwt.verify
+ */
+export const verifyAccessToken = (token) => jwt.verify(token, getJwtSecret());
+
+/**
+ * Short-lived token proving the password step of a login that still needs a
+ * second factor. It has no `sid`, so authMiddleware never accepts it.
+ * @param {Object} payload - { subjectType, claims }
+ */
+export const signChallengeToken = (payload, ttlSeconds) =>
+  jwt.sign({ ...payload, typ: CHALLENGE_TOKEN_TYPE }, getJwtSecret(), { expiresIn: ttlSeconds });
+
+/**
+ * Verify a challenge token; throws like jwt.verify, also for access tokens
+ */
+export const verifyChallengeToken = (token) => {
+  const decoded = jwt.verify(token, getJwtSecret());
+  if (decoded.typ !== CHALLENGE_TOKEN_TYPE) {
+    throw new jwt.JsonWebTokenError("Not a login challenge token");
+  }
+  return decoded;
+};
@@ -0,0 +1,117 @@
+// #region Registry
+
+/**
+ * Every permission a route can require. Keys are `resource:action`; the
+ * description is what org admins see when they build a role.
+ */
+export const PERMISSIONS = {
+  // Organization work
+  "request:read": "View blood requests, their dispatch and statistics",
+  "request:create": "Raise blood requests",
+  "request:update": "Edit, cancel, split and confirm receipt of own requests",
+  "request:respond": "Accept, reject and process requests sent to the blood bank",
+  "request:dispatch": "Dispatch units and record transport checkpoints and temperatures",
+  "stock:read": "View blood stock, units and shortages",
+  "stock:update": "Add units and change stock levels",
+  "drive:read": "View donation drives",
+  "drive:create": "Plan donation drives",
+  "drive:update": "Edit, complete and delete donation drives",
+  "drive:approve": "Accept and reject drives the NGO was invited to",
+  "camp:manage": "Run NGO donation camps, their slots and registrations",
+  "donor:callout": "Start emergency donor call-outs",
+  "incident:read": "View mass-casualty incidents",
+  "incident:manage": "Declare and close mass-casualty incidents",
+  "alert:read": "View alerts",
+  "alert:manage": "Create, acknowledge, assign, escalate and resolve alerts",
+  "message:read": "Read request and drive message threads",
+  "message:send": "Post messages and attachments",
+  "notice:read": "Read and acknowledge super admin notices",
+  "notification:read": "View notification recipients, templates and the delivery log",
+  "notification:manage": "Change notification recipients and templates",
+  "users:read": "View the organization's users",
+  "users:manage": "Create, update and delete the organization's users",
+  "roles:manage": "Define the organization's roles",
+  "apikeys:manage": "Create and revoke API keys for the organization's software",
+  "organization:update": "Edit the organization's profile",
+
+  // Donor accounts
+  "camp:register": "Book a slot at a donation camp",
+
+  // Platform
+  "organization:verify": "Activate, suspend, enable and disable organizations",
+  "request:oversee": "Approve critical requests, assign blood banks, annotate and delete any hospital's requests",
+  "account:unlock": "View and lift login locks on any account"
+};
+
+export const PERMISSION_KEYS = Object.keys(PERMISSIONS);
+
+const ACCOUNT_PERMISSIONS = ["camp:register"];
+const PLATFORM_PERMISSIONS = ["organization:verify", "request:oversee", "account:unlock"];
+
+// What an organization role may be given
+export const ORGANIZATION_PERMISSIONS = PERMISSION_KEYS.filter(
+  (key) => !ACCOUNT_PERMISSIONS.includes(key) && !PLATFORM_PERMISSIONS.includes(key)
+);
+
+const READ_PERMISSIONS = ORGANIZATION_PERMISSIONS.filter((key) => key.endsWith(":read"));
+
+// What an API key may be given: organization work, not managing people or keys
+export const API_KEY_PERMISSIONS = ORGANIZATION_PERMISSIONS.filter(
+  (key) => !["users:manage", "roles:manage", "apikeys:manage"].includes(key)
+);
+
+// #region Roles
+
+/**
+ * Role names are compared case-insensitively, so "Admin", "admin" and
+ * "ADMIN" are the same role
+ */
+export const normalizeRole = (role) =>
+  String(role ?? "")
+    .trim()
+    .toUpperCase()
+    .replace(/[\s-]+/g, "_");
+
+export const ORGANIZATION_ADMIN_ROLE = "ADMIN";
+
+// Users whose role the organization hasn't defined get this role's permissions
+export const DEFAULT_ORGANIZATION_ROLE = "MEMBER";
+
+/**
+ * Roles every organization starts with. Organizations can change the
+ * permissions of MEMBER and VIEWER; ADMIN always has all of them so an
+ * organization can't lock itself out.
+ */
+export const BUILT_IN_ORGANIZATION_ROLES = {
+  [ORGANIZATION_ADMIN_ROLE]: {
+    name: "Administrator",
+    description: "Everything, including users and roles",
+    permissions: ORGANIZATION_PERMISSIONS,
+    locked: true
+  },
+  [DEFAULT_ORGANIZATION_ROLE]: {
+    name: "Member",
+    description: "Day-to-day work; also used for roles the organization hasn't defined",
+    permissions: ORGANIZATION_PERMISSIONS.filter(
+      (key) =>
+        !["users:manage", "roles:manage", "apikeys:manage", "notification:manage", "organization:update", "camp:manage"].includes(key)
+    )
+  },
+  VIEWER: {
+    name: "Viewer",
+    description: "Read-only access",
+    permissions: [...READ_PERMISSIONS, "notice:read"]
+  }
+};
+
+// Admins and super admins (admins also get any registry keys listed on their account)
+export const PLATFORM_ROLES = {
+  SUPERADMIN: PERMISSION_KEYS,
+  ADMIN: [...READ_PERMISSIONS, ...PLATFORM_PERMISSIONS]
+};
+
+// Donor and legacy NGO accounts from /api/auth/register
+export const ACCOUNT_ROLES = {
+  USER: ACCOUNT_PERMISSIONS,
+  NGO: ["camp:manage"]
+};
@@ -230,14 +230,19 @@ class RedisCache {
     return this.get('ngos:list');
   }
 
-  // Cache user session
-  async cacheUserSession(userCode, sessionData, ttl = 7200) {
-    return this.set(`session:${userCode}`, sessionData, ttl);
+  // Cache a live login session (fast path for revocation checks)
+  async cacheUserSession(sessionId, sessionData, ttl = 7200) {
+    return this.set(`session:${sessionId}`, sessionData, ttl);
   }
 
-  // Get cached user session
-  async getCachedUserSession(userCode) {
-    return this.get(`session:${userCode}`);
+  // Get cached login session
+  async getCachedUserSession(sessionId) {
+    return this.get(`session:${sessionId}`);
+  }
+
+  // Drop a revoked login session
+  async clearUserSession(sessionId) {
+    return this.del(`session:${sessionId}`);
   }
 
   // Cache API response
@@ -1,7 +1,10 @@
 import OrganizationUser from "../../models/organization/OrganizationUser.js";
 import User from "../../models/ngo/User.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import Sessions, { SUBJECT_TYPES, REVOKE_REASONS, getDevice } from "../../services/Sessions.js";
+import AccountTokens from "../../services/AccountTokens.js";
+import TwoFactor from "../../services/TwoFactor.js";
+import LoginProtection from "../../services/LoginProtection.js";
 
 // #region Validators
 
@@ -51,6 +54,28 @@ const validateRegisterInput = (data) => {
   return errors;
 };
 
+// Access token claims of an organization user. Until they replace a password
+// someone else chose, mustChangePassword keeps every other endpoint closed.
+const organizationUserClaims = (user) => ({
+  userId: user._id.toString(),
+  userCode: user.userCode,
+  organizationCode: user.organizationCode,
+  organizationName: user.organizationName,
+  organizationType: user.organizationType,
+  role: user.role,
+  email: user.email,
+  name: user.name,
+  ...(user.mustChangePassword === true && { mustChangePassword: true })
+});
+
+// Who a login attempt belongs to, for lockout and new-device emails
+const loginAccount = (user) => ({
+  subjectId: user._id.toString(),
+  name: user.name,
+  email: user.email,
+  role: user.role
+});
+
 const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
   res.status(statusCode).json({
     success: true,
@@ -67,6 +92,18 @@ const sendError = (res, message = "An error occurred", statusCode = 500) => {
   });
 };
 
+// A refused login; a lock also says when to come back
+const sendLoginFailure = (res, result) => {
+  if (result.retryAfter) {
+    res.set("Retry-After", String(result.retryAfter));
+  }
+  res.status(result.statusCode).json({
+    success: false,
+    message: result.message,
+    data: result.lockedUntil ? { lockedUntil: result.lockedUntil } : null
+  });
+};
+
 const sendValidationError = (res, errors = []) => {
   res.status(400).json({
     success: false,
@@ -128,16 +165,16 @@ export const register = async (req, res) => {
     const newUser = await User.create(userData);
     console.log(`[REGISTER_USER_CREATED] ${newUser._id} - ${name} (${role})`);
 
-    // Generate JWT token
-    const token = jwt.sign(
+    // Start a session (access token + refresh token)
+    const { token, refreshToken, expiresIn } = await Sessions.start(
+      SUBJECT_TYPES.USER,
       {
         userId: newUser._id.toString(),
         name: newUser.name,
         email: newUser.email,
         role: newUser.role
       },
-      process.env.JWT_SECRET || "your_jwt_secret",
-      { expiresIn: "24h" }
+      getDevice(req)
     );
 
     console.log(`[REGISTER_TOKEN_GENERATED]`);
@@ -151,6 +188,8 @@ export const register = async (req, res) => {
       success: true,
       message: "Registration successful",
       token,
+      refreshToken,
+      expiresIn,
       user: userWithoutPassword
     });
   } catch (error) {
@@ -175,6 +214,9 @@ export const register = async (req, res) => {
  *   email: "doctor@hospital.com",
  *   password: "password123"
  * }
+ *
+ * Repeated wrong passwords lock the account: 429 with Retry-After and
+ * data.lockedUntil, until the lock runs out or an administrator lifts it.
  */
 export const login = async (req, res) => {
   try {
@@ -190,9 +232,23 @@ export const login = async (req, res) => {
     }
 
     let user;
-    let token;
+    let session;
     let userData;
 
+    const device = getDevice(req);
+    const identity = LoginProtection.identity(
+      organizationCode ? SUBJECT_TYPES.ORGANIZATION_USER : SUBJECT_TYPES.USER,
+      email,
+      organizationCode
+    );
+
+    // A locked account stays locked whatever the password
+    const lock = await LoginProtection.check(identity);
+    if (!lock.success) {
+      console.warn(`[LOGIN_LOCKED] ${identity.identifier} until ${lock.lockedUntil.toISOString()}`);
+      return sendLoginFailure(res, lock);
+    }
+
     // If organizationCode is provided, try organization user login
     if (organizationCode) {
       console.log(`[LOGIN_TYPE] Organization User Login`);
@@ -201,7 +257,7 @@ export const login = async (req, res) => {
       user = await OrganizationUser.findByUserEmail(organizationCode, email);
       if (!user) {
         console.warn(`[LOGIN_FAILED] User not found: ${organizationCode}/${email}`);
-        return sendError(res, "Invalid credentials", 401);
+        return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device));
       }
 
       console.log(`[LOGIN_USER_FOUND] ${user.userCode} - ${user.name} (${user.role})`);
@@ -212,32 +268,24 @@ export const login = async (req, res) => {
         return sendError(res, "User account is inactive", 403);
       }
 
+      if (user.status === "PENDING_ACTIVATION") {
+        console.warn(`[LOGIN_FAILED] User not activated: ${user.userCode}`);
+        return sendError(res, "Account is not activated yet, use the activation link sent to your email", 403);
+      }
+
       console.log(`[LOGIN_USER_ACTIVE]`);
 
       // Verify password
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
         console.warn(`[LOGIN_FAILED] Invalid password: ${user.userCode}`);
-        return sendError(res, "Invalid credentials", 401);
+        return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device, loginAccount(user)));
       }
 
       console.log(`[LOGIN_PASSWORD_VERIFIED]`);
 
-      // Generate JWT token with organization context
-      token = jwt.sign(
-        {
-          userId: user._id.toString(),
-          userCode: user.userCode,
-          organizationCode: user.organizationCode,
-          organizationName: user.organizationName,
-          organizationType: user.organizationType,
-          role: user.role,
-          email: user.email,
-          name: user.name
-        },
-        process.env.JWT_SECRET || "your_jwt_secret",
-        { expiresIn: "24h" }
-      );
+      // Start a session with organization context (or ask for the second factor)
+      session = await TwoFactor.login(SUBJECT_TYPES.ORGANIZATION_USER, organizationUserClaims(user), device);
 
       console.log(`[LOGIN_TOKEN_GENERATED] ${user.userCode}`);
 
@@ -261,7 +309,9 @@ export const login = async (req, res) => {
         organizationCode: user.organizationCode,
         organizationName: user.organizationName,
         organizationType: user.organizationType,
-        organizationId: organization ? organization._id.toString() : null
+        organizationId: organization ? organization._id.toString() : null,
+        mustChangePassword: user.mustChangePassword === true,
+        twoFactorSetupRequired: session.twoFactorSetupRequired === true
       };
 
       console.log(`[LOGIN_SUCCESS] ${user.userCode}\n`);
@@ -274,7 +324,7 @@ export const login = async (req, res) => {
       user = await User.findByEmail(email);
       if (!user) {
         console.warn(`[LOGIN_FAILED] User not found: ${email}`);
-        return sendError(res, "Invalid credentials", 401);
+        return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device));
       }
 
       console.log(`[LOGIN_USER_FOUND] ${user._id} - ${user.name} (${user.role})`);
@@ -283,36 +333,52 @@ export const login = async (req, res) => {
       const isMatch = await bcrypt.compare(password, user.password);
       if (!isMatch) {
         console.warn(`[LOGIN_FAILED] Invalid password: ${email}`);
-        return sendError(res, "Invalid credentials", 401);
+        return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device, loginAccount(user)));
       }
 
       console.log(`[LOGIN_PASSWORD_VERIFIED]`);
 
-      // Generate JWT token
-      token = jwt.sign(
+      // Start a session (or ask for the second factor)
+      session = await TwoFactor.login(
+        SUBJECT_TYPES.USER,
         {
           userId: user._id.toString(),
           name: user.name,
           email: user.email,
           role: user.role
         },
-        process.env.JWT_SECRET || "your_jwt_secret",
-        { expiresIn: "24h" }
+        device
       );
 
       console.log(`[LOGIN_TOKEN_GENERATED]`);
 
       // Return user data without password
       const { password: _, ...userWithoutPassword } = user;
-      userData = userWithoutPassword;
+      userData = { ...userWithoutPassword, twoFactorSetupRequired: session.twoFactorSetupRequired === true };
 
       console.log(`[LOGIN_SUCCESS] ${email}\n`);
     }
 
+    // Two-factor on: the login completes (and is recorded) at POST /api/auth/2fa/verify
+    if (session.twoFactorRequired) {
+      return res.json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        twoFactorRequired: true,
+        challengeToken: session.challengeToken,
+        expiresIn: session.expiresIn,
+        user: userData
+      });
+    }
+
+    await LoginProtection.recordSuccess(identity, loginAccount(user), device);
+
     res.json({
       success: true,
       message: "Login successful",
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       user: userData
     });
   } catch (error) {
@@ -320,3 +386,231 @@ export const login = async (req, res) => {
     sendError(res, `Login failed: ${error.message}`, 500);
   }
 };
+
+// #region Sessions
+
+/**
+ * REFRESH - Trade a refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * Body: { refreshToken }
+ */
+export const refresh = async (req, res) => {
+  try {
+    const result = await Sessions.refresh(req.body?.refreshToken, getDevice(req));
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    const { token, refreshToken, expiresIn } = result;
+    sendSuccess(res, { token, refreshToken, expiresIn }, "Session refreshed");
+  } catch (error) {
+    console.error(`[REFRESH_ERROR] ${error.message}`);
+    sendError(res, "Failed to refresh session", 500);
+  }
+};
+
+/**
+ * LOGOUT - End the current session
+ * POST /api/auth/logout
+ */
+export const logout = async (req, res) => {
+  try {
+    await Sessions.revoke(req.user.sid);
+    console.log(`[LOGOUT] Session ${req.user.sid} ended`);
+    sendSuccess(res, null, "Logged out successfully");
+  } catch (error) {
+    console.error(`[LOGOUT_ERROR] ${error.message}`);
+    sendError(res, "Logout failed", 500);
+  }
+};
+
+/**
+ * LOGOUT ALL - End every session of the caller
+ * POST /api/auth/logout-all
+ *
+ * Body: { keepCurrent: true } to stay signed in on this device
+ */
+export const logoutAll = async (req, res) => {
+  try {
+    const revoked = await Sessions.revokeAllOwn(req.user.sid, { keepCurrent: req.body?.keepCurrent === true });
+    console.log(`[LOGOUT_ALL] ${revoked} session(s) ended from ${req.user.sid}`);
+    sendSuccess(res, { revoked }, "Signed out of all sessions");
+  } catch (error) {
+    console.error(`[LOGOUT_ALL_ERROR] ${error.message}`);
+    sendError(res, "Logout failed", 500);
+  }
+};
+
+/**
+ * SESSIONS - Devices the caller is signed in on
+ * GET /api/auth/sessions
+ */
+export const getSessions = async (req, res) => {
+  try {
+    const sessions = await Sessions.list(req.user.sid);
+    sendSuccess(res, sessions, "Sessions retrieved");
+  } catch (error) {
+    console.error(`[SESSIONS_ERROR] ${error.message}`);
+    sendError(res, "Failed to load sessions", 500);
+  }
+};
+
+/**
+ * REVOKE SESSION - Sign out one of the caller's devices
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSession = async (req, res) => {
+  try {
+    const result = await Sessions.revokeOwn(req.user.sid, req.params.sessionId);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+    sendSuccess(res, null, "Session revoked");
+  } catch (error) {
+    console.error(`[REVOKE_SESSION_ERROR] ${error.message}`);
+    sendError(res, "Failed to revoke session", 500);
+  }
+};
+
+// #region Passwords
+
+/**
+ * ACTIVATE - Choose a password through the activation link and activate the account
+ * POST /api/auth/activate
+ *
+ * Body: { token, password }
+ */
+export const activateAccount = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return sendValidationError(res, ["Token and password are required"]);
+    }
+
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return sendValidationError(res, passwordErrors);
+    }
+
+    const result = await AccountTokens.activate(token, password);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, {
+      organizationCode: result.user.organizationCode,
+      email: result.user.email
+    }, "Account activated, you can now sign in");
+  } catch (error) {
+    console.error(`[ACTIVATE_ERROR] ${error.message}`);
+    sendError(res, "Failed to activate account", 500);
+  }
+};
+
+/**
+ * FORGOT PASSWORD - Email a password reset link to an organization user
+ * POST /api/auth/forgot-password
+ *
+ * Body: { organizationCode, email }
+ *
+ * Answers the same whether or not the account exists.
+ */
+export const forgotPassword = async (req, res) => {
+  try {
+    const { organizationCode, email } = req.body;
+    if (!organizationCode || !email || !validateEmail(email)) {
+      return sendValidationError(res, ["Organization code and a valid email are required"]);
+    }
+
+    await AccountTokens.requestPasswordReset(organizationCode, email);
+
+    sendSuccess(res, null, "If the account exists, a reset link has been sent to its email");
+  } catch (error) {
+    console.error(`[FORGOT_PASSWORD_ERROR] ${error.message}`);
+    sendError(res, "Failed to send reset link", 500);
+  }
+};
+
+/**
+ * RESET PASSWORD - Set a new password through the reset link
+ * POST /api/auth/reset-password
+ *
+ * Body: { token, password }
+ *
+ * Signs the account out everywhere.
+ */
+export const resetPassword = async (req, res) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || !password) {
+      return sendValidationError(res, ["Token and password are required"]);
+    }
+
+    const passwordErrors = validatePassword(password);
+    if (passwordErrors.length > 0) {
+      return sendValidationError(res, passwordErrors);
+    }
+
+    const result = await AccountTokens.resetPassword(token, password);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, null, "Password reset, you can now sign in");
+  } catch (error) {
+    console.error(`[RESET_PASSWORD_ERROR] ${error.message}`);
+    sendError(res, "Failed to reset password", 500);
+  }
+};
+
+/**
+ * CHANGE PASSWORD - Replace the caller's password (required after first login
+ * with a password someone else chose)
+ * POST /api/auth/change-password
+ *
+ * Body: { currentPassword, newPassword }
+ *
+ * Every session of the account ends; the response starts a new one:
+ * { token, refreshToken, expiresIn }
+ */
+export const changePassword = async (req, res) => {
+  try {
+    const { currentPassword, newPassword } = req.body;
+    const { organizationCode, userCode, userId } = req.user;
+
+    if (!userCode) {
+      return sendError(res, "Password change here is for organization accounts", 403);
+    }
+    if (!currentPassword || !newPassword) {
+      return sendValidationError(res, ["Current password and new password are required"]);
+    }
+
+    const passwordErrors = validatePassword(newPassword);
+    if (currentPassword === newPassword) {
+      passwordErrors.push("New password must differ from the current one");
+    }
+    if (passwordErrors.length > 0) {
+      return sendValidationError(res, passwordErrors);
+    }
+
+    await OrganizationUser.changePassword(organizationCode, userCode, currentPassword, newPassword);
+    await Sessions.revokeAllForSubject(SUBJECT_TYPES.ORGANIZATION_USER, userId, REVOKE_REASONS.PASSWORD_CHANGED);
+
+    const user = await OrganizationUser.findByUserEmail(organizationCode, req.user.email);
+    const { token, refreshToken, expiresIn, twoFactorSetupRequired } = await TwoFactor.startSession(
+      SUBJECT_TYPES.ORGANIZATION_USER,
+      organizationUserClaims(user),
+      getDevice(req)
+    );
+
+    console.log(`[CHANGE_PASSWORD] ${userCode} changed their password, other sessions ended`);
+    sendSuccess(res, { token, refreshToken, expiresIn, twoFactorSetupRequired }, "Password changed successfully");
+  } catch (error) {
+    if (error.message === "Current password is incorrect") {
+      return sendError(res, error.message, 401);
+    }
+    console.error(`[CHANGE_PASSWORD_ERROR] ${error.message}`);
+    sendError(res, "Failed to change password", 500);
+  }
+};
@@ -0,0 +1,171 @@
+import TwoFactor from "../../services/TwoFactor.js";
+import { getDevice } from "../../services/Sessions.js";
+
+// #region Helpers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+const sendValidationError = (res, errors = []) => {
+  res.status(400).json({
+    success: false,
+    message: "Validation failed",
+    errors
+  });
+};
+
+// #region Login
+
+/**
+ * VERIFY - Second login step for accounts with two-factor on
+ * POST /api/auth/2fa/verify
+ *
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ */
+export const verifyTwoFactorLogin = async (req, res) => {
+  try {
+    const { challengeToken, code, recoveryCode } = req.body;
+
+    if (!challengeToken || (!code && !recoveryCode)) {
+      return sendValidationError(res, ["Challenge token and a code or recovery code are required"]);
+    }
+
+    const result = await TwoFactor.verifyLogin(challengeToken, { code, recoveryCode }, getDevice(req));
+    if (!result.success) {
+      if (result.retryAfter) {
+        res.set("Retry-After", String(result.retryAfter));
+      }
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    const { token, refreshToken, expiresIn, twoFactorSetupRequired, recoveryCodesRemaining } = result;
+    sendSuccess(res, { token, refreshToken, expiresIn, twoFactorSetupRequired, recoveryCodesRemaining }, "Login successful");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_VERIFY_ERROR] ${error.message}`);
+    sendError(res, "Verification failed", 500);
+  }
+};
+
+// #region Enrolment
+
+/**
+ * STATUS - Two-factor state of the caller
+ * GET /api/auth/2fa
+ */
+export const getTwoFactorStatus = async (req, res) => {
+  try {
+    const status = await TwoFactor.status(req.user);
+    sendSuccess(res, status, "Two-factor status retrieved");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_STATUS_ERROR] ${error.message}`);
+    sendError(res, "Failed to retrieve two-factor status", 500);
+  }
+};
+
+/**
+ * SETUP - New secret for the authenticator app
+ * POST /api/auth/2fa/setup
+ */
+export const setupTwoFactor = async (req, res) => {
+  try {
+    const result = await TwoFactor.setup(req.user);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    const { secret, otpauthUrl, qrSvg } = result;
+    sendSuccess(res, { secret, otpauthUrl, qrSvg }, "Scan the code with your authenticator app");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_SETUP_ERROR] ${error.message}`);
+    sendError(res, "Failed to start two-factor setup", 500);
+  }
+};
+
+/**
+ * ENABLE - Confirm setup with the first code
+ * POST /api/auth/2fa/enable
+ *
+ * Body: { code }
+ */
+export const enableTwoFactor = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return sendValidationError(res, ["Code is required"]);
+    }
+
+    const result = await TwoFactor.enable(req.user, req.body.code, getDevice(req));
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    const { recoveryCodes, token, refreshToken, expiresIn } = result;
+    console.log(`[TWO_FACTOR] Enabled for ${req.user.email}, other sessions ended`);
+    sendSuccess(res, { recoveryCodes, token, refreshToken, expiresIn }, "Two-factor authentication is on");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_ENABLE_ERROR] ${error.message}`);
+    sendError(res, "Failed to turn on two-factor authentication", 500);
+  }
+};
+
+/**
+ * RECOVERY CODES - Replace the recovery codes
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Body: { code }
+ */
+export const regenerateRecoveryCodes = async (req, res) => {
+  try {
+    if (!req.body.code) {
+      return sendValidationError(res, ["Code is required"]);
+    }
+
+    const result = await TwoFactor.regenerateRecoveryCodes(req.user, req.body.code, getDevice(req));
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, { recoveryCodes: result.recoveryCodes }, "New recovery codes created, the old ones no longer work");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_RECOVERY_CODES_ERROR] ${error.message}`);
+    sendError(res, "Failed to create recovery codes", 500);
+  }
+};
+
+/**
+ * DISABLE - Turn two-factor off
+ * POST /api/auth/2fa/disable
+ *
+ * Body: { code } or { recoveryCode }
+ */
+export const disableTwoFactor = async (req, res) => {
+  try {
+    const { code, recoveryCode } = req.body;
+    if (!code && !recoveryCode) {
+      return sendValidationError(res, ["Code or recovery code is required"]);
+    }
+
+    const result = await TwoFactor.disable(req.user, { code, recoveryCode }, getDevice(req));
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[TWO_FACTOR] Disabled for ${req.user.email}`);
+    sendSuccess(res, null, "Two-factor authentication is off");
+  } catch (error) {
+    console.error(`[TWO_FACTOR_DISABLE_ERROR] ${error.message}`);
+    sendError(res, "Failed to turn off two-factor authentication", 500);
+  }
+};
@@ -0,0 +1,186 @@
+import HospitalBloodRequest from "../../models/hospital/HospitalBloodRequest.js";
+import { Organization } from "../../models/organization/Organization.js";
+import DonorCallout from "../../services/DonorCallout.js";
+import EscalationEngine from "../../services/EscalationEngine.js";
+
+// #region DonorCalloutController
+
+/**
+ * Organization of the calling user
+ */
+const getCallerOrganization = async (req) =>
+  req.user?.organizationCode ? await Organization.findByCode(req.user.organizationCode) : null;
+
+const sendFailure = (res, result) =>
+  res.status(result.statusCode || 500).json({
+    success: false,
+    message: result.message
+  });
+
+/**
+ * Open call-outs of the caller's organization (the hospital's own requests,
+ * or those an NGO was asked to mobilise donors for)
+ * GET /api/donor-callouts
+ */
+export const listDonorCallouts = async (req, res) => {
+  try {
+    const organization = await getCallerOrganization(req);
+    if (!organization) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization not found"
+      });
+    }
+
+    const callouts = await DonorCallout.listForOrganization(organization._id);
+
+    return res.status(200).json({
+      success: true,
+      message: "Donor call-outs retrieved successfully",
+      data: callouts
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving donor call-outs",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Responder list of one request
+ * GET /api/donor-callouts/:requestId
+ */
+export const getDonorCallout = async (req, res) => {
+  try {
+    const organization = await getCallerOrganization(req);
+    if (!organization) {
+      return res.status(403).json({
+        success: false,
+        message: "Organization not found"
+      });
+    }
+
+    const result = await DonorCallout.getForOrganization(req.params.requestId, organization._id);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Donor call-out retrieved successfully",
+      data: result.callout
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving donor call-out",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Appeal to donors for one of the hospital's rare-group requests
+ * POST /api/donor-callouts/:requestId
+ */
+export const startDonorCallout = async (req, res) => {
+  try {
+    const hospital = await getCallerOrganization(req);
+    const request = await HospitalBloodRequest.findById(req.params.requestId);
+    if (!request) {
+      return res.status(404).json({
+        success: false,
+        message: "Blood request not found"
+      });
+    }
+    if (!hospital || String(request.hospitalId) !== String(hospital._id)) {
+      return res.status(403).json({
+        success: false,
+        message: "Only the requesting hospital can call out donors"
+      });
+    }
+
+    // NGOs already handed the request keep it; otherwise the city's NGOs
+    const ngoIds = request.escalation?.ngoFallback?.ngoIds ||
+      (await EscalationEngine.findFallbackNgos(hospital)).map((ngo) => ngo._id);
+
+    const result = await DonorCallout.start(request, {
+      hospital,
+      ngoIds,
+      actor: { code: req.user.userCode, role: req.user.role }
+    });
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `${result.callout.counts.total} donor(s) called out`,
+      data: result.callout
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error calling out donors",
+      error: error.message
+    });
+  }
+};
+
+// #region DonorAppeals
+
+/**
+ * Appeal behind a donor's link (no login)
+ * GET /api/donor/appeals/:token
+ */
+export const getAppeal = async (req, res) => {
+  try {
+    const result = await DonorCallout.getAppeal(req.params.token);
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      data: result.appeal
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving appeal",
+      error: error.message
+    });
+  }
+};
+
+/**
+ * Donor's answer to an appeal (no login)
+ * POST /api/donor/appeals/:token/respond
+ * Body: { response: "COMING" | "UNAVAILABLE", optOut?: boolean }
+ */
+export const respondToAppeal = async (req, res) => {
+  try {
+    const { response, optOut } = req.body;
+
+    const result = await DonorCallout.respond(req.params.token, response, { optOut: optOut === true });
+    if (!result.success) {
+      return sendFailure(res, result);
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: response === "COMING"
+        ? "Thank you! The hospital and NGO volunteers have been told you are coming."
+        : "Thank you for letting us know.",
+      data: { status: result.status, optedOut: result.optedOut }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error recording response",
+      error: error.message
+    });
+  }
+};
@@ -1,5 +1,5 @@
 import { ObjectId } from "mongodb";
-import { DonorCollection } from "../../models/donor/Donor.js";
+import { DonorCollection, DONATION_DEFERRAL_DAYS } from "../../models/donor/Donor.js";
 import { DonationCollection } from "../../models/donor/Donation.js";
 import { getDB } from "../../config/db.js";
 
@@ -36,6 +36,7 @@ export const registerDonor = async (req, res) => {
       campName,
       campLocation,
       slotTime,
+      emergencyAppealOptIn,
     } = req.body;
 
     // 0️⃣ Validate required fields
@@ -92,6 +93,8 @@ export const registerDonor = async (req, res) => {
       email: email || "",
       lastDonationDate: null,
       totalDonations: 0,
+      // Consent to emergency appeals for rare-group requests (services/DonorCallout.js)
+      emergencyAppealOptIn: emergencyAppealOptIn === true,
       registrationType: "direct",
       createdAt: new Date()
     });
@@ -152,7 +155,8 @@ export const registerDonorForCamp = async (req, res) => {
       campId,
       campName,
       slotId,
-      slotTime
+      slotTime,
+      emergencyAppealOptIn
     } = req.body;
 
     // 0️⃣ Validate required fields
@@ -190,10 +194,10 @@ export const registerDonorForCamp = async (req, res) => {
         (new Date() - new Date(donor.lastDonationDate)) /
         (1000 * 60 * 60 * 24);
 
-      if (daysPassed < 90) {
+      if (daysPassed < DONATION_DEFERRAL_DAYS) {
         return res.status(400).json({
           message: `Donor not eligible. Wait ${Math.ceil(
-            90 - daysPassed
+            DONATION_DEFERRAL_DAYS - daysPassed
           )} more days`
         });
       }
@@ -210,6 +214,7 @@ export const registerDonorForCamp = async (req, res) => {
         city,
         lastDonationDate: null,
         totalDonations: 0,
+        emergencyAppealOptIn: emergencyAppealOptIn === true,
         createdAt: new Date()
       });
 
@@ -90,11 +90,6 @@ const sendValidationError = (res, errors = []) => {
  */
 export const createCamp = async (req, res) => {
   try {
-    // Check if user is ADMIN
-    if (req.user.role !== "ADMIN") {
-      return sendError(res, "Only ADMIN can create camps", 403);
-    }
-
     // Validate input
     const validationErrors = validateCampInput(req.body);
     if (validationErrors.length > 0) {
@@ -345,11 +340,6 @@ export const deleteSlot = async (req, res) => {
  */
 export const registerDonorToSlot = async (req, res) => {
   try {
-    // Only donors can register
-    if (req.user.role !== "user") {
-      return sendError(res, "Only donors can register for camps", 403);
-    }
-
     // Validate input
     const validationErrors = validateRegistrationInput(req.body);
     if (validationErrors.length > 0) {
@@ -1,6 +1,8 @@
 import Admin from "../../models/admin/Admin.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import Sessions, { SUBJECT_TYPES, getDevice } from "../../services/Sessions.js";
+import TwoFactor from "../../services/TwoFactor.js";
+import LoginProtection from "../../services/LoginProtection.js";
 
 // #region Admin Auth
 const validateAdminLoginInput = (data) => {
@@ -60,6 +62,18 @@ const sendError = (res, message = "An error occurred", statusCode = 500) => {
   });
 };
 
+// A refused login; a lock also says when to come back
+const sendLoginFailure = (res, result, message = result.message) => {
+  if (result.retryAfter) {
+    res.set("Retry-After", String(result.retryAfter));
+  }
+  res.status(result.statusCode).json({
+    success: false,
+    message: result.lockedUntil ? result.message : message,
+    data: result.lockedUntil ? { lockedUntil: result.lockedUntil } : null
+  });
+};
+
 export const adminLogin = async (req, res) => {
   try {
     const { email, password } = req.body;
@@ -74,34 +88,43 @@ export const adminLogin = async (req, res) => {
       });
     }
 
+    const device = getDevice(req);
+    const identity = LoginProtection.identity(SUBJECT_TYPES.ADMIN, email);
+    const lock = await LoginProtection.check(identity);
+    if (!lock.success) {
+      return sendLoginFailure(res, lock);
+    }
+
     const admin = await Admin.findByEmail(email);
 
     if (!admin) {
-      return sendError(res, "Invalid admin credentials", 401);
+      return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device), "Invalid admin credentials");
     }
 
     if (!admin.isActive) {
       return sendError(res, "Admin account is inactive", 403);
     }
 
+    const account = { subjectId: admin._id.toString(), name: admin.name, email: admin.email, role: admin.role };
+
     const isMatch = await bcrypt.compare(password, admin.password);
     if (!isMatch) {
       await Admin.updateLoginHistory(admin._id, ipAddress, false);
-      return sendError(res, "Invalid admin credentials", 401);
+      return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device, account), "Invalid admin credentials");
     }
 
     await Admin.updateLoginHistory(admin._id, ipAddress, true);
 
-    const token = jwt.sign(
+    const session = await TwoFactor.login(
+      SUBJECT_TYPES.ADMIN,
       {
-        id: admin._id,
+        id: admin._id.toString(),
         email: admin.email,
         adminCode: admin.adminCode,
         role: "ADMIN",
         permissions: admin.permissions
       },
-      process.env.JWT_SECRET || "admin_jwt_secret",
-      { expiresIn: "24h" }
+      device
     );
 
     const adminData = {
@@ -111,11 +134,26 @@ export const adminLogin = async (req, res) => {
       email: admin.email,
       role: admin.role,
       isActive: admin.isActive,
-      permissions: admin.permissions
+      permissions: admin.permissions,
+      twoFactorSetupRequired: session.twoFactorSetupRequired === true
     };
 
+    // Two-factor on: the session starts at POST /api/auth/2fa/verify
+    if (session.twoFactorRequired) {
+      return sendSuccess(res, {
+        twoFactorRequired: true,
+        challengeToken: session.challengeToken,
+        expiresIn: session.expiresIn,
+        admin: adminData
+      }, "Enter the code from your authenticator app", 200);
+    }
+
+    await LoginProtection.recordSuccess(identity, account, device);
+
     sendSuccess(res, {
-      token,
+      token: session.token,
+      refreshToken: session.refreshToken,
+      expiresIn: session.expiresIn,
       admin: adminData
     }, "Admin login successful", 200);
 
@@ -154,6 +192,7 @@ export const getAdminProfile = async (req, res) => {
 
 export const adminLogout = async (req, res) => {
   try {
+    await Sessions.revoke(req.user.sid);
     sendSuccess(res, null, "Admin logged out successfully");
   } catch (error) {
     sendError(res, "Logout failed", 500);
@@ -211,3 +250,77 @@ export const adminRegister = async (req, res) => {
     sendError(res, "Admin registration failed", 500);
   }
 };
+
+// #region Login Locks
+
+// Account types that log in with a password
+const LOGIN_ACCOUNT_TYPES = [SUBJECT_TYPES.ORGANIZATION_USER, SUBJECT_TYPES.USER, SUBJECT_TYPES.ADMIN];
+
+/**
+ * Accounts locked out by failed logins, newest lock first
+ * GET /api/admin/auth/locked-accounts?accountType=ORGANIZATION_USER&organizationCode=HOS-1
+ */
+export const getLockedAccounts = async (req, res) => {
+  try {
+    const { accountType, organizationCode } = req.query;
+    if (accountType && !LOGIN_ACCOUNT_TYPES.includes(accountType)) {
+      return sendError(res, `accountType must be one of ${LOGIN_ACCOUNT_TYPES.join(", ")}`, 400);
+    }
+
+    const locked = await LoginProtection.listLocked({ subjectType: accountType, organizationCode });
+    sendSuccess(res, locked, `Found ${locked.length} locked accounts`);
+
+  } catch (error) {
+    console.error("Get locked accounts error:", error);
+    sendError(res, "Failed to retrieve locked accounts", 500);
+  }
+};
+
+/**
+ * Lift a login lock on any account; only super admins can unlock admins
+ * POST /api/admin/auth/unlock
+ * Body: { accountType: "ORGANIZATION_USER" | "USER" | "ADMIN", email, organizationCode? }
+ */
+export const unlockAccount = async (req, res) => {
+  try {
+    const { accountType, email, organizationCode } = req.body;
+
+    if (!LOGIN_ACCOUNT_TYPES.includes(accountType)) {
+      return sendError(res, `accountType must be one of ${LOGIN_ACCOUNT_TYPES.join(", ")}`, 400);
+    }
+    if (!email) {
+      return sendError(res, "Email is required", 400);
+    }
+    if (accountType === SUBJECT_TYPES.ORGANIZATION_USER && !organizationCode) {
+      return sendError(res, "Organization code is required for organization users", 400);
+    }
+    if (accountType === SUBJECT_TYPES.ADMIN && req.user.role !== "SUPERADMIN") {
+      return sendError(res, "Only super admins can unlock admin accounts", 403);
+    }
+
+    const identity = LoginProtection.identity(
+      accountType,
+      email,
+      accountType === SUBJECT_TYPES.ORGANIZATION_USER ? organizationCode : null
+    );
+    const result = await LoginProtection.unlock(
+      identity,
+      { email: req.user.email, role: req.user.role, code: req.user.adminCode },
+      getDevice(req)
+    );
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, {
+      accountType,
+      email: identity.email,
+      organizationCode: identity.organizationCode,
+      wasLocked: result.wasLocked
+    }, result.wasLocked ? "Account unlocked" : "Account was not locked; failed login count cleared");
+
+  } catch (error) {
+    console.error("Unlock account error:", error);
+    sendError(res, "Failed to unlock account", 500);
+  }
+};
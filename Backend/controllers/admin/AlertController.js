@@ -1,4 +1,5 @@
 import Alert from "../../models/admin/Alert.js";
+import AlertWorkflow, { toActor } from "../../services/AlertWorkflow.js";
 
 // #region Alert Controller
 export const createAlert = async (req, res) => {
@@ -64,13 +65,16 @@ export const createAlert = async (req, res) => {
 
 export const getAllAlerts = async (req, res) => {
   try {
-    const { page = 1, limit = 20, unreadOnly = false, severity, type, relatedEntityType } = req.query;
+    const { page = 1, limit = 20, unreadOnly = false, severity, type, relatedEntityType, status, acknowledged, assignedTo } = req.query;
 
     const filters = {
       unreadOnly: unreadOnly === "true",
       ...(severity && { severity }),
       ...(type && { type }),
-      ...(relatedEntityType && { relatedEntityType })
+      ...(relatedEntityType && { relatedEntityType }),
+      ...(status && { status }),
+      ...(acknowledged !== undefined && { acknowledged: acknowledged === "true" }),
+      ...(assignedTo && { assignedTo })
     };
 
     const pagination = {
@@ -277,7 +281,7 @@ export const archiveAlert = async (req, res) => {
       });
     }
 
-    const success = await Alert.archiveAlert(alertId);
+    const success = await Alert.archiveAlert(alertId, toActor(req.user));
 
     if (!success) {
       return res.status(500).json({
@@ -317,6 +321,89 @@ export const getAlertsSummary = async (req, res) => {
   }
 };
 
+// Workflow results carry their own status code on failure
+const sendWorkflowResult = (res, result, message) => {
+  if (!result.success) {
+    return res.status(result.statusCode || 500).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  return res.status(200).json({
+    success: true,
+    message,
+    data: result.alert
+  });
+};
+
+export const acknowledgeAlert = async (req, res) => {
+  try {
+    const result = await AlertWorkflow.acknowledge(req.params.alertId, toActor(req.user));
+    return sendWorkflowResult(res, result, "Alert acknowledged successfully");
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error acknowledging alert",
+      error: error.message
+    });
+  }
+};
+
+export const assignAlert = async (req, res) => {
+  try {
+    const { userCode, organizationId, note } = req.body;
+
+    const result = await AlertWorkflow.assign(
+      req.params.alertId,
+      { userCode, organizationId },
+      toActor(req.user),
+      note || null
+    );
+    return sendWorkflowResult(res, result, "Alert assigned successfully");
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error assigning alert",
+      error: error.message
+    });
+  }
+};
+
+export const escalateAlert = async (req, res) => {
+  try {
+    const result = await AlertWorkflow.escalate(req.params.alertId, toActor(req.user), req.body?.reason || null);
+    return sendWorkflowResult(res, result, "Alert escalated successfully");
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error escalating alert",
+      error: error.message
+    });
+  }
+};
+
+export const resolveAlert = async (req, res) => {
+  try {
+    const notes = typeof req.body?.notes === "string" ? req.body.notes.trim() : "";
+    if (!notes) {
+      return res.status(400).json({
+        success: false,
+        message: "Resolution notes are required"
+      });
+    }
+
+    const result = await AlertWorkflow.resolve(req.params.alertId, notes, toActor(req.user));
+    return sendWorkflowResult(res, result, "Alert resolved successfully");
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error resolving alert",
+      error: error.message
+    });
+  }
+};
+
 export default {
   createAlert,
   getAllAlerts,
@@ -326,5 +413,9 @@ export default {
   getUnreadCount,
   getAlertsByType,
   archiveAlert,
-  getAlertsSummary
+  getAlertsSummary,
+  acknowledgeAlert,
+  assignAlert,
+  escalateAlert,
+  resolveAlert
 };
@@ -0,0 +1,159 @@
+import AlertRule from "../../models/admin/AlertRule.js";
+import AlertRuleEngine, { validateRule } from "../../services/AlertRuleEngine.js";
+import { toActor } from "../../services/AlertWorkflow.js";
+
+// New and changed rules are checked against current stock straight away
+const evaluateSoon = (rule) => {
+  if (!rule?.isActive) return;
+  AlertRuleEngine.evaluateRule(rule).catch((error) => {
+    console.error(`[ALERT_RULES] Failed to evaluate rule ${rule._id}:`, error);
+  });
+};
+
+// #region AlertRule Controller
+export const getAllRules = async (req, res) => {
+  try {
+    const { scope, isActive } = req.query;
+
+    const rules = await AlertRule.findAll({
+      scope,
+      ...(isActive !== undefined && { isActive: isActive === "true" })
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rules retrieved successfully",
+      data: rules
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving alert rules",
+      error: error.message
+    });
+  }
+};
+
+export const getRuleById = async (req, res) => {
+  try {
+    const rule = await AlertRule.findById(req.params.ruleId);
+    if (!rule) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert rule not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rule retrieved successfully",
+      data: rule
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving alert rule",
+      error: error.message
+    });
+  }
+};
+
+export const createRule = async (req, res) => {
+  try {
+    const { rule, error } = validateRule(req.body);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const created = await AlertRule.create({ ...rule, createdBy: req.user.email });
+    evaluateSoon(created);
+
+    return res.status(201).json({
+      success: true,
+      message: "Alert rule created successfully",
+      data: created
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error creating alert rule",
+      error: error.message
+    });
+  }
+};
+
+export const updateRule = async (req, res) => {
+  try {
+    const { ruleId } = req.params;
+    const current = await AlertRule.findById(ruleId);
+    if (!current) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert rule not found"
+      });
+    }
+
+    const { rule, error } = validateRule(req.body, current);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    // Evaluation starts over under the new definition
+    const previous = await AlertRule.update(ruleId, rule);
+    await AlertRuleEngine.resolveForRuleChange(previous, "Alert rule changed", toActor(req.user));
+
+    const updated = await AlertRule.findById(ruleId);
+    evaluateSoon(updated);
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rule updated successfully",
+      data: updated
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error updating alert rule",
+      error: error.message
+    });
+  }
+};
+
+export const deleteRule = async (req, res) => {
+  try {
+    const deleted = await AlertRule.delete(req.params.ruleId);
+    if (!deleted) {
+      return res.status(404).json({
+        success: false,
+        message: "Alert rule not found"
+      });
+    }
+
+    await AlertRuleEngine.resolveForRuleChange(deleted, "Alert rule deleted", toActor(req.user));
+
+    return res.status(200).json({
+      success: true,
+      message: "Alert rule deleted successfully"
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error deleting alert rule",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getAllRules,
+  getRuleById,
+  createRule,
+  updateRule,
+  deleteRule
+};
@@ -1,4 +1,6 @@
 import { Approval } from "../../models/admin/Approval.js";
+import OrganizationUser from "../../models/organization/OrganizationUser.js";
+import AccountTokens from "../../services/AccountTokens.js";
 
 // #region Approval Controle
 const validateApprovalQuery = (query) => {
@@ -371,6 +373,22 @@ export const approveOrganization = async (req, res) => {
 
     console.log(`[SUCCESS] ${organizationCode} approved successfully`);
     console.log(`[SUCCESS] Organization admin created for: ${org.adminEmail}`);
+
+    // The approval stands even if the mail fails; the link can be sent again
+    let activationEmailSent = true;
+    try {
+      await AccountTokens.sendActivation({
+        organizationCode: updated.organizationCode,
+        organizationName: updated.name,
+        userCode: updated.organizationAdmin.userCode,
+        name: updated.organizationAdmin.name,
+        email: updated.organizationAdmin.email
+      });
+    } catch (error) {
+      activationEmailSent = false;
+      console.error(`[ERROR] Activation email for ${organizationCode} failed:`, error.message);
+    }
+
     console.log(`[APPROVAL COMPLETE]\n`);
 
     sendSuccess(res, {
@@ -380,7 +398,10 @@ export const approveOrganization = async (req, res) => {
       approvedAt: updated.approvedAt,
       adminEmail: updated.adminEmail,
       organizationAdmin: updated.organizationAdmin,
-      message: "Organization approved successfully. Organization admin user created with password 'admin123'"
+      activationEmailSent,
+      message: activationEmailSent
+        ? `Organization approved successfully. Activation link sent to ${updated.organizationAdmin.email}`
+        : "Organization approved successfully, but the activation email could not be sent. Resend it from the organization's page"
     }, "Organization approved successfully", 200);
 
   } catch (error) {
@@ -466,3 +487,36 @@ export const suspendOrganization = async (req, res) => {
   }
 };
 
+
+export const resendActivation = async (req, res) => {
+  try {
+    const { organizationCode } = req.body;
+    if (!organizationCode) {
+      return sendError(res, "Organization code is required", 400);
+    }
+
+    const org = await Approval.getByCode(organizationCode);
+    if (!org || !org.organizationAdmin) {
+      return sendError(res, "Organization not found or not approved", 404);
+    }
+
+    const admin = await OrganizationUser.findByUserCode(organizationCode, org.organizationAdmin.userCode).catch(() => null);
+    if (!admin || admin.status !== "PENDING_ACTIVATION") {
+      return sendError(res, "Organization admin has already activated the account", 409);
+    }
+
+    const { expiresAt } = await AccountTokens.sendActivation(admin);
+
+    console.log(`[ACTIVATION] Link for ${organizationCode} sent again to ${admin.email}`);
+
+    sendSuccess(res, {
+      organizationCode,
+      email: admin.email,
+      expiresAt
+    }, "Activation link sent", 200);
+
+  } catch (error) {
+    console.error("Resend activation error:", error);
+    sendError(res, "Failed to send activation link", 500);
+  }
+};
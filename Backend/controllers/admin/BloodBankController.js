@@ -183,6 +183,10 @@ export const getBloodStock = async (req, res) => {
     Object.entries(bloodStockDocument.bloodStock || {}).forEach(([group, info]) => {
       formattedStock[group] = {
         units: info?.units ?? 0,
+        reserved: info?.reserved ?? 0,
+        available: (info?.units ?? 0) - (info?.reserved ?? 0),
+        quarantined: info?.quarantined ?? 0,
+        byComponent: info?.byComponent || { WHOLE_BLOOD: info?.units ?? 0 },
         lastUpdated: info?.lastUpdated || bloodStockDocument.lastStockUpdateAt,
         updatedBy: info?.updatedBy || "system",
         status: getStockStatus(info?.units ?? 0)
@@ -254,6 +258,21 @@ export const updateBloodStock = async (req, res) => {
       bloodStockDocument = await BloodStock.create(id, bloodBank.organizationCode);
     }
 
+    if (bloodStockDocument.inventoryMode === "UNIT") {
+      return res.status(409).json({
+        success: false,
+        message: "Stock for this blood bank is tracked per bag; register, release or discard bags instead"
+      });
+    }
+
+    const reservedUnits = bloodStockDocument.bloodStock?.[bloodGroup]?.reserved ?? 0;
+    if (parsedUnits < reservedUnits) {
+      return res.status(409).json({
+        success: false,
+        message: `${reservedUnits} ${bloodGroup} unit(s) are reserved for accepted requests; units cannot go below that`
+      });
+    }
+
     const success = await BloodStock.updateBloodGroupUnits(
       id,
       bloodGroup,
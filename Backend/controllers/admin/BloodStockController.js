@@ -1,5 +1,6 @@
 import BloodStock from "../../models/admin/BloodStock.js";
 import BloodBank from "../../models/admin/BloodBank.js";
+import { BLOOD_COMPONENTS } from "../../models/admin/BloodUnit.js";
 
 // #region InitializeBloodStock
 /**
@@ -111,6 +112,21 @@ export const updateBloodStock = async (req, res) => {
       bloodStock = await BloodStock.create(bloodBankId, bloodBank.organizationCode);
     }
 
+    if (bloodStock.inventoryMode === "UNIT") {
+      return res.status(409).json({
+        success: false,
+        message: "Stock for this blood bank is tracked per bag; register, release or discard bags instead"
+      });
+    }
+
+    const reservedUnits = bloodStock.bloodStock?.[bloodGroup]?.reserved ?? 0;
+    if (units < reservedUnits) {
+      return res.status(409).json({
+        success: false,
+        message: `${reservedUnits} ${bloodGroup} unit(s) are reserved for accepted requests; units cannot go below that`
+      });
+    }
+
     // Update the blood group units
     const success = await BloodStock.updateBloodGroupUnits(
       bloodBankId,
@@ -189,6 +205,7 @@ export const getBloodStockSummary = async (req, res) => {
 export const getStockByBloodGroup = async (req, res) => {
   try {
     const { bloodGroup } = req.params;
+    const { component, includeCompatible } = req.query;
 
     if (!bloodGroup) {
       return res.status(400).json({
@@ -205,7 +222,17 @@ export const getStockByBloodGroup = async (req, res) => {
       });
     }
 
-    const result = await BloodStock.getByBloodGroup(bloodGroup);
+    if (component && !BLOOD_COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid component. Must be one of: ${BLOOD_COMPONENTS.join(", ")}`
+      });
+    }
+
+    const result = await BloodStock.getByBloodGroup(bloodGroup, {
+      component,
+      includeCompatible: includeCompatible === "true"
+    });
 
     // Fetch blood bank details
     const enrichedBloodBanks = [];
@@ -216,9 +243,11 @@ export const getStockByBloodGroup = async (req, res) => {
           bloodBankCode: bb.bloodBankCode,
           name: bloodBankDetails.name,
           city: bloodBankDetails.city,
+          bloodGroup: bb.bloodGroup,
           units: bb.units,
           status: getStockStatus(bb.units),
-          lastUpdated: bb.lastUpdated
+          lastUpdated: bb.lastUpdated,
+          compatibility: bb.compatibility
         });
       }
     }
@@ -228,7 +257,9 @@ export const getStockByBloodGroup = async (req, res) => {
       message: `Blood stock for ${bloodGroup} retrieved successfully`,
       data: {
         bloodGroup,
+        component: result.component,
         totalUnits: result.totalUnits,
+        compatibleUnits: result.compatibleUnits,
         bloodBanks: enrichedBloodBanks
       }
     });
@@ -272,6 +303,10 @@ export const getStockByBloodBank = async (req, res) => {
     Object.entries(bloodStock.bloodStock).forEach(([bg, data]) => {
       formattedStock[bg] = {
         units: data.units,
+        reserved: data.reserved ?? 0,
+        available: data.units - (data.reserved ?? 0),
+        quarantined: data.quarantined ?? 0,
+        byComponent: data.byComponent || { WHOLE_BLOOD: data.units },
         status: getStockStatus(data.units),
         lastUpdated: data.lastUpdated
       };
@@ -285,6 +320,7 @@ export const getStockByBloodBank = async (req, res) => {
         bloodBankName: bloodBankDetails?.name || "Unknown",
         city: bloodBankDetails?.city || "Unknown",
         totalUnitsAvailable: bloodStock.totalUnitsAvailable,
+        inventoryMode: bloodStock.inventoryMode || "COUNT",
         stock: formattedStock,
         lastUpdatedAt: bloodStock.lastStockUpdateAt
       }
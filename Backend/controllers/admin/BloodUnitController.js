@@ -0,0 +1,237 @@
+import BloodUnit, {
+  BLOOD_COMPONENTS,
+  MANUAL_UNIT_TRANSITIONS,
+  UNIT_STATUS
+} from "../../models/admin/BloodUnit.js";
+import BloodStock from "../../models/admin/BloodStock.js";
+import BloodBank from "../../models/admin/BloodBank.js";
+
+const VALID_BLOOD_GROUPS = ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"];
+
+// #region RegisterUnit
+/**
+ * POST /api/admin/blood-stock/units
+ * Register a collected bag. New bags start QUARANTINED unless
+ * status AVAILABLE is given (already screened).
+ * Body: { bloodBankId, bagId, donationId, bloodGroup, component,
+ *         collectedAt, expiresAt, storageLocation, volumeMl, status }
+ */
+export const registerUnit = async (req, res) => {
+  try {
+    const { bloodBankId, bagId, bloodGroup, component, collectedAt, expiresAt, status } = req.body;
+
+    if (!bloodBankId || !bagId || !bloodGroup || !collectedAt || !expiresAt) {
+      return res.status(400).json({
+        success: false,
+        message: "Blood bank ID, bag ID, blood group, collection date and expiry date are required"
+      });
+    }
+
+    if (!VALID_BLOOD_GROUPS.includes(bloodGroup)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid blood group. Must be one of: ${VALID_BLOOD_GROUPS.join(", ")}`
+      });
+    }
+
+    if (component && !BLOOD_COMPONENTS.includes(component)) {
+      return res.status(400).json({
+        success: false,
+        message: `Invalid component. Must be one of: ${BLOOD_COMPONENTS.join(", ")}`
+      });
+    }
+
+    if (status && ![UNIT_STATUS.QUARANTINED, UNIT_STATUS.AVAILABLE].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "New bags must be QUARANTINED or AVAILABLE"
+      });
+    }
+
+    const collected = new Date(collectedAt);
+    const expiry = new Date(expiresAt);
+    if (Number.isNaN(collected.getTime()) || Number.isNaN(expiry.getTime()) || expiry <= collected) {
+      return res.status(400).json({
+        success: false,
+        message: "Expiry date must be a valid date after the collection date"
+      });
+    }
+
+    const bloodBank = await BloodBank.findById(bloodBankId);
+    if (!bloodBank) {
+      return res.status(404).json({
+        success: false,
+        message: "Blood bank not found"
+      });
+    }
+
+    if (await BloodUnit.findByBagId(bagId)) {
+      return res.status(409).json({
+        success: false,
+        message: `Bag ${bagId} is already registered`
+      });
+    }
+
+    const existingStock = await BloodStock.findByBloodBankId(bloodBankId);
+    if (!existingStock) {
+      await BloodStock.create(bloodBankId, bloodBank.organizationCode);
+    }
+
+    const unit = await BloodUnit.create({
+      ...req.body,
+      createdBy: req.user?.userCode || "system"
+    });
+
+    await BloodStock.syncFromUnits(bloodBankId, req.user?.userCode);
+    await BloodBank.touchStockTimestamp(bloodBankId);
+
+    return res.status(201).json({
+      success: true,
+      message: "Blood unit registered successfully",
+      data: unit
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error registering blood unit",
+      error: error.message
+    });
+  }
+};
+
+// #region GetUnitsByBloodBank
+/**
+ * GET /api/admin/blood-stock/units/by-bloodbank/:bloodBankId
+ * Query: status, bloodGroup, component, page, limit
+ */
+export const getUnitsByBloodBank = async (req, res) => {
+  try {
+    const { bloodBankId } = req.params;
+    const { status, bloodGroup, component, page = 1, limit = 50 } = req.query;
+
+    const filters = {};
+    if (status) filters.status = status;
+    if (bloodGroup) filters.bloodGroup = bloodGroup;
+    if (component) filters.component = component;
+
+    const pagination = {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    };
+
+    const result = await BloodUnit.findByBloodBankId(bloodBankId, filters, pagination);
+
+    return res.status(200).json({
+      success: true,
+      message: "Blood units retrieved successfully",
+      data: result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving blood units",
+      error: error.message
+    });
+  }
+};
+
+// #region GetUnitByBagId
+/**
+ * GET /api/admin/blood-stock/units/bag/:bagId
+ */
+export const getUnitByBagId = async (req, res) => {
+  try {
+    const { bagId } = req.params;
+
+    const unit = await BloodUnit.findByBagId(bagId);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: "Blood unit not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Blood unit retrieved successfully",
+      data: unit
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving blood unit",
+      error: error.message
+    });
+  }
+};
+
+// #region UpdateUnitStatus
+/**
+ * PATCH /api/admin/blood-stock/units/:bagId/status
+ * Release from quarantine, quarantine again, or discard a bag
+ * Body: { status, reason }
+ */
+export const updateUnitStatus = async (req, res) => {
+  try {
+    const { bagId } = req.params;
+    const { status, reason } = req.body;
+
+    const unit = await BloodUnit.findByBagId(bagId);
+    if (!unit) {
+      return res.status(404).json({
+        success: false,
+        message: "Blood unit not found"
+      });
+    }
+
+    const allowed = MANUAL_UNIT_TRANSITIONS[unit.status] || [];
+    if (!allowed.includes(status)) {
+      return res.status(409).json({
+        success: false,
+        message: `Cannot move a ${unit.status} bag to ${status}`
+      });
+    }
+
+    if (status === UNIT_STATUS.DISCARDED && !reason) {
+      return res.status(400).json({
+        success: false,
+        message: "Discard reason is required"
+      });
+    }
+
+    const updated = await BloodUnit.updateStatus(bagId, unit.status, status, {
+      changedBy: req.user?.userCode,
+      discardReason: status === UNIT_STATUS.DISCARDED ? reason : null,
+      reason
+    });
+
+    if (!updated) {
+      return res.status(409).json({
+        success: false,
+        message: "Bag status changed in the meantime, please retry"
+      });
+    }
+
+    await BloodStock.syncFromUnits(unit.bloodBankId, req.user?.userCode);
+    await BloodBank.touchStockTimestamp(unit.bloodBankId);
+
+    return res.status(200).json({
+      success: true,
+      message: `Blood unit moved to ${status}`,
+      data: updated
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error updating blood unit",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  registerUnit,
+  getUnitsByBloodBank,
+  getUnitByBagId,
+  updateUnitStatus
+};
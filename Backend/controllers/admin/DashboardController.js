@@ -189,3 +189,28 @@ export const getSystemHealth = async (req, res) => {
     });
   }
 };
+
+/**
+ * GET /api/admin/dashboard/incidents
+ * Get active mass-casualty incidents (pinned until closed)
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const getActiveIncidents = async (req, res) => {
+  try {
+    const incidents = await Dashboard.getActiveIncidents();
+
+    return res.status(200).json({
+      success: true,
+      message: "Active incidents retrieved successfully",
+      data: incidents
+    });
+  } catch (error) {
+    console.error("Active Incidents Error:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to retrieve active incidents",
+      error: error.message
+    });
+  }
+};
@@ -1,33 +1,17 @@
-import HospitalBloodRequest from "../../models/admin/HospitalBloodRequest.js";
-import BloodBank from "../../models/admin/BloodBank.js";
+import HospitalBloodRequest from "../../models/hospital/HospitalBloodRequest.js";
 
 /**
  * HospitalBloodRequestController
- * Handles emergency blood requests from hospitals to blood banks
+ * Admin oversight of emergency blood requests from hospitals to blood banks.
+ * Shares the request store and state machine with
+ * /api/hospital-blood-requests, where hospitals and blood banks act on
+ * their own requests.
  */
 
-// #region CreateRequest
-export const createRequest = async (req, res) => {
-  try {
-    const request = await HospitalBloodRequest.create(req.body);
-
-    const message = request.urgency === "CRITICAL"
-      ? "Emergency blood request created. Waiting for admin approval."
-      : "Blood request created successfully.";
-
-    return res.status(201).json({
-      success: true,
-      message,
-      data: request
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error creating request",
-      error: error.message
-    });
-  }
-};
+const getActor = (req) => ({
+  code: req.user?.userCode || req.user?.adminCode || req.admin?._id?.toString() || null,
+  role: req.user?.role || null
+});
 
 // #region GetAllRequests
 export const getAllRequests = async (req, res) => {
@@ -70,7 +54,7 @@ export const getUrgentRequests = async (req, res) => {
       limit: parseInt(limit)
     };
 
-    const result = await HospitalBloodRequest.findUrgentRequests(pagination);
+    const result = await HospitalBloodRequest.findCriticalRequests({}, pagination);
 
     return res.status(200).json({
       success: true,
@@ -261,18 +245,19 @@ export const assignBloodBank = async (req, res) => {
       });
     }
 
-    const success = await HospitalBloodRequest.assignBloodBank(id, bloodBankId);
+    const result = await HospitalBloodRequest.assignBloodBank(id, bloodBankId, getActor(req));
 
-    if (!success) {
-      return res.status(400).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: "Failed to assign blood bank. Request must be in PENDING status."
+        message: result.message
       });
     }
 
     return res.status(200).json({
       success: true,
-      message: "Blood bank assigned successfully"
+      message: "Blood bank assigned successfully",
+      data: result.request
     });
   } catch (error) {
     return res.status(500).json({
@@ -283,197 +268,6 @@ export const assignBloodBank = async (req, res) => {
   }
 };
 
-// #region BloodBankResponse
-export const updateResponse = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const responseData = req.body;
-
-    const success = await HospitalBloodRequest.updateBloodBankResponse(id, responseData);
-
-    if (!success) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to update response"
-      });
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: "Response recorded successfully"
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error updating response",
-      error: error.message
-    });
-  }
-};
-
-// #region StartProcessing
-export const startProcessing = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { staffId } = req.body;
-
-    const success = await HospitalBloodRequest.startProcessing(id, staffId);
-
-    if (!success) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot start processing. Request must be in APPROVED status."
-      });
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: "Request processing started successfully"
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error starting processing",
-      error: error.message
-    });
-  }
-};
-
-// #region FulfillRequest
-export const fulfillRequest = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { unitsFulfilled, batchNumbers, expiryDates, collectionMethod } = req.body;
-
-    if (!unitsFulfilled) {
-      return res.status(400).json({
-        success: false,
-        message: "Units fulfilled is required"
-      });
-    }
-
-    // Fulfill the request
-    const success = await HospitalBloodRequest.fulfillRequest(id, {
-      unitsFulfilled: parseInt(unitsFulfilled),
-      batchNumbers: batchNumbers || [],
-      expiryDates: expiryDates || [],
-      collectionMethod: collectionMethod || "PICKUP",
-      actualDeliveryTime: new Date()
-    });
-
-    if (!success) {
-      return res.status(400).json({
-        success: false,
-        message: "Cannot fulfill request. Must be in PROCESSING status."
-      });
-    }
-
-    // Update blood bank stock and statistics
-    const request = await HospitalBloodRequest.findById(id);
-    if (request && request.bloodBankId) {
-      // Reduce blood stock
-      await BloodBank.updateBloodStock(
-        request.bloodBankId,
-        request.bloodGroup,
-        -parseInt(unitsFulfilled)
-      );
-
-      // Update statistics
-      await BloodBank.incrementStatistics(
-        request.bloodBankId,
-        "totalHospitalRequestsFulfilled",
-        1
-      );
-      await BloodBank.incrementStatistics(
-        request.bloodBankId,
-        "totalUnitsDistributed",
-        parseInt(unitsFulfilled)
-      );
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: "Request fulfilled successfully and blood stock updated"
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error fulfilling request",
-      error: error.message
-    });
-  }
-};
-
-// #region RejectRequest
-export const rejectRequest = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { rejectionReason, rejectedBy } = req.body;
-
-    if (!rejectionReason) {
-      return res.status(400).json({
-        success: false,
-        message: "Rejection reason is required"
-      });
-    }
-
-    const success = await HospitalBloodRequest.rejectRequest(id, rejectionReason, rejectedBy);
-
-    if (!success) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to reject request"
-      });
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: "Request rejected successfully"
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error rejecting request",
-      error: error.message
-    });
-  }
-};
-
-// #region CancelRequest
-export const cancelRequest = async (req, res) => {
-  try {
-    const { id } = req.params;
-    const { cancellationReason } = req.body;
-
-    if (!cancellationReason) {
-      return res.status(400).json({
-        success: false,
-        message: "Cancellation reason is required"
-      });
-    }
-
-    const success = await HospitalBloodRequest.cancelRequest(id, cancellationReason);
-
-    if (!success) {
-      return res.status(400).json({
-        success: false,
-        message: "Failed to cancel request"
-      });
-    }
-
-    return res.status(200).json({
-      success: true,
-      message: "Request cancelled successfully"
-    });
-  } catch (error) {
-    return res.status(500).json({
-      success: false,
-      message: "Error cancelling request",
-      error: error.message
-    });
-  }
-};
-
 // #region AddCommunicationLog
 export const addCommunicationLog = async (req, res) => {
   try {
@@ -564,12 +358,12 @@ export const deleteRequest = async (req, res) => {
       });
     }
 
-    const success = await HospitalBloodRequest.deleteById(id);
+    const result = await HospitalBloodRequest.deleteById(id);
 
-    if (!success) {
-      return res.status(404).json({
+    if (!result.success) {
+      return res.status(result.statusCode).json({
         success: false,
-        message: "Request not found"
+        message: result.message
       });
     }
 
@@ -587,7 +381,6 @@ export const deleteRequest = async (req, res) => {
 };
 
 export default {
-  createRequest,
   getAllRequests,
   getUrgentRequests,
   getRequestById,
@@ -596,11 +389,6 @@ export default {
   getRequestsByBloodBank,
   approveRequest,
   assignBloodBank,
-  updateResponse,
-  startProcessing,
-  fulfillRequest,
-  rejectRequest,
-  cancelRequest,
   addCommunicationLog,
   getRequestStatistics,
   getAverageResponseTime,
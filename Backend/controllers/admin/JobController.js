@@ -0,0 +1,121 @@
+import ScheduledJob from "../../models/admin/ScheduledJob.js";
+import JobRun from "../../models/admin/JobRun.js";
+import JobScheduler from "../../services/JobScheduler.js";
+
+// #region Job Controller
+export const getAllJobs = async (req, res) => {
+  try {
+    const jobs = await ScheduledJob.findAll();
+
+    return res.status(200).json({
+      success: true,
+      message: "Jobs retrieved successfully",
+      data: jobs.map((job) => ({
+        ...job,
+        isRegistered: JobScheduler.isRegistered(job.name)
+      }))
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving jobs",
+      error: error.message
+    });
+  }
+};
+
+export const getJobRuns = async (req, res) => {
+  try {
+    const { name } = req.params;
+    const { page = 1, limit = 20 } = req.query;
+
+    const job = await ScheduledJob.findByName(name);
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found"
+      });
+    }
+
+    const result = await JobRun.findByJobName(name, {
+      page: parseInt(page),
+      limit: parseInt(limit)
+    });
+
+    return res.status(200).json({
+      success: true,
+      message: "Job runs retrieved successfully",
+      data: result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving job runs",
+      error: error.message
+    });
+  }
+};
+
+const setJobPaused = (isPaused) => async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const job = await ScheduledJob.setPaused(name, isPaused, req.user?.email || "admin");
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Job not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: isPaused ? "Job paused successfully" : "Job resumed successfully",
+      data: job
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: isPaused ? "Error pausing job" : "Error resuming job",
+      error: error.message
+    });
+  }
+};
+
+export const pauseJob = setJobPaused(true);
+
+export const resumeJob = setJobPaused(false);
+
+export const triggerJob = async (req, res) => {
+  try {
+    const { name } = req.params;
+
+    const result = await JobScheduler.trigger(name, req.user?.email || "admin");
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(202).json({
+      success: true,
+      message: "Job run started",
+      data: result.run
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error triggering job",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getAllJobs,
+  getJobRuns,
+  pauseJob,
+  resumeJob,
+  triggerJob
+};
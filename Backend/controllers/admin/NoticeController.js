@@ -0,0 +1,87 @@
+import AdminNotice from "../../models/admin/AdminNotice.js";
+import Admin from "../../models/admin/Admin.js";
+import AdminNotices from "../../services/AdminNotices.js";
+
+// #region Notice Controller
+export const sendNotice = async (req, res) => {
+  try {
+    const admin = await Admin.findByEmail(req.user.email);
+
+    const result = await AdminNotices.send(req.body, {
+      adminCode: req.user.adminCode,
+      name: admin?.name || "",
+      email: req.user.email
+    });
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(201).json({
+      success: true,
+      message: `Notice sent to ${result.notice.recipientCount} organization(s)`,
+      data: result.notice
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error sending notice",
+      error: error.message
+    });
+  }
+};
+
+export const getNotices = async (req, res) => {
+  try {
+    const { priority, scope, page = 1, limit = 20 } = req.query;
+
+    const result = await AdminNotice.findAll(
+      { priority, scope },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Notices retrieved successfully",
+      data: result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving notices",
+      error: error.message
+    });
+  }
+};
+
+export const getNoticeTracking = async (req, res) => {
+  try {
+    const result = await AdminNotices.getTracking(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Notice retrieved successfully",
+      data: { notice: result.notice, recipients: result.recipients, summary: result.summary }
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving notice",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  sendNotice,
+  getNotices,
+  getNoticeTracking
+};
@@ -0,0 +1,132 @@
+import NotificationDelivery from "../../models/admin/NotificationDelivery.js";
+import Admin from "../../models/admin/Admin.js";
+import NotificationDispatcher from "../../services/NotificationDispatcher.js";
+import RealtimeHub from "../../services/RealtimeHub.js";
+import { mergePreferences, resolvePreferences } from "../../services/NotificationPreferences.js";
+
+// #region Notification Controller
+export const getDeliveries = async (req, res) => {
+  try {
+    const { status, channel, event, organizationId, requestId, page = 1, limit = 20 } = req.query;
+
+    const result = await NotificationDelivery.findAll(
+      { status, channel, event, organizationId, requestId },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    return res.status(200).json({
+      success: true,
+      message: "Deliveries retrieved successfully",
+      data: result
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving deliveries",
+      error: error.message
+    });
+  }
+};
+
+export const getDeliveryById = async (req, res) => {
+  try {
+    const delivery = await NotificationDelivery.findById(req.params.id);
+    if (!delivery) {
+      return res.status(404).json({
+        success: false,
+        message: "Delivery not found"
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: "Delivery retrieved successfully",
+      data: delivery
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving delivery",
+      error: error.message
+    });
+  }
+};
+
+export const retryDelivery = async (req, res) => {
+  try {
+    const result = await NotificationDispatcher.retryDelivery(req.params.id);
+    if (!result.success) {
+      return res.status(result.statusCode || 400).json({
+        success: false,
+        message: result.message
+      });
+    }
+
+    return res.status(200).json({
+      success: true,
+      message: `Delivery retried: ${result.delivery.status}`,
+      data: result.delivery
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrying delivery",
+      error: error.message
+    });
+  }
+};
+
+export const getPreferences = async (req, res) => {
+  try {
+    const admin = await Admin.findByEmail(req.user.email);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences retrieved successfully",
+      data: resolvePreferences(admin?.notificationPreferences)
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error retrieving notification preferences",
+      error: error.message
+    });
+  }
+};
+
+export const updatePreferences = async (req, res) => {
+  try {
+    const admin = await Admin.findByEmail(req.user.email);
+
+    const { preferences, error } = mergePreferences(req.body, admin?.notificationPreferences);
+    if (error) {
+      return res.status(400).json({
+        success: false,
+        message: error
+      });
+    }
+
+    const saved = await Admin.updateNotificationPreferences(req.user.email, preferences);
+    RealtimeHub.updatePreferences(req.user.adminCode, saved);
+
+    return res.status(200).json({
+      success: true,
+      message: "Notification preferences updated successfully",
+      data: saved
+    });
+  } catch (error) {
+    return res.status(500).json({
+      success: false,
+      message: "Error updating notification preferences",
+      error: error.message
+    });
+  }
+};
+
+export default {
+  getDeliveries,
+  getDeliveryById,
+  retryDelivery,
+  getPreferences,
+  updatePreferences
+};
@@ -1,6 +1,20 @@
 import { getDB } from "../../config/db.js";
 import bcrypt from "bcryptjs";
-import jwt from "jsonwebtoken";
+import { SUBJECT_TYPES, getDevice } from "../../services/Sessions.js";
+import TwoFactor from "../../services/TwoFactor.js";
+import LoginProtection from "../../services/LoginProtection.js";
+
+// A refused login; a lock also says when to come back
+const sendLoginFailure = (res, result) => {
+  if (result.retryAfter) {
+    res.set("Retry-After", String(result.retryAfter));
+  }
+  res.status(result.statusCode).json({
+    success: false,
+    message: result.message,
+    ...(result.lockedUntil && { data: { lockedUntil: result.lockedUntil } })
+  });
+};
 
 export const createSuperAdminLogin = async (req, res) => {
   try {
@@ -14,14 +28,18 @@ export const createSuperAdminLogin = async (req, res) => {
       });
     }
 
+    const device = getDevice(req);
+    const identity = LoginProtection.identity(SUBJECT_TYPES.ADMIN, email);
+    const lock = await LoginProtection.check(identity);
+    if (!lock.success) {
+      return sendLoginFailure(res, lock);
+    }
+
     const db = getDB();
     const admin = await db.collection("admins").findOne({ email: email.toLowerCase() });
 
     if (!admin) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials"
-      });
+      return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device));
     }
 
     if (!admin.isActive) {
@@ -31,24 +49,23 @@ export const createSuperAdminLogin = async (req, res) => {
       });
     }
 
+    const account = { subjectId: admin._id.toString(), name: admin.name, email: admin.email, role: admin.role };
+
     const isMatch = await bcrypt.compare(password, admin.password);
     if (!isMatch) {
-      return res.status(401).json({
-        success: false,
-        message: "Invalid credentials"
-      });
+      return sendLoginFailure(res, await LoginProtection.recordFailure(identity, device, account));
     }
 
-    const token = jwt.sign(
+    const session = await TwoFactor.login(
+      SUBJECT_TYPES.ADMIN,
       {
-        id: admin._id,
+        id: admin._id.toString(),
         email: admin.email,
         adminCode: admin.adminCode,
         role: "SUPERADMIN",
         permissions: admin.permissions
       },
-      process.env.JWT_SECRET || "superadmin_jwt_secret",
-      { expiresIn: "24h" }
+      device
     );
 
     const adminData = {
@@ -58,14 +75,33 @@ export const createSuperAdminLogin = async (req, res) => {
       email: admin.email,
       role: admin.role,
       isActive: admin.isActive,
-      permissions: admin.permissions
+      permissions: admin.permissions,
+      twoFactorSetupRequired: session.twoFactorSetupRequired === true
     };
 
+    // Two-factor on: the session starts at POST /api/auth/2fa/verify
+    if (session.twoFactorRequired) {
+      return res.status(200).json({
+        success: true,
+        message: "Enter the code from your authenticator app",
+        data: {
+          twoFactorRequired: true,
+          challengeToken: session.challengeToken,
+          expiresIn: session.expiresIn,
+          admin: adminData
+        }
+      });
+    }
+
+    await LoginProtection.recordSuccess(identity, account, device);
+
     res.status(200).json({
       success: true,
       message: "Superadmin login successful",
       data: {
-        token,
+        token: session.token,
+        refreshToken: session.refreshToken,
+        expiresIn: session.expiresIn,
         admin: adminData
       }
     });
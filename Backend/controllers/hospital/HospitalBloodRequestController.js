@@ -1,4 +1,80 @@
 import HospitalBloodRequest from "../../models/hospital/HospitalBloodRequest.js";
+import Incident, { INCIDENT_STATUS } from "../../models/hospital/Incident.js";
+import ColdChainReading from "../../models/hospital/ColdChainReading.js";
+import EscalationEngine from "../../services/EscalationEngine.js";
+import ColdChainMonitor from "../../services/ColdChainMonitor.js";
+
+const VALID_BLOOD_GROUPS = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
+const VALID_URGENCIES = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
+const VALID_COMPONENTS = ["WHOLE_BLOOD", "PLASMA", "PLATELETS", "RBC"];
+
+// Upper bound on the items of one bulk incident request
+const MAX_INCIDENT_ITEMS = 20;
+
+/**
+ * Acting user for statusHistory and request events
+ */
+const getActor = (req) => ({
+    code: req.user?.userCode || null,
+    role: req.user?.role || null
+});
+
+/**
+ * Validate the blood fields of a request payload
+ * @returns {string|null} Error message, or null if valid
+ */
+const validateRequestFields = ({ bloodGroup, component, unitsRequired, urgency, allowSubstitutes }) => {
+    if (!bloodGroup || !unitsRequired) {
+        return "Blood group and units required are mandatory";
+    }
+    if (!Number.isInteger(unitsRequired) || unitsRequired <= 0) {
+        return "Units required must be a positive whole number";
+    }
+    if (!VALID_BLOOD_GROUPS.includes(bloodGroup)) {
+        return "Invalid blood group";
+    }
+    if (urgency && !VALID_URGENCIES.includes(urgency)) {
+        return "Invalid urgency level";
+    }
+    if (component && !VALID_COMPONENTS.includes(component)) {
+        return "Invalid blood component";
+    }
+    // Compatible substitutes are an emergency opt-in
+    if (allowSubstitutes && !["CRITICAL", "HIGH"].includes(urgency)) {
+        return "Compatible substitutes can only be requested for CRITICAL or HIGH urgency";
+    }
+    return null;
+};
+
+/**
+ * Dispatch input from a blood bank (request or allocation)
+ */
+const parseDispatchInput = (body) => ({
+    mode: body.mode,
+    courier: body.courier || null,
+    pickup: body.pickup || null,
+    units: parseInt(body.units),
+    batchNumbers: body.batchNumbers,
+    expiryDates: body.expiryDates,
+    temperatureRange: body.temperatureRange
+        ? { minC: Number(body.temperatureRange.minC), maxC: Number(body.temperatureRange.maxC) }
+        : null,
+    expectedDeliveryTime: body.expectedDeliveryTime || null,
+    location: body.location || null,
+    notes: body.notes || ""
+});
+
+/**
+ * Receipt input from the hospital; unitsFulfilled is accepted for older clients
+ */
+const parseReceiptInput = (body) => {
+    const units = body.unitsReceived ?? body.unitsFulfilled;
+    return {
+        unitsReceived: units === undefined || units === null || units === "" ? undefined : parseInt(units),
+        location: body.location || null,
+        notes: body.notes || body.remarks || ""
+    };
+};
 
 export class HospitalBloodRequestController {
     // #region RequestCrud
@@ -6,41 +82,48 @@ export class HospitalBloodRequestController {
     /**
      * Create a new blood request
      * POST /api/hospital-blood-requests
+     * bloodBankId is optional - without it the request is fanned out to the
+     * nearest blood banks by the escalation engine.
+     * Payloads with incidentId (or a bulk `items` list) are handled by
+     * createIncidentRequests.
      */
     static async createRequest(req, res) {
+        if (req.body.incidentId || req.body.items) {
+            return HospitalBloodRequestController.createIncidentRequests(req, res);
+        }
+
         try {
             const {
                 hospitalId,
                 bloodBankId,
                 bloodGroup,
+                component,
                 unitsRequired,
                 urgency,
+                allowSubstitutes,
+                allowSplit,
                 notes
             } = req.body;
 
             // Validate required fields
-            if (!hospitalId || !bloodBankId || !bloodGroup || !unitsRequired) {
-                return res.status(400).json({
-                    success: false,
-                    message: "Hospital ID, Blood Bank ID, blood group, and units required are mandatory"
-                });
-            }
-
-            // Validate blood group
-            const validBloodGroups = ["A+", "A-", "B+", "B-", "AB+", "AB-", "O+", "O-"];
-            if (!validBloodGroups.includes(bloodGroup)) {
+            if (!hospitalId || !bloodGroup || !unitsRequired) {
                 return res.status(400).json({
                     success: false,
-                    message: "Invalid blood group"
+                    message: "Hospital ID, blood group, and units required are mandatory"
                 });
             }
 
-            // Validate urgency
-            const validUrgencies = ["CRITICAL", "HIGH", "MEDIUM", "LOW"];
-            if (urgency && !validUrgencies.includes(urgency)) {
+            const validationError = validateRequestFields({
+                bloodGroup,
+                component,
+                unitsRequired,
+                urgency,
+                allowSubstitutes
+            });
+            if (validationError) {
                 return res.status(400).json({
                     success: false,
-                    message: "Invalid urgency level"
+                    message: validationError
                 });
             }
 
@@ -48,12 +131,17 @@ export class HospitalBloodRequestController {
                 hospitalId,
                 bloodBankId,
                 bloodGroup,
+                component: component || "WHOLE_BLOOD",
                 unitsRequired,
                 urgency: urgency || "MEDIUM",
+                allowSubstitutes: Boolean(allowSubstitutes),
+                allowSplit: Boolean(allowSplit),
                 hospitalNotes: notes || ""
             };
 
-            const request = await HospitalBloodRequest.create(requestData);
+            const request = await HospitalBloodRequest.create(requestData, getActor(req));
+
+            await EscalationEngine.start(request);
 
             res.status(201).json({
                 success: true,
@@ -70,6 +158,100 @@ export class HospitalBloodRequestController {
         }
     }
 
+    /**
+     * Create the blood requests of a mass-casualty incident in one call
+     * POST /api/hospital-blood-requests
+     * Body: { hospitalId, incidentId, notes, items: [{ bloodGroup, component,
+     * unitsRequired, allowSubstitutes, allowSplit, notes }] } - a single-request
+     * payload with incidentId is treated as one item.
+     * Each item becomes its own CRITICAL request (split across banks unless
+     * allowSplit is false), ranked above ordinary requests and sent straight to
+     * the blood banks notified when the incident was declared.
+     */
+    static async createIncidentRequests(req, res) {
+        try {
+            const { hospitalId, incidentId, notes } = req.body;
+            const items = req.body.items ?? [req.body];
+
+            if (!hospitalId || !incidentId) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Hospital ID and incident ID are mandatory for incident requests"
+                });
+            }
+
+            if (!Array.isArray(items) || items.length === 0 || items.length > MAX_INCIDENT_ITEMS) {
+                return res.status(400).json({
+                    success: false,
+                    message: `Items must be a list of 1 to ${MAX_INCIDENT_ITEMS} blood requests`
+                });
+            }
+
+            // Reject the whole batch before creating anything
+            for (const [index, item] of items.entries()) {
+                const validationError = validateRequestFields({ ...item, urgency: "CRITICAL" });
+                if (validationError) {
+                    return res.status(400).json({
+                        success: false,
+                        message: `Item ${index + 1}: ${validationError}`
+                    });
+                }
+            }
+
+            const incident = await Incident.findById(incidentId);
+            if (!incident || incident.hospitalId.toString() !== hospitalId) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Incident not found"
+                });
+            }
+
+            if (incident.status !== INCIDENT_STATUS.ACTIVE) {
+                return res.status(409).json({
+                    success: false,
+                    message: "Incident is closed"
+                });
+            }
+
+            const actor = getActor(req);
+            const requests = [];
+            for (const item of items) {
+                requests.push(await HospitalBloodRequest.create({
+                    hospitalId,
+                    incidentId,
+                    bloodGroup: item.bloodGroup,
+                    component: item.component || "WHOLE_BLOOD",
+                    unitsRequired: item.unitsRequired,
+                    urgency: "CRITICAL",
+                    allowSubstitutes: Boolean(item.allowSubstitutes),
+                    allowSplit: item.allowSplit !== false,
+                    notifiedBloodBankIds: incident.notifiedBloodBankIds,
+                    hospitalNotes: item.notes || notes || ""
+                }, actor));
+            }
+
+            await Incident.addRequests(incidentId, requests.map((request) => request._id));
+
+            await Promise.all(requests.map((request) => EscalationEngine.start(request)));
+
+            res.status(201).json({
+                success: true,
+                message: `${requests.length} incident blood request(s) created successfully`,
+                data: {
+                    incidentId: incident._id,
+                    requests
+                }
+            });
+        } catch (error) {
+            console.error("Error creating incident blood requests:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to create incident blood requests",
+                error: error.message
+            });
+        }
+    }
+
     /**
      * Get request by ID
      * GET /api/hospital-blood-requests/:id
@@ -208,30 +390,28 @@ export class HospitalBloodRequestController {
     }
 
     /**
-     * Update request
+     * Update the details of a pending request
      * PUT /api/hospital-blood-requests/:id
+     * Body: { hospitalNotes?, specialRequirements?, patientAge?, patientGender?, medicalCondition?,
+     *         department?, requiredBy?, expectedDeliveryTime?, deliveryAddress? }
      */
     static async updateRequest(req, res) {
         try {
             const { id } = req.params;
-            const updateData = req.body;
 
-            const success = await HospitalBloodRequest.updateById(id, updateData);
+            const result = await HospitalBloodRequest.updateById(id, req.body);
 
-            if (!success) {
-                return res.status(404).json({
+            if (!result.success) {
+                return res.status(result.statusCode).json({
                     success: false,
-                    message: "Blood request not found"
+                    message: result.message
                 });
             }
 
-            // Fetch the updated request
-            const request = await HospitalBloodRequest.findById(id);
-
             res.status(200).json({
                 success: true,
                 message: "Blood request updated successfully",
-                data: request
+                data: result.request
             });
         } catch (error) {
             console.error("Error updating blood request:", error);
@@ -250,24 +430,29 @@ export class HospitalBloodRequestController {
     static async acceptRequest(req, res) {
         try {
             const { id } = req.params;
-            const { bloodBankResponse } = req.body;
+            const { bloodBankResponse, bloodBankId, bloodGroup, units } = req.body;
 
-            const success = await HospitalBloodRequest.acceptRequest(id, bloodBankResponse || "");
+            // On split requests this claims `units` (default: all unallocated)
+            const result = await HospitalBloodRequest.acceptRequest(
+                id,
+                bloodBankResponse || "",
+                bloodBankId || null,
+                getActor(req),
+                bloodGroup || null,
+                units !== undefined ? parseInt(units) : null
+            );
 
-            if (!success) {
-                return res.status(404).json({
+            if (!result.success) {
+                return res.status(result.statusCode).json({
                     success: false,
-                    message: "Blood request not found or already processed"
+                    message: result.message
                 });
             }
 
-            // Fetch the updated request
-            const request = await HospitalBloodRequest.findById(id);
-
             res.status(200).json({
                 success: true,
                 message: "Blood request accepted",
-                data: request
+                data: result.request
             });
         } catch (error) {
             console.error("Error accepting blood request:", error);
@@ -282,28 +467,31 @@ export class HospitalBloodRequestController {
     /**
      * Reject request (Blood Bank action)
      * POST /api/hospital-blood-requests/:id/reject
+     * A notified bank rejecting a request nobody has taken only declines it.
      */
     static async rejectRequest(req, res) {
         try {
             const { id } = req.params;
-            const { rejectionReason } = req.body;
+            const { rejectionReason, bloodBankId } = req.body;
 
-            const success = await HospitalBloodRequest.rejectRequest(id, rejectionReason || "Not specified");
+            const result = await HospitalBloodRequest.rejectRequest(
+                id,
+                rejectionReason || "Not specified",
+                getActor(req),
+                bloodBankId
+            );
 
-            if (!success) {
-                return res.status(404).json({
+            if (!result.success) {
+                return res.status(result.statusCode).json({
                     success: false,
-                    message: "Blood request not found or already processed"
+                    message: result.message
                 });
             }
 
-            // Fetch the updated request
-            const request = await HospitalBloodRequest.findById(id);
-
             res.status(200).json({
                 success: true,
-                message: "Blood request rejected",
-                data: request
+                message: result.declined ? "Blood request declined" : "Blood request rejected",
+                data: result.request
             });
         } catch (error) {
             console.error("Error rejecting blood request:", error);
@@ -316,55 +504,85 @@ export class HospitalBloodRequestController {
     }
 
     /**
-     * Complete request
-     * POST /api/hospital-blood-requests/:id/complete
+     * Start processing an accepted request (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/process
      */
-    static async completeRequest(req, res) {
+    static async startProcessing(req, res) {
         try {
             const { id } = req.params;
-            const { unitsFulfilled } = req.body;
+            const { staffId } = req.body;
 
-            const success = await HospitalBloodRequest.fulfillRequest(id, unitsFulfilled);
+            const result = await HospitalBloodRequest.startProcessing(id, staffId || null, getActor(req));
 
-            if (!success) {
-                return res.status(404).json({
+            if (!result.success) {
+                return res.status(result.statusCode).json({
                     success: false,
-                    message: "Blood request not found or not in ACCEPTED status"
+                    message: result.message
                 });
             }
 
-            // Fetch the updated request
-            const request = await HospitalBloodRequest.findById(id);
+            res.status(200).json({
+                success: true,
+                message: "Blood request processing started",
+                data: result.request
+            });
+        } catch (error) {
+            console.error("Error starting blood request processing:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to start processing blood request",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Cancel request (Hospital action)
+     * POST /api/hospital-blood-requests/:id/cancel
+     */
+    static async cancelRequest(req, res) {
+        try {
+            const { id } = req.params;
+            const { cancellationReason } = req.body;
+
+            const result = await HospitalBloodRequest.cancelRequest(id, cancellationReason || "", getActor(req));
+
+            if (!result.success) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.message
+                });
+            }
 
             res.status(200).json({
                 success: true,
-                message: "Blood request marked as completed",
-                data: request
+                message: "Blood request cancelled",
+                data: result.request
             });
         } catch (error) {
-            console.error("Error completing blood request:", error);
+            console.error("Error cancelling blood request:", error);
             res.status(500).json({
                 success: false,
-                message: "Failed to complete blood request",
+                message: "Failed to cancel blood request",
                 error: error.message
             });
         }
     }
 
     /**
-     * Delete request
+     * Delete a request that holds no stock (pending or closed)
      * DELETE /api/hospital-blood-requests/:id
      */
     static async deleteRequest(req, res) {
         try {
             const { id } = req.params;
 
-            const success = await HospitalBloodRequest.deleteById(id);
+            const result = await HospitalBloodRequest.deleteById(id);
 
-            if (!success) {
-                return res.status(404).json({
+            if (!result.success) {
+                return res.status(result.statusCode).json({
                     success: false,
-                    message: "Blood request not found"
+                    message: result.message
                 });
             }
 
@@ -382,6 +600,418 @@ export class HospitalBloodRequestController {
         }
     }
 
+    // #region Dispatch
+
+    /**
+     * Shared response handling for dispatch actions
+     */
+    static sendTransitionResult(res, result, successMessage) {
+        if (!result.success) {
+            return res.status(result.statusCode).json({
+                success: false,
+                message: result.message
+            });
+        }
+
+        res.status(200).json({
+            success: true,
+            message: successMessage,
+            data: result.request
+        });
+    }
+
+    /**
+     * Dispatch the units of a request (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/dispatch
+     * Body: { mode: COURIER|PICKUP, courier: { name, phone, vehicleNumber, trackingId },
+     *         pickup: { collectorName, collectorPhone }, units, batchNumbers, expiryDates,
+     *         temperatureRange: { minC, maxC }, expectedDeliveryTime, location, notes }
+     * Units are issued from stock here; the request is fulfilled once the
+     * hospital confirms receipt.
+     */
+    static async dispatchRequest(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await HospitalBloodRequest.dispatchRequest(
+                id,
+                parseDispatchInput(req.body),
+                getActor(req)
+            );
+
+            return HospitalBloodRequestController.sendTransitionResult(res, result, "Blood units dispatched");
+        } catch (error) {
+            console.error("Error dispatching blood request:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to dispatch blood request",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Confirm receipt of dispatched units (Hospital action)
+     * POST /api/hospital-blood-requests/:id/complete
+     * Body: { unitsReceived, location, remarks }; marks the request FULFILLED
+     */
+    static async confirmReceipt(req, res) {
+        try {
+            const { id } = req.params;
+
+            const result = await HospitalBloodRequest.confirmReceipt(id, parseReceiptInput(req.body), getActor(req));
+
+            return HospitalBloodRequestController.sendTransitionResult(res, result, "Blood receipt confirmed");
+        } catch (error) {
+            console.error("Error confirming blood receipt:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to confirm blood receipt",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Record an in-transit checkpoint (Blood Bank / courier action)
+     * POST /api/hospital-blood-requests/:id/dispatch/checkpoints
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch/checkpoints
+     * Body: { location, notes }
+     */
+    static async addDispatchCheckpoint(req, res) {
+        try {
+            const { id, allocationId } = req.params;
+            const { location, notes } = req.body;
+
+            const request = await HospitalBloodRequest.addDispatchCheckpoint(
+                id,
+                allocationId || null,
+                { location, notes },
+                getActor(req)
+            );
+
+            if (!request) {
+                return res.status(409).json({
+                    success: false,
+                    message: "No dispatch in transit for this request"
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: "Checkpoint recorded",
+                data: request
+            });
+        } catch (error) {
+            console.error("Error recording dispatch checkpoint:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to record checkpoint",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Record temperature readings for units in transit (device or simulated feed)
+     * POST /api/hospital-blood-requests/:id/dispatch/readings
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch/readings
+     * Body: { deviceId, source: DEVICE|SIMULATED, readings: [{ temperatureC, recordedAt, bagId }] }
+     */
+    static async recordTemperatureReadings(req, res) {
+        try {
+            const { id, allocationId } = req.params;
+            const { readings, deviceId, source } = req.body;
+
+            const result = await ColdChainMonitor.recordReadings(id, allocationId || null, readings, {
+                deviceId,
+                source
+            });
+
+            if (!result.success) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: result.excursions > 0
+                    ? `${result.excursions} reading(s) out of range, units flagged`
+                    : "Readings recorded",
+                data: {
+                    stored: result.stored,
+                    excursions: result.excursions,
+                    flaggedUnits: result.flagged
+                }
+            });
+        } catch (error) {
+            console.error("Error recording temperature readings:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to record temperature readings",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get a dispatch with its temperature trace
+     * GET /api/hospital-blood-requests/:id/dispatch?page=1&limit=100
+     * GET /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch
+     */
+    static async getDispatch(req, res) {
+        try {
+            const { id, allocationId } = req.params;
+            const { page, limit } = req.query;
+
+            const found = await HospitalBloodRequest.findDispatch(id, allocationId || null);
+            if (!found || !found.dispatch) {
+                return res.status(404).json({
+                    success: false,
+                    message: found ? "Units have not been dispatched" : "Blood request not found"
+                });
+            }
+
+            const trace = await ColdChainReading.findByDispatch(id, allocationId || null, {
+                page: parseInt(page) || 1,
+                limit: parseInt(limit) || 100
+            });
+
+            res.status(200).json({
+                success: true,
+                data: { ...found.dispatch, ...trace }
+            });
+        } catch (error) {
+            console.error("Error fetching dispatch:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to fetch dispatch",
+                error: error.message
+            });
+        }
+    }
+
+    // #region Allocations
+
+    /**
+     * Split a request across blood banks (Hospital action)
+     * POST /api/hospital-blood-requests/:id/allocations
+     * Body: { allocations: [{ bloodBankId, units }] }
+     */
+    static async allocateRequest(req, res) {
+        try {
+            const { id } = req.params;
+            const { allocations } = req.body;
+
+            if (!Array.isArray(allocations) || allocations.length === 0) {
+                return res.status(400).json({
+                    success: false,
+                    message: "At least one allocation is required"
+                });
+            }
+
+            const entries = allocations.map((allocation) => ({
+                bloodBankId: allocation.bloodBankId,
+                units: parseInt(allocation.units)
+            }));
+            if (entries.some((entry) => !entry.bloodBankId || !Number.isInteger(entry.units) || entry.units <= 0)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Each allocation needs a blood bank ID and a positive number of units"
+                });
+            }
+
+            const result = await HospitalBloodRequest.allocate(id, entries, getActor(req));
+
+            if (!result.success) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: "Blood request split across blood banks",
+                data: result.request
+            });
+        } catch (error) {
+            console.error("Error allocating blood request:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to allocate blood request",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Take on part of a split request (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/allocations/claim
+     * Body: { bloodBankId, units?, bloodGroup?, bloodBankResponse? }
+     */
+    static async claimAllocation(req, res) {
+        try {
+            const { id } = req.params;
+            const { bloodBankId, units, bloodGroup, bloodBankResponse } = req.body;
+
+            const result = await HospitalBloodRequest.claimAllocation(
+                id,
+                {
+                    bloodBankId,
+                    units: units !== undefined ? parseInt(units) : undefined,
+                    bloodGroup: bloodGroup || null,
+                    response: bloodBankResponse || ""
+                },
+                getActor(req)
+            );
+
+            if (!result.success) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+
+            res.status(201).json({
+                success: true,
+                message: `${result.allocation.units} unit(s) allocated to your blood bank`,
+                data: result.request
+            });
+        } catch (error) {
+            console.error("Error claiming allocation:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to claim allocation",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Shared response handling for allocation actions
+     */
+    static async applyAllocationAction(req, res, action, context, successMessage) {
+        try {
+            const { id, allocationId } = req.params;
+
+            const result = await HospitalBloodRequest.transitionAllocation(
+                id,
+                allocationId,
+                action,
+                context,
+                getActor(req)
+            );
+
+            if (!result.success) {
+                return res.status(result.statusCode).json({
+                    success: false,
+                    message: result.message
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: successMessage,
+                data: result.request
+            });
+        } catch (error) {
+            console.error(`Error applying ${action} to allocation:`, error);
+            res.status(500).json({
+                success: false,
+                message: `Failed to ${action} allocation`,
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Accept an allocation (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/accept
+     */
+    static async acceptAllocation(req, res) {
+        const { bloodBankId, bloodGroup, bloodBankResponse } = req.body;
+        return HospitalBloodRequestController.applyAllocationAction(
+            req,
+            res,
+            "accept",
+            { bloodBankId: bloodBankId || null, bloodGroup: bloodGroup || null, response: bloodBankResponse || "" },
+            "Allocation accepted"
+        );
+    }
+
+    /**
+     * Reject an allocation (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/reject
+     */
+    static async rejectAllocation(req, res) {
+        return HospitalBloodRequestController.applyAllocationAction(
+            req,
+            res,
+            "reject",
+            { reason: req.body.rejectionReason || "Not specified" },
+            "Allocation rejected"
+        );
+    }
+
+    /**
+     * Confirm receipt of an allocation's units (Hospital action)
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/fulfill
+     * Body: { unitsReceived, location, remarks }
+     */
+    static async fulfillAllocation(req, res) {
+        try {
+            const { id, allocationId } = req.params;
+
+            const result = await HospitalBloodRequest.confirmAllocationReceipt(
+                id,
+                allocationId,
+                parseReceiptInput(req.body),
+                getActor(req)
+            );
+
+            return HospitalBloodRequestController.sendTransitionResult(res, result, "Allocation receipt confirmed");
+        } catch (error) {
+            console.error("Error confirming allocation receipt:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to confirm allocation receipt",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Withdraw an allocation (Hospital action)
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/cancel
+     */
+    static async cancelAllocation(req, res) {
+        return HospitalBloodRequestController.applyAllocationAction(
+            req,
+            res,
+            "cancel",
+            { reason: req.body.cancellationReason || "" },
+            "Allocation cancelled"
+        );
+    }
+
+    /**
+     * Dispatch an accepted allocation's units (Blood Bank action)
+     * POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch
+     * Body: same as POST /:id/dispatch
+     */
+    static async dispatchAllocation(req, res) {
+        return HospitalBloodRequestController.applyAllocationAction(
+            req,
+            res,
+            "dispatch",
+            parseDispatchInput(req.body),
+            "Allocation dispatched"
+        );
+    }
+
     // #region Statistics
 
     /**
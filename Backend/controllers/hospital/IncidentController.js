@@ -0,0 +1,217 @@
+import Incident from "../../models/hospital/Incident.js";
+import HospitalBloodRequest from "../../models/hospital/HospitalBloodRequest.js";
+import { Organization } from "../../models/organization/Organization.js";
+import Alert from "../../models/admin/Alert.js";
+import EscalationEngine from "../../services/EscalationEngine.js";
+
+/**
+ * Acting user recorded on the incident
+ */
+const getActor = (req) => ({
+    code: req.user?.userCode || null,
+    role: req.user?.role || null
+});
+
+export class IncidentController {
+    // #region IncidentLifecycle
+
+    /**
+     * Declare a mass-casualty incident
+     * POST /api/hospital-incidents
+     * Every verified blood bank in the hospital's city is notified and the
+     * incident is pinned on the super admin dashboard until closed. Blood is
+     * then requested in bulk via POST /api/hospital-blood-requests with the
+     * returned incidentId.
+     */
+    static async declareIncident(req, res) {
+        try {
+            const { hospitalId, title, description, patientCount } = req.body;
+
+            if (!hospitalId || !title) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Hospital ID and incident title are mandatory"
+                });
+            }
+
+            if (patientCount !== undefined && (!Number.isInteger(patientCount) || patientCount < 1)) {
+                return res.status(400).json({
+                    success: false,
+                    message: "Patient count must be a positive integer"
+                });
+            }
+
+            const hospital = await Organization.findById(hospitalId);
+            if (!hospital || hospital.type !== "hospital") {
+                return res.status(404).json({
+                    success: false,
+                    message: "Hospital not found"
+                });
+            }
+
+            const bloodBanks = await EscalationEngine.findCityBloodBanks(hospital);
+
+            const incident = await Incident.create({
+                hospitalId,
+                title,
+                description,
+                patientCount,
+                city: hospital.location?.city || null,
+                notifiedBloodBankIds: bloodBanks.map((bloodBank) => bloodBank._id)
+            }, getActor(req));
+
+            await Alert.create({
+                type: "MASS_CASUALTY_INCIDENT",
+                title: `Mass-casualty incident: ${title}`,
+                message:
+                    `${hospital.name || "Hospital"} declared an incident` +
+                    `${patientCount ? ` with ${patientCount} patient(s)` : ""}. ` +
+                    `${bloodBanks.length} blood bank(s) in ${incident.city || "the city"} notified.`,
+                severity: "CRITICAL",
+                relatedEntity: {
+                    incidentId: incident._id,
+                    hospitalId: incident.hospitalId,
+                    bloodBankIds: incident.notifiedBloodBankIds
+                },
+                relatedEntityType: "INCIDENT",
+                createdBy: req.user?.userCode || "system"
+            });
+
+            res.status(201).json({
+                success: true,
+                message: "Incident declared successfully",
+                data: incident
+            });
+        } catch (error) {
+            console.error("Error declaring incident:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to declare incident",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get incident by ID with its blood requests
+     * GET /api/hospital-incidents/:id
+     */
+    static async getIncidentById(req, res) {
+        try {
+            const { id } = req.params;
+
+            const incident = await Incident.findById(id);
+            if (!incident) {
+                return res.status(404).json({
+                    success: false,
+                    message: "Incident not found"
+                });
+            }
+
+            const requests = await HospitalBloodRequest.findByIncidentId(id);
+
+            res.status(200).json({
+                success: true,
+                data: { ...incident, requests }
+            });
+        } catch (error) {
+            console.error("Error fetching incident:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to fetch incident",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get all incidents declared by a hospital
+     * GET /api/hospital-incidents/hospital/:hospitalId?status=ACTIVE&page=1&limit=10
+     */
+    static async getIncidentsByHospital(req, res) {
+        try {
+            const { hospitalId } = req.params;
+            const { status, page, limit } = req.query;
+
+            const filters = {};
+            if (status) filters.status = status;
+
+            const pagination = {
+                page: parseInt(page) || 1,
+                limit: parseInt(limit) || 10
+            };
+
+            const result = await Incident.findByHospitalId(hospitalId, filters, pagination);
+
+            res.status(200).json({
+                success: true,
+                data: result
+            });
+        } catch (error) {
+            console.error("Error fetching hospital incidents:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to fetch incidents",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Get active incidents a blood bank was notified of
+     * GET /api/hospital-incidents/blood-bank/:bloodBankId/active
+     */
+    static async getActiveIncidentsForBloodBank(req, res) {
+        try {
+            const { bloodBankId } = req.params;
+
+            const incidents = await Incident.findActiveByBloodBankId(bloodBankId);
+
+            res.status(200).json({
+                success: true,
+                data: incidents
+            });
+        } catch (error) {
+            console.error("Error fetching blood bank incidents:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to fetch incidents",
+                error: error.message
+            });
+        }
+    }
+
+    /**
+     * Close an incident
+     * POST /api/hospital-incidents/:id/close
+     * Open requests raised under the incident are left running.
+     */
+    static async closeIncident(req, res) {
+        try {
+            const { id } = req.params;
+            const { closureNotes } = req.body;
+
+            const incident = await Incident.close(id, closureNotes || "", getActor(req));
+            if (!incident) {
+                const existing = await Incident.findById(id);
+                return res.status(existing ? 409 : 404).json({
+                    success: false,
+                    message: existing ? "Incident is already closed" : "Incident not found"
+                });
+            }
+
+            res.status(200).json({
+                success: true,
+                message: "Incident closed successfully",
+                data: incident
+            });
+        } catch (error) {
+            console.error("Error closing incident:", error);
+            res.status(500).json({
+                success: false,
+                message: "Failed to close incident",
+                error: error.message
+            });
+        }
+    }
+}
@@ -0,0 +1,197 @@
+import { Organization } from "../../models/organization/Organization.js";
+import MessageThreads from "../../services/MessageThreads.js";
+
+// #region ResponseHandlers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+/**
+ * The caller as a message sender/reader, or null if their organization is gone
+ */
+const getCaller = async (req) => {
+  const organization = await Organization.findByCode(req.user.organizationCode);
+  if (!organization) return null;
+
+  return {
+    organizationId: organization._id.toString(),
+    organizationCode: organization.organizationCode,
+    organizationName: organization.name,
+    organizationType: organization.type,
+    userCode: req.user.userCode,
+    name: req.user.name || ""
+  };
+};
+
+// #region Threads
+
+/**
+ * Threads the caller's organization takes part in, with the caller's unread counts
+ * GET /api/messages/threads
+ */
+export const getThreads = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const threads = await MessageThreads.listThreads(caller);
+    sendSuccess(res, threads, `Found ${threads.length} conversations`);
+  } catch (error) {
+    console.error(`[ERROR] Get message threads error:`, error.message);
+    sendError(res, `Failed to fetch conversations: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Messages of a request or drive thread
+ * GET /api/messages/:entityType/:entityId?before=<ISO date>&limit=100
+ */
+export const getThreadMessages = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const { entityType, entityId } = req.params;
+    const result = await MessageThreads.list(entityType, entityId, caller, {
+      before: req.query.before,
+      limit: req.query.limit
+    });
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, { thread: result.thread, messages: result.messages }, `Found ${result.messages.length} messages`);
+  } catch (error) {
+    console.error(`[ERROR] Get thread messages error:`, error.message);
+    sendError(res, `Failed to fetch messages: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Post a message
+ * POST /api/messages/:entityType/:entityId
+ * Body: { body, attachmentIds? } (attachments uploaded beforehand)
+ */
+export const postMessage = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const { entityType, entityId } = req.params;
+    const result = await MessageThreads.post(entityType, entityId, caller, {
+      body: req.body.body,
+      attachmentIds: req.body.attachmentIds || []
+    });
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[MESSAGE_POSTED] ${entityType} ${entityId} by ${caller.userCode} (${caller.organizationCode})`);
+    sendSuccess(res, result.message, "Message sent", 201);
+  } catch (error) {
+    console.error(`[ERROR] Post message error:`, error.message);
+    sendError(res, `Failed to send message: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Read receipt for everything in the thread so far
+ * POST /api/messages/:entityType/:entityId/read
+ */
+export const markThreadRead = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const { entityType, entityId } = req.params;
+    const result = await MessageThreads.markRead(entityType, entityId, caller);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, { marked: result.marked }, `${result.marked} messages marked as read`);
+  } catch (error) {
+    console.error(`[ERROR] Mark thread read error:`, error.message);
+    sendError(res, `Failed to mark messages as read: ${error.message}`, 500);
+  }
+};
+
+// #region Attachments
+
+/**
+ * Upload one file to attach to the next message. The raw file is the request
+ * body, with its Content-Type.
+ * POST /api/messages/:entityType/:entityId/attachments?fileName=report.pdf
+ */
+export const uploadAttachment = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const { entityType, entityId } = req.params;
+    const result = await MessageThreads.uploadAttachment(entityType, entityId, caller, {
+      fileName: req.query.fileName,
+      mimeType: (req.headers["content-type"] || "").split(";")[0].trim(),
+      content: Buffer.isBuffer(req.body) ? req.body : null
+    });
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, result.attachment, "Attachment uploaded", 201);
+  } catch (error) {
+    console.error(`[ERROR] Upload attachment error:`, error.message);
+    sendError(res, `Failed to upload attachment: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Download an attachment
+ * GET /api/messages/attachments/:attachmentId
+ */
+export const downloadAttachment = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const result = await MessageThreads.getAttachment(req.params.attachmentId, caller);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    res.type(result.attachment.mimeType);
+    res.download(result.filePath, result.attachment.fileName, (error) => {
+      if (error && !res.headersSent) {
+        sendError(res, "Attachment file is missing", 404);
+      }
+    });
+  } catch (error) {
+    console.error(`[ERROR] Download attachment error:`, error.message);
+    sendError(res, `Failed to download attachment: ${error.message}`, 500);
+  }
+};
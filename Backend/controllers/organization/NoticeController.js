@@ -0,0 +1,123 @@
+import { Organization } from "../../models/organization/Organization.js";
+import AdminNotices from "../../services/AdminNotices.js";
+
+// #region ResponseHandlers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+/**
+ * The caller as a notice reader, or null if their organization is gone
+ */
+const getCaller = async (req) => {
+  const organization = await Organization.findByCode(req.user.organizationCode);
+  if (!organization) return null;
+
+  return {
+    organizationId: organization._id.toString(),
+    organizationName: organization.name,
+    userCode: req.user.userCode,
+    name: req.user.name || ""
+  };
+};
+
+// #region Inbox
+
+/**
+ * Notices sent to the caller's organization, newest first
+ * GET /api/notices
+ */
+export const getInbox = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const inbox = await AdminNotices.inbox(caller);
+    sendSuccess(res, inbox, `Found ${inbox.notices.length} notices`);
+  } catch (error) {
+    console.error(`[ERROR] Get notices error:`, error.message);
+    sendError(res, `Failed to fetch notices: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Notices the caller hasn't opened yet
+ * GET /api/notices/unread-count
+ */
+export const getUnreadCount = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const unreadCount = await AdminNotices.countUnread(caller);
+    sendSuccess(res, { unreadCount }, `${unreadCount} unread notices`);
+  } catch (error) {
+    console.error(`[ERROR] Get unread notice count error:`, error.message);
+    sendError(res, `Failed to count notices: ${error.message}`, 500);
+  }
+};
+
+// #region Actions
+
+/**
+ * Mark a notice as read by the caller
+ * POST /api/notices/:id/read
+ */
+export const markNoticeRead = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const result = await AdminNotices.markRead(req.params.id, caller);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, { marked: result.marked }, "Notice marked as read");
+  } catch (error) {
+    console.error(`[ERROR] Mark notice read error:`, error.message);
+    sendError(res, `Failed to mark notice as read: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Acknowledge a notice on behalf of the caller's organization
+ * POST /api/notices/:id/acknowledge
+ */
+export const acknowledgeNotice = async (req, res) => {
+  try {
+    const caller = await getCaller(req);
+    if (!caller) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const result = await AdminNotices.acknowledge(req.params.id, caller);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, result.acknowledgment, "Notice acknowledged");
+  } catch (error) {
+    console.error(`[ERROR] Acknowledge notice error:`, error.message);
+    sendError(res, `Failed to acknowledge notice: ${error.message}`, 500);
+  }
+};
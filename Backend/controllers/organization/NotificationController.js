@@ -0,0 +1,358 @@
+import NotificationRecipient from "../../models/organization/NotificationRecipient.js";
+import NotificationTemplate from "../../models/organization/NotificationTemplate.js";
+import NotificationDelivery from "../../models/admin/NotificationDelivery.js";
+import OrganizationUser from "../../models/organization/OrganizationUser.js";
+import { Organization } from "../../models/organization/Organization.js";
+import RealtimeHub from "../../services/RealtimeHub.js";
+import { mergePreferences, resolvePreferences } from "../../services/NotificationPreferences.js";
+import {
+  NOTIFICATION_CHANNELS,
+  NOTIFICATION_EVENTS,
+  DEFAULT_TEMPLATES,
+  TEMPLATE_VARIABLES
+} from "../../services/NotificationTemplates.js";
+
+// #region Validators
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_REGEX = /^\+?[0-9]{7,15}$/;
+
+const isHttpUrl = (value) => {
+  try {
+    return ["http:", "https:"].includes(new URL(value).protocol);
+  } catch {
+    return false;
+  }
+};
+
+const validateRecipientInput = (data, { partial = false } = {}) => {
+  const errors = [];
+  const events = Object.values(NOTIFICATION_EVENTS);
+
+  if (!partial || data.channel !== undefined) {
+    if (!Object.values(NOTIFICATION_CHANNELS).includes(data.channel)) {
+      errors.push(`Channel must be one of: ${Object.values(NOTIFICATION_CHANNELS).join(", ")}`);
+    }
+  }
+
+  if (!partial || data.address !== undefined) {
+    if (!data.address) errors.push("Address is required");
+    else if (data.channel === NOTIFICATION_CHANNELS.EMAIL && !EMAIL_REGEX.test(data.address)) {
+      errors.push("Invalid email address");
+    } else if (data.channel === NOTIFICATION_CHANNELS.SMS && !PHONE_REGEX.test(data.address)) {
+      errors.push("Invalid phone number (digits with optional leading +)");
+    } else if (data.channel === NOTIFICATION_CHANNELS.WEBHOOK && !isHttpUrl(data.address)) {
+      errors.push("Webhook address must be an http(s) URL");
+    }
+  }
+
+  if (data.events !== undefined) {
+    if (!Array.isArray(data.events) || data.events.some((event) => !events.includes(event))) {
+      errors.push(`Events must be a list of: ${events.join(", ")}`);
+    }
+  }
+
+  return errors;
+};
+
+// #region ResponseHandlers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+const getOrganization = (req) => Organization.findByCode(req.user.organizationCode);
+
+// #region Recipients
+
+/**
+ * Get the organization's recipient list
+ * GET /api/notifications/recipients?channel=EMAIL
+ */
+export const getRecipients = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const recipients = await NotificationRecipient.findByOrganization(organization._id, {
+      channel: req.query.channel
+    });
+
+    sendSuccess(res, recipients, `Found ${recipients.length} recipients`);
+  } catch (error) {
+    console.error(`[ERROR] Get recipients error:`, error.message);
+    sendError(res, `Failed to fetch recipients: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Add a recipient
+ * POST /api/notifications/recipients
+ * Body: { channel, address, name?, events? }
+ */
+export const createRecipient = async (req, res) => {
+  try {
+    const errors = validateRecipientInput(req.body);
+    if (errors.length > 0) {
+      return sendError(res, errors.join(", "), 400);
+    }
+
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const recipient = await NotificationRecipient.create({
+      organizationId: organization._id,
+      organizationCode: organization.organizationCode,
+      channel: req.body.channel,
+      address: req.body.address.trim(),
+      name: req.body.name,
+      events: req.body.events,
+      createdBy: req.user.userCode
+    });
+
+    console.log(`[NOTIFICATION_RECIPIENT_ADDED] ${recipient.channel} ${recipient.address} for ${organization.organizationCode}`);
+    sendSuccess(res, recipient, "Recipient added", 201);
+  } catch (error) {
+    console.error(`[ERROR] Create recipient error:`, error.message);
+    sendError(res, `Failed to add recipient: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Update a recipient
+ * PUT /api/notifications/recipients/:id
+ * Body: { address?, name?, events?, isActive? } (channel cannot change)
+ */
+export const updateRecipient = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const existing = await NotificationRecipient.findById(req.params.id, organization._id);
+    if (!existing) {
+      return sendError(res, "Recipient not found", 404);
+    }
+
+    const { address, name, events, isActive } = req.body;
+    const errors = validateRecipientInput({ channel: existing.channel, address, events }, { partial: true });
+    if (errors.length > 0) {
+      return sendError(res, errors.join(", "), 400);
+    }
+
+    const update = {};
+    if (address !== undefined) update.address = address.trim();
+    if (name !== undefined) update.name = name;
+    if (events !== undefined) update.events = events;
+    if (isActive !== undefined) update.isActive = Boolean(isActive);
+
+    const recipient = await NotificationRecipient.update(req.params.id, organization._id, update);
+    sendSuccess(res, recipient, "Recipient updated");
+  } catch (error) {
+    console.error(`[ERROR] Update recipient error:`, error.message);
+    sendError(res, `Failed to update recipient: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Remove a recipient
+ * DELETE /api/notifications/recipients/:id
+ */
+export const deleteRecipient = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const deleted = await NotificationRecipient.delete(req.params.id, organization._id);
+    if (!deleted) {
+      return sendError(res, "Recipient not found", 404);
+    }
+
+    sendSuccess(res, null, "Recipient removed");
+  } catch (error) {
+    console.error(`[ERROR] Delete recipient error:`, error.message);
+    sendError(res, `Failed to remove recipient: ${error.message}`, 500);
+  }
+};
+
+// #region Templates
+
+/**
+ * Get the template of every event: built-in default, override and variables
+ * GET /api/notifications/templates
+ */
+export const getTemplates = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const overrides = await NotificationTemplate.findByOrganization(organization._id);
+    const templates = Object.values(NOTIFICATION_EVENTS).map((event) => ({
+      event,
+      default: DEFAULT_TEMPLATES[event],
+      override: overrides.find((override) => override.event === event) || null
+    }));
+
+    sendSuccess(res, { templates, variables: TEMPLATE_VARIABLES }, "Templates retrieved");
+  } catch (error) {
+    console.error(`[ERROR] Get templates error:`, error.message);
+    sendError(res, `Failed to fetch templates: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Override the template of an event
+ * PUT /api/notifications/templates/:event
+ * Body: { subject?, body?, sms? } (omitted fields keep the default)
+ */
+export const updateTemplate = async (req, res) => {
+  try {
+    const { event } = req.params;
+    if (!Object.values(NOTIFICATION_EVENTS).includes(event)) {
+      return sendError(res, "Unknown notification event", 404);
+    }
+
+    const { subject, body, sms } = req.body;
+    if ([subject, body, sms].every((field) => field === undefined || field === null)) {
+      return sendError(res, "Provide at least one of subject, body or sms", 400);
+    }
+    if (sms && sms.length > 320) {
+      return sendError(res, "SMS template must be at most 320 characters", 400);
+    }
+
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const template = await NotificationTemplate.upsert(
+      organization._id,
+      event,
+      { subject, body, sms },
+      req.user.userCode
+    );
+    sendSuccess(res, template, "Template saved");
+  } catch (error) {
+    console.error(`[ERROR] Update template error:`, error.message);
+    sendError(res, `Failed to save template: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Go back to the built-in template of an event
+ * DELETE /api/notifications/templates/:event
+ */
+export const resetTemplate = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const deleted = await NotificationTemplate.delete(organization._id, req.params.event);
+    if (!deleted) {
+      return sendError(res, "No template override for this event", 404);
+    }
+
+    sendSuccess(res, null, "Template reset to default");
+  } catch (error) {
+    console.error(`[ERROR] Reset template error:`, error.message);
+    sendError(res, `Failed to reset template: ${error.message}`, 500);
+  }
+};
+
+// #region Deliveries
+
+/**
+ * Get the organization's delivery log
+ * GET /api/notifications/deliveries?status=FAILED&channel=SMS&page=1&limit=20
+ */
+export const getDeliveries = async (req, res) => {
+  try {
+    const organization = await getOrganization(req);
+    if (!organization) {
+      return sendError(res, "Organization not found", 404);
+    }
+
+    const { status, channel, event, page = 1, limit = 20 } = req.query;
+    const result = await NotificationDelivery.findAll(
+      { organizationId: organization._id, status, channel, event },
+      { page: parseInt(page), limit: parseInt(limit) }
+    );
+
+    sendSuccess(res, result, `Found ${result.pagination.total} deliveries`);
+  } catch (error) {
+    console.error(`[ERROR] Get deliveries error:`, error.message);
+    sendError(res, `Failed to fetch deliveries: ${error.message}`, 500);
+  }
+};
+
+// #region Preferences
+
+/**
+ * Get the caller's notification preferences (defaults if never saved)
+ * GET /api/notifications/preferences
+ */
+export const getPreferences = async (req, res) => {
+  try {
+    const { organizationCode, userCode } = req.user;
+    const stored = await OrganizationUser.getNotificationPreferences(organizationCode, userCode);
+    if (stored === undefined) {
+      return sendError(res, "User not found", 404);
+    }
+
+    sendSuccess(res, resolvePreferences(stored), "Notification preferences retrieved");
+  } catch (error) {
+    console.error(`[ERROR] Get notification preferences error:`, error.message);
+    sendError(res, `Failed to fetch notification preferences: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Update the caller's notification preferences (partial updates allowed)
+ * PUT /api/notifications/preferences
+ * Body: { events?, channels?, quietHours?: { enabled, start, end, timezone }, onCall?, smsNumber? }
+ */
+export const updatePreferences = async (req, res) => {
+  try {
+    const { organizationCode, userCode } = req.user;
+    const stored = await OrganizationUser.getNotificationPreferences(organizationCode, userCode);
+    if (stored === undefined) {
+      return sendError(res, "User not found", 404);
+    }
+
+    const { preferences, error } = mergePreferences(req.body, stored);
+    if (error) {
+      return sendError(res, error, 400);
+    }
+
+    const saved = await OrganizationUser.updateNotificationPreferences(organizationCode, userCode, preferences);
+    RealtimeHub.updatePreferences(userCode, saved);
+
+    sendSuccess(res, saved, "Notification preferences updated");
+  } catch (error) {
+    console.error(`[ERROR] Update notification preferences error:`, error.message);
+    sendError(res, `Failed to update notification preferences: ${error.message}`, 500);
+  }
+};
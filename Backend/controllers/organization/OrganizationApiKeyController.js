@@ -0,0 +1,88 @@
+import ApiKeys from "../../services/ApiKeys.js";
+import { getDevice } from "../../services/Sessions.js";
+
+// #region ResponseHandlers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+const actorOf = (req) => ({
+  userCode: req.user.userCode,
+  email: req.user.email,
+  role: req.user.role,
+  permissions: req.permissions
+});
+
+// #region ApiKeys
+
+/**
+ * API keys of the caller's organization and the permissions a key can hold
+ * GET /api/organization-api-keys
+ */
+export const getApiKeys = async (req, res) => {
+  try {
+    const result = await ApiKeys.list(req.user.organizationCode);
+    sendSuccess(res, result, `Found ${result.keys.length} API keys`);
+  } catch (error) {
+    console.error(`[ERROR] Get API keys error:`, error.message);
+    sendError(res, `Failed to fetch API keys: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Create an API key; the key is in the response once and never again
+ * POST /api/organization-api-keys
+ * Body: { name, permissions: ["request:create", ...], expiresInDays?, rateLimitPerMinute? }
+ */
+export const createApiKey = async (req, res) => {
+  try {
+    const { name, permissions, expiresInDays, rateLimitPerMinute } = req.body;
+    const result = await ApiKeys.create(
+      req.user,
+      { name, permissions, expiresInDays, rateLimitPerMinute },
+      actorOf(req),
+      getDevice(req)
+    );
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[API_KEY_CREATED] ${req.user.organizationCode} ${result.apiKey.prefix} by ${req.user.userCode}`);
+    sendSuccess(res, { key: result.key, apiKey: result.apiKey }, "API key created; copy it now, it won't be shown again", 201);
+  } catch (error) {
+    console.error(`[ERROR] Create API key error:`, error.message);
+    sendError(res, `Failed to create API key: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/organization-api-keys/:keyId
+ */
+export const revokeApiKey = async (req, res) => {
+  try {
+    const result = await ApiKeys.revoke(req.user.organizationCode, req.params.keyId, actorOf(req), getDevice(req));
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[API_KEY_REVOKED] ${req.user.organizationCode} ${result.apiKey.prefix} by ${req.user.userCode}`);
+    sendSuccess(res, result.apiKey, "API key revoked");
+  } catch (error) {
+    console.error(`[ERROR] Revoke API key error:`, error.message);
+    sendError(res, `Failed to revoke API key: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,94 @@
+import Permissions from "../../services/Permissions.js";
+
+// #region ResponseHandlers
+
+const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
+  res.status(statusCode).json({
+    success: true,
+    message,
+    data
+  });
+};
+
+const sendError = (res, message = "An error occurred", statusCode = 500) => {
+  res.status(statusCode).json({
+    success: false,
+    message,
+    data: null
+  });
+};
+
+// #region Roles
+
+/**
+ * Roles of the caller's organization and the permissions they can hold
+ * GET /api/organization-roles
+ */
+export const getRoles = async (req, res) => {
+  try {
+    const result = await Permissions.listRoles(req.user.organizationCode);
+    sendSuccess(res, result, `Found ${result.roles.length} roles`);
+  } catch (error) {
+    console.error(`[ERROR] Get roles error:`, error.message);
+    sendError(res, `Failed to fetch roles: ${error.message}`, 500);
+  }
+};
+
+/**
+ * The caller's role and permissions (for hiding what they can't do)
+ * GET /api/organization-roles/me
+ */
+export const getMyPermissions = async (req, res) => {
+  try {
+    const role = await Permissions.getRole(req.user.organizationCode, req.user.role);
+    sendSuccess(res, { role: role.key, name: role.name, permissions: role.permissions }, "Permissions retrieved");
+  } catch (error) {
+    console.error(`[ERROR] Get my permissions error:`, error.message);
+    sendError(res, `Failed to fetch permissions: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Define a role, or change a built-in role's permissions
+ * PUT /api/organization-roles/:role
+ * Body: { name?, description?, permissions: ["request:read", ...] }
+ */
+export const saveRole = async (req, res) => {
+  try {
+    const { name, description, permissions } = req.body;
+    const result = await Permissions.saveRole(
+      req.user.organizationCode,
+      req.params.role,
+      { name, description, permissions },
+      { userCode: req.user.userCode, permissions: req.permissions }
+    );
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[ROLE_SAVED] ${req.user.organizationCode} ${result.role.key} by ${req.user.userCode}`);
+    sendSuccess(res, result.role, "Role saved");
+  } catch (error) {
+    console.error(`[ERROR] Save role error:`, error.message);
+    sendError(res, `Failed to save role: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Remove a role, or put a built-in role back to its defaults
+ * DELETE /api/organization-roles/:role
+ */
+export const deleteRole = async (req, res) => {
+  try {
+    const result = await Permissions.deleteRole(req.user.organizationCode, req.params.role);
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    console.log(`[ROLE_DELETED] ${req.user.organizationCode} ${req.params.role} by ${req.user.userCode}`);
+    sendSuccess(res, null, result.reset ? "Role reset to default" : "Role deleted");
+  } catch (error) {
+    console.error(`[ERROR] Delete role error:`, error.message);
+    sendError(res, `Failed to delete role: ${error.message}`, 500);
+  }
+};
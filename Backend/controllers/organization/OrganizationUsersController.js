@@ -1,4 +1,7 @@
 import OrganizationUser from "../../models/organization/OrganizationUser.js";
+import Permissions from "../../services/Permissions.js";
+import Sessions, { SUBJECT_TYPES, REVOKE_REASONS, getDevice } from "../../services/Sessions.js";
+import LoginProtection from "../../services/LoginProtection.js";
 
 // #region Validators
 
@@ -25,6 +28,24 @@ const validateUserCreationInput = (data) => {
   return errors;
 };
 
+/**
+ * The role must be defined in the organization (built-in or custom), and
+ * an admin can only hand out permissions they hold themselves
+ * @returns {Promise<Object>} { role } or { error, statusCode }
+ */
+const resolveAssignedRole = async (req, organizationCode, role) => {
+  const assigned = await Permissions.findAssignableRole(organizationCode, role);
+  if (!assigned) {
+    return { error: `Unknown role "${role}"; define it first under /api/organization-roles`, statusCode: 400 };
+  }
+
+  const notHeld = assigned.permissions.filter((permission) => !req.permissions.includes(permission));
+  if (notHeld.length > 0) {
+    return { error: `You can't assign the ${assigned.key} role: it has permissions you don't (${notHeld.join(", ")})`, statusCode: 403 };
+  }
+  return { role: assigned };
+};
+
 // #region ResponseHandlers
 
 const sendSuccess = (res, data, message = "Success", statusCode = 200) => {
@@ -75,14 +96,20 @@ export const createOrganizationUser = async (req, res) => {
       return sendError(res, validationErrors.join(", "), 400);
     }
 
-    // Create user
+    const assigned = await resolveAssignedRole(req, organizationCode, role);
+    if (assigned.error) {
+      return sendError(res, assigned.error, assigned.statusCode);
+    }
+
+    // Create user; the admin chose the password, so the user replaces it at first login
     const userData = {
       organizationCode,
       name,
       email,
       password,
-      role,
-      status
+      role: assigned.role.key,
+      status,
+      mustChangePassword: true
     };
 
     const result = await OrganizationUser.create(userData);
@@ -91,8 +118,8 @@ export const createOrganizationUser = async (req, res) => {
 
     sendSuccess(res, {
       ...result,
-      message: `User ${role} created successfully`
-    }, `User ${role} created successfully`, 201);
+      message: `User ${assigned.role.key} created successfully`
+    }, `User ${assigned.role.key} created successfully`, 201);
 
   } catch (error) {
     console.error(`[ERROR] Create user error:`, error.message);
@@ -184,9 +211,28 @@ export const updateOrganizationUser = async (req, res) => {
       );
     }
 
-    const updateData = { name, role, status };
+    let roleKey;
+    if (role) {
+      const assigned = await resolveAssignedRole(req, organizationCode, role);
+      if (assigned.error) {
+        return sendError(res, assigned.error, assigned.statusCode);
+      }
+      roleKey = assigned.role.key;
+    }
+
+    const previous = await OrganizationUser.findByUserCode(organizationCode, userCode);
+    if (roleKey && roleKey !== previous.role && userCode === req.user.userCode) {
+      return sendError(res, "You can't change your own role", 403);
+    }
+
+    const updateData = { name, role: roleKey, status };
     const user = await OrganizationUser.update(organizationCode, userCode, updateData);
 
+    // Sessions carry the role in their claims; sign the user in again under the new one
+    if (roleKey && roleKey !== previous.role) {
+      await Sessions.revokeAllForSubject(SUBJECT_TYPES.ORGANIZATION_USER, user._id, REVOKE_REASONS.ROLE_CHANGED);
+    }
+
     sendSuccess(res, user, "User updated successfully");
 
   } catch (error) {
@@ -332,3 +378,62 @@ export const getOrganizationUsersStats = async (req, res) => {
     sendError(res, `Failed to fetch statistics: ${error.message}`, 500);
   }
 };
+
+// #region LoginLocks
+
+/**
+ * Users of the organization locked out by failed logins
+ * GET /api/organization-users/:organizationCode/locked
+ */
+export const getLockedUsers = async (req, res) => {
+  try {
+    const { organizationCode } = req.params;
+
+    const locked = await LoginProtection.listLocked({
+      subjectType: SUBJECT_TYPES.ORGANIZATION_USER,
+      organizationCode
+    });
+
+    sendSuccess(res, locked, `Found ${locked.length} locked users`);
+
+  } catch (error) {
+    console.error(`[ERROR] Get locked users error:`, error.message);
+    sendError(res, `Failed to fetch locked users: ${error.message}`, 500);
+  }
+};
+
+/**
+ * Lift a user's login lock before it runs out
+ * POST /api/organization-users/:organizationCode/:userCode/unlock
+ */
+export const unlockOrganizationUser = async (req, res) => {
+  try {
+    const { organizationCode, userCode } = req.params;
+
+    console.log(`[UNLOCK_USER_REQUEST] ${organizationCode} - ${userCode}`);
+
+    const user = await OrganizationUser.findByUserCode(organizationCode, userCode);
+    const result = await LoginProtection.unlock(
+      LoginProtection.identity(SUBJECT_TYPES.ORGANIZATION_USER, user.email, organizationCode),
+      { email: req.user.email, role: req.user.role, code: req.user.userCode },
+      getDevice(req)
+    );
+    if (!result.success) {
+      return sendError(res, result.message, result.statusCode);
+    }
+
+    sendSuccess(res, {
+      userCode: userCode,
+      wasLocked: result.wasLocked
+    }, result.wasLocked ? "User unlocked" : "User was not locked; failed login count cleared");
+
+  } catch (error) {
+    console.error(`[ERROR] Unlock user error:`, error.message);
+
+    if (error.message === "User not found") {
+      return sendError(res, "User not found", 404);
+    }
+
+    sendError(res, `Failed to unlock user: ${error.message}`, 500);
+  }
+};
@@ -0,0 +1,88 @@
+import Admin from "../../models/admin/Admin.js";
+import { Organization } from "../../models/organization/Organization.js";
+import OrganizationUser from "../../models/organization/OrganizationUser.js";
+import RealtimeHub from "../../services/RealtimeHub.js";
+
+// #region RealtimeController
+
+/**
+ * Realtime Controller
+ * Live push channel for the hospital, blood bank, NGO and super admin dashboards
+ */
+
+const SUPERADMIN_ROLES = ["SUPERADMIN", "superadmin"];
+
+/**
+ * Resolve who a stream belongs to from the verified token
+ * @returns {Promise<{ subscriber?: Object, statusCode?: number, message?: string }>}
+ */
+const resolveSubscriber = async (user) => {
+  if (SUPERADMIN_ROLES.includes(user.role)) {
+    const admin = user.email ? await Admin.findByEmail(user.email) : null;
+    if (!admin || !admin.isActive) {
+      return { statusCode: 403, message: "Superadmin not authorized" };
+    }
+    return {
+      subscriber: {
+        userCode: admin.adminCode,
+        role: "SUPERADMIN",
+        organizationId: null,
+        isSuperAdmin: true,
+        preferences: admin.notificationPreferences || null
+      }
+    };
+  }
+
+  if (!user.organizationCode) {
+    return { statusCode: 403, message: "Live updates are only available to organization users" };
+  }
+
+  const organization = await Organization.findByCode(user.organizationCode);
+  if (!organization) {
+    return { statusCode: 403, message: "Organization not found" };
+  }
+
+  const preferences = await OrganizationUser.getNotificationPreferences(user.organizationCode, user.userCode);
+
+  return {
+    subscriber: {
+      userCode: user.userCode,
+      role: user.role,
+      organizationId: organization._id.toString(),
+      organizationType: organization.type,
+      isSuperAdmin: false,
+      preferences: preferences || null
+    }
+  };
+};
+
+/**
+ * GET /api/realtime/stream?token=<jwt>
+ * Server-sent event stream of request transitions (`request`), stock
+ * changes (`stock`), alerts (`alert`), donor call-out responses
+ * (`donor-callout`), thread messages (`message`) and super admin notices
+ * (`notice`) for the caller's organization; super admins receive every
+ * event except messages.
+ * @param {Object} req - Express request object
+ * @param {Object} res - Express response object
+ */
+export const openStream = async (req, res) => {
+  try {
+    const { subscriber, statusCode, message } = await resolveSubscriber(req.user);
+    if (!subscriber) {
+      return res.status(statusCode).json({
+        success: false,
+        message
+      });
+    }
+
+    RealtimeHub.connect(req, res, subscriber);
+  } catch (error) {
+    console.error("[REALTIME] Failed to open stream:", error);
+    return res.status(500).json({
+      success: false,
+      message: "Failed to open live updates",
+      error: error.message
+    });
+  }
+};
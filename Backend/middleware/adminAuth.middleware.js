@@ -55,8 +55,11 @@ const adminAuthMiddleware = async (req, res, next) => {
       email: admin.email,
       adminCode: admin.adminCode,
       role: "ADMIN",
-      permissions: admin.permissions
+      permissions: admin.permissions,
+      sid: req.user.sid
     };
+    // Admin controllers record actions against the admin's _id
+    req.admin = admin;
 
     next();
 
@@ -1,4 +1,79 @@
-import jwt from "jsonwebtoken";
+import { verifyAccessToken } from "../config/jwt.js";
+import Sessions, { getDevice } from "../services/Sessions.js";
+import ApiKeys, { isApiKey } from "../services/ApiKeys.js";
+import { apiKeyLimiter } from "./rateLimiter.js";
+
+// Claims that close every endpoint but a few until the user finishes a step
+const PENDING_STEPS = [
+  {
+    claim: "mustChangePassword",
+    paths: ["/api/auth/change-password", "/api/auth/logout"],
+    message: "Change your password to continue",
+    code: "PASSWORD_CHANGE_REQUIRED"
+  },
+  {
+    claim: "twoFactorSetupRequired",
+    paths: ["/api/auth/2fa", "/api/auth/2fa/setup", "/api/auth/2fa/enable", "/api/auth/logout", "/api/admin/auth/logout"],
+    message: "Set up two-factor authentication to continue",
+    code: "TWO_FACTOR_SETUP_REQUIRED"
+  }
+];
+
+// Account, admin and key management endpoints are for people, not API keys
+const API_KEY_CLOSED_PATHS = [
+  "/api/auth",
+  "/api/admin",
+  "/api/superadmin",
+  "/api/organization-roles",
+  "/api/organization-api-keys"
+];
+
+// Organization routes that happen to be mounted under /api/admin; keys may use these
+const API_KEY_OPEN_PATHS = ["/api/admin/blood-stock", "/api/admin/alerts"];
+
+const isUnder = (path, prefixes) => prefixes.some((prefix) => path === prefix || path.startsWith(`${prefix}/`));
+
+// #region ApiKeys
+
+/**
+ * Authenticate an organization API key (X-API-Key header, or a Bearer
+ * token starting with bbk_). The key acts as its organization with the
+ * key's permissions, within its own rate limit.
+ */
+const authenticateApiKey = async (req, res, next, key) => {
+  const path = req.originalUrl.split("?")[0];
+  if (isUnder(path, API_KEY_CLOSED_PATHS) && !isUnder(path, API_KEY_OPEN_PATHS)) {
+    console.warn(`[AUTH_MIDDLEWARE] API key used on ${path}`);
+    return res.status(403).json({
+      success: false,
+      message: "API keys can't be used on this endpoint",
+      code: "API_KEY_NOT_ALLOWED"
+    });
+  }
+
+  const result = await ApiKeys.authenticate(key, getDevice(req));
+  if (!result.success) {
+    console.warn(`[AUTH_MIDDLEWARE] ${result.message}`);
+    return res.status(result.statusCode).json({
+      success: false,
+      message: result.message
+    });
+  }
+
+  const { claims } = result;
+  console.log(`[AUTH_MIDDLEWARE] API key verified: ${claims.userCode} (${claims.organizationCode})`);
+
+  req.user = claims;
+  req.permissions = claims.permissions;
+  req.apiKey = { id: claims.apiKeyId, rateLimitPerMinute: result.rateLimitPerMinute };
+  req.organization = {
+    code: claims.organizationCode,
+    name: claims.organizationName,
+    type: claims.organizationType
+  };
+
+  apiKeyLimiter(req, res, next);
+};
 
 // #region AuthMiddleware
 
@@ -15,11 +90,24 @@ import jwt from "jsonwebtoken";
  * - role: User role (Doctor, Admin, etc.)
  * - email: User email
  * - name: User name
+ * - sid: Login session; tokens of revoked sessions are refused
+ * - mustChangePassword: Set until the user replaces a password someone else
+ *   chose; only the password change and logout answer meanwhile
+ * - twoFactorSetupRequired: Set until a role that must use two-factor turns
+ *   it on; only enrolment and logout answer meanwhile (see PENDING_STEPS)
+ *
+ * Organization API keys are accepted instead of a token, in X-API-Key or as
+ * the Bearer token (see authenticateApiKey).
  */
-const authMiddleware = (req, res, next) => {
+const authMiddleware = async (req, res, next) => {
   try {
     const token = req.headers.authorization?.split(" ")[1];
 
+    const apiKey = req.headers["x-api-key"] || (isApiKey(token) ? token : null);
+    if (apiKey) {
+      return await authenticateApiKey(req, res, next, apiKey);
+    }
+
     if (!token) {
       console.warn("[AUTH_MIDDLEWARE] No token provided");
       return res.status(401).json({ 
@@ -28,10 +116,27 @@ const authMiddleware = (req, res, next) => {
       });
     }
 
-    const decoded = jwt.verify(
-      token,
-      process.env.JWT_SECRET || "your_jwt_secret"
+    const decoded = verifyAccessToken(token);
+
+    if (!(await Sessions.isActive(decoded.sid))) {
+      console.warn(`[AUTH_MIDDLEWARE] Session revoked or expired: ${decoded.sid}`);
+      return res.status(401).json({
+        success: false,
+        message: "Session has ended, please sign in again"
+      });
+    }
+
+    const pendingStep = PENDING_STEPS.find(
+      (step) => decoded[step.claim] && !step.paths.includes(req.baseUrl + req.path)
     );
+    if (pendingStep) {
+      console.warn(`[AUTH_MIDDLEWARE] ${pendingStep.code} for ${decoded.userCode || decoded.email}`);
+      return res.status(403).json({
+        success: false,
+        message: pendingStep.message,
+        code: pendingStep.code
+      });
+    }
 
     console.log(`[AUTH_MIDDLEWARE] Token verified for user: ${decoded.userCode} (${decoded.role})`);
 
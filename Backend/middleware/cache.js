@@ -61,10 +61,27 @@ export const cacheMiddleware = (options = {}) => {
 };
 
 // API response cache middleware
+// Live data is never cached: event streams, donor call-out responders, donor appeals, message threads, admin notices,
+// and account data (sessions, two-factor status)
+const UNCACHED_API_PREFIXES = [
+  '/api/realtime',
+  '/api/donor-callouts',
+  '/api/donor/appeals',
+  '/api/messages',
+  '/api/notices',
+  '/api/admin/notices',
+  '/api/auth'
+];
+
+// Runs before auth and keys on the path alone, so anything sent with a token
+// or API key (one caller's view of the data) is left out
+const hasCredentials = (req) => Boolean(req.headers.authorization || req.headers['x-api-key']);
+
 export const apiCacheMiddleware = (ttl = 300) => {
   return cacheMiddleware({
     ttl,
-    condition: (req) => req.method === 'GET' && req.path.startsWith('/api/'),
+    condition: (req) => req.method === 'GET' && req.path.startsWith('/api/') && !hasCredentials(req) &&
+      !UNCACHED_API_PREFIXES.some((prefix) => req.path.startsWith(prefix)),
     keyGenerator: (req) => `api:${req.path}:${JSON.stringify(req.query)}`
   });
 };
@@ -81,12 +98,12 @@ export const staticCacheMiddleware = (ttl = 3600) => {
 // User session cache middleware
 export const sessionCacheMiddleware = () => {
   return async (req, res, next) => {
-    if (!redisCache.isConnected || !req.user) {
+    if (!redisCache.isConnected || !req.user?.sid) {
       return next();
     }
 
     try {
-      const sessionData = await redisCache.getCachedUserSession(req.user.userCode);
+      const sessionData = await redisCache.getCachedUserSession(req.user.sid);
       
       if (sessionData) {
         req.userSession = sessionData;
@@ -1,4 +1,5 @@
 import crypto from 'crypto';
+import { getDB } from '../config/db.js';
 
 // Compliance middleware for GDPR/HIPAA
 export const complianceMiddleware = (req, res, next) => {
@@ -166,36 +167,13 @@ export class AuditLogger {
   }
 }
 
-// Access control
-export class AccessControl {
-  static hasPermission(userRole, requiredPermission) {
-    const permissions = {
-      'superadmin': ['read', 'write', 'delete', 'admin', 'audit'],
-      'admin': ['read', 'write', 'delete', 'admin'],
-      'doctor': ['read', 'write'],
-      'nurse': ['read', 'write'],
-      'staff': ['read'],
-      'patient': ['read_own']
-    };
-
-    return permissions[userRole]?.includes(requiredPermission) || false;
-  }
-
-  static checkAccess(req, requiredPermission) {
-    if (!req.user) {
-      return false;
-    }
-
-    return this.hasPermission(req.user.role, requiredPermission);
-  }
-}
-
 // Data retention utilities
 export class DataRetention {
   static async cleanupExpiredData() {
+    const deleted = {};
     try {
       const db = getDB();
-      if (!db) return;
+      if (!db) return deleted;
 
       const retentionPeriods = {
         'auditlogs': 2555, // 7 years in days
@@ -212,12 +190,15 @@ export class DataRetention {
           createdAt: { $lt: cutoffDate }
         });
 
+        deleted[collection] = result.deletedCount;
         if (result.deletedCount > 0) {
           console.log(`Cleaned up ${result.deletedCount} expired records from ${collection}`);
         }
       }
+      return deleted;
     } catch (error) {
       console.error('Data retention cleanup error:', error);
+      throw error;
     }
   }
 }
@@ -291,6 +272,5 @@ export class PIIDetector {
 // Export instances
 export const dataEncryption = new DataEncryption();
 export const auditLogger = AuditLogger;
-export const accessControl = AccessControl;
 export const dataRetention = DataRetention;
 export const piiDetector = PIIDetector;
@@ -0,0 +1,66 @@
+import Permissions from "../services/Permissions.js";
+import { PERMISSION_KEYS } from "../config/permissions.js";
+
+// #region PermissionMiddleware
+
+/**
+ * Permission-based access control
+ * The caller needs every listed permission (see config/permissions.js).
+ * Runs after authMiddleware, and after adminAuthMiddleware or
+ * superAdminAuthMiddleware on admin routes. The caller's permissions are
+ * left on req.permissions for controllers.
+ *
+ * Usage:
+ * router.post('/',
+ *   authMiddleware,
+ *   requireOrganization("hospital"),
+ *   requirePermission("request:create"),
+ *   controller
+ * )
+ *
+ * @param {...string} required - Permission keys
+ */
+const requirePermission = (...required) => {
+  // A typo would lock everyone out of the route; fail at startup instead
+  const unknown = required.filter((key) => !PERMISSION_KEYS.includes(key));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown permission(s): ${unknown.join(", ")}`);
+  }
+
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        console.warn("[PERMISSION_MIDDLEWARE] User not found in request");
+        return res.status(401).json({
+          success: false,
+          message: "User not authenticated"
+        });
+      }
+
+      req.permissions ??= await Permissions.resolve(req.user);
+
+      const missing = required.filter((key) => !req.permissions.includes(key));
+      if (missing.length > 0) {
+        console.warn(
+          `[PERMISSION_MIDDLEWARE] Access denied - ${req.user.userCode || req.user.email} (${req.user.role}) ` +
+          `tried ${req.method} ${req.originalUrl} without ${missing.join(", ")}`
+        );
+        return res.status(403).json({
+          success: false,
+          message: `This action requires the ${missing.join(", ")} permission`,
+          code: "PERMISSION_DENIED"
+        });
+      }
+
+      next();
+    } catch (error) {
+      console.error("[PERMISSION_MIDDLEWARE] Error:", error);
+      res.status(403).json({
+        success: false,
+        message: "Authorization check failed"
+      });
+    }
+  };
+};
+
+export default requirePermission;
@@ -0,0 +1,20 @@
+// #region QueryTokenMiddleware
+
+/**
+ * Query Token Middleware
+ * Browsers cannot set headers on an EventSource, so streaming endpoints
+ * accept the JWT as ?token= and hand it on to authMiddleware as a bearer
+ * token. Never mount this on ordinary API routes: tokens in URLs end up in
+ * access logs.
+ *
+ * Usage:
+ * router.get('/stream', queryTokenMiddleware, authMiddleware, controller)
+ */
+const queryTokenMiddleware = (req, res, next) => {
+  if (!req.headers.authorization && typeof req.query.token === "string") {
+    req.headers.authorization = `Bearer ${req.query.token}`;
+  }
+  next();
+};
+
+export default queryTokenMiddleware;
@@ -19,12 +19,16 @@ const conditionalRateLimit = (limiter) => {
 };
 
 // #region LoginRateLimiter
-// Prevents brute force attacks by limiting login attempts
-// Default: 5 attempts per 15 minutes
+// Slows down password guessing from one IP. Only failed attempts count, so
+// a clinic sharing one IP isn't locked out by its own successful logins;
+// per-account lockout (services/LoginProtection.js) covers guessing spread
+// over many IPs.
+// Default: 30 failed attempts per 15 minutes (LOGIN_RATE_LIMIT_MAX)
 // Disable: Set ENABLE_RATE_LIMIT=false in .env
 const loginLimiterConfig = rateLimit({
   windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 5, // Max 5 attempts per windowMs
+  max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX, 10) || 30, // Max failed attempts per windowMs
+  skipSuccessfulRequests: true, // Responses below 400 don't count
   message: "Too many login attempts. Please try again in 15 minutes.",
   standardHeaders: true, // Return rate limit info in the `RateLimit-*` headers
   legacyHeaders: false, // Disable the `X-RateLimit-*` headers
@@ -55,6 +59,27 @@ const apiLimiterConfig = rateLimit({
 
 export const apiLimiter = conditionalRateLimit(apiLimiterConfig);
 
+// #region ApiKeyRateLimiter
+// Per-key limit for organization API keys (see services/ApiKeys.js).
+// Runs inside authMiddleware once the key is known; each key has its own
+// requests-per-minute, set when it was created.
+const apiKeyLimiterConfig = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  limit: (req) => req.apiKey.rateLimitPerMinute,
+  keyGenerator: (req) => req.apiKey.id,
+  standardHeaders: true,
+  legacyHeaders: false,
+  handler: (req, res) => {
+    res.status(429).json({
+      success: false,
+      message: `API key rate limit of ${req.apiKey.rateLimitPerMinute} requests per minute exceeded`,
+      data: null
+    });
+  }
+});
+
+export const apiKeyLimiter = conditionalRateLimit(apiKeyLimiterConfig);
+
 // #region RegisterRateLimiter
 // Strict rate limiting for registration endpoints
 const registerLimiterConfig = rateLimit({
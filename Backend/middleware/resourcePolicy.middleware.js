@@ -0,0 +1,139 @@
+import { ObjectId } from "mongodb";
+import { Organization } from "../models/organization/Organization.js";
+
+// Organizations whose users can no longer act on shared resources
+const BLOCKED_STATUSES = ["SUSPENDED", "REJECTED"];
+
+const deny = (res, statusCode, message) =>
+  res.status(statusCode).json({
+    success: false,
+    message
+  });
+
+// #region ActingOrganization
+
+/**
+ * Resolve the organization the caller acts for from their JWT and attach it
+ * as req.actingOrganization = { id, code, name, type }. Runs after
+ * authMiddleware; ids sent in the body or query are never trusted.
+ *
+ * Usage:
+ * router.post('/:id/accept',
+ *   authMiddleware,
+ *   requireOrganization("bloodbank"),
+ *   authorizeResource(RESOURCES.BLOOD_REQUEST, REQUEST_POLICIES.targetedBank),
+ *   controller
+ * )
+ *
+ * @param {...string} types - Organization types allowed (hospital, bloodbank, ngo); any when omitted
+ */
+export const requireOrganization = (...types) => async (req, res, next) => {
+  try {
+    if (!req.user?.organizationCode) {
+      return deny(res, 403, "This action is only available to organization users");
+    }
+
+    const organization = await Organization.findByCode(req.user.organizationCode);
+    if (!organization || BLOCKED_STATUSES.includes(organization.status)) {
+      console.warn(`[RESOURCE_POLICY] Inactive organization ${req.user.organizationCode} (${req.user.userCode})`);
+      return deny(res, 403, "Your organization is not active");
+    }
+
+    if (types.length > 0 && !types.includes(organization.type)) {
+      console.warn(
+        `[RESOURCE_POLICY] ${organization.type} ${organization.organizationCode} ` +
+        `tried ${req.method} ${req.originalUrl} (needs ${types.join("/")})`
+      );
+      return deny(res, 403, `Only ${types.join(" or ")} organizations can do this`);
+    }
+
+    req.actingOrganization = {
+      id: organization._id.toString(),
+      code: organization.organizationCode,
+      name: organization.name,
+      type: organization.type
+    };
+    next();
+  } catch (error) {
+    console.error("[RESOURCE_POLICY] Error:", error);
+    deny(res, 403, "Authorization check failed");
+  }
+};
+
+// #region Ownership
+
+/**
+ * The organization in a route param (e.g. /hospital/:hospitalId) must be
+ * the caller's own
+ * @param {string} param
+ */
+export const requireOwnParam = (param) => (req, res, next) => {
+  if (req.params[param] !== req.actingOrganization?.id) {
+    console.warn(`[RESOURCE_POLICY] ${req.actingOrganization?.code} tried to read ${param}=${req.params[param]}`);
+    return deny(res, 403, "You can only access your own organization's records");
+  }
+  next();
+};
+
+/**
+ * Load the resource named by `:id` and check the caller may act on it.
+ * The loaded document is left on req.resource.
+ * @param {Object} resource - { label, load } (see RESOURCES in AccessPolicies.js)
+ * @param {Function} policy - (document, actingOrganization, req) => boolean
+ */
+export const authorizeResource = (resource, policy) => async (req, res, next) => {
+  try {
+    const document = ObjectId.isValid(req.params.id) ? await resource.load(req.params.id) : null;
+    if (!document) {
+      return deny(res, 404, `${resource.label} not found`);
+    }
+
+    if (!policy(document, req.actingOrganization, req)) {
+      console.warn(
+        `[RESOURCE_POLICY] Access denied - ${req.actingOrganization.code} ` +
+        `${req.method} ${req.originalUrl}`
+      );
+      return deny(res, 403, `You are not allowed to do this on this ${resource.label.toLowerCase()}`);
+    }
+
+    req.resource = document;
+    next();
+  } catch (error) {
+    console.error("[RESOURCE_POLICY] Error:", error);
+    deny(res, 403, "Authorization check failed");
+  }
+};
+
+// #region Binding
+
+/**
+ * Overwrite a body field with the caller's organization ID, so a client
+ * can't act on behalf of another organization
+ * @param {string} field - e.g. "hospitalId", "bloodBankId"
+ */
+export const bindActingOrganization = (field) => (req, res, next) => {
+  req.body = { ...(req.body || {}), [field]: req.actingOrganization.id };
+  next();
+};
+
+/**
+ * Overwrite a body field with the super admin's ID (after superAdminAuthMiddleware)
+ * @param {string} field - e.g. "adminId"
+ */
+export const bindSuperAdmin = (field) => (req, res, next) => {
+  req.body = { ...(req.body || {}), [field]: req.user.id.toString() };
+  next();
+};
+
+/**
+ * Narrow list filters to the caller's side of the relationship: hospitals
+ * see their own requests, blood banks the ones sent to them
+ * @param {Object} fields - Query field per organization type, e.g. { hospital: "hospitalId", bloodbank: "bloodBankId" }
+ */
+export const scopeQueryToOrganization = (fields) => (req, res, next) => {
+  const scoped = { ...req.query };
+  Object.values(fields).forEach((field) => delete scoped[field]);
+  scoped[fields[req.actingOrganization.type]] = req.actingOrganization.id;
+  req.query = scoped;
+  next();
+};
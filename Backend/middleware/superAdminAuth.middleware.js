@@ -53,7 +53,8 @@ const superAdminAuthMiddleware = async (req, res, next) => {
       email: admin.email,
       adminCode: admin.adminCode,
       role: "SUPERADMIN",
-      permissions: admin.permissions
+      permissions: admin.permissions,
+      sid: req.user.sid
     };
 
     next();
@@ -0,0 +1,128 @@
+import { connectDB, disconnectDB, getDB } from "./config/db.js";
+import { normalizeStatus } from "./services/BloodRequestStateMachine.js";
+import HospitalBloodRequest from "./models/hospital/HospitalBloodRequest.js";
+
+
+// #region migrateBloodRequests
+/**
+ * One-off migration of the legacy admin request store
+ * (hospital_blood_requests) into hospitalBloodRequests.
+ * Safe to re-run: requests already copied (same requestCode) are skipped.
+ */
+async function migrateBloodRequests() {
+  try {
+    await connectDB();
+    const db = getDB();
+
+    const legacy = db.collection("hospital_blood_requests");
+    const target = db.collection("hospitalBloodRequests");
+
+    console.log("\n=== BLOOD REQUEST MIGRATION ===\n");
+
+    const legacyRequests = await legacy.find({}).toArray();
+    console.log(`Legacy requests found: ${legacyRequests.length}`);
+
+    let migrated = 0;
+    let skipped = 0;
+
+    for (const old of legacyRequests) {
+      const exists = await target.findOne({ requestCode: old.requestCode });
+      if (exists) {
+        skipped++;
+        continue;
+      }
+
+      const status = normalizeStatus(old.status);
+      const isOpen = ["PENDING", "ACCEPTED", "PROCESSING"].includes(status);
+      const response = old.bloodBankResponse || {};
+
+      await target.insertOne({
+        _id: old._id,
+        hospitalId: old.hospitalId,
+        bloodBankId: old.bloodBankId || null,
+        requestedBy: old.requestedBy || null,
+        requestCode: old.requestCode,
+        bloodGroup: old.bloodGroup,
+        component: "WHOLE_BLOOD",
+        unitsRequired: old.unitsRequired,
+        urgency: old.urgency || "MEDIUM",
+        specialRequirements: old.specialRequirements || [],
+        patientId: old.patientInfo?.patientId || null,
+        patientAge: old.patientInfo?.age || null,
+        patientGender: old.patientInfo?.gender || null,
+        medicalCondition: old.patientInfo?.condition || "",
+        department: old.patientInfo?.department || null,
+        status,
+        statusHistory: [],
+        approvalStatus: {
+          requiresApproval: old.approvalStatus?.requiresApproval || false,
+          isApproved: old.approvalStatus?.isApproved || false,
+          approvedBy: old.approvalStatus?.approvedBy || null,
+          approvedAt: old.approvalStatus?.approvedAt || null,
+          remarks: null
+        },
+        unitsFulfilled: old.unitsFulfilled || 0,
+        acceptedAt: old.approvalStatus?.approvedAt || response.responseTime || null,
+        processingStartedAt: null,
+        fulfilledAt: old.fulfillmentDetails?.fulfilledAt || old.completedAt || null,
+        rejectedAt: old.approvalStatus?.rejectedAt || null,
+        cancelledAt: old.cancelledAt || null,
+        expiredAt: status === "EXPIRED" ? old.updatedAt : null,
+        fulfillmentDetails: {
+          fulfilledBy: old.fulfillmentDetails?.fulfilledBy || null,
+          batchNumbers: old.fulfillmentDetails?.batchNumbers || [],
+          expiryDates: old.fulfillmentDetails?.expiryDates || [],
+          collectionMethod: old.fulfillmentDetails?.collectionMethod || null,
+          deliveryAddress: old.fulfillmentDetails?.deliveryAddress || null
+        },
+        hospitalNotes: old.notes || "",
+        bloodBankResponse: "",
+        responseDetails: {
+          respondedAt: response.responseTime || null,
+          availableUnits: response.availableUnits ?? null,
+          confirmedUnits: response.confirmedUnits ?? null,
+          alternativeBloodGroups: response.alternativeBloodGroups || [],
+          estimatedAvailability: response.estimatedAvailability || null,
+          contactPerson: response.contactPerson || null,
+          contactPhone: response.contactPhone || null
+        },
+        rejectionReason: old.approvalStatus?.rejectionReason || "",
+        cancellationReason: old.cancellationReason || "",
+        communicationLog: old.communicationLog || [],
+        requestedAt: old.requestedAt || old.createdAt,
+        requiredBy: old.requiredBy || null,
+        expiresAt: old.expiresAt || null,
+        expectedDeliveryTime: old.fulfillmentDetails?.estimatedDeliveryTime || null,
+        actualDeliveryTime: old.fulfillmentDetails?.actualDeliveryTime || null,
+        // Legacy requests were never fanned out; leave them with their bank
+        escalation: {
+          status: "STOPPED",
+          currentStage: 0,
+          nextEscalationAt: null,
+          notifiedBloodBankIds: old.bloodBankId ? [old.bloodBankId] : [],
+          stages: [],
+          ngoFallback: null
+        },
+        priority: HospitalBloodRequest.calculatePriority(old.urgency, old.bloodGroup),
+        isEmergency: old.urgency === "CRITICAL",
+        isActive: isOpen,
+        createdAt: old.createdAt,
+        updatedAt: old.updatedAt || old.createdAt
+      });
+      migrated++;
+    }
+
+    console.log(`Migrated: ${migrated}`);
+    console.log(`Skipped (already present): ${skipped}\n`);
+
+    await disconnectDB();
+    console.log("Done!\n");
+
+  } catch (error) {
+    console.error("Error:", error.message);
+    await disconnectDB();
+    process.exit(1);
+  }
+}
+
+migrateBloodRequests();
@@ -0,0 +1,40 @@
+import fs from "fs";
+import path from "path";
+import { createMockSmtpServer } from "./services/MockSmtpServer.js";
+
+
+// #region mockSmtpServer
+/**
+ * Local SMTP sink for testing email notifications offline.
+ * Prints every message it receives and, with --out, appends it to a file.
+ *
+ * Usage: node mockSmtpServer.js [--port=2525] [--out=logs/mail.log]
+ * Then start the API with EMAIL_HOST=localhost EMAIL_PORT=2525 (EMAIL_USER may stay set).
+ */
+function mockSmtpServer() {
+  const args = process.argv.slice(2);
+  const port = parseInt(args.find((arg) => arg.startsWith("--port="))?.split("=")[1]) || 2525;
+  const out = args.find((arg) => arg.startsWith("--out="))?.split("=")[1];
+
+  if (out) {
+    fs.mkdirSync(path.dirname(out), { recursive: true });
+  }
+
+  const server = createMockSmtpServer({
+    onMessage: ({ from, to, data, receivedAt }) => {
+      const entry = `--- ${receivedAt.toISOString()} from ${from} to ${to.join(", ")}\n${data}\n`;
+      console.log(entry);
+      if (out) {
+        fs.appendFileSync(out, `${entry}\n`);
+      }
+    }
+  });
+
+  server.listen(port, () => {
+    console.log(`Mock SMTP server listening on port ${port}${out ? `, writing to ${out}` : ""}`);
+  });
+
+  process.on("SIGINT", () => server.close(() => process.exit(0)));
+}
+
+mockSmtpServer();
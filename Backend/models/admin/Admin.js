@@ -112,6 +112,32 @@ class Admin {
     return result.deletedCount > 0;
   }
 
+  // UPDATE notification preferences (see services/NotificationPreferences.js)
+  static async updateNotificationPreferences(email, preferences) {
+    const db = getDB();
+    const result = await db.collection("admins").findOneAndUpdate(
+      { email: email.toLowerCase() },
+      { $set: { notificationPreferences: preferences, updatedAt: new Date() } },
+      { returnDocument: "after", projection: { notificationPreferences: 1 } }
+    );
+    return result ? result.notificationPreferences : null;
+  }
+
+  // FIND active admins who opted in to email or SMS notifications
+  static async findNotificationSubscribers() {
+    const db = getDB();
+    return await db.collection("admins").find(
+      {
+        isActive: true,
+        $or: [
+          { "notificationPreferences.channels.EMAIL": true },
+          { "notificationPreferences.channels.SMS": true }
+        ]
+      },
+      { projection: { adminCode: 1, name: 1, email: 1, notificationPreferences: 1 } }
+    ).toArray();
+  }
+
   // FIND all admins
   static async findAll() {
     const db = getDB();
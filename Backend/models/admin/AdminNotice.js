@@ -0,0 +1,200 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region AdminNoticeModel
+
+/**
+ * AdminNotice Model
+ * Notices super admins send to organizations. The audience is kept as sent
+ * (one organization, some organization types or everyone) and resolved into
+ * recipientIds when the notice is created, so organizations approved later
+ * don't receive older notices. Reads are tracked per user, acknowledgments
+ * once per organization.
+ */
+class AdminNotice {
+  constructor() {
+    this.collectionName = "admin_notices";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Send a notice to its resolved recipients
+  async create(noticeData) {
+    const collection = this.getCollection();
+    const newNotice = {
+      title: noticeData.title,
+      body: noticeData.body,
+      priority: noticeData.priority, // LOW, NORMAL, HIGH, CRITICAL
+      requiresAcknowledgment: Boolean(noticeData.requiresAcknowledgment),
+      audience: {
+        scope: noticeData.audience.scope, // ORGANIZATION, ORGANIZATION_TYPE, ALL
+        organizationIds: (noticeData.audience.organizationIds || []).map((id) => new ObjectId(id)),
+        organizationTypes: noticeData.audience.organizationTypes || []
+      },
+      recipientIds: noticeData.recipientIds.map((id) => new ObjectId(id)),
+      sentBy: {
+        adminCode: noticeData.sentBy.adminCode,
+        name: noticeData.sentBy.name || "",
+        email: noticeData.sentBy.email || ""
+      },
+      reads: [], // { organizationId, userCode, name, readAt }
+      acknowledgments: [], // { organizationId, organizationName, userCode, name, acknowledgedAt }
+      createdAt: new Date()
+    };
+
+    const result = await collection.insertOne(newNotice);
+    return { _id: result.insertedId, ...newNotice };
+  }
+
+  // READ - Get notice by ID
+  async findById(id) {
+    const collection = this.getCollection();
+    return await collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  // READ - Sent notices, newest first, with read and acknowledgment counts
+  async findAll(filters = {}, pagination = {}) {
+    const collection = this.getCollection();
+    const page = pagination.page || 1;
+    const limit = pagination.limit || 20;
+
+    const query = {};
+    if (filters.priority) query.priority = filters.priority;
+    if (filters.scope) query["audience.scope"] = filters.scope;
+
+    const [notices, total] = await Promise.all([
+      collection
+        .aggregate([
+          { $match: query },
+          { $sort: { createdAt: -1 } },
+          { $skip: (page - 1) * limit },
+          { $limit: limit },
+          {
+            $project: {
+              title: 1,
+              body: 1,
+              priority: 1,
+              requiresAcknowledgment: 1,
+              audience: 1,
+              sentBy: 1,
+              createdAt: 1,
+              recipientCount: { $size: "$recipientIds" },
+              readCount: { $size: { $setUnion: ["$reads.organizationId", []] } },
+              acknowledgedCount: { $size: "$acknowledgments" }
+            }
+          }
+        ])
+        .toArray(),
+      collection.countDocuments(query)
+    ]);
+
+    return {
+      notices,
+      pagination: {
+        currentPage: page,
+        totalPages: Math.ceil(total / limit),
+        totalItems: total,
+        itemsPerPage: limit
+      }
+    };
+  }
+
+  // READ - Inbox of an organization, newest first, with the caller's read state and the organization's acknowledgment
+  async findForOrganization(organizationId, userCode, limit = 50) {
+    const collection = this.getCollection();
+    const orgId = new ObjectId(organizationId);
+
+    return await collection
+      .aggregate([
+        { $match: { recipientIds: orgId } },
+        { $sort: { createdAt: -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            title: 1,
+            body: 1,
+            priority: 1,
+            requiresAcknowledgment: 1,
+            "sentBy.name": 1,
+            createdAt: 1,
+            read: { $in: [userCode, "$reads.userCode"] },
+            acknowledgment: {
+              $arrayElemAt: [
+                {
+                  $filter: {
+                    input: "$acknowledgments",
+                    cond: { $eq: ["$$this.organizationId", orgId] }
+                  }
+                },
+                0
+              ]
+            }
+          }
+        }
+      ])
+      .toArray();
+  }
+
+  // READ - Notices of an organization the caller hasn't opened
+  async countUnread(organizationId, userCode) {
+    const collection = this.getCollection();
+    return await collection.countDocuments({
+      recipientIds: new ObjectId(organizationId),
+      "reads.userCode": { $ne: userCode }
+    });
+  }
+
+  // UPDATE - Record that a user opened the notice (once per user)
+  async markRead(id, reader) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      {
+        _id: new ObjectId(id),
+        recipientIds: new ObjectId(reader.organizationId),
+        "reads.userCode": { $ne: reader.userCode }
+      },
+      {
+        $push: {
+          reads: {
+            organizationId: new ObjectId(reader.organizationId),
+            userCode: reader.userCode,
+            name: reader.name || "",
+            readAt: new Date()
+          }
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  // UPDATE - Acknowledge on behalf of the organization; null if it already has
+  async acknowledge(id, acknowledgment) {
+    const collection = this.getCollection();
+    const organizationId = new ObjectId(acknowledgment.organizationId);
+
+    return await collection.findOneAndUpdate(
+      {
+        _id: new ObjectId(id),
+        recipientIds: organizationId,
+        "acknowledgments.organizationId": { $ne: organizationId }
+      },
+      {
+        $push: {
+          acknowledgments: {
+            organizationId,
+            organizationName: acknowledgment.organizationName || "",
+            userCode: acknowledgment.userCode,
+            name: acknowledgment.name || "",
+            acknowledgedAt: new Date()
+          }
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+}
+
+export default new AdminNotice();
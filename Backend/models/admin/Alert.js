@@ -1,11 +1,42 @@
 import { getDB } from "../../config/db.js";
 import { ObjectId } from "mongodb";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "../../services/RealtimeEvents.js";
+import { getSlaDeadlines } from "../../services/AlertSla.js";
+
+export const ALERT_STATUS = {
+  ACTIVE: "ACTIVE", // Open, acknowledged or not
+  RESOLVED: "RESOLVED",
+  ARCHIVED: "ARCHIVED"
+};
+
+// Entries of an alert's history
+export const ALERT_ACTIONS = {
+  CREATED: "CREATED",
+  ACKNOWLEDGED: "ACKNOWLEDGED",
+  ASSIGNED: "ASSIGNED",
+  ESCALATED: "ESCALATED",
+  SLA_BREACHED: "SLA_BREACHED",
+  RESOLVED: "RESOLVED",
+  ARCHIVED: "ARCHIVED"
+};
+
+const historyEntry = (action, actor, details = {}) => ({
+  action,
+  at: details.at || new Date(),
+  actor: actor || "system",
+  ...(details.note && { note: details.note }),
+  ...(details.data && { data: details.data })
+});
 
 // #region AlertModel
 
 /**
  * Alert Model
  * Manages system alerts and notifications for admins
+ *
+ * Open alerts go through acknowledge / assign / escalate / resolve
+ * (services/AlertWorkflow.js); every step is appended to `history` and the
+ * SLA deadlines of the alert's severity are kept in `sla`.
  */
 class Alert {
   constructor() {
@@ -21,7 +52,7 @@ class Alert {
   async create(alertData) {
     const collection = this.getCollection();
     const newAlert = {
-      type: alertData.type, // DELAYED_EMERGENCY, NO_BLOOD_BANK_RESPONSE, NGO_FALLBACK_TRIGGERED, CRITICAL_SHORTAGE, etc.
+      type: alertData.type, // DELAYED_EMERGENCY, NO_BLOOD_BANK_RESPONSE, NGO_FALLBACK_TRIGGERED, CRITICAL_SHORTAGE, NEAR_EXPIRY, etc.
       title: alertData.title,
       message: alertData.message,
       severity: alertData.severity || "MEDIUM", // LOW, MEDIUM, HIGH, CRITICAL
@@ -31,18 +62,32 @@ class Alert {
       createdAt: new Date(),
       readAt: null,
       createdBy: alertData.createdBy,
-      status: "ACTIVE"
+      status: ALERT_STATUS.ACTIVE,
+      acknowledgedAt: null,
+      acknowledgedBy: null,
+      assignedTo: null, // { type: USER|ORGANIZATION, id, name, assignedAt, assignedBy }
+      escalation: { tier: 0, escalatedAt: null },
+      sla: null,
+      resolvedAt: null,
+      resolvedBy: null,
+      resolution: null,
+      history: []
     };
+    newAlert.sla = getSlaDeadlines(newAlert.severity, newAlert.createdAt);
+    newAlert.history.push(historyEntry(ALERT_ACTIONS.CREATED, newAlert.createdBy, { at: newAlert.createdAt }));
 
     const result = await collection.insertOne(newAlert);
-    return { _id: result.insertedId, ...newAlert };
+    const alert = { _id: result.insertedId, ...newAlert };
+
+    emitRealtimeEvent(REALTIME_EVENTS.ALERT_CREATED, { alert });
+    return alert;
   }
 
   // READ - Get all alerts with pagination and filters
   async findAll(filters = {}, pagination = {}) {
     const collection = this.getCollection();
     const { page = 1, limit = 20 } = pagination;
-    const { unreadOnly = false, severity, type, relatedEntityType, status = "ACTIVE" } = filters;
+    const { unreadOnly = false, severity, type, relatedEntityType, status = "ACTIVE", acknowledged, assignedTo } = filters;
 
     let query = { status };
 
@@ -66,6 +111,14 @@ class Alert {
       query.relatedEntityType = relatedEntityType;
     }
 
+    // Filter by workflow state
+    if (acknowledged !== undefined) {
+      query.acknowledgedAt = acknowledged ? { $ne: null } : null;
+    }
+    if (assignedTo) {
+      query["assignedTo.id"] = assignedTo;
+    }
+
     const total = await collection.countDocuments(query);
     const alerts = await collection
       .find(query)
@@ -165,12 +218,15 @@ class Alert {
   }
 
   // UPDATE - Archive alert (soft delete)
-  async archiveAlert(alertId) {
+  async archiveAlert(alertId, actor = "system") {
     const collection = this.getCollection();
     try {
       const result = await collection.updateOne(
         { _id: new ObjectId(alertId) },
-        { $set: { status: "ARCHIVED", archivedAt: new Date() } }
+        {
+          $set: { status: ALERT_STATUS.ARCHIVED, archivedAt: new Date() },
+          $push: { history: historyEntry(ALERT_ACTIONS.ARCHIVED, actor) }
+        }
       );
       return result.modifiedCount > 0;
     } catch (error) {
@@ -178,6 +234,154 @@ class Alert {
     }
   }
 
+  // UPDATE - Acknowledge an open alert (null if missing, closed or already acknowledged)
+  async acknowledge(alertId, actor, at = new Date()) {
+    const collection = this.getCollection();
+    try {
+      return await collection.findOneAndUpdate(
+        { _id: new ObjectId(alertId), status: ALERT_STATUS.ACTIVE, acknowledgedAt: null },
+        [
+          {
+            $set: {
+              acknowledgedAt: at,
+              acknowledgedBy: actor,
+              // Acknowledged late: record the breach unless escalation already did
+              "sla.acknowledgeBreachedAt": {
+                $cond: [
+                  {
+                    $and: [
+                      { $gt: ["$sla.acknowledgeBy", null] }, // Alerts from before SLAs have none
+                      { $lt: ["$sla.acknowledgeBy", at] },
+                      { $not: ["$sla.acknowledgeBreachedAt"] }
+                    ]
+                  },
+                  at,
+                  "$sla.acknowledgeBreachedAt"
+                ]
+              },
+              history: {
+                $concatArrays: [{ $ifNull: ["$history", []] }, [historyEntry(ALERT_ACTIONS.ACKNOWLEDGED, actor, { at })]]
+              }
+            }
+          }
+        ],
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // UPDATE - Assign an open alert to a user or organization
+  async assign(alertId, assignee, actor, note = null) {
+    const collection = this.getCollection();
+    try {
+      const assignedTo = { ...assignee, assignedAt: new Date(), assignedBy: actor };
+      return await collection.findOneAndUpdate(
+        { _id: new ObjectId(alertId), status: ALERT_STATUS.ACTIVE },
+        {
+          $set: { assignedTo },
+          $push: { history: historyEntry(ALERT_ACTIONS.ASSIGNED, actor, { note, data: assignee }) }
+        },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // UPDATE - Move an open alert from `fromTier` to the next tier (null if another caller moved it first)
+  async escalate(alertId, fromTier, { actor, reason, acknowledgeBy, at = new Date(), unacknowledgedOnly = false }) {
+    const collection = this.getCollection();
+    try {
+      const query = { _id: new ObjectId(alertId), status: ALERT_STATUS.ACTIVE, "escalation.tier": fromTier };
+      if (unacknowledgedOnly) {
+        query.acknowledgedAt = null;
+      }
+
+      const $set = {
+        "escalation.tier": fromTier + 1,
+        "escalation.escalatedAt": at,
+        "sla.acknowledgeBy": acknowledgeBy
+      };
+      if (unacknowledgedOnly) {
+        $set["sla.acknowledgeBreachedAt"] = at;
+      }
+
+      return await collection.findOneAndUpdate(
+        query,
+        {
+          $set,
+          $push: {
+            history: historyEntry(ALERT_ACTIONS.ESCALATED, actor, {
+              at,
+              note: reason,
+              data: { fromTier, toTier: fromTier + 1 }
+            })
+          }
+        },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // UPDATE - Resolve an open alert with notes (null if missing or already closed)
+  async resolve(alertId, resolution = {}) {
+    const collection = this.getCollection();
+    const resolvedBy = resolution.resolvedBy || "system";
+    try {
+      return await collection.findOneAndUpdate(
+        { _id: new ObjectId(alertId), status: ALERT_STATUS.ACTIVE },
+        {
+          $set: {
+            status: ALERT_STATUS.RESOLVED,
+            resolvedAt: new Date(),
+            resolvedBy,
+            resolution: resolution.note || null
+          },
+          $push: { history: historyEntry(ALERT_ACTIONS.RESOLVED, resolvedBy, { note: resolution.note }) }
+        },
+        { returnDocument: "after" }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // READ - Open, unacknowledged alerts past their acknowledge deadline below the last tier
+  async findDueEscalations(now, maxTier, limit = 100) {
+    const collection = this.getCollection();
+    return await collection
+      .find({
+        status: ALERT_STATUS.ACTIVE,
+        acknowledgedAt: null,
+        "sla.acknowledgeBy": { $lte: now },
+        "escalation.tier": { $lt: maxTier }
+      })
+      .sort({ "sla.acknowledgeBy": 1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // UPDATE - Record resolve-SLA breaches of open alerts (once per alert)
+  async markResolveBreaches(now) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      {
+        status: ALERT_STATUS.ACTIVE,
+        "sla.resolveBy": { $lte: now },
+        "sla.resolveBreachedAt": null
+      },
+      {
+        $set: { "sla.resolveBreachedAt": now },
+        $push: { history: historyEntry(ALERT_ACTIONS.SLA_BREACHED, "system", { at: now, note: "Resolve deadline missed" }) }
+      }
+    );
+    return result.modifiedCount;
+  }
+
   // READ - Get alerts summary for dashboard
   async getSummary() {
     const collection = this.getCollection();
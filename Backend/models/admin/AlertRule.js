@@ -0,0 +1,202 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+export const RULE_SCOPES = {
+  GLOBAL: "GLOBAL", // Every blood bank
+  CITY: "CITY", // Blood banks in scope.city
+  BANK: "BANK" // One blood bank (scope.bloodBankId)
+};
+
+export const RULE_COMPARISONS = {
+  BELOW: "BELOW", // value < threshold
+  AT_OR_BELOW: "AT_OR_BELOW" // value <= threshold
+};
+
+const toObjectId = (id) => (id ? new ObjectId(id) : null);
+
+// #region AlertRuleModel
+
+/**
+ * AlertRule Model
+ * Admin-defined stock thresholds evaluated by services/AlertRuleEngine.js.
+ *
+ * Evaluation state lives on the rule:
+ * - breachedSince: first evaluation that found the condition true
+ * - triggeredAt / activeAlertId: the open alert once the condition held
+ *   for windowMinutes; cleared (and the alert resolved) when it stops
+ */
+class AlertRule {
+  constructor() {
+    this.collectionName = "alert_rules";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Add a rule
+  async create(ruleData) {
+    const collection = this.getCollection();
+    const newRule = {
+      name: ruleData.name,
+      scope: {
+        type: ruleData.scope.type,
+        city: ruleData.scope.city || null,
+        bloodBankId: toObjectId(ruleData.scope.bloodBankId)
+      },
+      bloodGroup: ruleData.bloodGroup || null, // null = all groups
+      component: ruleData.component || null, // null = blood_stock totals; set = AVAILABLE bags of the component
+      comparison: ruleData.comparison || RULE_COMPARISONS.BELOW,
+      threshold: ruleData.threshold,
+      windowMinutes: ruleData.windowMinutes || 0, // How long the condition must hold before alerting
+      severity: ruleData.severity,
+      isActive: ruleData.isActive !== false,
+      breachedSince: null,
+      triggeredAt: null,
+      activeAlertId: null,
+      lastValue: null,
+      lastEvaluatedAt: null,
+      createdBy: ruleData.createdBy || "system",
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await collection.insertOne(newRule);
+    return { _id: result.insertedId, ...newRule };
+  }
+
+  // READ - List rules
+  async findAll(filters = {}) {
+    const collection = this.getCollection();
+    const query = {};
+    if (filters.scope) query["scope.type"] = filters.scope;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+    return await collection.find(query).sort({ createdAt: -1 }).toArray();
+  }
+
+  // READ - Get rule by ID
+  async findById(ruleId) {
+    const collection = this.getCollection();
+    try {
+      return await collection.findOne({ _id: new ObjectId(ruleId) });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // READ - Active rules, optionally those a stock change at one bank can affect
+  async findActive(target = null) {
+    const collection = this.getCollection();
+    const query = { isActive: true };
+
+    if (target) {
+      const scopes = [
+        { "scope.type": RULE_SCOPES.GLOBAL },
+        { "scope.type": RULE_SCOPES.BANK, "scope.bloodBankId": new ObjectId(target.bloodBankId) }
+      ];
+      if (target.city) {
+        const escapedCity = target.city.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+        scopes.push({ "scope.type": RULE_SCOPES.CITY, "scope.city": new RegExp(`^${escapedCity}$`, "i") });
+      }
+      query.$or = scopes;
+      if (target.bloodGroup) {
+        query.bloodGroup = { $in: [null, target.bloodGroup] };
+      }
+    }
+
+    return await collection.find(query).toArray();
+  }
+
+  // UPDATE - Change a rule's definition; evaluation state is reset
+  async update(ruleId, updates) {
+    const collection = this.getCollection();
+    try {
+      const { scope, ...fields } = updates;
+      const $set = {
+        ...fields,
+        breachedSince: null,
+        triggeredAt: null,
+        activeAlertId: null,
+        updatedAt: new Date()
+      };
+      if (scope) {
+        $set.scope = {
+          type: scope.type,
+          city: scope.city || null,
+          bloodBankId: toObjectId(scope.bloodBankId)
+        };
+      }
+
+      // The open alert (if any) is returned so the caller can resolve it
+      return await collection.findOneAndUpdate(
+        { _id: new ObjectId(ruleId) },
+        { $set },
+        { returnDocument: "before" }
+      );
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // DELETE - Remove a rule, returning it so its open alert can be resolved
+  async delete(ruleId) {
+    const collection = this.getCollection();
+    try {
+      return await collection.findOneAndDelete({ _id: new ObjectId(ruleId) });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // UPDATE - Record the measured value; starts the breach window if not started
+  async recordBreach(ruleId, value, at) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(ruleId) },
+      [{ $set: { breachedSince: { $ifNull: ["$breachedSince", at] }, lastValue: value, lastEvaluatedAt: at } }],
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Claim the right to raise the rule's alert (null if already raised)
+  async markTriggered(ruleId, at) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(ruleId), triggeredAt: null, breachedSince: { $ne: null } },
+      { $set: { triggeredAt: at } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Link the alert raised after markTriggered; false if the breach cleared meanwhile
+  async setActiveAlert(ruleId, triggeredAt, alertId) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(ruleId), triggeredAt },
+      { $set: { activeAlertId: alertId } }
+    );
+    return result.matchedCount > 0;
+  }
+
+  // UPDATE - Condition no longer holds; returns the rule as it was so its alert can be resolved
+  async clearBreach(ruleId, value, at) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(ruleId) },
+      {
+        $set: {
+          breachedSince: null,
+          triggeredAt: null,
+          activeAlertId: null,
+          lastValue: value,
+          lastEvaluatedAt: at
+        }
+      },
+      { returnDocument: "before" }
+    );
+  }
+}
+
+export default new AlertRule();
@@ -1,5 +1,4 @@
 import { getDB } from "../../config/db.js";
-import bcrypt from "bcryptjs";
 import { ObjectId } from "mongodb";
 import User from "../ngo/User.js";
 import { generateUserCode } from "../../utils/codeGenerator.js";
@@ -101,7 +100,8 @@ export class Approval {
   /**
    * Approve organization
    * 1. Remove adminPassword from organization document
-   * 2. Create new organization admin user in organizationUsers collection with password "admin123"
+   * 2. Create new organization admin user in organizationUsers collection, PENDING_ACTIVATION
+   *    and without a password (the admin sets one through the activation link)
    * 3. Set organization status to APPROVED
    * @param {string} organizationCode
    * @param {Object} adminData - {name, email, role}
@@ -123,11 +123,6 @@ export class Approval {
 
       console.log(`[APPROVAL] Processing approval for: ${organizationCode}`);
 
-      // Hash default password for organization admin
-      const defaultPassword = "admin123";
-      const hashedPassword = await bcrypt.hash(defaultPassword, 10);
-      console.log(`[APPROVAL] Password hashed for admin user`);
-
       // Generate user code for organization admin
       const userCode = await generateUserCode(organizationCode, "ADMIN");
       console.log(`[APPROVAL] Generated userCode: ${userCode}`);
@@ -140,10 +135,11 @@ export class Approval {
         organizationType: org.type,
         userCode: userCode,
         name: adminData.name,
-        email: adminData.email,
-        password: hashedPassword,
+        email: adminData.email.toLowerCase(),
+        password: null, // Set through the activation link
         role: "ADMIN",
-        status: "ACTIVE",
+        status: "PENDING_ACTIVATION",
+        mustChangePassword: false,
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -266,6 +266,19 @@ class Audit {
     return await collection.countDocuments({ entityType });
   }
 
+  // READ - Count one kind of event (on an entity, when given) since a point in time (e.g. failed sign-in steps)
+  async countRecent({ entityId, action, status, since }) {
+    const collection = this.getCollection();
+    const query = { action, timestamp: { $gte: since } };
+    if (entityId) {
+      query.entityId = new ObjectId(entityId);
+    }
+    if (status) {
+      query.status = status;
+    }
+    return await collection.countDocuments(query);
+  }
+
   // READ - Get logs for a specific entity code (track all changes to that entity)
   async findByEntityCode(entityCode, pagination = {}) {
     const collection = this.getCollection();
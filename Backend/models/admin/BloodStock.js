@@ -1,5 +1,8 @@
 import { getDB } from "../../config/db.js";
 import { ObjectId } from "mongodb";
+import BloodUnit, { BLOOD_COMPONENTS, UNIT_STATUS } from "./BloodUnit.js";
+import { getCompatibleDonorGroups } from "../../services/BloodCompatibility.js";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "../../services/RealtimeEvents.js";
 
 const BLOOD_GROUPS = ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"];
 const DEFAULT_INITIAL_UNITS = {
@@ -13,6 +16,10 @@ const DEFAULT_INITIAL_UNITS = {
   "AB-": 3
 };
 
+// Pushed to the blood bank's live dashboards, which refetch their stock
+const notifyStockChange = (bloodBankId, bloodGroup, change) =>
+  emitRealtimeEvent(REALTIME_EVENTS.STOCK_CHANGED, { bloodBankId: String(bloodBankId), bloodGroup, change });
+
 const prepareStockEntries = (sourceStock = {}, fallbackUnits = {}, updatedBy = "system") => {
   const now = new Date();
   const entries = {};
@@ -61,10 +68,48 @@ const getLatestUpdateAt = (stockEntries) => {
   }, new Date(0));
 };
 
+/**
+ * Pipeline stage recomputing the denormalised totals from bloodStock
+ */
+const RECOMPUTE_TOTALS_STAGE = {
+  $set: {
+    totalUnitsAvailable: {
+      $sum: {
+        $map: {
+          input: { $objectToArray: "$bloodStock" },
+          as: "group",
+          in: { $ifNull: ["$$group.v.units", 0] }
+        }
+      }
+    },
+    criticalCount: {
+      $size: {
+        $filter: {
+          input: { $objectToArray: "$bloodStock" },
+          as: "group",
+          cond: { $lt: [{ $ifNull: ["$$group.v.units", 0] }, 5] }
+        }
+      }
+    }
+  }
+};
+
+const unitsPath = (bloodGroup) => `$bloodStock.${bloodGroup}.units`;
+const reservedPath = (bloodGroup) => `$bloodStock.${bloodGroup}.reserved`;
+
 /**
  * BloodStock Model
  * Manages blood inventory for blood banks
  * Note: Each blood bank has one blood stock document
+ *
+ * bloodStock[group].reserved counts units held for accepted hospital
+ * requests (see StockReservation). Units free to promise are
+ * units - reserved; every change to units or reserved is a single
+ * conditional update so concurrent writers can never oversell a group.
+ *
+ * Blood banks that register bags (BloodUnit) switch to inventoryMode
+ * "UNIT": units, quarantined and byComponent are then derived from
+ * blood_units by syncFromUnits() and can no longer be set by hand.
  */
 class BloodStock {
   constructor() {
@@ -121,45 +166,182 @@ class BloodStock {
     return await collection.findOne({ bloodBankCode });
   }
 
-  // UPDATE - Update units for a specific blood group
+  // UPDATE - Set units for a specific blood group
+  // Refuses to drop below the units currently reserved for requests
   async updateBloodGroupUnits(bloodBankId, bloodGroup, units, updatedBy) {
     const collection = this.getCollection();
     try {
-      // Calculate total units
-      const stock = await this.findByBloodBankId(bloodBankId);
-      if (!stock) return false;
-
-      let totalUnits = 0;
-      let criticalCount = 0;
-      const updatedStock = { ...stock.bloodStock };
-
-      updatedStock[bloodGroup] = {
-        units: Math.max(0, units), // Prevent negative
-        lastUpdated: new Date(),
-        updatedBy: updatedBy
-      };
+      const newUnits = Math.max(0, units); // Prevent negative
+
+      const result = await collection.updateOne(
+        {
+          bloodBankId: new ObjectId(bloodBankId),
+          inventoryMode: { $ne: "UNIT" },
+          $expr: { $lte: [{ $ifNull: [reservedPath(bloodGroup), 0] }, newUnits] }
+        },
+        [
+          {
+            $set: {
+              [`bloodStock.${bloodGroup}`]: {
+                units: { $literal: newUnits },
+                reserved: { $ifNull: [reservedPath(bloodGroup), 0] },
+                lastUpdated: "$$NOW",
+                updatedBy: { $literal: updatedBy }
+              },
+              lastStockUpdateAt: "$$NOW",
+              updatedAt: "$$NOW"
+            }
+          },
+          RECOMPUTE_TOTALS_STAGE
+        ]
+      );
 
-      // Recalculate totals
-      Object.values(updatedStock).forEach((bg) => {
-        totalUnits += bg.units;
-        if (bg.units < 5) criticalCount++;
+      if (result.matchedCount > 0) notifyStockChange(bloodBankId, bloodGroup, "UPDATED");
+      return result.matchedCount > 0;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  // UPDATE - Derive per-group totals from the bag inventory
+  async syncFromUnits(bloodBankId, updatedBy = "inventory") {
+    const collection = this.getCollection();
+    try {
+      const counts = await BloodUnit.countByGroupAndComponent(bloodBankId);
+
+      const groupFields = {};
+      BLOOD_GROUPS.forEach((group) => {
+        const byComponent = Object.fromEntries(BLOOD_COMPONENTS.map((component) => [component, 0]));
+        let units = 0;
+        let quarantined = 0;
+
+        counts
+          .filter((entry) => entry._id.bloodGroup === group)
+          .forEach((entry) => {
+            if (entry._id.status === UNIT_STATUS.QUARANTINED) {
+              quarantined += entry.count;
+              return;
+            }
+            units += entry.count;
+            byComponent[entry._id.component] = (byComponent[entry._id.component] || 0) + entry.count;
+          });
+
+        groupFields[`bloodStock.${group}.units`] = { $literal: units };
+        groupFields[`bloodStock.${group}.quarantined`] = { $literal: quarantined };
+        groupFields[`bloodStock.${group}.byComponent`] = { $literal: byComponent };
+        groupFields[`bloodStock.${group}.reserved`] = { $ifNull: [reservedPath(group), 0] };
+        groupFields[`bloodStock.${group}.lastUpdated`] = "$$NOW";
+        groupFields[`bloodStock.${group}.updatedBy`] = { $literal: updatedBy };
       });
 
       const result = await collection.updateOne(
         { bloodBankId: new ObjectId(bloodBankId) },
+        [
+          {
+            $set: {
+              ...groupFields,
+              inventoryMode: "UNIT",
+              lastStockUpdateAt: "$$NOW",
+              updatedAt: "$$NOW"
+            }
+          },
+          RECOMPUTE_TOTALS_STAGE
+        ]
+      );
+
+      if (result.matchedCount > 0) notifyStockChange(bloodBankId, null, "SYNCED");
+      return result.matchedCount > 0;
+    } catch (error) {
+      console.error("Error syncing blood stock from units:", error);
+      return false;
+    }
+  }
+
+  // UPDATE - Hold units for a request if enough are unreserved
+  async reserveUnits(bloodBankId, bloodGroup, units) {
+    // A negative hold would free units other requests are holding
+    if (!Number.isInteger(units) || units <= 0) return false;
+
+    const collection = this.getCollection();
+    try {
+      const result = await collection.updateOne(
         {
-          $set: {
-            bloodStock: updatedStock,
-            totalUnitsAvailable: totalUnits,
-            criticalCount: criticalCount,
-            lastStockUpdateAt: new Date(),
-            updatedAt: new Date()
+          bloodBankId: new ObjectId(bloodBankId),
+          $expr: {
+            $gte: [
+              {
+                $subtract: [
+                  { $ifNull: [unitsPath(bloodGroup), 0] },
+                  { $ifNull: [reservedPath(bloodGroup), 0] }
+                ]
+              },
+              units
+            ]
           }
+        },
+        {
+          $inc: { [`bloodStock.${bloodGroup}.reserved`]: units },
+          $set: { updatedAt: new Date() }
         }
       );
+      if (result.modifiedCount > 0) notifyStockChange(bloodBankId, bloodGroup, "RESERVED");
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error("Error reserving blood units:", error);
+      return false;
+    }
+  }
 
+  // UPDATE - Give held units back to the free pool
+  async releaseReservedUnits(bloodBankId, bloodGroup, units) {
+    const collection = this.getCollection();
+    try {
+      const result = await collection.updateOne(
+        {
+          bloodBankId: new ObjectId(bloodBankId),
+          [`bloodStock.${bloodGroup}.reserved`]: { $gte: units }
+        },
+        {
+          $inc: { [`bloodStock.${bloodGroup}.reserved`]: -units },
+          $set: { updatedAt: new Date() }
+        }
+      );
+      if (result.modifiedCount > 0) notifyStockChange(bloodBankId, bloodGroup, "RELEASED");
       return result.modifiedCount > 0;
     } catch (error) {
+      console.error("Error releasing reserved blood units:", error);
+      return false;
+    }
+  }
+
+  // UPDATE - Turn held units into an actual decrement (units issued)
+  async consumeReservedUnits(bloodBankId, bloodGroup, units, updatedBy = "system") {
+    const collection = this.getCollection();
+    try {
+      const result = await collection.updateOne(
+        {
+          bloodBankId: new ObjectId(bloodBankId),
+          [`bloodStock.${bloodGroup}.reserved`]: { $gte: units },
+          [`bloodStock.${bloodGroup}.units`]: { $gte: units }
+        },
+        [
+          {
+            $set: {
+              [`bloodStock.${bloodGroup}.units`]: { $subtract: [unitsPath(bloodGroup), units] },
+              [`bloodStock.${bloodGroup}.reserved`]: { $subtract: [reservedPath(bloodGroup), units] },
+              [`bloodStock.${bloodGroup}.lastUpdated`]: "$$NOW",
+              [`bloodStock.${bloodGroup}.updatedBy`]: { $literal: updatedBy },
+              lastStockUpdateAt: "$$NOW",
+              updatedAt: "$$NOW"
+            }
+          },
+          RECOMPUTE_TOTALS_STAGE
+        ]
+      );
+      if (result.modifiedCount > 0) notifyStockChange(bloodBankId, bloodGroup, "ISSUED");
+      return result.modifiedCount > 0;
+    } catch (error) {
+      console.error("Error consuming reserved blood units:", error);
       return false;
     }
   }
@@ -207,6 +389,7 @@ class BloodStock {
       return {
         totalUnitsAvailable: 0,
         bloodGroupBreakdown: {},
+        componentBreakdown: {},
         criticalBloodGroups: [],
         lastUpdatedAt: new Date()
       };
@@ -225,12 +408,18 @@ class BloodStock {
       "AB-": 0
     };
 
+    const componentBreakdown = Object.fromEntries(BLOOD_COMPONENTS.map((component) => [component, 0]));
+
     const rareBloodGroups = ["O-", "B-", "AB-"];
     let criticalBloodGroups = [];
 
     allStocks.forEach((stock) => {
       Object.entries(stock.bloodStock).forEach(([bg, data]) => {
         bloodGroupBreakdown[bg] += data.units;
+        // Integer-only stock is whole blood
+        Object.entries(data.byComponent || { WHOLE_BLOOD: data.units }).forEach(([component, units]) => {
+          componentBreakdown[component] = (componentBreakdown[component] || 0) + units;
+        });
         if (data.units < 5 && rareBloodGroups.includes(bg)) {
           criticalBloodGroups.push(bg);
         }
@@ -243,35 +432,72 @@ class BloodStock {
     return {
       totalUnitsAvailable: result[0].totalUnitsAvailable,
       bloodGroupBreakdown,
+      componentBreakdown,
       criticalBloodGroups,
       lastUpdatedAt: new Date()
     };
   }
 
   // READ - Get stock by specific blood group
-  async getByBloodGroup(bloodGroup) {
+  // With includeCompatible, banks holding compatible substitutes follow the
+  // exact matches, each annotated with why the group is compatible
+  async getByBloodGroup(bloodGroup, options = {}) {
     const collection = this.getCollection();
-    
-    const stocks = await collection
-      .aggregate([
-        {
-          $project: {
-            bloodBankId: 1,
-            bloodBankCode: 1,
-            units: `$bloodStock.${bloodGroup}.units`,
-            lastUpdated: `$bloodStock.${bloodGroup}.lastUpdated`
+    const { component = null, includeCompatible = false } = options;
+
+    const groups = includeCompatible
+      ? getCompatibleDonorGroups(bloodGroup, component || "WHOLE_BLOOD")
+      : [{ bloodGroup, exact: true, reason: "Exact match" }];
+
+    const bloodBanks = [];
+    for (const compatibility of groups) {
+      const stocks = await collection
+        .aggregate([
+          {
+            $project: {
+              bloodBankId: 1,
+              bloodBankCode: 1,
+              group: `$bloodStock.${compatibility.bloodGroup}`
+            }
           }
-        },
-        { $sort: { units: -1 } }
-      ])
-      .toArray();
+        ])
+        .toArray();
+
+      const entries = stocks
+        .map((stock) => {
+          // Integer-only stock is whole blood
+          const units = component
+            ? stock.group?.byComponent?.[component] ?? (component === "WHOLE_BLOOD" ? stock.group?.units : 0)
+            : stock.group?.units;
+
+          return {
+            bloodBankId: stock.bloodBankId,
+            bloodBankCode: stock.bloodBankCode,
+            bloodGroup: compatibility.bloodGroup,
+            units: units || 0,
+            lastUpdated: stock.group?.lastUpdated,
+            compatibility
+          };
+        })
+        .filter((entry) => compatibility.exact || entry.units > 0)
+        .sort((a, b) => b.units - a.units);
+
+      bloodBanks.push(...entries);
+    }
 
-    const totalUnits = stocks.reduce((sum, stock) => sum + (stock.units || 0), 0);
+    const totalUnits = bloodBanks
+      .filter((entry) => entry.compatibility.exact)
+      .reduce((sum, stock) => sum + (stock.units || 0), 0);
+    const compatibleUnits = bloodBanks
+      .filter((entry) => !entry.compatibility.exact)
+      .reduce((sum, stock) => sum + (stock.units || 0), 0);
 
     return {
       bloodGroup,
+      component,
       totalUnits,
-      bloodBanks: stocks
+      compatibleUnits,
+      bloodBanks
     };
   }
 
@@ -0,0 +1,359 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+export const BLOOD_COMPONENTS = ["WHOLE_BLOOD", "PLASMA", "PLATELETS", "RBC"];
+
+export const UNIT_STATUS = {
+  QUARANTINED: "QUARANTINED", // Collected, awaiting screening
+  AVAILABLE: "AVAILABLE",
+  RESERVED: "RESERVED", // Held for an accepted hospital request
+  ISSUED: "ISSUED",
+  DISCARDED: "DISCARDED"
+};
+
+// Bags physically on the shelf and counted in blood_stock units
+export const IN_STOCK_STATUSES = [UNIT_STATUS.AVAILABLE, UNIT_STATUS.RESERVED];
+
+/**
+ * Status changes blood bank staff may make by hand.
+ * RESERVED and ISSUED are only set by the stock ledger.
+ */
+export const MANUAL_UNIT_TRANSITIONS = {
+  [UNIT_STATUS.QUARANTINED]: [UNIT_STATUS.AVAILABLE, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.AVAILABLE]: [UNIT_STATUS.QUARANTINED, UNIT_STATUS.DISCARDED],
+  [UNIT_STATUS.RESERVED]: [],
+  [UNIT_STATUS.ISSUED]: [],
+  [UNIT_STATUS.DISCARDED]: []
+};
+
+// #region BloodUnitModel
+
+/**
+ * BloodUnit Model
+ * Per-bag blood inventory (one document per collected bag)
+ *
+ * blood_stock totals for a blood bank that registers bags are derived from
+ * this collection (BloodStock.syncFromUnits), so a bag status change is
+ * always followed by a sync.
+ *
+ * Bags are always reserved and issued first-expiry-first-out (FEFO) and
+ * never once expired.
+ */
+class BloodUnit {
+  constructor() {
+    this.collectionName = "blood_units";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Register a collected bag
+  async create(unitData) {
+    const collection = this.getCollection();
+    const newUnit = {
+      bagId: unitData.bagId,
+      donationId: unitData.donationId || null,
+      bloodBankId: new ObjectId(unitData.bloodBankId),
+      bloodGroup: unitData.bloodGroup,
+      component: unitData.component || "WHOLE_BLOOD",
+      volumeMl: unitData.volumeMl || null,
+      collectedAt: new Date(unitData.collectedAt),
+      expiresAt: new Date(unitData.expiresAt),
+      storageLocation: unitData.storageLocation || null, // e.g. "Fridge 2 / Shelf B"
+      status: unitData.status || UNIT_STATUS.QUARANTINED,
+      reservedFor: null, // Hospital blood request ObjectId
+      issuedFor: null,
+      nearExpiryFlaggedAt: null,
+      issuedAt: null,
+      coldChainExcursionAt: null, // Set when a transport reading fell out of range
+      discardReason: null,
+      statusHistory: [],
+      createdBy: unitData.createdBy || "system",
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await collection.insertOne(newUnit);
+    return { _id: result.insertedId, ...newUnit };
+  }
+
+  // READ - Find bag by bag ID
+  async findByBagId(bagId) {
+    const collection = this.getCollection();
+    return await collection.findOne({ bagId });
+  }
+
+  // READ - Bags of a blood bank with filters
+  async findByBloodBankId(bloodBankId, filters = {}, pagination = {}) {
+    const collection = this.getCollection();
+    const { page = 1, limit = 50 } = pagination;
+
+    const query = { bloodBankId: new ObjectId(bloodBankId) };
+    if (filters.status) query.status = filters.status;
+    if (filters.bloodGroup) query.bloodGroup = filters.bloodGroup;
+    if (filters.component) query.component = filters.component;
+
+    const total = await collection.countDocuments(query);
+    const units = await collection
+      .find(query)
+      .sort({ expiresAt: 1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return {
+      units,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // READ - In-stock and quarantined bag counts per group and component
+  async countByGroupAndComponent(bloodBankId) {
+    const collection = this.getCollection();
+    return await collection.aggregate([
+      {
+        $match: {
+          bloodBankId: new ObjectId(bloodBankId),
+          status: { $in: [...IN_STOCK_STATUSES, UNIT_STATUS.QUARANTINED] }
+        }
+      },
+      {
+        $group: {
+          _id: { bloodGroup: "$bloodGroup", component: "$component", status: "$status" },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+  }
+
+  // UPDATE - Change status if the bag is still in the expected state
+  async updateStatus(bagId, fromStatus, toStatus, details = {}) {
+    const collection = this.getCollection();
+    const now = new Date();
+
+    return await collection.findOneAndUpdate(
+      { bagId, status: fromStatus },
+      {
+        $set: {
+          status: toStatus,
+          ...(details.discardReason && { discardReason: details.discardReason }),
+          updatedAt: now
+        },
+        $push: {
+          statusHistory: {
+            from: fromStatus,
+            to: toStatus,
+            at: now,
+            by: details.changedBy || "system",
+            reason: details.discardReason || details.reason || null
+          }
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Move one bag between statuses, first-expiry-first-out
+  async takeFirstExpiring(query, toStatus, set, changedBy) {
+    const collection = this.getCollection();
+    const now = new Date();
+
+    return await collection.findOneAndUpdate(
+      { ...query, expiresAt: { $gt: now } },
+      {
+        $set: { ...set, status: toStatus, updatedAt: now },
+        $push: {
+          statusHistory: {
+            from: query.status,
+            to: toStatus,
+            at: now,
+            by: changedBy,
+            reason: null
+          }
+        }
+      },
+      { sort: { expiresAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Reserve up to `units` bags for a request (FEFO)
+  async allocateUnits({ bloodBankId, bloodGroup, component, units, requestId, reservedBy = "system" }) {
+    const allocated = [];
+
+    for (let i = 0; i < units; i++) {
+      const bag = await this.takeFirstExpiring(
+        {
+          bloodBankId: new ObjectId(bloodBankId),
+          bloodGroup,
+          ...(component && { component }),
+          status: UNIT_STATUS.AVAILABLE
+        },
+        UNIT_STATUS.RESERVED,
+        { reservedFor: new ObjectId(requestId) },
+        reservedBy
+      );
+
+      if (!bag) break;
+      allocated.push(bag);
+    }
+
+    return allocated;
+  }
+
+  // UPDATE - Issue up to `units` of the bags reserved for a request (FEFO)
+  async issueReservedUnits(requestId, units, issuedBy = "system") {
+    const issued = [];
+
+    for (let i = 0; i < units; i++) {
+      const bag = await this.takeFirstExpiring(
+        { reservedFor: new ObjectId(requestId), status: UNIT_STATUS.RESERVED },
+        UNIT_STATUS.ISSUED,
+        { issuedFor: new ObjectId(requestId), issuedAt: new Date() },
+        issuedBy
+      );
+
+      if (!bag) break;
+      issued.push(bag);
+    }
+
+    return issued;
+  }
+
+  // UPDATE - Put a request's remaining reserved bags back on the shelf
+  async releaseReservedUnits(requestId, releasedBy = "system") {
+    const collection = this.getCollection();
+    const now = new Date();
+
+    const result = await collection.updateMany(
+      { reservedFor: new ObjectId(requestId), status: UNIT_STATUS.RESERVED },
+      {
+        $set: { status: UNIT_STATUS.AVAILABLE, reservedFor: null, updatedAt: now },
+        $push: {
+          statusHistory: {
+            from: UNIT_STATUS.RESERVED,
+            to: UNIT_STATUS.AVAILABLE,
+            at: now,
+            by: releasedBy,
+            reason: "RESERVATION_RELEASED"
+          }
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+
+  // READ - Unflagged bags expiring before `before`, grouped per bank/group/component
+  async findNearExpiry(before, now = new Date()) {
+    const collection = this.getCollection();
+    return await collection.aggregate([
+      {
+        $match: {
+          status: UNIT_STATUS.AVAILABLE,
+          expiresAt: { $gt: now, $lte: before },
+          nearExpiryFlaggedAt: null
+        }
+      },
+      { $sort: { expiresAt: 1 } },
+      {
+        $group: {
+          _id: { bloodBankId: "$bloodBankId", bloodGroup: "$bloodGroup", component: "$component" },
+          bagIds: { $push: "$bagId" },
+          firstExpiry: { $min: "$expiresAt" },
+          count: { $sum: 1 }
+        }
+      }
+    ]).toArray();
+  }
+
+  // UPDATE - Mark bags as already alerted on
+  async flagNearExpiry(bagIds) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { bagId: { $in: bagIds } },
+      { $set: { nearExpiryFlaggedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+
+  // UPDATE - Flag bags issued for a request/allocation after a cold-chain excursion
+  async flagColdChainExcursion(issuedFor, bagIds = [], at = new Date()) {
+    const collection = this.getCollection();
+    const filter = {
+      issuedFor: new ObjectId(issuedFor),
+      status: UNIT_STATUS.ISSUED,
+      coldChainExcursionAt: null
+    };
+    // Readings tagged with bags narrow the flag to those bags
+    if (bagIds.length > 0) filter.bagId = { $in: bagIds };
+
+    const result = await collection.updateMany(filter, {
+      $set: { coldChainExcursionAt: at, updatedAt: new Date() }
+    });
+    return result.modifiedCount;
+  }
+
+  // UPDATE - Discard shelved bags past their expiry; returns affected bank IDs
+  async discardExpired(now = new Date()) {
+    const collection = this.getCollection();
+    const filter = {
+      status: { $in: [UNIT_STATUS.AVAILABLE, UNIT_STATUS.QUARANTINED] },
+      expiresAt: { $lte: now }
+    };
+
+    const bloodBankIds = await collection.distinct("bloodBankId", filter);
+    if (bloodBankIds.length === 0) {
+      return { discarded: 0, bloodBankIds };
+    }
+
+    const result = await collection.updateMany(filter, [
+      {
+        $set: {
+          statusHistory: {
+            $concatArrays: [
+              { $ifNull: ["$statusHistory", []] },
+              [{ from: "$status", to: UNIT_STATUS.DISCARDED, at: now, by: "system", reason: "EXPIRED" }]
+            ]
+          },
+          status: UNIT_STATUS.DISCARDED,
+          discardReason: "EXPIRED",
+          updatedAt: now
+        }
+      }
+    ]);
+
+    return { discarded: result.modifiedCount, bloodBankIds };
+  }
+
+  // UPDATE - Issue up to `units` available bags for a request (FEFO)
+  async issueUnits({ bloodBankId, bloodGroup, component, units, requestId, issuedBy = "system" }) {
+    const issued = [];
+
+    for (let i = 0; i < units; i++) {
+      const bag = await this.takeFirstExpiring(
+        {
+          bloodBankId: new ObjectId(bloodBankId),
+          bloodGroup,
+          ...(component && { component }),
+          status: UNIT_STATUS.AVAILABLE
+        },
+        UNIT_STATUS.ISSUED,
+        { issuedFor: new ObjectId(requestId), issuedAt: new Date() },
+        issuedBy
+      );
+
+      if (!bag) break;
+      issued.push(bag);
+    }
+
+    return issued;
+  }
+}
+
+export default new BloodUnit();
@@ -225,15 +225,68 @@ class Dashboard {
     }
   }
 
+  // #region ActiveIncidents
+  // Mass-casualty incidents stay pinned until the hospital closes them
+  async getActiveIncidents() {
+    const db = this.db();
+    const incidentCollection = db.collection("incidents");
+
+    return await incidentCollection.aggregate([
+      { $match: { status: "ACTIVE" } },
+      { $sort: { declaredAt: -1 } },
+      {
+        $lookup: {
+          from: "organizations",
+          localField: "hospitalId",
+          foreignField: "_id",
+          as: "hospital"
+        }
+      },
+      {
+        $lookup: {
+          from: "hospitalBloodRequests",
+          localField: "_id",
+          foreignField: "incidentId",
+          as: "requests"
+        }
+      },
+      {
+        $project: {
+          incidentCode: 1,
+          title: 1,
+          description: 1,
+          patientCount: 1,
+          city: 1,
+          declaredAt: 1,
+          hospitalId: 1,
+          hospitalName: { $arrayElemAt: ["$hospital.name", 0] },
+          notifiedBloodBanks: { $size: "$notifiedBloodBankIds" },
+          requestCount: { $size: "$requests" },
+          openRequests: {
+            $size: {
+              $filter: {
+                input: "$requests",
+                cond: { $in: ["$$this.status", ["PENDING", "ACCEPTED", "PROCESSING"]] }
+              }
+            }
+          },
+          unitsRequired: { $sum: "$requests.unitsRequired" },
+          unitsFulfilled: { $sum: "$requests.unitsFulfilled" }
+        }
+      }
+    ]).toArray();
+  }
+
   // #region CompleteDashboard
   async getCompleteOverview() {
-    const [organizations, bloodStock, alerts, users, recentActivity, health] = await Promise.all([
+    const [organizations, bloodStock, alerts, users, recentActivity, health, activeIncidents] = await Promise.all([
       this.getOrganizationStats(),
       this.getBloodStockStats(),
       this.getAlertStats(),
       this.getUserStats(),
       this.getRecentActivity(10),
-      this.getSystemHealth()
+      this.getSystemHealth(),
+      this.getActiveIncidents()
     ]);
 
     return {
@@ -243,7 +296,8 @@ class Dashboard {
       alerts,
       users,
       recentActivity,
-      health
+      health,
+      activeIncidents
     };
   }
 }
@@ -0,0 +1,84 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region JobRunModel
+
+/**
+ * JobRun Model
+ * Run history for scheduled jobs (one document per execution).
+ * Old runs are dropped by a TTL index on startedAt (see config/db.js).
+ */
+class JobRun {
+  constructor() {
+    this.collectionName = "job_runs";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Open a RUNNING record
+  async create(runData) {
+    const collection = this.getCollection();
+    const newRun = {
+      jobName: runData.jobName,
+      status: "RUNNING", // RUNNING, SUCCEEDED, FAILED
+      triggeredBy: runData.triggeredBy || "scheduler", // "scheduler" or admin email
+      instanceId: runData.instanceId,
+      startedAt: runData.startedAt || new Date(),
+      finishedAt: null,
+      durationMs: null,
+      result: null,
+      error: null
+    };
+
+    const result = await collection.insertOne(newRun);
+    return { _id: result.insertedId, ...newRun };
+  }
+
+  // READ - Runs of a job, newest first
+  async findByJobName(jobName, pagination = {}) {
+    const collection = this.getCollection();
+    const { page = 1, limit = 20 } = pagination;
+    const query = { jobName };
+
+    const total = await collection.countDocuments(query);
+    const runs = await collection
+      .find(query)
+      .sort({ startedAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return {
+      runs,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  // UPDATE - Close a run with its outcome
+  async finish(id, outcome) {
+    const collection = this.getCollection();
+    const finishedAt = new Date();
+    await collection.updateOne(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          status: outcome.status,
+          finishedAt,
+          durationMs: outcome.durationMs,
+          result: outcome.result ?? null,
+          error: outcome.error || null
+        }
+      }
+    );
+  }
+}
+
+export default new JobRun();
@@ -0,0 +1,169 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+export const DELIVERY_STATUS = {
+  PENDING: "PENDING", // Waiting for its first attempt
+  SENDING: "SENDING", // Claimed by an instance
+  SENT: "SENT",
+  RETRYING: "RETRYING", // Failed, next attempt at nextAttemptAt
+  FAILED: "FAILED" // Out of attempts or permanently rejected
+};
+
+// #region NotificationDeliveryModel
+
+/**
+ * NotificationDelivery Model
+ * Delivery log: one document per message to one recipient, with every
+ * attempt made. Old entries are dropped by a TTL index on createdAt
+ * (see config/db.js).
+ */
+class NotificationDelivery {
+  constructor() {
+    this.collectionName = "notification_deliveries";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Queue a rendered message
+  async create(deliveryData) {
+    const collection = this.getCollection();
+    const newDelivery = {
+      event: deliveryData.event,
+      channel: deliveryData.channel,
+      organizationId: deliveryData.organizationId ? new ObjectId(deliveryData.organizationId) : null,
+      recipientId: deliveryData.recipientId ? new ObjectId(deliveryData.recipientId) : null, // Recipient-list entry
+      userCode: deliveryData.userCode || null, // User who opted in (organization user or super admin)
+      address: deliveryData.address,
+      subject: deliveryData.subject || "",
+      body: deliveryData.body || "",
+      payload: deliveryData.payload || {},
+      relatedEntity: deliveryData.relatedEntity || {}, // { requestId, requestCode }
+      status: DELIVERY_STATUS.PENDING,
+      attempts: 0,
+      maxAttempts: deliveryData.maxAttempts,
+      attemptLog: [], // { at, adapter, success, error, response, durationMs }
+      nextAttemptAt: deliveryData.nextAttemptAt || new Date(),
+      deferredUntil: deliveryData.nextAttemptAt || null, // Held back by the user's quiet hours
+      lastError: null,
+      sentAt: null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await collection.insertOne(newDelivery);
+    return { _id: result.insertedId, ...newDelivery };
+  }
+
+  // READ - Delivery log, newest first
+  async findAll(filters = {}, pagination = {}) {
+    const collection = this.getCollection();
+    const { page = 1, limit = 20 } = pagination;
+    const query = {};
+    if (filters.status) query.status = filters.status;
+    if (filters.channel) query.channel = filters.channel;
+    if (filters.event) query.event = filters.event;
+    if (filters.organizationId) query.organizationId = new ObjectId(filters.organizationId);
+    if (filters.requestId) query["relatedEntity.requestId"] = new ObjectId(filters.requestId);
+
+    const total = await collection.countDocuments(query);
+    const deliveries = await collection
+      .find(query)
+      .sort({ createdAt: -1 })
+      .skip((page - 1) * limit)
+      .limit(limit)
+      .toArray();
+
+    return {
+      deliveries,
+      pagination: {
+        page,
+        limit,
+        total,
+        totalPages: Math.ceil(total / limit)
+      }
+    };
+  }
+
+  async findById(id) {
+    const collection = this.getCollection();
+    return await collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  // UPDATE - Claim a delivery for an attempt (null if another instance has it)
+  async claim(id) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      {
+        _id: new ObjectId(id),
+        status: { $in: [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING] }
+      },
+      { $set: { status: DELIVERY_STATUS.SENDING, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Claim the next delivery whose retry is due
+  async claimDue(now = new Date()) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      {
+        status: { $in: [DELIVERY_STATUS.PENDING, DELIVERY_STATUS.RETRYING] },
+        nextAttemptAt: { $lte: now }
+      },
+      { $set: { status: DELIVERY_STATUS.SENDING, updatedAt: new Date() } },
+      { sort: { nextAttemptAt: 1 }, returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Record an attempt and the resulting status
+  async recordAttempt(id, attempt, outcome) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id) },
+      {
+        $set: {
+          status: outcome.status,
+          nextAttemptAt: outcome.nextAttemptAt || null,
+          lastError: attempt.error || null,
+          sentAt: outcome.status === DELIVERY_STATUS.SENT ? attempt.at : null,
+          updatedAt: new Date()
+        },
+        $inc: { attempts: 1 },
+        $push: { attemptLog: attempt }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Put a failed delivery back in the queue (admin retry)
+  async requeue(id, maxAttempts) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: DELIVERY_STATUS.FAILED },
+      {
+        $set: {
+          status: DELIVERY_STATUS.RETRYING,
+          maxAttempts,
+          nextAttemptAt: new Date(),
+          updatedAt: new Date()
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Release deliveries stuck in SENDING (instance died mid-attempt)
+  async releaseStale(olderThan) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { status: DELIVERY_STATUS.SENDING, updatedAt: { $lt: olderThan } },
+      { $set: { status: DELIVERY_STATUS.RETRYING, nextAttemptAt: new Date(), updatedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new NotificationDelivery();
@@ -0,0 +1,146 @@
+import { getDB } from "../../config/db.js";
+
+// #region ScheduledJobModel
+
+/**
+ * ScheduledJob Model
+ * Registry of background jobs run by services/JobScheduler.js.
+ *
+ * One document per job name (unique index, see config/db.js). The schedule
+ * itself lives in code; this collection holds the state every instance
+ * shares: pause flag, next due time, last outcome and the fallback lease
+ * used when Redis is unavailable.
+ */
+class ScheduledJob {
+  constructor() {
+    this.collectionName = "scheduled_jobs";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Register a job, keeping pause state and schedule of an existing one
+  async upsert(jobData) {
+    const collection = this.getCollection();
+    const now = new Date();
+
+    return await collection.findOneAndUpdate(
+      { name: jobData.name },
+      {
+        $set: {
+          description: jobData.description || "",
+          intervalMs: jobData.intervalMs,
+          updatedAt: now
+        },
+        $setOnInsert: {
+          name: jobData.name,
+          isPaused: false,
+          pausedBy: null,
+          pausedAt: null,
+          nextRunAt: new Date(now.getTime() + (jobData.initialDelayMs || 0)),
+          lastRunAt: null,
+          lastStatus: null, // SUCCEEDED, FAILED
+          lastError: null,
+          lastDurationMs: null,
+          lockedBy: null,
+          lockedUntil: null,
+          createdAt: now
+        }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // READ - All registered jobs
+  async findAll() {
+    const collection = this.getCollection();
+    return await collection.find({}).sort({ name: 1 }).toArray();
+  }
+
+  // READ - Job by name
+  async findByName(name) {
+    const collection = this.getCollection();
+    return await collection.findOne({ name });
+  }
+
+  // READ - Names of unpaused jobs that are due
+  async findDueNames(names, now = new Date()) {
+    const collection = this.getCollection();
+    const jobs = await collection
+      .find({ name: { $in: names }, isPaused: false, nextRunAt: { $lte: now } })
+      .project({ name: 1 })
+      .toArray();
+    return jobs.map((job) => job.name);
+  }
+
+  // UPDATE - Claim a due run by moving nextRunAt forward (only one caller wins)
+  async claimDueRun(name, intervalMs, now = new Date()) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { name, isPaused: false, nextRunAt: { $lte: now } },
+      { $set: { nextRunAt: new Date(now.getTime() + intervalMs), updatedAt: now } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // UPDATE - Take the run lease when Redis is unavailable
+  async acquireLease(name, owner, leaseMs, now = new Date()) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      {
+        name,
+        $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }]
+      },
+      { $set: { lockedBy: owner, lockedUntil: new Date(now.getTime() + leaseMs) } }
+    );
+    return result.modifiedCount === 1;
+  }
+
+  // UPDATE - Give the lease back (only if still held by owner)
+  async releaseLease(name, owner) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { name, lockedBy: owner },
+      { $set: { lockedBy: null, lockedUntil: null } }
+    );
+  }
+
+  // UPDATE - Record the outcome of the latest run
+  async recordOutcome(name, outcome) {
+    const collection = this.getCollection();
+    await collection.updateOne(
+      { name },
+      {
+        $set: {
+          lastRunAt: outcome.startedAt,
+          lastStatus: outcome.status,
+          lastError: outcome.error || null,
+          lastDurationMs: outcome.durationMs,
+          updatedAt: new Date()
+        }
+      }
+    );
+  }
+
+  // UPDATE - Pause or resume a job
+  async setPaused(name, isPaused, performedBy) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { name },
+      {
+        $set: {
+          isPaused,
+          pausedBy: isPaused ? performedBy : null,
+          pausedAt: isPaused ? now : null,
+          updatedAt: now
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+}
+
+export default new ScheduledJob();
@@ -0,0 +1,123 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region StockReservationModel
+
+/**
+ * StockReservation Model
+ * Ledger of units held against blood_stock for hospital blood requests.
+ *
+ * HELD → CONSUMED (units dispatched; any undispatched remainder is released)
+ * HELD → RELEASED (request rejected, cancelled or expired)
+ *
+ * Split requests hold stock per allocation: requestId is then the
+ * allocation's _id and parentRequestId the request's.
+ *
+ * At most one HELD reservation exists per request (unique partial index,
+ * see config/db.js). Status changes are conditional on the current status so
+ * only one caller ever settles a reservation.
+ */
+class StockReservation {
+  constructor() {
+    this.collectionName = "stock_reservations";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Open a HELD reservation (throws on duplicate HELD per request)
+  async create(reservationData) {
+    const collection = this.getCollection();
+    const newReservation = {
+      requestId: new ObjectId(reservationData.requestId),
+      parentRequestId: reservationData.parentRequestId ? new ObjectId(reservationData.parentRequestId) : null,
+      bloodBankId: new ObjectId(reservationData.bloodBankId),
+      bloodGroup: reservationData.bloodGroup,
+      component: reservationData.component || "WHOLE_BLOOD",
+      units: reservationData.units,
+      bagIds: [], // Pinned bags for bag-tracked blood banks
+      status: "HELD", // HELD, CONSUMED, RELEASED
+      unitsConsumed: 0,
+      unitsReleased: 0,
+      heldBy: reservationData.heldBy || "system",
+      settledBy: null,
+      releaseReason: null,
+      createdAt: new Date(),
+      settledAt: null
+    };
+
+    const result = await collection.insertOne(newReservation);
+    return { _id: result.insertedId, ...newReservation };
+  }
+
+  // READ - Current HELD reservation for a request
+  async findHeldByRequestId(requestId) {
+    const collection = this.getCollection();
+    try {
+      return await collection.findOne({
+        requestId: new ObjectId(requestId),
+        status: "HELD"
+      });
+    } catch (error) {
+      return null;
+    }
+  }
+
+  // READ - Full reservation history for a request
+  async findByRequestId(requestId) {
+    const collection = this.getCollection();
+    return await collection
+      .find({ requestId: new ObjectId(requestId) })
+      .sort({ createdAt: 1 })
+      .toArray();
+  }
+
+  // READ - Units currently held per blood group for a blood bank
+  async getHeldUnitsByBloodBank(bloodBankId) {
+    const collection = this.getCollection();
+    return await collection.aggregate([
+      { $match: { bloodBankId: new ObjectId(bloodBankId), status: "HELD" } },
+      { $group: { _id: "$bloodGroup", units: { $sum: "$units" }, reservations: { $sum: 1 } } }
+    ]).toArray();
+  }
+
+  // UPDATE - Settle a HELD reservation; returns the settled document or null
+  async settle(id, status, settlement = {}) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), status: "HELD" },
+      {
+        $set: {
+          status,
+          unitsConsumed: settlement.unitsConsumed || 0,
+          unitsReleased: settlement.unitsReleased || 0,
+          settledBy: settlement.settledBy || "system",
+          releaseReason: settlement.releaseReason || null,
+          settledAt: new Date()
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Record the bags pinned to a reservation
+  async attachBags(id, bagIds) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id) },
+      { $set: { bagIds } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // DELETE - Drop a HELD reservation whose stock hold never went through
+  async deleteHeld(id) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({ _id: new ObjectId(id), status: "HELD" });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new StockReservation();
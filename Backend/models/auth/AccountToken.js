@@ -0,0 +1,63 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region AccountTokenModel
+
+/**
+ * AccountToken Model
+ * Single-use links sent by email to an organization user: account activation
+ * after approval and password reset. Only the SHA-256 hash of the token is
+ * stored; the token itself lives in the link.
+ */
+class AccountToken {
+  constructor() {
+    this.collectionName = "auth_account_tokens";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Issue a token (earlier unused tokens of the same purpose are withdrawn first)
+  async create(tokenData) {
+    const collection = this.getCollection();
+    const newToken = {
+      _id: new ObjectId(),
+      purpose: tokenData.purpose, // ACTIVATION, PASSWORD_RESET
+      organizationCode: tokenData.organizationCode,
+      userCode: tokenData.userCode,
+      email: tokenData.email,
+      tokenHash: tokenData.tokenHash,
+      createdAt: new Date(),
+      expiresAt: tokenData.expiresAt,
+      usedAt: null
+    };
+
+    await collection.insertOne(newToken);
+    return newToken;
+  }
+
+  // UPDATE - Use up a live token; null when unknown, used or expired
+  async consume(purpose, tokenHash) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { purpose, tokenHash, usedAt: null, expiresAt: { $gt: now } },
+      { $set: { usedAt: now } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Withdraw a user's unused tokens of one purpose
+  async invalidate(purpose, organizationCode, userCode) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { purpose, organizationCode, userCode, usedAt: null },
+      { $set: { usedAt: new Date() } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new AccountToken();
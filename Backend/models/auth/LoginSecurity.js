@@ -0,0 +1,134 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region LoginSecurityModel
+
+/**
+ * LoginSecurity Model
+ * Failed logins, lockout and known devices of one login identity, keyed by
+ * subjectType + identifier (the email, prefixed with the organization code
+ * for organization users). Failures against emails with no account are
+ * tracked the same way, so a lockout never tells whether an account exists.
+ */
+class LoginSecurity {
+  constructor() {
+    this.collectionName = "auth_login_security";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // READ - State of one login identity (null when it never logged in or failed)
+  async findByIdentifier(subjectType, identifier) {
+    const collection = this.getCollection();
+    return await collection.findOne({ subjectType, identifier });
+  }
+
+  // READ - Identities locked right now, newest lock first
+  async findLocked(filter = {}, limit = 100) {
+    const collection = this.getCollection();
+    return await collection
+      .find({ ...filter, lockedUntil: { $gt: new Date() } })
+      .sort({ lockedAt: -1 })
+      .limit(limit)
+      .toArray();
+  }
+
+  // READ - Identities with a failed login since a point in time (spread-out attacks)
+  async countFailingSince(since) {
+    const collection = this.getCollection();
+    return await collection.countDocuments({ lastFailedAt: { $gte: since } });
+  }
+
+  // UPSERT - Count a failed login; the count starts over when the previous failure is older than windowStart
+  async recordFailure(subjectType, identifier, { organizationCode = null, email, subjectId = null, ipAddress = null }, windowStart) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, identifier },
+      // Pipeline update; $literal keeps user input from being read as a field path
+      [
+        {
+          $set: {
+            organizationCode: { $literal: organizationCode },
+            email: { $literal: email },
+            subjectId: subjectId ? subjectId.toString() : { $ifNull: ["$subjectId", null] },
+            failedCount: {
+              $cond: [{ $gte: ["$lastFailedAt", windowStart] }, { $add: ["$failedCount", 1] }, 1]
+            },
+            lockouts: { $ifNull: ["$lockouts", 0] },
+            lockedUntil: { $ifNull: ["$lockedUntil", null] },
+            knownDevices: { $ifNull: ["$knownDevices", []] },
+            lastFailedAt: now,
+            lastFailedIp: { $literal: ipAddress },
+            createdAt: { $ifNull: ["$createdAt", now] },
+            updatedAt: now
+          }
+        }
+      ],
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Lock until a point in time; the next lock of this identity lasts longer
+  async lock(subjectType, identifier, lockedUntil) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, identifier },
+      {
+        $set: { lockedUntil, lockedAt: now, failedCount: 0, updatedAt: now },
+        $inc: { lockouts: 1 }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Successful login: forget failures and remember the device list
+  async recordSuccess(subjectType, identifier, { subjectId, organizationCode = null, email, knownDevices }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, identifier },
+      {
+        $set: {
+          subjectId: subjectId.toString(),
+          organizationCode,
+          email,
+          knownDevices,
+          failedCount: 0,
+          lockouts: 0,
+          lockedUntil: null,
+          lastLoginAt: now,
+          updatedAt: now
+        },
+        $setOnInsert: { _id: new ObjectId(), createdAt: now }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Lift a lock and forget failures; null when the identity is unknown
+  async unlock(subjectType, identifier, unlockedBy) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, identifier },
+      {
+        $set: {
+          failedCount: 0,
+          lockouts: 0,
+          lockedUntil: null,
+          unlockedAt: now,
+          unlockedBy,
+          updatedAt: now
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+}
+
+export default new LoginSecurity();
@@ -0,0 +1,122 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// Rotated-away refresh token hashes kept per session for reuse detection
+const MAX_PREVIOUS_TOKENS = 20;
+
+// #region SessionModel
+
+/**
+ * Session Model
+ * One signed-in device of a user, organization user or admin. The session
+ * holds the hash of its current refresh token (never the token itself) and
+ * the hashes it rotated away from, so a replayed old token can be spotted.
+ * Access tokens carry the session ID as `sid`; revoking the session ends
+ * them too.
+ */
+class Session {
+  constructor() {
+    this.collectionName = "auth_sessions";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Start a session at login
+  async create(sessionData) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const newSession = {
+      _id: new ObjectId(sessionData._id), // Chosen up front: it prefixes the refresh token
+      subjectType: sessionData.subjectType, // ORGANIZATION_USER, USER, ADMIN
+      subjectId: sessionData.subjectId,
+      claims: sessionData.claims, // Access token claims, re-signed on refresh
+      refreshTokenHash: sessionData.refreshTokenHash,
+      previousTokenHashes: [],
+      device: {
+        userAgent: sessionData.device?.userAgent || "",
+        ipAddress: sessionData.device?.ipAddress || ""
+      },
+      createdAt: now,
+      lastUsedAt: now,
+      rotatedAt: null,
+      expiresAt: sessionData.expiresAt,
+      revokedAt: null,
+      revokedReason: null
+    };
+
+    await collection.insertOne(newSession);
+    return newSession;
+  }
+
+  // READ - Get session by ID
+  async findById(id) {
+    const collection = this.getCollection();
+    return await collection.findOne({ _id: new ObjectId(id) });
+  }
+
+  // READ - Live sessions of a user, most recently used first
+  async findActiveBySubject(subjectType, subjectId) {
+    const collection = this.getCollection();
+    return await collection
+      .find(
+        { subjectType, subjectId, revokedAt: null, expiresAt: { $gt: new Date() } },
+        { projection: { claims: 0, refreshTokenHash: 0, previousTokenHashes: 0 } }
+      )
+      .sort({ lastUsedAt: -1 })
+      .toArray();
+  }
+
+  // UPDATE - Swap the refresh token, only if the presented one is still current
+  async rotate(id, currentHash, nextHash, expiresAt, device = {}) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), refreshTokenHash: currentHash, revokedAt: null, expiresAt: { $gt: now } },
+      {
+        $set: {
+          refreshTokenHash: nextHash,
+          lastUsedAt: now,
+          rotatedAt: now,
+          expiresAt,
+          ...(device.ipAddress && { "device.ipAddress": device.ipAddress }),
+          ...(device.userAgent && { "device.userAgent": device.userAgent })
+        },
+        $push: { previousTokenHashes: { $each: [currentHash], $slice: -MAX_PREVIOUS_TOKENS } }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Revoke one session
+  async revoke(id, reason) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { _id: new ObjectId(id), revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+  }
+
+  // UPDATE - Revoke every live session of a user, optionally keeping one
+  async revokeBySubject(subjectType, subjectId, reason, exceptId = null) {
+    const collection = this.getCollection();
+    const query = { subjectType, subjectId, revokedAt: null };
+    if (exceptId) {
+      query._id = { $ne: new ObjectId(exceptId) };
+    }
+
+    const ids = await collection.distinct("_id", query);
+    if (ids.length === 0) return [];
+
+    await collection.updateMany(
+      { _id: { $in: ids }, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return ids.map((id) => id.toString());
+  }
+}
+
+export default new Session();
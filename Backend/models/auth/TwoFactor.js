@@ -0,0 +1,110 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region TwoFactorModel
+
+/**
+ * TwoFactor Model
+ * TOTP enrolment of one account (admin, organization user or user), keyed
+ * like sessions by subjectType + subjectId. A secret waits in pendingSecret
+ * until the first code from the authenticator app confirms it. Recovery
+ * codes are stored as SHA-256 hashes and each works once.
+ */
+class TwoFactor {
+  constructor() {
+    this.collectionName = "auth_two_factor";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // READ - Enrolment of an account (null when never set up)
+  async findBySubject(subjectType, subjectId) {
+    const collection = this.getCollection();
+    return await collection.findOne({ subjectType, subjectId: subjectId.toString() });
+  }
+
+  // UPSERT - Start (or restart) enrolment with a new secret; an enabled secret stays in force meanwhile
+  async savePendingSecret(subjectType, subjectId, pendingSecret) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, subjectId: subjectId.toString() },
+      {
+        $set: { pendingSecret, updatedAt: now },
+        $setOnInsert: {
+          _id: new ObjectId(),
+          enabled: false,
+          secret: null,
+          recoveryCodeHashes: [],
+          lastUsedStep: -1,
+          enabledAt: null,
+          createdAt: now
+        }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Promote the pending secret once a code from it was accepted
+  async enable(subjectType, subjectId, { secret, recoveryCodeHashes, usedStep }) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { subjectType, subjectId: subjectId.toString(), pendingSecret: secret },
+      {
+        $set: {
+          enabled: true,
+          secret,
+          pendingSecret: null,
+          recoveryCodeHashes,
+          lastUsedStep: usedStep,
+          enabledAt: now,
+          updatedAt: now
+        }
+      },
+      { returnDocument: "after" }
+    );
+  }
+
+  // UPDATE - Remember the last accepted time step; false when another request already used it (replay)
+  async recordUsedStep(subjectType, subjectId, step) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { subjectType, subjectId: subjectId.toString(), enabled: true, lastUsedStep: { $lt: step } },
+      { $set: { lastUsedStep: step, updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // UPDATE - Use up a recovery code; false when it is unknown or already used
+  async useRecoveryCode(subjectType, subjectId, codeHash) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { subjectType, subjectId: subjectId.toString(), enabled: true, recoveryCodeHashes: codeHash },
+      { $pull: { recoveryCodeHashes: codeHash }, $set: { updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // UPDATE - Swap in a fresh set of recovery codes
+  async replaceRecoveryCodes(subjectType, subjectId, recoveryCodeHashes) {
+    const collection = this.getCollection();
+    const result = await collection.updateOne(
+      { subjectType, subjectId: subjectId.toString(), enabled: true },
+      { $set: { recoveryCodeHashes, updatedAt: new Date() } }
+    );
+    return result.modifiedCount > 0;
+  }
+
+  // DELETE - Turn two-factor off
+  async disable(subjectType, subjectId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({ subjectType, subjectId: subjectId.toString() });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new TwoFactor();
@@ -1,3 +1,4 @@
+import { ObjectId } from "mongodb";
 import { getDB } from "../../config/db.js";
 
 // #region DonorModel
@@ -5,3 +6,80 @@ import { getDB } from "../../config/db.js";
 export const DonorCollection = () => {
   return getDB().collection("donors");
 };
+
+// #region Eligibility
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const YEAR_MS = 365.25 * DAY_MS;
+
+// Whole-blood donors must wait this long between donations
+export const DONATION_DEFERRAL_DAYS = 90;
+
+export const DONOR_AGE_LIMITS = { min: 18, max: 65 };
+
+/**
+ * Age today. Donors give their age at registration, so the years since
+ * then are added.
+ * @returns {number|null}
+ */
+export const getCurrentAge = (donor, now = new Date()) => {
+  const age = Number(donor?.age);
+  if (!Number.isFinite(age) || age <= 0) {
+    return null;
+  }
+  const registeredAt = donor.createdAt ? new Date(donor.createdAt) : now;
+  return Math.floor(age + Math.max(0, now - registeredAt) / YEAR_MS);
+};
+
+/**
+ * Whether a donor may give blood now: within the age limits and past the
+ * deferral interval since their last donation
+ * @returns {{ eligible: boolean, reason?: string }}
+ */
+export const checkDonorEligibility = (donor, now = new Date()) => {
+  const age = getCurrentAge(donor, now);
+  if (age === null || age < DONOR_AGE_LIMITS.min || age > DONOR_AGE_LIMITS.max) {
+    return { eligible: false, reason: "AGE" };
+  }
+
+  if (donor.lastDonationDate) {
+    const daysSince = (now - new Date(donor.lastDonationDate)) / DAY_MS;
+    if (daysSince < DONATION_DEFERRAL_DAYS) {
+      return { eligible: false, reason: "DEFERRAL" };
+    }
+  }
+
+  return { eligible: true };
+};
+
+// READ - Opted-in donors of the given groups in a city who may donate now
+export const findEligibleDonors = async ({ bloodGroups, city }, now = new Date()) => {
+  if (!city || !bloodGroups?.length) {
+    return [];
+  }
+
+  const escapedCity = city.trim().replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+  const deferredSince = new Date(now.getTime() - DONATION_DEFERRAL_DAYS * DAY_MS);
+
+  const donors = await DonorCollection()
+    .find({
+      emergencyAppealOptIn: true,
+      bloodGroup: { $in: bloodGroups },
+      city: new RegExp(`^${escapedCity}$`, "i"),
+      $or: [{ lastDonationDate: null }, { lastDonationDate: { $lte: deferredSince } }]
+    })
+    .project({ name: 1, age: 1, bloodGroup: 1, mobileNumber: 1, email: 1, city: 1, lastDonationDate: 1, createdAt: 1 })
+    .toArray();
+
+  // Age is stored as given at registration, so it is checked here
+  return donors.filter((donor) => checkDonorEligibility(donor, now).eligible);
+};
+
+// UPDATE - Opt a donor in or out of emergency appeals
+export const setEmergencyAppealOptIn = async (donorId, optIn) => {
+  const result = await DonorCollection().updateOne(
+    { _id: new ObjectId(donorId) },
+    { $set: { emergencyAppealOptIn: Boolean(optIn), updatedAt: new Date() } }
+  );
+  return result.matchedCount > 0;
+};
@@ -0,0 +1,97 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../../config/db.js";
+import { isWithinRange } from "../../services/ColdChain.js";
+
+export const READING_SOURCES = Object.freeze({
+    DEVICE: "DEVICE",
+    SIMULATED: "SIMULATED"
+});
+
+// #region ColdChainReadingModel
+
+/**
+ * ColdChainReading Model
+ *
+ * PURPOSE:
+ * Raw temperature readings taken while issued units are in transit, one
+ * document per reading. The dispatch block on the request only keeps a
+ * running summary (min/max/last, excursion flag); the full trace lives here.
+ *
+ * RELATIONSHIPS:
+ * - requestId → hospitalBloodRequests collection
+ * - allocationId → allocation of a split request (null for whole requests)
+ */
+class ColdChainReading {
+    constructor() {
+        this.collectionName = "cold_chain_readings";
+    }
+
+    getCollection() {
+        const db = getDB();
+        return db.collection(this.collectionName);
+    }
+
+    /**
+     * CREATE - Store a batch of readings for one dispatch
+     * @param {Object} target - { requestId, allocationId, range }
+     * @param {Array<Object>} readings - Normalised readings ({ temperatureC, recordedAt, bagId })
+     * @param {Object} origin - { deviceId, source }
+     * @returns {Promise<number>} Readings stored
+     */
+    async insertMany(target, readings, origin = {}) {
+        const collection = this.getCollection();
+        const now = new Date();
+
+        const documents = readings.map((reading) => ({
+            requestId: new ObjectId(target.requestId),
+            allocationId: target.allocationId ? new ObjectId(target.allocationId) : null,
+            temperatureC: reading.temperatureC,
+            recordedAt: reading.recordedAt,
+            bagId: reading.bagId,
+            deviceId: origin.deviceId || null,
+            source: origin.source || READING_SOURCES.DEVICE,
+            inRange: isWithinRange(reading.temperatureC, target.range),
+            createdAt: now
+        }));
+
+        const result = await collection.insertMany(documents);
+        return result.insertedCount;
+    }
+
+    /**
+     * READ - Readings of one dispatch, oldest first
+     * @param {string} requestId
+     * @param {string|null} allocationId
+     * @param {Object} pagination
+     * @returns {Promise<Object>}
+     */
+    async findByDispatch(requestId, allocationId = null, pagination = {}) {
+        const collection = this.getCollection();
+        const { page = 1, limit = 100 } = pagination;
+
+        const query = {
+            requestId: new ObjectId(requestId),
+            allocationId: allocationId ? new ObjectId(allocationId) : null
+        };
+
+        const total = await collection.countDocuments(query);
+        const readings = await collection
+            .find(query)
+            .sort({ recordedAt: 1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        return {
+            readings,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+}
+
+export default new ColdChainReading();
@@ -1,5 +1,90 @@
 import { ObjectId } from "mongodb";
 import { getDB } from "../../config/db.js";
+import {
+    REQUEST_STATUS,
+    REQUEST_EVENTS,
+    OPEN_STATUSES,
+    ALLOCATION_STATUS,
+    OPEN_ALLOCATION_STATUSES,
+    DISPATCH_STATUS,
+    IN_FLIGHT_DISPATCH_STATUSES,
+    checkTransition,
+    checkAllocationTransition,
+    emitRequestEvent,
+    normalizeStatus
+} from "../../services/BloodRequestStateMachine.js";
+import StockLedger from "../../services/StockLedger.js";
+import Alert from "../admin/Alert.js";
+import { getCompatibleDonorGroups } from "../../services/BloodCompatibility.js";
+import { getTransportRange } from "../../services/ColdChain.js";
+
+// Priority boost for incident requests; exceeds any urgency + rarity score
+const INCIDENT_PRIORITY_BONUS = 100;
+
+// What the hospital may edit on a PENDING request (body field → document path)
+const EDITABLE_FIELDS = {
+    hospitalNotes: "hospitalNotes",
+    specialRequirements: "specialRequirements",
+    patientAge: "patientAge",
+    patientGender: "patientGender",
+    medicalCondition: "medicalCondition",
+    department: "department",
+    requiredBy: "requiredBy",
+    expectedDeliveryTime: "expectedDeliveryTime",
+    deliveryAddress: "fulfillmentDetails.deliveryAddress"
+};
+
+/**
+ * Re-derive a split request's unitsFulfilled / unitsAllocated from its
+ * allocations. Dispatched and fulfilled allocations count what was actually
+ * sent / received, so a short dispatch leaves the rest open for another bank.
+ */
+const ALLOCATION_ROLLUP_STAGE = {
+    $set: {
+        unitsFulfilled: {
+            $sum: {
+                $map: {
+                    input: "$allocations",
+                    as: "allocation",
+                    in: {
+                        $cond: [
+                            { $eq: ["$$allocation.status", ALLOCATION_STATUS.FULFILLED] },
+                            "$$allocation.unitsFulfilled",
+                            0
+                        ]
+                    }
+                }
+            }
+        },
+        unitsAllocated: {
+            $sum: {
+                $map: {
+                    input: "$allocations",
+                    as: "allocation",
+                    in: {
+                        $switch: {
+                            branches: [
+                                {
+                                    case: { $in: ["$$allocation.status", OPEN_ALLOCATION_STATUSES] },
+                                    then: "$$allocation.units"
+                                },
+                                {
+                                    case: { $eq: ["$$allocation.status", ALLOCATION_STATUS.DISPATCHED] },
+                                    then: "$$allocation.dispatch.units"
+                                },
+                                {
+                                    case: { $eq: ["$$allocation.status", ALLOCATION_STATUS.FULFILLED] },
+                                    then: "$$allocation.unitsFulfilled"
+                                }
+                            ],
+                            default: 0
+                        }
+                    }
+                }
+            }
+        }
+    }
+};
 
 // #region HospitalBloodRequestModel
 
@@ -9,16 +94,49 @@ import { getDB } from "../../config/db.js";
  * PURPOSE:
  * Manages emergency blood requests from hospitals to blood banks
  * Critical for real-time blood availability and emergency response
+ * Single request store behind both /api/hospital-blood-requests and
+ * /api/admin/requests
  * 
- * REQUEST LIFECYCLE:
- * PENDING → ACCEPTED → FULFILLED (successful)
- * PENDING → REJECTED (blood not available)
- * PENDING → CANCELLED (hospital cancels)
- * ACCEPTED → CANCELLED (before fulfillment)
+ * REQUEST LIFECYCLE (services/BloodRequestStateMachine.js):
+ * PENDING → ACCEPTED → PROCESSING → FULFILLED (successful)
+ * PENDING → ACCEPTED → FULFILLED (direct hand-over)
+ * PENDING | ACCEPTED → REJECTED (blood not available)
+ * PENDING | ACCEPTED | PROCESSING → CANCELLED (hospital cancels)
+ * PENDING | ACCEPTED → EXPIRED (expiresAt passed)
+ * Status changes only go through transition(), which checks the transition
+ * table and guards, records statusHistory and emits a typed event.
+ *
+ * DISPATCH:
+ * The blood bank dispatches the units (courier or hospital pickup), which
+ * issues them from stock; the hand-over is tracked in the `dispatch` block
+ * through checkpoints and cold-chain temperature readings
+ * (services/ColdChainMonitor.js). The request is FULFILLED only once the
+ * receiving hospital confirms receipt.
  * 
  * RELATIONSHIPS:
- * - hospitalId → hospitals collection
+ * - hospitalId → organizations collection (type: hospital)
  * - bloodBankId → organizations collection (type: bloodbank)
+ * - requestedBy → organizationUsers (hospital staff)
+ *   (null until a blood bank accepts an escalated request)
+ *
+ * ESCALATION:
+ * Every PENDING request carries an `escalation` block driven by
+ * services/EscalationEngine.js. Each stage widens the search radius and
+ * records the blood banks it notified; after the last stage the request
+ * falls back to the NGO donor network. A notified bank can decline a
+ * request nobody has taken (escalation.declines) without closing it.
+ *
+ * SPLIT FULFILLMENT:
+ * A request with allowSplit is served by several blood banks through
+ * `allocations` (one per bank, own accept/fulfill/delivery state). Banks
+ * claim part of the units, or the hospital allocates them explicitly;
+ * escalation keeps running until every unit is allocated. The request's own
+ * status and unitsFulfilled are rolled up from the allocations.
+ *
+ * INCIDENTS:
+ * Requests raised under a mass-casualty incident (incidentId, see
+ * models/hospital/Incident.js) are CRITICAL, outrank ordinary requests and
+ * start with the city's blood banks already notified.
  * 
  * URGENCY LEVELS:
  * - CRITICAL: Life-threatening, immediate response required
@@ -38,64 +156,151 @@ class HospitalBloodRequest {
 
     /**
      * CREATE - Create new blood request
+     * Accepts both the hospital payload (flat patient fields, hospitalNotes)
+     * and the legacy admin payload (patientInfo, notes).
      * @param {Object} requestData
+     * @param {Object} actor - { code, role } of the creating user
      * @returns {Promise<Object>}
      */
-    async create(requestData) {
+    async create(requestData, actor = {}) {
         const collection = this.getCollection();
+        const patientInfo = requestData.patientInfo || {};
+        const notifiedBloodBankIds = [
+            ...(requestData.bloodBankId ? [requestData.bloodBankId] : []),
+            ...(requestData.notifiedBloodBankIds || [])
+        ].map((id) => new ObjectId(id));
 
         const request = {
             // References
             hospitalId: new ObjectId(requestData.hospitalId),
-            bloodBankId: new ObjectId(requestData.bloodBankId),
+            bloodBankId: requestData.bloodBankId ? new ObjectId(requestData.bloodBankId) : null,
+            requestedBy: requestData.requestedBy ? new ObjectId(requestData.requestedBy) : null,
+            incidentId: requestData.incidentId ? new ObjectId(requestData.incidentId) : null, // Mass-casualty incident (models/hospital/Incident.js)
 
             // Request Details
+            requestCode: requestData.requestCode || `REQ-${Date.now()}`,
             bloodGroup: requestData.bloodGroup, // A+, A-, B+, B-, AB+, AB-, O+, O-
             component: requestData.component || "WHOLE_BLOOD", // WHOLE_BLOOD, PLASMA, PLATELETS, RBC
             unitsRequired: requestData.unitsRequired,
             urgency: requestData.urgency || "MEDIUM", // CRITICAL, HIGH, MEDIUM, LOW
+            specialRequirements: requestData.specialRequirements || [], // e.g., "CMV Negative", "Irradiated"
+
+            // Compatible substitutes (opt-in for emergencies, see services/BloodCompatibility.js)
+            allowSubstitutes: Boolean(requestData.allowSubstitutes),
+            compatibleBloodGroups: requestData.allowSubstitutes
+                ? getCompatibleDonorGroups(requestData.bloodGroup, requestData.component || "WHOLE_BLOOD")
+                    .map((entry) => entry.bloodGroup)
+                : [requestData.bloodGroup],
+            issuedBloodGroup: null, // Group actually reserved/issued
+            stockIssues: [], // Holds a written transition couldn't consume or release: { action, allocationId, bloodBankId, at }
+
+            // Split fulfillment across blood banks
+            allowSplit: Boolean(requestData.allowSplit),
+            allocations: [],
+            unitsAllocated: 0, // Open allocations plus units already fulfilled
 
             // Patient Information (anonymized for privacy)
-            patientAge: requestData.patientAge || null,
-            patientGender: requestData.patientGender || null,
-            medicalCondition: requestData.medicalCondition || "",
+            patientId: patientInfo.patientId || null, // Hospital internal ID
+            patientAge: requestData.patientAge || patientInfo.age || null,
+            patientGender: requestData.patientGender || patientInfo.gender || null,
+            medicalCondition: requestData.medicalCondition || patientInfo.condition || "",
+            department: patientInfo.department || null, // ICU, Emergency, etc.
 
             // Request Status
-            status: "PENDING", // PENDING, ACCEPTED, REJECTED, FULFILLED, CANCELLED
+            status: REQUEST_STATUS.PENDING, // PENDING, ACCEPTED, PROCESSING, FULFILLED, REJECTED, CANCELLED, EXPIRED
+            statusHistory: [],
+
+            // Admin approval (recorded for CRITICAL requests, does not block the flow)
+            approvalStatus: {
+                requiresApproval: requestData.urgency === "CRITICAL" || requestData.priority === "EMERGENCY",
+                isApproved: false,
+                approvedBy: null,
+                approvedAt: null,
+                remarks: null
+            },
 
             // Fulfillment Details
             unitsFulfilled: 0,
             acceptedAt: null,
+            processingStartedAt: null,
             fulfilledAt: null,
             rejectedAt: null,
             cancelledAt: null,
+            expiredAt: null,
+            fulfillmentDetails: {
+                fulfilledBy: null, // Blood bank staff
+                batchNumbers: [],
+                expiryDates: [],
+                collectionMethod: null, // PICKUP | DELIVERY
+                deliveryAddress: requestData.fulfillmentDetails?.deliveryAddress || null
+            },
 
             // Communication
-            hospitalNotes: requestData.hospitalNotes || "",
+            hospitalNotes: requestData.hospitalNotes || requestData.notes || "",
             bloodBankResponse: "",
+            responseDetails: {
+                respondedAt: null,
+                availableUnits: null,
+                confirmedUnits: null,
+                alternativeBloodGroups: [],
+                estimatedAvailability: null,
+                contactPerson: null,
+                contactPhone: null
+            },
             rejectionReason: "",
             cancellationReason: "",
+            communicationLog: [],
 
             // Tracking
             requestedAt: new Date(),
+            requiredBy: requestData.requiredBy ? new Date(requestData.requiredBy) : null,
+            expiresAt: requestData.expiresAt ? new Date(requestData.expiresAt) : null,
             expectedDeliveryTime: requestData.expectedDeliveryTime || null,
             actualDeliveryTime: null,
+            dispatch: null, // Set when the blood bank dispatches (see buildDispatch)
+
+            // Escalation (see services/EscalationEngine.js)
+            escalation: {
+                status: "ACTIVE", // ACTIVE, RESOLVED, NGO_FALLBACK, STOPPED
+                currentStage: 0, // 0 = not started, 1..n = radius stage
+                // Requests with banks notified up front are scheduled by the engine
+                nextEscalationAt: notifiedBloodBankIds.length > 0 ? null : new Date(),
+                notifiedBloodBankIds,
+                declines: [], // Notified banks that passed: { bloodBankId, reason, at, by }
+                stages: [],
+                ngoFallback: null
+            },
+
+            // Emergency appeal to registered donors (see services/DonorCallout.js)
+            donorCallout: null,
 
             // Metadata
-            priority: this.calculatePriority(requestData.urgency, requestData.bloodGroup),
+            priority: this.calculatePriority(requestData.urgency, requestData.bloodGroup, Boolean(requestData.incidentId)),
             isEmergency: requestData.urgency === "CRITICAL",
+            isActive: true,
             createdAt: new Date(),
             updatedAt: new Date()
         };
 
         const result = await collection.insertOne(request);
-        return { _id: result.insertedId, ...request };
+        const created = { _id: result.insertedId, ...request };
+
+        emitRequestEvent(REQUEST_EVENTS.CREATED, {
+            request: created,
+            from: null,
+            to: REQUEST_STATUS.PENDING,
+            actor
+        });
+
+        return created;
     }
 
     /**
      * Helper - Calculate priority score for sorting
+     * Requests raised under a mass-casualty incident rank above every
+     * ordinary request, CRITICAL included.
      */
-    calculatePriority(urgency, bloodGroup) {
+    calculatePriority(urgency, bloodGroup, isIncident = false) {
         const urgencyScore = {
             CRITICAL: 100,
             HIGH: 75,
@@ -107,7 +312,9 @@ class HospitalBloodRequest {
         const rareBloodGroups = ["AB-", "B-", "A-", "O-"];
         const rarityBonus = rareBloodGroups.includes(bloodGroup) ? 10 : 0;
 
-        return (urgencyScore[urgency] || 50) + rarityBonus;
+        const incidentBonus = isIncident ? INCIDENT_PRIORITY_BONUS : 0;
+
+        return (urgencyScore[urgency] || 50) + rarityBonus + incidentBonus;
     }
 
     /**
@@ -125,6 +332,27 @@ class HospitalBloodRequest {
         }
     }
 
+    /**
+     * READ - Find request by request code
+     */
+    async findByRequestCode(requestCode) {
+        const collection = this.getCollection();
+        return await collection.findOne({ requestCode });
+    }
+
+    /**
+     * READ - Find all requests raised under an incident
+     * @param {string} incidentId
+     * @returns {Promise<Array>}
+     */
+    async findByIncidentId(incidentId) {
+        const collection = this.getCollection();
+        return await collection
+            .find({ incidentId: new ObjectId(incidentId) })
+            .sort({ priority: -1, createdAt: 1 })
+            .toArray();
+    }
+
     /**
      * READ - Find all requests by hospital
      * @param {string} hospitalId
@@ -139,7 +367,7 @@ class HospitalBloodRequest {
         const matchStage = { hospitalId: new ObjectId(hospitalId) };
 
         // Add filters
-        if (filters.status) matchStage.status = filters.status;
+        if (filters.status) matchStage.status = normalizeStatus(filters.status);
         if (filters.urgency) matchStage.urgency = filters.urgency;
         if (filters.bloodGroup) matchStage.bloodGroup = filters.bloodGroup;
         if (filters.component) matchStage.component = filters.component;
@@ -200,10 +428,31 @@ class HospitalBloodRequest {
         const collection = this.getCollection();
         const { page = 1, limit = 20 } = pagination;
 
-        const query = { bloodBankId: new ObjectId(bloodBankId) };
+        // A bank sees requests assigned to it, requests it holds an
+        // allocation of, plus any still-open request the escalation engine
+        // has fanned out to it and it hasn't declined
+        const query = {
+            $or: [
+                { bloodBankId: new ObjectId(bloodBankId) },
+                { "allocations.bloodBankId": new ObjectId(bloodBankId) },
+                {
+                    bloodBankId: null,
+                    status: "PENDING",
+                    "escalation.notifiedBloodBankIds": new ObjectId(bloodBankId),
+                    "escalation.declines.bloodBankId": { $ne: new ObjectId(bloodBankId) }
+                },
+                {
+                    allowSplit: true,
+                    status: { $in: OPEN_STATUSES },
+                    "escalation.status": "ACTIVE",
+                    "escalation.notifiedBloodBankIds": new ObjectId(bloodBankId),
+                    "escalation.declines.bloodBankId": { $ne: new ObjectId(bloodBankId) }
+                }
+            ]
+        };
 
         // Add filters
-        if (filters.status) query.status = filters.status;
+        if (filters.status) query.status = normalizeStatus(filters.status);
         if (filters.urgency) query.urgency = filters.urgency;
         if (filters.bloodGroup) query.bloodGroup = filters.bloodGroup;
         if (filters.component) query.component = filters.component;
@@ -239,7 +488,7 @@ class HospitalBloodRequest {
 
         const query = {
             urgency: { $in: ["CRITICAL", "HIGH"] },
-            status: { $in: ["PENDING", "ACCEPTED"] }
+            status: { $in: OPEN_STATUSES }
         };
 
         // Add optional filters
@@ -287,7 +536,7 @@ class HospitalBloodRequest {
             matchStage.bloodBankId = new ObjectId(filters.bloodBankId);
         }
         if (filters.status) {
-            matchStage.status = filters.status;
+            matchStage.status = normalizeStatus(filters.status);
         }
         if (filters.urgency) {
             matchStage.urgency = filters.urgency;
@@ -368,186 +617,1040 @@ class HospitalBloodRequest {
     }
 
     /**
-     * UPDATE - Accept request (Blood Bank action)
-     * @param {string} id
-     * @param {string} bloodBankResponse
-     * @returns {Promise<boolean>}
+     * READ - Find pending requests (for blood bank matching)
+     * @param {Object} filters - {bloodGroup, urgency, component}
+     * @param {Object} pagination
+     * @returns {Promise<Object>}
+     */
+    async findPendingRequests(filters = {}, pagination = {}) {
+        const collection = this.getCollection();
+        const { page = 1, limit = 20 } = pagination;
+
+        const query = { status: REQUEST_STATUS.PENDING };
+
+        if (filters.bloodGroup) query.bloodGroup = filters.bloodGroup;
+        if (filters.urgency) query.urgency = filters.urgency;
+        if (filters.component) query.component = filters.component;
+
+        const total = await collection.countDocuments(query);
+        const requests = await collection
+            .find(query)
+            .sort({ priority: -1, requestedAt: 1 }) // Most urgent, then oldest first
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        return {
+            requests,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * READ - Pending requests that a given group/component could serve
+     * Used to suggest where near-expiry stock can be redistributed.
+     */
+    async findOpenRequestsFor(bloodGroup, component, limit = 50) {
+        const collection = this.getCollection();
+        return await collection
+            .find({
+                status: REQUEST_STATUS.PENDING,
+                $or: [
+                    { bloodGroup },
+                    { allowSubstitutes: true, compatibleBloodGroups: bloodGroup }
+                ],
+                ...(component && { component })
+            })
+            .sort({ priority: -1, requestedAt: 1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * READ - Get single request with hospital, blood bank and approver details
      */
-    async acceptRequest(id, bloodBankResponse = "") {
+    async getRequestWithDetails(id) {
         const collection = this.getCollection();
         try {
-            const result = await collection.updateOne(
+            const result = await collection.aggregate([
+                { $match: { _id: new ObjectId(id) } },
                 {
-                    _id: new ObjectId(id),
-                    status: "PENDING"
+                    $lookup: {
+                        from: "organizations",
+                        localField: "hospitalId",
+                        foreignField: "_id",
+                        as: "hospitalDetails"
+                    }
                 },
                 {
-                    $set: {
-                        status: "ACCEPTED",
-                        acceptedAt: new Date(),
-                        bloodBankResponse,
-                        updatedAt: new Date()
+                    $lookup: {
+                        from: "organizations",
+                        localField: "bloodBankId",
+                        foreignField: "_id",
+                        as: "bloodBankDetails"
                     }
-                }
-            );
-            return result.modifiedCount > 0;
+                },
+                {
+                    $lookup: {
+                        from: "admins",
+                        localField: "approvalStatus.approvedBy",
+                        foreignField: "_id",
+                        as: "approverDetails"
+                    }
+                },
+                { $unwind: { path: "$hospitalDetails", preserveNullAndEmptyArrays: true } },
+                { $unwind: { path: "$bloodBankDetails", preserveNullAndEmptyArrays: true } },
+                { $unwind: { path: "$approverDetails", preserveNullAndEmptyArrays: true } }
+            ]).toArray();
+
+            return result.length > 0 ? result[0] : null;
         } catch (error) {
-            console.error("Error accepting request:", error);
-            return false;
+            console.error("Error getting request with details:", error);
+            return null;
         }
     }
 
+    // #region StateTransitions
+
     /**
-     * UPDATE - Reject request (Blood Bank action)
-     * @param {string} id
-     * @param {string} rejectionReason
-     * @returns {Promise<boolean>}
+     * Helper - New dispatch block (request or allocation)
+     * @param {Object} data - Dispatch input (mode, courier, pickup, units, ...)
+     * @param {string} component - Blood component, picks the transport range
      */
-    async rejectRequest(id, rejectionReason) {
-        const collection = this.getCollection();
-        try {
-            const result = await collection.updateOne(
+    buildDispatch(data, component, now, actor = {}) {
+        return {
+            mode: data.mode, // COURIER, PICKUP
+            courier: data.mode === "COURIER"
+                ? {
+                    name: data.courier.name,
+                    phone: data.courier.phone,
+                    vehicleNumber: data.courier.vehicleNumber || null,
+                    trackingId: data.courier.trackingId || null
+                }
+                : null,
+            pickup: data.mode === "PICKUP"
+                ? {
+                    collectorName: data.pickup.collectorName,
+                    collectorPhone: data.pickup.collectorPhone || null
+                }
+                : null,
+            units: data.units,
+            status: DISPATCH_STATUS.DISPATCHED, // DISPATCHED, IN_TRANSIT, RECEIVED
+            checkpoints: [
                 {
-                    _id: new ObjectId(id),
-                    status: "PENDING"
+                    stage: DISPATCH_STATUS.DISPATCHED,
+                    at: now,
+                    by: actor.code || null,
+                    location: data.location || null,
+                    notes: data.notes || ""
+                }
+            ],
+
+            // Cold chain (min/max/first/last appear with the first reading)
+            temperatureRange: getTransportRange(component, data.temperatureRange),
+            temperature: { readingCount: 0, lastC: null, lastReadingAt: null },
+            excursion: { flagged: false, count: 0 },
+
+            dispatchedAt: now,
+            dispatchedBy: actor.code || null,
+            expectedDeliveryTime: data.expectedDeliveryTime ? new Date(data.expectedDeliveryTime) : null,
+            receivedAt: null,
+            receivedBy: null,
+            unitsReceived: null,
+            receiptNotes: ""
+        };
+    }
+
+    /**
+     * Helper - Checkpoint written when the hospital confirms receipt
+     */
+    buildReceiptCheckpoint(context, now, actor = {}) {
+        return {
+            stage: DISPATCH_STATUS.RECEIVED,
+            at: now,
+            by: actor.code || null,
+            location: context.location || null,
+            notes: context.notes || ""
+        };
+    }
+
+    /**
+     * Fields written by each transition, on top of status/updatedAt
+     * @returns {{ set: Object, addToSet?: Object, push?: Object, arrayFilters?: Array }}
+     */
+    buildTransitionUpdate(action, context, now, request = {}, actor = {}) {
+        const stopEscalation = {
+            "escalation.status": "STOPPED",
+            "escalation.nextEscalationAt": null
+        };
+
+        // Roll-up of a split request: allocations carry the details
+        if (context.rollup) {
+            switch (action) {
+                case "accept":
+                    return { set: { acceptedAt: now } };
+                case "startProcessing":
+                    return { set: { processingStartedAt: now } };
+                case "fulfill":
+                    return { set: { unitsFulfilled: context.unitsFulfilled, fulfilledAt: now, isActive: false } };
+                default:
+                    return { set: {} };
+            }
+        }
+
+        // Closing a split request withdraws its open allocations
+        const closeAllocations = request.allowSplit
+            ? {
+                set: {
+                    "allocations.$[open].status": ALLOCATION_STATUS.CANCELLED,
+                    "allocations.$[open].cancelledAt": now,
+                    "allocations.$[open].cancellationReason": `Request ${action === "expire" ? "expired" : "cancelled"}`
                 },
-                {
-                    $set: {
-                        status: "REJECTED",
-                        rejectedAt: new Date(),
-                        rejectionReason,
-                        updatedAt: new Date()
+                arrayFilters: [{ "open.status": { $in: OPEN_ALLOCATION_STATUSES } }]
+            }
+            : { set: {} };
+
+        switch (action) {
+            case "assign":
+                return {
+                    set: { bloodBankId: new ObjectId(context.bloodBankId) },
+                    addToSet: { "escalation.notifiedBloodBankIds": new ObjectId(context.bloodBankId) }
+                };
+            case "accept":
+                return {
+                    set: {
+                        acceptedAt: now,
+                        bloodBankResponse: context.response || "",
+                        "responseDetails.respondedAt": now,
+                        "escalation.status": "RESOLVED",
+                        "escalation.nextEscalationAt": null,
+                        ...(context.bloodBankId && { bloodBankId: new ObjectId(context.bloodBankId) })
                     }
-                }
-            );
-            return result.modifiedCount > 0;
-        } catch (error) {
-            console.error("Error rejecting request:", error);
-            return false;
+                };
+            case "startProcessing":
+                return {
+                    set: {
+                        processingStartedAt: now,
+                        "fulfillmentDetails.fulfilledBy": context.staffId ? new ObjectId(context.staffId) : null
+                    }
+                };
+            case "dispatch":
+                return {
+                    set: {
+                        dispatch: this.buildDispatch(context, request.component, now, actor),
+                        expectedDeliveryTime: context.expectedDeliveryTime || request.expectedDeliveryTime || null,
+                        "fulfillmentDetails.batchNumbers": context.batchNumbers || [],
+                        "fulfillmentDetails.expiryDates": context.expiryDates || [],
+                        "fulfillmentDetails.collectionMethod": context.mode === "PICKUP" ? "PICKUP" : "DELIVERY",
+                        ...(request.status === REQUEST_STATUS.ACCEPTED && { processingStartedAt: now })
+                    }
+                };
+            case "fulfill":
+                // Receipt confirmed by the hospital
+                return {
+                    set: {
+                        unitsFulfilled: context.unitsFulfilled,
+                        fulfilledAt: now,
+                        actualDeliveryTime: now,
+                        "dispatch.status": DISPATCH_STATUS.RECEIVED,
+                        "dispatch.receivedAt": now,
+                        "dispatch.receivedBy": actor.code || null,
+                        "dispatch.unitsReceived": context.unitsFulfilled,
+                        "dispatch.receiptNotes": context.notes || "",
+                        isActive: false
+                    },
+                    push: { "dispatch.checkpoints": this.buildReceiptCheckpoint(context, now, actor) }
+                };
+            case "reject":
+                return {
+                    set: {
+                        rejectedAt: now,
+                        rejectionReason: context.reason,
+                        isActive: false,
+                        ...stopEscalation
+                    }
+                };
+            case "cancel":
+                return {
+                    set: {
+                        cancelledAt: now,
+                        cancellationReason: context.reason || "",
+                        isActive: false,
+                        ...stopEscalation,
+                        ...closeAllocations.set
+                    },
+                    arrayFilters: closeAllocations.arrayFilters
+                };
+            case "expire":
+                return {
+                    set: {
+                        expiredAt: now,
+                        isActive: false,
+                        ...stopEscalation,
+                        ...closeAllocations.set
+                    },
+                    arrayFilters: closeAllocations.arrayFilters
+                };
+            default:
+                return { set: {} };
         }
     }
 
     /**
-     * UPDATE - Fulfill request (Blood Bank action)
+     * UPDATE - Apply a state machine transition
+     * Checks the transition table and guards, then writes with an optimistic
+     * check on the status/updatedAt that were read, so concurrent callers
+     * can't both move the same request. Stock is reserved before an accept is
+     * written and consumed/released once dispatch/reject/cancel/expire is
+     * (services/StockLedger.js); a consume/release that fails then is
+     * flagged on the request (flagUnsettledStock).
      * @param {string} id
-     * @param {number} unitsFulfilled
-     * @returns {Promise<boolean>}
+     * @param {string} action - Key of REQUEST_TRANSITIONS
+     * @param {Object} context - Action input (bloodBankId, unitsFulfilled, reason, ...)
+     * @param {Object} actor - { code, role } of the acting user
+     * @returns {Promise<{ success: boolean, request?: Object, message?: string, statusCode?: number }>}
      */
-    async fulfillRequest(id, unitsFulfilled) {
+    async transition(id, action, context = {}, actor = {}) {
         const collection = this.getCollection();
-        try {
-            const result = await collection.updateOne(
-                {
-                    _id: new ObjectId(id),
-                    status: "ACCEPTED"
+
+        const request = await this.findById(id);
+        if (!request) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+
+        const check = checkTransition(request, action, context);
+        if (!check.allowed) {
+            return { success: false, message: check.message, statusCode: check.statusCode };
+        }
+
+        const stock = await StockLedger.prepare(request, action, context, actor);
+        if (!stock.success) {
+            return { success: false, message: stock.message, statusCode: 409 };
+        }
+
+        const now = new Date();
+        const { transition } = check;
+        const { set, addToSet, push, arrayFilters } = this.buildTransitionUpdate(action, context, now, request, actor);
+        Object.assign(set, stock.fields);
+
+        const update = {
+            $set: { ...set, status: transition.to, updatedAt: now },
+            $push: {
+                statusHistory: {
+                    action,
+                    from: request.status,
+                    to: transition.to,
+                    at: now,
+                    by: actor.code || null,
+                    role: actor.role || null,
+                    reason: context.reason || null
                 },
-                {
-                    $set: {
-                        status: "FULFILLED",
-                        unitsFulfilled,
-                        fulfilledAt: new Date(),
-                        actualDeliveryTime: new Date(),
-                        updatedAt: new Date()
-                    }
-                }
+                ...push
+            }
+        };
+        if (addToSet) update.$addToSet = addToSet;
+
+        try {
+            let updated = await collection.findOneAndUpdate(
+                { _id: request._id, status: request.status, updatedAt: request.updatedAt },
+                update,
+                { returnDocument: "after", ...(arrayFilters && { arrayFilters }) }
             );
-            return result.modifiedCount > 0;
+
+            if (!updated) {
+                await stock.rollback();
+                return {
+                    success: false,
+                    message: "Request was updated by someone else, please retry",
+                    statusCode: 409
+                };
+            }
+
+            const settled = await StockLedger.settle(updated, action, context, actor);
+            if (!settled.success) {
+                updated = await this.flagUnsettledStock(updated, action);
+            }
+            if (arrayFilters) {
+                updated = await this.rollupAllocations(updated._id);
+            }
+
+            emitRequestEvent(transition.event, {
+                request: updated,
+                from: request.status,
+                to: transition.to,
+                actor,
+                context
+            });
+
+            return { success: true, request: updated };
         } catch (error) {
-            console.error("Error fulfilling request:", error);
-            return false;
+            await stock.rollback();
+            console.error(`Error applying ${action} to request:`, error);
+            return { success: false, message: `Failed to ${action} request`, statusCode: 500 };
         }
     }
 
     /**
-     * UPDATE - Cancel request (Hospital action)
-     * @param {string} id
-     * @param {string} cancellationReason
-     * @returns {Promise<boolean>}
+     * UPDATE - Record that a written transition left its stock hold in place
+     * The status stays (the units may already be on their way); the request
+     * carries the issue and admins get an alert to reconcile the bank's stock.
+     * @param {Object} request - Request as written
+     * @param {string} action
+     * @param {Object} [allocation] - Allocation whose hold wasn't settled
+     * @returns {Promise<Object>} The request with the issue recorded
      */
-    async cancelRequest(id, cancellationReason) {
-        const collection = this.getCollection();
+    async flagUnsettledStock(request, action, allocation = null) {
+        const bloodBankId = allocation?.bloodBankId || request.bloodBankId;
+        const verb = action === "dispatch" ? "issued from" : "released back to";
+        console.error(
+            `[STOCK_LEDGER] ${action} written for request ${request._id}` +
+            `${allocation ? ` allocation ${allocation._id}` : ""} but stock was not ${verb} the bank`
+        );
+
         try {
-            const result = await collection.updateOne(
-                {
-                    _id: new ObjectId(id),
-                    status: { $in: ["PENDING", "ACCEPTED"] }
-                },
+            const updated = await this.getCollection().findOneAndUpdate(
+                { _id: request._id },
                 {
-                    $set: {
-                        status: "CANCELLED",
-                        cancelledAt: new Date(),
-                        cancellationReason,
-                        updatedAt: new Date()
+                    $push: {
+                        stockIssues: { action, allocationId: allocation?._id || null, bloodBankId, at: new Date() }
                     }
-                }
+                },
+                { returnDocument: "after" }
             );
-            return result.modifiedCount > 0;
+
+            await Alert.create({
+                type: "STOCK_SETTLEMENT_FAILED",
+                title: `Stock out of step with ${request.requestCode}`,
+                message:
+                    `The ${action} of ${request.requestCode} was recorded but its ${allocation?.units ?? request.unitsRequired} ` +
+                    `${request.issuedBloodGroup || request.bloodGroup} unit(s) were not ${verb} the blood bank's stock. ` +
+                    "Reconcile the bank's reserved and available units.",
+                severity: "HIGH",
+                relatedEntity: {
+                    emergencyId: request._id,
+                    allocationId: allocation?._id || null,
+                    hospitalId: request.hospitalId,
+                    bloodBankId
+                },
+                relatedEntityType: "EMERGENCY",
+                createdBy: "system"
+            });
+
+            return updated || request;
         } catch (error) {
-            console.error("Error cancelling request:", error);
-            return false;
+            console.error("Error flagging unsettled stock:", error);
+            return request;
         }
     }
 
     /**
-     * UPDATE - Update request details
+     * UPDATE - Accept request (Blood Bank action)
+     * For escalated requests without an assigned bank, the first notified
+     * bank to accept claims the request.
+     * @param {string} id
+     * @param {string} bloodBankResponse
+     * @param {string} [bloodBankId] - Accepting blood bank
+     * @param {Object} [actor]
+     * @param {string} [bloodGroup] - Substitute group the bank will supply
+     * @param {number} [units] - Part of a split request the bank takes on
+     *   (defaults to all unallocated units)
      */
-    async updateById(id, updateData) {
-        const collection = this.getCollection();
-        try {
-            // Prevent updating critical fields
-            delete updateData._id;
-            delete updateData.hospitalId;
-            delete updateData.bloodBankId;
-            delete updateData.requestedAt;
-            delete updateData.status;
-
-            const result = await collection.updateOne(
-                { _id: new ObjectId(id) },
-                { $set: { ...updateData, updatedAt: new Date() } }
+    async acceptRequest(id, bloodBankResponse = "", bloodBankId = null, actor = {}, bloodGroup = null, units = null) {
+        const request = await this.findById(id);
+        if (request?.allowSplit) {
+            return await this.claimAllocation(
+                id,
+                { bloodBankId, units, bloodGroup, response: bloodBankResponse },
+                actor
             );
-            return result.modifiedCount > 0;
-        } catch (error) {
-            console.error("Error updating request:", error);
-            return false;
         }
+
+        return await this.transition(
+            id,
+            "accept",
+            { response: bloodBankResponse, bloodBankId, ...(bloodGroup && { bloodGroup }) },
+            actor
+        );
     }
 
     /**
-     * DELETE - Delete request
+     * UPDATE - Assign a blood bank to a pending request (Admin action)
      */
-    async deleteById(id) {
-        const collection = this.getCollection();
-        try {
-            const result = await collection.deleteOne({
-                _id: new ObjectId(id)
-            });
-            return result.deletedCount > 0;
-        } catch (error) {
-            console.error("Error deleting request:", error);
-            return false;
+    async assignBloodBank(id, bloodBankId, actor = {}) {
+        return await this.transition(id, "assign", { bloodBankId }, actor);
+    }
+
+    /**
+     * UPDATE - Start processing (Blood Bank action)
+     */
+    async startProcessing(id, staffId = null, actor = {}) {
+        return await this.transition(id, "startProcessing", { staffId }, actor);
+    }
+
+    /**
+     * UPDATE - Reject request (Blood Bank action)
+     * Only the assigned bank rejects the request itself. A bank the
+     * escalation engine notified of a request nobody has taken yet only
+     * declines its notification (see declineRequest); the request stays open
+     * for the other banks.
+     * @param {string} id
+     * @param {string} rejectionReason
+     * @param {Object} [actor]
+     * @param {string} [bloodBankId] - Rejecting blood bank
+     */
+    async rejectRequest(id, rejectionReason, actor = {}, bloodBankId = null) {
+        if (bloodBankId) {
+            const request = await this.findById(id);
+            if (request && !request.bloodBankId && request.status === REQUEST_STATUS.PENDING) {
+                return await this.declineRequest(id, bloodBankId, rejectionReason, actor);
+            }
         }
+        return await this.transition(id, "reject", { reason: rejectionReason, bloodBankId }, actor);
     }
 
     /**
-     * ANALYTICS - Get request statistics for hospital
+     * UPDATE - A notified blood bank declines an unassigned request
+     * Recorded under escalation.declines; the request drops off the bank's
+     * list and its status is unchanged.
+     * @param {string} id
+     * @param {string} bloodBankId
+     * @param {string} reason
+     * @param {Object} [actor]
      */
-    async getStatsByHospital(hospitalId) {
+    async declineRequest(id, bloodBankId, reason = "", actor = {}) {
         const collection = this.getCollection();
-        try {
-            const total = await collection.countDocuments({
-                hospitalId: new ObjectId(hospitalId)
-            });
-
-            const pending = await collection.countDocuments({
-                hospitalId: new ObjectId(hospitalId),
-                status: "PENDING"
-            });
+        const bankId = new ObjectId(bloodBankId);
+        const now = new Date();
 
-            const accepted = await collection.countDocuments({
+        const updated = await collection.findOneAndUpdate(
+            {
+                _id: new ObjectId(id),
+                status: REQUEST_STATUS.PENDING,
+                bloodBankId: null,
+                "escalation.notifiedBloodBankIds": bankId,
+                "escalation.declines.bloodBankId": { $ne: bankId }
+            },
+            {
+                $push: {
+                    "escalation.declines": { bloodBankId: bankId, reason, at: now, by: actor.code || null }
+                },
+                $set: { updatedAt: now }
+            },
+            { returnDocument: "after" }
+        );
+        if (!updated) {
+            return {
+                success: false,
+                message: "Request is no longer open to this blood bank, or it has already declined",
+                statusCode: 409
+            };
+        }
+        return { success: true, declined: true, request: updated };
+    }
+
+    /**
+     * UPDATE - Dispatch the units (Blood Bank action)
+     * Issues them from stock and starts delivery tracking.
+     * @param {string} id
+     * @param {Object} dispatchData - {mode, courier, pickup, units, batchNumbers, expiryDates, temperatureRange, expectedDeliveryTime, location, notes}
+     * @param {Object} [actor]
+     */
+    async dispatchRequest(id, dispatchData, actor = {}) {
+        return await this.transition(id, "dispatch", dispatchData, actor);
+    }
+
+    /**
+     * UPDATE - Confirm receipt of dispatched units (Hospital action)
+     * Fulfills the request with the units received (default: all dispatched).
+     * @param {string} id
+     * @param {Object} receipt - {unitsReceived, location, notes}
+     * @param {Object} [actor]
+     */
+    async confirmReceipt(id, receipt = {}, actor = {}) {
+        const request = await this.findById(id);
+        return await this.transition(
+            id,
+            "fulfill",
+            {
+                unitsFulfilled: receipt.unitsReceived ?? request?.dispatch?.units,
+                location: receipt.location,
+                notes: receipt.notes
+            },
+            actor
+        );
+    }
+
+    /**
+     * UPDATE - Cancel request (Hospital action)
+     * @param {string} id
+     * @param {string} cancellationReason
+     * @param {Object} [actor]
+     */
+    async cancelRequest(id, cancellationReason, actor = {}) {
+        return await this.transition(id, "cancel", { reason: cancellationReason }, actor);
+    }
+
+    /**
+     * UPDATE - Expire open requests whose expiresAt has passed
+     * Run by the "request-expiry" scheduled job (services/ScheduledJobs.js)
+     * @returns {Promise<number>} Requests expired
+     */
+    async markExpiredRequests(now = new Date()) {
+        const collection = this.getCollection();
+        const candidates = await collection
+            .find({
+                expiresAt: { $lt: now },
+                status: { $in: [REQUEST_STATUS.PENDING, REQUEST_STATUS.ACCEPTED] }
+            })
+            .project({ _id: 1 })
+            .toArray();
+
+        let expired = 0;
+        for (const { _id } of candidates) {
+            const result = await this.transition(_id, "expire", { now }, { code: "system", role: "SYSTEM" });
+            if (result.success) expired++;
+        }
+        return expired;
+    }
+
+    /**
+     * UPDATE - Record admin approval of a CRITICAL request
+     */
+    async approveByAdmin(id, adminId, remarks = null) {
+        const collection = this.getCollection();
+        try {
+            const updated = await collection.findOneAndUpdate(
+                {
+                    _id: new ObjectId(id),
+                    "approvalStatus.requiresApproval": true,
+                    "approvalStatus.isApproved": false
+                },
+                {
+                    $set: {
+                        "approvalStatus.isApproved": true,
+                        "approvalStatus.approvedBy": new ObjectId(adminId),
+                        "approvalStatus.approvedAt": new Date(),
+                        "approvalStatus.remarks": remarks,
+                        updatedAt: new Date()
+                    }
+                },
+                { returnDocument: "after" }
+            );
+
+            if (!updated) return false;
+
+            emitRequestEvent(REQUEST_EVENTS.APPROVED, {
+                request: updated,
+                from: updated.status,
+                to: updated.status,
+                actor: { code: adminId.toString(), role: "ADMIN" },
+                context: { remarks }
+            });
+            return true;
+        } catch (error) {
+            console.error("Error approving request:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Structured blood bank response (availability, contact)
+     */
+    async updateBloodBankResponse(id, responseData) {
+        const collection = this.getCollection();
+        try {
+            const result = await collection.updateOne(
+                { _id: new ObjectId(id) },
+                {
+                    $set: {
+                        "responseDetails.availableUnits": responseData.availableUnits ?? null,
+                        "responseDetails.confirmedUnits": responseData.confirmedUnits ?? null,
+                        "responseDetails.alternativeBloodGroups": responseData.alternativeBloodGroups || [],
+                        "responseDetails.estimatedAvailability": responseData.estimatedAvailability || null,
+                        "responseDetails.contactPerson": responseData.contactPerson || null,
+                        "responseDetails.contactPhone": responseData.contactPhone || null,
+                        "responseDetails.respondedAt": new Date(),
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error("Error updating blood bank response:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Add communication log entry
+     */
+    async addCommunicationLog(id, logEntry) {
+        const collection = this.getCollection();
+        try {
+            const result = await collection.updateOne(
+                { _id: new ObjectId(id) },
+                {
+                    $push: {
+                        communicationLog: {
+                            timestamp: new Date(),
+                            message: logEntry.message,
+                            from: logEntry.from,
+                            to: logEntry.to,
+                            type: logEntry.type || "NOTE"
+                        }
+                    },
+                    $set: { updatedAt: new Date() }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error("Error adding communication log:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Update request details
+     * Only the details in EDITABLE_FIELDS, and only while the request is
+     * PENDING; units, group, urgency, splitting and everything the workflow
+     * writes change through transitions, allocations and dispatch.
+     * @returns {Promise<{ success: boolean, request?: Object, message?: string, statusCode?: number }>}
+     */
+    async updateById(id, updateData = {}) {
+        const collection = this.getCollection();
+
+        const fields = {};
+        for (const [field, path] of Object.entries(EDITABLE_FIELDS)) {
+            if (updateData[field] !== undefined) {
+                fields[path] = updateData[field];
+            }
+        }
+        if (Object.keys(fields).length === 0) {
+            return {
+                success: false,
+                message: `Nothing to update; editable fields are ${Object.keys(EDITABLE_FIELDS).join(", ")}`,
+                statusCode: 400
+            };
+        }
+        if (fields.requiredBy) {
+            fields.requiredBy = new Date(fields.requiredBy);
+        }
+
+        const request = await this.findById(id);
+        if (!request) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+
+        try {
+            const updated = await collection.findOneAndUpdate(
+                { _id: request._id, status: REQUEST_STATUS.PENDING },
+                { $set: { ...fields, updatedAt: new Date() } },
+                { returnDocument: "after" }
+            );
+            if (!updated) {
+                return {
+                    success: false,
+                    message: `Only pending requests can be edited (this one is ${request.status})`,
+                    statusCode: 409
+                };
+            }
+            return { success: true, request: updated };
+        } catch (error) {
+            console.error("Error updating request:", error);
+            return { success: false, message: "Failed to update request", statusCode: 500 };
+        }
+    }
+
+    /**
+     * READ - Find requests whose current escalation stage has timed out
+     * @param {Date} now
+     * @param {number} limit
+     * @returns {Promise<Array>}
+     */
+    async findDueEscalations(now = new Date(), limit = 50) {
+        const collection = this.getCollection();
+        return await collection
+            .find({
+                // Split requests keep escalating while units are unallocated
+                status: { $in: OPEN_STATUSES },
+                "escalation.status": "ACTIVE",
+                "escalation.nextEscalationAt": { $lte: now },
+                // Lapsed requests are left for the request-expiry job
+                expiresAt: { $not: { $lte: now } }
+            })
+            .sort({ priority: -1, requestedAt: 1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * UPDATE - Push back the next escalation check
+     * @param {string} id
+     * @param {Date} nextEscalationAt
+     * @returns {Promise<boolean>}
+     */
+    async scheduleNextEscalation(id, nextEscalationAt) {
+        const collection = this.getCollection();
+        try {
+            const result = await collection.updateOne(
+                {
+                    _id: new ObjectId(id),
+                    "escalation.status": "ACTIVE"
+                },
+                {
+                    $set: {
+                        "escalation.nextEscalationAt": nextEscalationAt,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error("Error scheduling escalation:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Record a new escalation stage
+     * Guarded on the previous stage number so two workers can't both
+     * advance the same request.
+     * @param {string} id
+     * @param {number} fromStage - Stage the caller observed
+     * @param {Object} stage - { stage, radiusKm, notifiedBloodBankIds, startedAt, expiresAt }
+     * @returns {Promise<boolean>}
+     */
+    async recordEscalationStage(id, fromStage, stage) {
+        const collection = this.getCollection();
+        try {
+            const result = await collection.updateOne(
+                {
+                    _id: new ObjectId(id),
+                    status: { $in: OPEN_STATUSES },
+                    "escalation.status": "ACTIVE",
+                    "escalation.currentStage": fromStage
+                },
+                {
+                    $set: {
+                        "escalation.currentStage": stage.stage,
+                        "escalation.nextEscalationAt": stage.expiresAt,
+                        updatedAt: new Date()
+                    },
+                    $push: { "escalation.stages": stage },
+                    $addToSet: {
+                        "escalation.notifiedBloodBankIds": { $each: stage.notifiedBloodBankIds }
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error("Error recording escalation stage:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Mark escalation exhausted and hand over to NGO donor network
+     * @param {string} id
+     * @param {number} fromStage - Stage the caller observed
+     * @param {Object} ngoFallback - { triggeredAt, ngoIds, city }
+     * @returns {Promise<boolean>}
+     */
+    async triggerNgoFallback(id, fromStage, ngoFallback) {
+        const collection = this.getCollection();
+        try {
+            const result = await collection.updateOne(
+                {
+                    _id: new ObjectId(id),
+                    status: { $in: OPEN_STATUSES },
+                    "escalation.status": "ACTIVE",
+                    "escalation.currentStage": fromStage
+                },
+                {
+                    $set: {
+                        "escalation.status": "NGO_FALLBACK",
+                        "escalation.nextEscalationAt": null,
+                        "escalation.ngoFallback": ngoFallback,
+                        updatedAt: new Date()
+                    }
+                }
+            );
+            return result.modifiedCount > 0;
+        } catch (error) {
+            console.error("Error triggering NGO fallback:", error);
+            return false;
+        }
+    }
+
+    /**
+     * UPDATE - Start the donor call-out of an open request (once per request)
+     * @param {string} id
+     * @param {Object} donorCallout - { startedAt, startedBy, city, bloodGroups, ngoIds, responders }
+     * @returns {Promise<Object|null>} Updated request, or null if closed or already called out
+     */
+    async startDonorCallout(id, donorCallout) {
+        const collection = this.getCollection();
+        return await collection.findOneAndUpdate(
+            {
+                _id: new ObjectId(id),
+                status: { $in: OPEN_STATUSES },
+                donorCallout: null
+            },
+            { $set: { donorCallout, updatedAt: new Date() } },
+            { returnDocument: "after" }
+        );
+    }
+
+    /**
+     * READ - Request whose donor call-out holds a response token
+     * @param {string} tokenHash - sha256 of the token sent to the donor
+     */
+    async findByDonorResponseToken(tokenHash) {
+        const collection = this.getCollection();
+        return await collection.findOne({ "donorCallout.responders.responseTokenHash": tokenHash });
+    }
+
+    /**
+     * READ - Open requests with a donor call-out that concern an organization
+     * (the requesting hospital or an NGO asked to mobilise donors)
+     */
+    async findOpenDonorCallouts(organizationId, limit = 50) {
+        const collection = this.getCollection();
+        const orgId = new ObjectId(organizationId);
+        return await collection
+            .find({
+                status: { $in: OPEN_STATUSES },
+                donorCallout: { $ne: null },
+                $or: [{ hospitalId: orgId }, { "donorCallout.ngoIds": orgId }]
+            })
+            .sort({ "donorCallout.startedAt": -1 })
+            .limit(limit)
+            .toArray();
+    }
+
+    /**
+     * UPDATE - Record a donor's answer to the appeal of an open request
+     * @param {string} tokenHash - sha256 of the donor's response token
+     * @param {string} response - DONOR_RESPONSES value
+     * @returns {Promise<Object|null>} Updated request, or null if the request is closed
+     */
+    async recordDonorResponse(tokenHash, response, at = new Date()) {
+        const collection = this.getCollection();
+        return await collection.findOneAndUpdate(
+            {
+                status: { $in: OPEN_STATUSES },
+                "donorCallout.responders.responseTokenHash": tokenHash
+            },
+            {
+                $set: {
+                    "donorCallout.responders.$.status": response,
+                    "donorCallout.responders.$.respondedAt": at,
+                    updatedAt: at
+                }
+            },
+            { returnDocument: "after" }
+        );
+    }
+
+    /**
+     * DELETE - Delete request
+     * Only while nothing is held for it: an ACCEPTED or PROCESSING request,
+     * or a split request with live allocations, has stock reserved or on its
+     * way (services/StockLedger.js) and must be cancelled first.
+     * @returns {Promise<{ success: boolean, message?: string, statusCode?: number }>}
+     */
+    async deleteById(id) {
+        const collection = this.getCollection();
+        if (!ObjectId.isValid(id)) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+
+        try {
+            const result = await collection.deleteOne({
+                _id: new ObjectId(id),
+                status: { $nin: [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING] },
+                "allocations.status": { $nin: [...OPEN_ALLOCATION_STATUSES, ALLOCATION_STATUS.DISPATCHED] }
+            });
+            if (result.deletedCount > 0) {
+                return { success: true };
+            }
+
+            const request = await this.findById(id);
+            if (!request) {
+                return { success: false, message: "Blood request not found", statusCode: 404 };
+            }
+            return {
+                success: false,
+                message: `This request is ${request.status} and holds blood stock; cancel it before deleting`,
+                statusCode: 409
+            };
+        } catch (error) {
+            console.error("Error deleting request:", error);
+            return { success: false, message: "Failed to delete request", statusCode: 500 };
+        }
+    }
+
+    /**
+     * ANALYTICS - Request counts and units grouped by status and blood group
+     */
+    async getRequestStatistics(hospitalId = null, bloodBankId = null) {
+        const collection = this.getCollection();
+        try {
+            const matchStage = {};
+            if (hospitalId) matchStage.hospitalId = new ObjectId(hospitalId);
+            if (bloodBankId) matchStage.bloodBankId = new ObjectId(bloodBankId);
+
+            return await collection.aggregate([
+                { $match: matchStage },
+                {
+                    $group: {
+                        _id: {
+                            status: "$status",
+                            bloodGroup: "$bloodGroup"
+                        },
+                        count: { $sum: 1 },
+                        totalUnitsRequested: { $sum: "$unitsRequired" },
+                        totalUnitsFulfilled: { $sum: "$unitsFulfilled" }
+                    }
+                },
+                { $sort: { count: -1 } }
+            ]).toArray();
+        } catch (error) {
+            console.error("Error getting request statistics:", error);
+            return [];
+        }
+    }
+
+    /**
+     * ANALYTICS - Get request statistics for hospital
+     */
+    async getStatsByHospital(hospitalId) {
+        const collection = this.getCollection();
+        try {
+            const total = await collection.countDocuments({
+                hospitalId: new ObjectId(hospitalId)
+            });
+
+            const pending = await collection.countDocuments({
+                hospitalId: new ObjectId(hospitalId),
+                status: "PENDING"
+            });
+
+            const accepted = await collection.countDocuments({
                 hospitalId: new ObjectId(hospitalId),
                 status: "ACCEPTED"
             });
 
+            const processing = await collection.countDocuments({
+                hospitalId: new ObjectId(hospitalId),
+                status: "PROCESSING"
+            });
+
             const fulfilled = await collection.countDocuments({
                 hospitalId: new ObjectId(hospitalId),
                 status: "FULFILLED"
@@ -563,6 +1666,11 @@ class HospitalBloodRequest {
                 status: "CANCELLED"
             });
 
+            const expired = await collection.countDocuments({
+                hospitalId: new ObjectId(hospitalId),
+                status: "EXPIRED"
+            });
+
             // Get total units requested and fulfilled
             const aggregation = await collection.aggregate([
                 { $match: { hospitalId: new ObjectId(hospitalId) } },
@@ -585,9 +1693,11 @@ class HospitalBloodRequest {
                 byStatus: {
                     PENDING: pending,
                     ACCEPTED: accepted,
+                    PROCESSING: processing,
                     FULFILLED: fulfilled,
                     REJECTED: rejected,
-                    CANCELLED: cancelled
+                    CANCELLED: cancelled,
+                    EXPIRED: expired
                 },
                 units: {
                     requested: units.totalUnitsRequested,
@@ -623,6 +1733,11 @@ class HospitalBloodRequest {
                 status: "ACCEPTED"
             });
 
+            const processing = await collection.countDocuments({
+                bloodBankId: new ObjectId(bloodBankId),
+                status: "PROCESSING"
+            });
+
             const fulfilled = await collection.countDocuments({
                 bloodBankId: new ObjectId(bloodBankId),
                 status: "FULFILLED"
@@ -655,6 +1770,7 @@ class HospitalBloodRequest {
                 byStatus: {
                     PENDING: pending,
                     ACCEPTED: accepted,
+                    PROCESSING: processing,
                     FULFILLED: fulfilled,
                     REJECTED: rejected
                 },
@@ -746,6 +1862,612 @@ class HospitalBloodRequest {
             return null;
         }
     }
+
+    // #region Dispatch
+
+    /**
+     * Helper - Filter and field prefix addressing an in-flight dispatch of a
+     * request, or of one allocation of a split request (positional)
+     */
+    getDispatchTarget(id, allocationId = null) {
+        const inFlight = { $in: IN_FLIGHT_DISPATCH_STATUSES };
+
+        if (!allocationId) {
+            return {
+                filter: { _id: new ObjectId(id), "dispatch.status": inFlight },
+                prefix: "dispatch"
+            };
+        }
+        return {
+            filter: {
+                _id: new ObjectId(id),
+                allocations: { $elemMatch: { _id: new ObjectId(allocationId), "dispatch.status": inFlight } }
+            },
+            prefix: "allocations.$.dispatch"
+        };
+    }
+
+    /**
+     * READ - Dispatch block of a request, or of one of its allocations
+     * @returns {Promise<{ request: Object, dispatch: Object|null, allocation: Object|null }|null>}
+     */
+    async findDispatch(id, allocationId = null) {
+        const request = await this.findById(id);
+        if (!request) {
+            return null;
+        }
+
+        if (!allocationId) {
+            return { request, dispatch: request.dispatch || null, allocation: null };
+        }
+
+        const allocation = (request.allocations || []).find(
+            (entry) => entry._id.toString() === String(allocationId)
+        );
+        return allocation
+            ? { request, dispatch: allocation.dispatch || null, allocation }
+            : null;
+    }
+
+    /**
+     * UPDATE - Record an in-transit checkpoint on a dispatch
+     * @param {Object} checkpoint - {location, notes}
+     * @returns {Promise<Object|null>} Updated request, or null if the dispatch is not under way
+     */
+    async addDispatchCheckpoint(id, allocationId, checkpoint, actor = {}) {
+        const collection = this.getCollection();
+        const { filter, prefix } = this.getDispatchTarget(id, allocationId);
+        const now = new Date();
+
+        return await collection.findOneAndUpdate(
+            filter,
+            {
+                $set: { [`${prefix}.status`]: DISPATCH_STATUS.IN_TRANSIT, updatedAt: now },
+                $push: {
+                    [`${prefix}.checkpoints`]: {
+                        stage: DISPATCH_STATUS.IN_TRANSIT,
+                        at: now,
+                        by: actor.code || null,
+                        location: checkpoint.location || null,
+                        notes: checkpoint.notes || ""
+                    }
+                }
+            },
+            { returnDocument: "after" }
+        );
+    }
+
+    /**
+     * UPDATE - Fold a batch of temperature readings into a dispatch's summary
+     * and flag it on any excursion
+     * @param {Object} summary - From summarizeReadings() (services/ColdChain.js)
+     * @returns {Promise<Object|null>} Request as it was before the update,
+     *   or null if the dispatch is not under way
+     */
+    async recordDispatchTemperature(id, allocationId, summary) {
+        const collection = this.getCollection();
+        const { filter, prefix } = this.getDispatchTarget(id, allocationId);
+
+        const update = {
+            $inc: { [`${prefix}.temperature.readingCount`]: summary.count },
+            $min: { [`${prefix}.temperature.minC`]: summary.minC },
+            $max: { [`${prefix}.temperature.maxC`]: summary.maxC },
+            $set: {
+                [`${prefix}.temperature.lastC`]: summary.last.temperatureC,
+                [`${prefix}.temperature.lastReadingAt`]: summary.last.recordedAt,
+                updatedAt: new Date()
+            }
+        };
+
+        const { excursions } = summary;
+        if (excursions.length > 0) {
+            update.$inc[`${prefix}.excursion.count`] = excursions.length;
+            update.$min[`${prefix}.excursion.firstAt`] = excursions[0].recordedAt;
+            update.$max[`${prefix}.excursion.lastAt`] = excursions[excursions.length - 1].recordedAt;
+            update.$set[`${prefix}.excursion.flagged`] = true;
+        }
+
+        return await collection.findOneAndUpdate(filter, update, { returnDocument: "before" });
+    }
+
+    // #region Allocations
+
+    /**
+     * Units of a split request not yet covered by an open or fulfilled allocation
+     */
+    getUnallocatedUnits(request) {
+        return Math.max(0, request.unitsRequired - (request.unitsAllocated || 0));
+    }
+
+    /**
+     * Helper - New allocation sub-document
+     */
+    buildAllocation(data, status, now, actor = {}) {
+        return {
+            _id: new ObjectId(),
+            bloodBankId: new ObjectId(data.bloodBankId),
+            units: data.units,
+            status, // PENDING, ACCEPTED, DISPATCHED, FULFILLED, REJECTED, CANCELLED
+            bloodGroup: data.bloodGroup || null, // Group reserved/issued by the bank
+            unitsFulfilled: 0,
+            response: data.response || "",
+            rejectionReason: "",
+            cancellationReason: "",
+            fulfillmentDetails: {
+                batchNumbers: [],
+                expiryDates: [],
+                collectionMethod: null
+            },
+            dispatch: null, // Same shape as the request's dispatch block
+            createdBy: actor.code || null,
+            createdAt: now,
+            acceptedAt: status === ALLOCATION_STATUS.ACCEPTED ? now : null,
+            fulfilledAt: null,
+            rejectedAt: null,
+            cancelledAt: null,
+            updatedAt: now
+        };
+    }
+
+    /**
+     * Append allocations to a request, with an optimistic check on the
+     * status/updatedAt that were read so units can't be over-allocated
+     * @returns {Promise<{ success: boolean, request?: Object, message?: string, statusCode?: number }>}
+     */
+    async insertAllocations(request, allocations, actor = {}) {
+        const collection = this.getCollection();
+
+        if (!OPEN_STATUSES.includes(request.status)) {
+            return {
+                success: false,
+                message: `Cannot allocate a request in ${request.status} status`,
+                statusCode: 409
+            };
+        }
+        if (!request.allowSplit && request.status !== REQUEST_STATUS.PENDING) {
+            return {
+                success: false,
+                message: "Request was already accepted by a single blood bank",
+                statusCode: 409
+            };
+        }
+
+        const unallocated = this.getUnallocatedUnits(request);
+        const units = allocations.reduce((sum, allocation) => sum + allocation.units, 0);
+        if (units > unallocated) {
+            return {
+                success: false,
+                message: `Only ${unallocated} unit(s) of this request are still unallocated`,
+                statusCode: 409
+            };
+        }
+
+        // One live allocation per blood bank
+        const liveBanks = new Set(
+            (request.allocations || [])
+                .filter((allocation) =>
+                    [...OPEN_ALLOCATION_STATUSES, ALLOCATION_STATUS.DISPATCHED, ALLOCATION_STATUS.FULFILLED].includes(allocation.status)
+                )
+                .map((allocation) => allocation.bloodBankId.toString())
+        );
+        for (const allocation of allocations) {
+            const bankId = allocation.bloodBankId.toString();
+            if (liveBanks.has(bankId)) {
+                return {
+                    success: false,
+                    message: `Blood bank ${bankId} already holds an allocation of this request`,
+                    statusCode: 409
+                };
+            }
+            liveBanks.add(bankId);
+        }
+
+        const now = new Date();
+        const updated = await collection.findOneAndUpdate(
+            { _id: request._id, status: request.status, updatedAt: request.updatedAt },
+            {
+                $set: { allowSplit: true, updatedAt: now },
+                $push: {
+                    allocations: { $each: allocations },
+                    statusHistory: {
+                        $each: allocations.map((allocation) => ({
+                            action: "allocate",
+                            allocationId: allocation._id,
+                            from: null,
+                            to: allocation.status,
+                            at: now,
+                            by: actor.code || null,
+                            role: actor.role || null,
+                            reason: null
+                        }))
+                    }
+                },
+                $addToSet: {
+                    "escalation.notifiedBloodBankIds": { $each: allocations.map((allocation) => allocation.bloodBankId) }
+                }
+            },
+            { returnDocument: "after" }
+        );
+
+        if (!updated) {
+            return {
+                success: false,
+                message: "Request was updated by someone else, please retry",
+                statusCode: 409
+            };
+        }
+
+        return { success: true, request: await this.rollupAllocations(request._id) };
+    }
+
+    /**
+     * UPDATE - Split a request across blood banks (Hospital/Admin action)
+     * Allocations start PENDING and are accepted by each bank.
+     * @param {string} id
+     * @param {Array<{ bloodBankId: string, units: number }>} entries
+     * @param {Object} [actor]
+     */
+    async allocate(id, entries, actor = {}) {
+        const request = await this.findById(id);
+        if (!request) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+
+        const now = new Date();
+        const allocations = entries.map((entry) => this.buildAllocation(entry, ALLOCATION_STATUS.PENDING, now, actor));
+        const result = await this.insertAllocations(request, allocations, actor);
+        if (!result.success) {
+            return result;
+        }
+
+        for (const allocation of allocations) {
+            emitRequestEvent(REQUEST_EVENTS.ALLOCATION_CREATED, {
+                request: result.request,
+                allocation,
+                from: null,
+                to: allocation.status,
+                actor
+            });
+        }
+        return result;
+    }
+
+    /**
+     * UPDATE - A notified blood bank takes on part of a split request
+     * (Blood Bank action). Stock is reserved before the allocation is written.
+     * @param {string} id
+     * @param {Object} claim - { bloodBankId, units?, bloodGroup?, response? }
+     * @param {Object} [actor]
+     */
+    async claimAllocation(id, claim, actor = {}) {
+        const request = await this.findById(id);
+        if (!request) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+        if (!claim.bloodBankId) {
+            return { success: false, message: "Blood bank ID is required", statusCode: 400 };
+        }
+
+        const notified = (request.escalation?.notifiedBloodBankIds || []).map((bankId) => bankId.toString());
+        if (request.bloodBankId?.toString() !== claim.bloodBankId.toString() && !notified.includes(claim.bloodBankId.toString())) {
+            return { success: false, message: "Blood bank was not asked to respond to this request", statusCode: 400 };
+        }
+
+        const units = claim.units ?? this.getUnallocatedUnits(request);
+        if (!Number.isInteger(units) || units <= 0) {
+            return { success: false, message: "Units must be a positive whole number", statusCode: 400 };
+        }
+        if (units > this.getUnallocatedUnits(request)) {
+            return {
+                success: false,
+                message: `Only ${this.getUnallocatedUnits(request)} unit(s) of this request are still unallocated`,
+                statusCode: 409
+            };
+        }
+
+        const allowedBloodGroups = request.compatibleBloodGroups || [request.bloodGroup];
+        if (claim.bloodGroup && !allowedBloodGroups.includes(claim.bloodGroup)) {
+            return {
+                success: false,
+                message: `${claim.bloodGroup} is not an accepted substitute for this request`,
+                statusCode: 400
+            };
+        }
+
+        const allocation = this.buildAllocation(
+            { bloodBankId: claim.bloodBankId, units, response: claim.response },
+            ALLOCATION_STATUS.ACCEPTED,
+            new Date(),
+            actor
+        );
+
+        const stock = await StockLedger.prepareAllocation(request, allocation, "accept", { bloodGroup: claim.bloodGroup }, actor);
+        if (!stock.success) {
+            return { success: false, message: stock.message, statusCode: 409 };
+        }
+        allocation.bloodGroup = stock.fields.bloodGroup;
+
+        const result = await this.insertAllocations(request, [allocation], actor);
+        if (!result.success) {
+            await stock.rollback();
+            return result;
+        }
+
+        emitRequestEvent(REQUEST_EVENTS.ALLOCATION_ACCEPTED, {
+            request: result.request,
+            allocation,
+            from: null,
+            to: allocation.status,
+            actor
+        });
+
+        return { success: true, request: await this.syncSplitStatus(id, actor), allocation };
+    }
+
+    /**
+     * Fields written by each allocation transition (positional on allocations.$)
+     * @returns {{ set: Object, push?: Object }}
+     */
+    buildAllocationUpdate(action, context, now, request, actor = {}) {
+        const field = (name) => `allocations.$.${name}`;
+
+        switch (action) {
+            case "accept":
+                return { set: { [field("acceptedAt")]: now, [field("response")]: context.response || "" } };
+            case "dispatch":
+                return {
+                    set: {
+                        [field("dispatch")]: this.buildDispatch(context, request.component, now, actor),
+                        [field("fulfillmentDetails.batchNumbers")]: context.batchNumbers || [],
+                        [field("fulfillmentDetails.expiryDates")]: context.expiryDates || [],
+                        [field("fulfillmentDetails.collectionMethod")]: context.mode === "PICKUP" ? "PICKUP" : "DELIVERY"
+                    }
+                };
+            case "fulfill":
+                // Receipt confirmed by the hospital
+                return {
+                    set: {
+                        [field("unitsFulfilled")]: context.unitsFulfilled,
+                        [field("fulfilledAt")]: now,
+                        [field("dispatch.status")]: DISPATCH_STATUS.RECEIVED,
+                        [field("dispatch.receivedAt")]: now,
+                        [field("dispatch.receivedBy")]: actor.code || null,
+                        [field("dispatch.unitsReceived")]: context.unitsFulfilled,
+                        [field("dispatch.receiptNotes")]: context.notes || ""
+                    },
+                    push: { [field("dispatch.checkpoints")]: this.buildReceiptCheckpoint(context, now, actor) }
+                };
+            case "reject":
+                return { set: { [field("rejectedAt")]: now, [field("rejectionReason")]: context.reason } };
+            case "cancel":
+                return { set: { [field("cancelledAt")]: now, [field("cancellationReason")]: context.reason || "" } };
+            default:
+                return { set: {} };
+        }
+    }
+
+    /**
+     * UPDATE - Apply an allocation transition, then roll the request up
+     * @param {string} id - Request ID
+     * @param {string} allocationId
+     * @param {string} action - Key of ALLOCATION_TRANSITIONS
+     * @param {Object} context - Action input (bloodBankId, unitsFulfilled, reason, ...)
+     * @param {Object} actor - { code, role } of the acting user
+     * @returns {Promise<{ success: boolean, request?: Object, allocation?: Object, message?: string, statusCode?: number }>}
+     */
+    async transitionAllocation(id, allocationId, action, context = {}, actor = {}) {
+        const collection = this.getCollection();
+
+        const request = await this.findById(id);
+        if (!request) {
+            return { success: false, message: "Blood request not found", statusCode: 404 };
+        }
+
+        const allocation = (request.allocations || []).find(
+            (entry) => entry._id.toString() === String(allocationId)
+        );
+        if (!allocation) {
+            return { success: false, message: "Allocation not found", statusCode: 404 };
+        }
+
+        if (!OPEN_STATUSES.includes(request.status)) {
+            return {
+                success: false,
+                message: `Cannot ${action} an allocation of a ${request.status} request`,
+                statusCode: 409
+            };
+        }
+
+        const check = checkAllocationTransition(allocation, action, {
+            ...context,
+            allowedBloodGroups: request.compatibleBloodGroups || [request.bloodGroup]
+        });
+        if (!check.allowed) {
+            return { success: false, message: check.message, statusCode: check.statusCode };
+        }
+
+        const stock = await StockLedger.prepareAllocation(request, allocation, action, context, actor);
+        if (!stock.success) {
+            return { success: false, message: stock.message, statusCode: 409 };
+        }
+
+        const now = new Date();
+        const { transition, from } = check;
+        const { set, push } = this.buildAllocationUpdate(action, context, now, request, actor);
+        if (stock.fields?.bloodGroup) {
+            set["allocations.$.bloodGroup"] = stock.fields.bloodGroup;
+        }
+
+        try {
+            const updated = await collection.findOneAndUpdate(
+                {
+                    _id: request._id,
+                    allocations: { $elemMatch: { _id: allocation._id, status: from } }
+                },
+                {
+                    $set: {
+                        ...set,
+                        "allocations.$.status": transition.to,
+                        "allocations.$.updatedAt": now,
+                        updatedAt: now
+                    },
+                    $push: {
+                        statusHistory: {
+                            action,
+                            allocationId: allocation._id,
+                            from,
+                            to: transition.to,
+                            at: now,
+                            by: actor.code || null,
+                            role: actor.role || null,
+                            reason: context.reason || null
+                        },
+                        ...push
+                    }
+                },
+                { returnDocument: "after" }
+            );
+
+            if (!updated) {
+                await stock.rollback();
+                return {
+                    success: false,
+                    message: "Allocation was updated by someone else, please retry",
+                    statusCode: 409
+                };
+            }
+
+            const settled = await StockLedger.settleAllocation(allocation, action, context, actor);
+            if (!settled.success) {
+                await this.flagUnsettledStock(updated, action, allocation);
+            }
+
+            const updatedAllocation = updated.allocations.find((entry) => entry._id.equals(allocation._id));
+            emitRequestEvent(transition.event, {
+                request: updated,
+                allocation: updatedAllocation,
+                from,
+                to: transition.to,
+                actor,
+                context
+            });
+
+            await this.rollupAllocations(request._id);
+            return {
+                success: true,
+                request: await this.syncSplitStatus(request._id, actor),
+                allocation: updatedAllocation
+            };
+        } catch (error) {
+            await stock.rollback();
+            console.error(`Error applying ${action} to allocation:`, error);
+            return { success: false, message: `Failed to ${action} allocation`, statusCode: 500 };
+        }
+    }
+
+    /**
+     * UPDATE - Confirm receipt of an allocation's dispatched units (Hospital action)
+     * @param {Object} receipt - {unitsReceived, location, notes}; units default to all dispatched
+     */
+    async confirmAllocationReceipt(id, allocationId, receipt = {}, actor = {}) {
+        const found = await this.findDispatch(id, allocationId);
+        return await this.transitionAllocation(
+            id,
+            allocationId,
+            "fulfill",
+            {
+                unitsFulfilled: receipt.unitsReceived ?? found?.dispatch?.units,
+                location: receipt.location,
+                notes: receipt.notes
+            },
+            actor
+        );
+    }
+
+    /**
+     * UPDATE - Re-derive unitsFulfilled/unitsAllocated from the allocations.
+     * Escalation resumes when an allocation falls through and stops once
+     * every unit is allocated.
+     * @returns {Promise<Object|null>} Fresh request
+     */
+    async rollupAllocations(id) {
+        const collection = this.getCollection();
+        const _id = new ObjectId(id);
+
+        await collection.updateOne({ _id }, [ALLOCATION_ROLLUP_STAGE]);
+
+        await collection.updateOne(
+            {
+                _id,
+                status: { $in: OPEN_STATUSES },
+                "escalation.status": "RESOLVED",
+                $expr: { $lt: ["$unitsAllocated", "$unitsRequired"] }
+            },
+            { $set: { "escalation.status": "ACTIVE", "escalation.nextEscalationAt": new Date() } }
+        );
+        await collection.updateOne(
+            {
+                _id,
+                "escalation.status": "ACTIVE",
+                $expr: { $gte: ["$unitsAllocated", "$unitsRequired"] }
+            },
+            { $set: { "escalation.status": "RESOLVED", "escalation.nextEscalationAt": null } }
+        );
+
+        return await this.findById(id);
+    }
+
+    /**
+     * UPDATE - Move a split request's own status to match its allocations:
+     * ACCEPTED once any bank has accepted, PROCESSING once any allocation is
+     * dispatched, FULFILLED once every unit is received. Retries when a concurrent
+     * allocation change wins the optimistic check.
+     * @returns {Promise<Object|null>} Fresh request
+     */
+    async syncSplitStatus(id, actor = {}) {
+        const MAX_ATTEMPTS = 5;
+        let request = await this.findById(id);
+
+        for (let attempt = 0; attempt < MAX_ATTEMPTS && request; attempt++) {
+            const allocations = request.allocations || [];
+            const anyAccepted = allocations.some((allocation) =>
+                [ALLOCATION_STATUS.ACCEPTED, ALLOCATION_STATUS.DISPATCHED, ALLOCATION_STATUS.FULFILLED].includes(allocation.status)
+            );
+            const anyDispatched = allocations.some((allocation) =>
+                [ALLOCATION_STATUS.DISPATCHED, ALLOCATION_STATUS.FULFILLED].includes(allocation.status)
+            );
+
+            let action = null;
+            if (request.status === REQUEST_STATUS.PENDING && anyAccepted) {
+                action = "accept";
+            } else if (
+                [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING].includes(request.status) &&
+                request.unitsFulfilled >= request.unitsRequired
+            ) {
+                action = "fulfill";
+            } else if (request.status === REQUEST_STATUS.ACCEPTED && anyDispatched) {
+                action = "startProcessing";
+            }
+
+            if (!action) {
+                return request;
+            }
+
+            const result = await this.transition(
+                id,
+                action,
+                { rollup: true, unitsFulfilled: request.unitsFulfilled },
+                actor
+            );
+            if (!result.success && result.statusCode !== 409) {
+                console.error(`Error rolling up split request ${id}:`, result.message);
+                return request;
+            }
+            request = result.success ? result.request : await this.findById(id);
+        }
+
+        return request;
+    }
 }
 
 export default new HospitalBloodRequest();
@@ -827,7 +827,7 @@ class HospitalNgoDrive {
 
     /**
      * UTILITY - Auto-expire old scheduled drives
-     * Should be run periodically (e.g., daily cron job)
+     * Run by the "drive-expiry" scheduled job (services/ScheduledJobs.js)
      */
     async autoExpireOldDrives() {
         const collection = this.getCollection();
@@ -0,0 +1,192 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../../config/db.js";
+
+export const INCIDENT_STATUS = Object.freeze({
+    ACTIVE: "ACTIVE",
+    CLOSED: "CLOSED"
+});
+
+// #region IncidentModel
+
+/**
+ * Incident Model
+ *
+ * PURPOSE:
+ * Mass-casualty incidents declared by a hospital (e.g. "Highway pileup,
+ * 12 patients"). While an incident is ACTIVE the hospital can submit bulk
+ * blood requests against it; those requests outrank every ordinary CRITICAL
+ * request and go straight to all verified blood banks in the hospital's city.
+ * Active incidents stay pinned on the super admin dashboard until closed.
+ *
+ * INCIDENT LIFECYCLE:
+ * ACTIVE → CLOSED (hospital stands the incident down)
+ *
+ * RELATIONSHIPS:
+ * - hospitalId → organizations collection (type: hospital)
+ * - requestIds → hospitalBloodRequests raised under the incident
+ * - notifiedBloodBankIds → organizations collection (type: bloodbank)
+ */
+class Incident {
+    constructor() {
+        this.collectionName = "incidents";
+    }
+
+    getCollection() {
+        const db = getDB();
+        return db.collection(this.collectionName);
+    }
+
+    /**
+     * CREATE - Declare a new incident
+     * @param {Object} incidentData - { hospitalId, title, description, patientCount, city, notifiedBloodBankIds }
+     * @param {Object} actor - { code, role } of the declaring user
+     * @returns {Promise<Object>}
+     */
+    async create(incidentData, actor = {}) {
+        const collection = this.getCollection();
+
+        const incident = {
+            // References
+            hospitalId: new ObjectId(incidentData.hospitalId),
+
+            // Incident Details
+            incidentCode: `INC-${Date.now()}`,
+            title: incidentData.title,
+            description: incidentData.description || "",
+            patientCount: incidentData.patientCount || null,
+            city: incidentData.city || null,
+
+            // Status
+            status: INCIDENT_STATUS.ACTIVE,
+            declaredBy: actor.code || null,
+            declaredAt: new Date(),
+            closedBy: null,
+            closedAt: null,
+            closureNotes: "",
+
+            // Requests and notified blood banks
+            requestIds: [],
+            notifiedBloodBankIds: (incidentData.notifiedBloodBankIds || []).map((id) => new ObjectId(id)),
+
+            createdAt: new Date(),
+            updatedAt: new Date()
+        };
+
+        const result = await collection.insertOne(incident);
+        return { _id: result.insertedId, ...incident };
+    }
+
+    /**
+     * READ - Find incident by ID
+     */
+    async findById(id) {
+        const collection = this.getCollection();
+        try {
+            return await collection.findOne({
+                _id: new ObjectId(id)
+            });
+        } catch (error) {
+            console.error("Error finding incident by ID:", error);
+            return null;
+        }
+    }
+
+    /**
+     * READ - Find all incidents declared by a hospital
+     * @param {string} hospitalId
+     * @param {Object} filters - {status}
+     * @param {Object} pagination
+     * @returns {Promise<Object>}
+     */
+    async findByHospitalId(hospitalId, filters = {}, pagination = {}) {
+        const collection = this.getCollection();
+        const { page = 1, limit = 20 } = pagination;
+
+        const query = { hospitalId: new ObjectId(hospitalId) };
+        if (filters.status) query.status = filters.status;
+
+        const total = await collection.countDocuments(query);
+        const incidents = await collection
+            .find(query)
+            .sort({ declaredAt: -1 })
+            .skip((page - 1) * limit)
+            .limit(limit)
+            .toArray();
+
+        return {
+            incidents,
+            pagination: {
+                page,
+                limit,
+                total,
+                totalPages: Math.ceil(total / limit)
+            }
+        };
+    }
+
+    /**
+     * READ - Active incidents a blood bank was notified of
+     * @param {string} bloodBankId
+     * @returns {Promise<Array>}
+     */
+    async findActiveByBloodBankId(bloodBankId) {
+        const collection = this.getCollection();
+        return await collection
+            .find({
+                status: INCIDENT_STATUS.ACTIVE,
+                notifiedBloodBankIds: new ObjectId(bloodBankId)
+            })
+            .sort({ declaredAt: -1 })
+            .toArray();
+    }
+
+    /**
+     * UPDATE - Attach requests raised under an active incident
+     * @param {string} id
+     * @param {Array} requestIds
+     * @returns {Promise<boolean>}
+     */
+    async addRequests(id, requestIds) {
+        const collection = this.getCollection();
+        const result = await collection.updateOne(
+            {
+                _id: new ObjectId(id),
+                status: INCIDENT_STATUS.ACTIVE
+            },
+            {
+                $addToSet: { requestIds: { $each: requestIds.map((requestId) => new ObjectId(requestId)) } },
+                $set: { updatedAt: new Date() }
+            }
+        );
+        return result.modifiedCount > 0;
+    }
+
+    /**
+     * UPDATE - Close an active incident (unpins it from the dashboard)
+     * @param {string} id
+     * @param {string} closureNotes
+     * @param {Object} actor - { code, role }
+     * @returns {Promise<Object|null>} Closed incident, or null if not active
+     */
+    async close(id, closureNotes = "", actor = {}) {
+        const collection = this.getCollection();
+        return await collection.findOneAndUpdate(
+            {
+                _id: new ObjectId(id),
+                status: INCIDENT_STATUS.ACTIVE
+            },
+            {
+                $set: {
+                    status: INCIDENT_STATUS.CLOSED,
+                    closedBy: actor.code || null,
+                    closedAt: new Date(),
+                    closureNotes,
+                    updatedAt: new Date()
+                }
+            },
+            { returnDocument: "after" }
+        );
+    }
+}
+
+export default new Incident();
@@ -0,0 +1,80 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region MessageAttachmentModel
+
+/**
+ * MessageAttachment Model
+ * File uploaded to a message thread. The file itself is stored on local disk
+ * under `storageKey` (services/AttachmentStorage.js). An attachment is
+ * pending (messageId null) until the uploader sends a message with it.
+ */
+class MessageAttachment {
+  constructor() {
+    this.collectionName = "message_attachments";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Record an uploaded file
+  async create(attachmentData) {
+    const collection = this.getCollection();
+    const newAttachment = {
+      thread: {
+        entityType: attachmentData.thread.entityType,
+        entityId: new ObjectId(attachmentData.thread.entityId)
+      },
+      organizationId: new ObjectId(attachmentData.organizationId),
+      uploadedBy: attachmentData.uploadedBy,
+      fileName: attachmentData.fileName,
+      mimeType: attachmentData.mimeType,
+      size: attachmentData.size,
+      storageKey: attachmentData.storageKey,
+      messageId: null,
+      createdAt: new Date()
+    };
+
+    const result = await collection.insertOne(newAttachment);
+    return { _id: result.insertedId, ...newAttachment };
+  }
+
+  // READ - One attachment
+  async findById(id) {
+    const collection = this.getCollection();
+    try {
+      return await collection.findOne({ _id: new ObjectId(id) });
+    } catch (error) {
+      console.error("Error finding attachment by ID:", error);
+      return null;
+    }
+  }
+
+  // READ - Pending attachments the uploader's organization added to this thread
+  async findPending(ids, { organizationId, entityType, entityId }) {
+    const collection = this.getCollection();
+    return await collection
+      .find({
+        _id: { $in: ids.map((id) => new ObjectId(id)) },
+        organizationId: new ObjectId(organizationId),
+        "thread.entityType": entityType,
+        "thread.entityId": new ObjectId(entityId),
+        messageId: null
+      })
+      .toArray();
+  }
+
+  // UPDATE - Link pending attachments to the message that carries them
+  async attachToMessage(ids, messageId) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      { _id: { $in: ids.map((id) => new ObjectId(id)) }, messageId: null },
+      { $set: { messageId: new ObjectId(messageId) } }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new MessageAttachment();
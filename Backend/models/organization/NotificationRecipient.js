@@ -0,0 +1,94 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region NotificationRecipientModel
+
+/**
+ * NotificationRecipient Model
+ * An organization's recipient list: one document per address and channel
+ * (EMAIL address, SMS phone number or WEBHOOK URL). `events` narrows the
+ * recipient to some notification events; an empty list means all of them.
+ */
+class NotificationRecipient {
+  constructor() {
+    this.collectionName = "notification_recipients";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Add a recipient to an organization's list
+  async create(recipientData) {
+    const collection = this.getCollection();
+    const newRecipient = {
+      organizationId: new ObjectId(recipientData.organizationId),
+      organizationCode: recipientData.organizationCode,
+      channel: recipientData.channel, // EMAIL, SMS, WEBHOOK
+      address: recipientData.address,
+      name: recipientData.name || "",
+      events: recipientData.events || [], // Empty = every notification event
+      isActive: recipientData.isActive !== false,
+      createdBy: recipientData.createdBy || null,
+      createdAt: new Date(),
+      updatedAt: new Date()
+    };
+
+    const result = await collection.insertOne(newRecipient);
+    return { _id: result.insertedId, ...newRecipient };
+  }
+
+  // READ - An organization's recipient list
+  async findByOrganization(organizationId, filters = {}) {
+    const collection = this.getCollection();
+    const query = { organizationId: new ObjectId(organizationId) };
+    if (filters.channel) query.channel = filters.channel;
+    if (filters.isActive !== undefined) query.isActive = filters.isActive;
+
+    return await collection.find(query).sort({ channel: 1, createdAt: 1 }).toArray();
+  }
+
+  // READ - Active recipients of these organizations subscribed to an event
+  async findForEvent(organizationIds, event) {
+    const collection = this.getCollection();
+    return await collection
+      .find({
+        organizationId: { $in: organizationIds.map((id) => new ObjectId(id)) },
+        isActive: true,
+        $or: [{ events: { $size: 0 } }, { events: event }]
+      })
+      .toArray();
+  }
+
+  // READ - One recipient, scoped to its organization
+  async findById(id, organizationId) {
+    const collection = this.getCollection();
+    return await collection.findOne({
+      _id: new ObjectId(id),
+      organizationId: new ObjectId(organizationId)
+    });
+  }
+
+  // UPDATE - Change address, name, events or active flag
+  async update(id, organizationId, updateData) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), organizationId: new ObjectId(organizationId) },
+      { $set: { ...updateData, updatedAt: new Date() } },
+      { returnDocument: "after" }
+    );
+  }
+
+  // DELETE - Remove a recipient from the list
+  async delete(id, organizationId) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({
+      _id: new ObjectId(id),
+      organizationId: new ObjectId(organizationId)
+    });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new NotificationRecipient();
@@ -0,0 +1,61 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region NotificationTemplateModel
+
+/**
+ * NotificationTemplate Model
+ * An organization's override of the built-in template for one event
+ * (see services/NotificationTemplates.js). Fields left null fall back
+ * to the default.
+ */
+class NotificationTemplate {
+  constructor() {
+    this.collectionName = "notification_templates";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // READ - All overrides of an organization
+  async findByOrganization(organizationId) {
+    const collection = this.getCollection();
+    return await collection.find({ organizationId: new ObjectId(organizationId) }).toArray();
+  }
+
+  // READ - Override of one event
+  async findOne(organizationId, event) {
+    const collection = this.getCollection();
+    return await collection.findOne({ organizationId: new ObjectId(organizationId), event });
+  }
+
+  // UPSERT - Set the override of one event
+  async upsert(organizationId, event, template, updatedBy = null) {
+    const collection = this.getCollection();
+    return await collection.findOneAndUpdate(
+      { organizationId: new ObjectId(organizationId), event },
+      {
+        $set: {
+          subject: template.subject ?? null,
+          body: template.body ?? null,
+          sms: template.sms ?? null,
+          updatedBy,
+          updatedAt: new Date()
+        },
+        $setOnInsert: { createdAt: new Date() }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // DELETE - Go back to the built-in template
+  async delete(organizationId, event) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({ organizationId: new ObjectId(organizationId), event });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new NotificationTemplate();
@@ -190,6 +190,32 @@ export class Organization {
     }).toArray();
   }
 
+  /**
+   * Find organizations by ID (name, type and code only)
+   * @param {Array<ObjectId|string>} ids
+   * @returns {Promise<Array>}
+   */
+  static async findByIds(ids) {
+    const db = getDB();
+    return await db.collection("organizations").find(
+      { _id: { $in: ids.map((id) => new ObjectId(id)) } },
+      { projection: { name: 1, type: 1, organizationCode: 1, status: 1 } }
+    ).toArray();
+  }
+
+  /**
+   * Find approved organizations of some types (name, type and code only)
+   * @param {Array<string>} types - hospital, bloodbank, ngo
+   * @returns {Promise<Array>}
+   */
+  static async findApprovedByTypes(types) {
+    const db = getDB();
+    return await db.collection("organizations").find(
+      { type: { $in: types.map((type) => type.toLowerCase()) }, status: "APPROVED" },
+      { projection: { name: 1, type: 1, organizationCode: 1, status: 1 } }
+    ).toArray();
+  }
+
   /**
    * Find organizations by type and status with pagination
    * @param {string} type - hospital, bloodbank, or ngo
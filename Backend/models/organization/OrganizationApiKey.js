@@ -0,0 +1,102 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// Last-used time is written at most this often per key, not on every request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+// #region OrganizationApiKeyModel
+
+/**
+ * OrganizationApiKey Model
+ * A key an organization's software (HIS/LIS, inventory) calls the API with.
+ * Only the SHA-256 hash of the key is stored; the prefix, which is part of
+ * the key, finds the record. Revoked keys are kept for the audit trail.
+ */
+class OrganizationApiKey {
+  constructor() {
+    this.collectionName = "organization_api_keys";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // CREATE - Store a new key
+  async create(keyData) {
+    const collection = this.getCollection();
+    const newKey = {
+      organizationCode: keyData.organizationCode,
+      organizationName: keyData.organizationName,
+      organizationType: keyData.organizationType,
+      name: keyData.name,
+      prefix: keyData.prefix,
+      keyHash: keyData.keyHash,
+      permissions: keyData.permissions,
+      rateLimitPerMinute: keyData.rateLimitPerMinute,
+      expiresAt: keyData.expiresAt,
+      createdBy: keyData.createdBy,
+      createdAt: new Date(),
+      lastUsedAt: null,
+      lastUsedIp: null,
+      revokedAt: null,
+      revokedBy: null
+    };
+
+    const result = await collection.insertOne(newKey);
+    return { _id: result.insertedId, ...newKey };
+  }
+
+  // READ - Keys of an organization, newest first
+  async findByOrganization(organizationCode) {
+    const collection = this.getCollection();
+    return await collection
+      .find({ organizationCode }, { projection: { keyHash: 0 } })
+      .sort({ createdAt: -1 })
+      .toArray();
+  }
+
+  // READ - The key a presented prefix belongs to
+  async findByPrefix(prefix) {
+    const collection = this.getCollection();
+    return await collection.findOne({ prefix });
+  }
+
+  // READ - Keys that still work (not revoked, not expired)
+  async countActive(organizationCode) {
+    const collection = this.getCollection();
+    return await collection.countDocuments({
+      organizationCode,
+      revokedAt: null,
+      expiresAt: { $gt: new Date() }
+    });
+  }
+
+  // UPDATE - Note a use; skipped when the last one was recorded under a minute ago
+  async recordUse(id, ipAddress) {
+    const collection = this.getCollection();
+    const now = new Date();
+    await collection.updateOne(
+      {
+        _id: new ObjectId(id),
+        $or: [{ lastUsedAt: null }, { lastUsedAt: { $lt: new Date(now.getTime() - LAST_USED_RESOLUTION_MS) } }]
+      },
+      { $set: { lastUsedAt: now, lastUsedIp: ipAddress || null } }
+    );
+  }
+
+  // UPDATE - Revoke a key of an organization; null when it is unknown or already revoked
+  async revoke(organizationCode, id, revokedBy) {
+    const collection = this.getCollection();
+    if (!ObjectId.isValid(id)) {
+      return null;
+    }
+    return await collection.findOneAndUpdate(
+      { _id: new ObjectId(id), organizationCode, revokedAt: null },
+      { $set: { revokedAt: new Date(), revokedBy } },
+      { returnDocument: "after", projection: { keyHash: 0 } }
+    );
+  }
+}
+
+export default new OrganizationApiKey();
@@ -0,0 +1,142 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region OrganizationMessageModel
+
+/**
+ * OrganizationMessage Model
+ * Messages organizations exchange on a blood request or drive. A thread is
+ * identified by { entityType, entityId }; each message keeps the thread's
+ * participants at the time it was sent, its sender (organization and user),
+ * attachment summaries (files live in message_attachments) and read
+ * receipts, one per user who has read it.
+ */
+class OrganizationMessage {
+  constructor() {
+    this.collectionName = "org_messages";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  threadQuery(entityType, entityId) {
+    return { "thread.entityType": entityType, "thread.entityId": new ObjectId(entityId) };
+  }
+
+  // CREATE - Post a message to a thread
+  async create(messageData) {
+    const collection = this.getCollection();
+    const newMessage = {
+      thread: {
+        entityType: messageData.thread.entityType, // BLOOD_REQUEST, HOSPITAL_DRIVE, BLOODBANK_DRIVE
+        entityId: new ObjectId(messageData.thread.entityId),
+        label: messageData.thread.label || ""
+      },
+      participantIds: messageData.participantIds.map((id) => new ObjectId(id)),
+      sender: {
+        organizationId: new ObjectId(messageData.sender.organizationId),
+        organizationCode: messageData.sender.organizationCode,
+        organizationName: messageData.sender.organizationName || "",
+        organizationType: messageData.sender.organizationType,
+        userCode: messageData.sender.userCode,
+        name: messageData.sender.name || ""
+      },
+      body: messageData.body || "",
+      attachments: messageData.attachments || [], // { attachmentId, fileName, mimeType, size }
+      readBy: [], // { organizationId, userCode, name, readAt }
+      createdAt: new Date()
+    };
+
+    const result = await collection.insertOne(newMessage);
+    return { _id: result.insertedId, ...newMessage };
+  }
+
+  // READ - Latest messages of a thread, oldest first
+  async findByThread(entityType, entityId, { before, limit = 100 } = {}) {
+    const collection = this.getCollection();
+    const query = this.threadQuery(entityType, entityId);
+    if (before) query.createdAt = { $lt: new Date(before) };
+
+    const messages = await collection.find(query).sort({ createdAt: -1 }).limit(limit).toArray();
+    return messages.reverse();
+  }
+
+  // READ - Threads an organization takes part in, most recent first, with the caller's unread count
+  async findThreadsForOrganization(organizationId, userCode, limit = 50) {
+    const collection = this.getCollection();
+    return await collection
+      .aggregate([
+        { $match: { participantIds: new ObjectId(organizationId) } },
+        { $sort: { createdAt: -1 } },
+        {
+          $group: {
+            _id: { entityType: "$thread.entityType", entityId: "$thread.entityId" },
+            label: { $first: "$thread.label" },
+            lastMessage: { $first: "$$ROOT" },
+            messageCount: { $sum: 1 },
+            unreadCount: {
+              $sum: {
+                $cond: [
+                  {
+                    $or: [
+                      { $eq: ["$sender.userCode", userCode] },
+                      { $in: [userCode, "$readBy.userCode"] }
+                    ]
+                  },
+                  0,
+                  1
+                ]
+              }
+            }
+          }
+        },
+        { $sort: { "lastMessage.createdAt": -1 } },
+        { $limit: limit },
+        {
+          $project: {
+            _id: 0,
+            entityType: "$_id.entityType",
+            entityId: "$_id.entityId",
+            label: 1,
+            messageCount: 1,
+            unreadCount: 1,
+            lastMessage: {
+              _id: "$lastMessage._id",
+              sender: "$lastMessage.sender",
+              body: "$lastMessage.body",
+              attachmentCount: { $size: "$lastMessage.attachments" },
+              createdAt: "$lastMessage.createdAt"
+            }
+          }
+        }
+      ])
+      .toArray();
+  }
+
+  // UPDATE - Add the reader's receipt to every thread message they haven't read (own messages excluded)
+  async markThreadRead(entityType, entityId, reader) {
+    const collection = this.getCollection();
+    const result = await collection.updateMany(
+      {
+        ...this.threadQuery(entityType, entityId),
+        "sender.userCode": { $ne: reader.userCode },
+        "readBy.userCode": { $ne: reader.userCode }
+      },
+      {
+        $push: {
+          readBy: {
+            organizationId: new ObjectId(reader.organizationId),
+            userCode: reader.userCode,
+            name: reader.name || "",
+            readAt: new Date()
+          }
+        }
+      }
+    );
+    return result.modifiedCount;
+  }
+}
+
+export default new OrganizationMessage();
@@ -0,0 +1,62 @@
+import { getDB } from "../../config/db.js";
+import { ObjectId } from "mongodb";
+
+// #region OrganizationRoleModel
+
+/**
+ * OrganizationRole Model
+ * A role an organization defined for its users, or its override of a
+ * built-in role's permissions (see config/permissions.js). Keyed by
+ * organizationCode + the normalized role name.
+ */
+class OrganizationRole {
+  constructor() {
+    this.collectionName = "organization_roles";
+  }
+
+  getCollection() {
+    const db = getDB();
+    return db.collection(this.collectionName);
+  }
+
+  // READ - All roles of an organization
+  async findByOrganization(organizationCode) {
+    const collection = this.getCollection();
+    return await collection.find({ organizationCode }).sort({ key: 1 }).toArray();
+  }
+
+  // READ - One role (null when the organization hasn't defined it)
+  async findOne(organizationCode, key) {
+    const collection = this.getCollection();
+    return await collection.findOne({ organizationCode, key });
+  }
+
+  // UPSERT - Define or change a role
+  async upsert(organizationCode, key, role, updatedBy = null) {
+    const collection = this.getCollection();
+    const now = new Date();
+    return await collection.findOneAndUpdate(
+      { organizationCode, key },
+      {
+        $set: {
+          name: role.name,
+          description: role.description ?? null,
+          permissions: role.permissions,
+          updatedBy,
+          updatedAt: now
+        },
+        $setOnInsert: { _id: new ObjectId(), createdBy: updatedBy, createdAt: now }
+      },
+      { upsert: true, returnDocument: "after" }
+    );
+  }
+
+  // DELETE - Remove a role (built-in roles go back to their defaults)
+  async delete(organizationCode, key) {
+    const collection = this.getCollection();
+    const result = await collection.deleteOne({ organizationCode, key });
+    return result.deletedCount > 0;
+  }
+}
+
+export default new OrganizationRole();
@@ -74,6 +74,7 @@ class OrganizationUser {
         password: hashedPassword,
         role: userData.role,
         status: userData.status || "ACTIVE",
+        mustChangePassword: userData.mustChangePassword === true, // Password was chosen by someone else
         createdAt: new Date(),
         updatedAt: new Date()
       };
@@ -89,6 +90,7 @@ class OrganizationUser {
         email: userData.email,
         role: userData.role,
         status: userData.status || "ACTIVE",
+        mustChangePassword: userData.mustChangePassword === true,
         organizationCode: userData.organizationCode
       };
 
@@ -342,24 +344,12 @@ class OrganizationUser {
 
       console.log(`[DB_PASSWORD_VERIFIED]`);
 
-      // Hash new password
-      const hashedNewPassword = await bcrypt.hash(newPassword, 10);
-
-      // Update password
-      const result = await collection.findOneAndUpdate(
-        { organizationCode: organizationCode, userCode: userCode },
-        { $set: { password: hashedNewPassword, updatedAt: new Date() } },
-        { returnDocument: "after" }
-      );
-
-      const updatedUser = result?.value || result;
+      const updatedUser = await this.setPassword(organizationCode, userCode, newPassword);
 
       if (!updatedUser) {
         throw new Error("Failed to change password");
       }
 
-      console.log(`[DB_PASSWORD_CHANGED] ${userCode}`);
-
       return true;
 
     } catch (error) {
@@ -368,6 +358,45 @@ class OrganizationUser {
     }
   }
 
+  /**
+   * Set a new password without checking the old one (activation, reset, or
+   * after changePassword verified it). Clears mustChangePassword.
+   * @param {string} organizationCode - Organization code
+   * @param {string} userCode - User code
+   * @param {string} newPassword - New password
+   * @param {Object} options - { activate: true } also moves PENDING_ACTIVATION to ACTIVE
+   * @returns {Promise<Object|null>} Updated user (without password), null if the user does not exist
+   */
+  async setPassword(organizationCode, userCode, newPassword, { activate = false } = {}) {
+    const collection = this.getCollection();
+    const now = new Date();
+    const update = {
+      password: await bcrypt.hash(newPassword, 10),
+      mustChangePassword: false,
+      passwordChangedAt: now,
+      updatedAt: now
+    };
+
+    if (activate) {
+      const user = await collection.findOne({ organizationCode, userCode }, { projection: { status: 1 } });
+      if (user?.status === "PENDING_ACTIVATION") {
+        update.status = "ACTIVE";
+        update.activatedAt = now;
+      }
+    }
+
+    const result = await collection.findOneAndUpdate(
+      { organizationCode, userCode },
+      { $set: update },
+      { returnDocument: "after" }
+    );
+
+    if (result) {
+      console.log(`[DB_PASSWORD_CHANGED] ${userCode}`);
+    }
+    return result ? this.formatUserResponse(result) : null;
+  }
+
   /**
    * Get users by role
    * @param {string} organizationCode - Organization code
@@ -432,6 +461,36 @@ class OrganizationUser {
     }
   }
 
+  /**
+   * Count users holding a role, ignoring case ("Doctor" and "DOCTOR" match)
+   * @param {string} organizationCode - Organization code
+   * @param {string} role - Role name
+   * @returns {Promise<number>}
+   */
+  async countByRole(organizationCode, role) {
+    const collection = this.getCollection();
+    return await collection.countDocuments(
+      { organizationCode: organizationCode, role: role },
+      { collation: { locale: "en", strength: 2 } }
+    );
+  }
+
+  /**
+   * Active users holding a role, ignoring case, with just what is needed to email them
+   * @param {string} organizationCode - Organization code
+   * @param {string} role - Role name
+   * @returns {Promise<Array>} [{ userCode, name, email }]
+   */
+  async findContactsByRole(organizationCode, role) {
+    const collection = this.getCollection();
+    return await collection
+      .find(
+        { organizationCode: organizationCode, role: role, status: "ACTIVE" },
+        { collation: { locale: "en", strength: 2 }, projection: { userCode: 1, name: 1, email: 1 } }
+      )
+      .toArray();
+  }
+
   /**
    * Get organization users statistics
    * @param {string} organizationCode - Organization code
@@ -510,6 +569,64 @@ class OrganizationUser {
     }
   }
 
+  /**
+   * Get a user's stored notification preferences
+   * @param {string} organizationCode - Organization code
+   * @param {string} userCode - User code
+   * @returns {Promise<Object|null>} Stored preferences (null = defaults), undefined if the user does not exist
+   */
+  async getNotificationPreferences(organizationCode, userCode) {
+    const collection = this.getCollection();
+    const user = await collection.findOne(
+      { organizationCode, userCode },
+      { projection: { notificationPreferences: 1 } }
+    );
+    return user ? user.notificationPreferences || null : undefined;
+  }
+
+  /**
+   * Save a user's notification preferences (see services/NotificationPreferences.js)
+   * @param {string} organizationCode - Organization code
+   * @param {string} userCode - User code
+   * @param {Object} preferences - Complete preferences
+   * @returns {Promise<Object|null>} Saved preferences, null if the user does not exist
+   */
+  async updateNotificationPreferences(organizationCode, userCode, preferences) {
+    const collection = this.getCollection();
+    const result = await collection.findOneAndUpdate(
+      { organizationCode, userCode },
+      { $set: { notificationPreferences: preferences, updatedAt: new Date() } },
+      { returnDocument: "after", projection: { notificationPreferences: 1 } }
+    );
+
+    if (result) {
+      console.log(`[DB_USER_NOTIFICATION_PREFERENCES_UPDATED] ${userCode}`);
+    }
+    return result ? result.notificationPreferences : null;
+  }
+
+  /**
+   * Active users of these organizations who opted in to email or SMS notifications
+   * @param {Array<string>} organizationCodes
+   * @returns {Promise<Array>} { userCode, name, email, organizationCode, notificationPreferences }
+   */
+  async findNotificationSubscribers(organizationCodes) {
+    const collection = this.getCollection();
+    return await collection
+      .find(
+        {
+          organizationCode: { $in: organizationCodes },
+          status: "ACTIVE",
+          $or: [
+            { "notificationPreferences.channels.EMAIL": true },
+            { "notificationPreferences.channels.SMS": true }
+          ]
+        },
+        { projection: { userCode: 1, name: 1, email: 1, organizationCode: 1, notificationPreferences: 1 } }
+      )
+      .toArray();
+  }
+
   /**
    * Format user response (exclude password)
    * @param {Object} user - User object
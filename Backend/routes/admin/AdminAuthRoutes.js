@@ -3,10 +3,14 @@ import {
   adminLogin,
   getAdminProfile,
   adminLogout,
-  adminRegister
+  adminRegister,
+  getLockedAccounts,
+  unlockAccount
 } from "../../controllers/admin/AdminAuthController.js";
 
+import authMiddleware from "../../middleware/auth.middleware.js";
 import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import { loginLimiter } from "../../middleware/rateLimiter.js";
 
 const router = express.Router();
@@ -17,14 +21,22 @@ const router = express.Router();
 router.post("/login", loginLimiter, adminLogin);
 
 // Admin registration (protected - only existing admins can register new admins)
-router.post("/register", adminAuthMiddleware, adminRegister);
+router.post("/register", authMiddleware, adminAuthMiddleware, adminRegister);
 
 // #region ProtectedEndpoints
 
 // Get admin profile
-router.get("/me", adminAuthMiddleware, getAdminProfile);
+router.get("/me", authMiddleware, adminAuthMiddleware, getAdminProfile);
 
-// Admin logout
-router.post("/logout", adminAuthMiddleware, adminLogout);
+// Admin logout (revokes this session)
+router.post("/logout", authMiddleware, adminAuthMiddleware, adminLogout);
+
+// #region LoginLocks
+
+// Accounts locked out by failed logins (?accountType=&organizationCode=)
+router.get("/locked-accounts", authMiddleware, requirePermission("account:unlock"), getLockedAccounts);
+
+// Lift a lock (body: { accountType, email, organizationCode? })
+router.post("/unlock", authMiddleware, requirePermission("account:unlock"), unlockAccount);
 
 export default router;
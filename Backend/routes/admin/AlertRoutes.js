@@ -1,6 +1,7 @@
 import express from "express";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import AlertController from "../../controllers/admin/AlertController.js";
 
 const router = express.Router();
@@ -16,6 +17,7 @@ router.post(
   "/",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:manage"),
   AlertController.createAlert
 );
 
@@ -25,11 +27,13 @@ router.post(
  * GET /api/admin/alerts
  * List all alerts with pagination & filters
  * Query: ?page=1&limit=20&unreadOnly=false&severity=CRITICAL&type=DELAYED_EMERGENCY
+ *        &status=ACTIVE&acknowledged=false&assignedTo=<userCode|organizationId>
  */
 router.get(
   "/",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.getAllAlerts
 );
 
@@ -41,6 +45,7 @@ router.get(
   "/summary",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.getAlertsSummary
 );
 
@@ -52,6 +57,7 @@ router.get(
   "/unread/count",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.getUnreadCount
 );
 
@@ -64,6 +70,7 @@ router.get(
   "/by-type/:type",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.getAlertsByType
 );
 
@@ -75,6 +82,7 @@ router.get(
   "/:alertId",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.getAlertById
 );
 
@@ -88,6 +96,7 @@ router.post(
   "/:alertId/mark-read",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.markAlertAsRead
 );
 
@@ -100,6 +109,7 @@ router.post(
   "/mark-multiple-read",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:read"),
   AlertController.markMultipleAlertsAsRead
 );
 
@@ -111,7 +121,59 @@ router.post(
   "/:alertId/archive",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("alert:manage"),
   AlertController.archiveAlert
 );
 
+/**
+ * POST /api/admin/alerts/:alertId/acknowledge
+ * Acknowledge an open alert (records who and when)
+ */
+router.post(
+  "/:alertId/acknowledge",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("alert:manage"),
+  AlertController.acknowledgeAlert
+);
+
+/**
+ * POST /api/admin/alerts/:alertId/assign
+ * Assign an alert to a user of your organization or to an organization
+ * Body: { userCode } or { organizationId }, optional note
+ */
+router.post(
+  "/:alertId/assign",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("alert:manage"),
+  AlertController.assignAlert
+);
+
+/**
+ * POST /api/admin/alerts/:alertId/escalate
+ * Escalate an alert to the next tier and notify it
+ * Body: { reason }
+ */
+router.post(
+  "/:alertId/escalate",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("alert:manage"),
+  AlertController.escalateAlert
+);
+
+/**
+ * POST /api/admin/alerts/:alertId/resolve
+ * Resolve an alert
+ * Body: { notes }
+ */
+router.post(
+  "/:alertId/resolve",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("alert:manage"),
+  AlertController.resolveAlert
+);
+
 export default router;
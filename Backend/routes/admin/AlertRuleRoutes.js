@@ -0,0 +1,75 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import AlertRuleController from "../../controllers/admin/AlertRuleController.js";
+
+const router = express.Router();
+
+// #region GetEndpoints
+
+/**
+ * GET /api/admin/alert-rules
+ * List stock alert rules with their evaluation state
+ * Query: ?scope=CITY&isActive=true
+ */
+router.get(
+  "/",
+  authMiddleware,
+  adminAuthMiddleware,
+  AlertRuleController.getAllRules
+);
+
+/**
+ * GET /api/admin/alert-rules/:ruleId
+ * Get one rule
+ */
+router.get(
+  "/:ruleId",
+  authMiddleware,
+  adminAuthMiddleware,
+  AlertRuleController.getRuleById
+);
+
+// #region PostEndpoints
+
+/**
+ * POST /api/admin/alert-rules
+ * Create a rule; it is evaluated against current stock straight away
+ * Body: { name, scope: { type: GLOBAL|CITY|BANK, city?, bloodBankId? }, bloodGroup?, component?,
+ *         comparison?: BELOW|AT_OR_BELOW, threshold, windowMinutes?, severity, isActive? }
+ */
+router.post(
+  "/",
+  authMiddleware,
+  adminAuthMiddleware,
+  AlertRuleController.createRule
+);
+
+// #region PutEndpoints
+
+/**
+ * PUT /api/admin/alert-rules/:ruleId
+ * Update a rule; its open alert is resolved and evaluation starts over
+ * Body: any of the POST fields
+ */
+router.put(
+  "/:ruleId",
+  authMiddleware,
+  adminAuthMiddleware,
+  AlertRuleController.updateRule
+);
+
+// #region DeleteEndpoints
+
+/**
+ * DELETE /api/admin/alert-rules/:ruleId
+ * Delete a rule and resolve its open alert
+ */
+router.delete(
+  "/:ruleId",
+  authMiddleware,
+  adminAuthMiddleware,
+  AlertRuleController.deleteRule
+);
+
+export default router;
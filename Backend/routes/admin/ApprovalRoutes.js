@@ -9,7 +9,8 @@ import {
   getOrganizationDetails,
   approveOrganization,
   rejectOrganization,
-  suspendOrganization
+  suspendOrganization,
+  resendActivation
 } from "../../controllers/admin/ApprovalController.js";
 
 import authMiddleware from "../../middleware/auth.middleware.js";
@@ -64,4 +65,12 @@ router.post("/reject", authMiddleware, superAdminAuthMiddleware, rejectOrganizat
  */
 router.post("/suspend", authMiddleware, superAdminAuthMiddleware, suspendOrganization);
 
+/**
+ * POST /api/admin/approvals/resend-activation
+ * Email a new activation link to an approved organization's admin
+ * (earlier links stop working)
+ * Body: { organizationCode }
+ */
+router.post("/resend-activation", authMiddleware, superAdminAuthMiddleware, resendActivation);
+
 export default router;
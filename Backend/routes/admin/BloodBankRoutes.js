@@ -1,4 +1,8 @@
 import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import { requireOrganization, requireOwnParam } from "../../middleware/resourcePolicy.middleware.js";
 import {
   registerBloodBank,
   getAllBloodBanks,
@@ -42,24 +46,29 @@ router.get("/:id/stock", getBloodStock);
 // Get location statistics
 router.get("/stats/location", getLocationStats);
 
-// #region ProtectedRoutes
-// These routes require admin authentication
-// Note: Add your admin authentication middleware here
-// Example: router.use(authenticateAdmin);
+// #region BloodBankRoutes
+// The blood bank's own profile and stock (id must be the caller's organization)
+
+const ownBloodBank = [authMiddleware, requireOrganization("bloodbank"), requireOwnParam("id")];
 
 // Update blood bank details
-router.put("/:id", updateBloodBank);
+router.put("/:id", ...ownBloodBank, requirePermission("organization:update"), updateBloodBank);
 
 // Update blood stock
-router.put("/:id/stock", updateBloodStock);
+router.put("/:id/stock", ...ownBloodBank, requirePermission("stock:update"), updateBloodStock);
+
+// #region AdminRoutes
+// These routes require admin authentication
+
+const admin = [authMiddleware, adminAuthMiddleware, requirePermission("organization:verify")];
 
 // Admin actions
-router.post("/verify", verifyBloodBank);
-router.post("/reject", rejectBloodBank);
-router.post("/suspend", suspendBloodBank);
-router.post("/reactivate", reactivateBloodBank);
+router.post("/verify", ...admin, verifyBloodBank);
+router.post("/reject", ...admin, rejectBloodBank);
+router.post("/suspend", ...admin, suspendBloodBank);
+router.post("/reactivate", ...admin, reactivateBloodBank);
 
-// Delete blood bank (admin only)
-router.delete("/:id", deleteBloodBank);
+// Delete blood bank
+router.delete("/:id", ...admin, deleteBloodBank);
 
 export default router;
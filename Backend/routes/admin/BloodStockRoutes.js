@@ -2,7 +2,9 @@ import express from "express";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
 import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import BloodStockController from "../../controllers/admin/BloodStockController.js";
+import BloodUnitController from "../../controllers/admin/BloodUnitController.js";
 
 const router = express.Router();
 
@@ -17,6 +19,7 @@ router.post(
   "/initialize",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:update"),
   BloodStockController.initializeBloodStock
 );
 
@@ -31,9 +34,62 @@ router.post(
   "/update/:bloodBankId",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:update"),
   BloodStockController.updateBloodStock
 );
 
+// #region BloodUnitRoutes
+
+/**
+ * POST /api/admin/blood-stock/units
+ * Register a collected bag (Blood Bank users only)
+ * Body: { bloodBankId, bagId, donationId, bloodGroup, component, collectedAt, expiresAt, storageLocation }
+ */
+router.post(
+  "/units",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("stock:update"),
+  BloodUnitController.registerUnit
+);
+
+/**
+ * GET /api/admin/blood-stock/units/by-bloodbank/:bloodBankId
+ * List a blood bank's bags (filters: status, bloodGroup, component)
+ */
+router.get(
+  "/units/by-bloodbank/:bloodBankId",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("stock:read"),
+  BloodUnitController.getUnitsByBloodBank
+);
+
+/**
+ * GET /api/admin/blood-stock/units/bag/:bagId
+ * Get a single bag
+ */
+router.get(
+  "/units/bag/:bagId",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("stock:read"),
+  BloodUnitController.getUnitByBagId
+);
+
+/**
+ * PATCH /api/admin/blood-stock/units/:bagId/status
+ * Release from quarantine, quarantine or discard a bag
+ * Body: { status, reason }
+ */
+router.patch(
+  "/units/:bagId/status",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("stock:update"),
+  BloodUnitController.updateUnitStatus
+);
+
 // #region BloodBankAnalytics
 
 /**
@@ -44,6 +100,7 @@ router.get(
   "/",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:read"),
   BloodStockController.getAllBloodStocks
 );
 
@@ -55,17 +112,20 @@ router.get(
   "/summary",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:read"),
   BloodStockController.getBloodStockSummary
 );
 
 /**
- * GET /api/admin/blood-stock/by-blood-group/:bloodGroup
- * Get stock breakdown by specific blood group
+ * GET /api/admin/blood-stock/by-blood-group/:bloodGroup?component=RBC&includeCompatible=true
+ * Get stock breakdown by specific blood group; with includeCompatible,
+ * compatible substitutes follow the exact matches
  */
 router.get(
   "/by-blood-group/:bloodGroup",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:read"),
   BloodStockController.getStockByBloodGroup
 );
 
@@ -77,6 +137,7 @@ router.get(
   "/by-bloodbank/:bloodBankId",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:read"),
   BloodStockController.getStockByBloodBank
 );
 
@@ -88,6 +149,7 @@ router.get(
   "/shortages",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("stock:read"),
   BloodStockController.getShortageAlerts
 );
 
@@ -6,7 +6,8 @@ import {
   getAlertStats,
   getUserStats,
   getRecentActivity,
-  getSystemHealth
+  getSystemHealth,
+  getActiveIncidents
 } from "../../controllers/admin/DashboardController.js";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
@@ -23,7 +24,7 @@ const router = express.Router();
 /**
  * GET /api/admin/dashboard/overview
  * Get complete dashboard overview with all statistics
- * Returns: organizations, blood stock, alerts, users, recent activity, system health
+ * Returns: organizations, blood stock, alerts, users, recent activity, system health, active incidents
  */
 router.get("/overview", authMiddleware, superAdminAuthMiddleware, getDashboardOverview);
 
@@ -71,4 +72,11 @@ router.get("/activity", authMiddleware, superAdminAuthMiddleware, getRecentActiv
  */
 router.get("/health", authMiddleware, superAdminAuthMiddleware, getSystemHealth);
 
+/**
+ * GET /api/admin/dashboard/incidents
+ * Get active mass-casualty incidents, newest first
+ * Returns: incident details, hospital name, request count, open requests, units required/fulfilled
+ */
+router.get("/incidents", authMiddleware, superAdminAuthMiddleware, getActiveIncidents);
+
 export default router;
@@ -1,6 +1,8 @@
 import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import {
-  createRequest,
   getAllRequests,
   getUrgentRequests,
   getRequestById,
@@ -9,11 +11,6 @@ import {
   getRequestsByBloodBank,
   approveRequest,
   assignBloodBank,
-  updateResponse,
-  startProcessing,
-  fulfillRequest,
-  rejectRequest,
-  cancelRequest,
   addCommunicationLog,
   getRequestStatistics,
   getAverageResponseTime,
@@ -22,67 +19,49 @@ import {
 
 const router = express.Router();
 
-// #region HospitalRoutes
-// These routes are for hospitals
+// Admin console over every hospital's requests; hospitals and blood banks
+// create, accept, reject, dispatch and cancel their own requests through
+// /api/hospital-blood-requests, where the request policies apply
+router.use(authMiddleware, adminAuthMiddleware);
 
-// Create new blood request
-router.post("/create", createRequest);
+// #region RequestRoutes
 
 // Get all requests (with filters)
-router.get("/all", getAllRequests);
+router.get("/all", requirePermission("request:read"), getAllRequests);
 
 // Get urgent/critical requests
-router.get("/urgent", getUrgentRequests);
+router.get("/urgent", requirePermission("request:read"), getUrgentRequests);
 
 // Get request by ID
-router.get("/id/:id", getRequestById);
+router.get("/id/:id", requirePermission("request:read"), getRequestById);
 
 // Get request with full details (includes hospital and blood bank info)
-router.get("/details/:id", getRequestWithDetails);
+router.get("/details/:id", requirePermission("request:read"), getRequestWithDetails);
 
 // Get requests by hospital
-router.get("/hospital/:hospitalId", getRequestsByHospital);
-
-// Cancel request
-router.post("/:id/cancel", cancelRequest);
-
-// Add communication log
-router.post("/:id/communication", addCommunicationLog);
-
-// #region BloodBankRoutes
-// These routes are for blood banks
+router.get("/hospital/:hospitalId", requirePermission("request:read"), getRequestsByHospital);
 
 // Get requests by blood bank
-router.get("/bloodbank/:bloodBankId", getRequestsByBloodBank);
+router.get("/bloodbank/:bloodBankId", requirePermission("request:read"), getRequestsByBloodBank);
 
-// Blood bank responds to request
-router.post("/:id/respond", updateResponse);
-
-// Start processing request
-router.post("/:id/process", startProcessing);
-
-// Fulfill request (completes the request and updates blood stock)
-router.post("/:id/fulfill", fulfillRequest);
-
-// Reject request
-router.post("/:id/reject", rejectRequest);
+// Add communication log
+router.post("/:id/communication", requirePermission("request:oversee"), addCommunicationLog);
 
 // #region AdminSystemRoutes
-// These routes require admin authentication or are for system operations
 
 // Assign blood bank to request
-router.post("/:id/assign", assignBloodBank);
+router.post("/:id/assign", requirePermission("request:oversee"), assignBloodBank);
 
 // Admin approves critical/emergency request
-router.post("/approve", approveRequest);
+router.post("/approve", requirePermission("request:oversee"), approveRequest);
 
 // Get request statistics
-router.get("/stats/requests", getRequestStatistics);
+router.get("/stats/requests", requirePermission("request:read"), getRequestStatistics);
 
 // Get average response time
-router.get("/stats/response-time", getAverageResponseTime);
+router.get("/stats/response-time", requirePermission("request:read"), getAverageResponseTime);
 
 // Delete request (admin only)
-router.delete("/:id", deleteRequest);
+router.delete("/:id", requirePermission("request:oversee"), deleteRequest);
 
 export default router;
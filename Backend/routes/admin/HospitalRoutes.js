@@ -1,7 +1,7 @@
 import express from "express";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
-import roleMiddleware from "../../middleware/role.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import HospitalController from "../../controllers/admin/HospitalController.js";
 
 const router = express.Router();
@@ -59,27 +59,27 @@ router.get(
 /**
  * POST /admin/hospitals/:id/activate
  * Activate a suspended hospital
- * Requires: Admin role
+ * Requires: organization:verify
  */
 router.post(
   "/:id/activate",
   authMiddleware,
   adminAuthMiddleware,
-  roleMiddleware(["ADMIN", "SuperAdmin"]),
+  requirePermission("organization:verify"),
   HospitalController.activateHospital
 );
 
 /**
  * POST /admin/hospitals/:id/suspend
  * Suspend a hospital
- * Requires: Admin role
+ * Requires: organization:verify
  * Body: { reason: "string" }
  */
 router.post(
   "/:id/suspend",
   authMiddleware,
   adminAuthMiddleware,
-  roleMiddleware(["ADMIN", "SuperAdmin"]),
+  requirePermission("organization:verify"),
   HospitalController.suspendHospital
 );
 
@@ -0,0 +1,68 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import JobController from "../../controllers/admin/JobController.js";
+
+const router = express.Router();
+
+// #region GetEndpoints
+
+/**
+ * GET /api/admin/jobs
+ * List scheduled jobs with pause state, next run and last outcome
+ */
+router.get(
+  "/",
+  authMiddleware,
+  adminAuthMiddleware,
+  JobController.getAllJobs
+);
+
+/**
+ * GET /api/admin/jobs/:name/runs
+ * Run history of a job, newest first
+ * Query: ?page=1&limit=20
+ */
+router.get(
+  "/:name/runs",
+  authMiddleware,
+  adminAuthMiddleware,
+  JobController.getJobRuns
+);
+
+// #region PostEndpoints
+
+/**
+ * POST /api/admin/jobs/:name/pause
+ * Stop scheduled runs of a job on every instance
+ */
+router.post(
+  "/:name/pause",
+  authMiddleware,
+  adminAuthMiddleware,
+  JobController.pauseJob
+);
+
+/**
+ * POST /api/admin/jobs/:name/resume
+ * Resume scheduled runs of a paused job
+ */
+router.post(
+  "/:name/resume",
+  authMiddleware,
+  adminAuthMiddleware,
+  JobController.resumeJob
+);
+
+/**
+ * POST /api/admin/jobs/:name/trigger
+ * Start a run now (also works while paused); 409 if a run is in progress
+ */
+router.post(
+  "/:name/trigger",
+  authMiddleware,
+  adminAuthMiddleware,
+  JobController.triggerJob
+);
+
+export default router;
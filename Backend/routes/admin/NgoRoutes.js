@@ -1,7 +1,7 @@
 import express from "express";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
-import roleMiddleware from "../../middleware/role.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import NgoController from "../../controllers/admin/NgoController.js";
 
 const router = express.Router();
@@ -70,27 +70,27 @@ router.get(
 /**
  * POST /admin/ngos/:id/enable
  * Enable NGO participation
- * Requires: Admin role
+ * Requires: organization:verify
  */
 router.post(
   "/:id/enable",
   authMiddleware,
   adminAuthMiddleware,
-  roleMiddleware(["ADMIN", "SuperAdmin"]),
+  requirePermission("organization:verify"),
   NgoController.enableNGO
 );
 
 /**
  * POST /admin/ngos/:id/disable
  * Disable NGO participation
- * Requires: Admin role
+ * Requires: organization:verify
  * Body: { reason?: string }
  */
 router.post(
   "/:id/disable",
   authMiddleware,
   adminAuthMiddleware,
-  roleMiddleware(["ADMIN", "SuperAdmin"]),
+  requirePermission("organization:verify"),
   NgoController.disableNGO
 );
 
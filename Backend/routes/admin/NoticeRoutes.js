@@ -0,0 +1,48 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import superAdminAuthMiddleware from "../../middleware/superAdminAuth.middleware.js";
+import NoticeController from "../../controllers/admin/NoticeController.js";
+
+const router = express.Router();
+
+// #region GetEndpoints
+
+/**
+ * GET /api/admin/notices
+ * Sent notices, newest first, with read and acknowledgment counts
+ * Query: ?priority=CRITICAL&scope=ORGANIZATION_TYPE&page=1&limit=20
+ */
+router.get(
+  "/",
+  authMiddleware,
+  superAdminAuthMiddleware,
+  NoticeController.getNotices
+);
+
+/**
+ * GET /api/admin/notices/:id
+ * One notice with the read and acknowledgment status of every recipient
+ */
+router.get(
+  "/:id",
+  authMiddleware,
+  superAdminAuthMiddleware,
+  NoticeController.getNoticeTracking
+);
+
+// #region PostEndpoints
+
+/**
+ * POST /api/admin/notices
+ * Send a notice to organizations
+ * Body: { title, body, priority?, requiresAcknowledgment?,
+ *         audience: { scope: ORGANIZATION|ORGANIZATION_TYPE|ALL, organizationIds?, organizationTypes? } }
+ */
+router.post(
+  "/",
+  authMiddleware,
+  superAdminAuthMiddleware,
+  NoticeController.sendNotice
+);
+
+export default router;
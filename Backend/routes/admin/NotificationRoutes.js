@@ -0,0 +1,72 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import adminAuthMiddleware from "../../middleware/adminAuth.middleware.js";
+import superAdminAuthMiddleware from "../../middleware/superAdminAuth.middleware.js";
+import NotificationController from "../../controllers/admin/NotificationController.js";
+
+const router = express.Router();
+
+// #region GetEndpoints
+
+/**
+ * GET /api/admin/notifications/deliveries
+ * Delivery log across organizations, newest first
+ * Query: ?status=FAILED&channel=EMAIL&event=REQUEST_CREATED&organizationId=&requestId=&page=1&limit=20
+ */
+router.get(
+  "/deliveries",
+  authMiddleware,
+  adminAuthMiddleware,
+  NotificationController.getDeliveries
+);
+
+/**
+ * GET /api/admin/notifications/deliveries/:id
+ * One delivery with every attempt made
+ */
+router.get(
+  "/deliveries/:id",
+  authMiddleware,
+  adminAuthMiddleware,
+  NotificationController.getDeliveryById
+);
+
+/**
+ * GET /api/admin/notifications/preferences
+ * The super admin's own notification preferences (defaults if never saved)
+ */
+router.get(
+  "/preferences",
+  authMiddleware,
+  superAdminAuthMiddleware,
+  NotificationController.getPreferences
+);
+
+// #region PostEndpoints
+
+/**
+ * POST /api/admin/notifications/deliveries/:id/retry
+ * Send a FAILED delivery again now; 409 for any other status
+ */
+router.post(
+  "/deliveries/:id/retry",
+  authMiddleware,
+  adminAuthMiddleware,
+  NotificationController.retryDelivery
+);
+
+// #region PutEndpoints
+
+/**
+ * PUT /api/admin/notifications/preferences
+ * Update the super admin's own preferences
+ * Body: { events?, channels?, quietHours?, onCall?, smsNumber? }
+ */
+router.put(
+  "/preferences",
+  authMiddleware,
+  superAdminAuthMiddleware,
+  NotificationController.updatePreferences
+);
+
+export default router;
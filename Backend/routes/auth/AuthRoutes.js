@@ -1,5 +1,27 @@
 import express from "express";
-import { login, register } from "../../controllers/Auth/AuthController.js";
+import {
+  login,
+  register,
+  refresh,
+  logout,
+  logoutAll,
+  getSessions,
+  revokeSession,
+  activateAccount,
+  forgotPassword,
+  resetPassword,
+  changePassword
+} from "../../controllers/Auth/AuthController.js";
+import {
+  verifyTwoFactorLogin,
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor
+} from "../../controllers/Auth/TwoFactorController.js";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import { apiLimiter, strictLimiter, loginLimiter } from "../../middleware/rateLimiter.js";
 
 const router = express.Router();
 
@@ -43,10 +65,159 @@ router.post("/register", register);
  * 
  * Response:
  * {
- *   token: "jwt_token_here",
- *   user: { userCode, name, email, role, organizationCode, ... }
+ *   token: "jwt_token_here",          // Access token, valid for expiresIn seconds
+ *   refreshToken: "session.secret",   // Single use; POST /api/auth/refresh
+ *   expiresIn: 900,
+ *   user: { userCode, name, email, role, organizationCode, mustChangePassword, ... }
  * }
+ *
+ * With user.mustChangePassword, every endpoint except change-password and
+ * logout answers 403 PASSWORD_CHANGE_REQUIRED until the password is changed.
+ *
+ * With two-factor on, the response has no token but
+ * { twoFactorRequired: true, challengeToken, user }; finish with
+ * POST /api/auth/2fa/verify. With user.twoFactorSetupRequired (role must use
+ * two-factor but has not set it up), only the /2fa enrolment endpoints and
+ * logout answer until it is on.
+ *
+ * Too many wrong passwords for one account answer 429 with data.lockedUntil
+ * (see LoginProtection); an administrator can lift the lock.
  */
-router.post("/login", login);
+router.post("/login", loginLimiter, login);
+
+// #region Sessions
+
+/**
+ * Refresh Session
+ * POST /api/auth/refresh
+ *
+ * Body: { refreshToken }
+ * Response data: { token, refreshToken, expiresIn }
+ *
+ * Each refresh token works once; replaying an old one revokes the session.
+ */
+router.post("/refresh", apiLimiter, refresh);
+
+/**
+ * Logout (this device)
+ * POST /api/auth/logout
+ */
+router.post("/logout", authMiddleware, logout);
+
+/**
+ * Logout from every device
+ * POST /api/auth/logout-all
+ *
+ * Body: { keepCurrent: true } to stay signed in here
+ */
+router.post("/logout-all", authMiddleware, logoutAll);
+
+/**
+ * Active sessions of the caller
+ * GET /api/auth/sessions
+ *
+ * Response data: [{ _id, device: { userAgent, ipAddress }, createdAt, lastUsedAt, expiresAt, current }]
+ */
+router.get("/sessions", authMiddleware, getSessions);
+
+/**
+ * Sign out one device
+ * DELETE /api/auth/sessions/:sessionId
+ */
+router.delete("/sessions/:sessionId", authMiddleware, revokeSession);
+
+// #region Passwords
+
+/**
+ * Activate Account (organization admins after approval)
+ * POST /api/auth/activate
+ *
+ * Body: { token, password }
+ * The token comes from the emailed activation link and works once.
+ */
+router.post("/activate", apiLimiter, activateAccount);
+
+/**
+ * Forgot Password (organization users)
+ * POST /api/auth/forgot-password
+ *
+ * Body: { organizationCode, email }
+ * Always answers 200; the reset link goes to the account's email.
+ */
+router.post("/forgot-password", strictLimiter, forgotPassword);
+
+/**
+ * Reset Password
+ * POST /api/auth/reset-password
+ *
+ * Body: { token, password }
+ * Ends every session of the account.
+ */
+router.post("/reset-password", apiLimiter, resetPassword);
+
+/**
+ * Change Password (organization users)
+ * POST /api/auth/change-password
+ *
+ * Body: { currentPassword, newPassword }
+ * Response data: { token, refreshToken, expiresIn } - a new session; all others end
+ */
+router.post("/change-password", authMiddleware, changePassword);
+
+// #region TwoFactor
+
+/**
+ * Verify Two-Factor Login
+ * POST /api/auth/2fa/verify
+ *
+ * Body: { challengeToken, code } or { challengeToken, recoveryCode }
+ * Response data: { token, refreshToken, expiresIn, recoveryCodesRemaining }
+ *
+ * Also completes the admin and super admin logins. Wrong codes are audited;
+ * five within 15 minutes pause verification for the account.
+ */
+router.post("/2fa/verify", loginLimiter, verifyTwoFactorLogin);
+
+/**
+ * Two-Factor Status
+ * GET /api/auth/2fa
+ *
+ * Response data: { enabled, required, enabledAt, recoveryCodesRemaining }
+ */
+router.get("/2fa", authMiddleware, getTwoFactorStatus);
+
+/**
+ * Start Two-Factor Setup
+ * POST /api/auth/2fa/setup
+ *
+ * Response data: { secret, otpauthUrl, qrSvg }
+ */
+router.post("/2fa/setup", authMiddleware, setupTwoFactor);
+
+/**
+ * Turn On Two-Factor
+ * POST /api/auth/2fa/enable
+ *
+ * Body: { code } - from the authenticator app
+ * Response data: { recoveryCodes, token, refreshToken, expiresIn } - recovery
+ * codes are shown this once; other sessions end
+ */
+router.post("/2fa/enable", authMiddleware, enableTwoFactor);
+
+/**
+ * New Recovery Codes
+ * POST /api/auth/2fa/recovery-codes
+ *
+ * Body: { code }
+ */
+router.post("/2fa/recovery-codes", authMiddleware, regenerateRecoveryCodes);
+
+/**
+ * Turn Off Two-Factor (not for roles that require it)
+ * POST /api/auth/2fa/disable
+ *
+ * Body: { code } or { recoveryCode }
+ */
+router.post("/2fa/disable", authMiddleware, disableTwoFactor);
 
 export default router;
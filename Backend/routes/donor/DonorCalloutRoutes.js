@@ -0,0 +1,38 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import {
+  listDonorCallouts,
+  getDonorCallout,
+  startDonorCallout
+} from "../../controllers/Donor/DonorCalloutController.js";
+
+const router = express.Router();
+
+router.use(authMiddleware, organizationAuthMiddleware);
+
+// #region DonorCalloutRoutes
+
+/**
+ * @route   GET /api/donor-callouts
+ * @desc    Open donor call-outs of the caller's organization
+ * @access  Hospital / NGO
+ */
+router.get("/", requirePermission("request:read"), listDonorCallouts);
+
+/**
+ * @route   GET /api/donor-callouts/:requestId
+ * @desc    Live responder list of a request's donor call-out
+ * @access  Requesting hospital / NGOs mobilising donors
+ */
+router.get("/:requestId", requirePermission("request:read"), getDonorCallout);
+
+/**
+ * @route   POST /api/donor-callouts/:requestId
+ * @desc    Appeal to eligible donors for a rare-group request
+ * @access  Requesting hospital
+ */
+router.post("/:requestId", requirePermission("donor:callout"), startDonorCallout);
+
+export default router;
@@ -4,6 +4,7 @@ import {
 	registerDonorForCamp,
 	recordDonation
 } from "../../controllers/Donor/DonorController.js";
+import { getAppeal, respondToAppeal } from "../../controllers/Donor/DonorCalloutController.js";
 
 const router = express.Router();
 
@@ -16,4 +17,10 @@ router.post("/register-for-camp", registerDonorForCamp);
 // Record a completed donation and update donor stats
 router.post("/donate", recordDonation);
 
+// Emergency appeal behind a donor's link (NO LOGIN, the token is the credential)
+router.get("/appeals/:token", getAppeal);
+
+// Donor answers an emergency appeal: COMING or UNAVAILABLE (NO LOGIN)
+router.post("/appeals/:token/respond", respondToAppeal);
+
 export default router;
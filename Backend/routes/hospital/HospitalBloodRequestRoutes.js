@@ -1,96 +1,396 @@
 import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import {
+    requireOrganization,
+    requireOwnParam,
+    authorizeResource,
+    bindActingOrganization,
+    scopeQueryToOrganization
+} from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import { REQUEST_POLICIES, RESOURCES } from "../../services/AccessPolicies.js";
 import { HospitalBloodRequestController } from "../../controllers/hospital/HospitalBloodRequestController.js";
 
 const router = express.Router();
 
+// Every route acts for the organization in the caller's JWT
+router.use(authMiddleware);
+
+const hospital = requireOrganization("hospital");
+const bloodBank = requireOrganization("bloodbank");
+const hospitalOrBloodBank = requireOrganization("hospital", "bloodbank");
+const request = (policy) => authorizeResource(RESOURCES.BLOOD_REQUEST, policy);
+
 // #region RequestCrud
 
 /**
  * @route   POST /api/hospital-blood-requests
- * @desc    Create a new blood request
- * @access  Hospital
+ * @desc    Create a new blood request, or a bulk set under a mass-casualty incident
+ * @access  Hospital (hospitalId is taken from the token)
  */
-router.post("/", HospitalBloodRequestController.createRequest);
+router.post(
+    "/",
+    hospital,
+    requirePermission("request:create"),
+    bindActingOrganization("hospitalId"),
+    HospitalBloodRequestController.createRequest
+);
 
 /**
  * @route   GET /api/hospital-blood-requests/critical
  * @desc    Get critical/urgent requests
- * @access  Hospital/Blood Bank
+ * @access  Hospital/Blood Bank (own requests only)
  */
-router.get("/critical", HospitalBloodRequestController.getCriticalRequests);
+router.get(
+    "/critical",
+    hospitalOrBloodBank,
+    requirePermission("request:read"),
+    scopeQueryToOrganization({ hospital: "hospitalId", bloodbank: "bloodBankId" }),
+    HospitalBloodRequestController.getCriticalRequests
+);
 
 /**
  * @route   GET /api/hospital-blood-requests/:id
  * @desc    Get request by ID
- * @access  Hospital/Blood Bank
+ * @access  Hospital/Blood Bank party to the request
  */
-router.get("/:id", HospitalBloodRequestController.getRequestById);
+router.get(
+    "/:id",
+    hospitalOrBloodBank,
+    requirePermission("request:read"),
+    request(REQUEST_POLICIES.party),
+    HospitalBloodRequestController.getRequestById
+);
 
 /**
  * @route   PUT /api/hospital-blood-requests/:id
- * @desc    Update request
- * @access  Hospital
+ * @desc    Edit the details of a pending request
+ * @access  Owning hospital
  */
-router.put("/:id", HospitalBloodRequestController.updateRequest);
+router.put("/:id", hospital, requirePermission("request:update"), request(REQUEST_POLICIES.owner), HospitalBloodRequestController.updateRequest);
 
 /**
  * @route   DELETE /api/hospital-blood-requests/:id
- * @desc    Delete request
- * @access  Hospital
+ * @desc    Delete a pending or closed request (one holding no stock)
+ * @access  Owning hospital
  */
-router.delete("/:id", HospitalBloodRequestController.deleteRequest);
+router.delete(
+    "/:id",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.deleteRequest
+);
 
 // #region HospitalEndpoints
 
 /**
  * @route   GET /api/hospital-blood-requests/hospital/:hospitalId
  * @desc    Get all requests by hospital
- * @access  Hospital
+ * @access  Hospital (own ID only)
  */
-router.get("/hospital/:hospitalId", HospitalBloodRequestController.getRequestsByHospital);
+router.get(
+    "/hospital/:hospitalId",
+    hospital,
+    requirePermission("request:read"),
+    requireOwnParam("hospitalId"),
+    HospitalBloodRequestController.getRequestsByHospital
+);
 
 /**
  * @route   GET /api/hospital-blood-requests/hospital/:hospitalId/stats
  * @desc    Get request statistics for a hospital
- * @access  Hospital
+ * @access  Hospital (own ID only)
  */
-router.get("/hospital/:hospitalId/stats", HospitalBloodRequestController.getHospitalRequestStats);
+router.get(
+    "/hospital/:hospitalId/stats",
+    hospital,
+    requirePermission("request:read"),
+    requireOwnParam("hospitalId"),
+    HospitalBloodRequestController.getHospitalRequestStats
+);
 
 // #region BloodBankEndpoints
 
 /**
  * @route   GET /api/hospital-blood-requests/bloodbank/:bloodBankId
  * @desc    Get all requests by blood bank
- * @access  Blood Bank
+ * @access  Blood Bank (own ID only)
  */
-router.get("/bloodbank/:bloodBankId", HospitalBloodRequestController.getRequestsByBloodBank);
+router.get(
+    "/bloodbank/:bloodBankId",
+    bloodBank,
+    requirePermission("request:read"),
+    requireOwnParam("bloodBankId"),
+    HospitalBloodRequestController.getRequestsByBloodBank
+);
 
 /**
  * @route   GET /api/hospital-blood-requests/bloodbank/:bloodBankId/stats
  * @desc    Get request statistics for a blood bank
- * @access  Blood Bank
+ * @access  Blood Bank (own ID only)
  */
-router.get("/bloodbank/:bloodBankId/stats", HospitalBloodRequestController.getBloodBankRequestStats);
+router.get(
+    "/bloodbank/:bloodBankId/stats",
+    bloodBank,
+    requirePermission("request:read"),
+    requireOwnParam("bloodBankId"),
+    HospitalBloodRequestController.getBloodBankRequestStats
+);
 
 /**
  * @route   POST /api/hospital-blood-requests/:id/accept
  * @desc    Accept request (Blood Bank action)
- * @access  Blood Bank
+ * @access  Targeted blood bank
  */
-router.post("/:id/accept", HospitalBloodRequestController.acceptRequest);
+router.post(
+    "/:id/accept",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.targetedBank),
+    bindActingOrganization("bloodBankId"),
+    HospitalBloodRequestController.acceptRequest
+);
 
 /**
  * @route   POST /api/hospital-blood-requests/:id/reject
- * @desc    Reject request (Blood Bank action)
- * @access  Blood Bank
+ * @desc    Reject request, or decline it while no blood bank has taken it (Blood Bank action)
+ * @access  Assigned blood bank; notified blood banks while unassigned
  */
-router.post("/:id/reject", HospitalBloodRequestController.rejectRequest);
+router.post(
+    "/:id/reject",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.respondingBank),
+    bindActingOrganization("bloodBankId"),
+    HospitalBloodRequestController.rejectRequest
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/process
+ * @desc    Start processing an accepted request
+ * @access  Assigned blood bank
+ */
+router.post(
+    "/:id/process",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.assignedBank),
+    HospitalBloodRequestController.startProcessing
+);
 
 /**
  * @route   POST /api/hospital-blood-requests/:id/complete
- * @desc    Complete request
- * @access  Hospital/Blood Bank
+ * @desc    Confirm receipt of dispatched units (fulfills the request)
+ * @access  Owning hospital
+ */
+router.post(
+    "/:id/complete",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.confirmReceipt
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/cancel
+ * @desc    Cancel request (Hospital action)
+ * @access  Owning hospital
+ */
+router.post(
+    "/:id/cancel",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.cancelRequest
+);
+
+// #region DispatchEndpoints
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/dispatch
+ * @desc    Dispatch units by courier or hospital pickup
+ * @access  Assigned blood bank
+ */
+router.post(
+    "/:id/dispatch",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.assignedBank),
+    HospitalBloodRequestController.dispatchRequest
+);
+
+/**
+ * @route   GET /api/hospital-blood-requests/:id/dispatch
+ * @desc    Get dispatch checkpoints and temperature trace
+ * @access  Hospital/Blood Bank party to the request
+ */
+router.get(
+    "/:id/dispatch",
+    hospitalOrBloodBank,
+    requirePermission("request:read"),
+    request(REQUEST_POLICIES.party),
+    HospitalBloodRequestController.getDispatch
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/dispatch/checkpoints
+ * @desc    Record an in-transit checkpoint
+ * @access  Assigned blood bank
+ */
+router.post(
+    "/:id/dispatch/checkpoints",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.assignedBank),
+    HospitalBloodRequestController.addDispatchCheckpoint
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/dispatch/readings
+ * @desc    Record transport temperature readings
+ * @access  Assigned blood bank
+ */
+router.post(
+    "/:id/dispatch/readings",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.assignedBank),
+    HospitalBloodRequestController.recordTemperatureReadings
+);
+
+// #region AllocationEndpoints
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations
+ * @desc    Split a request across several blood banks
+ * @access  Owning hospital
+ */
+router.post(
+    "/:id/allocations",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.allocateRequest
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/claim
+ * @desc    Take on part of a split request
+ * @access  Targeted blood bank
+ */
+router.post(
+    "/:id/allocations/claim",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.targetedBank),
+    bindActingOrganization("bloodBankId"),
+    HospitalBloodRequestController.claimAllocation
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/accept
+ * @desc    Accept an allocation
+ * @access  Blood bank holding the allocation
+ */
+router.post(
+    "/:id/allocations/:allocationId/accept",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.allocationBank),
+    bindActingOrganization("bloodBankId"),
+    HospitalBloodRequestController.acceptAllocation
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/reject
+ * @desc    Reject an allocation
+ * @access  Blood bank holding the allocation
+ */
+router.post(
+    "/:id/allocations/:allocationId/reject",
+    bloodBank,
+    requirePermission("request:respond"),
+    request(REQUEST_POLICIES.allocationBank),
+    HospitalBloodRequestController.rejectAllocation
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/fulfill
+ * @desc    Confirm receipt of an allocation's units
+ * @access  Owning hospital
+ */
+router.post(
+    "/:id/allocations/:allocationId/fulfill",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.fulfillAllocation
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/cancel
+ * @desc    Withdraw an allocation
+ * @access  Owning hospital
+ */
+router.post(
+    "/:id/allocations/:allocationId/cancel",
+    hospital,
+    requirePermission("request:update"),
+    request(REQUEST_POLICIES.owner),
+    HospitalBloodRequestController.cancelAllocation
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch
+ * @desc    Dispatch an accepted allocation's units
+ * @access  Blood bank holding the allocation
+ */
+router.post(
+    "/:id/allocations/:allocationId/dispatch",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.allocationBank),
+    HospitalBloodRequestController.dispatchAllocation
+);
+
+/**
+ * @route   GET /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch
+ * @desc    Get an allocation's dispatch and temperature trace
+ * @access  Hospital/Blood Bank party to the request
+ */
+router.get(
+    "/:id/allocations/:allocationId/dispatch",
+    hospitalOrBloodBank,
+    requirePermission("request:read"),
+    request(REQUEST_POLICIES.party),
+    HospitalBloodRequestController.getDispatch
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch/checkpoints
+ * @desc    Record an in-transit checkpoint for an allocation
+ * @access  Blood bank holding the allocation
+ */
+router.post(
+    "/:id/allocations/:allocationId/dispatch/checkpoints",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.allocationBank),
+    HospitalBloodRequestController.addDispatchCheckpoint
+);
+
+/**
+ * @route   POST /api/hospital-blood-requests/:id/allocations/:allocationId/dispatch/readings
+ * @desc    Record transport temperature readings for an allocation
+ * @access  Blood bank holding the allocation
  */
-router.post("/:id/complete", HospitalBloodRequestController.completeRequest);
+router.post(
+    "/:id/allocations/:allocationId/dispatch/readings",
+    bloodBank,
+    requirePermission("request:dispatch"),
+    request(REQUEST_POLICIES.allocationBank),
+    HospitalBloodRequestController.recordTemperatureReadings
+);
 
 export default router;
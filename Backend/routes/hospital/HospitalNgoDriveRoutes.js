@@ -1,96 +1,137 @@
 import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import {
+    requireOrganization,
+    requireOwnParam,
+    authorizeResource,
+    bindActingOrganization
+} from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import { DRIVE_POLICIES, RESOURCES } from "../../services/AccessPolicies.js";
 import { HospitalNgoDriveController } from "../../controllers/hospital/HospitalNgoDriveController.js";
 
 const router = express.Router();
 
+// Every route acts for the organization in the caller's JWT
+router.use(authMiddleware);
+
+const hospital = requireOrganization("hospital");
+const ngo = requireOrganization("ngo");
+const anyOrganization = requireOrganization();
+const drive = (policy) => authorizeResource(RESOURCES.HOSPITAL_DRIVE, policy);
+
 // #region DriveCrud
 
 /**
  * @route   POST /api/hospital-ngo-drives
  * @desc    Create a new donation drive request
- * @access  Hospital
+ * @access  Hospital (hospitalId is taken from the token)
  */
-router.post("/", HospitalNgoDriveController.createDrive);
+router.post("/", hospital, requirePermission("drive:create"), bindActingOrganization("hospitalId"), HospitalNgoDriveController.createDrive);
 
 /**
  * @route   GET /api/hospital-ngo-drives/:id
  * @desc    Get drive by ID
- * @access  Hospital/NGO
+ * @access  Hospital/NGO/Blood Bank party to the drive
  */
-router.get("/:id", HospitalNgoDriveController.getDriveById);
+router.get("/:id", anyOrganization, requirePermission("drive:read"), drive(DRIVE_POLICIES.party), HospitalNgoDriveController.getDriveById);
 
 /**
  * @route   PUT /api/hospital-ngo-drives/:id
  * @desc    Update drive
- * @access  Hospital
+ * @access  Owning hospital
  */
-router.put("/:id", HospitalNgoDriveController.updateDrive);
+router.put("/:id", hospital, requirePermission("drive:update"), drive(DRIVE_POLICIES.owner), HospitalNgoDriveController.updateDrive);
 
 /**
  * @route   DELETE /api/hospital-ngo-drives/:id
  * @desc    Delete drive
- * @access  Hospital
+ * @access  Owning hospital
  */
-router.delete("/:id", HospitalNgoDriveController.deleteDrive);
+router.delete("/:id", hospital, requirePermission("drive:update"), drive(DRIVE_POLICIES.owner), HospitalNgoDriveController.deleteDrive);
 
 // #region HospitalEndpoints
 
 /**
  * @route   GET /api/hospital-ngo-drives/hospital/:hospitalId
  * @desc    Get all drives by hospital
- * @access  Hospital
+ * @access  Hospital (own ID only)
  */
-router.get("/hospital/:hospitalId", HospitalNgoDriveController.getDrivesByHospital);
+router.get(
+    "/hospital/:hospitalId",
+    hospital,
+    requirePermission("drive:read"),
+    requireOwnParam("hospitalId"),
+    HospitalNgoDriveController.getDrivesByHospital
+);
 
 /**
  * @route   GET /api/hospital-ngo-drives/hospital/:hospitalId/upcoming
  * @desc    Get upcoming drives for a hospital
- * @access  Hospital
+ * @access  Hospital (own ID only)
  */
-router.get("/hospital/:hospitalId/upcoming", HospitalNgoDriveController.getUpcomingDrives);
+router.get(
+    "/hospital/:hospitalId/upcoming",
+    hospital,
+    requirePermission("drive:read"),
+    requireOwnParam("hospitalId"),
+    HospitalNgoDriveController.getUpcomingDrives
+);
 
 /**
  * @route   GET /api/hospital-ngo-drives/hospital/:hospitalId/stats
  * @desc    Get drive statistics for a hospital
- * @access  Hospital
+ * @access  Hospital (own ID only)
  */
-router.get("/hospital/:hospitalId/stats", HospitalNgoDriveController.getHospitalDriveStats);
+router.get(
+    "/hospital/:hospitalId/stats",
+    hospital,
+    requirePermission("drive:read"),
+    requireOwnParam("hospitalId"),
+    HospitalNgoDriveController.getHospitalDriveStats
+);
 
 // #region NgoEndpoints
 
 /**
  * @route   GET /api/hospital-ngo-drives/ngo/:ngoId
  * @desc    Get all drives by NGO
- * @access  NGO
+ * @access  NGO (own ID only)
  */
-router.get("/ngo/:ngoId", HospitalNgoDriveController.getDrivesByNgo);
+router.get("/ngo/:ngoId", ngo, requirePermission("drive:read"), requireOwnParam("ngoId"), HospitalNgoDriveController.getDrivesByNgo);
 
 /**
  * @route   GET /api/hospital-ngo-drives/ngo/:ngoId/stats
  * @desc    Get drive statistics for an NGO
- * @access  NGO
+ * @access  NGO (own ID only)
  */
-router.get("/ngo/:ngoId/stats", HospitalNgoDriveController.getNgoDriveStats);
+router.get("/ngo/:ngoId/stats", ngo, requirePermission("drive:read"), requireOwnParam("ngoId"), HospitalNgoDriveController.getNgoDriveStats);
 
 /**
  * @route   POST /api/hospital-ngo-drives/:id/accept
  * @desc    Accept drive (NGO action)
- * @access  NGO
+ * @access  Invited NGO
  */
-router.post("/:id/accept", HospitalNgoDriveController.acceptDrive);
+router.post("/:id/accept", ngo, requirePermission("drive:approve"), drive(DRIVE_POLICIES.invitedNgo), HospitalNgoDriveController.acceptDrive);
 
 /**
  * @route   POST /api/hospital-ngo-drives/:id/reject
  * @desc    Reject drive (NGO action)
- * @access  NGO
+ * @access  Invited NGO
  */
-router.post("/:id/reject", HospitalNgoDriveController.rejectDrive);
+router.post("/:id/reject", ngo, requirePermission("drive:approve"), drive(DRIVE_POLICIES.invitedNgo), HospitalNgoDriveController.rejectDrive);
 
 /**
  * @route   POST /api/hospital-ngo-drives/:id/complete
  * @desc    Complete drive
- * @access  Hospital/NGO
+ * @access  Owning hospital/Invited NGO
  */
-router.post("/:id/complete", HospitalNgoDriveController.completeDrive);
+router.post(
+    "/:id/complete",
+    requireOrganization("hospital", "ngo"),
+    requirePermission("drive:update"),
+    drive(DRIVE_POLICIES.organizer),
+    HospitalNgoDriveController.completeDrive
+);
 
 export default router;
@@ -1,4 +1,8 @@
 import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import superAdminAuthMiddleware from "../../middleware/superAdminAuth.middleware.js";
+import { requireOrganization, requireOwnParam, bindSuperAdmin } from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import { HospitalController } from "../../controllers/hospital/HospitalController.js";
 
 const router = express.Router();
@@ -8,23 +12,23 @@ const router = express.Router();
 /**
  * @route   POST /api/hospitals
  * @desc    Create a new hospital
- * @access  Public (or can be protected based on requirements)
+ * @access  Super Admin
  */
-router.post("/", HospitalController.createHospital);
+router.post("/", authMiddleware, superAdminAuthMiddleware, HospitalController.createHospital);
 
 /**
  * @route   GET /api/hospitals/stats
  * @desc    Get hospital statistics
- * @access  Admin
+ * @access  Super Admin
  */
-router.get("/stats", HospitalController.getHospitalStats);
+router.get("/stats", authMiddleware, superAdminAuthMiddleware, HospitalController.getHospitalStats);
 
 /**
  * @route   GET /api/hospitals/stats/by-city
  * @desc    Get hospitals count by city
- * @access  Admin
+ * @access  Super Admin
  */
-router.get("/stats/by-city", HospitalController.getHospitalsByCity);
+router.get("/stats/by-city", authMiddleware, superAdminAuthMiddleware, HospitalController.getHospitalsByCity);
 
 /**
  * @route   GET /api/hospitals
@@ -50,59 +54,98 @@ router.get("/:id", HospitalController.getHospitalById);
 /**
  * @route   PUT /api/hospitals/:id
  * @desc    Update hospital
- * @access  Hospital Admin
+ * @access  Hospital (own record only)
  */
-router.put("/:id", HospitalController.updateHospital);
+router.put(
+    "/:id",
+    authMiddleware,
+    requireOrganization("hospital"),
+    requirePermission("organization:update"),
+    requireOwnParam("id"),
+    HospitalController.updateHospital
+);
 
 /**
  * @route   DELETE /api/hospitals/:id
  * @desc    Delete hospital
- * @access  Admin
+ * @access  Super Admin
  */
-router.delete("/:id", HospitalController.deleteHospital);
+router.delete("/:id", authMiddleware, superAdminAuthMiddleware, HospitalController.deleteHospital);
 
 // #region AdminActions
 
 /**
  * @route   POST /api/hospitals/:id/verify
  * @desc    Verify hospital (Admin only)
- * @access  Admin
+ * @access  Super Admin (adminId is taken from the token)
  */
-router.post("/:id/verify", HospitalController.verifyHospital);
+router.post(
+    "/:id/verify",
+    authMiddleware,
+    superAdminAuthMiddleware,
+    bindSuperAdmin("adminId"),
+    HospitalController.verifyHospital
+);
 
 /**
  * @route   POST /api/hospitals/:id/reject
  * @desc    Reject hospital (Admin only)
- * @access  Admin
+ * @access  Super Admin (adminId is taken from the token)
  */
-router.post("/:id/reject", HospitalController.rejectHospital);
+router.post(
+    "/:id/reject",
+    authMiddleware,
+    superAdminAuthMiddleware,
+    bindSuperAdmin("adminId"),
+    HospitalController.rejectHospital
+);
 
 /**
  * @route   POST /api/hospitals/:id/suspend
  * @desc    Suspend hospital (Admin only)
- * @access  Admin
+ * @access  Super Admin (adminId is taken from the token)
  */
-router.post("/:id/suspend", HospitalController.suspendHospital);
+router.post(
+    "/:id/suspend",
+    authMiddleware,
+    superAdminAuthMiddleware,
+    bindSuperAdmin("adminId"),
+    HospitalController.suspendHospital
+);
 
 /**
  * @route   GET /api/hospitals/:id/actions
  * @desc    Get hospital admin actions
- * @access  Admin
+ * @access  Super Admin
  */
-router.get("/:id/actions", HospitalController.getHospitalActions);
+router.get("/:id/actions", authMiddleware, superAdminAuthMiddleware, HospitalController.getHospitalActions);
 
 /**
- * @route   GET /api/hospitals government/:id/blood-requests
+ * @route   GET /api/hospitals/:id/blood-requests
  * @desc    Get all blood requests for a hospital
- * @access  Hospital Admin
+ * @access  Hospital (own record only)
  */
-router.get("/:id/blood-requests", HospitalController.getHospitalBloodRequests);
+router.get(
+    "/:id/blood-requests",
+    authMiddleware,
+    requireOrganization("hospital"),
+    requirePermission("request:read"),
+    requireOwnParam("id"),
+    HospitalController.getHospitalBloodRequests
+);
 
 /**
  * @route   GET /api/hospitals/:id/ngo-drives
  * @desc    Get all NGO drives for a hospital
- * @access  Hospital Admin
+ * @access  Hospital (own record only)
  */
-router.get("/:id/ngo-drives", HospitalController.getHospitalNgoDrives);
+router.get(
+    "/:id/ngo-drives",
+    authMiddleware,
+    requireOrganization("hospital"),
+    requirePermission("drive:read"),
+    requireOwnParam("id"),
+    HospitalController.getHospitalNgoDrives
+);
 
 export default router;
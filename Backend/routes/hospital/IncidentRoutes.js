@@ -0,0 +1,94 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import {
+    requireOrganization,
+    requireOwnParam,
+    authorizeResource,
+    bindActingOrganization
+} from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import { INCIDENT_POLICIES, RESOURCES } from "../../services/AccessPolicies.js";
+import { IncidentController } from "../../controllers/hospital/IncidentController.js";
+
+const router = express.Router();
+
+// Every route acts for the organization in the caller's JWT
+router.use(authMiddleware);
+
+const hospital = requireOrganization("hospital");
+const bloodBank = requireOrganization("bloodbank");
+const hospitalOrBloodBank = requireOrganization("hospital", "bloodbank");
+const incident = (policy) => authorizeResource(RESOURCES.INCIDENT, policy);
+
+// #region IncidentLifecycle
+
+/**
+ * @route   POST /api/hospital-incidents
+ * @desc    Declare a mass-casualty incident and notify the city's blood banks
+ * @access  Hospital (hospitalId is taken from the token)
+ */
+router.post(
+    "/",
+    hospital,
+    requirePermission("incident:manage"),
+    bindActingOrganization("hospitalId"),
+    IncidentController.declareIncident
+);
+
+/**
+ * @route   GET /api/hospital-incidents/:id
+ * @desc    Get incident by ID with its blood requests
+ * @access  Declaring hospital or a notified blood bank
+ */
+router.get(
+    "/:id",
+    hospitalOrBloodBank,
+    requirePermission("incident:read"),
+    incident(INCIDENT_POLICIES.party),
+    IncidentController.getIncidentById
+);
+
+/**
+ * @route   POST /api/hospital-incidents/:id/close
+ * @desc    Close an incident (unpins it from the admin dashboard)
+ * @access  Declaring hospital
+ */
+router.post(
+    "/:id/close",
+    hospital,
+    requirePermission("incident:manage"),
+    incident(INCIDENT_POLICIES.owner),
+    IncidentController.closeIncident
+);
+
+// #region HospitalEndpoints
+
+/**
+ * @route   GET /api/hospital-incidents/hospital/:hospitalId
+ * @desc    Get all incidents declared by a hospital
+ * @access  Hospital (own ID only)
+ */
+router.get(
+    "/hospital/:hospitalId",
+    hospital,
+    requirePermission("incident:read"),
+    requireOwnParam("hospitalId"),
+    IncidentController.getIncidentsByHospital
+);
+
+// #region BloodBankEndpoints
+
+/**
+ * @route   GET /api/hospital-incidents/blood-bank/:bloodBankId/active
+ * @desc    Get active incidents a blood bank was notified of
+ * @access  Blood Bank (own ID only)
+ */
+router.get(
+    "/blood-bank/:bloodBankId/active",
+    bloodBank,
+    requirePermission("incident:read"),
+    requireOwnParam("bloodBankId"),
+    IncidentController.getActiveIncidentsForBloodBank
+);
+
+export default router;
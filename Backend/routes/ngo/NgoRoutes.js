@@ -19,56 +19,59 @@ import {
 } from "../../controllers/NGO/NgoController.js";
 
 import authMiddleware from "../../middleware/auth.middleware.js";
-import roleMiddleware from "../../middleware/role.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 
 const router = express.Router();
 
 // Apply auth middleware to all routes
 router.use(authMiddleware);
 
+const manageCamps = requirePermission("camp:manage");
+const registerForCamps = requirePermission("camp:register");
+
 // #region CampRoutes
 
-// Create camp (ADMIN only)
-router.post("/camp", roleMiddleware(["ADMIN"]), createCamp);
+// Create camp (camp:manage)
+router.post("/camp", manageCamps, createCamp);
 
-// Get all my camps (ADMIN only)
-router.get("/camp", roleMiddleware(["ADMIN"]), getMyCamps);
+// Get all my camps (camp:manage)
+router.get("/camp", manageCamps, getMyCamps);
 
 // Get camp by ID
 router.get("/camp/:campId", getCampById);
 
-// Update camp (NGO owner only)
-router.put("/camp/:campId", roleMiddleware(["ngo","ADMIN"]), updateCamp);
+// Update camp (NGO owner, camp:manage)
+router.put("/camp/:campId", manageCamps, updateCamp);
 
-// Delete camp (NGO owner only)
-router.delete("/camp/:campId", roleMiddleware(["ngo","ADMIN"]), deleteCamp);
+// Delete camp (NGO owner, camp:manage)
+router.delete("/camp/:campId", manageCamps, deleteCamp);
 
 // #region SlotRoutes
 
-// Create slot for camp (NGO owner only)
-router.post("/slot", roleMiddleware(["ngo","ADMIN"]), createSlot);
+// Create slot for camp (NGO owner, camp:manage)
+router.post("/slot", manageCamps, createSlot);
 
 // Get all slots for a camp
 router.get("/camp/:campId/slots", getSlotsByCamp);
 
-// Update slot (NGO owner only)
-router.put("/slot/:slotId", roleMiddleware(["ngo","ADMIN"]), updateSlot);
+// Update slot (NGO owner, camp:manage)
+router.put("/slot/:slotId", manageCamps, updateSlot);
 
-// Delete slot (NGO owner only)
-router.delete("/slot/:slotId", roleMiddleware(["ngo"]), deleteSlot);
+// Delete slot (NGO owner, camp:manage)
+router.delete("/slot/:slotId", manageCamps, deleteSlot);
 
 // #region RegistrationRoutes
 
-// Register donor to camp slot (Donor/User only)
-router.post("/register", roleMiddleware(["user"]), registerDonorToSlot);
+// Register donor to camp slot (camp:register)
+router.post("/register", registerForCamps, registerDonorToSlot);
 
-// Get my registrations (Donor specific)
-router.get("/registrations", roleMiddleware(["user"]), getMyRegistrations);
+// Get my registrations (camp:register)
+router.get("/registrations", registerForCamps, getMyRegistrations);
 
-// Get all registrations for a camp (NGO owner only)
-router.get("/camp/:campId/registrations", roleMiddleware(["ngo"]), getCampRegistrations);
+// Get all registrations for a camp (NGO owner, camp:manage)
+router.get("/camp/:campId/registrations", manageCamps, getCampRegistrations);
 
-// Cancel registration (Donor can cancel their own)
-router.delete("/registration/:registrationId", roleMiddleware(["user"]), cancelRegistration);
+// Cancel registration (own registration, camp:register)
+router.delete("/registration/:registrationId", registerForCamps, cancelRegistration);
 
 export default router;
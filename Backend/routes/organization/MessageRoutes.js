@@ -0,0 +1,107 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import { getMaxAttachmentBytes } from "../../services/AttachmentStorage.js";
+import {
+  getThreads,
+  getThreadMessages,
+  postMessage,
+  markThreadRead,
+  uploadAttachment,
+  downloadAttachment
+} from "../../controllers/organization/MessageController.js";
+
+const router = express.Router();
+
+// Attachments are sent as the raw request body; the limit is read once .env is loaded
+const rawAttachmentBody = (req, res, next) =>
+  express.raw({ type: () => true, limit: getMaxAttachmentBytes() })(req, res, next);
+
+// #region Threads
+
+/**
+ * Conversations of the caller's organization, most recent first
+ * GET /api/messages/threads
+ * Protected: Organization scoped
+ */
+router.get(
+  "/threads",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:read"),
+  getThreads
+);
+
+// #region Attachments
+
+/**
+ * Download an attachment
+ * GET /api/messages/attachments/:attachmentId
+ * Protected: Participants of the attachment's thread
+ */
+router.get(
+  "/attachments/:attachmentId",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:read"),
+  downloadAttachment
+);
+
+/**
+ * Upload a file (raw body, Content-Type of the file) to send with the next message
+ * POST /api/messages/:entityType/:entityId/attachments?fileName=
+ * Protected: Participants of the thread
+ */
+router.post(
+  "/:entityType/:entityId/attachments",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:send"),
+  rawAttachmentBody,
+  uploadAttachment
+);
+
+// #region Messages
+
+/**
+ * Messages of a blood request or drive
+ * GET /api/messages/:entityType/:entityId
+ * entityType: BLOOD_REQUEST, HOSPITAL_DRIVE or BLOODBANK_DRIVE
+ * Protected: Participants of the thread
+ */
+router.get(
+  "/:entityType/:entityId",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:read"),
+  getThreadMessages
+);
+
+/**
+ * Post a message
+ * POST /api/messages/:entityType/:entityId
+ * Protected: Participants of the thread
+ */
+router.post(
+  "/:entityType/:entityId",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:send"),
+  postMessage
+);
+
+/**
+ * Mark the thread as read by the caller
+ * POST /api/messages/:entityType/:entityId/read
+ * Protected: Participants of the thread
+ */
+router.post(
+  "/:entityType/:entityId/read",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("message:read"),
+  markThreadRead
+);
+
+export default router;
@@ -0,0 +1,70 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import {
+  getInbox,
+  getUnreadCount,
+  markNoticeRead,
+  acknowledgeNotice
+} from "../../controllers/organization/NoticeController.js";
+
+const router = express.Router();
+
+// #region Inbox
+
+/**
+ * Super admin notices sent to the caller's organization, with their unread count
+ * GET /api/notices
+ * Protected: Organization scoped
+ */
+router.get(
+  "/",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notice:read"),
+  getInbox
+);
+
+/**
+ * Unread notices of the caller (navigation badges)
+ * GET /api/notices/unread-count
+ * Protected: Organization scoped
+ */
+router.get(
+  "/unread-count",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notice:read"),
+  getUnreadCount
+);
+
+// #region Actions
+
+/**
+ * Mark a notice as read by the caller
+ * POST /api/notices/:id/read
+ * Protected: Recipient organizations
+ */
+router.post(
+  "/:id/read",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notice:read"),
+  markNoticeRead
+);
+
+/**
+ * Acknowledge a notice for the caller's organization (once per organization)
+ * POST /api/notices/:id/acknowledge
+ * Protected: Recipient organizations
+ */
+router.post(
+  "/:id/acknowledge",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notice:read"),
+  acknowledgeNotice
+);
+
+export default router;
@@ -0,0 +1,156 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import {
+  getRecipients,
+  createRecipient,
+  updateRecipient,
+  deleteRecipient,
+  getTemplates,
+  updateTemplate,
+  resetTemplate,
+  getDeliveries,
+  getPreferences,
+  updatePreferences
+} from "../../controllers/organization/NotificationController.js";
+
+const router = express.Router();
+
+// #region Recipients
+
+/**
+ * Get the organization's recipient list
+ * GET /api/notifications/recipients
+ * Protected: notification:read
+ */
+router.get(
+  "/recipients",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:read"),
+  getRecipients
+);
+
+/**
+ * Add an EMAIL, SMS or WEBHOOK recipient
+ * POST /api/notifications/recipients
+ * Protected: notification:manage
+ */
+router.post(
+  "/recipients",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:manage"),
+  createRecipient
+);
+
+/**
+ * Update a recipient
+ * PUT /api/notifications/recipients/:id
+ * Protected: notification:manage
+ */
+router.put(
+  "/recipients/:id",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:manage"),
+  updateRecipient
+);
+
+/**
+ * Remove a recipient
+ * DELETE /api/notifications/recipients/:id
+ * Protected: notification:manage
+ */
+router.delete(
+  "/recipients/:id",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:manage"),
+  deleteRecipient
+);
+
+// #region Templates
+
+/**
+ * Get default and overridden templates per event
+ * GET /api/notifications/templates
+ * Protected: notification:read
+ */
+router.get(
+  "/templates",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:read"),
+  getTemplates
+);
+
+/**
+ * Override the template of an event
+ * PUT /api/notifications/templates/:event
+ * Protected: notification:manage
+ */
+router.put(
+  "/templates/:event",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:manage"),
+  updateTemplate
+);
+
+/**
+ * Reset an event to the built-in template
+ * DELETE /api/notifications/templates/:event
+ * Protected: notification:manage
+ */
+router.delete(
+  "/templates/:event",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:manage"),
+  resetTemplate
+);
+
+// #region Deliveries
+
+/**
+ * Get the organization's delivery log
+ * GET /api/notifications/deliveries
+ * Protected: notification:read
+ */
+router.get(
+  "/deliveries",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("notification:read"),
+  getDeliveries
+);
+
+// #region Preferences
+
+/**
+ * Get the caller's own notification preferences
+ * GET /api/notifications/preferences
+ * Protected: Any organization user
+ */
+router.get(
+  "/preferences",
+  authMiddleware,
+  organizationAuthMiddleware,
+  getPreferences
+);
+
+/**
+ * Update the caller's own notification preferences
+ * PUT /api/notifications/preferences
+ * Protected: Any organization user
+ */
+router.put(
+  "/preferences",
+  authMiddleware,
+  organizationAuthMiddleware,
+  updatePreferences
+);
+
+export default router;
@@ -0,0 +1,39 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import { requireOrganization } from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import {
+  getApiKeys,
+  createApiKey,
+  revokeApiKey
+} from "../../controllers/organization/OrganizationApiKeyController.js";
+
+const router = express.Router();
+
+// Keys always belong to the organization in the caller's JWT; API keys can't manage keys
+router.use(authMiddleware, requireOrganization(), requirePermission("apikeys:manage"));
+
+// #region ApiKeys
+
+/**
+ * The organization's API keys (never the keys themselves) and the permissions a key can hold
+ * GET /api/organization-api-keys
+ * Protected: apikeys:manage
+ */
+router.get("/", getApiKeys);
+
+/**
+ * Create an API key
+ * POST /api/organization-api-keys
+ * Protected: apikeys:manage
+ */
+router.post("/", createApiKey);
+
+/**
+ * Revoke an API key
+ * DELETE /api/organization-api-keys/:keyId
+ * Protected: apikeys:manage
+ */
+router.delete("/:keyId", revokeApiKey);
+
+export default router;
@@ -0,0 +1,47 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import { requireOrganization } from "../../middleware/resourcePolicy.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
+import {
+  getRoles,
+  getMyPermissions,
+  saveRole,
+  deleteRole
+} from "../../controllers/organization/OrganizationRoleController.js";
+
+const router = express.Router();
+
+// Roles always belong to the organization in the caller's JWT
+router.use(authMiddleware, requireOrganization());
+
+// #region Roles
+
+/**
+ * Built-in and custom roles, and every permission a role can hold
+ * GET /api/organization-roles
+ * Protected: users:read
+ */
+router.get("/", requirePermission("users:read"), getRoles);
+
+/**
+ * The caller's own role and permissions
+ * GET /api/organization-roles/me
+ * Protected: Any organization user
+ */
+router.get("/me", getMyPermissions);
+
+/**
+ * Create or update a role
+ * PUT /api/organization-roles/:role
+ * Protected: roles:manage
+ */
+router.put("/:role", requirePermission("roles:manage"), saveRole);
+
+/**
+ * Delete a custom role, or reset a built-in one
+ * DELETE /api/organization-roles/:role
+ * Protected: roles:manage
+ */
+router.delete("/:role", requirePermission("roles:manage"), deleteRole);
+
+export default router;
@@ -1,7 +1,7 @@
 import express from "express";
 import authMiddleware from "../../middleware/auth.middleware.js";
 import organizationAuthMiddleware from "../../middleware/organizationAuth.middleware.js";
-import roleMiddleware from "../../middleware/role.middleware.js";
+import requirePermission from "../../middleware/permission.middleware.js";
 import {
   createOrganizationUser,
   getOrganizationUsers,
@@ -10,7 +10,9 @@ import {
   deleteOrganizationUser,
   changeUserPassword,
   getUsersByRole,
-  getOrganizationUsersStats
+  getOrganizationUsersStats,
+  getLockedUsers,
+  unlockOrganizationUser
 } from "../../controllers/organization/OrganizationUsersController.js";
 
 const router = express.Router();
@@ -20,13 +22,13 @@ const router = express.Router();
 /**
  * Create a new user for an organization
  * POST /api/organization-users/create
- * Protected: Admin role required
+ * Protected: users:manage
  */
 router.post(
   "/create",
   authMiddleware,
   organizationAuthMiddleware,
-  roleMiddleware(["ADMIN"]),
+  requirePermission("users:manage"),
   createOrganizationUser
 );
 
@@ -35,64 +37,80 @@ router.post(
 /**
  * Get all users for an organization
  * GET /api/organization-users/:organizationCode
- * Protected: Organization scoped
+ * Protected: users:read
  */
 router.get(
   "/:organizationCode",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("users:read"),
   getOrganizationUsers
 );
 
 /**
  * Get user by user code
  * GET /api/organization-users/:organizationCode/user/:userCode
- * Protected: Organization scoped
+ * Protected: users:read
  */
 router.get(
   "/:organizationCode/user/:userCode",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("users:read"),
   getOrganizationUserByCode
 );
 
 /**
  * Get users by role
  * GET /api/organization-users/:organizationCode/role/:role
- * Protected: Organization scoped
+ * Protected: users:read
  */
 router.get(
   "/:organizationCode/role/:role",
   authMiddleware,
   organizationAuthMiddleware,
+  requirePermission("users:read"),
   getUsersByRole
 );
 
 /**
  * Get organization users statistics
  * GET /api/organization-users/:organizationCode/stats
- * Protected: Admin role required
+ * Protected: users:read
  */
 router.get(
   "/:organizationCode/stats",
   authMiddleware,
   organizationAuthMiddleware,
-  roleMiddleware(["Admin"]),
+  requirePermission("users:read"),
   getOrganizationUsersStats
 );
 
+/**
+ * Users locked out by failed logins
+ * GET /api/organization-users/:organizationCode/locked
+ * Protected: users:read
+ */
+router.get(
+  "/:organizationCode/locked",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("users:read"),
+  getLockedUsers
+);
+
 // #region Update
 
 /**
  * Update user details (except password)
  * PUT /api/organization-users/:organizationCode/:userCode
- * Protected: Admin role required
+ * Protected: users:manage
  */
 router.put(
   "/:organizationCode/:userCode",
   authMiddleware,
   organizationAuthMiddleware,
-  roleMiddleware(["Admin"]),
+  requirePermission("users:manage"),
   updateOrganizationUser
 );
 
@@ -108,18 +126,31 @@ router.put(
   changeUserPassword
 );
 
+/**
+ * Lift a login lock before it runs out
+ * POST /api/organization-users/:organizationCode/:userCode/unlock
+ * Protected: users:manage
+ */
+router.post(
+  "/:organizationCode/:userCode/unlock",
+  authMiddleware,
+  organizationAuthMiddleware,
+  requirePermission("users:manage"),
+  unlockOrganizationUser
+);
+
 // #region Delete
 
 /**
  * Delete user
  * DELETE /api/organization-users/:organizationCode/:userCode
- * Protected: Admin role required
+ * Protected: users:manage
  */
 router.delete(
   "/:organizationCode/:userCode",
   authMiddleware,
   organizationAuthMiddleware,
-  roleMiddleware(["Admin"]),
+  requirePermission("users:manage"),
   deleteOrganizationUser
 );
 
@@ -0,0 +1,13 @@
+import express from "express";
+import authMiddleware from "../../middleware/auth.middleware.js";
+import queryTokenMiddleware from "../../middleware/queryToken.middleware.js";
+import { openStream } from "../../controllers/realtime/RealtimeController.js";
+
+const router = express.Router();
+
+// #region RealtimeRoutes
+
+// Live event stream (EventSource passes the JWT as ?token=)
+router.get("/stream", queryTokenMiddleware, authMiddleware, openStream);
+
+export default router;
@@ -1,6 +1,15 @@
 import dotenv from "dotenv";
 import { connectDB, disconnectDB } from "./config/db.js";
 import app from "./app.js";
+import JobScheduler from "./services/JobScheduler.js";
+import { registerScheduledJobs } from "./services/ScheduledJobs.js";
+import { registerRequestAuditListener } from "./services/BloodRequestAuditListener.js";
+import { registerRealtimeBroadcaster } from "./services/RealtimeBroadcaster.js";
+import { registerRequestNotificationListener } from "./services/RequestNotificationListener.js";
+import { registerAlertNotificationListener } from "./services/AlertNotificationListener.js";
+import { registerAlertRuleListener } from "./services/AlertRuleListener.js";
+import RealtimeHub from "./services/RealtimeHub.js";
+import { getJwtSecret } from "./config/jwt.js";
 
 dotenv.config();
 
@@ -13,9 +22,29 @@ const PORT = process.env.PORT || 5000;
  */
 const startServer = async () => {
   try {
+    // Tokens can't be signed or checked without a secret
+    getJwtSecret();
+
     // Connect to MongoDB
     await connectDB();
 
+    // Audit every blood request state change
+    registerRequestAuditListener();
+
+    // Push request, stock and alert changes to live dashboards
+    registerRealtimeBroadcaster();
+
+    // Email/SMS/webhook notifications on request creation, acceptance and escalation, and on new alerts
+    registerRequestNotificationListener();
+    registerAlertNotificationListener();
+
+    // Stock alert rules re-evaluated on every stock change
+    registerAlertRuleListener();
+
+    // Expiries, escalations and retention run as scheduled jobs
+    registerScheduledJobs();
+    await JobScheduler.start();
+
     // Start Express server
     const server = app.listen(PORT, () => {
       console.log(`
@@ -33,6 +62,9 @@ const startServer = async () => {
     // Graceful shutdown
     process.on("SIGINT", async () => {
       console.log("\n Shutting down gracefully...");
+      JobScheduler.stop();
+      // Open event streams would otherwise keep the server from closing
+      RealtimeHub.closeAll();
       server.close(async () => {
         await disconnectDB();
         console.log("Server closed");
@@ -42,6 +74,8 @@ const startServer = async () => {
 
     process.on("SIGTERM", async () => {
       console.log("\n Shutting down gracefully...");
+      JobScheduler.stop();
+      RealtimeHub.closeAll();
       server.close(async () => {
         await disconnectDB();
         console.log("Server closed");
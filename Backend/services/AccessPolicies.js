@@ -0,0 +1,93 @@
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import HospitalNgoDrive from "../models/hospital/HospitalNgoDrive.js";
+import Incident from "../models/hospital/Incident.js";
+
+// #region Helpers
+
+const sameId = (a, b) => Boolean(a) && Boolean(b) && a.toString() === b.toString();
+
+const includesId = (ids, id) => (ids || []).some((entry) => sameId(entry, id));
+
+// #region BloodRequestPolicies
+
+/**
+ * Who may act on a blood request. Each policy receives the request, the
+ * acting organization ({ id, code, name, type }) and the Express request
+ * (for route params such as allocationId).
+ */
+export const REQUEST_POLICIES = {
+  // The hospital that raised it
+  owner: (request, organization) => sameId(request.hospitalId, organization.id),
+
+  // The bank it was sent to, or any bank escalation asked to respond
+  targetedBank: (request, organization) =>
+    sameId(request.bloodBankId, organization.id) ||
+    includesId(request.escalation?.notifiedBloodBankIds, organization.id),
+
+  // The bank serving it
+  assignedBank: (request, organization) => sameId(request.bloodBankId, organization.id),
+
+  // The bank serving it once there is one; until then the notified banks
+  // (which can only decline, see HospitalBloodRequest.rejectRequest)
+  respondingBank: (request, organization) =>
+    request.bloodBankId
+      ? REQUEST_POLICIES.assignedBank(request, organization)
+      : REQUEST_POLICIES.targetedBank(request, organization),
+
+  // The bank holding the allocation named in the route
+  allocationBank: (request, organization, req) =>
+    (request.allocations || []).some(
+      (allocation) =>
+        sameId(allocation._id, req.params.allocationId) && sameId(allocation.bloodBankId, organization.id)
+    ),
+
+  // Anyone the request concerns
+  party: (request, organization) =>
+    REQUEST_POLICIES.owner(request, organization) ||
+    REQUEST_POLICIES.targetedBank(request, organization) ||
+    (request.allocations || []).some((allocation) => sameId(allocation.bloodBankId, organization.id))
+};
+
+// #region DrivePolicies
+
+/**
+ * Who may act on a hospital-NGO donation drive
+ */
+export const DRIVE_POLICIES = {
+  owner: (drive, organization) => sameId(drive.hospitalId, organization.id),
+
+  invitedNgo: (drive, organization) => sameId(drive.ngoId, organization.id),
+
+  // The hospital or the NGO running it
+  organizer: (drive, organization) =>
+    DRIVE_POLICIES.owner(drive, organization) || DRIVE_POLICIES.invitedNgo(drive, organization),
+
+  party: (drive, organization) =>
+    DRIVE_POLICIES.organizer(drive, organization) || sameId(drive.bloodBankId, organization.id)
+};
+
+// #region IncidentPolicies
+
+/**
+ * Who may act on a mass-casualty incident
+ */
+export const INCIDENT_POLICIES = {
+  // The hospital that declared it
+  owner: (incident, organization) => sameId(incident.hospitalId, organization.id),
+
+  // The hospital, or a blood bank it notified
+  party: (incident, organization) =>
+    INCIDENT_POLICIES.owner(incident, organization) ||
+    includesId(incident.notifiedBloodBankIds, organization.id)
+};
+
+// #region Resources
+
+/**
+ * How each guarded resource is loaded from the `:id` route param
+ */
+export const RESOURCES = {
+  BLOOD_REQUEST: { label: "Blood request", load: (id) => HospitalBloodRequest.findById(id) },
+  HOSPITAL_DRIVE: { label: "Drive", load: (id) => HospitalNgoDrive.findById(id) },
+  INCIDENT: { label: "Incident", load: (id) => Incident.findById(id) }
+};
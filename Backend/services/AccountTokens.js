@@ -0,0 +1,149 @@
+import crypto from "crypto";
+import AccountToken from "../models/auth/AccountToken.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import Sessions, { SUBJECT_TYPES, REVOKE_REASONS } from "./Sessions.js";
+import { sendAccountMail } from "./Mailer.js";
+
+// #region Configuration
+
+export const TOKEN_PURPOSES = {
+  ACTIVATION: "ACTIVATION",
+  PASSWORD_RESET: "PASSWORD_RESET"
+};
+
+const DEFAULT_ACTIVATION_TTL_HOURS = 72;
+const DEFAULT_PASSWORD_RESET_TTL_MINUTES = 60;
+
+const getTokenTtlMs = (purpose) =>
+  purpose === TOKEN_PURPOSES.ACTIVATION
+    ? (Number(process.env.ACTIVATION_TOKEN_TTL_HOURS) || DEFAULT_ACTIVATION_TTL_HOURS) * 60 * 60 * 1000
+    : (Number(process.env.PASSWORD_RESET_TOKEN_TTL_MINUTES) || DEFAULT_PASSWORD_RESET_TTL_MINUTES) * 60 * 1000;
+
+// Frontend pages that take the token from ?token=
+const LINK_PATHS = {
+  [TOKEN_PURPOSES.ACTIVATION]: "/activate",
+  [TOKEN_PURPOSES.PASSWORD_RESET]: "/reset-password"
+};
+
+const getLinkBaseUrl = () => {
+  if (process.env.ACCOUNT_LINK_BASE_URL) {
+    return process.env.ACCOUNT_LINK_BASE_URL.replace(/\/$/, "");
+  }
+  return (process.env.CORS_ORIGIN || "http://localhost:5173").split(",")[0].trim();
+};
+
+// #region Helpers
+
+export const hashAccountToken = (token) => crypto.createHash("sha256").update(String(token)).digest("hex");
+
+const failure = (message, statusCode = 400) => ({ success: false, message, statusCode });
+
+// #region AccountTokens
+
+/**
+ * AccountTokens
+ *
+ * Emailed single-use links for organization users. Approval creates the
+ * organization admin without a password and sends an activation link; the
+ * admin cannot sign in until they choose one through it. Password reset uses
+ * the same tokens. Issuing a token withdraws the user's earlier unused
+ * tokens of the same purpose, so only the latest link works.
+ */
+class AccountTokens {
+  /**
+   * Issue a token and email its link
+   * @param {string} purpose - TOKEN_PURPOSES
+   * @param {Object} user - { organizationCode, organizationName, userCode, name, email }
+   * @returns {Promise<Object>} { expiresAt }
+   */
+  async send(purpose, user) {
+    const token = crypto.randomBytes(32).toString("base64url");
+    const expiresAt = new Date(Date.now() + getTokenTtlMs(purpose));
+
+    await AccountToken.invalidate(purpose, user.organizationCode, user.userCode);
+    await AccountToken.create({
+      purpose,
+      organizationCode: user.organizationCode,
+      userCode: user.userCode,
+      email: user.email,
+      tokenHash: hashAccountToken(token),
+      expiresAt
+    });
+
+    await sendAccountMail(purpose, user.email, {
+      name: user.name,
+      organizationName: user.organizationName,
+      userCode: user.userCode,
+      link: `${getLinkBaseUrl()}${LINK_PATHS[purpose]}?token=${encodeURIComponent(token)}`,
+      expiresAt: expiresAt.toUTCString()
+    });
+
+    return { expiresAt };
+  }
+
+  /**
+   * Send (or send again) the activation link of a user who has not activated yet
+   */
+  async sendActivation(user) {
+    return this.send(TOKEN_PURPOSES.ACTIVATION, user);
+  }
+
+  /**
+   * Activate an account with the password its admin chose
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async activate(token, password) {
+    const consumed = await AccountToken.consume(TOKEN_PURPOSES.ACTIVATION, hashAccountToken(token));
+    if (!consumed) {
+      return failure("Activation link is invalid or has expired");
+    }
+
+    const user = await OrganizationUser.setPassword(consumed.organizationCode, consumed.userCode, password, {
+      activate: true
+    });
+    if (!user) {
+      return failure("Account not found", 404);
+    }
+
+    console.log(`[ACCOUNT_TOKENS] ${user.userCode} activated`);
+    return { success: true, user };
+  }
+
+  /**
+   * Email a password reset link. Unknown and inactive accounts are skipped
+   * silently so the endpoint does not reveal which emails are registered;
+   * accounts still waiting for activation get a fresh activation link.
+   */
+  async requestPasswordReset(organizationCode, email) {
+    const user = await OrganizationUser.findByUserEmail(organizationCode, email).catch(() => null);
+    if (!user || user.status === "INACTIVE") {
+      console.warn(`[ACCOUNT_TOKENS] Password reset for unknown or inactive account ${organizationCode}/${email}`);
+      return;
+    }
+
+    const purpose = user.status === "PENDING_ACTIVATION" ? TOKEN_PURPOSES.ACTIVATION : TOKEN_PURPOSES.PASSWORD_RESET;
+    await this.send(purpose, user);
+  }
+
+  /**
+   * Set a new password from a reset link; every session of the account ends
+   * @returns {Promise<Object>} { success, user } or { success: false, message, statusCode }
+   */
+  async resetPassword(token, password) {
+    const consumed = await AccountToken.consume(TOKEN_PURPOSES.PASSWORD_RESET, hashAccountToken(token));
+    if (!consumed) {
+      return failure("Reset link is invalid or has expired");
+    }
+
+    const user = await OrganizationUser.setPassword(consumed.organizationCode, consumed.userCode, password);
+    if (!user) {
+      return failure("Account not found", 404);
+    }
+
+    await Sessions.revokeAllForSubject(SUBJECT_TYPES.ORGANIZATION_USER, user._id, REVOKE_REASONS.PASSWORD_CHANGED);
+    console.log(`[ACCOUNT_TOKENS] Password of ${user.userCode} reset`);
+    return { success: true, user };
+  }
+}
+
+export default new AccountTokens();
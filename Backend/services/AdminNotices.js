@@ -0,0 +1,245 @@
+import AdminNotice from "../models/admin/AdminNotice.js";
+import { Organization } from "../models/organization/Organization.js";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "./RealtimeEvents.js";
+
+// #region Configuration
+
+export const NOTICE_PRIORITIES = ["LOW", "NORMAL", "HIGH", "CRITICAL"];
+
+export const NOTICE_SCOPES = {
+  ORGANIZATION: "ORGANIZATION", // Chosen organizations
+  ORGANIZATION_TYPE: "ORGANIZATION_TYPE", // Every approved hospital, blood bank and/or NGO
+  ALL: "ALL" // Every approved organization
+};
+
+export const ORGANIZATION_TYPES = ["hospital", "bloodbank", "ngo"];
+
+export const MAX_NOTICE_TITLE_LENGTH = 200;
+export const MAX_NOTICE_BODY_LENGTH = 5000;
+
+// #region Helpers
+
+const invalid = (message) => ({ success: false, message, statusCode: 400 });
+
+/**
+ * Notice as organizations receive it: no recipient list, reads or other
+ * organizations' acknowledgments
+ */
+export const toNoticeView = (notice) => ({
+  _id: notice._id,
+  title: notice.title,
+  body: notice.body,
+  priority: notice.priority,
+  requiresAcknowledgment: notice.requiresAcknowledgment,
+  sentBy: { name: notice.sentBy?.name || "" },
+  createdAt: notice.createdAt
+});
+
+// #region AdminNotices
+
+/**
+ * AdminNotices
+ *
+ * Notices from super admins to organizations, replacing the static "Admin
+ * Messages" page. A notice goes to chosen organizations, to every approved
+ * organization of some types or to every approved organization; recipients
+ * are resolved when it is sent. Each user's reads are tracked for their
+ * unread count, and notices that require it are acknowledged once per
+ * organization.
+ *
+ * Organization callers are { organizationId, organizationName, userCode, name }.
+ */
+class AdminNotices {
+  /**
+   * Check a notice and resolve who receives it
+   * @param {Object} input - { title, body, priority, requiresAcknowledgment, audience: { scope, organizationIds, organizationTypes } }
+   * @returns {Promise<Object>} { success, notice } or { success: false, message, statusCode }
+   */
+  async prepare({ title, body, priority = "NORMAL", requiresAcknowledgment = false, audience = {} } = {}) {
+    const cleanTitle = typeof title === "string" ? title.trim() : "";
+    const cleanBody = typeof body === "string" ? body.trim() : "";
+    if (!cleanTitle || !cleanBody) {
+      return invalid("Title and message are required");
+    }
+    if (cleanTitle.length > MAX_NOTICE_TITLE_LENGTH) {
+      return invalid(`Title is longer than ${MAX_NOTICE_TITLE_LENGTH} characters`);
+    }
+    if (cleanBody.length > MAX_NOTICE_BODY_LENGTH) {
+      return invalid(`Message is longer than ${MAX_NOTICE_BODY_LENGTH} characters`);
+    }
+    if (!NOTICE_PRIORITIES.includes(priority)) {
+      return invalid(`Priority must be one of: ${NOTICE_PRIORITIES.join(", ")}`);
+    }
+
+    let recipients;
+    let organizationIds = [];
+    let organizationTypes = [];
+
+    switch (audience.scope) {
+      case NOTICE_SCOPES.ORGANIZATION: {
+        organizationIds = [...new Set((audience.organizationIds || []).map(String))];
+        if (organizationIds.length === 0) {
+          return invalid("Choose at least one organization");
+        }
+        recipients = await Organization.findByIds(organizationIds);
+        if (recipients.length !== organizationIds.length) {
+          return invalid("Organization not found");
+        }
+        break;
+      }
+      case NOTICE_SCOPES.ORGANIZATION_TYPE: {
+        organizationTypes = [...new Set(audience.organizationTypes || [])];
+        if (organizationTypes.length === 0 || organizationTypes.some((type) => !ORGANIZATION_TYPES.includes(type))) {
+          return invalid(`Organization types must be among: ${ORGANIZATION_TYPES.join(", ")}`);
+        }
+        recipients = await Organization.findApprovedByTypes(organizationTypes);
+        break;
+      }
+      case NOTICE_SCOPES.ALL:
+        recipients = await Organization.findApprovedByTypes(ORGANIZATION_TYPES);
+        break;
+      default:
+        return invalid(`Audience scope must be one of: ${Object.values(NOTICE_SCOPES).join(", ")}`);
+    }
+
+    if (recipients.length === 0) {
+      return invalid("No approved organization matches this audience");
+    }
+
+    return {
+      success: true,
+      notice: {
+        title: cleanTitle,
+        body: cleanBody,
+        priority,
+        requiresAcknowledgment: Boolean(requiresAcknowledgment),
+        audience: { scope: audience.scope, organizationIds, organizationTypes },
+        recipientIds: recipients.map((organization) => organization._id)
+      }
+    };
+  }
+
+  /**
+   * Send a notice and push it to the recipients' dashboards
+   * @param {Object} input - See prepare()
+   * @param {Object} admin - { adminCode, name, email }
+   */
+  async send(input, admin) {
+    const prepared = await this.prepare(input);
+    if (!prepared.success) return prepared;
+
+    const notice = await AdminNotice.create({ ...prepared.notice, sentBy: admin });
+    emitRealtimeEvent(REALTIME_EVENTS.NOTICE_SENT, { notice });
+
+    return { success: true, notice: { ...toNoticeView(notice), recipientCount: notice.recipientIds.length } };
+  }
+
+  /**
+   * Per-organization delivery of a notice: who has read it and who has
+   * acknowledged it
+   * @returns {Promise<Object>} { success, notice, recipients, summary } or { success: false, message, statusCode }
+   */
+  async getTracking(noticeId) {
+    const notice = await AdminNotice.findById(noticeId);
+    if (!notice) {
+      return { success: false, message: "Notice not found", statusCode: 404 };
+    }
+
+    const organizations = await Organization.findByIds(notice.recipientIds);
+    const recipients = organizations.map((organization) => {
+      const id = String(organization._id);
+      const reads = notice.reads.filter((read) => String(read.organizationId) === id);
+      return {
+        organizationId: organization._id,
+        organizationCode: organization.organizationCode,
+        name: organization.name,
+        type: organization.type,
+        readCount: reads.length,
+        firstReadAt: reads[0]?.readAt || null,
+        acknowledgment: notice.acknowledgments.find((ack) => String(ack.organizationId) === id) || null
+      };
+    });
+
+    const { reads, acknowledgments, recipientIds, ...details } = notice;
+    return {
+      success: true,
+      notice: details,
+      recipients,
+      summary: {
+        recipients: recipientIds.length,
+        read: recipients.filter((recipient) => recipient.readCount > 0).length,
+        acknowledged: acknowledgments.length,
+        pendingAcknowledgment: notice.requiresAcknowledgment ? recipientIds.length - acknowledgments.length : 0
+      }
+    };
+  }
+
+  /**
+   * Inbox of the caller's organization with the caller's unread count
+   * @returns {Promise<Object>} { notices, unreadCount }
+   */
+  async inbox(caller) {
+    const [notices, unreadCount] = await Promise.all([
+      AdminNotice.findForOrganization(caller.organizationId, caller.userCode),
+      AdminNotice.countUnread(caller.organizationId, caller.userCode)
+    ]);
+    return {
+      notices: notices.map((notice) => ({ ...notice, acknowledgment: notice.acknowledgment || null })),
+      unreadCount
+    };
+  }
+
+  async countUnread(caller) {
+    return await AdminNotice.countUnread(caller.organizationId, caller.userCode);
+  }
+
+  /**
+   * Load a notice the caller's organization received
+   */
+  async resolve(noticeId, caller) {
+    const notice = await AdminNotice.findById(noticeId);
+    if (!notice || !notice.recipientIds.some((id) => String(id) === String(caller.organizationId))) {
+      return { success: false, message: "Notice not found", statusCode: 404 };
+    }
+    return { success: true, notice };
+  }
+
+  /**
+   * The caller opened the notice
+   * @returns {Promise<Object>} { success, marked }
+   */
+  async markRead(noticeId, caller) {
+    const resolved = await this.resolve(noticeId, caller);
+    if (!resolved.success) return resolved;
+
+    const marked = await AdminNotice.markRead(noticeId, caller);
+    return { success: true, marked };
+  }
+
+  /**
+   * Acknowledge a notice for the caller's organization (also marks it read)
+   * @returns {Promise<Object>} { success, acknowledgment } or { success: false, message, statusCode }
+   */
+  async acknowledge(noticeId, caller) {
+    const resolved = await this.resolve(noticeId, caller);
+    if (!resolved.success) return resolved;
+
+    if (!resolved.notice.requiresAcknowledgment) {
+      return invalid("This notice doesn't need an acknowledgment");
+    }
+
+    const notice = await AdminNotice.acknowledge(noticeId, caller);
+    if (!notice) {
+      return { success: false, message: "Your organization has already acknowledged this notice", statusCode: 409 };
+    }
+    await AdminNotice.markRead(noticeId, caller);
+
+    const acknowledgment = notice.acknowledgments.find(
+      (ack) => String(ack.organizationId) === String(caller.organizationId)
+    );
+    emitRealtimeEvent(REALTIME_EVENTS.NOTICE_ACKNOWLEDGED, { notice, acknowledgment });
+    return { success: true, acknowledgment };
+  }
+}
+
+export default new AdminNotices();
@@ -0,0 +1,62 @@
+import NotificationDispatcher from "./NotificationDispatcher.js";
+import { NOTIFICATION_EVENTS } from "./NotificationTemplates.js";
+import { REALTIME_EVENTS, realtimeEvents } from "./RealtimeEvents.js";
+import { getAlertAudience } from "./RealtimeBroadcaster.js";
+
+let registered = false;
+
+/**
+ * Template variables, webhook payload and delivery link of an alert
+ * @param {Object} alert
+ * @param {Object} extraVariables - e.g. { tier, tierLabel } for escalations
+ */
+export const buildAlertNotification = (alert, extraVariables = {}) => ({
+  variables: {
+    alertType: alert.type,
+    alertTitle: alert.title,
+    alertMessage: alert.message,
+    severity: alert.severity,
+    ...extraVariables
+  },
+  payload: {
+    alertId: alert._id,
+    type: alert.type,
+    title: alert.title,
+    message: alert.message,
+    severity: alert.severity,
+    relatedEntity: alert.relatedEntity,
+    relatedEntityType: alert.relatedEntityType,
+    ...extraVariables
+  },
+  relatedEntity: { alertId: alert._id }
+});
+
+/**
+ * Send a new alert to the organizations it concerns and to super admins,
+ * as far as each user's preferences allow
+ */
+const sendAlertNotification = async ({ alert }) => {
+  try {
+    await NotificationDispatcher.notify(NOTIFICATION_EVENTS.ALERT_RAISED, {
+      organizationIds: getAlertAudience(alert).organizationIds,
+      superAdmins: true,
+      critical: alert.severity === "CRITICAL",
+      ...buildAlertNotification(alert)
+    });
+  } catch (error) {
+    console.error(`[ALERT_NOTIFY] Failed to notify alert ${alert._id}:`, error);
+  }
+};
+
+/**
+ * Notify users and recipient lists of new alerts (idempotent)
+ */
+export const registerAlertNotificationListener = () => {
+  if (registered) {
+    return;
+  }
+  realtimeEvents.on(REALTIME_EVENTS.ALERT_CREATED, sendAlertNotification);
+  registered = true;
+};
+
+export default registerAlertNotificationListener;
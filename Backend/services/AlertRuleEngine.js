@@ -0,0 +1,331 @@
+import { ObjectId } from "mongodb";
+import { getDB } from "../config/db.js";
+import AlertRule, { RULE_SCOPES, RULE_COMPARISONS } from "../models/admin/AlertRule.js";
+import Alert from "../models/admin/Alert.js";
+import AlertWorkflow from "./AlertWorkflow.js";
+import { BLOOD_COMPONENTS, UNIT_STATUS } from "../models/admin/BloodUnit.js";
+import { BLOOD_GROUPS } from "./BloodCompatibility.js";
+import { VERIFIED_STATUSES } from "./EscalationEngine.js";
+
+// #region Rules
+
+const MINUTE_MS = 60 * 1000;
+
+export const ALERT_SEVERITIES = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+const RULE_FIELDS = [
+  "name",
+  "scope",
+  "bloodGroup",
+  "component",
+  "comparison",
+  "threshold",
+  "windowMinutes",
+  "severity",
+  "isActive"
+];
+
+/**
+ * Validate a new rule, or an update merged over the current rule
+ * @param {Object} input - Rule fields (see models/admin/AlertRule.js)
+ * @param {Object|null} current - Rule being updated
+ * @returns {Object} { rule } with every definition field, or { error }
+ */
+export const validateRule = (input = {}, current = null) => {
+  const rule = {};
+  RULE_FIELDS.forEach((field) => {
+    rule[field] = input[field] !== undefined ? input[field] : current?.[field];
+  });
+  rule.bloodGroup = rule.bloodGroup || null;
+  rule.component = rule.component || null;
+  rule.comparison = rule.comparison || RULE_COMPARISONS.BELOW;
+  rule.windowMinutes = rule.windowMinutes ?? 0;
+  rule.isActive = rule.isActive ?? true;
+
+  const errors = [];
+  if (typeof rule.name !== "string" || !rule.name.trim()) {
+    errors.push("Rule name is required");
+  }
+
+  const scope = rule.scope || {};
+  if (!Object.values(RULE_SCOPES).includes(scope.type)) {
+    errors.push(`Scope type must be one of: ${Object.values(RULE_SCOPES).join(", ")}`);
+  } else if (scope.type === RULE_SCOPES.CITY && !scope.city) {
+    errors.push("A city is required for CITY rules");
+  } else if (scope.type === RULE_SCOPES.BANK && !ObjectId.isValid(String(scope.bloodBankId || ""))) {
+    errors.push("A valid bloodBankId is required for BANK rules");
+  }
+  rule.scope = {
+    type: scope.type,
+    city: scope.type === RULE_SCOPES.CITY ? String(scope.city || "").trim() : null,
+    bloodBankId: scope.type === RULE_SCOPES.BANK ? scope.bloodBankId : null
+  };
+
+  if (rule.bloodGroup && !BLOOD_GROUPS.includes(rule.bloodGroup)) {
+    errors.push(`Invalid blood group. Must be one of: ${BLOOD_GROUPS.join(", ")}`);
+  }
+  if (rule.component && !BLOOD_COMPONENTS.includes(rule.component)) {
+    errors.push(`Invalid component. Must be one of: ${BLOOD_COMPONENTS.join(", ")}`);
+  }
+  if (!Object.values(RULE_COMPARISONS).includes(rule.comparison)) {
+    errors.push(`Comparison must be one of: ${Object.values(RULE_COMPARISONS).join(", ")}`);
+  }
+  if (typeof rule.threshold !== "number" || !Number.isFinite(rule.threshold) || rule.threshold < 0) {
+    errors.push("Threshold must be a non-negative number of units");
+  }
+  if (!Number.isInteger(rule.windowMinutes) || rule.windowMinutes < 0) {
+    errors.push("windowMinutes must be a non-negative whole number");
+  }
+  if (!ALERT_SEVERITIES.includes(rule.severity)) {
+    errors.push(`Severity must be one of: ${ALERT_SEVERITIES.join(", ")}`);
+  }
+  if (typeof rule.isActive !== "boolean") {
+    errors.push("isActive must be true or false");
+  }
+
+  if (errors.length > 0) {
+    return { error: errors.join(", ") };
+  }
+  rule.name = rule.name.trim();
+  return { rule };
+};
+
+/**
+ * Whether a measured stock level meets the rule's alert condition
+ */
+export const isBreached = (rule, value) =>
+  rule.comparison === RULE_COMPARISONS.AT_OR_BELOW ? value <= rule.threshold : value < rule.threshold;
+
+// "O- PLASMA", "O-", "PLASMA" or "total"
+const describeStock = (rule) => [rule.bloodGroup, rule.component].filter(Boolean).join(" ") || "total";
+
+const describeScope = (rule) => {
+  if (rule.scope.type === RULE_SCOPES.CITY) return `Blood banks in ${rule.scope.city}`;
+  if (rule.scope.type === RULE_SCOPES.BANK) return "The blood bank";
+  return "All blood banks";
+};
+
+/**
+ * Free units (units minus reserved) of one group, or of every group, in
+ * blood_stock documents
+ */
+export const sumFreeUnits = (stocks, bloodGroup = null) =>
+  stocks.reduce((total, stock) => {
+    const groups = bloodGroup ? [bloodGroup] : Object.keys(stock.bloodStock || {});
+    return total + groups.reduce((sum, group) => {
+      const entry = stock.bloodStock?.[group];
+      return sum + Math.max(0, (entry?.units ?? 0) - (entry?.reserved ?? 0));
+    }, 0);
+  }, 0);
+
+// #region AlertRuleEngine
+
+/**
+ * AlertRuleEngine
+ *
+ * Evaluates admin-defined stock rules (models/admin/AlertRule.js) on every
+ * stock change at a bank in the rule's scope and on the alert-rules
+ * schedule, which also catches comparison windows running out between
+ * stock changes:
+ * - a rule without a component measures free units in blood_stock; with a
+ *   component it counts AVAILABLE bags in blood_units, so it only sees
+ *   banks that register bags
+ * - once the condition has held for windowMinutes the rule raises one
+ *   alert (CRITICAL_SHORTAGE for CRITICAL rules, LOW_STOCK_WARNING
+ *   otherwise); further evaluations leave it alone
+ * - when the condition clears the alert is resolved and the rule re-arms
+ */
+class AlertRuleEngine {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  getOrganizations() {
+    return getDB().collection("organizations");
+  }
+
+  /**
+   * Blood banks a rule covers (null = every bank)
+   */
+  async getScopeBloodBankIds(rule) {
+    if (rule.scope.type === RULE_SCOPES.BANK) {
+      return [new ObjectId(rule.scope.bloodBankId)];
+    }
+    if (rule.scope.type === RULE_SCOPES.CITY) {
+      const escapedCity = rule.scope.city.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+      const bloodBanks = await this.getOrganizations()
+        .find({
+          type: "bloodbank",
+          status: { $in: VERIFIED_STATUSES },
+          "location.city": new RegExp(`^${escapedCity}$`, "i")
+        })
+        .project({ _id: 1 })
+        .toArray();
+      return bloodBanks.map((bloodBank) => bloodBank._id);
+    }
+    return null;
+  }
+
+  /**
+   * Current stock level the rule compares against its threshold
+   * @returns {Promise<Object>} { value, bloodBankIds }
+   */
+  async measure(rule) {
+    const bloodBankIds = await this.getScopeBloodBankIds(rule);
+    const bankFilter = bloodBankIds ? { bloodBankId: { $in: bloodBankIds } } : {};
+
+    if (rule.component) {
+      const value = await getDB().collection("blood_units").countDocuments({
+        ...bankFilter,
+        component: rule.component,
+        status: UNIT_STATUS.AVAILABLE,
+        ...(rule.bloodGroup && { bloodGroup: rule.bloodGroup })
+      });
+      return { value, bloodBankIds };
+    }
+
+    const stocks = await getDB()
+      .collection("blood_stock")
+      .find(bankFilter)
+      .project({ bloodStock: 1 })
+      .toArray();
+    return { value: sumFreeUnits(stocks, rule.bloodGroup), bloodBankIds };
+  }
+
+  /**
+   * Evaluate one rule
+   * @returns {Promise<string|null>} "RAISED", "RESOLVED" or null when nothing changed
+   */
+  async evaluateRule(rule, now = new Date()) {
+    const { value, bloodBankIds } = await this.measure(rule);
+
+    if (!isBreached(rule, value)) {
+      const before = await AlertRule.clearBreach(rule._id, value, now);
+      if (!before?.activeAlertId) {
+        return null;
+      }
+      await AlertWorkflow.resolve(
+        before.activeAlertId,
+        `${describeStock(rule)} stock back to ${value} unit(s)`,
+        "alert-rule"
+      );
+      return "RESOLVED";
+    }
+
+    const updated = await AlertRule.recordBreach(rule._id, value, now);
+    if (!updated || updated.triggeredAt) {
+      return null;
+    }
+    if (now.getTime() - updated.breachedSince.getTime() < updated.windowMinutes * MINUTE_MS) {
+      return null;
+    }
+
+    // Only one evaluation raises the alert when stock changes arrive together
+    const claimed = await AlertRule.markTriggered(rule._id, now);
+    if (!claimed) {
+      return null;
+    }
+
+    const alert = await this.raiseAlert(updated, value, bloodBankIds);
+    const linked = await AlertRule.setActiveAlert(rule._id, claimed.triggeredAt, alert._id);
+    if (!linked) {
+      await AlertWorkflow.resolve(alert._id, "Condition cleared while the alert was raised", "alert-rule");
+    }
+    return "RAISED";
+  }
+
+  async raiseAlert(rule, value, bloodBankIds) {
+    const comparison = rule.comparison === RULE_COMPARISONS.AT_OR_BELOW ? "at or below" : "below";
+    return await Alert.create({
+      type: rule.severity === "CRITICAL" ? "CRITICAL_SHORTAGE" : "LOW_STOCK_WARNING",
+      title: `${rule.name}: ${value} ${describeStock(rule)} unit(s) left`,
+      message:
+        `${describeScope(rule)} hold ${value} available ${describeStock(rule)} unit(s), ` +
+        `${comparison} the threshold of ${rule.threshold}.`,
+      severity: rule.severity,
+      relatedEntity: {
+        ruleId: rule._id,
+        scope: rule.scope.type,
+        city: rule.scope.city,
+        bloodBankId: rule.scope.type === RULE_SCOPES.BANK ? rule.scope.bloodBankId : null,
+        // City-wide alerts reach every bank in the city; global ones only super admins
+        bloodBankIds: rule.scope.type === RULE_SCOPES.CITY ? bloodBankIds : [],
+        bloodGroup: rule.bloodGroup,
+        component: rule.component,
+        threshold: rule.threshold,
+        value
+      },
+      relatedEntityType: "SHORTAGE",
+      createdBy: "alert-rule"
+    });
+  }
+
+  /**
+   * Resolve the open alert of a rule that was changed or deleted
+   * @param {Object|null} previous - The rule before the change
+   * @param {string} note
+   * @param {Object} actor - See AlertWorkflow toActor()
+   */
+  async resolveForRuleChange(previous, note, actor) {
+    if (previous?.activeAlertId) {
+      await AlertWorkflow.resolve(previous.activeAlertId, note, actor);
+    }
+  }
+
+  /**
+   * Evaluate the rules a stock change can affect
+   * @param {Object} change - { bloodBankId, bloodGroup } of a STOCK_CHANGED event
+   */
+  async evaluateForStockChange({ bloodBankId, bloodGroup }, now = new Date()) {
+    const bloodBank = await this.getOrganizations().findOne(
+      { _id: new ObjectId(bloodBankId) },
+      { projection: { "location.city": 1 } }
+    );
+    const rules = await AlertRule.findActive({
+      bloodBankId,
+      bloodGroup,
+      city: bloodBank?.location?.city || null
+    });
+
+    for (const rule of rules) {
+      await this.evaluateRule(rule, now);
+    }
+    return rules.length;
+  }
+
+  /**
+   * Evaluate every active rule (scheduled)
+   * @returns {Promise<Object>} { evaluated, raised, resolved }
+   */
+  async evaluateAll(now = new Date()) {
+    if (this.isRunning) {
+      return { evaluated: 0, raised: 0, resolved: 0, skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      const rules = await AlertRule.findActive();
+      const result = { evaluated: 0, raised: 0, resolved: 0 };
+
+      for (const rule of rules) {
+        try {
+          const outcome = await this.evaluateRule(rule, now);
+          result.evaluated++;
+          if (outcome === "RAISED") result.raised++;
+          if (outcome === "RESOLVED") result.resolved++;
+        } catch (error) {
+          console.error(`[ALERT_RULES] Failed to evaluate rule ${rule._id}:`, error);
+        }
+      }
+
+      if (result.raised > 0 || result.resolved > 0) {
+        console.log(`[ALERT_RULES] ${result.raised} alert(s) raised, ${result.resolved} resolved`);
+      }
+      return result;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+export default new AlertRuleEngine();
@@ -0,0 +1,25 @@
+import AlertRuleEngine from "./AlertRuleEngine.js";
+import { REALTIME_EVENTS, realtimeEvents } from "./RealtimeEvents.js";
+
+let registered = false;
+
+const evaluateStockChange = async ({ bloodBankId, bloodGroup }) => {
+  try {
+    await AlertRuleEngine.evaluateForStockChange({ bloodBankId, bloodGroup });
+  } catch (error) {
+    console.error(`[ALERT_RULES] Failed to evaluate rules for blood bank ${bloodBankId}:`, error);
+  }
+};
+
+/**
+ * Evaluate alert rules whenever a blood bank's stock changes (idempotent)
+ */
+export const registerAlertRuleListener = () => {
+  if (registered) {
+    return;
+  }
+  realtimeEvents.on(REALTIME_EVENTS.STOCK_CHANGED, evaluateStockChange);
+  registered = true;
+};
+
+export default registerAlertRuleListener;
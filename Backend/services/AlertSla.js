@@ -0,0 +1,56 @@
+const MINUTE_MS = 60 * 1000;
+
+// #region Configuration
+
+/**
+ * Minutes an alert may stay unacknowledged / unresolved, per severity.
+ * Missing the acknowledge deadline escalates the alert to the next tier
+ * (and restarts the acknowledge clock); missing the resolve deadline is
+ * recorded as an SLA breach on the alert.
+ */
+export const ALERT_SLA_MINUTES = {
+  CRITICAL: { acknowledge: 5, resolve: 60 },
+  HIGH: { acknowledge: 15, resolve: 4 * 60 },
+  MEDIUM: { acknowledge: 60, resolve: 24 * 60 },
+  LOW: { acknowledge: 4 * 60, resolve: 3 * 24 * 60 }
+};
+
+/**
+ * Tiers an unacknowledged alert is escalated through. Tier 0 is the
+ * initial audience (the alert's organizations and super admins); every
+ * escalation re-notifies with the on-call override (quiet hours and
+ * opted-out events are ignored for on-call users).
+ */
+export const ALERT_ESCALATION_TIERS = [
+  { tier: 1, label: "On-call staff", superAdmins: false },
+  { tier: 2, label: "Super admins", superAdmins: true }
+];
+
+export const MAX_ESCALATION_TIER = ALERT_ESCALATION_TIERS[ALERT_ESCALATION_TIERS.length - 1].tier;
+
+// #region Deadlines
+
+const getSlaMinutes = (severity) => ALERT_SLA_MINUTES[severity] || ALERT_SLA_MINUTES.MEDIUM;
+
+/**
+ * SLA deadlines of an alert raised at `from`
+ * @returns {Object} { acknowledgeBy, resolveBy, acknowledgeBreachedAt, resolveBreachedAt }
+ */
+export const getSlaDeadlines = (severity, from = new Date()) => {
+  const minutes = getSlaMinutes(severity);
+  return {
+    acknowledgeBy: new Date(from.getTime() + minutes.acknowledge * MINUTE_MS),
+    resolveBy: new Date(from.getTime() + minutes.resolve * MINUTE_MS),
+    acknowledgeBreachedAt: null,
+    resolveBreachedAt: null
+  };
+};
+
+/**
+ * Next acknowledge deadline after escalating at `at`
+ */
+export const getNextAcknowledgeBy = (severity, at = new Date()) =>
+  new Date(at.getTime() + getSlaMinutes(severity).acknowledge * MINUTE_MS);
+
+export const getEscalationTier = (tier) =>
+  ALERT_ESCALATION_TIERS.find((entry) => entry.tier === tier) || null;
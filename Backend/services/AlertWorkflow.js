@@ -0,0 +1,228 @@
+import Alert, { ALERT_ACTIONS, ALERT_STATUS } from "../models/admin/Alert.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import { Organization } from "../models/organization/Organization.js";
+import NotificationDispatcher from "./NotificationDispatcher.js";
+import { NOTIFICATION_EVENTS } from "./NotificationTemplates.js";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "./RealtimeEvents.js";
+import { getAlertAudience } from "./RealtimeBroadcaster.js";
+import { buildAlertNotification } from "./AlertNotificationListener.js";
+import { MAX_ESCALATION_TIER, getEscalationTier, getNextAcknowledgeBy } from "./AlertSla.js";
+
+export const ASSIGNEE_TYPES = {
+  USER: "USER",
+  ORGANIZATION: "ORGANIZATION"
+};
+
+/**
+ * Who performed a workflow step, as stored in the alert history
+ * @param {Object} user - req.user
+ */
+export const toActor = (user = {}) => ({
+  userCode: user.userCode || user.adminCode || null,
+  email: user.email || null,
+  organizationCode: user.organizationCode || null
+});
+
+// #region AlertWorkflow
+
+/**
+ * AlertWorkflow
+ *
+ * Incident workflow of alerts:
+ * - acknowledge: records who took it and when (late acknowledgements are
+ *   marked as an SLA breach)
+ * - assign: to an organization user or an organization
+ * - escalate: to the next tier, by hand or by the alert-escalation job when
+ *   nobody acknowledged within the severity's SLA (services/AlertSla.js)
+ * - resolve: closes the alert with notes
+ *
+ * Each step returns { success, alert } or { success: false, message, statusCode }
+ * and is pushed to live dashboards.
+ */
+class AlertWorkflow {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  // 404 for unknown alerts, 409 for closed ones or `conflict` if still open
+  async explainFailure(alertId, conflict) {
+    const alert = await Alert.findById(alertId);
+    if (!alert) {
+      return { success: false, message: "Alert not found", statusCode: 404 };
+    }
+    if (alert.status !== ALERT_STATUS.ACTIVE) {
+      return { success: false, message: `Alert is ${alert.status.toLowerCase()}`, statusCode: 409 };
+    }
+    return { success: false, message: conflict, statusCode: 409 };
+  }
+
+  publish(alert, action) {
+    emitRealtimeEvent(REALTIME_EVENTS.ALERT_UPDATED, { alert, action });
+  }
+
+  async acknowledge(alertId, actor) {
+    const alert = await Alert.acknowledge(alertId, actor);
+    if (!alert) {
+      return await this.explainFailure(alertId, "Alert is already acknowledged");
+    }
+
+    this.publish(alert, ALERT_ACTIONS.ACKNOWLEDGED);
+    return { success: true, alert };
+  }
+
+  /**
+   * Resolve the assignee of an assign request
+   * @param {Object} target - { userCode } (a user of the caller's organization) or { organizationId }
+   * @param {Object} actor
+   */
+  async resolveAssignee({ userCode, organizationId } = {}, actor) {
+    if (Boolean(userCode) === Boolean(organizationId)) {
+      return { error: "Provide either userCode or organizationId", statusCode: 400 };
+    }
+
+    if (userCode) {
+      const user = actor.organizationCode
+        ? await OrganizationUser.findByUserCode(actor.organizationCode, userCode)
+        : null;
+      if (!user) {
+        return { error: "User not found in your organization", statusCode: 404 };
+      }
+      const organization = await Organization.findByCode(actor.organizationCode);
+      return {
+        assignee: {
+          type: ASSIGNEE_TYPES.USER,
+          id: user.userCode,
+          name: user.name || user.email,
+          organizationId: organization?._id || null
+        }
+      };
+    }
+
+    const organization = await Organization.findById(organizationId);
+    if (!organization) {
+      return { error: "Organization not found", statusCode: 404 };
+    }
+    return {
+      assignee: {
+        type: ASSIGNEE_TYPES.ORGANIZATION,
+        id: String(organization._id),
+        name: organization.name,
+        organizationId: organization._id
+      }
+    };
+  }
+
+  async assign(alertId, target, actor, note = null) {
+    const { assignee, error, statusCode } = await this.resolveAssignee(target, actor);
+    if (error) {
+      return { success: false, message: error, statusCode };
+    }
+
+    const alert = await Alert.assign(alertId, assignee, actor, note);
+    if (!alert) {
+      return await this.explainFailure(alertId, "Alert could not be assigned");
+    }
+
+    this.publish(alert, ALERT_ACTIONS.ASSIGNED);
+    return { success: true, alert };
+  }
+
+  /**
+   * Move an alert up one tier and notify that tier
+   * @param {Object} alert - Current alert document
+   * @param {Object} options - { actor, reason, unacknowledgedOnly, at }
+   */
+  async escalateAlert(alert, { actor = "system", reason = null, unacknowledgedOnly = false, at = new Date() } = {}) {
+    const fromTier = alert.escalation?.tier || 0;
+    const next = getEscalationTier(fromTier + 1);
+    if (!next) {
+      return { success: false, message: "Alert is already at the highest escalation tier", statusCode: 409 };
+    }
+
+    const escalated = await Alert.escalate(alert._id, fromTier, {
+      actor,
+      reason,
+      at,
+      unacknowledgedOnly,
+      acknowledgeBy: getNextAcknowledgeBy(alert.severity, at)
+    });
+    if (!escalated) {
+      return { success: false, message: "Alert changed while escalating; reload and try again", statusCode: 409 };
+    }
+
+    this.publish(escalated, ALERT_ACTIONS.ESCALATED);
+    await this.notifyEscalation(escalated, next);
+    return { success: true, alert: escalated };
+  }
+
+  async notifyEscalation(alert, tier) {
+    try {
+      await NotificationDispatcher.notify(NOTIFICATION_EVENTS.ALERT_ESCALATED, {
+        organizationIds: getAlertAudience(alert).organizationIds,
+        superAdmins: tier.superAdmins,
+        critical: true,
+        ...buildAlertNotification(alert, { tier: tier.tier, tierLabel: tier.label })
+      });
+    } catch (error) {
+      console.error(`[ALERT_WORKFLOW] Failed to notify escalation of alert ${alert._id}:`, error);
+    }
+  }
+
+  async escalate(alertId, actor, reason = null) {
+    const alert = await Alert.findById(alertId);
+    if (!alert || alert.status !== ALERT_STATUS.ACTIVE) {
+      return await this.explainFailure(alertId, "Alert could not be escalated");
+    }
+    return await this.escalateAlert(alert, { actor, reason });
+  }
+
+  async resolve(alertId, notes, actor) {
+    const alert = await Alert.resolve(alertId, { resolvedBy: actor, note: notes });
+    if (!alert) {
+      return await this.explainFailure(alertId, "Alert could not be resolved");
+    }
+
+    this.publish(alert, ALERT_ACTIONS.RESOLVED);
+    return { success: true, alert };
+  }
+
+  /**
+   * Escalate alerts nobody acknowledged in time and record missed resolve
+   * deadlines (scheduled)
+   * @returns {Promise<Object>} { escalated, resolveBreaches }
+   */
+  async processDueEscalations(now = new Date()) {
+    if (this.isRunning) {
+      return { escalated: 0, resolveBreaches: 0, skipped: true };
+    }
+
+    this.isRunning = true;
+    try {
+      const due = await Alert.findDueEscalations(now, MAX_ESCALATION_TIER);
+      let escalated = 0;
+
+      for (const alert of due) {
+        try {
+          const result = await this.escalateAlert(alert, {
+            reason: "Not acknowledged within the SLA",
+            unacknowledgedOnly: true,
+            at: now
+          });
+          if (result.success) escalated++;
+        } catch (error) {
+          console.error(`[ALERT_WORKFLOW] Failed to escalate alert ${alert._id}:`, error);
+        }
+      }
+
+      const resolveBreaches = await Alert.markResolveBreaches(now);
+      if (escalated > 0 || resolveBreaches > 0) {
+        console.log(`[ALERT_WORKFLOW] ${escalated} alert(s) escalated, ${resolveBreaches} past their resolve deadline`);
+      }
+      return { escalated, resolveBreaches };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+export default new AlertWorkflow();
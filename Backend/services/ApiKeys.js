@@ -0,0 +1,234 @@
+import crypto from "crypto";
+import OrganizationApiKey from "../models/organization/OrganizationApiKey.js";
+import Audit from "../models/admin/Audit.js";
+import { PERMISSIONS, API_KEY_PERMISSIONS } from "../config/permissions.js";
+
+// #region Configuration
+
+// Keys look like bbk_<12 hex prefix>_<43 base64url secret>
+export const API_KEY_PREFIX = "bbk_";
+const API_KEY_PATTERN = /^bbk_([0-9a-f]{12})_([A-Za-z0-9_-]{43})$/;
+
+export const MAX_ACTIVE_KEYS = 20;
+const MAX_NAME_LENGTH = 60;
+
+const DEFAULT_TTL_DAYS = 90;
+const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+const DEFAULT_MAX_TTL_DAYS = 365;
+const DEFAULT_MAX_RATE_LIMIT_PER_MINUTE = 600;
+
+export const API_KEY_AUDIT_ACTIONS = {
+  CREATED: "API_KEY_CREATED",
+  REVOKED: "API_KEY_REVOKED"
+};
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const getMaxTtlDays = () => readPositiveInt(process.env.API_KEY_MAX_TTL_DAYS, DEFAULT_MAX_TTL_DAYS);
+
+const getMaxRateLimit = () =>
+  readPositiveInt(process.env.API_KEY_MAX_RATE_LIMIT_PER_MINUTE, DEFAULT_MAX_RATE_LIMIT_PER_MINUTE);
+
+// #region Helpers
+
+const failure = (message, statusCode = 400) => ({ success: false, message, statusCode });
+
+const hashKey = (key) => crypto.createHash("sha256").update(key).digest("hex");
+
+export const generateApiKey = () => {
+  const prefix = crypto.randomBytes(6).toString("hex");
+  return { prefix, key: `${API_KEY_PREFIX}${prefix}_${crypto.randomBytes(32).toString("base64url")}` };
+};
+
+export const isApiKey = (value) => typeof value === "string" && value.startsWith(API_KEY_PREFIX);
+
+/**
+ * Key as its organization sees it; the hash never leaves the service
+ */
+export const toApiKeyView = (record) => ({
+  _id: record._id,
+  name: record.name,
+  prefix: `${API_KEY_PREFIX}${record.prefix}`,
+  permissions: record.permissions,
+  rateLimitPerMinute: record.rateLimitPerMinute,
+  expiresAt: record.expiresAt,
+  createdBy: record.createdBy,
+  createdAt: record.createdAt,
+  lastUsedAt: record.lastUsedAt,
+  lastUsedIp: record.lastUsedIp,
+  revokedAt: record.revokedAt,
+  revokedBy: record.revokedBy,
+  status: record.revokedAt ? "REVOKED" : record.expiresAt <= new Date() ? "EXPIRED" : "ACTIVE"
+});
+
+// #region ApiKeys
+
+/**
+ * ApiKeys
+ *
+ * Organization API keys for machine-to-machine integration: a hospital's
+ * HIS raising blood requests, a blood bank's inventory system pushing stock.
+ * A key acts for its organization with the permissions it was created with
+ * (never more than its creator held, and never users:manage, roles:manage
+ * or apikeys:manage), until it expires or is revoked. Each key has its own
+ * per-minute rate limit. authMiddleware accepts keys in the X-API-Key header
+ * or as a Bearer token.
+ */
+class ApiKeys {
+  /**
+   * Keys of an organization and the permissions a key can hold
+   * @returns {Promise<Object>} { keys, permissions: [{ key, description }] }
+   */
+  async list(organizationCode) {
+    const records = await OrganizationApiKey.findByOrganization(organizationCode);
+    return {
+      keys: records.map(toApiKeyView),
+      permissions: API_KEY_PERMISSIONS.map((key) => ({ key, description: PERMISSIONS[key] }))
+    };
+  }
+
+  /**
+   * Create a key. The key itself is only ever returned here.
+   * @param {Object} organization - { organizationCode, organizationName, organizationType } (caller's claims)
+   * @param {Object} data - { name, permissions, expiresInDays?, rateLimitPerMinute? }
+   * @param {Object} actor - { userCode, email, role, permissions }
+   * @returns {Promise<Object>} { success, key, apiKey } or { success: false, message, statusCode }
+   */
+  async create(organization, data = {}, actor, device = {}) {
+    const name = String(data.name || "").trim();
+    if (!name || name.length > MAX_NAME_LENGTH) {
+      return failure(`Name is required, at most ${MAX_NAME_LENGTH} characters`);
+    }
+
+    const permissions = [...new Set(Array.isArray(data.permissions) ? data.permissions : [])];
+    if (permissions.length === 0) {
+      return failure("Give the key at least one permission");
+    }
+    const unknown = permissions.filter((key) => !API_KEY_PERMISSIONS.includes(key));
+    if (unknown.length > 0) {
+      return failure(`API keys can't hold: ${unknown.join(", ")}`);
+    }
+    const notHeld = permissions.filter((key) => !actor.permissions.includes(key));
+    if (notHeld.length > 0) {
+      return failure(`You can't give a key permissions you don't have (${notHeld.join(", ")})`, 403);
+    }
+
+    const expiresInDays = data.expiresInDays === undefined ? DEFAULT_TTL_DAYS : Number(data.expiresInDays);
+    if (!Number.isInteger(expiresInDays) || expiresInDays < 1 || expiresInDays > getMaxTtlDays()) {
+      return failure(`expiresInDays must be a whole number from 1 to ${getMaxTtlDays()}`);
+    }
+
+    const rateLimitPerMinute =
+      data.rateLimitPerMinute === undefined ? DEFAULT_RATE_LIMIT_PER_MINUTE : Number(data.rateLimitPerMinute);
+    if (!Number.isInteger(rateLimitPerMinute) || rateLimitPerMinute < 1 || rateLimitPerMinute > getMaxRateLimit()) {
+      return failure(`rateLimitPerMinute must be a whole number from 1 to ${getMaxRateLimit()}`);
+    }
+
+    if ((await OrganizationApiKey.countActive(organization.organizationCode)) >= MAX_ACTIVE_KEYS) {
+      return failure(`An organization can have at most ${MAX_ACTIVE_KEYS} active keys; revoke one first`, 409);
+    }
+
+    const { prefix, key } = generateApiKey();
+    const record = await OrganizationApiKey.create({
+      organizationCode: organization.organizationCode,
+      organizationName: organization.organizationName,
+      organizationType: organization.organizationType,
+      name,
+      prefix,
+      keyHash: hashKey(key),
+      permissions,
+      rateLimitPerMinute,
+      expiresAt: new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000),
+      createdBy: actor.userCode
+    });
+
+    await this.audit(API_KEY_AUDIT_ACTIONS.CREATED, record, actor, device, `API key "${name}" created`);
+    return { success: true, key, apiKey: toApiKeyView(record) };
+  }
+
+  /**
+   * Revoke a key; it stops working on its next request
+   * @returns {Promise<Object>} { success, apiKey } or { success: false, message, statusCode }
+   */
+  async revoke(organizationCode, keyId, actor, device = {}) {
+    const record = await OrganizationApiKey.revoke(organizationCode, keyId, actor.userCode);
+    if (!record) {
+      return failure("API key not found or already revoked", 404);
+    }
+
+    await this.audit(API_KEY_AUDIT_ACTIONS.REVOKED, record, actor, device, `API key "${record.name}" revoked`);
+    return { success: true, apiKey: toApiKeyView(record) };
+  }
+
+  /**
+   * Check a presented key
+   * @param {string} key - As sent by the client
+   * @param {Object} device - { userAgent, ipAddress } (see getDevice)
+   * @returns {Promise<Object>} { success, claims, rateLimitPerMinute } or { success: false, message, statusCode: 401 }
+   */
+  async authenticate(key, device = {}) {
+    const match = API_KEY_PATTERN.exec(String(key || "").trim());
+    if (!match) {
+      return failure("Invalid API key", 401);
+    }
+
+    const record = await OrganizationApiKey.findByPrefix(match[1]);
+    const presented = Buffer.from(hashKey(match[0]), "hex");
+    if (!record || !crypto.timingSafeEqual(presented, Buffer.from(record.keyHash, "hex"))) {
+      return failure("Invalid API key", 401);
+    }
+    if (record.revokedAt) {
+      return failure("API key has been revoked", 401);
+    }
+    if (record.expiresAt <= new Date()) {
+      return failure("API key has expired", 401);
+    }
+
+    OrganizationApiKey.recordUse(record._id, device.ipAddress).catch((error) =>
+      console.error(`[API_KEY] Failed to record use of ${record.prefix}: ${error.message}`)
+    );
+
+    return {
+      success: true,
+      rateLimitPerMinute: record.rateLimitPerMinute,
+      claims: {
+        apiKeyId: record._id.toString(),
+        userCode: `${API_KEY_PREFIX}${record.prefix}`,
+        organizationCode: record.organizationCode,
+        organizationName: record.organizationName,
+        organizationType: record.organizationType,
+        role: "API_KEY",
+        name: record.name,
+        email: null,
+        permissions: record.permissions
+      }
+    };
+  }
+
+  // #region Internals
+
+  async audit(action, record, actor, device, description) {
+    await Audit.create({
+      entityType: "API_KEY",
+      action,
+      performedBy: actor.email,
+      performedByRole: actor.role,
+      entityId: record._id.toString(),
+      entityCode: record.organizationCode,
+      entityName: record.name,
+      ipAddress: device.ipAddress,
+      description,
+      metadata: {
+        prefix: `${API_KEY_PREFIX}${record.prefix}`,
+        permissions: record.permissions,
+        expiresAt: record.expiresAt,
+        userAgent: device.userAgent
+      }
+    });
+  }
+}
+
+export default new ApiKeys();
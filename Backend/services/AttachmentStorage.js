@@ -0,0 +1,75 @@
+import { randomBytes } from "crypto";
+import { mkdir, writeFile, unlink } from "fs/promises";
+import path from "path";
+
+// #region Configuration
+
+// File types organizations can attach to messages (documents, scans, photos)
+export const ALLOWED_ATTACHMENT_TYPES = {
+  "application/pdf": ".pdf",
+  "image/png": ".png",
+  "image/jpeg": ".jpg",
+  "image/webp": ".webp",
+  "text/plain": ".txt",
+  "text/csv": ".csv",
+  "application/vnd.openxmlformats-officedocument.wordprocessingml.document": ".docx",
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet": ".xlsx"
+};
+
+// Same limits as other uploads (MAX_FILE_SIZE, UPLOAD_PATH in .env)
+export const getMaxAttachmentBytes = () => Number(process.env.MAX_FILE_SIZE) || 5 * 1024 * 1024;
+
+const getAttachmentDir = () => path.resolve(process.env.UPLOAD_PATH || "./uploads", "messages");
+
+// #region Storage
+
+/**
+ * Check an upload before it is stored
+ * @returns {string|null} Error message, or null if the file is acceptable
+ */
+export const validateAttachment = ({ fileName, mimeType, content }) => {
+  if (!fileName || !String(fileName).trim()) {
+    return "File name is required";
+  }
+  if (!ALLOWED_ATTACHMENT_TYPES[mimeType]) {
+    return "Only PDF, PNG, JPEG, WEBP, TXT, CSV, DOCX and XLSX files can be attached";
+  }
+  if (!content?.length) {
+    return "File is empty";
+  }
+  if (content.length > getMaxAttachmentBytes()) {
+    return `File is larger than ${Math.round(getMaxAttachmentBytes() / 1024 / 1024)} MB`;
+  }
+  return null;
+};
+
+/**
+ * Write a file under a random key (the original name is only kept in the database)
+ * @param {Buffer} content
+ * @returns {Promise<string>} storageKey
+ */
+export const saveAttachment = async (content) => {
+  const storageKey = randomBytes(16).toString("hex");
+  await mkdir(getAttachmentDir(), { recursive: true });
+  await writeFile(getAttachmentPath(storageKey), content);
+  return storageKey;
+};
+
+/**
+ * Absolute path of a stored file. Keys are generated hex strings, so they
+ * can't point outside the attachment directory.
+ */
+export const getAttachmentPath = (storageKey) => {
+  if (!/^[0-9a-f]+$/.test(storageKey)) {
+    throw new Error("Invalid attachment key");
+  }
+  return path.join(getAttachmentDir(), storageKey);
+};
+
+export const removeAttachment = async (storageKey) => {
+  try {
+    await unlink(getAttachmentPath(storageKey));
+  } catch (error) {
+    console.error(`[ATTACHMENTS] Failed to remove ${storageKey}:`, error.message);
+  }
+};
@@ -0,0 +1,124 @@
+// #region Groups
+
+/**
+ * ABO/Rh compatibility rules per blood component
+ *
+ * Red cells (RBC): donor cells must carry no A/B antigen the recipient lacks;
+ *   Rh-negative cells may go to anyone, Rh-positive only to Rh-positive.
+ * Whole blood: contains both cells and plasma, so ABO must be identical;
+ *   the red cell Rh rule applies.
+ * Plasma: donor plasma must carry no antibody against the recipient's
+ *   antigens, i.e. the donor ABO must include the recipient's antigens
+ *   (AB is the universal plasma donor). Rh does not apply.
+ * Platelets: suspended in plasma, so the plasma ABO rule applies; Rh-negative
+ *   recipients should receive Rh-negative platelets.
+ */
+export const BLOOD_GROUPS = ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"];
+
+const ABO_ANTIGENS = {
+  O: [],
+  A: ["A"],
+  B: ["B"],
+  AB: ["A", "B"]
+};
+
+export const parseBloodGroup = (bloodGroup) => {
+  const match = /^(AB|A|B|O)([+-])$/.exec(bloodGroup || "");
+  if (!match) return null;
+  return { abo: match[1], rh: match[2] };
+};
+
+const includesAll = (superset, subset) => subset.every((antigen) => superset.includes(antigen));
+
+// #region Rules
+
+const RULES = {
+  RBC: (donor, recipient) => {
+    if (!includesAll(ABO_ANTIGENS[recipient.abo], ABO_ANTIGENS[donor.abo])) return null;
+    if (donor.rh === "+" && recipient.rh === "-") return null;
+
+    if (donor.abo === "O" && donor.rh === "-") {
+      return "O- red cells are the universal red cell donor";
+    }
+    if (donor.abo === recipient.abo) {
+      return "Rh-negative red cells are safe for an Rh-positive recipient";
+    }
+    return `Group ${donor.abo} red cells carry no antigen foreign to a group ${recipient.abo} recipient`;
+  },
+
+  WHOLE_BLOOD: (donor, recipient) => {
+    if (donor.abo !== recipient.abo) return null;
+    if (donor.rh === "+" && recipient.rh === "-") return null;
+    return "Rh-negative whole blood of the same ABO group is safe for an Rh-positive recipient";
+  },
+
+  PLASMA: (donor, recipient) => {
+    if (!includesAll(ABO_ANTIGENS[donor.abo], ABO_ANTIGENS[recipient.abo])) return null;
+
+    if (donor.abo === "AB" && recipient.abo !== "AB") {
+      return "AB plasma is the universal plasma donor (no anti-A or anti-B)";
+    }
+    if (donor.abo === recipient.abo) {
+      return "Rh does not apply to plasma";
+    }
+    return `Group ${donor.abo} plasma has no antibody against group ${recipient.abo} cells`;
+  },
+
+  PLATELETS: (donor, recipient) => {
+    if (!includesAll(ABO_ANTIGENS[donor.abo], ABO_ANTIGENS[recipient.abo])) return null;
+    if (donor.rh === "+" && recipient.rh === "-") return null;
+
+    if (donor.abo === recipient.abo) {
+      return "Rh-negative platelets of the same ABO group are safe for an Rh-positive recipient";
+    }
+    return `Group ${donor.abo} platelets carry plasma compatible with a group ${recipient.abo} recipient`;
+  }
+};
+
+/**
+ * Lower is preferred. Same-ABO substitutes come first; universal donors are
+ * kept for last so scarce O- / AB stock isn't used up where another group works.
+ */
+const substitutePreference = (donor, recipient, component) => {
+  if (donor.abo === recipient.abo) return 0;
+  if (component === "RBC" && donor.abo === "O" && donor.rh === "-") return 2;
+  if ((component === "PLASMA" || component === "PLATELETS") && donor.abo === "AB") return 2;
+  return 1;
+};
+
+// #region API
+
+/**
+ * Donor groups a recipient can receive for a component, exact match first
+ * @param {string} recipientGroup - e.g. "A+"
+ * @param {string} component - WHOLE_BLOOD | RBC | PLASMA | PLATELETS
+ * @returns {Array<{ bloodGroup: string, exact: boolean, reason: string }>}
+ */
+export const getCompatibleDonorGroups = (recipientGroup, component = "WHOLE_BLOOD") => {
+  const recipient = parseBloodGroup(recipientGroup);
+  const rule = RULES[component];
+  if (!recipient || !rule) return [];
+
+  const substitutes = BLOOD_GROUPS
+    .filter((group) => group !== recipientGroup)
+    .map((group) => {
+      const donor = parseBloodGroup(group);
+      return {
+        bloodGroup: group,
+        exact: false,
+        reason: rule(donor, recipient),
+        preference: substitutePreference(donor, recipient, component)
+      };
+    })
+    .filter((candidate) => candidate.reason)
+    .sort((a, b) => a.preference - b.preference)
+    .map(({ preference, ...candidate }) => candidate);
+
+  return [{ bloodGroup: recipientGroup, exact: true, reason: "Exact match" }, ...substitutes];
+};
+
+/**
+ * Whether donor stock of `donorGroup` may be given for the request
+ */
+export const isCompatible = (donorGroup, recipientGroup, component = "WHOLE_BLOOD") =>
+  getCompatibleDonorGroups(recipientGroup, component).some((entry) => entry.bloodGroup === donorGroup);
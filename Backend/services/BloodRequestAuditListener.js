@@ -0,0 +1,53 @@
+import Audit from "../models/admin/Audit.js";
+import { requestEvents } from "./BloodRequestStateMachine.js";
+
+let registered = false;
+
+/**
+ * Write every blood request lifecycle event to audit_logs
+ */
+const writeAuditLog = async (event) => {
+  const { type, request, allocation, from, to, actor, context } = event;
+  const subject = allocation ? "Blood request allocation" : "Blood request";
+
+  try {
+    await Audit.create({
+      entityType: "EMERGENCY",
+      action: type,
+      performedBy: actor?.code || "system",
+      performedByRole: actor?.role || "SYSTEM",
+      entityId: request._id,
+      entityCode: request.requestCode,
+      entityName: `${request.unitsRequired} unit(s) ${request.bloodGroup}`,
+      changes: {
+        before: { status: from },
+        after: { status: to }
+      },
+      description: from && from !== to
+        ? `${subject} moved from ${from} to ${to}`
+        : `${subject} ${type.replace(/^(REQUEST|ALLOCATION)_/, "").toLowerCase()}`,
+      metadata: {
+        hospitalId: request.hospitalId,
+        bloodBankId: allocation?.bloodBankId || request.bloodBankId || null,
+        allocationId: allocation?._id || null,
+        urgency: request.urgency,
+        reason: context?.reason || null
+      }
+    });
+  } catch (error) {
+    console.error(`[REQUEST_AUDIT] Failed to audit ${type}:`, error);
+  }
+};
+
+/**
+ * Attach the audit listener to the request event bus (idempotent)
+ */
+export const registerRequestAuditListener = () => {
+  if (registered) {
+    return;
+  }
+  requestEvents.on("*", writeAuditLog);
+  registered = true;
+};
+
+export default registerRequestAuditListener;
@@ -0,0 +1,458 @@
+import { EventEmitter } from "events";
+
+// #region Statuses
+
+/**
+ * Blood request state machine
+ *
+ * Single source of truth for the hospital blood request lifecycle, shared by
+ * /api/hospital-blood-requests and /api/admin/requests.
+ *
+ * PENDING → ACCEPTED → (PROCESSING →) dispatch → PROCESSING → FULFILLED
+ * PENDING | ACCEPTED → REJECTED
+ * PENDING | ACCEPTED | PROCESSING → CANCELLED (not once units are dispatched)
+ * PENDING | ACCEPTED → EXPIRED
+ *
+ * Units are issued from stock when the blood bank dispatches them; the
+ * request is FULFILLED only when the receiving hospital confirms receipt.
+ */
+export const REQUEST_STATUS = {
+  PENDING: "PENDING",
+  ACCEPTED: "ACCEPTED",
+  PROCESSING: "PROCESSING",
+  FULFILLED: "FULFILLED",
+  REJECTED: "REJECTED",
+  CANCELLED: "CANCELLED",
+  EXPIRED: "EXPIRED"
+};
+
+export const OPEN_STATUSES = [
+  REQUEST_STATUS.PENDING,
+  REQUEST_STATUS.ACCEPTED,
+  REQUEST_STATUS.PROCESSING
+];
+
+/**
+ * Statuses used by the old admin model / frontend, mapped to the unified set
+ */
+export const STATUS_ALIASES = {
+  APPROVED: REQUEST_STATUS.ACCEPTED,
+  COMPLETED: REQUEST_STATUS.FULFILLED
+};
+
+export const normalizeStatus = (status) => {
+  if (!status) return status;
+  const upper = String(status).toUpperCase();
+  return STATUS_ALIASES[upper] || upper;
+};
+
+// #region Events
+
+export const REQUEST_EVENTS = {
+  CREATED: "REQUEST_CREATED",
+  ASSIGNED: "REQUEST_ASSIGNED",
+  ESCALATED: "REQUEST_ESCALATED", // Search radius widened, more blood banks notified
+  ACCEPTED: "REQUEST_ACCEPTED",
+  PROCESSING_STARTED: "REQUEST_PROCESSING_STARTED",
+  DISPATCHED: "REQUEST_DISPATCHED",
+  FULFILLED: "REQUEST_FULFILLED",
+  REJECTED: "REQUEST_REJECTED",
+  CANCELLED: "REQUEST_CANCELLED",
+  EXPIRED: "REQUEST_EXPIRED",
+  APPROVED: "REQUEST_APPROVED",
+  ALLOCATION_CREATED: "ALLOCATION_CREATED",
+  ALLOCATION_ACCEPTED: "ALLOCATION_ACCEPTED",
+  ALLOCATION_FULFILLED: "ALLOCATION_FULFILLED",
+  ALLOCATION_REJECTED: "ALLOCATION_REJECTED",
+  ALLOCATION_CANCELLED: "ALLOCATION_CANCELLED",
+  ALLOCATION_DISPATCHED: "ALLOCATION_DISPATCHED"
+};
+
+/**
+ * Process-wide bus for request lifecycle events.
+ * Listeners receive { type, request, from, to, actor, context, occurredAt };
+ * allocation events also carry `allocation`.
+ */
+export const requestEvents = new EventEmitter();
+requestEvents.setMaxListeners(20);
+
+// #region Dispatch
+
+/**
+ * Hand-over of issued units from blood bank to hospital, recorded as a
+ * `dispatch` block on the request (or on an allocation of a split request).
+ * DISPATCHED → IN_TRANSIT (checkpoints) → RECEIVED (hospital confirms receipt)
+ */
+export const DISPATCH_STATUS = {
+  DISPATCHED: "DISPATCHED",
+  IN_TRANSIT: "IN_TRANSIT",
+  RECEIVED: "RECEIVED"
+};
+
+// Dispatches still accepting checkpoints and temperature readings
+export const IN_FLIGHT_DISPATCH_STATUSES = [DISPATCH_STATUS.DISPATCHED, DISPATCH_STATUS.IN_TRANSIT];
+
+export const DISPATCH_MODES = ["COURIER", "PICKUP"];
+
+// #region Guards
+
+const isPositiveInteger = (value) => Number.isInteger(value) && value > 0;
+
+/**
+ * Dispatch input shared by requests and allocations
+ * @param {number} maxUnits - Units the dispatch may cover
+ */
+const dispatchGuard = (context, maxUnits) => {
+  if (!DISPATCH_MODES.includes(context.mode)) {
+    return `Dispatch mode must be one of ${DISPATCH_MODES.join(", ")}`;
+  }
+  if (context.mode === "COURIER" && (!context.courier?.name || !context.courier?.phone)) {
+    return "Courier name and phone are required";
+  }
+  if (context.mode === "PICKUP" && !context.pickup?.collectorName) {
+    return "Name of the person collecting the units is required";
+  }
+  if (!isPositiveInteger(context.units)) {
+    return "Units dispatched must be a positive whole number";
+  }
+  if (context.units > maxUnits) {
+    return `Units dispatched cannot exceed ${maxUnits}`;
+  }
+  return null;
+};
+
+// Receipt confirmation of dispatched units
+const receiptGuard = (dispatch, context) => {
+  if (!dispatch) {
+    return "Units must be dispatched before receipt can be confirmed";
+  }
+  if (!isPositiveInteger(context.unitsFulfilled)) {
+    return "Units received must be a positive whole number";
+  }
+  if (context.unitsFulfilled > dispatch.units) {
+    return `Units received cannot exceed units dispatched (${dispatch.units})`;
+  }
+  return null;
+};
+
+// Split requests only move through their allocations (context.rollup)
+const splitGuard = (request, context, verb) =>
+  request.allowSplit && !context.rollup
+    ? `Split requests are ${verb} per blood bank allocation`
+    : null;
+
+const guards = {
+  assign: (request, context) => {
+    if (!context.bloodBankId) return "Blood bank ID is required";
+    if (request.allowSplit) return "Split requests are assigned through allocations";
+    return null;
+  },
+
+  accept: (request, context) => {
+    if (request.allowSplit) return splitGuard(request, context, "accepted");
+
+    const assigned = request.bloodBankId?.toString();
+    const actingBank = context.bloodBankId?.toString();
+
+    if (!assigned && !actingBank) {
+      return "A blood bank must be assigned before the request can be accepted";
+    }
+    if (assigned && actingBank && assigned !== actingBank) {
+      return "Request is assigned to a different blood bank";
+    }
+    if (!assigned) {
+      const notified = (request.escalation?.notifiedBloodBankIds || []).map((id) => id.toString());
+      if (!notified.includes(actingBank)) {
+        return "Blood bank was not asked to respond to this request";
+      }
+    }
+    if (context.bloodGroup) {
+      const allowed = request.compatibleBloodGroups || [request.bloodGroup];
+      if (!allowed.includes(context.bloodGroup)) {
+        return `${context.bloodGroup} is not an accepted substitute for this request`;
+      }
+    }
+    return null;
+  },
+
+  startProcessing: (request, context) => splitGuard(request, context, "processed"),
+
+  dispatch: (request, context) => {
+    if (request.allowSplit) return "Split requests are dispatched per blood bank allocation";
+    if (request.dispatch) return "Request has already been dispatched";
+    return dispatchGuard(context, request.unitsRequired);
+  },
+
+  // Fulfillment is the receiving hospital's confirmation of receipt
+  fulfill: (request, context) => {
+    const splitError = splitGuard(request, context, "fulfilled");
+    if (splitError) return splitError;
+
+    if (context.rollup) {
+      return isPositiveInteger(context.unitsFulfilled)
+        ? null
+        : "Units fulfilled must be a positive whole number";
+    }
+    return receiptGuard(request.dispatch, context);
+  },
+
+  // Only the bank serving the request; notified banks decline instead
+  reject: (request, context) => {
+    if (request.allowSplit) return "Reject your blood bank's allocation instead";
+
+    const assigned = request.bloodBankId?.toString();
+    const actingBank = context.bloodBankId?.toString();
+    if (!assigned) {
+      return "Request isn't assigned to a blood bank; notified banks decline it instead";
+    }
+    if (actingBank && assigned !== actingBank) {
+      return "Request is assigned to a different blood bank";
+    }
+    if (!context.reason || !String(context.reason).trim()) {
+      return "Rejection reason is required";
+    }
+    return null;
+  },
+
+  cancel: (request) => {
+    const dispatched = request.dispatch ||
+      (request.allocations || []).some((allocation) => allocation.status === ALLOCATION_STATUS.DISPATCHED);
+    return dispatched
+      ? "Dispatched units are on their way; confirm receipt instead of cancelling"
+      : null;
+  },
+
+  expire: (request, context) => {
+    const now = context.now || new Date();
+    if (!request.expiresAt || new Date(request.expiresAt) > now) {
+      return "Request has not reached its expiry time";
+    }
+    return null;
+  }
+};
+
+// #region TransitionTable
+
+/**
+ * action → { from, to, event, guard }
+ */
+export const REQUEST_TRANSITIONS = {
+  assign: {
+    from: [REQUEST_STATUS.PENDING],
+    to: REQUEST_STATUS.PENDING,
+    event: REQUEST_EVENTS.ASSIGNED,
+    guard: guards.assign
+  },
+  accept: {
+    from: [REQUEST_STATUS.PENDING],
+    to: REQUEST_STATUS.ACCEPTED,
+    event: REQUEST_EVENTS.ACCEPTED,
+    guard: guards.accept
+  },
+  startProcessing: {
+    from: [REQUEST_STATUS.ACCEPTED],
+    to: REQUEST_STATUS.PROCESSING,
+    event: REQUEST_EVENTS.PROCESSING_STARTED,
+    guard: guards.startProcessing
+  },
+  dispatch: {
+    from: [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING],
+    to: REQUEST_STATUS.PROCESSING,
+    event: REQUEST_EVENTS.DISPATCHED,
+    guard: guards.dispatch
+  },
+  fulfill: {
+    from: [REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING],
+    to: REQUEST_STATUS.FULFILLED,
+    event: REQUEST_EVENTS.FULFILLED,
+    guard: guards.fulfill
+  },
+  reject: {
+    from: [REQUEST_STATUS.PENDING, REQUEST_STATUS.ACCEPTED],
+    to: REQUEST_STATUS.REJECTED,
+    event: REQUEST_EVENTS.REJECTED,
+    guard: guards.reject
+  },
+  cancel: {
+    from: [REQUEST_STATUS.PENDING, REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING],
+    to: REQUEST_STATUS.CANCELLED,
+    event: REQUEST_EVENTS.CANCELLED,
+    guard: guards.cancel
+  },
+  expire: {
+    from: [REQUEST_STATUS.PENDING, REQUEST_STATUS.ACCEPTED],
+    to: REQUEST_STATUS.EXPIRED,
+    event: REQUEST_EVENTS.EXPIRED,
+    guard: guards.expire
+  }
+};
+
+/**
+ * Target status → action, for generic "set status" endpoints
+ */
+export const actionForStatus = (status) => {
+  const target = normalizeStatus(status);
+  const entry = Object.entries(REQUEST_TRANSITIONS).find(
+    ([, transition]) => transition.to === target && transition.to !== REQUEST_STATUS.PENDING
+  );
+  return entry ? entry[0] : null;
+};
+
+/**
+ * Validate a transition without touching the database
+ * @param {Object} request - Current request document
+ * @param {string} action - Key of REQUEST_TRANSITIONS
+ * @param {Object} context - Action input (bloodBankId, unitsFulfilled, reason, ...)
+ * @returns {{ allowed: boolean, transition?: Object, message?: string, statusCode?: number }}
+ */
+export const checkTransition = (request, action, context = {}) => {
+  const transition = REQUEST_TRANSITIONS[action];
+
+  if (!transition) {
+    return { allowed: false, message: `Unknown request action: ${action}`, statusCode: 400 };
+  }
+
+  if (!transition.from.includes(request.status)) {
+    return {
+      allowed: false,
+      message: `Cannot ${action} a request in ${request.status} status`,
+      statusCode: 409
+    };
+  }
+
+  const guardError = transition.guard ? transition.guard(request, context) : null;
+  if (guardError) {
+    return { allowed: false, message: guardError, statusCode: 400 };
+  }
+
+  return { allowed: true, transition };
+};
+
+/**
+ * Publish a lifecycle event; listener failures never break the caller
+ */
+export const emitRequestEvent = (type, payload) => {
+  const event = { type, occurredAt: new Date(), ...payload };
+
+  for (const channel of [type, "*"]) {
+    try {
+      requestEvents.emit(channel, event);
+    } catch (error) {
+      console.error(`[REQUEST_EVENTS] Listener failed for ${type}:`, error);
+    }
+  }
+};
+
+// #region Allocations
+
+/**
+ * Split fulfillment: a request with allowSplit is divided into allocations,
+ * one per blood bank, each with its own lifecycle. The parent request's
+ * status and unitsFulfilled are rolled up from its allocations
+ * (HospitalBloodRequest.syncSplitStatus).
+ *
+ * PENDING → ACCEPTED → DISPATCHED → FULFILLED (hospital confirms receipt)
+ * PENDING | ACCEPTED → REJECTED (bank declines)
+ * PENDING | ACCEPTED → CANCELLED (hospital withdraws, or parent closed)
+ */
+export const ALLOCATION_STATUS = {
+  PENDING: "PENDING",
+  ACCEPTED: "ACCEPTED",
+  DISPATCHED: "DISPATCHED",
+  FULFILLED: "FULFILLED",
+  REJECTED: "REJECTED",
+  CANCELLED: "CANCELLED"
+};
+
+// Allocations the bank or hospital can still withdraw
+export const OPEN_ALLOCATION_STATUSES = [ALLOCATION_STATUS.PENDING, ALLOCATION_STATUS.ACCEPTED];
+
+const allocationGuards = {
+  accept: (allocation, context) => {
+    if (context.bloodBankId && allocation.bloodBankId?.toString() !== context.bloodBankId.toString()) {
+      return "Allocation belongs to a different blood bank";
+    }
+    if (context.bloodGroup && context.allowedBloodGroups && !context.allowedBloodGroups.includes(context.bloodGroup)) {
+      return `${context.bloodGroup} is not an accepted substitute for this request`;
+    }
+    return null;
+  },
+
+  dispatch: (allocation, context) => dispatchGuard(context, allocation.units),
+
+  fulfill: (allocation, context) => receiptGuard(allocation.dispatch, context),
+
+  reject: (allocation, context) => {
+    if (!context.reason || !String(context.reason).trim()) {
+      return "Rejection reason is required";
+    }
+    return null;
+  }
+};
+
+/**
+ * action → { from, to, event, guard }
+ */
+export const ALLOCATION_TRANSITIONS = {
+  accept: {
+    from: [ALLOCATION_STATUS.PENDING],
+    to: ALLOCATION_STATUS.ACCEPTED,
+    event: REQUEST_EVENTS.ALLOCATION_ACCEPTED,
+    guard: allocationGuards.accept
+  },
+  dispatch: {
+    from: [ALLOCATION_STATUS.ACCEPTED],
+    to: ALLOCATION_STATUS.DISPATCHED,
+    event: REQUEST_EVENTS.ALLOCATION_DISPATCHED,
+    guard: allocationGuards.dispatch
+  },
+  fulfill: {
+    from: [ALLOCATION_STATUS.DISPATCHED],
+    to: ALLOCATION_STATUS.FULFILLED,
+    event: REQUEST_EVENTS.ALLOCATION_FULFILLED,
+    guard: allocationGuards.fulfill
+  },
+  reject: {
+    from: OPEN_ALLOCATION_STATUSES,
+    to: ALLOCATION_STATUS.REJECTED,
+    event: REQUEST_EVENTS.ALLOCATION_REJECTED,
+    guard: allocationGuards.reject
+  },
+  cancel: {
+    from: OPEN_ALLOCATION_STATUSES,
+    to: ALLOCATION_STATUS.CANCELLED,
+    event: REQUEST_EVENTS.ALLOCATION_CANCELLED,
+    guard: null
+  }
+};
+
+/**
+ * Validate an allocation transition without touching the database
+ * @param {Object} allocation - Allocation sub-document
+ * @param {string} action - Key of ALLOCATION_TRANSITIONS
+ * @param {Object} context - Action input (bloodBankId, unitsFulfilled, reason, ...)
+ * @returns {{ allowed: boolean, transition?: Object, from?: string, message?: string, statusCode?: number }}
+ */
+export const checkAllocationTransition = (allocation, action, context = {}) => {
+  const transition = ALLOCATION_TRANSITIONS[action];
+
+  if (!transition) {
+    return { allowed: false, message: `Unknown allocation action: ${action}`, statusCode: 400 };
+  }
+
+  const from = allocation.status;
+  if (!transition.from.includes(from)) {
+    return {
+      allowed: false,
+      message: `Cannot ${action} an allocation in ${from} status`,
+      statusCode: 409
+    };
+  }
+
+  const guardError = transition.guard ? transition.guard(allocation, context) : null;
+  if (guardError) {
+    return { allowed: false, message: guardError, statusCode: 400 };
+  }
+
+  return { allowed: true, transition, from };
+};
@@ -0,0 +1,83 @@
+// #region Ranges
+
+/**
+ * Transport temperature limits in °C per blood component
+ *
+ * Whole blood and red cells travel chilled (1–10 °C), platelets at room
+ * temperature with agitation (20–24 °C) and plasma frozen (-18 °C or colder).
+ * A dispatch may narrow or replace its range, e.g. for a validated shipper.
+ */
+export const TRANSPORT_TEMPERATURE_RANGES = {
+  WHOLE_BLOOD: { minC: 1, maxC: 10 },
+  RBC: { minC: 1, maxC: 10 },
+  PLATELETS: { minC: 20, maxC: 24 },
+  PLASMA: { minC: -40, maxC: -18 }
+};
+
+/**
+ * Range a dispatch is monitored against
+ * @param {string} component
+ * @param {Object} [override] - { minC, maxC } supplied with the dispatch
+ */
+export const getTransportRange = (component, override = null) => {
+  const base = TRANSPORT_TEMPERATURE_RANGES[component] || TRANSPORT_TEMPERATURE_RANGES.WHOLE_BLOOD;
+  if (
+    override &&
+    Number.isFinite(override.minC) &&
+    Number.isFinite(override.maxC) &&
+    override.minC < override.maxC
+  ) {
+    return { minC: override.minC, maxC: override.maxC };
+  }
+  return { ...base };
+};
+
+export const isWithinRange = (temperatureC, range) =>
+  temperatureC >= range.minC && temperatureC <= range.maxC;
+
+// #region Readings
+
+/**
+ * Validate and normalise a batch of readings from a device or simulated feed
+ * @param {Array<Object>} readings - [{ temperatureC, recordedAt?, bagId? }]
+ * @returns {{ readings?: Array<Object>, error?: string }}
+ */
+export const normalizeReadings = (readings, now = new Date()) => {
+  if (!Array.isArray(readings) || readings.length === 0) {
+    return { error: "At least one temperature reading is required" };
+  }
+
+  const normalized = [];
+  for (const [index, reading] of readings.entries()) {
+    const temperatureC = Number(reading?.temperatureC);
+    if (reading?.temperatureC === null || reading?.temperatureC === "" || !Number.isFinite(temperatureC)) {
+      return { error: `Reading ${index + 1}: temperatureC must be a number` };
+    }
+
+    const recordedAt = reading.recordedAt ? new Date(reading.recordedAt) : now;
+    if (Number.isNaN(recordedAt.getTime()) || recordedAt > now) {
+      return { error: `Reading ${index + 1}: recordedAt must be a valid time, not in the future` };
+    }
+
+    normalized.push({ temperatureC, recordedAt, bagId: reading.bagId || null });
+  }
+
+  return { readings: normalized };
+};
+
+/**
+ * Roll a batch of readings up against the dispatch's range
+ * @returns {{ count: number, minC: number, maxC: number, last: Object, excursions: Array<Object> }}
+ */
+export const summarizeReadings = (readings, range) => {
+  const sorted = [...readings].sort((a, b) => a.recordedAt - b.recordedAt);
+  const temperatures = sorted.map((reading) => reading.temperatureC);
+
+  return {
+    count: sorted.length,
+    minC: Math.min(...temperatures),
+    maxC: Math.max(...temperatures),
+    last: sorted[sorted.length - 1],
+    excursions: sorted.filter((reading) => !isWithinRange(reading.temperatureC, range))
+  };
+};
@@ -0,0 +1,109 @@
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import ColdChainReading, { READING_SOURCES } from "../models/hospital/ColdChainReading.js";
+import BloodUnit from "../models/admin/BloodUnit.js";
+import Alert from "../models/admin/Alert.js";
+import { IN_FLIGHT_DISPATCH_STATUSES } from "./BloodRequestStateMachine.js";
+import { getTransportRange, normalizeReadings, summarizeReadings } from "./ColdChain.js";
+
+// #region ColdChainMonitor
+
+/**
+ * ColdChainMonitor
+ *
+ * Takes temperature readings for units in transit, from a logger on the
+ * shipper or a simulated feed, while the dispatch is DISPATCHED or IN_TRANSIT:
+ * - every reading is stored in cold_chain_readings
+ * - the dispatch keeps a running min/max/last summary
+ * - a reading outside the component's transport range flags the dispatch
+ *   and the issued bags (coldChainExcursionAt), and the first excursion of
+ *   a dispatch raises a CRITICAL alert so the hospital can quarantine the
+ *   units on receipt
+ */
+class ColdChainMonitor {
+  /**
+   * Record a batch of readings against a dispatch
+   * @param {string} requestId
+   * @param {string|null} allocationId - Allocation of a split request
+   * @param {Array<Object>} readings - [{ temperatureC, recordedAt?, bagId? }]
+   * @param {Object} origin - { deviceId, source: DEVICE|SIMULATED }
+   * @returns {Promise<Object>} { success, stored, excursions, flagged } or { success: false, message, statusCode }
+   */
+  async recordReadings(requestId, allocationId, readings, origin = {}) {
+    if (origin.source && !Object.values(READING_SOURCES).includes(origin.source)) {
+      return { success: false, message: "Invalid reading source", statusCode: 400 };
+    }
+
+    const normalized = normalizeReadings(readings);
+    if (normalized.error) {
+      return { success: false, message: normalized.error, statusCode: 400 };
+    }
+
+    const found = await HospitalBloodRequest.findDispatch(requestId, allocationId);
+    if (!found) {
+      return { success: false, message: allocationId ? "Allocation not found" : "Request not found", statusCode: 404 };
+    }
+
+    const { request, dispatch, allocation } = found;
+    if (!dispatch || !IN_FLIGHT_DISPATCH_STATUSES.includes(dispatch.status)) {
+      return { success: false, message: "Units are not in transit", statusCode: 409 };
+    }
+
+    const range = dispatch.temperatureRange || getTransportRange(request.component);
+    const summary = summarizeReadings(normalized.readings, range);
+
+    const before = await HospitalBloodRequest.recordDispatchTemperature(requestId, allocationId, summary);
+    if (!before) {
+      // Received between the lookup and the update
+      return { success: false, message: "Units are not in transit", statusCode: 409 };
+    }
+
+    const stored = await ColdChainReading.insertMany(
+      { requestId, allocationId, range },
+      normalized.readings,
+      origin
+    );
+
+    let flagged = 0;
+    if (summary.excursions.length > 0) {
+      const bagIds = summary.excursions.map((reading) => reading.bagId).filter(Boolean);
+      flagged = await BloodUnit.flagColdChainExcursion(allocationId || requestId, bagIds);
+
+      if (!dispatch.excursion?.flagged) {
+        await this.raiseExcursionAlert(request, allocation, range, summary);
+      }
+    }
+
+    return { success: true, stored, excursions: summary.excursions.length, flagged };
+  }
+
+  async raiseExcursionAlert(request, allocation, range, summary) {
+    const first = summary.excursions[0];
+    const bloodBankId = allocation?.bloodBankId || request.bloodBankId;
+
+    await Alert.create({
+      type: "COLD_CHAIN_EXCURSION",
+      title: `Cold-chain excursion on ${request.requestCode}`,
+      message:
+        `${request.bloodGroup} ${request.component} in transit read ${first.temperatureC} °C ` +
+        `(allowed ${range.minC} to ${range.maxC} °C). Inspect the units before transfusion.`,
+      severity: "CRITICAL",
+      relatedEntity: {
+        emergencyId: request._id,
+        allocationId: allocation?._id || null,
+        hospitalId: request.hospitalId,
+        bloodBankId,
+        temperatureC: first.temperatureC,
+        recordedAt: first.recordedAt
+      },
+      relatedEntityType: "EMERGENCY",
+      createdBy: "system"
+    });
+
+    console.log(
+      `[COLD_CHAIN] Excursion flagged on request ${request._id}` +
+      `${allocation ? ` allocation ${allocation._id}` : ""}: ${first.temperatureC} °C`
+    );
+  }
+}
+
+export default new ColdChainMonitor();
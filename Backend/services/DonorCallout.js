@@ -0,0 +1,305 @@
+import { createHash, randomBytes } from "crypto";
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import { findEligibleDonors, setEmergencyAppealOptIn } from "../models/donor/Donor.js";
+import NotificationDispatcher from "./NotificationDispatcher.js";
+import { NOTIFICATION_CHANNELS, renderTemplate } from "./NotificationTemplates.js";
+import { getCompatibleDonorGroups } from "./BloodCompatibility.js";
+import { OPEN_STATUSES } from "./BloodRequestStateMachine.js";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "./RealtimeEvents.js";
+
+// #region Configuration
+
+// Same groups HospitalBloodRequest.calculatePriority() ranks as rare
+export const RARE_BLOOD_GROUPS = ["AB-", "B-", "A-", "O-"];
+
+export const DONOR_RESPONSES = {
+  NO_RESPONSE: "NO_RESPONSE",
+  COMING: "COMING",
+  UNAVAILABLE: "UNAVAILABLE"
+};
+
+// Logged on the notification deliveries of an appeal
+export const DONOR_APPEAL_EVENT = "DONOR_EMERGENCY_APPEAL";
+
+/**
+ * Appeal sent to donors. Not one of the organization events, so it has no
+ * per-organization override (services/NotificationTemplates.js).
+ */
+export const DONOR_APPEAL_TEMPLATE = {
+  subject: "Urgent: {{bloodGroup}} blood needed at {{hospitalName}}",
+  body:
+    "Hi {{donorName}},\n\n{{hospitalName}} in {{city}} urgently needs {{bloodGroup}} blood " +
+    "and no blood bank nearby can cover it. You registered to be contacted in emergencies like this one.\n\n" +
+    "Can you come and donate? Let us know here: {{responseUrl}}\n\n" +
+    "You can also stop emergency appeals from that page.",
+  sms: "BloodBridge: {{hospitalName}}, {{city}} urgently needs {{bloodGroup}} donors. Can you come? {{responseUrl}}"
+};
+
+const getMaxDonors = () => Number(process.env.DONOR_CALLOUT_MAX_DONORS) || 50;
+
+const getAppealBaseUrl = () => {
+  if (process.env.DONOR_APPEAL_URL) {
+    return process.env.DONOR_APPEAL_URL.replace(/\/$/, "");
+  }
+  const origin = (process.env.CORS_ORIGIN || "http://localhost:5173").split(",")[0].trim();
+  return `${origin}/donor/appeal`;
+};
+
+// #region Helpers
+
+export const isRareRequest = (request) => RARE_BLOOD_GROUPS.includes(request?.bloodGroup);
+
+// Only the hash is stored; the token itself is in the donor's link
+export const hashResponseToken = (token) => createHash("sha256").update(String(token)).digest("hex");
+
+const maskMobile = (mobileNumber) =>
+  mobileNumber ? `${"*".repeat(Math.max(0, mobileNumber.length - 4))}${mobileNumber.slice(-4)}` : null;
+
+/**
+ * Responder as shown on dashboards. Contact details are only shared for
+ * donors who said they are coming.
+ */
+export const toResponderView = (responder) => ({
+  donorId: responder.donorId,
+  name: responder.name,
+  bloodGroup: responder.bloodGroup,
+  status: responder.status,
+  notifiedAt: responder.notifiedAt,
+  respondedAt: responder.respondedAt || null,
+  mobileNumber: responder.status === DONOR_RESPONSES.COMING
+    ? responder.mobileNumber
+    : maskMobile(responder.mobileNumber)
+});
+
+const RESPONSE_ORDER = [DONOR_RESPONSES.COMING, DONOR_RESPONSES.NO_RESPONSE, DONOR_RESPONSES.UNAVAILABLE];
+
+/**
+ * Call-out of a request with live response counts, coming donors first
+ */
+export const summarizeCallout = (request) => {
+  const callout = request.donorCallout;
+  const responders = callout?.responders || [];
+  const counts = Object.fromEntries(Object.values(DONOR_RESPONSES).map((status) => [status, 0]));
+  responders.forEach((responder) => {
+    counts[responder.status] = (counts[responder.status] || 0) + 1;
+  });
+
+  return {
+    requestId: request._id,
+    requestCode: request.requestCode,
+    requestStatus: request.status,
+    hospitalId: request.hospitalId,
+    hospitalName: callout?.hospitalName || "",
+    bloodGroup: request.bloodGroup,
+    component: request.component,
+    unitsRequired: request.unitsRequired,
+    urgency: request.urgency,
+    city: callout?.city || null,
+    bloodGroups: callout?.bloodGroups || [],
+    startedAt: callout?.startedAt || null,
+    counts: { ...counts, total: responders.length },
+    responders: responders
+      .map(toResponderView)
+      .sort((a, b) => RESPONSE_ORDER.indexOf(a.status) - RESPONSE_ORDER.indexOf(b.status))
+  };
+};
+
+// #region DonorCallout
+
+/**
+ * DonorCallout
+ *
+ * Emergency appeal to registered donors for rare-group requests that blood
+ * bank stock can't cover (started with the NGO fallback, or by the hospital):
+ * - donors of a compatible group in the hospital's city who opted in to
+ *   emergency appeals and may donate now (age limits, deferral interval
+ *   since their last donation; see models/donor/Donor.js)
+ * - each donor gets an SMS (and an email if known) with a personal link to
+ *   answer COMING or UNAVAILABLE; until then they show as NO_RESPONSE
+ * - responses are kept on the request (donorCallout.responders) and pushed
+ *   live to the hospital and the NGOs mobilising donors
+ */
+class DonorCallout {
+  publish(request) {
+    emitRealtimeEvent(REALTIME_EVENTS.DONOR_CALLOUT_UPDATED, { request });
+  }
+
+  /**
+   * Start the call-out of a request
+   * @param {Object} request - HospitalBloodRequest document
+   * @param {Object} options - { hospital, ngoIds, actor, now }
+   * @returns {Promise<Object>} { success, callout } or { success: false, message, statusCode }
+   */
+  async start(request, { hospital, ngoIds = [], actor = "system", now = new Date() } = {}) {
+    if (!isRareRequest(request)) {
+      return { success: false, message: `Donor call-outs are for rare blood groups (${RARE_BLOOD_GROUPS.join(", ")})`, statusCode: 400 };
+    }
+
+    const city = hospital?.location?.city || hospital?.address?.city || null;
+    if (!city) {
+      return { success: false, message: "The hospital has no city on record", statusCode: 400 };
+    }
+
+    // Exact group first, then substitutes in the order they should be used
+    const bloodGroups = getCompatibleDonorGroups(request.bloodGroup, request.component || "WHOLE_BLOOD")
+      .map((entry) => entry.bloodGroup);
+    const donors = (await findEligibleDonors({ bloodGroups, city }, now))
+      .sort((a, b) => bloodGroups.indexOf(a.bloodGroup) - bloodGroups.indexOf(b.bloodGroup))
+      .slice(0, getMaxDonors());
+
+    const appeals = donors.map((donor) => ({ donor, token: randomBytes(24).toString("hex") }));
+    const started = await HospitalBloodRequest.startDonorCallout(request._id, {
+      startedAt: now,
+      startedBy: actor,
+      hospitalName: hospital.name || "",
+      city,
+      bloodGroups,
+      ngoIds,
+      responders: appeals.map(({ donor, token }) => ({
+        donorId: donor._id,
+        name: donor.name || "",
+        bloodGroup: donor.bloodGroup,
+        mobileNumber: donor.mobileNumber || null,
+        status: DONOR_RESPONSES.NO_RESPONSE,
+        notifiedAt: now,
+        respondedAt: null,
+        responseTokenHash: hashResponseToken(token)
+      }))
+    });
+    if (!started) {
+      return { success: false, message: "Donors were already called out, or the request is closed", statusCode: 409 };
+    }
+
+    console.log(`[DONOR_CALLOUT] Request ${request._id}: ${appeals.length} donor(s) in ${city} appealed to`);
+
+    await this.sendAppeals(started, appeals);
+    this.publish(started);
+    return { success: true, callout: summarizeCallout(started) };
+  }
+
+  async sendAppeals(request, appeals) {
+    const messages = [];
+    for (const { donor, token } of appeals) {
+      const variables = {
+        donorName: donor.name || "donor",
+        hospitalName: request.donorCallout.hospitalName || "A hospital",
+        city: request.donorCallout.city,
+        bloodGroup: request.bloodGroup,
+        responseUrl: `${getAppealBaseUrl()}/${token}`
+      };
+      const subject = renderTemplate(DONOR_APPEAL_TEMPLATE.subject, variables);
+
+      if (donor.mobileNumber) {
+        messages.push({
+          channel: NOTIFICATION_CHANNELS.SMS,
+          address: donor.mobileNumber,
+          subject,
+          body: renderTemplate(DONOR_APPEAL_TEMPLATE.sms, variables)
+        });
+      }
+      if (donor.email) {
+        messages.push({
+          channel: NOTIFICATION_CHANNELS.EMAIL,
+          address: donor.email,
+          subject,
+          body: renderTemplate(DONOR_APPEAL_TEMPLATE.body, variables)
+        });
+      }
+    }
+
+    try {
+      await NotificationDispatcher.sendDirect(DONOR_APPEAL_EVENT, messages, {
+        organizationId: request.hospitalId,
+        payload: { requestId: request._id, requestCode: request.requestCode, bloodGroup: request.bloodGroup },
+        relatedEntity: { requestId: request._id }
+      });
+    } catch (error) {
+      console.error(`[DONOR_CALLOUT] Failed to send appeals for request ${request._id}:`, error);
+    }
+  }
+
+  /**
+   * What a donor sees when opening their appeal link
+   * @returns {Promise<Object>} { success, appeal } or { success: false, message, statusCode }
+   */
+  async getAppeal(token) {
+    const tokenHash = hashResponseToken(token);
+    const request = await HospitalBloodRequest.findByDonorResponseToken(tokenHash);
+    if (!request) {
+      return { success: false, message: "Appeal not found", statusCode: 404 };
+    }
+
+    const responder = request.donorCallout.responders.find((entry) => entry.responseTokenHash === tokenHash);
+    return {
+      success: true,
+      appeal: {
+        hospitalName: request.donorCallout.hospitalName,
+        city: request.donorCallout.city,
+        bloodGroup: request.bloodGroup,
+        urgency: request.urgency,
+        isOpen: OPEN_STATUSES.includes(request.status),
+        name: responder.name,
+        status: responder.status
+      }
+    };
+  }
+
+  /**
+   * Record a donor's answer
+   * @param {string} token - From the donor's appeal link
+   * @param {string} response - COMING | UNAVAILABLE
+   * @param {Object} options - { optOut } also stops future appeals to the donor
+   */
+  async respond(token, response, { optOut = false } = {}) {
+    if (![DONOR_RESPONSES.COMING, DONOR_RESPONSES.UNAVAILABLE].includes(response)) {
+      return { success: false, message: "Response must be COMING or UNAVAILABLE", statusCode: 400 };
+    }
+
+    const tokenHash = hashResponseToken(token);
+    const updated = await HospitalBloodRequest.recordDonorResponse(tokenHash, response);
+    if (!updated) {
+      const request = await HospitalBloodRequest.findByDonorResponseToken(tokenHash);
+      return request
+        ? { success: false, message: "This request no longer needs donors. Thank you!", statusCode: 409 }
+        : { success: false, message: "Appeal not found", statusCode: 404 };
+    }
+
+    const responder = updated.donorCallout.responders.find((entry) => entry.responseTokenHash === tokenHash);
+    if (optOut) {
+      await setEmergencyAppealOptIn(responder.donorId, false);
+    }
+
+    this.publish(updated);
+    return { success: true, status: responder.status, optedOut: Boolean(optOut) };
+  }
+
+  /**
+   * Call-out of one request, for the hospital or an NGO it was handed to
+   * @returns {Promise<Object>} { success, callout } or { success: false, message, statusCode }
+   */
+  async getForOrganization(requestId, organizationId) {
+    const request = await HospitalBloodRequest.findById(requestId);
+    if (!request) {
+      return { success: false, message: "Blood request not found", statusCode: 404 };
+    }
+
+    const orgId = String(organizationId);
+    const involved = String(request.hospitalId) === orgId ||
+      (request.donorCallout?.ngoIds || []).some((id) => String(id) === orgId);
+    if (!involved) {
+      return { success: false, message: "You don't have access to this call-out", statusCode: 403 };
+    }
+    if (!request.donorCallout) {
+      return { success: false, message: "No donors have been called out for this request", statusCode: 404 };
+    }
+
+    return { success: true, callout: summarizeCallout(request) };
+  }
+
+  async listForOrganization(organizationId) {
+    const requests = await HospitalBloodRequest.findOpenDonorCallouts(organizationId);
+    return requests.map(summarizeCallout);
+  }
+}
+
+export default new DonorCallout();
@@ -0,0 +1,397 @@
+import { getDB } from "../config/db.js";
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import Alert from "../models/admin/Alert.js";
+import { REQUEST_EVENTS, emitRequestEvent } from "./BloodRequestStateMachine.js";
+import DonorCallout, { isRareRequest } from "./DonorCallout.js";
+
+// #region Configuration
+
+/**
+ * Radius stages, widened in order while a request stays PENDING.
+ * waitMinutes is the time a stage is given before moving on and is scaled
+ * by the request urgency (see URGENCY_WAIT_FACTOR).
+ */
+export const ESCALATION_STAGES = [
+  { radiusKm: 5, waitMinutes: 10 },
+  { radiusKm: 15, waitMinutes: 15 },
+  { radiusKm: 50, waitMinutes: 20 }
+];
+
+const URGENCY_WAIT_FACTOR = {
+  CRITICAL: 0.5,
+  HIGH: 0.75,
+  MEDIUM: 1,
+  LOW: 2
+};
+
+// Banks without coordinates in the hospital's city are assumed this far away
+const SAME_CITY_DISTANCE_KM = 10;
+
+export const VERIFIED_STATUSES = ["APPROVED", "VERIFIED"];
+
+// #region Helpers
+
+/**
+ * Read [longitude, latitude] from an organization's location, if present
+ */
+const getCoordinates = (organization) => {
+  const coordinates = organization?.location?.coordinates;
+  if (
+    Array.isArray(coordinates) &&
+    coordinates.length === 2 &&
+    coordinates.every((value) => typeof value === "number") &&
+    !(coordinates[0] === 0 && coordinates[1] === 0)
+  ) {
+    return coordinates;
+  }
+  return null;
+};
+
+const getCity = (organization) =>
+  (organization?.location?.city || organization?.address?.city || organization?.city || "")
+    .trim()
+    .toLowerCase();
+
+/**
+ * Great-circle distance in kilometres between two [lng, lat] pairs
+ */
+export const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const toRad = (deg) => (deg * Math.PI) / 180;
+  const earthRadiusKm = 6371;
+
+  const dLat = toRad(lat2 - lat1);
+  const dLng = toRad(lng2 - lng1);
+  const a =
+    Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(lat1)) * Math.cos(toRad(lat2)) * Math.sin(dLng / 2) ** 2;
+
+  return 2 * earthRadiusKm * Math.asin(Math.sqrt(a));
+};
+
+/**
+ * Distance from hospital to blood bank, or null if it can't be estimated
+ */
+export const estimateDistanceKm = (hospital, bloodBank) => {
+  const from = getCoordinates(hospital);
+  const to = getCoordinates(bloodBank);
+
+  if (from && to) {
+    return distanceKm(from, to);
+  }
+
+  const hospitalCity = getCity(hospital);
+  if (hospitalCity && hospitalCity === getCity(bloodBank)) {
+    return SAME_CITY_DISTANCE_KM;
+  }
+
+  return null;
+};
+
+/**
+ * Time a stage is held open before escalating further
+ */
+export const getStageWaitMs = (stageIndex, urgency) => {
+  const stage = ESCALATION_STAGES[stageIndex];
+  const factor = URGENCY_WAIT_FACTOR[urgency] ?? 1;
+  return Math.round(stage.waitMinutes * factor * 60 * 1000);
+};
+
+// #region EscalationEngine
+
+/**
+ * EscalationEngine
+ *
+ * Fans a PENDING hospital blood request out to the nearest verified blood
+ * banks whose blood_stock covers the requested group, widening the radius
+ * stage by stage. Every stage is recorded on the request; when a stage times
+ * out a NO_BLOOD_BANK_RESPONSE alert is raised, and once the last stage is
+ * exhausted the request falls back to the NGO donor network
+ * (NGO_FALLBACK_TRIGGERED); for rare groups registered donors are also
+ * appealed to directly (services/DonorCallout.js).
+ */
+class EscalationEngine {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  getOrganizations() {
+    return getDB().collection("organizations");
+  }
+
+  /**
+   * Verified blood banks within radiusKm holding enough units of the group
+   * (or of an accepted compatible substitute). For split requests any bank
+   * with free units qualifies, since each covers only part of the request.
+   * @returns {Promise<Array<{ bloodBank: Object, distanceKm: number, units: number }>>}
+   */
+  async findCandidateBloodBanks(request, hospital, radiusKm) {
+    const db = getDB();
+    const bloodGroups = request.allowSubstitutes && request.compatibleBloodGroups?.length
+      ? request.compatibleBloodGroups
+      : [request.bloodGroup];
+    const minUnits = request.allowSplit ? 1 : request.unitsRequired;
+
+    const stocks = await db
+      .collection("blood_stock")
+      .find({
+        $or: bloodGroups.map((group) => ({
+          [`bloodStock.${group}.units`]: { $gte: minUnits }
+        }))
+      })
+      .project({
+        bloodBankId: 1,
+        ...Object.fromEntries(bloodGroups.map((group) => [`bloodStock.${group}`, 1]))
+      })
+      .toArray();
+
+    // Units already reserved for accepted requests can't be promised again;
+    // a bank qualifies if any single accepted group covers the request
+    const getFreeUnits = (stock) =>
+      Math.max(...bloodGroups.map((bloodGroup) => {
+        const group = stock.bloodStock?.[bloodGroup] || {};
+        return (group.units ?? 0) - (group.reserved ?? 0);
+      }));
+    const availableStocks = stocks.filter((stock) => getFreeUnits(stock) >= minUnits);
+
+    if (availableStocks.length === 0) {
+      return [];
+    }
+
+    const unitsByBank = new Map(
+      availableStocks.map((stock) => [stock.bloodBankId.toString(), getFreeUnits(stock)])
+    );
+
+    const bloodBanks = await this.getOrganizations()
+      .find({
+        _id: { $in: availableStocks.map((stock) => stock.bloodBankId) },
+        type: "bloodbank",
+        status: { $in: VERIFIED_STATUSES }
+      })
+      .toArray();
+
+    return bloodBanks
+      .map((bloodBank) => ({
+        bloodBank,
+        distanceKm: estimateDistanceKm(hospital, bloodBank),
+        units: unitsByBank.get(bloodBank._id.toString())
+      }))
+      .filter((candidate) => candidate.distanceKm !== null && candidate.distanceKm <= radiusKm)
+      .sort((a, b) => a.distanceKm - b.distanceKm);
+  }
+
+  /**
+   * Verified organizations of a type in the hospital's city
+   */
+  async findVerifiedInCity(type, hospital) {
+    const city = getCity(hospital);
+    if (!city) {
+      return [];
+    }
+
+    const escapedCity = city.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+    return await this.getOrganizations()
+      .find({
+        type,
+        status: { $in: VERIFIED_STATUSES },
+        "location.city": new RegExp(`^${escapedCity}$`, "i")
+      })
+      .project({ _id: 1, name: 1 })
+      .toArray();
+  }
+
+  /**
+   * Verified NGOs in the hospital's city for the donor fallback
+   */
+  async findFallbackNgos(hospital) {
+    return await this.findVerifiedInCity("ngo", hospital);
+  }
+
+  /**
+   * Verified blood banks in the hospital's city, alerted when it declares
+   * a mass-casualty incident
+   */
+  async findCityBloodBanks(hospital) {
+    return await this.findVerifiedInCity("bloodbank", hospital);
+  }
+
+  /**
+   * Advance a request past its current (timed-out) stage.
+   * Stages that reach no new blood bank are skipped straight away.
+   * @param {Object} request - HospitalBloodRequest document
+   */
+  async escalate(request) {
+    const hospital = await this.getOrganizations().findOne({ _id: request.hospitalId });
+    const alreadyNotified = new Set(
+      (request.escalation?.notifiedBloodBankIds || []).map((id) => id.toString())
+    );
+    let currentStage = request.escalation?.currentStage || 0;
+
+    while (currentStage < ESCALATION_STAGES.length) {
+      if (currentStage > 0) {
+        await this.raiseNoResponseAlert(request, hospital, currentStage);
+      }
+
+      const stageIndex = currentStage;
+      const { radiusKm } = ESCALATION_STAGES[stageIndex];
+      const candidates = await this.findCandidateBloodBanks(request, hospital, radiusKm);
+      const newlyNotified = candidates
+        .filter((candidate) => !alreadyNotified.has(candidate.bloodBank._id.toString()))
+        .map((candidate) => candidate.bloodBank._id);
+
+      const startedAt = new Date();
+      const expiresAt = newlyNotified.length > 0
+        ? new Date(startedAt.getTime() + getStageWaitMs(stageIndex, request.urgency))
+        : startedAt;
+
+      const recorded = await HospitalBloodRequest.recordEscalationStage(
+        request._id,
+        currentStage,
+        {
+          stage: stageIndex + 1,
+          radiusKm,
+          notifiedBloodBankIds: newlyNotified,
+          candidateCount: candidates.length,
+          startedAt,
+          expiresAt
+        }
+      );
+
+      // Request was accepted, cancelled or advanced by another worker
+      if (!recorded) {
+        return;
+      }
+
+      console.log(
+        `[ESCALATION] Request ${request._id} stage ${stageIndex + 1} (${radiusKm} km): ` +
+        `${newlyNotified.length} blood bank(s) notified`
+      );
+
+      if (newlyNotified.length > 0) {
+        emitRequestEvent(REQUEST_EVENTS.ESCALATED, {
+          request,
+          from: request.status,
+          to: request.status,
+          actor: { code: "system", role: "SYSTEM" },
+          context: { stage: stageIndex + 1, radiusKm, notifiedBloodBankIds: newlyNotified }
+        });
+      }
+
+      currentStage = stageIndex + 1;
+      if (newlyNotified.length > 0) {
+        return;
+      }
+    }
+
+    await this.triggerNgoFallback(request, hospital, currentStage);
+  }
+
+  async raiseNoResponseAlert(request, hospital, stage) {
+    const { radiusKm } = ESCALATION_STAGES[stage - 1];
+    await Alert.create({
+      type: "NO_BLOOD_BANK_RESPONSE",
+      title: `No response within ${radiusKm} km`,
+      message:
+        `${request.unitsRequired} unit(s) of ${request.bloodGroup} requested by ` +
+        `${hospital?.name || "hospital"} received no blood bank response at ` +
+        `escalation stage ${stage}. Widening search radius.`,
+      severity: request.urgency === "CRITICAL" ? "CRITICAL" : "HIGH",
+      relatedEntity: {
+        emergencyId: request._id,
+        hospitalId: request.hospitalId,
+        stage
+      },
+      relatedEntityType: "EMERGENCY",
+      createdBy: "system"
+    });
+  }
+
+  async triggerNgoFallback(request, hospital, stage) {
+    const ngos = await this.findFallbackNgos(hospital);
+    const ngoFallback = {
+      triggeredAt: new Date(),
+      city: hospital?.location?.city || null,
+      ngoIds: ngos.map((ngo) => ngo._id)
+    };
+
+    const triggered = await HospitalBloodRequest.triggerNgoFallback(request._id, stage, ngoFallback);
+    if (!triggered) {
+      return;
+    }
+
+    await Alert.create({
+      type: "NGO_FALLBACK_TRIGGERED",
+      title: "Blood bank escalation exhausted",
+      message:
+        `No blood bank within ${ESCALATION_STAGES[ESCALATION_STAGES.length - 1].radiusKm} km ` +
+        `accepted the ${request.bloodGroup} request from ${hospital?.name || "hospital"}. ` +
+        `${ngos.length} NGO(s) alerted for donor mobilisation.`,
+      severity: "CRITICAL",
+      relatedEntity: {
+        emergencyId: request._id,
+        hospitalId: request.hospitalId,
+        ngoIds: ngoFallback.ngoIds
+      },
+      relatedEntityType: "EMERGENCY",
+      createdBy: "system"
+    });
+
+    console.log(`[ESCALATION] Request ${request._id} handed to NGO fallback (${ngos.length} NGO(s))`);
+
+    if (isRareRequest(request)) {
+      try {
+        await DonorCallout.start(request, { hospital, ngoIds: ngoFallback.ngoIds });
+      } catch (error) {
+        console.error(`[ESCALATION] Donor call-out failed for request ${request._id}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Start escalation for a freshly created request
+   * @param {Object} request - HospitalBloodRequest document
+   */
+  async start(request) {
+    try {
+      // Banks notified up front (picked by the hospital, or the city's banks
+      // during an incident) get the first window to themselves
+      if (request.escalation?.notifiedBloodBankIds?.length > 0) {
+        await HospitalBloodRequest.scheduleNextEscalation(
+          request._id,
+          new Date(Date.now() + getStageWaitMs(0, request.urgency))
+        );
+        return;
+      }
+
+      await this.escalate(request);
+    } catch (error) {
+      console.error("[ESCALATION] Failed to start escalation:", error);
+    }
+  }
+
+  /**
+   * Process every request whose current stage has timed out
+   * @returns {Promise<number>} Requests processed
+   */
+  async processDueEscalations() {
+    if (this.isRunning) {
+      return 0;
+    }
+
+    this.isRunning = true;
+    try {
+      const dueRequests = await HospitalBloodRequest.findDueEscalations(new Date());
+      for (const request of dueRequests) {
+        try {
+          await this.escalate(request);
+        } catch (error) {
+          console.error(`[ESCALATION] Failed to escalate request ${request._id}:`, error);
+        }
+      }
+      return dueRequests.length;
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+export default new EscalationEngine();
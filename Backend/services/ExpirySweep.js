@@ -0,0 +1,147 @@
+import { getDB } from "../config/db.js";
+import BloodUnit from "../models/admin/BloodUnit.js";
+import BloodStock from "../models/admin/BloodStock.js";
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import Alert from "../models/admin/Alert.js";
+import { ESCALATION_STAGES, estimateDistanceKm } from "./EscalationEngine.js";
+
+// #region Configuration
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_WINDOW_DAYS = 3;
+const MAX_SUGGESTIONS = 5;
+
+// Redistribution suggestions reach as far as the widest escalation stage
+const SUGGESTION_RADIUS_KM = ESCALATION_STAGES[ESCALATION_STAGES.length - 1].radiusKm;
+
+export const getNearExpiryWindowMs = () =>
+  (Number(process.env.NEAR_EXPIRY_WINDOW_DAYS) || DEFAULT_WINDOW_DAYS) * DAY_MS;
+
+/**
+ * Nearest hospitals with pending requests for the group/component
+ * @param {Object} bloodBank - Organization document
+ * @param {Array<Object>} requests - Pending requests with `hospital` attached
+ */
+export const rankRedistributionTargets = (bloodBank, requests, radiusKm = SUGGESTION_RADIUS_KM) =>
+  requests
+    .map((request) => ({
+      hospitalId: request.hospitalId,
+      hospitalName: request.hospital?.name || null,
+      requestId: request._id,
+      urgency: request.urgency,
+      unitsRequired: request.unitsRequired,
+      distanceKm: estimateDistanceKm(bloodBank, request.hospital)
+    }))
+    .filter((target) => target.distanceKm !== null && target.distanceKm <= radiusKm)
+    .sort((a, b) => a.distanceKm - b.distanceKm)
+    .slice(0, MAX_SUGGESTIONS);
+
+// #region ExpirySweep
+
+/**
+ * ExpirySweep
+ *
+ * Daily pass over the bag inventory:
+ * - bags past their expiry are discarded and blood_stock re-derived
+ * - bags expiring within NEAR_EXPIRY_WINDOW_DAYS raise one NEAR_EXPIRY alert
+ *   per blood bank / group / component, suggesting nearby hospitals with
+ *   pending requests the bags could go to. Bags are flagged so they are
+ *   only alerted on once.
+ */
+class ExpirySweep {
+  constructor() {
+    this.isRunning = false;
+  }
+
+  getOrganizations() {
+    return getDB().collection("organizations");
+  }
+
+  async discardExpiredUnits(now) {
+    const { discarded, bloodBankIds } = await BloodUnit.discardExpired(now);
+    for (const bloodBankId of bloodBankIds) {
+      await BloodStock.syncFromUnits(bloodBankId, "expiry-sweep");
+    }
+    return discarded;
+  }
+
+  async raiseNearExpiryAlert(group) {
+    const { bloodBankId, bloodGroup, component } = group._id;
+    const bloodBank = await this.getOrganizations().findOne({ _id: bloodBankId });
+
+    const requests = await HospitalBloodRequest.findOpenRequestsFor(bloodGroup, component);
+    const hospitals = await this.getOrganizations()
+      .find({ _id: { $in: requests.map((request) => request.hospitalId) } })
+      .toArray();
+    const hospitalsById = new Map(hospitals.map((hospital) => [hospital._id.toString(), hospital]));
+
+    const suggestions = rankRedistributionTargets(
+      bloodBank,
+      requests.map((request) => ({
+        ...request,
+        hospital: hospitalsById.get(request.hospitalId.toString())
+      }))
+    );
+
+    const daysLeft = Math.max(0, Math.ceil((group.firstExpiry - Date.now()) / DAY_MS));
+    const suggestionText = suggestions.length > 0
+      ? ` ${suggestions.length} nearby hospital(s) have pending ${bloodGroup} requests.`
+      : requests.length > 0
+        ? " No hospital with a matching pending request is within reach."
+        : "";
+
+    await Alert.create({
+      type: "NEAR_EXPIRY",
+      title: `${group.count} ${bloodGroup} ${component} bag(s) expiring soon`,
+      message:
+        `${bloodBank?.name || "Blood bank"} holds ${group.count} ${bloodGroup} ${component} ` +
+        `bag(s), the first expiring in ${daysLeft} day(s).${suggestionText}`,
+      severity: daysLeft <= 1 ? "HIGH" : "MEDIUM",
+      relatedEntity: {
+        bloodBankId,
+        bloodGroup,
+        component,
+        bagIds: group.bagIds,
+        firstExpiry: group.firstExpiry,
+        suggestedHospitals: suggestions
+      },
+      relatedEntityType: "BLOOD_BANK",
+      createdBy: "system"
+    });
+
+    await BloodUnit.flagNearExpiry(group.bagIds);
+  }
+
+  /**
+   * Run one sweep
+   * @returns {Promise<{ discarded: number, alerts: number }>}
+   */
+  async run(now = new Date()) {
+    if (this.isRunning) {
+      return { discarded: 0, alerts: 0 };
+    }
+
+    this.isRunning = true;
+    try {
+      const discarded = await this.discardExpiredUnits(now);
+
+      const groups = await BloodUnit.findNearExpiry(new Date(now.getTime() + getNearExpiryWindowMs()), now);
+      let alerts = 0;
+      for (const group of groups) {
+        try {
+          await this.raiseNearExpiryAlert(group);
+          alerts++;
+        } catch (error) {
+          console.error("[EXPIRY_SWEEP] Failed to raise near-expiry alert:", error);
+        }
+      }
+
+      console.log(`[EXPIRY_SWEEP] Discarded ${discarded} expired bag(s), raised ${alerts} near-expiry alert(s)`);
+      return { discarded, alerts };
+    } finally {
+      this.isRunning = false;
+    }
+  }
+}
+
+export default new ExpirySweep();
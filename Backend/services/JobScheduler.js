@@ -0,0 +1,221 @@
+import os from "os";
+import ScheduledJob from "../models/admin/ScheduledJob.js";
+import JobRun from "../models/admin/JobRun.js";
+import { redisCache } from "../config/redis.js";
+
+// #region Configuration
+
+const DEFAULT_TICK_MS = 15 * 1000;
+const DEFAULT_LOCK_TTL_MS = 10 * 60 * 1000;
+
+const lockKey = (name) => `job-lock:${name}`;
+
+// #region JobScheduler
+
+/**
+ * JobScheduler
+ *
+ * In-process scheduler for periodic background work. Job handlers are
+ * registered in code (see services/ScheduledJobs.js); their shared state lives
+ * in the scheduled_jobs registry so every instance sees the same pause flags
+ * and due times.
+ *
+ * Each tick, for every due job an instance must:
+ * 1. take the job lock — `redisCache.setNX`, or a lease on the registry
+ *    document when Redis is not connected
+ * 2. claim the run by moving nextRunAt forward (conditional update)
+ * so a job runs on exactly one instance per interval. Every execution is
+ * recorded in job_runs.
+ */
+class JobScheduler {
+  constructor() {
+    this.jobs = new Map();
+    this.timer = null;
+    this.isTicking = false;
+    this.instanceId = `${os.hostname()}:${process.pid}`;
+  }
+
+  /**
+   * Register a job handler
+   * @param {string} name - Unique job name
+   * @param {Object} options - { handler, intervalMs, description, lockTtlMs, initialDelayMs }
+   */
+  register(name, options) {
+    if (typeof options.handler !== "function") {
+      throw new Error(`Job ${name} needs a handler`);
+    }
+    if (!Number.isFinite(options.intervalMs) || options.intervalMs <= 0) {
+      throw new Error(`Job ${name} needs a positive intervalMs`);
+    }
+
+    this.jobs.set(name, {
+      name,
+      description: options.description || "",
+      handler: options.handler,
+      intervalMs: options.intervalMs,
+      lockTtlMs: options.lockTtlMs || DEFAULT_LOCK_TTL_MS,
+      initialDelayMs: options.initialDelayMs || 0
+    });
+  }
+
+  isRegistered(name) {
+    return this.jobs.has(name);
+  }
+
+  // #region Locking
+
+  /**
+   * Take the job lock
+   * @returns {Promise<Function|null>} Release function, or null if another run holds it
+   */
+  async acquireLock(job) {
+    if (redisCache.isConnected) {
+      const key = lockKey(job.name);
+      const acquired = await redisCache.setNX(key, this.instanceId, Math.ceil(job.lockTtlMs / 1000));
+      if (!acquired) return null;
+
+      return async () => {
+        if ((await redisCache.get(key)) === this.instanceId) {
+          await redisCache.del(key);
+        }
+      };
+    }
+
+    const acquired = await ScheduledJob.acquireLease(job.name, this.instanceId, job.lockTtlMs);
+    if (!acquired) return null;
+
+    return () => ScheduledJob.releaseLease(job.name, this.instanceId);
+  }
+
+  // #region Execution
+
+  /**
+   * Run a handler and record the outcome (lock must already be held)
+   */
+  async perform(job, run) {
+    let status = "SUCCEEDED";
+    let result = null;
+    let error = null;
+
+    try {
+      result = await job.handler();
+    } catch (handlerError) {
+      status = "FAILED";
+      error = handlerError.message;
+      console.error(`[JOB_SCHEDULER] Job ${job.name} failed:`, handlerError);
+    }
+
+    const durationMs = Date.now() - run.startedAt.getTime();
+    try {
+      await JobRun.finish(run._id, { status, result, error, durationMs });
+      await ScheduledJob.recordOutcome(job.name, { status, error, durationMs, startedAt: run.startedAt });
+    } catch (recordError) {
+      console.error(`[JOB_SCHEDULER] Failed to record run of ${job.name}:`, recordError);
+    }
+
+    console.log(`[JOB_SCHEDULER] ${job.name} ${status} in ${durationMs}ms (${run.triggeredBy})`);
+    return { ...run, status, result, error, durationMs };
+  }
+
+  async runIfDue(job, now) {
+    const release = await this.acquireLock(job);
+    if (!release) return;
+
+    try {
+      const claimed = await ScheduledJob.claimDueRun(job.name, job.intervalMs, now);
+      if (!claimed) return;
+
+      const run = await JobRun.create({ jobName: job.name, triggeredBy: "scheduler", instanceId: this.instanceId });
+      await this.perform(job, run);
+    } finally {
+      await release();
+    }
+  }
+
+  /**
+   * Run every due, unpaused job once
+   */
+  async tick(now = new Date()) {
+    if (this.isTicking) {
+      return;
+    }
+
+    this.isTicking = true;
+    try {
+      const dueNames = await ScheduledJob.findDueNames([...this.jobs.keys()], now);
+      await Promise.all(
+        dueNames.map((name) =>
+          this.runIfDue(this.jobs.get(name), now).catch((error) => {
+            console.error(`[JOB_SCHEDULER] Failed to run ${name}:`, error);
+          })
+        )
+      );
+    } finally {
+      this.isTicking = false;
+    }
+  }
+
+  /**
+   * Start a run now, regardless of schedule or pause state
+   * @returns {Promise<{ success: boolean, run?: Object, message?: string, statusCode?: number }>}
+   */
+  async trigger(name, triggeredBy) {
+    const job = this.jobs.get(name);
+    if (!job) {
+      return { success: false, message: `Job ${name} is not registered on this instance`, statusCode: 404 };
+    }
+
+    const release = await this.acquireLock(job);
+    if (!release) {
+      return { success: false, message: `Job ${name} is already running`, statusCode: 409 };
+    }
+
+    let run;
+    try {
+      run = await JobRun.create({ jobName: name, triggeredBy, instanceId: this.instanceId });
+    } catch (error) {
+      await release();
+      throw error;
+    }
+
+    // Run in the background; the caller polls the run history
+    this.perform(job, run)
+      .finally(release)
+      .catch((error) => console.error(`[JOB_SCHEDULER] Triggered run of ${name} failed:`, error));
+
+    return { success: true, run };
+  }
+
+  // #region Lifecycle
+
+  /**
+   * Sync the registry and start ticking
+   */
+  async start(tickMs = Number(process.env.JOB_SCHEDULER_TICK_MS) || DEFAULT_TICK_MS) {
+    if (this.timer) {
+      return;
+    }
+
+    for (const job of this.jobs.values()) {
+      await ScheduledJob.upsert(job);
+    }
+
+    this.timer = setInterval(() => {
+      this.tick().catch((error) => {
+        console.error("[JOB_SCHEDULER] Tick failed:", error);
+      });
+    }, tickMs);
+    this.timer.unref?.();
+
+    console.log(`[JOB_SCHEDULER] ${this.jobs.size} job(s) registered, checking every ${tickMs / 1000}s as ${this.instanceId}`);
+  }
+
+  stop() {
+    if (this.timer) {
+      clearInterval(this.timer);
+      this.timer = null;
+    }
+  }
+}
+
+export default new JobScheduler();
@@ -0,0 +1,452 @@
+import LoginSecurity from "../models/auth/LoginSecurity.js";
+import Audit from "../models/admin/Audit.js";
+import Admin from "../models/admin/Admin.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import { SUBJECT_TYPES, getSubjectId } from "./Sessions.js";
+import { sendAccountMail } from "./Mailer.js";
+import { normalizeRole, ORGANIZATION_ADMIN_ROLE } from "../config/permissions.js";
+
+// #region Configuration
+
+const DEFAULT_MAX_FAILED_ATTEMPTS = 5;
+const DEFAULT_FAILED_WINDOW_MINUTES = 15;
+const DEFAULT_LOCKOUT_MINUTES = 15;
+const DEFAULT_SPIKE_THRESHOLD = 30;
+const DEFAULT_SPIKE_WINDOW_MINUTES = 10;
+
+// Each lock of the same identity lasts twice as long as the one before, up to a day
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Devices remembered per identity; the oldest is forgotten first
+export const MAX_KNOWN_DEVICES = 10;
+
+export const LOGIN_AUDIT_ACTIONS = {
+  ACCOUNT_LOCKED: "ACCOUNT_LOCKED",
+  ACCOUNT_UNLOCKED: "ACCOUNT_UNLOCKED",
+  NEW_DEVICE: "LOGIN_NEW_DEVICE",
+  NEW_LOCATION: "LOGIN_NEW_LOCATION",
+  FAILURE_SPIKE: "LOGIN_FAILURE_SPIKE"
+};
+
+const readPositiveInt = (value, fallback) => {
+  const parsed = parseInt(value, 10);
+  return parsed > 0 ? parsed : fallback;
+};
+
+const getMaxFailedAttempts = () => readPositiveInt(process.env.LOGIN_MAX_FAILED_ATTEMPTS, DEFAULT_MAX_FAILED_ATTEMPTS);
+
+const getFailedWindowMs = () =>
+  readPositiveInt(process.env.LOGIN_FAILED_WINDOW_MINUTES, DEFAULT_FAILED_WINDOW_MINUTES) * 60 * 1000;
+
+const getLockoutMs = () => readPositiveInt(process.env.LOGIN_LOCKOUT_MINUTES, DEFAULT_LOCKOUT_MINUTES) * 60 * 1000;
+
+const getSpikeThreshold = () => readPositiveInt(process.env.LOGIN_FAILURE_SPIKE_THRESHOLD, DEFAULT_SPIKE_THRESHOLD);
+
+const getSpikeWindowMs = () =>
+  readPositiveInt(process.env.LOGIN_FAILURE_SPIKE_WINDOW_MINUTES, DEFAULT_SPIKE_WINDOW_MINUTES) * 60 * 1000;
+
+// #region Helpers
+
+const failure = (message, statusCode = 401, extra = {}) => ({ success: false, message, statusCode, ...extra });
+
+const lockedFailure = (lockedUntil) =>
+  failure("Too many failed login attempts, try again later", 429, {
+    lockedUntil,
+    retryAfter: Math.max(1, Math.ceil((lockedUntil.getTime() - Date.now()) / 1000))
+  });
+
+/**
+ * Lock length for an identity locked `lockouts` times before
+ */
+export const getLockoutDuration = (lockouts = 0) => Math.min(getLockoutMs() * 2 ** lockouts, MAX_LOCKOUT_MS);
+
+const BROWSERS = [
+  [/Edg\//, "Edge"],
+  [/OPR\/|Opera/, "Opera"],
+  [/Firefox\//, "Firefox"],
+  [/Chrome\//, "Chrome"],
+  [/Safari\//, "Safari"],
+  [/curl|wget|python|axios|node-fetch|okhttp|PostmanRuntime/i, "Script"]
+];
+
+const SYSTEMS = [
+  [/Android/, "Android"],
+  [/iPhone|iPad|iOS/, "iOS"],
+  [/Windows/, "Windows"],
+  [/Mac OS X|Macintosh/, "macOS"],
+  [/CrOS/, "ChromeOS"],
+  [/Linux/, "Linux"]
+];
+
+const firstMatch = (patterns, value) => patterns.find(([pattern]) => pattern.test(value))?.[1];
+
+/**
+ * Coarse device label ("Chrome on Windows"); versions are left out so an
+ * update doesn't count as a new device
+ */
+export const describeDevice = (userAgent = "") => {
+  if (!userAgent) {
+    return "Unknown device";
+  }
+  const browser = firstMatch(BROWSERS, userAgent) || "Unknown browser";
+  const system = firstMatch(SYSTEMS, userAgent);
+  return system ? `${browser} on ${system}` : browser;
+};
+
+/**
+ * Network an address belongs to: the /24 of an IPv4 address, the /48 of an
+ * IPv6 one. A DHCP renewal stays on the same network; another site doesn't.
+ */
+export const describeNetwork = (ipAddress = "") => {
+  const address = String(ipAddress).replace(/^::ffff:/i, "");
+  if (!address) {
+    return "unknown";
+  }
+  if (/^\d{1,3}(\.\d{1,3}){3}$/.test(address)) {
+    return `${address.split(".").slice(0, 3).join(".")}.0/24`;
+  }
+  if (address.includes(":")) {
+    const [head] = address.split("::");
+    const groups = head.split(":").filter(Boolean);
+    return `${[...groups, "0", "0", "0"].slice(0, 3).join(":")}::/48`;
+  }
+  return address;
+};
+
+// #region LoginProtection
+
+/**
+ * LoginProtection
+ *
+ * Failed-login tracking per account, on top of the per-IP rate limit:
+ * - LOGIN_MAX_FAILED_ATTEMPTS wrong passwords within LOGIN_FAILED_WINDOW_MINUTES
+ *   lock the account for LOGIN_LOCKOUT_MINUTES, doubling with every further
+ *   lock until a successful login (capped at a day). A lock holds whichever
+ *   IP the attempts come from, and never blocks other accounts behind the
+ *   same IP.
+ * - Logins from a device or network the account hasn't used before are
+ *   written to the audit log and the owner is emailed.
+ * - More than LOGIN_FAILURE_SPIKE_THRESHOLD accounts failing within
+ *   LOGIN_FAILURE_SPIKE_WINDOW_MINUTES is reported to the super admins
+ *   (credential stuffing spread over many IPs).
+ * Locks, new devices and spikes are written to the audit log. Emails are
+ * sent in the background; a mail failure never fails a login.
+ * With two-factor on, a correct password isn't a login yet: wrong codes
+ * count as failed attempts and success is recorded once the code is
+ * accepted (services/TwoFactor.js).
+ */
+class LoginProtection {
+  /**
+   * What an attempt is counted against: the email, prefixed with the
+   * organization code for organization users
+   * @returns {Object} { subjectType, identifier, email, organizationCode }
+   */
+  identity(subjectType, email, organizationCode = null) {
+    const normalizedEmail = String(email || "").trim().toLowerCase();
+    return {
+      subjectType,
+      identifier: organizationCode ? `${organizationCode}/${normalizedEmail}` : normalizedEmail,
+      email: normalizedEmail,
+      organizationCode: organizationCode || null
+    };
+  }
+
+  /**
+   * Identity and account of a login's session claims, for the steps that
+   * follow the password
+   * @returns {Object} { identity, account }
+   */
+  forClaims(subjectType, claims) {
+    const organizationCode = subjectType === SUBJECT_TYPES.ORGANIZATION_USER ? claims.organizationCode : null;
+    return {
+      identity: this.identity(subjectType, claims.email, organizationCode),
+      account: { subjectId: getSubjectId(subjectType, claims), name: claims.name, email: claims.email, role: claims.role }
+    };
+  }
+
+  /**
+   * Refuse an attempt on a locked identity before the password is checked
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode: 429, lockedUntil, retryAfter }
+   */
+  async check(identity) {
+    const state = await LoginSecurity.findByIdentifier(identity.subjectType, identity.identifier);
+    if (state?.lockedUntil && state.lockedUntil > new Date()) {
+      return lockedFailure(state.lockedUntil);
+    }
+    return { success: true };
+  }
+
+  /**
+   * Count a failed attempt (wrong password or unknown account), locking the
+   * identity once it reaches the limit
+   * @param {Object} identity - From identity()
+   * @param {Object} device - { userAgent, ipAddress } (see getDevice)
+   * @param {Object|null} account - { subjectId, name, email, role } when the account exists
+   * @returns {Promise<Object>} The failure to answer with: 401, or 429 when this attempt locked the identity
+   */
+  async recordFailure(identity, device = {}, account = null) {
+    const { subjectType, identifier } = identity;
+    const state = await LoginSecurity.recordFailure(
+      subjectType,
+      identifier,
+      {
+        organizationCode: identity.organizationCode,
+        email: identity.email,
+        subjectId: account?.subjectId,
+        ipAddress: device.ipAddress
+      },
+      new Date(Date.now() - getFailedWindowMs())
+    );
+
+    await this.detectSpike().catch((error) => console.error(`[LOGIN_PROTECTION] Spike check failed: ${error.message}`));
+
+    if (state.failedCount < getMaxFailedAttempts()) {
+      return failure("Invalid credentials", 401);
+    }
+
+    const attempts = state.failedCount;
+    const lockedUntil = new Date(Date.now() + getLockoutDuration(state.lockouts));
+    await LoginSecurity.lock(subjectType, identifier, lockedUntil);
+
+    console.warn(`[ACCOUNT_LOCKED] ${subjectType} ${identifier} until ${lockedUntil.toISOString()} after ${attempts} failures`);
+    await this.audit(LOGIN_AUDIT_ACTIONS.ACCOUNT_LOCKED, identity, account, device, {
+      status: "FAILURE",
+      description: `Locked after ${attempts} failed login attempts`,
+      metadata: { attempts, lockedUntil, lockouts: state.lockouts + 1 }
+    });
+
+    this.notify(() => this.notifyLocked(identity, account, device, { attempts, lockedUntil }));
+    return lockedFailure(lockedUntil);
+  }
+
+  /**
+   * Forget failures once a login completes and flag a new device or network
+   * @param {Object} identity - From identity()
+   * @param {Object} account - { subjectId, name, email, role }
+   * @param {Object} device - { userAgent, ipAddress } (see getDevice)
+   * @returns {Promise<Object>} { newDevice, newLocation }
+   */
+  async recordSuccess(identity, account, device = {}) {
+    const { subjectType, identifier } = identity;
+    const state = await LoginSecurity.findByIdentifier(subjectType, identifier);
+    const knownDevices = state?.knownDevices || [];
+
+    const now = new Date();
+    const label = describeDevice(device.userAgent);
+    const network = describeNetwork(device.ipAddress);
+
+    // Nothing to compare the first login with
+    const newDevice = knownDevices.length > 0 && !knownDevices.some((known) => known.device === label);
+    const newLocation = knownDevices.length > 0 && !knownDevices.some((known) => known.network === network);
+
+    const seen = knownDevices.find((known) => known.device === label && known.network === network);
+    const updatedDevices = [
+      ...knownDevices.filter((known) => known !== seen),
+      { device: label, network, firstSeenAt: seen?.firstSeenAt || now, lastSeenAt: now }
+    ].slice(-MAX_KNOWN_DEVICES);
+
+    await LoginSecurity.recordSuccess(subjectType, identifier, {
+      subjectId: account.subjectId,
+      organizationCode: identity.organizationCode,
+      email: identity.email,
+      knownDevices: updatedDevices
+    });
+
+    if (newDevice || newLocation) {
+      const change = newDevice ? "a new device" : "a new location";
+      console.warn(`[LOGIN_${newDevice ? "NEW_DEVICE" : "NEW_LOCATION"}] ${subjectType} ${identifier} - ${label}, ${network}`);
+      await this.audit(
+        newDevice ? LOGIN_AUDIT_ACTIONS.NEW_DEVICE : LOGIN_AUDIT_ACTIONS.NEW_LOCATION,
+        identity,
+        account,
+        device,
+        {
+          description: `Signed in from ${change}`,
+          metadata: { device: label, network, newDevice, newLocation }
+        }
+      );
+
+      this.notify(() =>
+        sendAccountMail("NEW_SIGN_IN", account.email, {
+          name: account.name || account.email,
+          change,
+          device: label,
+          network,
+          time: now.toUTCString()
+        })
+      );
+    }
+
+    return { newDevice, newLocation };
+  }
+
+  // #region Administration
+
+  /**
+   * Identities locked right now
+   * @param {Object} filter - { subjectType?, organizationCode? }
+   */
+  async listLocked(filter = {}) {
+    const query = {};
+    if (filter.subjectType) query.subjectType = filter.subjectType;
+    if (filter.organizationCode) query.organizationCode = filter.organizationCode;
+
+    const records = await LoginSecurity.findLocked(query);
+    return records.map((record) => ({
+      subjectType: record.subjectType,
+      email: record.email,
+      organizationCode: record.organizationCode,
+      lockedAt: record.lockedAt,
+      lockedUntil: record.lockedUntil,
+      lockouts: record.lockouts,
+      lastFailedIp: record.lastFailedIp
+    }));
+  }
+
+  /**
+   * Lift a lock before it runs out
+   * @param {Object} identity - From identity()
+   * @param {Object} actor - { email, role, code }
+   * @returns {Promise<Object>} { success, wasLocked } or { success: false, message, statusCode }
+   */
+  async unlock(identity, actor, device = {}) {
+    const state = await LoginSecurity.findByIdentifier(identity.subjectType, identity.identifier);
+    if (!state) {
+      return failure("No failed logins recorded for this account", 404);
+    }
+
+    const wasLocked = Boolean(state.lockedUntil && state.lockedUntil > new Date());
+    await LoginSecurity.unlock(identity.subjectType, identity.identifier, actor.code || actor.email);
+
+    console.log(`[ACCOUNT_UNLOCKED] ${identity.subjectType} ${identity.identifier} by ${actor.code || actor.email}`);
+    await Audit.create({
+      entityType: "AUTH",
+      action: LOGIN_AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+      performedBy: actor.email,
+      performedByRole: actor.role,
+      entityId: state.subjectId || null,
+      entityCode: identity.organizationCode,
+      entityName: identity.email,
+      ipAddress: device.ipAddress,
+      description: wasLocked ? "Login lock lifted" : "Failed login count cleared",
+      metadata: { subjectType: identity.subjectType, identifier: identity.identifier, wasLocked }
+    });
+
+    return { success: true, wasLocked };
+  }
+
+  // #region Internals
+
+  /**
+   * Report many accounts failing at once, at most once per spike window
+   */
+  async detectSpike() {
+    const since = new Date(Date.now() - getSpikeWindowMs());
+    const failing = await LoginSecurity.countFailingSince(since);
+    if (failing < getSpikeThreshold()) {
+      return false;
+    }
+
+    const reported = await Audit.countRecent({ action: LOGIN_AUDIT_ACTIONS.FAILURE_SPIKE, since });
+    if (reported > 0) {
+      return false;
+    }
+
+    const minutes = Math.round(getSpikeWindowMs() / 60000);
+    console.warn(`[LOGIN_FAILURE_SPIKE] ${failing} accounts with failed logins in ${minutes} minutes`);
+    await Audit.create({
+      entityType: "AUTH",
+      action: LOGIN_AUDIT_ACTIONS.FAILURE_SPIKE,
+      performedBy: "system",
+      performedByRole: "SYSTEM",
+      status: "FAILURE",
+      description: `${failing} accounts had failed logins in the last ${minutes} minutes`,
+      metadata: { failing, windowMinutes: minutes }
+    });
+
+    const superAdmins = await this.findSuperAdmins();
+    await Promise.all(
+      superAdmins.map((admin) =>
+        sendAccountMail("SECURITY_NOTICE", admin.email, {
+          name: admin.name || admin.email,
+          summary: "Unusual number of failed logins",
+          details:
+            `${failing} different accounts had failed logins in the last ${minutes} minutes. ` +
+            "This usually means leaked passwords are being tried against BloodBridge."
+        })
+      )
+    );
+    return true;
+  }
+
+  async notifyLocked(identity, account, device, { attempts, lockedUntil }) {
+    if (account?.email) {
+      await sendAccountMail("ACCOUNT_LOCKED", account.email, {
+        name: account.name || account.email,
+        attempts,
+        ipAddress: device.ipAddress || "an unknown address",
+        lockedUntil: lockedUntil.toUTCString()
+      });
+    }
+
+    const administrators = await this.findAdministrators(identity);
+    const details =
+      `${identity.email} was locked after ${attempts} failed login attempts, the last from ` +
+      `${device.ipAddress || "an unknown address"}. The lock ends at ${lockedUntil.toUTCString()} ` +
+      "unless you lift it sooner.";
+
+    await Promise.all(
+      administrators
+        .filter((administrator) => administrator.email !== identity.email)
+        .map((administrator) =>
+          sendAccountMail("SECURITY_NOTICE", administrator.email, {
+            name: administrator.name || administrator.email,
+            summary: `Account locked: ${identity.email}`,
+            details
+          })
+        )
+    );
+  }
+
+  /**
+   * Who can unlock an identity: its organization's admins, or the super
+   * admins for platform admins. Donors have no one but themselves.
+   */
+  async findAdministrators(identity) {
+    if (identity.subjectType === SUBJECT_TYPES.ORGANIZATION_USER) {
+      return await OrganizationUser.findContactsByRole(identity.organizationCode, ORGANIZATION_ADMIN_ROLE);
+    }
+    if (identity.subjectType === SUBJECT_TYPES.ADMIN) {
+      return await this.findSuperAdmins();
+    }
+    return [];
+  }
+
+  async findSuperAdmins() {
+    const admins = await Admin.findAll();
+    return admins.filter((admin) => admin.isActive && normalizeRole(admin.role) === "SUPERADMIN");
+  }
+
+  notify(send) {
+    Promise.resolve()
+      .then(send)
+      .catch((error) => console.error(`[LOGIN_PROTECTION] Notification failed: ${error.message}`));
+  }
+
+  async audit(action, identity, account, device, details) {
+    await Audit.create({
+      entityType: "AUTH",
+      action,
+      performedBy: identity.email,
+      performedByRole: account?.role || null,
+      entityId: account?.subjectId || null,
+      entityCode: identity.organizationCode,
+      entityName: account?.name || identity.email,
+      ipAddress: device.ipAddress,
+      ...details,
+      metadata: { subjectType: identity.subjectType, userAgent: device.userAgent, ...details.metadata }
+    });
+  }
+}
+
+export default new LoginProtection();
@@ -0,0 +1,117 @@
+import { smtpAdapter, createSinkAdapter } from "./NotificationChannels.js";
+import { renderTemplate } from "./NotificationTemplates.js";
+
+// #region Templates
+
+/**
+ * Account emails. These bypass notification preferences: an account link is
+ * not something a user can opt out of.
+ */
+export const ACCOUNT_MAIL_TEMPLATES = {
+  ACTIVATION: {
+    subject: "Activate your BloodBridge account for {{organizationName}}",
+    body:
+      "Hi {{name}},\n\n{{organizationName}} has been approved on BloodBridge and you are its administrator.\n\n" +
+      "Choose your password to activate your account: {{link}}\n\n" +
+      "The link works once and expires on {{expiresAt}}. Your user code is {{userCode}}."
+  },
+  PASSWORD_RESET: {
+    subject: "Reset your BloodBridge password",
+    body:
+      "Hi {{name}},\n\nSomeone asked to reset the password of your {{organizationName}} account.\n\n" +
+      "Choose a new password here: {{link}}\n\n" +
+      "The link works once and expires on {{expiresAt}}. If this wasn't you, ignore this email; " +
+      "your password stays the same."
+  },
+  ACCOUNT_LOCKED: {
+    subject: "Your BloodBridge account is locked",
+    body:
+      "Hi {{name}},\n\nAfter {{attempts}} failed login attempts (the last from {{ipAddress}}) your account " +
+      "is locked until {{lockedUntil}}.\n\nIf this wasn't you, someone may know or be guessing your password: " +
+      "change it once you are back in. Your administrator can unlock the account sooner."
+  },
+  NEW_SIGN_IN: {
+    subject: "New sign-in to your BloodBridge account",
+    body:
+      "Hi {{name}},\n\nYour account was just used from {{change}}:\n\n" +
+      "Device: {{device}}\nNetwork: {{network}}\nTime: {{time}}\n\n" +
+      "If this was you, there is nothing to do. If it wasn't, change your password now and sign out " +
+      "your other sessions."
+  },
+  SECURITY_NOTICE: {
+    subject: "[Security] {{summary}}",
+    body: "Hi {{name}},\n\n{{details}}\n\nSee the audit log for the full record."
+  }
+};
+
+// #region Transports
+
+/**
+ * Local stand-in: prints the whole message, links included, to the console
+ */
+export const consoleMailer = {
+  name: "console-mailer",
+  async send({ to, subject, body }) {
+    console.log(`[MAILER] To: ${to}\n[MAILER] Subject: ${subject}\n${body}`);
+    return { providerMessageId: null, response: "console" };
+  }
+};
+
+let override = null;
+
+/**
+ * Replace the transport (anything with `send({ to, subject, body })`);
+ * null goes back to the environment's choice
+ */
+export const setMailer = (mailer) => {
+  override = mailer;
+};
+
+/**
+ * Transport for account email:
+ * - MAIL_TRANSPORT=smtp|console|file picks one explicitly
+ * - otherwise SMTP when EMAIL_HOST is set, the console stand-in when not
+ */
+export const getMailer = () => {
+  if (override) {
+    return override;
+  }
+
+  switch (process.env.MAIL_TRANSPORT) {
+    case "smtp":
+      return smtpAdapter;
+    case "console":
+      return consoleMailer;
+    case "file":
+      return createSinkAdapter("file");
+    default:
+      return process.env.EMAIL_HOST ? smtpAdapter : consoleMailer;
+  }
+};
+
+// #region Sending
+
+/**
+ * Send an account email
+ * @param {string} templateName - ACCOUNT_MAIL_TEMPLATES key
+ * @param {string} to - Recipient address
+ * @param {Object} variables - Template variables
+ * @returns {Promise<Object>} Transport result
+ */
+export const sendAccountMail = async (templateName, to, variables) => {
+  const template = ACCOUNT_MAIL_TEMPLATES[templateName];
+  const message = {
+    channel: "EMAIL",
+    event: `ACCOUNT_${templateName}`,
+    to,
+    subject: renderTemplate(template.subject, variables),
+    body: renderTemplate(template.body, variables)
+  };
+
+  const mailer = getMailer();
+  const result = await mailer.send(message);
+  console.log(`[MAILER] ${templateName} sent to ${to} via ${mailer.name}`);
+  return result;
+};
+
+export default sendAccountMail;
@@ -0,0 +1,276 @@
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import HospitalNgoDrive from "../models/hospital/HospitalNgoDrive.js";
+import BloodBankNgoDrive from "../models/admin/BloodBankNgoDrive.js";
+import OrganizationMessage from "../models/organization/OrganizationMessage.js";
+import MessageAttachment from "../models/organization/MessageAttachment.js";
+import { validateAttachment, saveAttachment, removeAttachment, getAttachmentPath } from "./AttachmentStorage.js";
+import { REALTIME_EVENTS, emitRealtimeEvent } from "./RealtimeEvents.js";
+
+// #region Configuration
+
+export const THREAD_ENTITY_TYPES = {
+  BLOOD_REQUEST: "BLOOD_REQUEST",
+  HOSPITAL_DRIVE: "HOSPITAL_DRIVE",
+  BLOODBANK_DRIVE: "BLOODBANK_DRIVE"
+};
+
+export const MAX_MESSAGE_LENGTH = 5000;
+export const MAX_ATTACHMENTS_PER_MESSAGE = 5;
+
+/**
+ * How each thread entity is loaded, who takes part in its thread and how the
+ * thread is labelled in inboxes
+ */
+const THREAD_ENTITIES = {
+  [THREAD_ENTITY_TYPES.BLOOD_REQUEST]: {
+    load: (id) => HospitalBloodRequest.findById(id),
+    // Banks escalation fanned an unassigned request out to can ask before accepting
+    participants: (request) => [
+      request.hospitalId,
+      request.bloodBankId,
+      ...(request.allocations || []).map((allocation) => allocation.bloodBankId),
+      ...(!request.bloodBankId && request.status === "PENDING"
+        ? request.escalation?.notifiedBloodBankIds || []
+        : [])
+    ],
+    label: (request) => `${request.requestCode} · ${request.unitsRequired} unit(s) ${request.bloodGroup}`
+  },
+  [THREAD_ENTITY_TYPES.HOSPITAL_DRIVE]: {
+    load: (id) => HospitalNgoDrive.findById(id),
+    participants: (drive) => [drive.hospitalId, drive.ngoId, drive.bloodBankId],
+    label: (drive) => drive.driveTitle || "Donation drive"
+  },
+  [THREAD_ENTITY_TYPES.BLOODBANK_DRIVE]: {
+    load: (id) => BloodBankNgoDrive.findById(id),
+    participants: (drive) => [drive.bloodBankId, drive.ngoId],
+    label: (drive) => drive.driveName || "Donation drive"
+  }
+};
+
+// #region Helpers
+
+const uniqueIds = (ids) => [...new Set(ids.filter(Boolean).map(String))];
+
+/**
+ * Message as returned to dashboards; receipts from the sender's own
+ * organization are left out
+ */
+export const toMessageView = (message) => ({
+  _id: message._id,
+  entityType: message.thread.entityType,
+  entityId: message.thread.entityId,
+  sender: message.sender,
+  body: message.body,
+  attachments: message.attachments,
+  readBy: (message.readBy || []).filter(
+    (receipt) => String(receipt.organizationId) !== String(message.sender.organizationId)
+  ),
+  createdAt: message.createdAt
+});
+
+// #region MessageThreads
+
+/**
+ * MessageThreads
+ *
+ * Threads organizations use to talk about a blood request or drive instead of
+ * phoning each other. Only the organizations involved in the entity (see
+ * THREAD_ENTITIES) can read or post. New messages and read receipts are
+ * pushed live to every participant.
+ *
+ * Callers are { organizationId, organizationCode, organizationName,
+ * organizationType, userCode, name }.
+ */
+class MessageThreads {
+  /**
+   * Load a thread's entity and check the caller takes part in it
+   * @returns {Promise<Object>} { success, thread: { entityType, entityId, label, participantIds } }
+   *   or { success: false, message, statusCode }
+   */
+  async resolve(entityType, entityId, organizationId) {
+    const config = THREAD_ENTITIES[entityType];
+    if (!config) {
+      return {
+        success: false,
+        message: `Messages can be attached to: ${Object.values(THREAD_ENTITY_TYPES).join(", ")}`,
+        statusCode: 400
+      };
+    }
+
+    const entity = await config.load(entityId);
+    if (!entity) {
+      return { success: false, message: "Request or drive not found", statusCode: 404 };
+    }
+
+    const participantIds = uniqueIds(config.participants(entity));
+    if (!participantIds.includes(String(organizationId))) {
+      return { success: false, message: "You are not part of this conversation", statusCode: 403 };
+    }
+
+    return {
+      success: true,
+      thread: { entityType, entityId: String(entity._id), label: config.label(entity), participantIds }
+    };
+  }
+
+  /**
+   * Messages of a thread, oldest first
+   * @param {Object} options - { before, limit }
+   */
+  async list(entityType, entityId, caller, { before, limit = 100 } = {}) {
+    const resolved = await this.resolve(entityType, entityId, caller.organizationId);
+    if (!resolved.success) return resolved;
+
+    const messages = await OrganizationMessage.findByThread(entityType, entityId, {
+      before,
+      limit: Math.min(Math.max(Number(limit) || 100, 1), 200)
+    });
+    return { success: true, thread: resolved.thread, messages: messages.map(toMessageView) };
+  }
+
+  /**
+   * Post a message, optionally carrying attachments uploaded beforehand
+   * @param {Object} content - { body, attachmentIds }
+   */
+  async post(entityType, entityId, caller, { body = "", attachmentIds = [] } = {}) {
+    const text = typeof body === "string" ? body.trim() : "";
+    if (!Array.isArray(attachmentIds)) {
+      return { success: false, message: "attachmentIds must be a list", statusCode: 400 };
+    }
+    if (!text && attachmentIds.length === 0) {
+      return { success: false, message: "Message is empty", statusCode: 400 };
+    }
+    if (text.length > MAX_MESSAGE_LENGTH) {
+      return { success: false, message: `Message is longer than ${MAX_MESSAGE_LENGTH} characters`, statusCode: 400 };
+    }
+    if (attachmentIds.length > MAX_ATTACHMENTS_PER_MESSAGE) {
+      return { success: false, message: `At most ${MAX_ATTACHMENTS_PER_MESSAGE} attachments per message`, statusCode: 400 };
+    }
+
+    const resolved = await this.resolve(entityType, entityId, caller.organizationId);
+    if (!resolved.success) return resolved;
+
+    const ids = uniqueIds(attachmentIds);
+    const attachments = ids.length
+      ? await MessageAttachment.findPending(ids, { organizationId: caller.organizationId, entityType, entityId })
+      : [];
+    if (attachments.length !== ids.length) {
+      return { success: false, message: "Attachment not found or already sent", statusCode: 400 };
+    }
+
+    const message = await OrganizationMessage.create({
+      thread: { entityType, entityId, label: resolved.thread.label },
+      participantIds: resolved.thread.participantIds,
+      sender: caller,
+      body: text,
+      attachments: attachments.map((attachment) => ({
+        attachmentId: attachment._id,
+        fileName: attachment.fileName,
+        mimeType: attachment.mimeType,
+        size: attachment.size
+      }))
+    });
+    if (ids.length) {
+      await MessageAttachment.attachToMessage(ids, message._id);
+    }
+
+    emitRealtimeEvent(REALTIME_EVENTS.MESSAGE_POSTED, { message, label: resolved.thread.label });
+    return { success: true, message: toMessageView(message) };
+  }
+
+  /**
+   * Read receipt: the caller has read every message of the thread so far
+   * @returns {Promise<Object>} { success, marked }
+   */
+  async markRead(entityType, entityId, caller) {
+    const resolved = await this.resolve(entityType, entityId, caller.organizationId);
+    if (!resolved.success) return resolved;
+
+    const marked = await OrganizationMessage.markThreadRead(entityType, entityId, caller);
+    if (marked > 0) {
+      emitRealtimeEvent(REALTIME_EVENTS.MESSAGE_READ, {
+        thread: resolved.thread,
+        reader: {
+          organizationId: caller.organizationId,
+          organizationName: caller.organizationName,
+          userCode: caller.userCode,
+          name: caller.name
+        }
+      });
+    }
+    return { success: true, marked };
+  }
+
+  /**
+   * Inbox of the caller's organization with the caller's unread counts
+   */
+  async listThreads(caller) {
+    return await OrganizationMessage.findThreadsForOrganization(caller.organizationId, caller.userCode);
+  }
+
+  /**
+   * Store a file for a message the caller is about to send
+   * @param {Object} file - { fileName, mimeType, content: Buffer }
+   * @returns {Promise<Object>} { success, attachment } or { success: false, message, statusCode }
+   */
+  async uploadAttachment(entityType, entityId, caller, file) {
+    const invalid = validateAttachment(file);
+    if (invalid) {
+      return { success: false, message: invalid, statusCode: 400 };
+    }
+
+    const resolved = await this.resolve(entityType, entityId, caller.organizationId);
+    if (!resolved.success) return resolved;
+
+    const storageKey = await saveAttachment(file.content);
+    try {
+      const attachment = await MessageAttachment.create({
+        thread: { entityType, entityId },
+        organizationId: caller.organizationId,
+        uploadedBy: caller.userCode,
+        fileName: String(file.fileName).trim().slice(0, 200),
+        mimeType: file.mimeType,
+        size: file.content.length,
+        storageKey
+      });
+      return {
+        success: true,
+        attachment: {
+          _id: attachment._id,
+          fileName: attachment.fileName,
+          mimeType: attachment.mimeType,
+          size: attachment.size
+        }
+      };
+    } catch (error) {
+      await removeAttachment(storageKey);
+      throw error;
+    }
+  }
+
+  /**
+   * File of an attachment, for participants of its thread (or, before it is
+   * sent, the uploader's organization)
+   * @returns {Promise<Object>} { success, attachment, filePath } or { success: false, message, statusCode }
+   */
+  async getAttachment(attachmentId, caller) {
+    const attachment = await MessageAttachment.findById(attachmentId);
+    if (!attachment) {
+      return { success: false, message: "Attachment not found", statusCode: 404 };
+    }
+
+    if (!attachment.messageId) {
+      if (String(attachment.organizationId) !== String(caller.organizationId)) {
+        return { success: false, message: "Attachment not found", statusCode: 404 };
+      }
+    } else {
+      const { entityType, entityId } = attachment.thread;
+      const resolved = await this.resolve(entityType, entityId, caller.organizationId);
+      if (!resolved.success) return resolved;
+    }
+
+    return { success: true, attachment, filePath: getAttachmentPath(attachment.storageKey) };
+  }
+}
+
+export default new MessageThreads();
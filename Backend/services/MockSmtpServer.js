@@ -0,0 +1,87 @@
+import net from "net";
+
+// #region MockSmtpServer
+
+/**
+ * Minimal SMTP server for offline testing of the email channel.
+ * Accepts every sender, recipient and AUTH attempt and hands each message to
+ * `onMessage({ from, to, data, receivedAt })`. No STARTTLS, no relaying.
+ *
+ * Point the email channel at it with EMAIL_HOST=localhost EMAIL_PORT=2525.
+ *
+ * @param {Object} options - { onMessage, rejectRecipients } where
+ *   rejectRecipients lists addresses answered with 550 (to exercise failures)
+ * @returns {net.Server}
+ */
+export const createMockSmtpServer = ({ onMessage = () => {}, rejectRecipients = [] } = {}) =>
+  net.createServer((socket) => {
+    let envelope = { from: null, to: [] };
+    let buffer = "";
+    let data = null; // Lines of the message while inside DATA
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const handle = (line) => {
+      if (data) {
+        if (line === ".") {
+          onMessage({ ...envelope, data: data.join("\r\n"), receivedAt: new Date() });
+          envelope = { from: null, to: [] };
+          data = null;
+          return reply("250 2.0.0 Message accepted");
+        }
+        data.push(line.startsWith("..") ? line.slice(1) : line);
+        return undefined;
+      }
+
+      const [verb] = line.split(" ");
+      switch (verb.toUpperCase()) {
+        case "EHLO":
+          reply("250-mock-smtp");
+          reply("250-AUTH PLAIN LOGIN");
+          return reply("250 8BITMIME");
+        case "HELO":
+          return reply("250 mock-smtp");
+        case "AUTH":
+          return reply("235 2.7.0 Authentication successful");
+        case "MAIL":
+          envelope.from = /<([^>]*)>/.exec(line)?.[1] || null;
+          return reply("250 2.1.0 OK");
+        case "RCPT": {
+          const recipient = /<([^>]*)>/.exec(line)?.[1];
+          if (rejectRecipients.includes(recipient)) {
+            return reply("550 5.1.1 Mailbox unavailable");
+          }
+          envelope.to.push(recipient);
+          return reply("250 2.1.5 OK");
+        }
+        case "DATA":
+          data = [];
+          return reply("354 End data with <CR><LF>.<CR><LF>");
+        case "RSET":
+          envelope = { from: null, to: [] };
+          return reply("250 OK");
+        case "NOOP":
+          return reply("250 OK");
+        case "QUIT":
+          reply("221 Bye");
+          return socket.end();
+        default:
+          return reply("502 5.5.2 Command not implemented");
+      }
+    };
+
+    socket.on("data", (chunk) => {
+      buffer += chunk.toString("utf8");
+      let index;
+      while ((index = buffer.indexOf("\r\n")) !== -1) {
+        const line = buffer.slice(0, index);
+        buffer = buffer.slice(index + 2);
+        handle(line);
+      }
+    });
+    socket.on("error", () => {});
+
+    reply("220 mock-smtp ESMTP ready");
+  });
+
+export default createMockSmtpServer;
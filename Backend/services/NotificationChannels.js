@@ -0,0 +1,170 @@
+import fs from "fs";
+import path from "path";
+import { createHmac } from "crypto";
+import { sendMail } from "./SmtpClient.js";
+import { NOTIFICATION_CHANNELS } from "./NotificationTemplates.js";
+
+const DEFAULT_HTTP_TIMEOUT_MS = 10 * 1000;
+const DEFAULT_SINK_FILE = "logs/notifications.log";
+
+/**
+ * Failed delivery attempt. `permanent` failures (bad address, rejected
+ * credentials, 4xx from a webhook) are not retried.
+ */
+export class DeliveryError extends Error {
+  constructor(message, { permanent = false } = {}) {
+    super(message);
+    this.name = "DeliveryError";
+    this.permanent = permanent;
+  }
+}
+
+// #region HTTP
+
+const postJson = async (url, body, headers = () => ({})) => {
+  const raw = JSON.stringify(body);
+  let response;
+
+  try {
+    response = await fetch(url, {
+      method: "POST",
+      headers: { "Content-Type": "application/json", ...headers(raw) },
+      body: raw,
+      signal: AbortSignal.timeout(Number(process.env.NOTIFICATION_HTTP_TIMEOUT_MS) || DEFAULT_HTTP_TIMEOUT_MS)
+    });
+  } catch (error) {
+    throw new DeliveryError(`POST ${url} failed: ${error.message}`);
+  }
+
+  const text = await response.text().catch(() => "");
+  if (!response.ok) {
+    // 408/429 and 5xx are worth another try, other client errors are not
+    const permanent = response.status < 500 && ![408, 429].includes(response.status);
+    throw new DeliveryError(`POST ${url} returned ${response.status}: ${text.slice(0, 200)}`, { permanent });
+  }
+
+  return { status: response.status, text };
+};
+
+// #region Adapters
+
+/**
+ * Email over SMTP (EMAIL_HOST, EMAIL_PORT, EMAIL_USER, EMAIL_PASS, EMAIL_SECURE, EMAIL_FROM)
+ */
+export const smtpAdapter = {
+  name: "smtp",
+  async send({ to, subject, body }) {
+    try {
+      const result = await sendMail({
+        host: process.env.EMAIL_HOST,
+        port: Number(process.env.EMAIL_PORT) || 587,
+        secure: process.env.EMAIL_SECURE === "true",
+        user: process.env.EMAIL_USER,
+        pass: process.env.EMAIL_PASS,
+        from: process.env.EMAIL_FROM || process.env.EMAIL_USER,
+        to,
+        subject,
+        text: body
+      });
+      return { providerMessageId: result.messageId, response: result.response };
+    } catch (error) {
+      throw new DeliveryError(error.message, { permanent: Boolean(error.permanent) });
+    }
+  }
+};
+
+/**
+ * Text messages through an HTTP SMS gateway (SMS_GATEWAY_URL, SMS_GATEWAY_API_KEY, SMS_SENDER_ID).
+ * Posts { to, from, message }; the gateway's JSON `id` is kept as the provider message ID.
+ */
+export const smsGatewayAdapter = {
+  name: "sms-gateway",
+  async send({ to, body }) {
+    const { text } = await postJson(
+      process.env.SMS_GATEWAY_URL,
+      { to, from: process.env.SMS_SENDER_ID || "BloodBridge", message: body },
+      () => (process.env.SMS_GATEWAY_API_KEY ? { Authorization: `Bearer ${process.env.SMS_GATEWAY_API_KEY}` } : {})
+    );
+
+    let providerMessageId = null;
+    try {
+      providerMessageId = JSON.parse(text).id || null;
+    } catch {
+      // Gateways that answer with plain text still count as accepted
+    }
+    return { providerMessageId, response: text.slice(0, 200) };
+  }
+};
+
+/**
+ * Generic HTTP webhook: POSTs the event as JSON to the recipient's URL.
+ * With NOTIFICATION_WEBHOOK_SECRET set, X-BloodBridge-Signature carries
+ * `sha256=<hex HMAC of the raw body>` so receivers can verify the sender.
+ */
+export const webhookAdapter = {
+  name: "webhook",
+  async send({ to, subject, body, event, payload, deliveryId }) {
+    const secret = process.env.NOTIFICATION_WEBHOOK_SECRET;
+    const { status } = await postJson(
+      to,
+      { event, subject, message: body, data: payload || {}, deliveryId, sentAt: new Date().toISOString() },
+      (raw) => ({
+        "X-BloodBridge-Event": event,
+        "X-BloodBridge-Delivery": String(deliveryId || ""),
+        ...(secret && {
+          "X-BloodBridge-Signature": `sha256=${createHmac("sha256", secret).update(raw).digest("hex")}`
+        })
+      })
+    );
+    return { providerMessageId: null, response: `HTTP ${status}` };
+  }
+};
+
+/**
+ * Local stand-in: writes messages to the console or, for `file`, appends
+ * one JSON line per message to NOTIFICATION_SINK_FILE. Nothing leaves the machine.
+ */
+export const createSinkAdapter = (mode = "console") => ({
+  name: mode === "file" ? "file-sink" : "console-sink",
+  async send({ channel, to, subject, body, event, payload, deliveryId }) {
+    const entry = { at: new Date().toISOString(), deliveryId, channel, event, to, subject, body, payload };
+
+    if (mode === "file") {
+      const file = process.env.NOTIFICATION_SINK_FILE || DEFAULT_SINK_FILE;
+      await fs.promises.mkdir(path.dirname(file), { recursive: true });
+      await fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`);
+    } else {
+      console.log(`[NOTIFICATION_SINK] ${channel} to ${to}: ${subject || body}`);
+    }
+    return { providerMessageId: null, response: mode };
+  }
+});
+
+// #region Selection
+
+/**
+ * Adapter for a channel, chosen from the environment:
+ * - NOTIFICATION_SINK=console|file sends every channel to the local sink
+ * - EMAIL without EMAIL_HOST and SMS without SMS_GATEWAY_URL fall back to the console sink
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @returns {Object} { name, send(message) }
+ */
+export const getChannelAdapter = (channel) => {
+  const sink = process.env.NOTIFICATION_SINK;
+  if (sink) {
+    return createSinkAdapter(sink);
+  }
+
+  switch (channel) {
+    case NOTIFICATION_CHANNELS.EMAIL:
+      return process.env.EMAIL_HOST ? smtpAdapter : createSinkAdapter("console");
+    case NOTIFICATION_CHANNELS.SMS:
+      return process.env.SMS_GATEWAY_URL ? smsGatewayAdapter : createSinkAdapter("console");
+    case NOTIFICATION_CHANNELS.WEBHOOK:
+      return webhookAdapter;
+    default:
+      throw new DeliveryError(`Unknown notification channel: ${channel}`, { permanent: true });
+  }
+};
+
+export default getChannelAdapter;
@@ -0,0 +1,359 @@
+import NotificationRecipient from "../models/organization/NotificationRecipient.js";
+import NotificationTemplate from "../models/organization/NotificationTemplate.js";
+import NotificationDelivery, { DELIVERY_STATUS } from "../models/admin/NotificationDelivery.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import Admin from "../models/admin/Admin.js";
+import { Organization } from "../models/organization/Organization.js";
+import { getChannelAdapter } from "./NotificationChannels.js";
+import { DEFAULT_TEMPLATES, NOTIFICATION_CHANNELS, renderMessage } from "./NotificationTemplates.js";
+import { evaluatePreferences } from "./NotificationPreferences.js";
+
+const MINUTE_MS = 60 * 1000;
+
+// Wait before attempt 2, 3, 4, ...; the last delay repeats
+export const RETRY_DELAYS_MS = [MINUTE_MS, 5 * MINUTE_MS, 15 * MINUTE_MS, 60 * MINUTE_MS];
+// Deliveries left in SENDING longer than this are retried (instance died mid-attempt)
+const STALE_SENDING_MS = 10 * MINUTE_MS;
+
+const getMaxAttempts = () => Number(process.env.NOTIFICATION_MAX_ATTEMPTS) || 5;
+
+/**
+ * Delay before the next attempt after `attempts` failed ones
+ * @param {number} attempts - Attempts made so far (1 after the first failure)
+ * @returns {number}
+ */
+export const getRetryDelayMs = (attempts) =>
+  RETRY_DELAYS_MS[Math.min(Math.max(attempts, 1), RETRY_DELAYS_MS.length) - 1];
+
+// #region NotificationDispatcher
+
+/**
+ * NotificationDispatcher
+ *
+ * Sends notification events to organizations' recipient lists and to the
+ * users who opted in to email or SMS:
+ * - each active recipient subscribed to the event gets one delivery, rendered
+ *   from the organization's template override or the built-in template
+ * - users get one delivery per channel their preferences allow; inside their
+ *   quiet hours the delivery waits until the quiet period ends
+ * - deliveries are logged in notification_deliveries and attempted at once
+ *   through the channel adapter (services/NotificationChannels.js)
+ * - failed attempts back off (RETRY_DELAYS_MS) and are picked up by the
+ *   "notification-retry" job until NOTIFICATION_MAX_ATTEMPTS is reached;
+ *   permanent failures stop straight away
+ */
+class NotificationDispatcher {
+  /**
+   * Template for an organization: override fields win over the defaults
+   * @param {string|null} organizationId - null for the built-in template
+   * @param {string} event
+   * @returns {Promise<Object>} { subject, body, sms }
+   */
+  async resolveTemplate(organizationId, event) {
+    const defaults = DEFAULT_TEMPLATES[event] || { subject: event, body: "", sms: "" };
+    const override = organizationId ? await NotificationTemplate.findOne(organizationId, event) : null;
+
+    return {
+      subject: override?.subject ?? defaults.subject,
+      body: override?.body ?? defaults.body,
+      sms: override?.sms ?? defaults.sms
+    };
+  }
+
+  /**
+   * Organizations being notified, with the template each one uses
+   * @returns {Promise<Map>} organizationId -> { code, name, template }
+   */
+  async loadOrganizations(organizationIds, event) {
+    const organizations = new Map();
+    for (const organizationId of organizationIds) {
+      const [organization, template] = await Promise.all([
+        Organization.findById(organizationId),
+        this.resolveTemplate(organizationId, event)
+      ]);
+      organizations.set(organizationId, {
+        code: organization?.organizationCode || null,
+        name: organization?.name || "",
+        template
+      });
+    }
+    return organizations;
+  }
+
+  /**
+   * Users who opted in to email or SMS, filtered by their preferences
+   * (services/NotificationPreferences.js). Quiet hours defer a delivery
+   * rather than drop it.
+   * @returns {Promise<Array>} Targets { channel, address, organizationId, userCode, recipientName, deferUntil }
+   */
+  async getUserTargets(organizations, event, critical, superAdmins) {
+    const idByCode = new Map([...organizations].map(([id, organization]) => [organization.code, id]));
+    const codes = [...idByCode.keys()].filter(Boolean);
+
+    const users = [
+      ...(codes.length > 0 ? await OrganizationUser.findNotificationSubscribers(codes) : []).map((user) => ({
+        ...user,
+        organizationId: idByCode.get(user.organizationCode)
+      })),
+      ...(superAdmins ? await Admin.findNotificationSubscribers() : []).map((admin) => ({
+        ...admin,
+        userCode: admin.adminCode,
+        organizationId: null
+      }))
+    ];
+
+    const targets = [];
+    for (const user of users) {
+      const addresses = [
+        [NOTIFICATION_CHANNELS.EMAIL, user.email],
+        [NOTIFICATION_CHANNELS.SMS, user.notificationPreferences?.smsNumber]
+      ];
+      for (const [channel, address] of addresses) {
+        if (!address) continue;
+        const decision = evaluatePreferences(user.notificationPreferences, { event, channel, critical });
+        if (!decision.deliver && !decision.deferUntil) continue;
+
+        targets.push({
+          channel,
+          address,
+          organizationId: user.organizationId,
+          userCode: user.userCode,
+          recipientName: user.name || "",
+          deferUntil: decision.deferUntil
+        });
+      }
+    }
+    return targets;
+  }
+
+  /**
+   * Queue and send an event to organizations' recipient lists and to the
+   * users who opted in
+   * @param {string} event - NOTIFICATION_EVENTS value
+   * @param {Object} options - { organizationIds, variables, payload, relatedEntity, critical, superAdmins }
+   *   `variables` fill the templates (organizationName and recipientName are added per recipient),
+   *   `payload` is passed as-is to webhooks, `critical` lets on-call users through their
+   *   quiet hours and opt-outs, `superAdmins` also notifies super admins who opted in
+   * @returns {Promise<Object>} { queued, sent, failed, deferred }
+   */
+  async notify(event, {
+    organizationIds = [],
+    variables = {},
+    payload = {},
+    relatedEntity = {},
+    critical = false,
+    superAdmins = false
+  } = {}) {
+    const ids = [...new Set(organizationIds.filter(Boolean).map(String))];
+    if (ids.length === 0 && !superAdmins) {
+      return { queued: 0, sent: 0, failed: 0, deferred: 0 };
+    }
+
+    const organizations = await this.loadOrganizations(ids, event);
+    const recipients = ids.length > 0 ? await NotificationRecipient.findForEvent(ids, event) : [];
+    const targets = [
+      ...recipients.map((recipient) => ({
+        channel: recipient.channel,
+        address: recipient.address,
+        organizationId: String(recipient.organizationId),
+        recipientId: recipient._id,
+        recipientName: recipient.name || "",
+        deferUntil: null
+      })),
+      ...(await this.getUserTargets(organizations, event, critical, superAdmins))
+    ];
+
+    const defaultTemplate = await this.resolveTemplate(null, event);
+    const seen = new Set();
+    const deliveries = [];
+
+    for (const target of targets) {
+      // A user on the organization's list gets the message once
+      const key = `${target.channel}:${target.address.toLowerCase()}`;
+      if (seen.has(key)) continue;
+      seen.add(key);
+
+      const organization = organizations.get(target.organizationId);
+      const message = renderMessage(organization?.template || defaultTemplate, target.channel, {
+        ...variables,
+        organizationName: organization?.name || "",
+        recipientName: target.recipientName
+      });
+
+      deliveries.push(
+        await NotificationDelivery.create({
+          event,
+          channel: target.channel,
+          organizationId: target.organizationId,
+          recipientId: target.recipientId,
+          userCode: target.userCode,
+          address: target.address,
+          subject: message.subject,
+          body: message.body,
+          payload,
+          relatedEntity,
+          nextAttemptAt: target.deferUntil,
+          maxAttempts: getMaxAttempts()
+        })
+      );
+    }
+
+    // Deferred deliveries are sent by the notification-retry job once quiet hours end
+    const now = deliveries.filter((delivery) => !delivery.deferredUntil);
+    const results = await Promise.all(now.map((delivery) => this.attempt(delivery._id)));
+    return {
+      queued: deliveries.length,
+      sent: results.filter((result) => result?.status === DELIVERY_STATUS.SENT).length,
+      failed: results.filter((result) => result?.status === DELIVERY_STATUS.FAILED).length,
+      deferred: deliveries.length - now.length
+    };
+  }
+
+  /**
+   * Queue and send messages that are already addressed and rendered, for
+   * people outside the organizations' lists (donors answering an appeal)
+   * @param {string} event - Logged on the deliveries
+   * @param {Array<Object>} messages - { channel, address, subject, body }
+   * @param {Object} options - { organizationId, payload, relatedEntity }
+   * @returns {Promise<Object>} { queued, sent, failed }
+   */
+  async sendDirect(event, messages, { organizationId = null, payload = {}, relatedEntity = {} } = {}) {
+    const deliveries = [];
+    for (const message of messages) {
+      deliveries.push(
+        await NotificationDelivery.create({
+          event,
+          channel: message.channel,
+          organizationId: organizationId ? String(organizationId) : null,
+          address: message.address,
+          subject: message.subject,
+          body: message.body,
+          payload,
+          relatedEntity,
+          maxAttempts: getMaxAttempts()
+        })
+      );
+    }
+
+    const results = await Promise.all(deliveries.map((delivery) => this.attempt(delivery._id)));
+    return {
+      queued: deliveries.length,
+      sent: results.filter((result) => result?.status === DELIVERY_STATUS.SENT).length,
+      failed: results.filter((result) => result?.status === DELIVERY_STATUS.FAILED).length
+    };
+  }
+
+  /**
+   * Make one attempt at a delivery
+   * @param {string} deliveryId
+   * @param {Object} claimed - Delivery already claimed by the caller (skips the claim)
+   * @returns {Promise<Object|null>} Updated delivery, null if another instance holds it
+   */
+  async attempt(deliveryId, claimed = null) {
+    const delivery = claimed || (await NotificationDelivery.claim(deliveryId));
+    if (!delivery) {
+      return null;
+    }
+
+    const startedAt = Date.now();
+    let adapterName = null;
+
+    try {
+      const adapter = getChannelAdapter(delivery.channel);
+      adapterName = adapter.name;
+      const result = await adapter.send({
+        channel: delivery.channel,
+        to: delivery.address,
+        subject: delivery.subject,
+        body: delivery.body,
+        event: delivery.event,
+        payload: delivery.payload,
+        deliveryId: String(delivery._id)
+      });
+
+      return await NotificationDelivery.recordAttempt(
+        delivery._id,
+        {
+          at: new Date(),
+          adapter: adapterName,
+          success: true,
+          response: result?.response || null,
+          providerMessageId: result?.providerMessageId || null,
+          durationMs: Date.now() - startedAt
+        },
+        { status: DELIVERY_STATUS.SENT }
+      );
+    } catch (error) {
+      const attempts = delivery.attempts + 1;
+      const exhausted = error.permanent || attempts >= delivery.maxAttempts;
+
+      console.warn(
+        `[NOTIFICATION] ${delivery.channel} delivery ${delivery._id} attempt ${attempts} failed` +
+        `${exhausted ? " (giving up)" : ""}: ${error.message}`
+      );
+
+      return await NotificationDelivery.recordAttempt(
+        delivery._id,
+        {
+          at: new Date(),
+          adapter: adapterName,
+          success: false,
+          error: error.message,
+          durationMs: Date.now() - startedAt
+        },
+        exhausted
+          ? { status: DELIVERY_STATUS.FAILED }
+          : { status: DELIVERY_STATUS.RETRYING, nextAttemptAt: new Date(Date.now() + getRetryDelayMs(attempts)) }
+      );
+    }
+  }
+
+  /**
+   * Attempt every delivery whose retry is due (notification-retry job)
+   * @param {number} limit - Most deliveries to attempt in one run
+   * @returns {Promise<Object>} { released, attempted, sent, failed }
+   */
+  async processDueRetries(limit = 100) {
+    const released = await NotificationDelivery.releaseStale(new Date(Date.now() - STALE_SENDING_MS));
+    const summary = { released, attempted: 0, sent: 0, failed: 0 };
+
+    while (summary.attempted < limit) {
+      const delivery = await NotificationDelivery.claimDue(new Date());
+      if (!delivery) {
+        break;
+      }
+
+      const result = await this.attempt(delivery._id, delivery);
+      summary.attempted++;
+      if (result?.status === DELIVERY_STATUS.SENT) summary.sent++;
+      if (result?.status === DELIVERY_STATUS.FAILED) summary.failed++;
+    }
+
+    return summary;
+  }
+
+  /**
+   * Send a FAILED delivery again now, with one more attempt allowed
+   * @param {string} deliveryId
+   * @returns {Promise<Object>} { success, delivery } or { success: false, message, statusCode }
+   */
+  async retryDelivery(deliveryId) {
+    const delivery = await NotificationDelivery.findById(deliveryId);
+    if (!delivery) {
+      return { success: false, message: "Delivery not found", statusCode: 404 };
+    }
+    if (delivery.status !== DELIVERY_STATUS.FAILED) {
+      return { success: false, message: `Delivery is ${delivery.status}, only FAILED deliveries can be retried`, statusCode: 409 };
+    }
+
+    const requeued = await NotificationDelivery.requeue(deliveryId, delivery.attempts + 1);
+    if (!requeued) {
+      return { success: false, message: "Delivery is already being retried", statusCode: 409 };
+    }
+
+    const attempted = await this.attempt(deliveryId);
+    return { success: true, delivery: attempted || requeued };
+  }
+}
+
+export default new NotificationDispatcher();
@@ -0,0 +1,213 @@
+import { NOTIFICATION_EVENTS } from "./NotificationTemplates.js";
+
+const MINUTE_MS = 60 * 1000;
+const DAY_MINUTES = 24 * 60;
+const TIME_REGEX = /^([01]\d|2[0-3]):([0-5]\d)$/;
+const PHONE_REGEX = /^\+?[0-9]{7,15}$/;
+
+/**
+ * Channels a user can receive notifications on. IN_APP covers the live
+ * dashboard toasts and sound cue; EMAIL and SMS go through the dispatcher.
+ */
+export const PREFERENCE_CHANNELS = {
+  EMAIL: "EMAIL",
+  SMS: "SMS",
+  IN_APP: "IN_APP"
+};
+
+/**
+ * Defaults for users who never saved preferences: everything on the
+ * dashboard, nothing by email or SMS until the user opts in.
+ */
+export const DEFAULT_PREFERENCES = {
+  events: Object.fromEntries(Object.values(NOTIFICATION_EVENTS).map((event) => [event, true])),
+  channels: {
+    [PREFERENCE_CHANNELS.EMAIL]: false,
+    [PREFERENCE_CHANNELS.SMS]: false,
+    [PREFERENCE_CHANNELS.IN_APP]: true
+  },
+  quietHours: {
+    enabled: false,
+    start: "22:00",
+    end: "07:00",
+    timezone: "UTC"
+  },
+  onCall: false, // CRITICAL events ignore quiet hours and event opt-outs
+  smsNumber: null
+};
+
+// #region Normalization
+
+/**
+ * Stored preferences completed with the defaults (users created before
+ * preferences existed have none)
+ * @param {Object|null} stored
+ * @returns {Object}
+ */
+export const resolvePreferences = (stored) => ({
+  events: { ...DEFAULT_PREFERENCES.events, ...(stored?.events || {}) },
+  channels: { ...DEFAULT_PREFERENCES.channels, ...(stored?.channels || {}) },
+  quietHours: { ...DEFAULT_PREFERENCES.quietHours, ...(stored?.quietHours || {}) },
+  onCall: Boolean(stored?.onCall),
+  smsNumber: stored?.smsNumber || null
+});
+
+const isValidTimezone = (timezone) => {
+  try {
+    new Intl.DateTimeFormat("en-GB", { timeZone: timezone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+const pickBooleans = (input, keys, label, errors) => {
+  const picked = {};
+  Object.entries(input || {}).forEach(([key, value]) => {
+    if (!keys.includes(key)) {
+      errors.push(`Unknown ${label}: ${key}`);
+    } else if (typeof value !== "boolean") {
+      errors.push(`${label} ${key} must be true or false`);
+    } else {
+      picked[key] = value;
+    }
+  });
+  return picked;
+};
+
+/**
+ * Apply a partial update to a user's preferences
+ * @param {Object} input - Any of { events, channels, quietHours, onCall, smsNumber }
+ * @param {Object} current - Stored preferences (null for defaults)
+ * @returns {Object} { preferences } or { error }
+ */
+export const mergePreferences = (input = {}, current = null) => {
+  const errors = [];
+  const preferences = resolvePreferences(current);
+
+  Object.assign(
+    preferences.events,
+    pickBooleans(input.events, Object.values(NOTIFICATION_EVENTS), "event", errors)
+  );
+  Object.assign(
+    preferences.channels,
+    pickBooleans(input.channels, Object.values(PREFERENCE_CHANNELS), "channel", errors)
+  );
+
+  if (input.quietHours !== undefined) {
+    const { enabled, start, end, timezone } = input.quietHours || {};
+    if (enabled !== undefined) preferences.quietHours.enabled = Boolean(enabled);
+    if (start !== undefined) {
+      if (!TIME_REGEX.test(start)) errors.push("Quiet hours start must be HH:MM");
+      else preferences.quietHours.start = start;
+    }
+    if (end !== undefined) {
+      if (!TIME_REGEX.test(end)) errors.push("Quiet hours end must be HH:MM");
+      else preferences.quietHours.end = end;
+    }
+    if (timezone !== undefined) {
+      if (!isValidTimezone(timezone)) errors.push(`Unknown timezone: ${timezone}`);
+      else preferences.quietHours.timezone = timezone;
+    }
+    if (preferences.quietHours.start === preferences.quietHours.end && preferences.quietHours.enabled) {
+      errors.push("Quiet hours start and end must differ");
+    }
+  }
+
+  if (input.onCall !== undefined) {
+    preferences.onCall = Boolean(input.onCall);
+  }
+
+  if (input.smsNumber !== undefined) {
+    if (input.smsNumber && !PHONE_REGEX.test(input.smsNumber)) {
+      errors.push("Invalid SMS number (digits with optional leading +)");
+    } else {
+      preferences.smsNumber = input.smsNumber || null;
+    }
+  }
+
+  if (preferences.channels[PREFERENCE_CHANNELS.SMS] && !preferences.smsNumber) {
+    errors.push("An SMS number is required to receive SMS notifications");
+  }
+
+  return errors.length > 0 ? { error: errors.join(", ") } : { preferences };
+};
+
+// #region QuietHours
+
+const toMinutes = (time) => {
+  const [hours, minutes] = time.split(":").map(Number);
+  return hours * 60 + minutes;
+};
+
+// Minutes past midnight at `at` in the given timezone
+const localMinutes = (at, timezone) => {
+  const parts = new Intl.DateTimeFormat("en-GB", {
+    timeZone: timezone,
+    hour: "2-digit",
+    minute: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(at);
+  const part = (type) => Number(parts.find((entry) => entry.type === type).value);
+  return part("hour") * 60 + part("minute");
+};
+
+/**
+ * End of the quiet period `at` falls in, or null outside quiet hours.
+ * Windows may wrap midnight (22:00-07:00).
+ * @param {Object} quietHours - { enabled, start, end, timezone }
+ * @param {Date} at
+ * @returns {Date|null}
+ */
+export const getQuietHoursEnd = (quietHours, at = new Date()) => {
+  if (!quietHours?.enabled) {
+    return null;
+  }
+
+  const now = localMinutes(at, quietHours.timezone || "UTC");
+  const start = toMinutes(quietHours.start);
+  const end = toMinutes(quietHours.end);
+  const quiet = start < end ? now >= start && now < end : now >= start || now < end;
+  if (!quiet) {
+    return null;
+  }
+
+  const minutesLeft = (end - now + DAY_MINUTES) % DAY_MINUTES;
+  const startOfMinute = at.getTime() - (at.getTime() % MINUTE_MS);
+  return new Date(startOfMinute + minutesLeft * MINUTE_MS);
+};
+
+// #region Evaluation
+
+/**
+ * Whether a notification should reach a user on a channel now
+ * @param {Object|null} stored - The user's stored preferences
+ * @param {Object} notification - { event, channel, critical, at }
+ * @returns {Object} { deliver, deferUntil, reason } where deferUntil is set
+ *   when only quiet hours hold the notification back
+ */
+export const evaluatePreferences = (stored, { event, channel, critical = false, at = new Date() }) => {
+  const preferences = resolvePreferences(stored);
+
+  if (!preferences.channels[channel]) {
+    return { deliver: false, deferUntil: null, reason: "CHANNEL_DISABLED" };
+  }
+
+  // On-call users get CRITICAL events whatever else they turned off
+  if (critical && preferences.onCall) {
+    return { deliver: true, deferUntil: null, reason: "ON_CALL" };
+  }
+
+  if (preferences.events[event] === false) {
+    return { deliver: false, deferUntil: null, reason: "EVENT_DISABLED" };
+  }
+
+  const quietUntil = getQuietHoursEnd(preferences.quietHours, at);
+  if (quietUntil) {
+    return { deliver: false, deferUntil: quietUntil, reason: "QUIET_HOURS" };
+  }
+
+  return { deliver: true, deferUntil: null, reason: null };
+};
+
+export default evaluatePreferences;
@@ -0,0 +1,118 @@
+import { REQUEST_EVENTS } from "./BloodRequestStateMachine.js";
+
+/**
+ * Events that send notifications. Request events keep the name of the
+ * lifecycle event they are raised from (see services/RequestNotificationListener.js);
+ * ALERT_RAISED follows new Alert documents (see services/AlertNotificationListener.js),
+ * ALERT_ESCALATED unacknowledged alerts moving up a tier (see services/AlertWorkflow.js).
+ */
+export const NOTIFICATION_EVENTS = {
+  REQUEST_CREATED: REQUEST_EVENTS.CREATED,
+  REQUEST_ACCEPTED: REQUEST_EVENTS.ACCEPTED,
+  REQUEST_ESCALATED: REQUEST_EVENTS.ESCALATED,
+  ALERT_RAISED: "ALERT_RAISED",
+  ALERT_ESCALATED: "ALERT_ESCALATED"
+};
+
+export const NOTIFICATION_CHANNELS = {
+  EMAIL: "EMAIL",
+  SMS: "SMS",
+  WEBHOOK: "WEBHOOK"
+};
+
+// Variables templates can use (request events fill the request ones, alerts the alert ones)
+export const TEMPLATE_VARIABLES = [
+  "organizationName",
+  "recipientName",
+  "requestCode",
+  "bloodGroup",
+  "component",
+  "unitsRequired",
+  "urgency",
+  "hospitalName",
+  "bloodBankName",
+  "requiredBy",
+  "stage",
+  "radiusKm",
+  "alertType",
+  "alertTitle",
+  "alertMessage",
+  "severity",
+  "tier",
+  "tierLabel"
+];
+
+// #region Defaults
+
+/**
+ * Built-in templates. `subject` and `body` are used for email and webhooks,
+ * `sms` for text messages. Organizations can override any of them
+ * (see models/organization/NotificationTemplate.js).
+ */
+export const DEFAULT_TEMPLATES = {
+  [NOTIFICATION_EVENTS.REQUEST_CREATED]: {
+    subject: "[{{urgency}}] Blood request {{requestCode}}: {{unitsRequired}} unit(s) {{bloodGroup}}",
+    body:
+      "{{hospitalName}} has requested {{unitsRequired}} unit(s) of {{bloodGroup}} {{component}} " +
+      "(urgency {{urgency}}, needed by {{requiredBy}}).\n\nRequest: {{requestCode}}",
+    sms: "{{urgency}}: {{hospitalName}} needs {{unitsRequired}}u {{bloodGroup}} {{component}}. Ref {{requestCode}}"
+  },
+  [NOTIFICATION_EVENTS.REQUEST_ACCEPTED]: {
+    subject: "Blood request {{requestCode}} accepted by {{bloodBankName}}",
+    body:
+      "{{bloodBankName}} has accepted request {{requestCode}} for {{unitsRequired}} unit(s) " +
+      "of {{bloodGroup}} {{component}}. You will be notified when it is dispatched.",
+    sms: "{{bloodBankName}} accepted {{requestCode}} ({{unitsRequired}}u {{bloodGroup}})"
+  },
+  [NOTIFICATION_EVENTS.REQUEST_ESCALATED]: {
+    subject: "[{{urgency}}] Unanswered blood request {{requestCode}} near you",
+    body:
+      "{{hospitalName}} still needs {{unitsRequired}} unit(s) of {{bloodGroup}} {{component}} " +
+      "(urgency {{urgency}}). The search has widened to {{radiusKm}} km (stage {{stage}}).\n\n" +
+      "Request: {{requestCode}}",
+    sms: "{{urgency}}: {{hospitalName}} still needs {{unitsRequired}}u {{bloodGroup}}. Ref {{requestCode}}"
+  },
+  [NOTIFICATION_EVENTS.ALERT_RAISED]: {
+    subject: "[{{severity}}] {{alertTitle}}",
+    body: "{{alertMessage}}\n\nAlert type: {{alertType}}",
+    sms: "{{severity}}: {{alertTitle}}"
+  },
+  [NOTIFICATION_EVENTS.ALERT_ESCALATED]: {
+    subject: "[ESCALATED] [{{severity}}] {{alertTitle}}",
+    body:
+      "{{alertMessage}}\n\nNobody has acknowledged this alert; it has been escalated to " +
+      "tier {{tier}} ({{tierLabel}}).\n\nAlert type: {{alertType}}",
+    sms: "ESCALATED {{severity}}: {{alertTitle}} - unacknowledged"
+  }
+};
+
+// #region Rendering
+
+/**
+ * Replace {{name}} placeholders; unknown or empty variables render as ""
+ * @param {string} template
+ * @param {Object} variables
+ * @returns {string}
+ */
+export const renderTemplate = (template, variables = {}) =>
+  String(template || "").replace(/\{\{\s*(\w+)\s*\}\}/g, (match, name) => {
+    const value = variables[name];
+    if (value === null || value === undefined) {
+      return "";
+    }
+    return value instanceof Date ? value.toISOString() : String(value);
+  });
+
+/**
+ * Render the message for one channel
+ * @param {Object} template - { subject, body, sms } (override fields win over defaults)
+ * @param {string} channel - NOTIFICATION_CHANNELS value
+ * @param {Object} variables
+ * @returns {Object} { subject, body }
+ */
+export const renderMessage = (template, channel, variables) => ({
+  subject: renderTemplate(template.subject, variables),
+  body: renderTemplate(channel === NOTIFICATION_CHANNELS.SMS ? template.sms : template.body, variables)
+});
+
+export default renderTemplate;
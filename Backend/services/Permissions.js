@@ -0,0 +1,196 @@
+import OrganizationRole from "../models/organization/OrganizationRole.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import { SUBJECT_TYPES, subjectTypeOf } from "./Sessions.js";
+import {
+  PERMISSIONS,
+  PERMISSION_KEYS,
+  ORGANIZATION_PERMISSIONS,
+  BUILT_IN_ORGANIZATION_ROLES,
+  DEFAULT_ORGANIZATION_ROLE,
+  PLATFORM_ROLES,
+  ACCOUNT_ROLES,
+  API_KEY_PERMISSIONS,
+  normalizeRole
+} from "../config/permissions.js";
+
+// Normalized role names: a letter, then letters, digits and underscores
+const ROLE_KEY_REGEX = /^[A-Z][A-Z0-9_]{1,39}$/;
+
+// #region Helpers
+
+const failure = (message, statusCode = 400) => ({ success: false, message, statusCode });
+
+const builtInRole = (key) => ({
+  key,
+  ...BUILT_IN_ORGANIZATION_ROLES[key],
+  builtIn: true,
+  customised: false
+});
+
+const customRole = (record) => ({
+  key: record.key,
+  name: record.name,
+  description: record.description,
+  permissions: record.permissions,
+  builtIn: Boolean(BUILT_IN_ORGANIZATION_ROLES[record.key]),
+  customised: true,
+  updatedBy: record.updatedBy,
+  updatedAt: record.updatedAt
+});
+
+// #region PermissionsService
+
+/**
+ * Permissions
+ * Turns access token claims into the permissions of config/permissions.js.
+ * Organization users get their role's permissions as the organization
+ * defined them (models/organization/OrganizationRole.js), falling back to
+ * the built-in role, and to MEMBER for roles nobody defined.
+ */
+class Permissions {
+  /**
+   * Everything the caller may do
+   * @param {Object} claims - req.user
+   * @returns {Promise<string[]>}
+   */
+  async resolve(claims) {
+    const role = normalizeRole(claims.role);
+
+    switch (subjectTypeOf(claims)) {
+      case SUBJECT_TYPES.ADMIN: {
+        const granted = (claims.permissions || []).filter((key) => PERMISSION_KEYS.includes(key));
+        return [...new Set([...(PLATFORM_ROLES[role] || []), ...granted])];
+      }
+      case SUBJECT_TYPES.ORGANIZATION_USER:
+        return (await this.getRole(claims.organizationCode, role)).permissions;
+      case SUBJECT_TYPES.API_KEY:
+        return (claims.permissions || []).filter((key) => API_KEY_PERMISSIONS.includes(key));
+      default:
+        return ACCOUNT_ROLES[role] || [];
+    }
+  }
+
+  /**
+   * The role as it applies in an organization
+   * @param {string} organizationCode
+   * @param {string} role - Any casing
+   * @returns {Promise<Object>} { key, name, description, permissions, builtIn, customised, fallback? }
+   */
+  async getRole(organizationCode, role) {
+    const key = normalizeRole(role);
+    if (BUILT_IN_ORGANIZATION_ROLES[key]?.locked) {
+      return builtInRole(key);
+    }
+
+    const record = await OrganizationRole.findOne(organizationCode, key);
+    if (record) {
+      return customRole(record);
+    }
+    if (BUILT_IN_ORGANIZATION_ROLES[key]) {
+      return builtInRole(key);
+    }
+
+    const fallback = await this.getRole(organizationCode, DEFAULT_ORGANIZATION_ROLE);
+    return { ...fallback, fallback: true };
+  }
+
+  /**
+   * Whether users of the organization can be given this role
+   * @returns {Promise<Object|null>} The role, null when it isn't defined
+   */
+  async findAssignableRole(organizationCode, role) {
+    const found = await this.getRole(organizationCode, role);
+    return found.fallback ? null : found;
+  }
+
+  /**
+   * Built-in roles (with the organization's changes) and its own roles
+   * @param {string} organizationCode
+   * @returns {Promise<Object>} { roles, permissions }
+   */
+  async listRoles(organizationCode) {
+    const records = await OrganizationRole.findByOrganization(organizationCode);
+
+    const builtIns = Object.keys(BUILT_IN_ORGANIZATION_ROLES).map((key) => {
+      const record = records.find((entry) => entry.key === key);
+      return record && !BUILT_IN_ORGANIZATION_ROLES[key].locked ? customRole(record) : builtInRole(key);
+    });
+    const custom = records.filter((record) => !BUILT_IN_ORGANIZATION_ROLES[record.key]).map(customRole);
+
+    return {
+      roles: [...builtIns, ...custom],
+      permissions: ORGANIZATION_PERMISSIONS.map((key) => ({ key, description: PERMISSIONS[key] }))
+    };
+  }
+
+  /**
+   * Define a role, or change the permissions of a built-in one
+   * @param {string} organizationCode
+   * @param {string} role - Role name; stored normalized ("Lab Tech" -> LAB_TECH)
+   * @param {Object} data - { name?, description?, permissions }
+   * @param {Object} actor - { userCode, permissions } of the org admin; nobody grants what they don't hold
+   * @returns {Promise<Object>} { success, role } or { success: false, message, statusCode }
+   */
+  async saveRole(organizationCode, role, data, actor) {
+    const key = normalizeRole(role);
+    if (!ROLE_KEY_REGEX.test(key)) {
+      return failure("Role name must start with a letter and use only letters, digits, spaces, - or _ (2-40 characters)");
+    }
+    if (BUILT_IN_ORGANIZATION_ROLES[key]?.locked) {
+      return failure(`The ${key} role always has every permission`, 403);
+    }
+
+    const permissions = data.permissions;
+    if (!Array.isArray(permissions)) {
+      return failure("Permissions must be a list");
+    }
+    const unknown = permissions.filter((permission) => !ORGANIZATION_PERMISSIONS.includes(permission));
+    if (unknown.length > 0) {
+      return failure(`Unknown permission(s): ${unknown.join(", ")}`);
+    }
+    const notHeld = permissions.filter((permission) => !actor.permissions.includes(permission));
+    if (notHeld.length > 0) {
+      return failure(`You can't grant permissions you don't have: ${notHeld.join(", ")}`, 403);
+    }
+
+    const builtIn = BUILT_IN_ORGANIZATION_ROLES[key];
+    const name = String(data.name || builtIn?.name || role).trim();
+    const description = data.description === undefined ? builtIn?.description : data.description;
+
+    const record = await OrganizationRole.upsert(
+      organizationCode,
+      key,
+      { name, description, permissions: [...new Set(permissions)] },
+      actor.userCode
+    );
+    return { success: true, role: customRole(record) };
+  }
+
+  /**
+   * Remove a role of the organization; a built-in role goes back to its
+   * default permissions. Roles still held by users can't be removed.
+   * @returns {Promise<Object>} { success, reset } or { success: false, message, statusCode }
+   */
+  async deleteRole(organizationCode, role) {
+    const key = normalizeRole(role);
+    const builtIn = BUILT_IN_ORGANIZATION_ROLES[key];
+    if (builtIn?.locked) {
+      return failure(`The ${key} role can't be changed`, 403);
+    }
+
+    if (!builtIn) {
+      const holders = await OrganizationUser.countByRole(organizationCode, key);
+      if (holders > 0) {
+        return failure(`${holders} user(s) still have the ${key} role; give them another role first`, 409);
+      }
+    }
+
+    const deleted = await OrganizationRole.delete(organizationCode, key);
+    if (!deleted) {
+      return failure(builtIn ? `The ${key} role already has its default permissions` : "Role not found", 404);
+    }
+    return { success: true, reset: Boolean(builtIn) };
+  }
+}
+
+export default new Permissions();
@@ -0,0 +1,211 @@
+import RealtimeHub from "./RealtimeHub.js";
+import { REQUEST_EVENTS, requestEvents } from "./BloodRequestStateMachine.js";
+import { REALTIME_EVENTS, realtimeEvents } from "./RealtimeEvents.js";
+import { NOTIFICATION_EVENTS } from "./NotificationTemplates.js";
+import { ALERT_ACTIONS } from "../models/admin/Alert.js";
+import { summarizeCallout } from "./DonorCallout.js";
+import { toMessageView } from "./MessageThreads.js";
+import { toNoticeView } from "./AdminNotices.js";
+
+let registered = false;
+
+// Request events that put a request in front of a blood bank for the first time
+const ARRIVAL_EVENTS = [REQUEST_EVENTS.CREATED, REQUEST_EVENTS.ESCALATED, REQUEST_EVENTS.ALLOCATION_CREATED];
+
+// #region Audiences
+
+/**
+ * Organizations a request event concerns: the hospital, the serving blood
+ * bank(s) and every bank escalation has notified
+ */
+export const getRequestAudience = ({ request, allocation, context }) => ({
+  organizationIds: [
+    request.hospitalId,
+    request.bloodBankId,
+    allocation?.bloodBankId,
+    ...(request.allocations || []).map((entry) => entry.bloodBankId),
+    ...(request.escalation?.notifiedBloodBankIds || []),
+    ...(context?.notifiedBloodBankIds || [])
+  ]
+});
+
+/**
+ * Organizations an alert concerns, read from its relatedEntity, plus the
+ * organization it is assigned to
+ */
+export const getAlertAudience = (alert) => {
+  const related = alert.relatedEntity || {};
+  return {
+    organizationIds: [
+      related.hospitalId,
+      related.bloodBankId,
+      ...(related.bloodBankIds || []),
+      alert.assignedTo?.organizationId
+    ]
+  };
+};
+
+/**
+ * Organizations following a donor call-out: the hospital and the NGOs
+ * mobilising donors
+ */
+export const getDonorCalloutAudience = (request) => ({
+  organizationIds: [request.hospitalId, ...(request.donorCallout?.ngoIds || [])]
+});
+
+/**
+ * Organizations in a message thread (recorded on each message when sent).
+ * Conversations stay between them, so super admins don't get them.
+ */
+export const getMessageAudience = (participantIds) => ({
+  organizationIds: participantIds || [],
+  superAdmin: false
+});
+
+/**
+ * Organizations a super admin notice was sent to
+ */
+export const getNoticeAudience = (notice) => ({
+  organizationIds: notice.recipientIds || []
+});
+
+// #region Payloads
+
+export const toRequestPayload = ({ type, request, allocation, from, to, occurredAt }) => ({
+  type,
+  requestId: request._id,
+  requestCode: request.requestCode,
+  hospitalId: request.hospitalId,
+  bloodBankId: allocation?.bloodBankId || request.bloodBankId || null,
+  allocationId: allocation?._id || null,
+  incidentId: request.incidentId || null,
+  from: from || null,
+  status: to || request.status,
+  urgency: request.urgency,
+  bloodGroup: request.bloodGroup,
+  component: request.component,
+  unitsRequired: request.unitsRequired,
+  critical: request.urgency === "CRITICAL" && ARRIVAL_EVENTS.includes(type),
+  occurredAt
+});
+
+export const toAlertPayload = (alert) => ({
+  alertId: alert._id,
+  type: alert.type,
+  title: alert.title,
+  message: alert.message,
+  severity: alert.severity,
+  relatedEntityType: alert.relatedEntityType,
+  status: alert.status,
+  acknowledgedAt: alert.acknowledgedAt || null,
+  assignedTo: alert.assignedTo || null,
+  tier: alert.escalation?.tier || 0,
+  critical: alert.severity === "CRITICAL",
+  createdAt: alert.createdAt
+});
+
+// #region Listeners
+
+const onRequestEvent = (event) => {
+  RealtimeHub.publish("request", toRequestPayload(event), getRequestAudience(event), { event: event.type });
+};
+
+const onStockChanged = ({ bloodBankId, bloodGroup, change, occurredAt }) => {
+  RealtimeHub.publish(
+    "stock",
+    { bloodBankId, bloodGroup: bloodGroup || null, change, occurredAt },
+    { organizationIds: [bloodBankId] }
+  );
+};
+
+const onAlertCreated = ({ alert }) => {
+  RealtimeHub.publish("alert", toAlertPayload(alert), getAlertAudience(alert), {
+    event: NOTIFICATION_EVENTS.ALERT_RAISED
+  });
+};
+
+// Workflow changes refresh dashboards; only escalations raise the toast again
+const onAlertUpdated = ({ alert, action }) => {
+  const escalated = action === ALERT_ACTIONS.ESCALATED;
+  RealtimeHub.publish(
+    "alert",
+    { ...toAlertPayload(alert), action, critical: escalated },
+    getAlertAudience(alert),
+    escalated ? { event: NOTIFICATION_EVENTS.ALERT_ESCALATED } : null
+  );
+};
+
+const onDonorCalloutUpdated = ({ request, occurredAt }) => {
+  RealtimeHub.publish(
+    "donor-callout",
+    { ...summarizeCallout(request), occurredAt },
+    getDonorCalloutAudience(request)
+  );
+};
+
+const onMessagePosted = ({ message, label, occurredAt }) => {
+  RealtimeHub.publish(
+    "message",
+    {
+      action: "POSTED",
+      entityType: message.thread.entityType,
+      entityId: message.thread.entityId,
+      label,
+      message: toMessageView(message),
+      occurredAt
+    },
+    getMessageAudience(message.participantIds)
+  );
+};
+
+const onMessageRead = ({ thread, reader, occurredAt }) => {
+  RealtimeHub.publish(
+    "message",
+    { action: "READ", entityType: thread.entityType, entityId: thread.entityId, reader, occurredAt },
+    getMessageAudience(thread.participantIds)
+  );
+};
+
+const onNoticeSent = ({ notice, occurredAt }) => {
+  RealtimeHub.publish(
+    "notice",
+    {
+      action: "SENT",
+      notice: toNoticeView(notice),
+      critical: notice.priority === "CRITICAL",
+      occurredAt
+    },
+    getNoticeAudience(notice)
+  );
+};
+
+// Only the acknowledging organization's other users (and super admins) need to know
+const onNoticeAcknowledged = ({ notice, acknowledgment, occurredAt }) => {
+  RealtimeHub.publish(
+    "notice",
+    { action: "ACKNOWLEDGED", noticeId: notice._id, acknowledgment, occurredAt },
+    { organizationIds: [acknowledgment.organizationId] }
+  );
+};
+
+/**
+ * Forward request, stock, alert, donor call-out, message and notice events
+ * to live dashboards (idempotent)
+ */
+export const registerRealtimeBroadcaster = () => {
+  if (registered) {
+    return;
+  }
+  requestEvents.on("*", onRequestEvent);
+  realtimeEvents.on(REALTIME_EVENTS.STOCK_CHANGED, onStockChanged);
+  realtimeEvents.on(REALTIME_EVENTS.ALERT_CREATED, onAlertCreated);
+  realtimeEvents.on(REALTIME_EVENTS.ALERT_UPDATED, onAlertUpdated);
+  realtimeEvents.on(REALTIME_EVENTS.DONOR_CALLOUT_UPDATED, onDonorCalloutUpdated);
+  realtimeEvents.on(REALTIME_EVENTS.MESSAGE_POSTED, onMessagePosted);
+  realtimeEvents.on(REALTIME_EVENTS.MESSAGE_READ, onMessageRead);
+  realtimeEvents.on(REALTIME_EVENTS.NOTICE_SENT, onNoticeSent);
+  realtimeEvents.on(REALTIME_EVENTS.NOTICE_ACKNOWLEDGED, onNoticeAcknowledged);
+  registered = true;
+};
+
+export default registerRealtimeBroadcaster;
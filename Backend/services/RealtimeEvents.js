@@ -0,0 +1,37 @@
+import { EventEmitter } from "events";
+
+// #region Events
+
+/**
+ * Non-request events pushed to live dashboards. Blood request lifecycle
+ * events have their own bus (requestEvents in BloodRequestStateMachine.js).
+ */
+export const REALTIME_EVENTS = {
+  STOCK_CHANGED: "STOCK_CHANGED",
+  ALERT_CREATED: "ALERT_CREATED",
+  ALERT_UPDATED: "ALERT_UPDATED", // Acknowledged, assigned, escalated or resolved
+  DONOR_CALLOUT_UPDATED: "DONOR_CALLOUT_UPDATED", // Donors appealed to, or one of them answered
+  MESSAGE_POSTED: "MESSAGE_POSTED", // Organization message on a request or drive thread
+  MESSAGE_READ: "MESSAGE_READ", // A user read a thread's messages
+  NOTICE_SENT: "NOTICE_SENT", // Super admin notice to organizations
+  NOTICE_ACKNOWLEDGED: "NOTICE_ACKNOWLEDGED" // An organization acknowledged a notice
+};
+
+/**
+ * Process-wide bus for stock, alert, donor call-out, message and admin
+ * notice changes.
+ * Listeners receive { type, occurredAt, ...payload }.
+ */
+export const realtimeEvents = new EventEmitter();
+realtimeEvents.setMaxListeners(20);
+
+/**
+ * Emit an event without letting a failing listener break the write that caused it
+ */
+export const emitRealtimeEvent = (type, payload) => {
+  try {
+    realtimeEvents.emit(type, { type, occurredAt: new Date(), ...payload });
+  } catch (error) {
+    console.error(`[REALTIME_EVENTS] Listener failed for ${type}:`, error);
+  }
+};
@@ -0,0 +1,177 @@
+import { randomUUID } from "crypto";
+import { evaluatePreferences, PREFERENCE_CHANNELS } from "./NotificationPreferences.js";
+
+// Comment frames keep proxies from closing idle streams
+const HEARTBEAT_MS = 25 * 1000;
+// Browsers wait this long before reconnecting a dropped EventSource
+const RECONNECT_MS = 5 * 1000;
+
+/**
+ * Whether a subscriber should receive an event
+ * @param {Object} subscriber - { organizationId, role, isSuperAdmin }
+ * @param {Object} audience - { organizationIds, roles, superAdmin }
+ *   Super admins see everything unless `superAdmin: false`; organization
+ *   users only see events for their organization, narrowed to `roles` if set.
+ */
+export const isInAudience = (subscriber, audience = {}) => {
+  if (subscriber.isSuperAdmin) {
+    return audience.superAdmin !== false;
+  }
+
+  const organizationIds = (audience.organizationIds || []).filter(Boolean).map(String);
+  if (!subscriber.organizationId || !organizationIds.includes(String(subscriber.organizationId))) {
+    return false;
+  }
+
+  return !audience.roles || audience.roles.includes(subscriber.role);
+};
+
+/**
+ * Event data as one subscriber should see it. A `critical` event raises a
+ * toast and sound on the dashboard; the flag is cleared for subscribers whose
+ * IN_APP preferences hold the event back (opted out, quiet hours).
+ * @param {Object} subscriber - { preferences }
+ * @param {Object} data
+ * @param {Object|null} notification - { event } of the notification the event stands for
+ */
+export const personalize = (subscriber, data, notification) => {
+  if (!notification || !data.critical) {
+    return data;
+  }
+
+  const { deliver } = evaluatePreferences(subscriber.preferences, {
+    event: notification.event,
+    channel: PREFERENCE_CHANNELS.IN_APP,
+    critical: true
+  });
+  return deliver ? data : { ...data, critical: false };
+};
+
+// #region RealtimeHub
+
+/**
+ * RealtimeHub
+ *
+ * Server-sent event (SSE) connections of logged-in dashboards. Each
+ * connection carries the subscriber resolved from its JWT, and publish()
+ * only writes to the connections in the event's audience.
+ *
+ * Connections live in this process only; with several API instances each
+ * instance pushes the events raised on it.
+ */
+class RealtimeHub {
+  constructor() {
+    this.clients = new Map();
+    this.heartbeat = null;
+  }
+
+  /**
+   * Turn a response into an event stream and register it
+   * @param {Object} req
+   * @param {Object} res
+   * @param {Object} subscriber - { userCode, role, organizationId, organizationType, isSuperAdmin, preferences }
+   * @returns {string} Connection ID
+   */
+  connect(req, res, subscriber) {
+    const id = randomUUID();
+
+    res.writeHead(200, {
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no"
+    });
+    res.write(`retry: ${RECONNECT_MS}\n\n`);
+
+    this.clients.set(id, { res, subscriber });
+    this.write(res, "connected", {
+      connectionId: id,
+      organizationId: subscriber.organizationId || null,
+      role: subscriber.role
+    });
+    this.startHeartbeat();
+
+    req.on("close", () => {
+      this.clients.delete(id);
+      if (this.clients.size === 0) {
+        this.stopHeartbeat();
+      }
+    });
+
+    return id;
+  }
+
+  write(res, type, data) {
+    res.write(`event: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+  }
+
+  /**
+   * Push an event to every connection in its audience
+   * @param {string} type - SSE event name (request, stock, alert)
+   * @param {Object} data
+   * @param {Object} audience - See isInAudience()
+   * @param {Object|null} notification - { event }; applies each subscriber's preferences (see personalize())
+   * @returns {number} Connections written to
+   */
+  publish(type, data, audience = {}, notification = null) {
+    let delivered = 0;
+
+    for (const [id, client] of this.clients) {
+      if (!isInAudience(client.subscriber, audience)) {
+        continue;
+      }
+      try {
+        this.write(client.res, type, personalize(client.subscriber, data, notification));
+        delivered++;
+      } catch (error) {
+        console.warn(`[REALTIME] Dropping connection ${id}:`, error.message);
+        this.clients.delete(id);
+      }
+    }
+
+    return delivered;
+  }
+
+  /**
+   * Apply saved preferences to a user's open connections
+   * @param {string} userCode
+   * @param {Object} preferences
+   */
+  updatePreferences(userCode, preferences) {
+    for (const client of this.clients.values()) {
+      if (client.subscriber.userCode === userCode) {
+        client.subscriber.preferences = preferences;
+      }
+    }
+  }
+
+  startHeartbeat() {
+    if (this.heartbeat) {
+      return;
+    }
+    this.heartbeat = setInterval(() => {
+      for (const client of this.clients.values()) {
+        client.res.write(": ping\n\n");
+      }
+    }, HEARTBEAT_MS);
+    this.heartbeat.unref?.();
+  }
+
+  stopHeartbeat() {
+    clearInterval(this.heartbeat);
+    this.heartbeat = null;
+  }
+
+  /**
+   * End every stream (graceful shutdown)
+   */
+  closeAll() {
+    for (const client of this.clients.values()) {
+      client.res.end();
+    }
+    this.clients.clear();
+    this.stopHeartbeat();
+  }
+}
+
+export default new RealtimeHub();
@@ -0,0 +1,95 @@
+import NotificationDispatcher from "./NotificationDispatcher.js";
+import { NOTIFICATION_EVENTS } from "./NotificationTemplates.js";
+import { requestEvents } from "./BloodRequestStateMachine.js";
+import { Organization } from "../models/organization/Organization.js";
+
+let registered = false;
+
+const REQUEST_NOTIFICATION_EVENTS = [
+  NOTIFICATION_EVENTS.REQUEST_CREATED,
+  NOTIFICATION_EVENTS.REQUEST_ACCEPTED,
+  NOTIFICATION_EVENTS.REQUEST_ESCALATED
+];
+
+/**
+ * Organizations notified for a request event:
+ * - created: the blood banks the request was sent to up front
+ * - escalated: the blood banks this stage newly reached
+ * - accepted: the requesting hospital
+ */
+export const getNotificationAudience = ({ type, request, context }) => {
+  switch (type) {
+    case NOTIFICATION_EVENTS.REQUEST_CREATED:
+      return request.escalation?.notifiedBloodBankIds || [];
+    case NOTIFICATION_EVENTS.REQUEST_ESCALATED:
+      return context?.notifiedBloodBankIds || [];
+    case NOTIFICATION_EVENTS.REQUEST_ACCEPTED:
+      return [request.hospitalId];
+    default:
+      return [];
+  }
+};
+
+const organizationName = async (id) => (id ? (await Organization.findById(id))?.name || "" : "");
+
+const sendRequestNotification = async (event) => {
+  const { type, request, context } = event;
+  const organizationIds = getNotificationAudience(event);
+  if (organizationIds.length === 0) {
+    return;
+  }
+
+  try {
+    const [hospitalName, bloodBankName] = await Promise.all([
+      organizationName(request.hospitalId),
+      organizationName(request.bloodBankId)
+    ]);
+
+    await NotificationDispatcher.notify(type, {
+      organizationIds,
+      critical: request.urgency === "CRITICAL",
+      variables: {
+        requestCode: request.requestCode,
+        bloodGroup: request.bloodGroup,
+        component: request.component,
+        unitsRequired: request.unitsRequired,
+        urgency: request.urgency,
+        requiredBy: request.requiredBy || "as soon as possible",
+        hospitalName,
+        bloodBankName,
+        stage: context?.stage,
+        radiusKm: context?.radiusKm
+      },
+      payload: {
+        requestId: request._id,
+        requestCode: request.requestCode,
+        hospitalId: request.hospitalId,
+        bloodBankId: request.bloodBankId || null,
+        status: request.status,
+        urgency: request.urgency,
+        bloodGroup: request.bloodGroup,
+        component: request.component,
+        unitsRequired: request.unitsRequired,
+        stage: context?.stage ?? null
+      },
+      relatedEntity: { requestId: request._id, requestCode: request.requestCode }
+    });
+  } catch (error) {
+    console.error(`[REQUEST_NOTIFY] Failed to notify ${type} for ${request.requestCode}:`, error);
+  }
+};
+
+/**
+ * Notify recipient lists when a request is created, accepted or escalated (idempotent)
+ */
+export const registerRequestNotificationListener = () => {
+  if (registered) {
+    return;
+  }
+  REQUEST_NOTIFICATION_EVENTS.forEach((type) => {
+    requestEvents.on(type, sendRequestNotification);
+  });
+  registered = true;
+};
+
+export default registerRequestNotificationListener;
@@ -0,0 +1,76 @@
+import JobScheduler from "./JobScheduler.js";
+import EscalationEngine from "./EscalationEngine.js";
+import ExpirySweep from "./ExpirySweep.js";
+import AlertRuleEngine from "./AlertRuleEngine.js";
+import AlertWorkflow from "./AlertWorkflow.js";
+import NotificationDispatcher from "./NotificationDispatcher.js";
+import HospitalBloodRequest from "../models/hospital/HospitalBloodRequest.js";
+import HospitalNgoDrive from "../models/hospital/HospitalNgoDrive.js";
+import { DataRetention } from "../middleware/compliance.js";
+
+// #region Intervals
+
+const MINUTE_MS = 60 * 1000;
+const HOUR_MS = 60 * MINUTE_MS;
+const DAY_MS = 24 * HOUR_MS;
+
+const intervalFromEnv = (name, fallbackMs) => Number(process.env[name]) || fallbackMs;
+
+// #region Jobs
+
+/**
+ * Register the application's background jobs with the scheduler.
+ * Handler return values are stored as the run result.
+ */
+export const registerScheduledJobs = (scheduler = JobScheduler) => {
+  scheduler.register("request-expiry", {
+    description: "Expire blood requests past their expiry time and release held stock",
+    intervalMs: intervalFromEnv("REQUEST_EXPIRY_INTERVAL_MS", MINUTE_MS),
+    handler: async () => ({ expired: await HospitalBloodRequest.markExpiredRequests(new Date()) })
+  });
+
+  scheduler.register("request-escalation", {
+    description: "Widen the search for unanswered blood requests",
+    intervalMs: intervalFromEnv("ESCALATION_INTERVAL_MS", MINUTE_MS),
+    handler: async () => ({ processed: await EscalationEngine.processDueEscalations() })
+  });
+
+  scheduler.register("blood-unit-expiry", {
+    description: "Discard expired bags and alert on near-expiry stock",
+    intervalMs: intervalFromEnv("EXPIRY_SWEEP_INTERVAL_MS", DAY_MS),
+    handler: () => ExpirySweep.run()
+  });
+
+  scheduler.register("alert-rules", {
+    description: "Evaluate stock alert rules and resolve alerts whose condition cleared",
+    intervalMs: intervalFromEnv("ALERT_RULES_INTERVAL_MS", 5 * MINUTE_MS),
+    handler: () => AlertRuleEngine.evaluateAll()
+  });
+
+  scheduler.register("alert-escalation", {
+    description: "Escalate alerts nobody acknowledged within their SLA",
+    intervalMs: intervalFromEnv("ALERT_ESCALATION_INTERVAL_MS", MINUTE_MS),
+    handler: () => AlertWorkflow.processDueEscalations()
+  });
+
+  scheduler.register("notification-retry", {
+    description: "Retry failed notification deliveries whose backoff has elapsed",
+    intervalMs: intervalFromEnv("NOTIFICATION_RETRY_INTERVAL_MS", MINUTE_MS),
+    handler: () => NotificationDispatcher.processDueRetries()
+  });
+
+  scheduler.register("drive-expiry", {
+    description: "Expire scheduled hospital-NGO drives whose date has passed",
+    intervalMs: intervalFromEnv("DRIVE_EXPIRY_INTERVAL_MS", HOUR_MS),
+    handler: async () => ({ expired: await HospitalNgoDrive.autoExpireOldDrives() })
+  });
+
+  scheduler.register("data-retention", {
+    description: "Delete records past their retention period",
+    intervalMs: intervalFromEnv("DATA_RETENTION_INTERVAL_MS", DAY_MS),
+    lockTtlMs: HOUR_MS,
+    handler: async () => ({ deleted: await DataRetention.cleanupExpiredData() })
+  });
+};
+
+export default registerScheduledJobs;
@@ -0,0 +1,313 @@
+import crypto from "crypto";
+import { ObjectId } from "mongodb";
+import Session from "../models/auth/Session.js";
+import OrganizationUser from "../models/organization/OrganizationUser.js";
+import User from "../models/ngo/User.js";
+import Admin from "../models/admin/Admin.js";
+import { redisCache } from "../config/redis.js";
+import { signAccessToken, getAccessTokenTtlSeconds, getRefreshTokenTtlMs } from "../config/jwt.js";
+
+// #region Configuration
+
+export const SUBJECT_TYPES = {
+  ORGANIZATION_USER: "ORGANIZATION_USER",
+  USER: "USER",
+  ADMIN: "ADMIN", // Admins and super admins
+  API_KEY: "API_KEY" // Organization software; never holds a session
+};
+
+export const REVOKE_REASONS = {
+  LOGOUT: "LOGOUT",
+  LOGOUT_ALL: "LOGOUT_ALL",
+  REVOKED_BY_USER: "REVOKED_BY_USER",
+  REUSE_DETECTED: "REUSE_DETECTED",
+  ACCOUNT_DISABLED: "ACCOUNT_DISABLED",
+  PASSWORD_CHANGED: "PASSWORD_CHANGED",
+  TWO_FACTOR_CHANGED: "TWO_FACTOR_CHANGED",
+  ROLE_CHANGED: "ROLE_CHANGED"
+};
+
+// Two tabs refreshing at once both present the same token; the loser is
+// told to retry instead of having the session revoked as a replay
+export const REUSE_GRACE_MS = 30 * 1000;
+
+/**
+ * Who a session belongs to, and whether that account may still refresh
+ */
+const SUBJECTS = {
+  [SUBJECT_TYPES.ORGANIZATION_USER]: {
+    subjectId: (claims) => claims.userId,
+    isAllowed: async (claims) => {
+      const user = await OrganizationUser.findByUserCode(claims.organizationCode, claims.userCode).catch(() => null);
+      return Boolean(user) && user.status !== "INACTIVE";
+    }
+  },
+  [SUBJECT_TYPES.USER]: {
+    subjectId: (claims) => claims.userId,
+    isAllowed: async (claims) => Boolean(await User.findById(claims.userId))
+  },
+  [SUBJECT_TYPES.ADMIN]: {
+    subjectId: (claims) => claims.id.toString(),
+    isAllowed: async (claims) => Boolean((await Admin.findById(claims.id))?.isActive)
+  },
+  [SUBJECT_TYPES.API_KEY]: {
+    subjectId: (claims) => claims.apiKeyId,
+    isAllowed: async () => false
+  }
+};
+
+/**
+ * ID of the account a set of claims belongs to
+ */
+export const getSubjectId = (subjectType, claims) => SUBJECTS[subjectType].subjectId(claims);
+
+/**
+ * Account type behind access token claims
+ */
+export const subjectTypeOf = (claims) => {
+  if (claims.apiKeyId) return SUBJECT_TYPES.API_KEY;
+  if (claims.adminCode) return SUBJECT_TYPES.ADMIN;
+  if (claims.userCode) return SUBJECT_TYPES.ORGANIZATION_USER;
+  return SUBJECT_TYPES.USER;
+};
+
+// #region Helpers
+
+const failure = (message, statusCode = 401) => ({ success: false, message, statusCode });
+
+const hashToken = (token) => crypto.createHash("sha256").update(token).digest("hex");
+
+// The session ID prefix lets a refresh find its session without a hash index
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(32).toString("base64url")}`;
+
+/**
+ * Device a request comes from, shown in the sessions list
+ */
+export const getDevice = (req) => ({
+  userAgent: (req.get?.("user-agent") || "").slice(0, 300),
+  ipAddress: req.ip || req.connection?.remoteAddress || ""
+});
+
+/**
+ * Session as its owner sees it in the sessions list
+ */
+export const toSessionView = (session, currentSessionId) => ({
+  _id: session._id,
+  device: session.device,
+  createdAt: session.createdAt,
+  lastUsedAt: session.lastUsedAt,
+  expiresAt: session.expiresAt,
+  current: session._id.toString() === currentSessionId
+});
+
+// #region Sessions
+
+/**
+ * Sessions
+ *
+ * Server-side login sessions behind short-lived access tokens. Login starts
+ * a session and returns an access token (with the session ID as `sid`) and
+ * a refresh token. Every refresh rotates the refresh token; presenting one
+ * that was already rotated away means it was copied, so the session is
+ * revoked. authMiddleware rejects access tokens of revoked sessions, with
+ * Redis as the fast path and MongoDB as the source of truth.
+ */
+class Sessions {
+  /**
+   * Start a session at login
+   * @param {string} subjectType - SUBJECT_TYPES
+   * @param {Object} claims - Access token claims
+   * @param {Object} device - { userAgent, ipAddress } (see getDevice)
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId }
+   */
+  async start(subjectType, claims, device = {}) {
+    const sessionId = new ObjectId().toString();
+    const refreshToken = newRefreshToken(sessionId);
+
+    const session = await Session.create({
+      _id: sessionId,
+      subjectType,
+      subjectId: SUBJECTS[subjectType].subjectId(claims),
+      claims,
+      refreshTokenHash: hashToken(refreshToken),
+      device,
+      expiresAt: new Date(Date.now() + getRefreshTokenTtlMs())
+    });
+
+    await this.cache(session);
+    return this.issue(session, refreshToken);
+  }
+
+  /**
+   * Trade a refresh token for a new access token and refresh token
+   * @returns {Promise<Object>} { success, token, refreshToken, expiresIn, sessionId } or { success: false, message, statusCode }
+   */
+  async refresh(refreshToken, device = {}) {
+    const [sessionId, secret] = typeof refreshToken === "string" ? refreshToken.split(".") : [];
+    if (!secret || !ObjectId.isValid(sessionId)) {
+      return failure("Invalid refresh token");
+    }
+
+    const presentedHash = hashToken(refreshToken);
+    const nextToken = newRefreshToken(sessionId);
+    const session = await Session.rotate(
+      sessionId,
+      presentedHash,
+      hashToken(nextToken),
+      new Date(Date.now() + getRefreshTokenTtlMs()),
+      device
+    );
+
+    if (!session) {
+      return this.rejectRefresh(sessionId, presentedHash);
+    }
+
+    if (!(await SUBJECTS[session.subjectType].isAllowed(session.claims))) {
+      await this.revoke(sessionId, REVOKE_REASONS.ACCOUNT_DISABLED);
+      return failure("Account is no longer active", 403);
+    }
+
+    await this.cache(session);
+    return { success: true, ...this.issue(session, nextToken) };
+  }
+
+  /**
+   * Why a refresh token was not accepted; replays revoke the session
+   */
+  async rejectRefresh(sessionId, presentedHash) {
+    const session = await Session.findById(sessionId);
+    if (!session || session.revokedAt || session.expiresAt <= new Date()) {
+      return failure("Session has expired, please sign in again");
+    }
+
+    const previous = session.previousTokenHashes || [];
+    if (!previous.includes(presentedHash)) {
+      return failure("Invalid refresh token");
+    }
+
+    const justRotated =
+      previous[previous.length - 1] === presentedHash && Date.now() - session.rotatedAt.getTime() < REUSE_GRACE_MS;
+    if (justRotated) {
+      return failure("Refresh token was just rotated, use the latest one", 409);
+    }
+
+    console.warn(`[SESSIONS] Refresh token reuse on session ${sessionId} (${session.subjectType} ${session.subjectId}), revoking`);
+    await this.revoke(sessionId, REVOKE_REASONS.REUSE_DETECTED);
+    return failure("Refresh token was already used, session revoked");
+  }
+
+  /**
+   * Whether access tokens of a session are still honoured
+   */
+  async isActive(sessionId) {
+    if (!ObjectId.isValid(sessionId)) return false;
+
+    if (redisCache.isConnected && (await redisCache.getCachedUserSession(sessionId))) {
+      return true;
+    }
+
+    const session = await Session.findById(sessionId);
+    const active = Boolean(session) && !session.revokedAt && session.expiresAt > new Date();
+    if (active) {
+      await this.cache(session);
+    }
+    return active;
+  }
+
+  /**
+   * Revoke one session (logout on one device)
+   */
+  async revoke(sessionId, reason = REVOKE_REASONS.LOGOUT) {
+    const revoked = await Session.revoke(sessionId, reason);
+    await this.uncache([sessionId]);
+    return revoked > 0;
+  }
+
+  /**
+   * Revoke every session of an account
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllForSubject(subjectType, subjectId, reason, exceptSessionId = null) {
+    const ids = await Session.revokeBySubject(subjectType, subjectId.toString(), reason, exceptSessionId);
+    await this.uncache(ids);
+    return ids.length;
+  }
+
+  // #region SelfService
+
+  /**
+   * Live sessions of the account behind the current session
+   */
+  async list(currentSessionId) {
+    const current = await Session.findById(currentSessionId);
+    const sessions = await Session.findActiveBySubject(current.subjectType, current.subjectId);
+    return sessions.map((session) => toSessionView(session, currentSessionId));
+  }
+
+  /**
+   * Sign out one of the caller's own devices
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async revokeOwn(currentSessionId, sessionId) {
+    if (!ObjectId.isValid(sessionId)) {
+      return failure("Session not found", 404);
+    }
+
+    const [current, target] = await Promise.all([Session.findById(currentSessionId), Session.findById(sessionId)]);
+    if (!target || target.subjectType !== current.subjectType || target.subjectId !== current.subjectId) {
+      return failure("Session not found", 404);
+    }
+
+    await this.revoke(sessionId, REVOKE_REASONS.REVOKED_BY_USER);
+    return { success: true };
+  }
+
+  /**
+   * Sign out every device of the caller (optionally keeping this one)
+   * @returns {Promise<number>} Sessions revoked
+   */
+  async revokeAllOwn(currentSessionId, { keepCurrent = false } = {}) {
+    const current = await Session.findById(currentSessionId);
+    return this.revokeAllForSubject(
+      current.subjectType,
+      current.subjectId,
+      REVOKE_REASONS.LOGOUT_ALL,
+      keepCurrent ? currentSessionId : null
+    );
+  }
+
+  // #region Internals
+
+  issue(session, refreshToken) {
+    const sessionId = session._id.toString();
+    return {
+      token: signAccessToken(session.claims, sessionId),
+      refreshToken,
+      expiresIn: getAccessTokenTtlSeconds(),
+      sessionId
+    };
+  }
+
+  // Kept no longer than an access token lives, in case a revocation misses Redis
+  async cache(session) {
+    if (!redisCache.isConnected) return;
+    const ttl = Math.min(
+      getAccessTokenTtlSeconds(),
+      Math.floor((session.expiresAt.getTime() - Date.now()) / 1000)
+    );
+    if (ttl > 0) {
+      await redisCache.cacheUserSession(
+        session._id.toString(),
+        { subjectType: session.subjectType, subjectId: session.subjectId },
+        ttl
+      );
+    }
+  }
+
+  async uncache(sessionIds) {
+    if (!redisCache.isConnected) return;
+    await Promise.all(sessionIds.map((id) => redisCache.clearUserSession(id)));
+  }
+}
+
+export default new Sessions();
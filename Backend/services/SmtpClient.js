@@ -0,0 +1,234 @@
+import net from "net";
+import tls from "tls";
+import os from "os";
+import { randomUUID } from "crypto";
+
+const DEFAULT_TIMEOUT_MS = 15 * 1000;
+
+/**
+ * SMTP reply outside the expected codes. 5xx replies are permanent: retrying
+ * the same message will not help.
+ */
+export class SmtpError extends Error {
+  constructor(command, reply) {
+    super(`SMTP ${command} failed: ${reply.code} ${reply.lines.join(" ")}`);
+    this.name = "SmtpError";
+    this.code = reply.code;
+    this.permanent = reply.code >= 500;
+  }
+}
+
+// #region Message
+
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, "utf8").toString("base64")}?=`;
+
+/**
+ * Build an RFC 5322 plain-text message, dot-stuffed for the DATA command
+ */
+export const buildMessage = ({ from, to, subject, text, messageId }) => {
+  const headers = [
+    `From: ${from}`,
+    `To: ${[].concat(to).join(", ")}`,
+    `Subject: ${encodeHeader(subject || "")}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${messageId}>`,
+    "MIME-Version: 1.0",
+    "Content-Type: text/plain; charset=utf-8",
+    "Content-Transfer-Encoding: 8bit"
+  ];
+
+  const body = String(text || "")
+    .replace(/\r?\n/g, "\r\n")
+    .split("\r\n")
+    .map((line) => (line.startsWith(".") ? `.${line}` : line))
+    .join("\r\n");
+
+  return `${headers.join("\r\n")}\r\n\r\n${body}`;
+};
+
+const addressOf = (mailbox) => {
+  const match = /<([^>]+)>/.exec(mailbox);
+  return match ? match[1] : mailbox.trim();
+};
+
+// #region Connection
+
+/**
+ * One SMTP session: reads multi-line replies and sends commands in turn
+ */
+class SmtpConnection {
+  constructor(socket, timeoutMs) {
+    this.timeoutMs = timeoutMs;
+    this.buffer = "";
+    this.lines = [];
+    this.replies = [];
+    this.waiting = null;
+    this.error = null;
+    this.attach(socket);
+  }
+
+  attach(socket) {
+    this.detach();
+    this.socket = socket;
+    this.handlers = {
+      data: (chunk) => this.receive(chunk),
+      error: (error) => this.fail(error),
+      close: () => this.fail(new Error("SMTP connection closed")),
+      timeout: () => socket.destroy(new Error("SMTP connection timed out"))
+    };
+    socket.setTimeout(this.timeoutMs);
+    Object.entries(this.handlers).forEach(([event, handler]) => socket.on(event, handler));
+  }
+
+  // Stop listening to the current socket (before a STARTTLS upgrade or on close)
+  detach() {
+    if (!this.socket) {
+      return;
+    }
+    Object.entries(this.handlers).forEach(([event, handler]) => this.socket.off(event, handler));
+    this.socket.setTimeout(0);
+  }
+
+  receive(chunk) {
+    this.buffer += chunk.toString("utf8");
+    let index;
+    while ((index = this.buffer.indexOf("\r\n")) !== -1) {
+      const line = this.buffer.slice(0, index);
+      this.buffer = this.buffer.slice(index + 2);
+      this.lines.push(line.slice(4));
+      // "250-..." continues a reply, "250 ..." ends it
+      if (line[3] !== "-") {
+        this.replies.push({ code: Number(line.slice(0, 3)), lines: this.lines });
+        this.lines = [];
+      }
+    }
+    this.settle();
+  }
+
+  fail(error) {
+    this.error = this.error || error;
+    this.settle();
+  }
+
+  settle() {
+    if (!this.waiting) {
+      return;
+    }
+    const { resolve, reject } = this.waiting;
+    if (this.replies.length > 0) {
+      this.waiting = null;
+      resolve(this.replies.shift());
+    } else if (this.error) {
+      this.waiting = null;
+      reject(this.error);
+    }
+  }
+
+  read() {
+    return new Promise((resolve, reject) => {
+      this.waiting = { resolve, reject };
+      this.settle();
+    });
+  }
+
+  async expect(command, codes) {
+    const reply = await this.read();
+    if (!codes.includes(reply.code)) {
+      throw new SmtpError(command, reply);
+    }
+    return reply;
+  }
+
+  async command(line, codes, name = line.split(" ")[0]) {
+    this.socket.write(`${line}\r\n`);
+    return this.expect(name, codes);
+  }
+
+  close() {
+    this.detach();
+    this.socket.on("error", () => {});
+    this.socket.end();
+  }
+}
+
+const connect = ({ host, port, secure, timeoutMs }) =>
+  new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host }, () => resolve(socket))
+      : net.connect({ host, port }, () => resolve(socket));
+    socket.once("error", reject);
+  });
+
+const upgrade = (socket, host) =>
+  new Promise((resolve, reject) => {
+    const secured = tls.connect({ socket, servername: host }, () => resolve(secured));
+    secured.once("error", reject);
+  });
+
+// #region sendMail
+
+/**
+ * Send a plain-text mail over SMTP (no external mail library).
+ * STARTTLS is used when the server offers it; port 465 style implicit TLS
+ * needs `secure: true`. AUTH PLAIN is used when a user is given.
+ *
+ * @param {Object} options - { host, port, secure, user, pass, from, to, subject, text, timeoutMs }
+ * @returns {Promise<Object>} { messageId, accepted, response }
+ */
+export const sendMail = async ({
+  host,
+  port = 587,
+  secure = false,
+  user,
+  pass,
+  from,
+  to,
+  subject,
+  text,
+  timeoutMs = DEFAULT_TIMEOUT_MS
+}) => {
+  const recipients = [].concat(to).filter(Boolean);
+  if (!host || !from || recipients.length === 0) {
+    throw new Error("SMTP host, sender and at least one recipient are required");
+  }
+
+  const messageId = `${randomUUID()}@${os.hostname()}`;
+  const connection = new SmtpConnection(await connect({ host, port, secure, timeoutMs }), timeoutMs);
+
+  try {
+    await connection.expect("greeting", [220]);
+    const ehlo = await connection.command(`EHLO ${os.hostname()}`, [250]);
+
+    const offersStartTls = ehlo.lines.some((line) => /^STARTTLS/i.test(line));
+    if (!secure && offersStartTls) {
+      await connection.command("STARTTLS", [220]);
+      connection.detach();
+      connection.attach(await upgrade(connection.socket, host));
+      await connection.command(`EHLO ${os.hostname()}`, [250]);
+    }
+
+    if (user) {
+      const credentials = Buffer.from(`\0${user}\0${pass || ""}`, "utf8").toString("base64");
+      await connection.command(`AUTH PLAIN ${credentials}`, [235], "AUTH");
+    }
+
+    await connection.command(`MAIL FROM:<${addressOf(from)}>`, [250], "MAIL");
+    for (const recipient of recipients) {
+      await connection.command(`RCPT TO:<${addressOf(recipient)}>`, [250, 251], "RCPT");
+    }
+    await connection.command("DATA", [354]);
+    const accepted = await connection.command(
+      `${buildMessage({ from, to: recipients, subject, text, messageId })}\r\n.`,
+      [250],
+      "DATA"
+    );
+    await connection.command("QUIT", [221]).catch(() => {});
+
+    return { messageId, accepted: recipients, response: accepted.lines.join(" ") };
+  } finally {
+    connection.close();
+  }
+};
+
+export default sendMail;
@@ -0,0 +1,385 @@
+import BloodStock from "../models/admin/BloodStock.js";
+import StockReservation from "../models/admin/StockReservation.js";
+import BloodUnit from "../models/admin/BloodUnit.js";
+
+const DUPLICATE_KEY_ERROR = 11000;
+
+// #region StockLedger
+
+/**
+ * StockLedger
+ *
+ * Couples hospital blood request transitions to blood_stock:
+ * - accept reserves unitsRequired at the accepting bank
+ * - dispatch converts the reservation into a decrement of the units sent
+ *   and releases whatever was not issued (receipt by the hospital, which
+ *   fulfills the request, no longer touches stock)
+ * - reject / cancel / expire release the reservation
+ *
+ * HospitalBloodRequest.transition() calls prepare() before writing the new
+ * status and settle() after it. If the status write loses a race, the
+ * rollback returned by prepare() undoes the hold.
+ *
+ * Split requests hold nothing themselves: each allocation reserves and
+ * issues its own units (prepareAllocation / settleAllocation), keyed by
+ * the allocation's _id.
+ */
+class StockLedger {
+  /**
+   * Hold units for a request at a blood bank
+   * @returns {Promise<{ success: boolean, reservation?: Object, message?: string, shortage?: boolean }>}
+   */
+  async reserve({ requestId, parentRequestId, bloodBankId, bloodGroup, component, units, heldBy }) {
+    if (!Number.isInteger(units) || units <= 0) {
+      return { success: false, message: "Units to reserve must be a positive whole number" };
+    }
+
+    let reservation;
+    try {
+      reservation = await StockReservation.create({
+        requestId,
+        parentRequestId,
+        bloodBankId,
+        bloodGroup,
+        component,
+        units,
+        heldBy
+      });
+    } catch (error) {
+      if (error.code === DUPLICATE_KEY_ERROR) {
+        return { success: false, message: "Stock is already reserved for this request" };
+      }
+      throw error;
+    }
+
+    const held = await BloodStock.reserveUnits(bloodBankId, bloodGroup, units);
+    if (!held) {
+      await StockReservation.deleteHeld(reservation._id);
+      return {
+        success: false,
+        shortage: true,
+        message: `Not enough unreserved ${bloodGroup} units in stock to accept this request (${units} needed)`
+      };
+    }
+
+    // Bag-tracked banks also pin concrete bags, first-expiry-first-out
+    const stock = await BloodStock.findByBloodBankId(bloodBankId);
+    if (stock?.inventoryMode === "UNIT") {
+      const bags = await BloodUnit.allocateUnits({
+        bloodBankId,
+        bloodGroup,
+        component,
+        units,
+        requestId,
+        reservedBy: heldBy
+      });
+
+      if (bags.length < units) {
+        await BloodUnit.releaseReservedUnits(requestId, heldBy);
+        await BloodStock.releaseReservedUnits(bloodBankId, bloodGroup, units);
+        await StockReservation.deleteHeld(reservation._id);
+        return {
+          success: false,
+          shortage: true,
+          message:
+            `Only ${bags.length} unexpired ${bloodGroup} ${component || "WHOLE_BLOOD"} bag(s) ` +
+            `available to accept this request (${units} needed)`
+        };
+      }
+
+      await StockReservation.attachBags(reservation._id, bags.map((bag) => bag.bagId));
+    }
+
+    return { success: true, reservation };
+  }
+
+  /**
+   * Issue units from the request's reservation; release the rest
+   */
+  async consume(requestId, unitsIssued, settledBy = "system") {
+    const held = await StockReservation.findHeldByRequestId(requestId);
+    if (!held) {
+      return { success: false, message: "No stock reservation held for this request" };
+    }
+
+    const unitsConsumed = Math.min(unitsIssued, held.units);
+    const unitsReleased = held.units - unitsConsumed;
+
+    const settled = await StockReservation.settle(held._id, "CONSUMED", {
+      unitsConsumed,
+      unitsReleased,
+      settledBy
+    });
+    // Settled by someone else in the meantime
+    if (!settled) {
+      return { success: false, message: "Stock reservation was already settled" };
+    }
+
+    const consumed = await this.issueStock(held, unitsConsumed, settledBy);
+    if (unitsReleased > 0) {
+      await BloodStock.releaseReservedUnits(held.bloodBankId, held.bloodGroup, unitsReleased);
+    }
+
+    if (!consumed) {
+      console.error(`[STOCK_LEDGER] Reservation ${held._id} settled but stock decrement failed`);
+    }
+
+    return { success: consumed, reservation: settled };
+  }
+
+  /**
+   * Take issued units out of stock. Bag-tracked banks mark individual bags
+   * ISSUED (the pinned ones first, FEFO) and re-derive their totals; others
+   * decrement the integer count.
+   */
+  async issueStock(held, units, issuedBy) {
+    const stock = await BloodStock.findByBloodBankId(held.bloodBankId);
+
+    if (stock?.inventoryMode !== "UNIT") {
+      return await BloodStock.consumeReservedUnits(held.bloodBankId, held.bloodGroup, units, issuedBy);
+    }
+
+    const issued = await BloodUnit.issueReservedUnits(held.requestId, units, issuedBy);
+
+    // Reservations made before the bank tracked bags have none pinned
+    if (issued.length < units) {
+      issued.push(...await BloodUnit.issueUnits({
+        bloodBankId: held.bloodBankId,
+        bloodGroup: held.bloodGroup,
+        component: held.component,
+        units: units - issued.length,
+        requestId: held.requestId,
+        issuedBy
+      }));
+    }
+
+    // Pinned bags beyond what was issued go back on the shelf
+    await BloodUnit.releaseReservedUnits(held.requestId, issuedBy);
+    await BloodStock.releaseReservedUnits(held.bloodBankId, held.bloodGroup, units);
+    await BloodStock.syncFromUnits(held.bloodBankId, issuedBy);
+
+    if (issued.length < units) {
+      console.error(
+        `[STOCK_LEDGER] Only ${issued.length} of ${units} ${held.bloodGroup} bag(s) could be issued ` +
+        `for request ${held.requestId}`
+      );
+    }
+    return issued.length === units;
+  }
+
+  /**
+   * Return the request's held units to the free pool (no-op if none held)
+   */
+  async release(requestId, releaseReason, settledBy = "system") {
+    const held = await StockReservation.findHeldByRequestId(requestId);
+    if (!held) {
+      return { success: true, reservation: null };
+    }
+
+    const settled = await StockReservation.settle(held._id, "RELEASED", {
+      unitsReleased: held.units,
+      releaseReason,
+      settledBy
+    });
+    if (!settled) {
+      return { success: true, reservation: null };
+    }
+
+    await BloodUnit.releaseReservedUnits(requestId, settledBy);
+    const released = await BloodStock.releaseReservedUnits(held.bloodBankId, held.bloodGroup, held.units);
+    if (!released) {
+      console.error(`[STOCK_LEDGER] Reservation ${held._id} released but stock hold was not found`);
+    }
+
+    return { success: released, reservation: settled };
+  }
+
+  /**
+   * Reserve from the first candidate group with enough stock.
+   * Candidates are the bank's explicit choice, or the request's accepted
+   * groups (exact match first, then compatible substitutes).
+   * @param {ObjectId} [allocationId] - Hold for one allocation of a split request
+   */
+  async reserveFirstAvailable(request, bloodBankId, units, context, heldBy, allocationId = null) {
+    const candidates = context.bloodGroup
+      ? [context.bloodGroup]
+      : request.allowSubstitutes
+        ? request.compatibleBloodGroups
+        : [request.bloodGroup];
+
+    let result = { success: false, message: "No blood group to reserve" };
+    for (const bloodGroup of candidates) {
+      result = await this.reserve({
+        requestId: allocationId || request._id,
+        parentRequestId: allocationId ? request._id : null,
+        bloodBankId,
+        bloodGroup,
+        component: request.component,
+        units,
+        heldBy
+      });
+      // Only shortages move on to the next group
+      if (result.success || !result.shortage) {
+        break;
+      }
+    }
+
+    if (result.shortage && candidates.length > 1) {
+      result.message = `No accepted blood group has ${units} unreserved unit(s) in stock (${candidates.join(", ")})`;
+    }
+    return result;
+  }
+
+  /**
+   * Stock work that must succeed before a transition is written
+   * @returns {Promise<{ success: boolean, message?: string, fields?: Object, rollback: Function }>}
+   */
+  async prepare(request, action, context = {}, actor = {}) {
+    const noop = async () => {};
+    const heldBy = actor.code || "system";
+
+    // Roll-ups of a split request: stock was handled by the allocations
+    if (context.rollup) {
+      return { success: true, rollback: noop };
+    }
+
+    if (action === "accept") {
+      const result = await this.reserveFirstAvailable(
+        request,
+        context.bloodBankId || request.bloodBankId,
+        request.unitsRequired,
+        context,
+        heldBy
+      );
+      if (!result.success) {
+        return { success: false, message: result.message, rollback: noop };
+      }
+      return {
+        success: true,
+        fields: { issuedBloodGroup: result.reservation.bloodGroup },
+        rollback: () => this.release(request._id, "ACCEPT_NOT_APPLIED", heldBy)
+      };
+    }
+
+    if (action === "dispatch") {
+      // Requests accepted before reservations existed hold nothing yet
+      const held = await StockReservation.findHeldByRequestId(request._id);
+      if (held) {
+        return { success: true, rollback: noop };
+      }
+
+      const result = await this.reserveFirstAvailable(
+        request,
+        request.bloodBankId,
+        context.units,
+        { bloodGroup: request.issuedBloodGroup || context.bloodGroup },
+        heldBy
+      );
+      if (!result.success) {
+        return { success: false, message: result.message, rollback: noop };
+      }
+      return {
+        success: true,
+        fields: { issuedBloodGroup: result.reservation.bloodGroup },
+        rollback: () => this.release(request._id, "DISPATCH_NOT_APPLIED", heldBy)
+      };
+    }
+
+    return { success: true, rollback: noop };
+  }
+
+  /**
+   * Stock work that follows a written transition
+   */
+  async settle(request, action, context = {}, actor = {}) {
+    const settledBy = actor.code || "system";
+
+    try {
+      switch (action) {
+        case "dispatch":
+          return await this.consume(request._id, context.units, settledBy);
+        case "reject":
+        case "cancel":
+        case "expire":
+          // Closing a split request also frees every allocation's hold
+          for (const allocation of request.allocations || []) {
+            await this.release(allocation._id, action.toUpperCase(), settledBy);
+          }
+          return await this.release(request._id, action.toUpperCase(), settledBy);
+        default:
+          return { success: true };
+      }
+    } catch (error) {
+      console.error(`[STOCK_LEDGER] Failed to settle ${action} for request ${request._id}:`, error);
+      return { success: false };
+    }
+  }
+
+  // #region Allocations
+
+  /**
+   * Stock work that must succeed before an allocation transition is written
+   * @param {Object} request - Parent (split) request
+   * @param {Object} allocation - Allocation sub-document
+   * @returns {Promise<{ success: boolean, message?: string, fields?: Object, rollback: Function }>}
+   */
+  async prepareAllocation(request, allocation, action, context = {}, actor = {}) {
+    const noop = async () => {};
+    const heldBy = actor.code || "system";
+
+    let units;
+    if (action === "accept") {
+      units = allocation.units;
+    } else if (action === "dispatch") {
+      // Allocations accepted before their hold was written have nothing held
+      const held = await StockReservation.findHeldByRequestId(allocation._id);
+      if (held) {
+        return { success: true, rollback: noop };
+      }
+      units = context.units;
+    } else {
+      return { success: true, rollback: noop };
+    }
+
+    const result = await this.reserveFirstAvailable(
+      request,
+      allocation.bloodBankId,
+      units,
+      { bloodGroup: context.bloodGroup || allocation.bloodGroup },
+      heldBy,
+      allocation._id
+    );
+    if (!result.success) {
+      return { success: false, message: result.message, rollback: noop };
+    }
+    return {
+      success: true,
+      fields: { bloodGroup: result.reservation.bloodGroup },
+      rollback: () => this.release(allocation._id, `${action.toUpperCase()}_NOT_APPLIED`, heldBy)
+    };
+  }
+
+  /**
+   * Stock work that follows a written allocation transition
+   */
+  async settleAllocation(allocation, action, context = {}, actor = {}) {
+    const settledBy = actor.code || "system";
+
+    try {
+      switch (action) {
+        case "dispatch":
+          return await this.consume(allocation._id, context.units, settledBy);
+        case "reject":
+        case "cancel":
+          return await this.release(allocation._id, action.toUpperCase(), settledBy);
+        default:
+          return { success: true };
+      }
+    } catch (error) {
+      console.error(`[STOCK_LEDGER] Failed to settle ${action} for allocation ${allocation._id}:`, error);
+      return { success: false };
+    }
+  }
+}
+
+export default new StockLedger();
@@ -0,0 +1,375 @@
+import crypto from "crypto";
+import TwoFactorModel from "../models/auth/TwoFactor.js";
+import Audit from "../models/admin/Audit.js";
+import Sessions, { REVOKE_REASONS, getSubjectId, subjectTypeOf } from "./Sessions.js";
+import LoginProtection from "./LoginProtection.js";
+import { signChallengeToken, verifyChallengeToken } from "../config/jwt.js";
+import { generateTotpSecret, verifyTotp, buildOtpauthUrl } from "../utils/totp.js";
+import { toQrSvg } from "../utils/qrCode.js";
+
+// #region Configuration
+
+const DEFAULT_REQUIRED_ROLES = "SUPERADMIN,ADMIN";
+const DEFAULT_ISSUER = "BloodBridge";
+
+export const CHALLENGE_TTL_SECONDS = 5 * 60;
+export const RECOVERY_CODE_COUNT = 10;
+
+// Wrong codes allowed per account before verification pauses
+export const MAX_FAILED_ATTEMPTS = 5;
+export const FAILED_ATTEMPT_WINDOW_MS = 15 * 60 * 1000;
+
+export const TWO_FACTOR_AUDIT_ACTIONS = {
+  ENABLED: "TWO_FACTOR_ENABLED",
+  DISABLED: "TWO_FACTOR_DISABLED",
+  FAILED: "TWO_FACTOR_FAILED",
+  RECOVERY_CODE_USED: "TWO_FACTOR_RECOVERY_CODE_USED"
+};
+
+/**
+ * Roles that must have two-factor on; they are sent to enrolment after login
+ */
+const getRequiredRoles = () =>
+  (process.env.TWO_FACTOR_REQUIRED_ROLES ?? DEFAULT_REQUIRED_ROLES)
+    .split(",")
+    .map((role) => role.trim().toUpperCase())
+    .filter(Boolean);
+
+const getIssuer = () => process.env.TWO_FACTOR_ISSUER || DEFAULT_ISSUER;
+
+// Claims signAccessToken and the gates add; never copied into a new session
+const TRANSIENT_CLAIMS = ["sid", "iat", "exp", "twoFactorSetupRequired"];
+
+// No 0/O or 1/I so codes survive being read off paper
+const RECOVERY_CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789";
+
+// #region Helpers
+
+const failure = (message, statusCode = 400) => ({ success: false, message, statusCode });
+
+const normalizeRecoveryCode = (code) => String(code || "").toUpperCase().replace(/[\s-]/g, "");
+
+export const hashRecoveryCode = (code) =>
+  crypto.createHash("sha256").update(normalizeRecoveryCode(code)).digest("hex");
+
+export const generateRecoveryCodes = (count = RECOVERY_CODE_COUNT) =>
+  Array.from({ length: count }, () => {
+    const chars = Array.from(crypto.randomBytes(8), (byte) => RECOVERY_CODE_ALPHABET[byte % RECOVERY_CODE_ALPHABET.length]);
+    return `${chars.slice(0, 4).join("")}-${chars.slice(4).join("")}`;
+  });
+
+const sessionClaims = (claims) =>
+  Object.fromEntries(Object.entries(claims).filter(([key]) => !TRANSIENT_CLAIMS.includes(key)));
+
+// #region TwoFactor
+
+/**
+ * TwoFactor
+ *
+ * Optional TOTP second factor for every account type, mandatory for the
+ * roles in TWO_FACTOR_REQUIRED_ROLES. With it enabled, a correct password
+ * only earns a five-minute challenge token; the session starts once
+ * verifyLogin accepts a code from the authenticator app or a recovery code.
+ * Accounts that must have it but have not enrolled get a session whose
+ * `twoFactorSetupRequired` claim keeps every endpoint but enrolment closed.
+ * Wrong codes are written to the audit log, which also caps them per account.
+ */
+class TwoFactor {
+  isRequired(claims) {
+    return getRequiredRoles().includes(String(claims.role || "").toUpperCase());
+  }
+
+  /**
+   * Session for claims that passed every factor; flags a missing enrolment
+   * when the role requires one (a pending password change goes first)
+   * @returns {Promise<Object>} { token, refreshToken, expiresIn, sessionId, twoFactorSetupRequired }
+   */
+  async startSession(subjectType, claims, device = {}) {
+    const baseClaims = sessionClaims(claims);
+    let twoFactorSetupRequired = false;
+
+    if (this.isRequired(baseClaims) && !baseClaims.mustChangePassword) {
+      const record = await TwoFactorModel.findBySubject(subjectType, getSubjectId(subjectType, baseClaims));
+      twoFactorSetupRequired = !record?.enabled;
+    }
+
+    const session = await Sessions.start(
+      subjectType,
+      { ...baseClaims, ...(twoFactorSetupRequired && { twoFactorSetupRequired: true }) },
+      device
+    );
+    return { ...session, twoFactorSetupRequired };
+  }
+
+  /**
+   * Second step of every login, after the password matched. Without
+   * two-factor the login is complete here; the caller records the success.
+   * @returns {Promise<Object>} { twoFactorRequired: true, challengeToken, expiresIn }
+   *   or { twoFactorRequired: false, token, refreshToken, expiresIn, twoFactorSetupRequired }
+   */
+  async login(subjectType, claims, device = {}) {
+    const record = await TwoFactorModel.findBySubject(subjectType, getSubjectId(subjectType, claims));
+    if (record?.enabled) {
+      return {
+        twoFactorRequired: true,
+        challengeToken: signChallengeToken({ subjectType, claims }, CHALLENGE_TTL_SECONDS),
+        expiresIn: CHALLENGE_TTL_SECONDS
+      };
+    }
+
+    const session = await this.startSession(subjectType, claims, device);
+    return { twoFactorRequired: false, ...session };
+  }
+
+  /**
+   * Finish a login with an authenticator code or a recovery code. A wrong
+   * code counts towards the account's login lock like a wrong password.
+   * @param {string} challengeToken - From login
+   * @param {Object} answer - { code } or { recoveryCode }
+   * @param {Object} device - { userAgent, ipAddress } (see getDevice)
+   * @returns {Promise<Object>} { success, token, refreshToken, expiresIn, recoveryCodesRemaining }
+   *   or { success: false, message, statusCode, lockedUntil?, retryAfter? }
+   */
+  async verifyLogin(challengeToken, answer = {}, device = {}) {
+    let challenge;
+    try {
+      challenge = verifyChallengeToken(challengeToken);
+    } catch {
+      return failure("Sign-in step has expired, please sign in again", 401);
+    }
+
+    const { subjectType, claims } = challenge;
+    const { identity, account } = LoginProtection.forClaims(subjectType, claims);
+
+    const lock = await LoginProtection.check(identity);
+    if (!lock.success) {
+      return lock;
+    }
+
+    const check = await this.confirm(subjectType, claims, answer, device);
+    if (!check.success) {
+      if (check.statusCode !== 401) {
+        return check;
+      }
+      const counted = await LoginProtection.recordFailure(identity, device, account);
+      return counted.statusCode === 429 ? counted : check;
+    }
+
+    if (check.method === "RECOVERY_CODE") {
+      await this.audit(TWO_FACTOR_AUDIT_ACTIONS.RECOVERY_CODE_USED, subjectType, claims, device, {
+        description: "Signed in with a recovery code",
+        metadata: { recoveryCodesRemaining: check.recoveryCodesRemaining }
+      });
+    }
+
+    const session = await this.startSession(subjectType, claims, device);
+    await LoginProtection.recordSuccess(identity, account, device);
+    return {
+      success: true,
+      ...session,
+      ...(check.method === "RECOVERY_CODE" && { recoveryCodesRemaining: check.recoveryCodesRemaining })
+    };
+  }
+
+  // #region Enrolment
+
+  /**
+   * Two-factor state of the caller
+   * @returns {Promise<Object>} { enabled, required, enabledAt, recoveryCodesRemaining }
+   */
+  async status(claims) {
+    const subjectType = subjectTypeOf(claims);
+    const record = await TwoFactorModel.findBySubject(subjectType, getSubjectId(subjectType, claims));
+    return {
+      enabled: Boolean(record?.enabled),
+      required: this.isRequired(claims),
+      enabledAt: record?.enabled ? record.enabledAt : null,
+      recoveryCodesRemaining: record?.enabled ? record.recoveryCodeHashes.length : 0
+    };
+  }
+
+  /**
+   * Start enrolment: a new secret for the authenticator app
+   * @returns {Promise<Object>} { success, secret, otpauthUrl, qrSvg } or { success: false, message, statusCode }
+   */
+  async setup(claims) {
+    const subjectType = subjectTypeOf(claims);
+    const subjectId = getSubjectId(subjectType, claims);
+
+    const record = await TwoFactorModel.findBySubject(subjectType, subjectId);
+    if (record?.enabled) {
+      return failure("Two-factor authentication is already on; turn it off first to change authenticator", 409);
+    }
+
+    const secret = generateTotpSecret();
+    await TwoFactorModel.savePendingSecret(subjectType, subjectId, secret);
+
+    const otpauthUrl = buildOtpauthUrl({ issuer: getIssuer(), account: claims.email, secret });
+    return { success: true, secret, otpauthUrl, qrSvg: toQrSvg(otpauthUrl) };
+  }
+
+  /**
+   * Confirm enrolment with the first code from the app. Every other session
+   * of the account ends; the caller gets a fresh one.
+   * @returns {Promise<Object>} { success, recoveryCodes, token, refreshToken, expiresIn } or { success: false, message, statusCode }
+   */
+  async enable(claims, code, device = {}) {
+    const subjectType = subjectTypeOf(claims);
+    const subjectId = getSubjectId(subjectType, claims);
+
+    const record = await TwoFactorModel.findBySubject(subjectType, subjectId);
+    if (record?.enabled) {
+      return failure("Two-factor authentication is already on", 409);
+    }
+    if (!record?.pendingSecret) {
+      return failure("Start two-factor setup first", 400);
+    }
+
+    const usedStep = verifyTotp(record.pendingSecret, code);
+    if (usedStep === null) {
+      return failure("Code is not valid, check the time on your device and try again", 400);
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    const enabled = await TwoFactorModel.enable(subjectType, subjectId, {
+      secret: record.pendingSecret,
+      recoveryCodeHashes: recoveryCodes.map(hashRecoveryCode),
+      usedStep
+    });
+    if (!enabled) {
+      return failure("Setup was restarted elsewhere, scan the new code", 409);
+    }
+
+    await Sessions.revokeAllForSubject(subjectType, subjectId, REVOKE_REASONS.TWO_FACTOR_CHANGED);
+    const session = await this.startSession(subjectType, claims, device);
+
+    await this.audit(TWO_FACTOR_AUDIT_ACTIONS.ENABLED, subjectType, claims, device, {
+      description: "Two-factor authentication turned on"
+    });
+
+    return { success: true, recoveryCodes, ...session };
+  }
+
+  /**
+   * New recovery codes; the old ones stop working
+   * @returns {Promise<Object>} { success, recoveryCodes } or { success: false, message, statusCode }
+   */
+  async regenerateRecoveryCodes(claims, code, device = {}) {
+    const subjectType = subjectTypeOf(claims);
+    const check = await this.confirm(subjectType, claims, { code }, device);
+    if (!check.success) {
+      return check;
+    }
+
+    const recoveryCodes = generateRecoveryCodes();
+    await TwoFactorModel.replaceRecoveryCodes(subjectType, getSubjectId(subjectType, claims), recoveryCodes.map(hashRecoveryCode));
+    return { success: true, recoveryCodes };
+  }
+
+  /**
+   * Turn two-factor off (not allowed for roles that require it)
+   * @param {Object} answer - { code } or { recoveryCode }
+   * @returns {Promise<Object>} { success } or { success: false, message, statusCode }
+   */
+  async disable(claims, answer = {}, device = {}) {
+    if (this.isRequired(claims)) {
+      return failure("Two-factor authentication is required for your role", 403);
+    }
+
+    const subjectType = subjectTypeOf(claims);
+    const subjectId = getSubjectId(subjectType, claims);
+
+    const check = await this.confirm(subjectType, claims, answer, device);
+    if (!check.success) {
+      return check;
+    }
+
+    await TwoFactorModel.disable(subjectType, subjectId);
+    await Sessions.revokeAllForSubject(subjectType, subjectId, REVOKE_REASONS.TWO_FACTOR_CHANGED, claims.sid);
+    await this.audit(TWO_FACTOR_AUDIT_ACTIONS.DISABLED, subjectType, claims, device, {
+      description: "Two-factor authentication turned off"
+    });
+
+    return { success: true };
+  }
+
+  // #region Internals
+
+  /**
+   * Check a code from the account owner, recording wrong ones and refusing
+   * to check more once MAX_FAILED_ATTEMPTS is reached
+   */
+  async confirm(subjectType, claims, answer, device) {
+    const subjectId = getSubjectId(subjectType, claims);
+
+    if (await this.isLockedOut(subjectId)) {
+      return failure("Too many wrong codes, try again in a few minutes", 429);
+    }
+
+    const check = await this.checkCode(subjectType, subjectId, answer);
+    if (!check.success && check.statusCode === 401) {
+      await this.recordFailure(subjectType, claims, device, check.message);
+    }
+    return check;
+  }
+
+  /**
+   * Check an authenticator code or use up a recovery code
+   * @returns {Promise<Object>} { success, method, recoveryCodesRemaining } or { success: false, message, statusCode }
+   */
+  async checkCode(subjectType, subjectId, { code, recoveryCode } = {}) {
+    const record = await TwoFactorModel.findBySubject(subjectType, subjectId);
+    if (!record?.enabled) {
+      return failure("Two-factor authentication is not on", 409);
+    }
+
+    if (recoveryCode) {
+      const used = await TwoFactorModel.useRecoveryCode(subjectType, subjectId, hashRecoveryCode(recoveryCode));
+      return used
+        ? { success: true, method: "RECOVERY_CODE", recoveryCodesRemaining: record.recoveryCodeHashes.length - 1 }
+        : failure("Recovery code is not valid or was already used", 401);
+    }
+
+    const step = verifyTotp(record.secret, code, { lastUsedStep: record.lastUsedStep });
+    // The step is claimed atomically so one code can't open two sessions
+    if (step === null || !(await TwoFactorModel.recordUsedStep(subjectType, subjectId, step))) {
+      return failure("Code is not valid", 401);
+    }
+    return { success: true, method: "TOTP" };
+  }
+
+  async isLockedOut(subjectId) {
+    const failures = await Audit.countRecent({
+      entityId: subjectId,
+      action: TWO_FACTOR_AUDIT_ACTIONS.FAILED,
+      since: new Date(Date.now() - FAILED_ATTEMPT_WINDOW_MS)
+    });
+    return failures >= MAX_FAILED_ATTEMPTS;
+  }
+
+  async recordFailure(subjectType, claims, device, reason) {
+    console.warn(`[TWO_FACTOR] Failed code for ${claims.email} (${subjectType}) from ${device.ipAddress || "unknown IP"}`);
+    await this.audit(TWO_FACTOR_AUDIT_ACTIONS.FAILED, subjectType, claims, device, {
+      status: "FAILURE",
+      description: "Wrong two-factor code",
+      errorMessage: reason
+    });
+  }
+
+  async audit(action, subjectType, claims, device, details) {
+    await Audit.create({
+      entityType: "AUTH",
+      action,
+      performedBy: claims.email,
+      performedByRole: claims.role,
+      entityId: getSubjectId(subjectType, claims),
+      entityCode: claims.adminCode || claims.userCode || null,
+      entityName: claims.name || claims.email,
+      ipAddress: device.ipAddress,
+      ...details,
+      metadata: { subjectType, userAgent: device.userAgent, ...details.metadata }
+    });
+  }
+}
+
+export default new TwoFactor();
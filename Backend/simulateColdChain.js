@@ -0,0 +1,71 @@
+import { connectDB, disconnectDB } from "./config/db.js";
+import HospitalBloodRequest from "./models/hospital/HospitalBloodRequest.js";
+import ColdChainMonitor from "./services/ColdChainMonitor.js";
+import { getTransportRange } from "./services/ColdChain.js";
+
+const READING_INTERVAL_MS = 5 * 60 * 1000;
+
+
+// #region simulateColdChain
+/**
+ * Simulated transport logger for testing cold-chain tracking without a device.
+ * Posts a run of readings (one per 5 minutes, ending now) against a dispatch
+ * that is under way; with --excursion the last reading is out of range.
+ *
+ * Usage: node simulateColdChain.js <requestId> [allocationId] [--count=6] [--excursion]
+ */
+async function simulateColdChain() {
+  const args = process.argv.slice(2);
+  const [requestId, allocationId = null] = args.filter((arg) => !arg.startsWith("--"));
+  const count = parseInt(args.find((arg) => arg.startsWith("--count="))?.split("=")[1]) || 6;
+  const excursion = args.includes("--excursion");
+
+  if (!requestId) {
+    console.error("Usage: node simulateColdChain.js <requestId> [allocationId] [--count=6] [--excursion]");
+    process.exit(1);
+  }
+
+  try {
+    await connectDB();
+
+    const found = await HospitalBloodRequest.findDispatch(requestId, allocationId);
+    if (!found?.dispatch) {
+      console.error("No dispatch found for this request/allocation");
+      return;
+    }
+
+    const range = found.dispatch.temperatureRange || getTransportRange(found.request.component);
+    const midpoint = (range.minC + range.maxC) / 2;
+    const spread = (range.maxC - range.minC) / 4;
+    const now = Date.now();
+
+    const readings = Array.from({ length: count }, (_, index) => ({
+      temperatureC: Number((midpoint + (Math.random() * 2 - 1) * spread).toFixed(1)),
+      recordedAt: new Date(now - (count - 1 - index) * READING_INTERVAL_MS)
+    }));
+    if (excursion) {
+      readings[readings.length - 1].temperatureC = range.maxC + 3;
+    }
+
+    const result = await ColdChainMonitor.recordReadings(requestId, allocationId, readings, {
+      deviceId: "SIMULATOR",
+      source: "SIMULATED"
+    });
+
+    if (!result.success) {
+      console.error(result.message);
+      return;
+    }
+
+    console.log(`Stored ${result.stored} reading(s), ${result.excursions} out of range (${range.minC} to ${range.maxC} °C)`);
+    if (result.flagged > 0) {
+      console.log(`${result.flagged} bag(s) flagged for cold-chain excursion`);
+    }
+  } catch (error) {
+    console.error("Simulation failed:", error);
+  } finally {
+    await disconnectDB();
+  }
+}
+
+simulateColdChain();
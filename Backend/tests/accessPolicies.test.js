@@ -0,0 +1,434 @@
+import request from 'supertest';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import HospitalBloodRequestRoutes from '../routes/hospital/HospitalBloodRequestRoutes.js';
+import HospitalNgoDriveRoutes from '../routes/hospital/HospitalNgoDriveRoutes.js';
+import HospitalRoutes from '../routes/hospital/HospitalRoutes.js';
+import IncidentRoutes from '../routes/hospital/IncidentRoutes.js';
+import AdminHospitalBloodRequestRoutes from '../routes/admin/HospitalBloodRequestRoutes.js';
+import AdminBloodBankRoutes from '../routes/admin/BloodBankRoutes.js';
+import OrganizationUsersRoutes from '../routes/organization/OrganizationUsersRoutes.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import HospitalNgoDrive from '../models/hospital/HospitalNgoDrive.js';
+import Incident from '../models/hospital/Incident.js';
+import Admin from '../models/admin/Admin.js';
+import { Organization } from '../models/organization/Organization.js';
+import Sessions from '../services/Sessions.js';
+import { REQUEST_POLICIES, DRIVE_POLICIES } from '../services/AccessPolicies.js';
+
+// Controllers echo what reached them, so tests see the bound body and query
+function mockEchoController() {
+  return new Proxy({}, {
+    get: (target, handler) => (req, res) =>
+      res.status(200).json({ success: true, handler, body: req.body, query: req.query })
+  });
+}
+
+jest.mock('../controllers/hospital/HospitalBloodRequestController.js', () => ({
+  HospitalBloodRequestController: mockEchoController()
+}));
+
+jest.mock('../controllers/hospital/HospitalNgoDriveController.js', () => ({
+  HospitalNgoDriveController: mockEchoController()
+}));
+
+jest.mock('../controllers/hospital/HospitalController.js', () => ({
+  HospitalController: mockEchoController()
+}));
+
+jest.mock('../controllers/hospital/IncidentController.js', () => ({
+  IncidentController: mockEchoController()
+}));
+
+// Named exports, so the module itself echoes
+jest.mock('../controllers/admin/HospitalBloodRequestController.js', () => mockEchoController());
+jest.mock('../controllers/admin/BloodBankController.js', () => mockEchoController());
+jest.mock('../controllers/organization/OrganizationUsersController.js', () => mockEchoController());
+
+jest.mock('../models/hospital/HospitalBloodRequest.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/hospital/HospitalNgoDrive.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/hospital/Incident.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/admin/Admin.js', () => ({
+  __esModule: true,
+  default: { findByEmail: jest.fn() }
+}));
+
+jest.mock('../models/organization/Organization.js', () => ({
+  Organization: { findByCode: jest.fn() }
+}));
+
+// Roles nobody customised: the built-in permissions apply
+jest.mock('../models/organization/OrganizationRole.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn(async () => null) }
+}));
+
+jest.mock('../services/Sessions.js', () => ({
+  __esModule: true,
+  SUBJECT_TYPES: { ORGANIZATION_USER: 'ORGANIZATION_USER', USER: 'USER', ADMIN: 'ADMIN' },
+  subjectTypeOf: (claims) => (claims.adminCode ? 'ADMIN' : claims.userCode ? 'ORGANIZATION_USER' : 'USER'),
+  default: { isActive: jest.fn() }
+}));
+
+const SECRET = 'access-policy-test-secret';
+process.env.JWT_SECRET = SECRET;
+
+const hospitalId = '65f000000000000000000001';
+const otherHospitalId = '65f000000000000000000002';
+const bankId = '65f000000000000000000003';
+const otherBankId = '65f000000000000000000004';
+const escalatedBankId = '65f000000000000000000005';
+const ngoId = '65f000000000000000000006';
+const otherNgoId = '65f000000000000000000007';
+const requestId = '65f0000000000000000000aa';
+const driveId = '65f0000000000000000000bb';
+const allocationId = '65f0000000000000000000cc';
+const incidentId = '65f0000000000000000000ab';
+const adminId = '65f0000000000000000000dd';
+const sessionId = '65f0000000000000000000ee';
+
+const organizations = {
+  'HOS-1': { _id: hospitalId, organizationCode: 'HOS-1', name: 'City Hospital', type: 'hospital', status: 'ACTIVE' },
+  'HOS-2': { _id: otherHospitalId, organizationCode: 'HOS-2', name: 'Metro Hospital', type: 'hospital', status: 'ACTIVE' },
+  'BB-1': { _id: bankId, organizationCode: 'BB-1', name: 'Central Blood Bank', type: 'bloodbank', status: 'ACTIVE' },
+  'BB-2': { _id: otherBankId, organizationCode: 'BB-2', name: 'North Blood Bank', type: 'bloodbank', status: 'ACTIVE' },
+  'BB-3': { _id: escalatedBankId, organizationCode: 'BB-3', name: 'East Blood Bank', type: 'bloodbank', status: 'ACTIVE' },
+  'NGO-1': { _id: ngoId, organizationCode: 'NGO-1', name: 'Helping Hands', type: 'ngo', status: 'ACTIVE' },
+  'NGO-2': { _id: otherNgoId, organizationCode: 'NGO-2', name: 'Red Drop', type: 'ngo', status: 'ACTIVE' },
+  'HOS-X': { _id: '65f000000000000000000009', organizationCode: 'HOS-X', name: 'Closed Hospital', type: 'hospital', status: 'SUSPENDED' }
+};
+
+const organizationToken = (organizationCode, role = 'Admin') =>
+  jwt.sign(
+    { userId: 'u-1', userCode: `U-${organizationCode}`, organizationCode, role, email: 'staff@example.org', sid: sessionId },
+    SECRET
+  );
+
+const tokens = {
+  hospital: organizationToken('HOS-1'),
+  hospitalMember: organizationToken('HOS-1', 'Member'),
+  otherHospital: organizationToken('HOS-2'),
+  bank: organizationToken('BB-1'),
+  otherBank: organizationToken('BB-2'),
+  escalatedBank: organizationToken('BB-3'),
+  ngo: organizationToken('NGO-1'),
+  otherNgo: organizationToken('NGO-2'),
+  suspendedHospital: organizationToken('HOS-X'),
+  admin: jwt.sign({ id: adminId, adminCode: 'ADM-1', email: 'control@example.org', role: 'ADMIN', sid: sessionId }, SECRET),
+  superAdmin: jwt.sign({ id: adminId, email: 'control@example.org', role: 'SUPERADMIN', sid: sessionId }, SECRET)
+};
+
+const bloodRequest = {
+  _id: requestId,
+  hospitalId,
+  bloodBankId: bankId,
+  escalation: { notifiedBloodBankIds: [escalatedBankId] },
+  allocations: [{ _id: allocationId, bloodBankId: otherBankId }]
+};
+
+const drive = { _id: driveId, hospitalId, ngoId, bloodBankId: bankId };
+
+const incident = { _id: incidentId, hospitalId, notifiedBloodBankIds: [bankId, escalatedBankId] };
+
+const app = express();
+app.use(express.json());
+app.use('/api/hospital-blood-requests', HospitalBloodRequestRoutes);
+app.use('/api/hospital-ngo-drives', HospitalNgoDriveRoutes);
+app.use('/api/hospitals', HospitalRoutes);
+app.use('/api/hospital-incidents', IncidentRoutes);
+app.use('/api/admin/requests', AdminHospitalBloodRequestRoutes);
+app.use('/api/admin/bloodbanks', AdminBloodBankRoutes);
+app.use('/api/organization-users', OrganizationUsersRoutes);
+
+const call = (method, path, token, body = {}) => {
+  const req = request(app)[method](path);
+  if (token) req.set('Authorization', `Bearer ${tokens[token]}`);
+  return method === 'get' ? req : req.send(body);
+};
+
+/**
+ * Route table: [method, path, allowed callers, denied callers]
+ */
+const expectPolicy = (routes) =>
+  routes.forEach(([method, path, allowed, denied]) => {
+    describe(`${method.toUpperCase()} ${path}`, () => {
+      it('requires a token', async () => {
+        const res = await call(method, path);
+        expect(res.status).toBe(401);
+      });
+
+      it.each(allowed)('allows %s', async (caller) => {
+        const res = await call(method, path, caller);
+        expect(res.status).toBe(200);
+      });
+
+      it.each(denied)('denies %s', async (caller) => {
+        const res = await call(method, path, caller);
+        expect(res.status).toBe(403);
+        expect(res.body.success).toBe(false);
+      });
+    });
+  });
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  Sessions.isActive.mockResolvedValue(true);
+  Organization.findByCode.mockImplementation(async (code) => organizations[code] || null);
+  HospitalBloodRequest.findById.mockImplementation(async (id) => (id === requestId ? bloodRequest : null));
+  HospitalNgoDrive.findById.mockImplementation(async (id) => (id === driveId ? drive : null));
+  Incident.findById.mockImplementation(async (id) => (id === incidentId ? incident : null));
+  Admin.findByEmail.mockResolvedValue({ _id: adminId, email: 'control@example.org', adminCode: 'SA-1', isActive: true });
+});
+
+describe('Access policies', () => {
+  describe('REQUEST_POLICIES', () => {
+    const as = (id) => ({ id });
+    const withAllocation = { params: { allocationId } };
+
+    it('treats escalated banks as targeted but not assigned', () => {
+      expect(REQUEST_POLICIES.targetedBank(bloodRequest, as(escalatedBankId))).toBe(true);
+      expect(REQUEST_POLICIES.assignedBank(bloodRequest, as(escalatedBankId))).toBe(false);
+    });
+
+    it('leaves rejecting to the assigned bank once there is one', () => {
+      const unassigned = { ...bloodRequest, bloodBankId: null };
+
+      expect(REQUEST_POLICIES.respondingBank(bloodRequest, as(bankId))).toBe(true);
+      expect(REQUEST_POLICIES.respondingBank(bloodRequest, as(escalatedBankId))).toBe(false);
+      expect(REQUEST_POLICIES.respondingBank(unassigned, as(escalatedBankId))).toBe(true);
+      expect(REQUEST_POLICIES.respondingBank(unassigned, as(otherBankId))).toBe(false);
+    });
+
+    it('matches the allocation bank only for its own allocation', () => {
+      expect(REQUEST_POLICIES.allocationBank(bloodRequest, as(otherBankId), withAllocation)).toBe(true);
+      expect(REQUEST_POLICIES.allocationBank(bloodRequest, as(bankId), withAllocation)).toBe(false);
+      expect(REQUEST_POLICIES.allocationBank(bloodRequest, as(otherBankId), { params: { allocationId: requestId } })).toBe(false);
+    });
+
+    it('counts every involved organization as a party', () => {
+      [hospitalId, bankId, escalatedBankId, otherBankId].forEach((id) =>
+        expect(REQUEST_POLICIES.party(bloodRequest, as(id))).toBe(true)
+      );
+      expect(REQUEST_POLICIES.party(bloodRequest, as(otherHospitalId))).toBe(false);
+    });
+  });
+
+  describe('DRIVE_POLICIES', () => {
+    it('lets the hospital and the invited NGO organize', () => {
+      expect(DRIVE_POLICIES.organizer(drive, { id: hospitalId })).toBe(true);
+      expect(DRIVE_POLICIES.organizer(drive, { id: ngoId })).toBe(true);
+      expect(DRIVE_POLICIES.organizer(drive, { id: bankId })).toBe(false);
+      expect(DRIVE_POLICIES.party(drive, { id: bankId })).toBe(true);
+    });
+  });
+});
+
+describe('Hospital blood request routes', () => {
+  const base = `/api/hospital-blood-requests/${requestId}`;
+  const allocation = `${base}/allocations/${allocationId}`;
+  const banks = ['bank', 'otherBank', 'escalatedBank'];
+
+  expectPolicy([
+    ['post', '/api/hospital-blood-requests', ['hospital'], ['bank', 'ngo', 'superAdmin', 'suspendedHospital']],
+    ['get', '/api/hospital-blood-requests/critical', ['hospital', 'bank'], ['ngo', 'superAdmin']],
+    ['get', base, ['hospital', 'bank', 'escalatedBank', 'otherBank'], ['otherHospital', 'ngo']],
+    ['put', base, ['hospital'], ['otherHospital', ...banks]],
+    ['delete', base, ['hospital'], ['otherHospital', ...banks]],
+    ['get', `/api/hospital-blood-requests/hospital/${hospitalId}`, ['hospital'], ['otherHospital', 'bank']],
+    ['get', `/api/hospital-blood-requests/hospital/${hospitalId}/stats`, ['hospital'], ['otherHospital', 'bank']],
+    ['get', `/api/hospital-blood-requests/bloodbank/${bankId}`, ['bank'], ['otherBank', 'hospital']],
+    ['get', `/api/hospital-blood-requests/bloodbank/${bankId}/stats`, ['bank'], ['otherBank', 'hospital']],
+    ['post', `${base}/accept`, ['bank', 'escalatedBank'], ['otherBank', 'hospital']],
+    ['post', `${base}/reject`, ['bank'], ['escalatedBank', 'otherBank', 'hospital']],
+    ['post', `${base}/process`, ['bank'], ['escalatedBank', 'otherBank', 'hospital']],
+    ['post', `${base}/complete`, ['hospital'], ['otherHospital', ...banks]],
+    ['post', `${base}/cancel`, ['hospital'], ['otherHospital', ...banks]],
+    ['post', `${base}/dispatch`, ['bank'], ['escalatedBank', 'otherBank', 'hospital']],
+    ['get', `${base}/dispatch`, ['hospital', 'bank'], ['otherHospital', 'ngo']],
+    ['post', `${base}/dispatch/checkpoints`, ['bank'], ['otherBank', 'hospital']],
+    ['post', `${base}/dispatch/readings`, ['bank'], ['otherBank', 'hospital']],
+    ['post', `${base}/allocations`, ['hospital'], ['otherHospital', 'bank']],
+    ['post', `${base}/allocations/claim`, ['bank', 'escalatedBank'], ['otherBank', 'hospital']],
+    ['post', `${allocation}/accept`, ['otherBank'], ['bank', 'hospital']],
+    ['post', `${allocation}/reject`, ['otherBank'], ['bank', 'hospital']],
+    ['post', `${allocation}/fulfill`, ['hospital'], ['otherHospital', 'otherBank']],
+    ['post', `${allocation}/cancel`, ['hospital'], ['otherHospital', 'otherBank']],
+    ['post', `${allocation}/dispatch`, ['otherBank'], ['bank', 'hospital']],
+    ['get', `${allocation}/dispatch`, ['hospital', 'otherBank'], ['otherHospital', 'ngo']],
+    ['post', `${allocation}/dispatch/checkpoints`, ['otherBank'], ['bank', 'hospital']],
+    ['post', `${allocation}/dispatch/readings`, ['otherBank'], ['bank', 'hospital']]
+  ]);
+
+  it('takes hospitalId from the token, not the body', async () => {
+    const res = await call('post', '/api/hospital-blood-requests', 'hospital', { hospitalId: otherHospitalId, bloodGroup: 'O-' });
+
+    expect(res.body.body).toEqual({ hospitalId, bloodGroup: 'O-' });
+  });
+
+  it('takes bloodBankId from the token when accepting', async () => {
+    const res = await call('post', `${base}/accept`, 'escalatedBank', { bloodBankId: bankId, units: 2 });
+
+    expect(res.body.body.bloodBankId).toBe(escalatedBankId);
+  });
+
+  it('lets notified banks reach reject only while no bank is assigned', async () => {
+    HospitalBloodRequest.findById.mockResolvedValueOnce({ ...bloodRequest, bloodBankId: null });
+    const res = await call('post', `${base}/reject`, 'escalatedBank', { bloodBankId: bankId, rejectionReason: 'No O- left' });
+
+    expect(res.status).toBe(200);
+    expect(res.body.body.bloodBankId).toBe(escalatedBankId);
+  });
+
+  it('scopes critical requests to the caller', async () => {
+    const res = await call('get', `/api/hospital-blood-requests/critical?hospitalId=${otherHospitalId}&bloodBankId=${otherBankId}`, 'bank');
+
+    expect(res.body.query).toEqual({ bloodBankId: bankId });
+  });
+
+  it('returns 404 for unknown or malformed request ids', async () => {
+    const unknown = await call('get', '/api/hospital-blood-requests/65f0000000000000000000ff', 'hospital');
+    const malformed = await call('post', '/api/hospital-blood-requests/not-an-id/cancel', 'hospital');
+
+    expect(unknown.status).toBe(404);
+    expect(malformed.status).toBe(404);
+    expect(HospitalBloodRequest.findById).toHaveBeenCalledTimes(1);
+  });
+});
+
+describe('Hospital NGO drive routes', () => {
+  const base = `/api/hospital-ngo-drives/${driveId}`;
+
+  expectPolicy([
+    ['post', '/api/hospital-ngo-drives', ['hospital'], ['ngo', 'bank', 'superAdmin']],
+    ['get', base, ['hospital', 'ngo', 'bank'], ['otherHospital', 'otherNgo', 'otherBank']],
+    ['put', base, ['hospital'], ['otherHospital', 'ngo']],
+    ['delete', base, ['hospital'], ['otherHospital', 'ngo']],
+    ['get', `/api/hospital-ngo-drives/hospital/${hospitalId}`, ['hospital'], ['otherHospital', 'ngo']],
+    ['get', `/api/hospital-ngo-drives/hospital/${hospitalId}/upcoming`, ['hospital'], ['otherHospital', 'ngo']],
+    ['get', `/api/hospital-ngo-drives/hospital/${hospitalId}/stats`, ['hospital'], ['otherHospital', 'ngo']],
+    ['get', `/api/hospital-ngo-drives/ngo/${ngoId}`, ['ngo'], ['otherNgo', 'hospital']],
+    ['get', `/api/hospital-ngo-drives/ngo/${ngoId}/stats`, ['ngo'], ['otherNgo', 'hospital']],
+    ['post', `${base}/accept`, ['ngo'], ['otherNgo', 'hospital']],
+    ['post', `${base}/reject`, ['ngo'], ['otherNgo', 'hospital']],
+    ['post', `${base}/complete`, ['hospital', 'ngo'], ['otherHospital', 'otherNgo', 'bank']]
+  ]);
+
+  it('takes hospitalId from the token, not the body', async () => {
+    const res = await call('post', '/api/hospital-ngo-drives', 'hospital', { hospitalId: otherHospitalId, ngoId });
+
+    expect(res.body.body).toEqual({ hospitalId, ngoId });
+  });
+});
+
+describe('Hospital routes', () => {
+  const base = `/api/hospitals/${hospitalId}`;
+
+  expectPolicy([
+    ['post', '/api/hospitals', ['superAdmin'], ['hospital']],
+    ['get', '/api/hospitals/stats', ['superAdmin'], ['hospital']],
+    ['get', '/api/hospitals/stats/by-city', ['superAdmin'], ['hospital']],
+    ['put', base, ['hospital'], ['otherHospital', 'bank', 'superAdmin']],
+    ['delete', base, ['superAdmin'], ['hospital']],
+    ['post', `${base}/verify`, ['superAdmin'], ['hospital', 'bank']],
+    ['post', `${base}/reject`, ['superAdmin'], ['hospital', 'bank']],
+    ['post', `${base}/suspend`, ['superAdmin'], ['hospital', 'bank']],
+    ['get', `${base}/actions`, ['superAdmin'], ['hospital']],
+    ['get', `${base}/blood-requests`, ['hospital'], ['otherHospital', 'bank']],
+    ['get', `${base}/ngo-drives`, ['hospital'], ['otherHospital', 'ngo']]
+  ]);
+
+  it('keeps the public directory open', async () => {
+    const list = await call('get', '/api/hospitals');
+    const nearby = await call('get', '/api/hospitals/nearby');
+    const single = await call('get', base);
+
+    expect([list.status, nearby.status, single.status]).toEqual([200, 200, 200]);
+  });
+
+  it('records the verifying admin from the token', async () => {
+    const res = await call('post', `${base}/verify`, 'superAdmin', { adminId: 'someone-else', reason: 'Licence checked' });
+
+    expect(res.body.body).toEqual({ adminId, reason: 'Licence checked' });
+  });
+});
+
+describe('Incident routes', () => {
+  const base = `/api/hospital-incidents/${incidentId}`;
+
+  expectPolicy([
+    ['post', '/api/hospital-incidents', ['hospital'], ['bank', 'ngo', 'superAdmin', 'suspendedHospital']],
+    ['get', base, ['hospital', 'bank', 'escalatedBank'], ['otherHospital', 'otherBank', 'ngo']],
+    ['post', `${base}/close`, ['hospital'], ['otherHospital', 'bank']],
+    ['get', `/api/hospital-incidents/hospital/${hospitalId}`, ['hospital'], ['otherHospital', 'bank']],
+    ['get', `/api/hospital-incidents/blood-bank/${bankId}/active`, ['bank'], ['otherBank', 'hospital']]
+  ]);
+
+  it('takes hospitalId from the token, not the body', async () => {
+    const res = await call('post', '/api/hospital-incidents', 'hospital', { hospitalId: otherHospitalId, title: 'Bus crash' });
+
+    expect(res.body.body).toEqual({ hospitalId, title: 'Bus crash' });
+  });
+});
+
+describe('Admin request routes', () => {
+  const base = `/api/admin/requests/${requestId}`;
+
+  expectPolicy([
+    ['get', '/api/admin/requests/all', ['admin'], ['hospital', 'bank']],
+    ['get', `/api/admin/requests/hospital/${hospitalId}`, ['admin'], ['hospital']],
+    ['post', '/api/admin/requests/approve', ['admin'], ['hospital', 'bank']],
+    ['post', `${base}/assign`, ['admin'], ['hospital', 'bank']],
+    ['delete', base, ['admin'], ['hospital', 'bank']]
+  ]);
+
+  it("doesn't mirror hospital and blood bank actions", async () => {
+    const mirrored = [
+      ['post', '/api/admin/requests/create'],
+      ['post', `${base}/reject`],
+      ['post', `${base}/fulfill`],
+      ['post', `${base}/cancel`],
+      ['patch', `${base}/status`]
+    ];
+
+    for (const [method, path] of mirrored) {
+      expect((await call(method, path, 'admin')).status).toBe(404);
+    }
+  });
+});
+
+describe('Admin blood bank routes', () => {
+  expectPolicy([
+    ['put', `/api/admin/bloodbanks/${bankId}`, ['bank'], ['otherBank', 'hospital', 'admin']],
+    ['put', `/api/admin/bloodbanks/${bankId}/stock`, ['bank'], ['otherBank', 'hospital', 'admin']],
+    ['post', '/api/admin/bloodbanks/verify', ['admin'], ['bank', 'hospital']],
+    ['post', '/api/admin/bloodbanks/reject', ['admin'], ['bank']],
+    ['post', '/api/admin/bloodbanks/suspend', ['admin'], ['bank']],
+    ['post', '/api/admin/bloodbanks/reactivate', ['admin'], ['bank']],
+    ['delete', `/api/admin/bloodbanks/${bankId}`, ['admin'], ['bank']]
+  ]);
+
+  it('keeps the public listings open', async () => {
+    expect((await call('get', '/api/admin/bloodbanks/all')).status).toBe(200);
+    expect((await call('get', `/api/admin/bloodbanks/${bankId}/stock`)).status).toBe(200);
+  });
+});
+
+describe('Organization user lock routes', () => {
+  // Organization admins lift their own staff's locks without a platform admin
+  expectPolicy([
+    ['get', '/api/organization-users/HOS-1/locked', ['hospital', 'hospitalMember'], ['otherHospital', 'bank']],
+    ['post', '/api/organization-users/HOS-1/U-7/unlock', ['hospital'], ['hospitalMember', 'otherHospital', 'bank']]
+  ]);
+});
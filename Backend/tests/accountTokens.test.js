@@ -0,0 +1,220 @@
+import jwt from 'jsonwebtoken';
+import AccountTokens, { TOKEN_PURPOSES, hashAccountToken } from '../services/AccountTokens.js';
+import { setMailer, getMailer, consoleMailer } from '../services/Mailer.js';
+import AccountToken from '../models/auth/AccountToken.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import Sessions from '../services/Sessions.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+jest.mock('../models/auth/AccountToken.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    consume: jest.fn(),
+    invalidate: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: {
+    findByUserEmail: jest.fn(),
+    setPassword: jest.fn()
+  }
+}));
+
+jest.mock('../services/Sessions.js', () => ({
+  __esModule: true,
+  SUBJECT_TYPES: { ORGANIZATION_USER: 'ORGANIZATION_USER' },
+  REVOKE_REASONS: { PASSWORD_CHANGED: 'PASSWORD_CHANGED' },
+  default: {
+    isActive: jest.fn(),
+    revokeAllForSubject: jest.fn()
+  }
+}));
+
+const SECRET = 'account-tokens-test-secret';
+
+const admin = {
+  _id: '65f000000000000000000001',
+  organizationCode: 'HOS-1',
+  organizationName: 'City Hospital',
+  userCode: 'HOS-1-ADMIN-001',
+  name: 'Meera',
+  email: 'meera@cityhospital.test',
+  status: 'PENDING_ACTIVATION'
+};
+
+const sent = [];
+const captureMailer = { name: 'capture', send: jest.fn(async (message) => sent.push(message)) };
+
+// Token as it appears in the last mailed link
+const linkedToken = () => new URL(/(http\S+)/.exec(sent[sent.length - 1].body)[1]).searchParams.get('token');
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  sent.length = 0;
+  setMailer(captureMailer);
+  process.env.JWT_SECRET = SECRET;
+  process.env.CORS_ORIGIN = 'http://localhost:5173,http://localhost:3000';
+  delete process.env.ACCOUNT_LINK_BASE_URL;
+});
+
+afterAll(() => setMailer(null));
+
+describe('AccountTokens', () => {
+  describe('sendActivation', () => {
+    it('mails a single-use link and stores only its hash', async () => {
+      const { expiresAt } = await AccountTokens.sendActivation(admin);
+
+      expect(sent).toHaveLength(1);
+      expect(sent[0].to).toBe(admin.email);
+      expect(sent[0].body).toContain('http://localhost:5173/activate?token=');
+      expect(sent[0].body).toContain(admin.userCode);
+
+      const token = linkedToken();
+      const stored = AccountToken.create.mock.calls[0][0];
+      expect(stored.purpose).toBe(TOKEN_PURPOSES.ACTIVATION);
+      expect(stored.tokenHash).toBe(hashAccountToken(token));
+      expect(JSON.stringify(stored)).not.toContain(token);
+      expect(expiresAt.getTime() - Date.now()).toBeGreaterThan(71 * 60 * 60 * 1000);
+    });
+
+    it('withdraws earlier links before issuing a new one', async () => {
+      await AccountTokens.sendActivation(admin);
+
+      expect(AccountToken.invalidate).toHaveBeenCalledWith(TOKEN_PURPOSES.ACTIVATION, 'HOS-1', admin.userCode);
+      expect(AccountToken.invalidate.mock.invocationCallOrder[0]).toBeLessThan(
+        AccountToken.create.mock.invocationCallOrder[0]
+      );
+    });
+
+    it('builds links from ACCOUNT_LINK_BASE_URL when set', async () => {
+      process.env.ACCOUNT_LINK_BASE_URL = 'https://bloodbridge.example/';
+
+      await AccountTokens.sendActivation(admin);
+
+      expect(sent[0].body).toContain('https://bloodbridge.example/activate?token=');
+    });
+  });
+
+  describe('activate', () => {
+    it('sets the password and activates the account', async () => {
+      AccountToken.consume.mockResolvedValue({ organizationCode: 'HOS-1', userCode: admin.userCode });
+      OrganizationUser.setPassword.mockResolvedValue({ ...admin, status: 'ACTIVE' });
+
+      const result = await AccountTokens.activate('the-token', 'Str0ngPass');
+
+      expect(result.success).toBe(true);
+      expect(AccountToken.consume).toHaveBeenCalledWith(TOKEN_PURPOSES.ACTIVATION, hashAccountToken('the-token'));
+      expect(OrganizationUser.setPassword).toHaveBeenCalledWith('HOS-1', admin.userCode, 'Str0ngPass', { activate: true });
+    });
+
+    it('refuses used, expired or unknown links', async () => {
+      AccountToken.consume.mockResolvedValue(null);
+
+      const result = await AccountTokens.activate('the-token', 'Str0ngPass');
+
+      expect(result).toEqual({ success: false, message: 'Activation link is invalid or has expired', statusCode: 400 });
+      expect(OrganizationUser.setPassword).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('password reset', () => {
+    it('mails a reset link to active accounts', async () => {
+      OrganizationUser.findByUserEmail.mockResolvedValue({ ...admin, status: 'ACTIVE' });
+
+      await AccountTokens.requestPasswordReset('HOS-1', admin.email);
+
+      expect(AccountToken.create.mock.calls[0][0].purpose).toBe(TOKEN_PURPOSES.PASSWORD_RESET);
+      expect(sent[0].body).toContain('http://localhost:5173/reset-password?token=');
+    });
+
+    it('sends a fresh activation link to accounts that never activated', async () => {
+      OrganizationUser.findByUserEmail.mockResolvedValue(admin);
+
+      await AccountTokens.requestPasswordReset('HOS-1', admin.email);
+
+      expect(AccountToken.create.mock.calls[0][0].purpose).toBe(TOKEN_PURPOSES.ACTIVATION);
+    });
+
+    it('stays silent for unknown and inactive accounts', async () => {
+      OrganizationUser.findByUserEmail.mockRejectedValueOnce(new Error('User not found'));
+      OrganizationUser.findByUserEmail.mockResolvedValueOnce({ ...admin, status: 'INACTIVE' });
+
+      await AccountTokens.requestPasswordReset('HOS-1', 'nobody@example.test');
+      await AccountTokens.requestPasswordReset('HOS-1', admin.email);
+
+      expect(sent).toHaveLength(0);
+      expect(AccountToken.create).not.toHaveBeenCalled();
+    });
+
+    it('sets the new password and ends every session', async () => {
+      AccountToken.consume.mockResolvedValue({ organizationCode: 'HOS-1', userCode: admin.userCode });
+      OrganizationUser.setPassword.mockResolvedValue({ ...admin, status: 'ACTIVE' });
+
+      const result = await AccountTokens.resetPassword('reset-token', 'N3wPassword');
+
+      expect(result.success).toBe(true);
+      expect(AccountToken.consume).toHaveBeenCalledWith(TOKEN_PURPOSES.PASSWORD_RESET, hashAccountToken('reset-token'));
+      expect(OrganizationUser.setPassword).toHaveBeenCalledWith('HOS-1', admin.userCode, 'N3wPassword');
+      expect(Sessions.revokeAllForSubject).toHaveBeenCalledWith('ORGANIZATION_USER', admin._id, 'PASSWORD_CHANGED');
+    });
+  });
+});
+
+describe('Mailer', () => {
+  afterEach(() => {
+    setMailer(captureMailer);
+    delete process.env.MAIL_TRANSPORT;
+    delete process.env.EMAIL_HOST;
+  });
+
+  it('falls back to the console stand-in without EMAIL_HOST', () => {
+    setMailer(null);
+
+    expect(getMailer()).toBe(consoleMailer);
+  });
+
+  it('uses SMTP when EMAIL_HOST is set, unless MAIL_TRANSPORT says otherwise', () => {
+    setMailer(null);
+    process.env.EMAIL_HOST = 'smtp.example.test';
+
+    expect(getMailer().name).toBe('smtp');
+
+    process.env.MAIL_TRANSPORT = 'console';
+    expect(getMailer()).toBe(consoleMailer);
+  });
+});
+
+describe('authMiddleware password change gate', () => {
+  const run = async (claims, baseUrl, path) => {
+    const req = { headers: { authorization: `Bearer ${jwt.sign({ ...claims, sid: 'session-1' }, SECRET)}` }, baseUrl, path };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await authMiddleware(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => Sessions.isActive.mockResolvedValue(true));
+
+  it('blocks everything but change-password and logout while a change is pending', async () => {
+    const claims = { userCode: 'HOS-1-DOC-001', mustChangePassword: true };
+
+    const blocked = await run(claims, '/api/hospital-blood-requests', '/');
+    const change = await run(claims, '/api/auth', '/change-password');
+    const logout = await run(claims, '/api/auth', '/logout');
+
+    expect(blocked.res.status).toHaveBeenCalledWith(403);
+    expect(blocked.res.json.mock.calls[0][0].code).toBe('PASSWORD_CHANGE_REQUIRED');
+    expect(blocked.next).not.toHaveBeenCalled();
+    expect(change.next).toHaveBeenCalled();
+    expect(logout.next).toHaveBeenCalled();
+  });
+
+  it('lets users without a pending change through', async () => {
+    const { next } = await run({ userCode: 'HOS-1-DOC-001' }, '/api/hospital-blood-requests', '/');
+
+    expect(next).toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,230 @@
+import AdminNotices, { NOTICE_SCOPES, toNoticeView } from '../services/AdminNotices.js';
+import AdminNotice from '../models/admin/AdminNotice.js';
+import { Organization } from '../models/organization/Organization.js';
+import { REALTIME_EVENTS, realtimeEvents } from '../services/RealtimeEvents.js';
+
+jest.mock('../models/admin/AdminNotice.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    findForOrganization: jest.fn(),
+    countUnread: jest.fn(),
+    markRead: jest.fn(),
+    acknowledge: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/Organization.js', () => ({
+  Organization: {
+    findByIds: jest.fn(),
+    findApprovedByTypes: jest.fn()
+  }
+}));
+
+const hospitalId = '65f000000000000000000001';
+const bankId = '65f000000000000000000002';
+const ngoId = '65f000000000000000000003';
+const noticeId = '65f0000000000000000000aa';
+
+const admin = { adminCode: 'SA-1', name: 'Control Room', email: 'control@example.org' };
+const bankCaller = { organizationId: bankId, organizationName: 'Central Blood Bank', userCode: 'U-BB', name: 'Asha' };
+
+const organizations = {
+  [hospitalId]: { _id: hospitalId, name: 'City Hospital', type: 'hospital', organizationCode: 'HOS-1' },
+  [bankId]: { _id: bankId, name: 'Central Blood Bank', type: 'bloodbank', organizationCode: 'BB-1' },
+  [ngoId]: { _id: ngoId, name: 'Helping Hands', type: 'ngo', organizationCode: 'NGO-1' }
+};
+
+const buildNotice = (overrides = {}) => ({
+  _id: noticeId,
+  title: 'Audit next week',
+  body: 'Keep your cold chain logs ready.',
+  priority: 'HIGH',
+  requiresAcknowledgment: true,
+  audience: { scope: NOTICE_SCOPES.ORGANIZATION_TYPE, organizationIds: [], organizationTypes: ['bloodbank'] },
+  recipientIds: [bankId],
+  sentBy: admin,
+  reads: [],
+  acknowledgments: [],
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  ...overrides
+});
+
+const validInput = (overrides = {}) => ({
+  title: ' Audit next week ',
+  body: 'Keep your cold chain logs ready.',
+  priority: 'HIGH',
+  requiresAcknowledgment: true,
+  audience: { scope: NOTICE_SCOPES.ORGANIZATION_TYPE, organizationTypes: ['bloodbank'] },
+  ...overrides
+});
+
+describe('Admin notices', () => {
+  let events;
+  const record = (event) => events.push(event);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    events = [];
+    realtimeEvents.on(REALTIME_EVENTS.NOTICE_SENT, record);
+    realtimeEvents.on(REALTIME_EVENTS.NOTICE_ACKNOWLEDGED, record);
+    Organization.findByIds.mockImplementation(async (ids) =>
+      ids.map(String).filter((id) => organizations[id]).map((id) => organizations[id])
+    );
+    Organization.findApprovedByTypes.mockImplementation(async (types) =>
+      Object.values(organizations).filter((organization) => types.includes(organization.type))
+    );
+    AdminNotice.create.mockImplementation(async (data) => ({ _id: noticeId, ...data, reads: [], acknowledgments: [] }));
+  });
+
+  afterEach(() => {
+    realtimeEvents.off(REALTIME_EVENTS.NOTICE_SENT, record);
+    realtimeEvents.off(REALTIME_EVENTS.NOTICE_ACKNOWLEDGED, record);
+  });
+
+  describe('sending', () => {
+    it('should resolve organization types into approved recipients and push the notice', async () => {
+      const result = await AdminNotices.send(validInput(), admin);
+
+      expect(Organization.findApprovedByTypes).toHaveBeenCalledWith(['bloodbank']);
+      expect(AdminNotice.create).toHaveBeenCalledWith(
+        expect.objectContaining({ title: 'Audit next week', recipientIds: [bankId], sentBy: admin })
+      );
+      expect(result).toEqual({ success: true, notice: expect.objectContaining({ recipientCount: 1 }) });
+      expect(events).toEqual([expect.objectContaining({ type: REALTIME_EVENTS.NOTICE_SENT })]);
+    });
+
+    it('should send to every approved organization for ALL', async () => {
+      await AdminNotices.send(validInput({ audience: { scope: NOTICE_SCOPES.ALL } }), admin);
+
+      expect(Organization.findApprovedByTypes).toHaveBeenCalledWith(['hospital', 'bloodbank', 'ngo']);
+      expect(AdminNotice.create.mock.calls[0][0].recipientIds).toHaveLength(3);
+    });
+
+    it('should send to chosen organizations once each', async () => {
+      await AdminNotices.send(
+        validInput({ audience: { scope: NOTICE_SCOPES.ORGANIZATION, organizationIds: [hospitalId, ngoId, hospitalId] } }),
+        admin
+      );
+
+      expect(AdminNotice.create.mock.calls[0][0].recipientIds).toEqual([hospitalId, ngoId]);
+    });
+
+    it.each([
+      ['an empty title', { title: '  ' }],
+      ['an unknown priority', { priority: 'URGENT' }],
+      ['an unknown scope', { audience: { scope: 'CITY' } }],
+      ['an unknown organization type', { audience: { scope: NOTICE_SCOPES.ORGANIZATION_TYPE, organizationTypes: ['clinic'] } }],
+      ['no chosen organization', { audience: { scope: NOTICE_SCOPES.ORGANIZATION, organizationIds: [] } }],
+      ['an unknown organization', { audience: { scope: NOTICE_SCOPES.ORGANIZATION, organizationIds: ['65f0000000000000000000ff'] } }]
+    ])('should reject %s', async (_, overrides) => {
+      const result = await AdminNotices.send(validInput(overrides), admin);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+      expect(AdminNotice.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse an audience with no approved organization', async () => {
+      Organization.findApprovedByTypes.mockResolvedValue([]);
+
+      const result = await AdminNotices.send(validInput(), admin);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+    });
+  });
+
+  describe('inbox', () => {
+    it('should return the notices and the caller\'s unread count', async () => {
+      AdminNotice.findForOrganization.mockResolvedValue([{ _id: noticeId, title: 'Audit next week', read: false }]);
+      AdminNotice.countUnread.mockResolvedValue(1);
+
+      const inbox = await AdminNotices.inbox(bankCaller);
+
+      expect(AdminNotice.findForOrganization).toHaveBeenCalledWith(bankId, 'U-BB');
+      expect(inbox).toEqual({ notices: [expect.objectContaining({ acknowledgment: null })], unreadCount: 1 });
+    });
+
+    it('should hide notices from organizations that did not receive them', async () => {
+      AdminNotice.findById.mockResolvedValue(buildNotice({ recipientIds: [hospitalId] }));
+
+      const result = await AdminNotices.markRead(noticeId, bankCaller);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 404 }));
+      expect(AdminNotice.markRead).not.toHaveBeenCalled();
+    });
+
+    it('should leave recipients and receipts out of the organization view', () => {
+      const view = toNoticeView(buildNotice());
+
+      expect(view.recipientIds).toBeUndefined();
+      expect(view.reads).toBeUndefined();
+      expect(view.sentBy).toEqual({ name: 'Control Room' });
+    });
+  });
+
+  describe('acknowledging', () => {
+    it('should acknowledge once for the organization and mark the notice read', async () => {
+      AdminNotice.findById.mockResolvedValue(buildNotice());
+      AdminNotice.acknowledge.mockResolvedValue(
+        buildNotice({ acknowledgments: [{ organizationId: bankId, userCode: 'U-BB', acknowledgedAt: new Date() }] })
+      );
+
+      const result = await AdminNotices.acknowledge(noticeId, bankCaller);
+
+      expect(result).toEqual({ success: true, acknowledgment: expect.objectContaining({ userCode: 'U-BB' }) });
+      expect(AdminNotice.markRead).toHaveBeenCalledWith(noticeId, bankCaller);
+      expect(events).toEqual([expect.objectContaining({ type: REALTIME_EVENTS.NOTICE_ACKNOWLEDGED })]);
+    });
+
+    it('should answer 409 when the organization already acknowledged', async () => {
+      AdminNotice.findById.mockResolvedValue(buildNotice());
+      AdminNotice.acknowledge.mockResolvedValue(null);
+
+      const result = await AdminNotices.acknowledge(noticeId, bankCaller);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+      expect(events).toHaveLength(0);
+    });
+
+    it('should refuse notices that need no acknowledgment', async () => {
+      AdminNotice.findById.mockResolvedValue(buildNotice({ requiresAcknowledgment: false }));
+
+      const result = await AdminNotices.acknowledge(noticeId, bankCaller);
+
+      expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+      expect(AdminNotice.acknowledge).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('tracking', () => {
+    it('should report read and acknowledgment status per recipient', async () => {
+      const readAt = new Date('2026-03-01T11:00:00Z');
+      AdminNotice.findById.mockResolvedValue(
+        buildNotice({
+          recipientIds: [hospitalId, bankId, ngoId],
+          reads: [
+            { organizationId: bankId, userCode: 'U-BB', readAt },
+            { organizationId: bankId, userCode: 'U-BB2', readAt: new Date() },
+            { organizationId: ngoId, userCode: 'U-NGO', readAt }
+          ],
+          acknowledgments: [{ organizationId: bankId, userCode: 'U-BB', acknowledgedAt: readAt }]
+        })
+      );
+
+      const result = await AdminNotices.getTracking(noticeId);
+
+      expect(result.summary).toEqual({ recipients: 3, read: 2, acknowledged: 1, pendingAcknowledgment: 2 });
+      expect(result.recipients.find((recipient) => recipient.organizationId === bankId)).toEqual(
+        expect.objectContaining({ readCount: 2, firstReadAt: readAt, acknowledgment: expect.objectContaining({ userCode: 'U-BB' }) })
+      );
+      expect(result.notice.reads).toBeUndefined();
+    });
+
+    it('should answer 404 for an unknown notice', async () => {
+      AdminNotice.findById.mockResolvedValue(null);
+
+      expect(await AdminNotices.getTracking(noticeId)).toEqual(expect.objectContaining({ statusCode: 404 }));
+    });
+  });
+});
@@ -0,0 +1,186 @@
+import AlertRuleEngine, { validateRule, isBreached, sumFreeUnits } from '../services/AlertRuleEngine.js';
+import AlertRule from '../models/admin/AlertRule.js';
+import Alert from '../models/admin/Alert.js';
+
+jest.mock('../models/admin/AlertRule.js', () => {
+  const actual = jest.requireActual('../models/admin/AlertRule.js');
+  return {
+    __esModule: true,
+    RULE_SCOPES: actual.RULE_SCOPES,
+    RULE_COMPARISONS: actual.RULE_COMPARISONS,
+    default: {
+      recordBreach: jest.fn(),
+      markTriggered: jest.fn(),
+      setActiveAlert: jest.fn(),
+      clearBreach: jest.fn()
+    }
+  };
+});
+
+jest.mock('../models/admin/Alert.js', () => ({
+  __esModule: true,
+  ALERT_STATUS: { ACTIVE: 'ACTIVE', RESOLVED: 'RESOLVED', ARCHIVED: 'ARCHIVED' },
+  ALERT_ACTIONS: { RESOLVED: 'RESOLVED' },
+  default: { create: jest.fn(), resolve: jest.fn(), findById: jest.fn() }
+}));
+
+const MINUTE_MS = 60 * 1000;
+const bankId = '65f000000000000000000002';
+
+const buildRule = (overrides = {}) => ({
+  _id: 'rule-1',
+  name: 'Rare O- shortage',
+  scope: { type: 'CITY', city: 'Pune', bloodBankId: null },
+  bloodGroup: 'O-',
+  component: null,
+  comparison: 'BELOW',
+  threshold: 20,
+  windowMinutes: 30,
+  severity: 'CRITICAL',
+  isActive: true,
+  breachedSince: null,
+  triggeredAt: null,
+  activeAlertId: null,
+  ...overrides
+});
+
+describe('Alert rules', () => {
+  describe('validation', () => {
+    it('should accept a complete rule and fill the defaults', () => {
+      const { rule, error } = validateRule({
+        name: ' O- in Pune ',
+        scope: { type: 'CITY', city: 'Pune', bloodBankId: bankId },
+        bloodGroup: 'O-',
+        threshold: 20,
+        severity: 'HIGH'
+      });
+
+      expect(error).toBeUndefined();
+      expect(rule).toMatchObject({
+        name: 'O- in Pune',
+        scope: { type: 'CITY', city: 'Pune', bloodBankId: null },
+        component: null,
+        comparison: 'BELOW',
+        windowMinutes: 0,
+        isActive: true
+      });
+    });
+
+    it('should report every invalid field', () => {
+      const { error } = validateRule({
+        name: '',
+        scope: { type: 'BANK' },
+        bloodGroup: 'C+',
+        component: 'SERUM',
+        threshold: -1,
+        windowMinutes: 1.5,
+        severity: 'URGENT'
+      });
+
+      expect(error).toContain('Rule name is required');
+      expect(error).toContain('A valid bloodBankId is required for BANK rules');
+      expect(error).toContain('Invalid blood group');
+      expect(error).toContain('Invalid component');
+      expect(error).toContain('Threshold must be a non-negative number of units');
+      expect(error).toContain('windowMinutes must be a non-negative whole number');
+      expect(error).toContain('Severity must be one of');
+    });
+
+    it('should validate updates merged over the current rule', () => {
+      const current = buildRule();
+
+      expect(validateRule({ threshold: 10 }, current).rule).toMatchObject({ threshold: 10, bloodGroup: 'O-', severity: 'CRITICAL' });
+      expect(validateRule({ scope: { type: 'CITY' } }, current).error).toBe('A city is required for CITY rules');
+    });
+  });
+
+  describe('conditions', () => {
+    it('should compare below or at-or-below the threshold', () => {
+      expect(isBreached(buildRule(), 20)).toBe(false);
+      expect(isBreached(buildRule({ comparison: 'AT_OR_BELOW' }), 20)).toBe(true);
+      expect(isBreached(buildRule(), 19)).toBe(true);
+    });
+
+    it('should count free units of one group or of every group', () => {
+      const stocks = [
+        { bloodStock: { 'O-': { units: 6, reserved: 2 }, 'A+': { units: 10, reserved: 0 } } },
+        { bloodStock: { 'O-': { units: 1, reserved: 3 } } }
+      ];
+
+      expect(sumFreeUnits(stocks, 'O-')).toBe(4);
+      expect(sumFreeUnits(stocks)).toBe(14);
+    });
+  });
+
+  describe('evaluation', () => {
+    const now = new Date('2026-03-01T12:00:00Z');
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      jest.spyOn(AlertRuleEngine, 'measure').mockResolvedValue({ value: 8, bloodBankIds: [bankId] });
+      AlertRule.markTriggered.mockImplementation(async () => buildRule({ triggeredAt: now }));
+      AlertRule.setActiveAlert.mockResolvedValue(true);
+      Alert.create.mockImplementation(async (data) => ({ _id: 'alert-1', ...data }));
+      Alert.resolve.mockImplementation(async (id) => ({ _id: id, status: 'RESOLVED' }));
+    });
+
+    it('should wait for the comparison window before alerting', async () => {
+      AlertRule.recordBreach.mockResolvedValue(buildRule({ breachedSince: new Date(now.getTime() - 10 * MINUTE_MS) }));
+
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBeNull();
+      expect(AlertRule.recordBreach).toHaveBeenCalledWith('rule-1', 8, now);
+      expect(AlertRule.markTriggered).not.toHaveBeenCalled();
+    });
+
+    it('should raise one alert once the condition held for the window', async () => {
+      AlertRule.recordBreach.mockResolvedValue(buildRule({ breachedSince: new Date(now.getTime() - 30 * MINUTE_MS) }));
+
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBe('RAISED');
+
+      const [alert] = Alert.create.mock.calls[0];
+      expect(alert).toMatchObject({
+        type: 'CRITICAL_SHORTAGE',
+        severity: 'CRITICAL',
+        title: 'Rare O- shortage: 8 O- unit(s) left',
+        relatedEntityType: 'SHORTAGE',
+        relatedEntity: { ruleId: 'rule-1', city: 'Pune', bloodBankIds: [bankId], threshold: 20, value: 8 }
+      });
+      expect(AlertRule.setActiveAlert).toHaveBeenCalledWith('rule-1', now, 'alert-1');
+    });
+
+    it('should not raise again while the alert is open or another evaluation claimed it', async () => {
+      AlertRule.recordBreach.mockResolvedValueOnce(buildRule({ breachedSince: now, triggeredAt: now }));
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBeNull();
+
+      AlertRule.recordBreach.mockResolvedValueOnce(buildRule({ breachedSince: now, windowMinutes: 0 }));
+      AlertRule.markTriggered.mockResolvedValueOnce(null);
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBeNull();
+
+      expect(Alert.create).not.toHaveBeenCalled();
+    });
+
+    it('should resolve the alert when the condition clears', async () => {
+      AlertRuleEngine.measure.mockResolvedValue({ value: 25, bloodBankIds: [bankId] });
+      AlertRule.clearBreach.mockResolvedValueOnce(buildRule({ activeAlertId: 'alert-1' }));
+
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBe('RESOLVED');
+      expect(Alert.resolve).toHaveBeenCalledWith('alert-1', { resolvedBy: 'alert-rule', note: 'O- stock back to 25 unit(s)' });
+
+      AlertRule.clearBreach.mockResolvedValueOnce(buildRule());
+      expect(await AlertRuleEngine.evaluateRule(buildRule(), now)).toBeNull();
+      expect(Alert.resolve).toHaveBeenCalledTimes(1);
+    });
+
+    it('should resolve an alert raised after the condition already cleared', async () => {
+      AlertRule.recordBreach.mockResolvedValue(buildRule({ breachedSince: now, windowMinutes: 0 }));
+      AlertRule.setActiveAlert.mockResolvedValue(false);
+
+      await AlertRuleEngine.evaluateRule(buildRule(), now);
+
+      expect(Alert.resolve).toHaveBeenCalledWith('alert-1', {
+        resolvedBy: 'alert-rule',
+        note: 'Condition cleared while the alert was raised'
+      });
+    });
+  });
+});
@@ -0,0 +1,245 @@
+import AlertWorkflow, { toActor } from '../services/AlertWorkflow.js';
+import { getSlaDeadlines, getNextAcknowledgeBy, MAX_ESCALATION_TIER } from '../services/AlertSla.js';
+import Alert from '../models/admin/Alert.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import { Organization } from '../models/organization/Organization.js';
+import NotificationDispatcher from '../services/NotificationDispatcher.js';
+import { REALTIME_EVENTS, realtimeEvents } from '../services/RealtimeEvents.js';
+
+jest.mock('../models/admin/Alert.js', () => {
+  const actual = jest.requireActual('../models/admin/Alert.js');
+  return {
+    __esModule: true,
+    ALERT_STATUS: actual.ALERT_STATUS,
+    ALERT_ACTIONS: actual.ALERT_ACTIONS,
+    default: {
+      findById: jest.fn(),
+      acknowledge: jest.fn(),
+      assign: jest.fn(),
+      escalate: jest.fn(),
+      resolve: jest.fn(),
+      findDueEscalations: jest.fn(),
+      markResolveBreaches: jest.fn()
+    }
+  };
+});
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: { findByUserCode: jest.fn() }
+}));
+
+jest.mock('../models/organization/Organization.js', () => ({
+  __esModule: true,
+  Organization: { findById: jest.fn(), findByCode: jest.fn() }
+}));
+
+jest.mock('../services/NotificationDispatcher.js', () => ({
+  __esModule: true,
+  default: { notify: jest.fn() }
+}));
+
+const MINUTE_MS = 60 * 1000;
+const orgId = '65f000000000000000000001';
+const actor = { userCode: 'U-1', email: 'ops@bank.test', organizationCode: 'BB-1' };
+
+const buildAlert = (overrides = {}) => ({
+  _id: 'alert-1',
+  type: 'CRITICAL_SHORTAGE',
+  title: 'O- shortage',
+  message: 'Only 3 units left',
+  severity: 'CRITICAL',
+  status: 'ACTIVE',
+  relatedEntity: { bloodBankId: orgId },
+  acknowledgedAt: null,
+  assignedTo: null,
+  escalation: { tier: 0, escalatedAt: null },
+  ...overrides
+});
+
+describe('Alert workflow', () => {
+  let published;
+  const onUpdated = (event) => published.push(event);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    published = [];
+    realtimeEvents.on(REALTIME_EVENTS.ALERT_UPDATED, onUpdated);
+    NotificationDispatcher.notify.mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => {
+    realtimeEvents.off(REALTIME_EVENTS.ALERT_UPDATED, onUpdated);
+  });
+
+  describe('SLA', () => {
+    it('should derive deadlines from the severity', () => {
+      const from = new Date('2026-03-01T12:00:00Z');
+
+      expect(getSlaDeadlines('CRITICAL', from)).toEqual({
+        acknowledgeBy: new Date(from.getTime() + 5 * MINUTE_MS),
+        resolveBy: new Date(from.getTime() + 60 * MINUTE_MS),
+        acknowledgeBreachedAt: null,
+        resolveBreachedAt: null
+      });
+      expect(getNextAcknowledgeBy('LOW', from)).toEqual(new Date(from.getTime() + 4 * 60 * MINUTE_MS));
+      expect(getSlaDeadlines('UNKNOWN', from).acknowledgeBy).toEqual(new Date(from.getTime() + 60 * MINUTE_MS));
+    });
+
+    it('should record who acted', () => {
+      expect(toActor({ adminCode: 'A-1', email: 'root@test' })).toEqual({
+        userCode: 'A-1',
+        email: 'root@test',
+        organizationCode: null
+      });
+    });
+  });
+
+  describe('acknowledge', () => {
+    it('should acknowledge and publish the alert', async () => {
+      Alert.acknowledge.mockResolvedValue(buildAlert({ acknowledgedAt: new Date(), acknowledgedBy: actor }));
+
+      const result = await AlertWorkflow.acknowledge('alert-1', actor);
+
+      expect(result.success).toBe(true);
+      expect(Alert.acknowledge).toHaveBeenCalledWith('alert-1', actor);
+      expect(published).toEqual([expect.objectContaining({ alert: result.alert, action: 'ACKNOWLEDGED' })]);
+    });
+
+    it('should explain why an alert could not be acknowledged', async () => {
+      Alert.acknowledge.mockResolvedValue(null);
+
+      Alert.findById.mockResolvedValueOnce(null);
+      expect(await AlertWorkflow.acknowledge('missing', actor)).toMatchObject({ statusCode: 404 });
+
+      Alert.findById.mockResolvedValueOnce(buildAlert({ status: 'RESOLVED' }));
+      expect(await AlertWorkflow.acknowledge('alert-1', actor)).toMatchObject({
+        statusCode: 409,
+        message: 'Alert is resolved'
+      });
+
+      Alert.findById.mockResolvedValueOnce(buildAlert({ acknowledgedAt: new Date() }));
+      expect(await AlertWorkflow.acknowledge('alert-1', actor)).toMatchObject({
+        statusCode: 409,
+        message: 'Alert is already acknowledged'
+      });
+      expect(published).toHaveLength(0);
+    });
+  });
+
+  describe('assign', () => {
+    it('should require exactly one assignee', async () => {
+      expect(await AlertWorkflow.assign('alert-1', {}, actor)).toMatchObject({ success: false, statusCode: 400 });
+      expect(await AlertWorkflow.assign('alert-1', { userCode: 'U-2', organizationId: orgId }, actor))
+        .toMatchObject({ success: false, statusCode: 400 });
+      expect(Alert.assign).not.toHaveBeenCalled();
+    });
+
+    it('should assign to a user of the caller organization', async () => {
+      OrganizationUser.findByUserCode.mockResolvedValue({ userCode: 'U-2', name: 'Asha' });
+      Organization.findByCode.mockResolvedValue({ _id: orgId, name: 'City Bank' });
+      Alert.assign.mockImplementation(async (id, assignee) => buildAlert({ assignedTo: assignee }));
+
+      const result = await AlertWorkflow.assign('alert-1', { userCode: 'U-2' }, actor, 'Check the freezer');
+
+      expect(OrganizationUser.findByUserCode).toHaveBeenCalledWith('BB-1', 'U-2');
+      expect(Alert.assign).toHaveBeenCalledWith(
+        'alert-1',
+        { type: 'USER', id: 'U-2', name: 'Asha', organizationId: orgId },
+        actor,
+        'Check the freezer'
+      );
+      expect(published[0].action).toBe('ASSIGNED');
+      expect(result.success).toBe(true);
+    });
+
+    it('should reject unknown users and organizations', async () => {
+      OrganizationUser.findByUserCode.mockResolvedValue(null);
+      Organization.findById.mockResolvedValue(null);
+
+      expect(await AlertWorkflow.assign('alert-1', { userCode: 'U-9' }, actor)).toMatchObject({ statusCode: 404 });
+      expect(await AlertWorkflow.assign('alert-1', { organizationId: orgId }, actor)).toMatchObject({ statusCode: 404 });
+      expect(await AlertWorkflow.assign('alert-1', { userCode: 'U-9' }, { userCode: 'A-1' })).toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('escalate', () => {
+    const at = new Date('2026-03-01T12:00:00Z');
+
+    beforeEach(() => {
+      Alert.escalate.mockImplementation(async (id, fromTier) => buildAlert({ escalation: { tier: fromTier + 1, escalatedAt: at } }));
+    });
+
+    it('should move the alert up one tier and notify it with the on-call override', async () => {
+      const result = await AlertWorkflow.escalateAlert(buildAlert(), { actor, reason: 'No response', at });
+
+      expect(result.success).toBe(true);
+      expect(Alert.escalate).toHaveBeenCalledWith('alert-1', 0, {
+        actor,
+        reason: 'No response',
+        at,
+        unacknowledgedOnly: false,
+        acknowledgeBy: new Date(at.getTime() + 5 * MINUTE_MS)
+      });
+
+      const [event, options] = NotificationDispatcher.notify.mock.calls[0];
+      expect(event).toBe('ALERT_ESCALATED');
+      expect(options).toMatchObject({
+        organizationIds: expect.arrayContaining([orgId]),
+        superAdmins: false,
+        critical: true,
+        variables: { tier: 1, tierLabel: 'On-call staff', alertTitle: 'O- shortage' }
+      });
+      expect(published[0].action).toBe('ESCALATED');
+    });
+
+    it('should bring in super admins at the last tier and stop there', async () => {
+      await AlertWorkflow.escalateAlert(buildAlert({ escalation: { tier: 1 } }), { at });
+      expect(NotificationDispatcher.notify.mock.calls[0][1].superAdmins).toBe(true);
+
+      const result = await AlertWorkflow.escalateAlert(buildAlert({ escalation: { tier: MAX_ESCALATION_TIER } }), { at });
+      expect(result).toMatchObject({ success: false, statusCode: 409 });
+      expect(Alert.escalate).toHaveBeenCalledTimes(1);
+    });
+
+    it('should report a concurrent change', async () => {
+      Alert.escalate.mockResolvedValue(null);
+
+      expect(await AlertWorkflow.escalateAlert(buildAlert(), { at })).toMatchObject({ success: false, statusCode: 409 });
+      expect(NotificationDispatcher.notify).not.toHaveBeenCalled();
+    });
+
+    it('should escalate overdue unacknowledged alerts on schedule', async () => {
+      Alert.findDueEscalations.mockResolvedValue([buildAlert(), buildAlert({ _id: 'alert-2', escalation: { tier: 1 } })]);
+      Alert.markResolveBreaches.mockResolvedValue(1);
+
+      expect(await AlertWorkflow.processDueEscalations(at)).toEqual({ escalated: 2, resolveBreaches: 1 });
+      expect(Alert.findDueEscalations).toHaveBeenCalledWith(at, MAX_ESCALATION_TIER);
+      expect(Alert.escalate.mock.calls.map(([id, tier, options]) => [id, tier, options.unacknowledgedOnly]))
+        .toEqual([['alert-1', 0, true], ['alert-2', 1, true]]);
+    });
+  });
+
+  describe('resolve', () => {
+    it('should resolve with notes', async () => {
+      Alert.resolve.mockResolvedValue(buildAlert({ status: 'RESOLVED' }));
+
+      const result = await AlertWorkflow.resolve('alert-1', 'Stock transferred from Nashik', actor);
+
+      expect(result.success).toBe(true);
+      expect(Alert.resolve).toHaveBeenCalledWith('alert-1', { resolvedBy: actor, note: 'Stock transferred from Nashik' });
+      expect(published[0].action).toBe('RESOLVED');
+    });
+
+    it('should not resolve a closed alert', async () => {
+      Alert.resolve.mockResolvedValue(null);
+      Alert.findById.mockResolvedValue(buildAlert({ status: 'ARCHIVED' }));
+
+      expect(await AlertWorkflow.resolve('alert-1', 'Done', actor)).toMatchObject({
+        success: false,
+        statusCode: 409,
+        message: 'Alert is archived'
+      });
+    });
+  });
+});
@@ -0,0 +1,49 @@
+import request from 'supertest';
+import express from 'express';
+import { apiCacheMiddleware } from '../middleware/cache.js';
+import { redisCache } from '../config/redis.js';
+
+jest.mock('../config/redis.js', () => ({
+  __esModule: true,
+  redisCache: { isConnected: true, get: jest.fn(), set: jest.fn() }
+}));
+
+const app = express();
+app.use(apiCacheMiddleware());
+app.get('/api/*', (req, res) => res.json({ path: req.path }));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  redisCache.get.mockResolvedValue(null);
+  redisCache.set.mockResolvedValue(true);
+});
+
+describe('apiCacheMiddleware', () => {
+  it('caches public lists', async () => {
+    const response = await request(app).get('/api/blood-banks');
+
+    expect(response.headers['x-cache']).toBe('MISS');
+    expect(redisCache.set).toHaveBeenCalledWith('api:/api/blood-banks:{}', { path: '/api/blood-banks' }, 300);
+  });
+
+  it('never caches account data', async () => {
+    for (const path of ['/api/auth/sessions', '/api/auth/2fa']) {
+      const response = await request(app).get(path);
+
+      expect(response.headers['x-cache']).toBeUndefined();
+    }
+    expect(redisCache.get).not.toHaveBeenCalled();
+    expect(redisCache.set).not.toHaveBeenCalled();
+  });
+
+  it('never caches what a caller fetched with a token or API key', async () => {
+    const paths = ['/api/organization-api-keys', '/api/notifications/recipients', '/api/hospital-blood-requests/hospital/h1'];
+    for (const path of paths) {
+      await request(app).get(path).set('Authorization', 'Bearer token-of-hospital-1');
+      await request(app).get(path).set('X-API-Key', 'bbk_0123456789ab_secret');
+    }
+
+    expect(redisCache.get).not.toHaveBeenCalled();
+    expect(redisCache.set).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,276 @@
+import crypto from 'crypto';
+import request from 'supertest';
+import express from 'express';
+import app from '../app.js';
+import ApiKeys, { generateApiKey, MAX_ACTIVE_KEYS, API_KEY_AUDIT_ACTIONS } from '../services/ApiKeys.js';
+import OrganizationApiKey from '../models/organization/OrganizationApiKey.js';
+import Audit from '../models/admin/Audit.js';
+import Permissions from '../services/Permissions.js';
+import { subjectTypeOf } from '../services/Sessions.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import requirePermission from '../middleware/permission.middleware.js';
+import { ORGANIZATION_PERMISSIONS } from '../config/permissions.js';
+
+jest.mock('../models/organization/OrganizationApiKey.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(async (data) => ({ _id: { toString: () => '65f0000000000000000000c1' }, ...data })),
+    findByOrganization: jest.fn(),
+    findByPrefix: jest.fn(),
+    countActive: jest.fn(),
+    recordUse: jest.fn(),
+    revoke: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/Audit.js', () => ({
+  __esModule: true,
+  default: { create: jest.fn() }
+}));
+
+jest.mock('../config/redis.js', () => ({
+  __esModule: true,
+  initializeRedis: jest.fn(async () => {}),
+  redisCache: { isConnected: false }
+}));
+
+jest.mock('../controllers/admin/BloodStockController.js', () => {
+  const mockReply = (req, res) => res.json({ ok: true, organizationCode: req.user.organizationCode });
+  return {
+    __esModule: true,
+    default: new Proxy({}, { get: () => mockReply })
+  };
+});
+
+const hospital = { organizationCode: 'HOS-1', organizationName: 'City Hospital', organizationType: 'hospital' };
+const orgAdmin = { userCode: 'HOS-1-ADMIN', email: 'admin@cityhospital.test', role: 'ADMIN', permissions: ORGANIZATION_PERMISSIONS };
+
+const hash = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const storedKey = (key, prefix, overrides = {}) => ({
+  _id: { toString: () => '65f0000000000000000000c1' },
+  ...hospital,
+  name: 'HIS integration',
+  prefix,
+  keyHash: hash(key),
+  permissions: ['request:read', 'request:create'],
+  rateLimitPerMinute: 2,
+  expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
+  revokedAt: null,
+  ...overrides
+});
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  OrganizationApiKey.countActive.mockResolvedValue(0);
+  OrganizationApiKey.recordUse.mockResolvedValue();
+});
+
+describe('ApiKeys.create', () => {
+  it('returns the key once and stores only its hash', async () => {
+    const result = await ApiKeys.create(hospital, { name: ' HIS integration ', permissions: ['request:create', 'request:read'] }, orgAdmin);
+
+    expect(result.success).toBe(true);
+    expect(result.key).toMatch(/^bbk_[0-9a-f]{12}_[A-Za-z0-9_-]{43}$/);
+
+    const stored = OrganizationApiKey.create.mock.calls[0][0];
+    expect(stored).toEqual(
+      expect.objectContaining({
+        organizationCode: 'HOS-1',
+        name: 'HIS integration',
+        prefix: result.key.slice(4, 16),
+        keyHash: hash(result.key),
+        rateLimitPerMinute: 60,
+        createdBy: 'HOS-1-ADMIN'
+      })
+    );
+    expect(JSON.stringify(stored)).not.toContain(result.key);
+    expect(stored.expiresAt.getTime() - Date.now()).toBeGreaterThan(89 * 24 * 60 * 60 * 1000);
+    expect(result.apiKey).not.toHaveProperty('keyHash');
+    expect(Audit.create).toHaveBeenCalledWith(
+      expect.objectContaining({ entityType: 'API_KEY', action: API_KEY_AUDIT_ACTIONS.CREATED, performedBy: 'admin@cityhospital.test' })
+    );
+  });
+
+  it('refuses bad names, empty or out-of-scope permissions, and bad limits', async () => {
+    const create = (data) => ApiKeys.create(hospital, { name: 'Stock sync', permissions: ['stock:update'], ...data }, orgAdmin);
+
+    expect(await create({ name: '  ' })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ permissions: [] })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ permissions: ['users:manage'] })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ permissions: ['organization:verify'] })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ expiresInDays: 0 })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ expiresInDays: 1000 })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(await create({ rateLimitPerMinute: 2.5 })).toEqual(expect.objectContaining({ statusCode: 400 }));
+    expect(OrganizationApiKey.create).not.toHaveBeenCalled();
+  });
+
+  it("doesn't hand a key more than its creator holds", async () => {
+    const result = await ApiKeys.create(
+      hospital,
+      { name: 'Stock sync', permissions: ['stock:update'] },
+      { ...orgAdmin, userCode: 'HOS-1-U-2', permissions: ['apikeys:manage', 'stock:read'] }
+    );
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 403 }));
+  });
+
+  it('caps active keys per organization', async () => {
+    OrganizationApiKey.countActive.mockResolvedValue(MAX_ACTIVE_KEYS);
+
+    const result = await ApiKeys.create(hospital, { name: 'One more', permissions: ['stock:read'] }, orgAdmin);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+  });
+});
+
+describe('ApiKeys.revoke', () => {
+  it('answers 404 for unknown or already revoked keys', async () => {
+    OrganizationApiKey.revoke.mockResolvedValue(null);
+
+    const result = await ApiKeys.revoke('HOS-1', '65f0000000000000000000c1', orgAdmin);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 404 }));
+    expect(Audit.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('ApiKeys.authenticate', () => {
+  const { key, prefix } = generateApiKey();
+
+  it('turns a valid key into organization claims with its permissions', async () => {
+    OrganizationApiKey.findByPrefix.mockResolvedValue(storedKey(key, prefix));
+
+    const result = await ApiKeys.authenticate(key, { ipAddress: '10.1.2.3' });
+
+    expect(OrganizationApiKey.findByPrefix).toHaveBeenCalledWith(prefix);
+    expect(result.claims).toEqual(
+      expect.objectContaining({
+        apiKeyId: '65f0000000000000000000c1',
+        organizationCode: 'HOS-1',
+        organizationType: 'hospital',
+        role: 'API_KEY',
+        permissions: ['request:read', 'request:create']
+      })
+    );
+    expect(OrganizationApiKey.recordUse).toHaveBeenCalledWith(expect.anything(), '10.1.2.3');
+  });
+
+  it('refuses malformed, wrong, revoked and expired keys', async () => {
+    const { key: otherKey } = generateApiKey();
+    const forged = `bbk_${prefix}_${otherKey.slice(17)}`;
+
+    OrganizationApiKey.findByPrefix.mockResolvedValue(storedKey(key, prefix));
+    expect(await ApiKeys.authenticate('bbk_nope')).toEqual(expect.objectContaining({ statusCode: 401 }));
+    expect(await ApiKeys.authenticate(forged)).toEqual(expect.objectContaining({ message: 'Invalid API key' }));
+
+    OrganizationApiKey.findByPrefix.mockResolvedValue(storedKey(key, prefix, { revokedAt: new Date() }));
+    expect(await ApiKeys.authenticate(key)).toEqual(expect.objectContaining({ message: 'API key has been revoked' }));
+
+    OrganizationApiKey.findByPrefix.mockResolvedValue(storedKey(key, prefix, { expiresAt: new Date(Date.now() - 1000) }));
+    expect(await ApiKeys.authenticate(key)).toEqual(expect.objectContaining({ message: 'API key has expired' }));
+
+    expect(OrganizationApiKey.recordUse).not.toHaveBeenCalled();
+  });
+});
+
+describe('API key permissions', () => {
+  it('are the permissions on the key, never management ones', async () => {
+    const claims = { apiKeyId: 'k-1', userCode: 'bbk_0123456789ab', organizationCode: 'HOS-1', permissions: ['stock:update', 'users:manage'] };
+
+    expect(subjectTypeOf(claims)).toBe('API_KEY');
+    expect(await Permissions.resolve(claims)).toEqual(['stock:update']);
+  });
+});
+
+describe('authMiddleware with API keys', () => {
+  const { key, prefix } = generateApiKey();
+
+  const localApp = express();
+  localApp.get('/api/hospital-blood-requests', authMiddleware, requirePermission('request:read'), (req, res) =>
+    res.json({ organizationCode: req.user.organizationCode, userCode: req.user.userCode })
+  );
+  localApp.get('/api/auth/sessions', authMiddleware, (req, res) => res.json({ ok: true }));
+
+  beforeEach(() => {
+    OrganizationApiKey.findByPrefix.mockResolvedValue(storedKey(key, prefix, { rateLimitPerMinute: 60 }));
+  });
+
+  it('accepts a key in X-API-Key or as a Bearer token', async () => {
+    const header = await request(localApp).get('/api/hospital-blood-requests').set('X-API-Key', key);
+    const bearer = await request(localApp).get('/api/hospital-blood-requests').set('Authorization', `Bearer ${key}`);
+
+    expect(header.status).toBe(200);
+    expect(header.body).toEqual({ organizationCode: 'HOS-1', userCode: `bbk_${prefix}` });
+    expect(bearer.status).toBe(200);
+  });
+
+  it('keeps keys off account endpoints', async () => {
+    const response = await request(localApp).get('/api/auth/sessions').set('X-API-Key', key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('API_KEY_NOT_ALLOWED');
+  });
+
+  it('answers 401 for an unknown key', async () => {
+    OrganizationApiKey.findByPrefix.mockResolvedValue(null);
+
+    const response = await request(localApp).get('/api/hospital-blood-requests').set('X-API-Key', key);
+
+    expect(response.status).toBe(401);
+  });
+
+  it("enforces the key's own rate limit", async () => {
+    const { key: limitedKey, prefix: limitedPrefix } = generateApiKey();
+    OrganizationApiKey.findByPrefix.mockResolvedValue(
+      storedKey(limitedKey, limitedPrefix, { _id: { toString: () => '65f0000000000000000000c2' }, rateLimitPerMinute: 2 })
+    );
+
+    const statuses = [];
+    for (let i = 0; i < 3; i += 1) {
+      statuses.push((await request(localApp).get('/api/hospital-blood-requests').set('X-API-Key', limitedKey)).status);
+    }
+
+    expect(statuses).toEqual([200, 200, 429]);
+  });
+});
+
+describe('API keys on the app routes', () => {
+  const { key, prefix } = generateApiKey();
+
+  const useKey = (permissions) =>
+    OrganizationApiKey.findByPrefix.mockResolvedValue(
+      storedKey(key, prefix, { _id: { toString: () => '65f0000000000000000000c3' }, permissions, rateLimitPerMinute: 60 })
+    );
+
+  it('lets a key with stock permissions use the blood stock routes under /api/admin', async () => {
+    useKey(['stock:read', 'stock:update']);
+
+    const update = await request(app).post('/api/admin/blood-stock/update/65f0000000000000000000b1').set('X-API-Key', key);
+    const list = await request(app).get('/api/admin/blood-stock').set('X-API-Key', key);
+
+    expect(update.status).toBe(200);
+    expect(update.body).toEqual({ ok: true, organizationCode: 'HOS-1' });
+    expect(list.status).toBe(200);
+  });
+
+  it('limits the key to its permissions', async () => {
+    useKey(['stock:read']);
+
+    const response = await request(app).post('/api/admin/blood-stock/update/65f0000000000000000000b1').set('X-API-Key', key);
+
+    expect(response.status).toBe(403);
+    expect(response.body.code).toBe('PERMISSION_DENIED');
+  });
+
+  it('keeps keys off the rest of /api/admin', async () => {
+    useKey(['stock:read', 'request:read']);
+
+    for (const path of ['/api/admin/requests', '/api/admin/alert-rules']) {
+      const response = await request(app).get(path).set('X-API-Key', key);
+
+      expect(response.status).toBe(403);
+      expect(response.body.code).toBe('API_KEY_NOT_ALLOWED');
+    }
+  });
+});
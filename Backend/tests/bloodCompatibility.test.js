@@ -0,0 +1,83 @@
+import {
+  BLOOD_GROUPS,
+  getCompatibleDonorGroups,
+  isCompatible,
+  parseBloodGroup
+} from '../services/BloodCompatibility.js';
+
+const donorGroups = (recipient, component) =>
+  getCompatibleDonorGroups(recipient, component).map((entry) => entry.bloodGroup);
+
+describe('Blood Compatibility', () => {
+  describe('parseBloodGroup', () => {
+    it('should split ABO and Rh', () => {
+      expect(parseBloodGroup('AB-')).toEqual({ abo: 'AB', rh: '-' });
+      expect(parseBloodGroup('C+')).toBeNull();
+    });
+  });
+
+  describe('red cells', () => {
+    it('should always list the exact match first', () => {
+      BLOOD_GROUPS.forEach((group) => {
+        expect(getCompatibleDonorGroups(group, 'RBC')[0]).toEqual({
+          bloodGroup: group,
+          exact: true,
+          reason: 'Exact match'
+        });
+      });
+    });
+
+    it('should accept O- red cells for every recipient', () => {
+      BLOOD_GROUPS.forEach((group) => {
+        expect(isCompatible('O-', group, 'RBC')).toBe(true);
+      });
+    });
+
+    it('should let AB+ receive red cells of every group', () => {
+      expect(donorGroups('AB+', 'RBC').sort()).toEqual([...BLOOD_GROUPS].sort());
+    });
+
+    it('should never give Rh-positive red cells to an Rh-negative recipient', () => {
+      expect(donorGroups('A-', 'RBC')).toEqual(['A-', 'O-']);
+    });
+
+    it('should keep the universal donor for last', () => {
+      const groups = donorGroups('A+', 'RBC');
+      expect(groups[groups.length - 1]).toBe('O-');
+      expect(groups.indexOf('A-')).toBeLessThan(groups.indexOf('O+'));
+    });
+  });
+
+  describe('whole blood', () => {
+    it('should require an identical ABO group', () => {
+      expect(donorGroups('B+', 'WHOLE_BLOOD')).toEqual(['B+', 'B-']);
+      expect(isCompatible('O-', 'B+', 'WHOLE_BLOOD')).toBe(false);
+    });
+  });
+
+  describe('plasma', () => {
+    it('should accept AB plasma for every recipient with a reason', () => {
+      BLOOD_GROUPS.forEach((group) => {
+        expect(isCompatible('AB+', group, 'PLASMA')).toBe(true);
+      });
+      const ab = getCompatibleDonorGroups('O+', 'PLASMA').find((entry) => entry.bloodGroup === 'AB-');
+      expect(ab.reason).toMatch(/universal plasma donor/);
+    });
+
+    it('should reverse the red cell rule', () => {
+      expect(donorGroups('AB-', 'PLASMA').sort()).toEqual(['AB+', 'AB-']);
+      expect(isCompatible('O+', 'A+', 'PLASMA')).toBe(false);
+    });
+  });
+
+  describe('platelets', () => {
+    it('should follow plasma ABO and keep Rh-negative recipients on Rh-negative units', () => {
+      expect(donorGroups('A-', 'PLATELETS')).toEqual(['A-', 'AB-']);
+    });
+  });
+
+  it('should return nothing for unknown groups or components', () => {
+    expect(getCompatibleDonorGroups('Z+', 'RBC')).toEqual([]);
+    expect(getCompatibleDonorGroups('A+', 'SERUM')).toEqual([]);
+  });
+});
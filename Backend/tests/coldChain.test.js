@@ -0,0 +1,154 @@
+import ColdChainMonitor from '../services/ColdChainMonitor.js';
+import { getTransportRange, normalizeReadings, summarizeReadings } from '../services/ColdChain.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import ColdChainReading from '../models/hospital/ColdChainReading.js';
+import BloodUnit from '../models/admin/BloodUnit.js';
+import Alert from '../models/admin/Alert.js';
+
+jest.mock('../models/hospital/ColdChainReading.js', () => ({
+  __esModule: true,
+  READING_SOURCES: { DEVICE: 'DEVICE', SIMULATED: 'SIMULATED' },
+  default: {
+    insertMany: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/Alert.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn()
+  }
+}));
+
+const requestId = '65f000000000000000000001';
+const allocationId = '65f000000000000000000002';
+
+const buildRequest = (dispatch) => ({
+  _id: requestId,
+  requestCode: 'REQ-1',
+  hospitalId: '65f000000000000000000003',
+  bloodBankId: '65f000000000000000000004',
+  bloodGroup: 'O+',
+  component: 'RBC',
+  dispatch
+});
+
+const inTransit = (overrides = {}) => ({
+  status: 'IN_TRANSIT',
+  units: 2,
+  temperatureRange: { minC: 1, maxC: 10 },
+  excursion: { flagged: false, count: 0 },
+  ...overrides
+});
+
+describe('Cold chain', () => {
+  describe('ranges and readings', () => {
+    it('should pick the component range unless a valid override is given', () => {
+      expect(getTransportRange('PLATELETS')).toEqual({ minC: 20, maxC: 24 });
+      expect(getTransportRange('RBC', { minC: 2, maxC: 6 })).toEqual({ minC: 2, maxC: 6 });
+      expect(getTransportRange('RBC', { minC: 6, maxC: 2 })).toEqual({ minC: 1, maxC: 10 });
+    });
+
+    it('should reject non-numeric and future readings', () => {
+      const now = new Date('2026-01-01T10:00:00Z');
+      expect(normalizeReadings([], now).error).toBeDefined();
+      expect(normalizeReadings([{ temperatureC: 'warm' }], now).error).toMatch(/Reading 1/);
+      expect(normalizeReadings([{ temperatureC: 4, recordedAt: '2026-01-01T11:00:00Z' }], now).error).toMatch(/future/);
+      expect(normalizeReadings([{ temperatureC: '4.5' }], now).readings[0]).toEqual(
+        expect.objectContaining({ temperatureC: 4.5, recordedAt: now, bagId: null })
+      );
+    });
+
+    it('should summarise readings in time order and list the excursions', () => {
+      const summary = summarizeReadings([
+        { temperatureC: 12, recordedAt: new Date('2026-01-01T10:10:00Z') },
+        { temperatureC: 4, recordedAt: new Date('2026-01-01T10:00:00Z') }
+      ], { minC: 1, maxC: 10 });
+
+      expect(summary).toEqual(expect.objectContaining({ count: 2, minC: 4, maxC: 12 }));
+      expect(summary.last.temperatureC).toBe(12);
+      expect(summary.excursions).toHaveLength(1);
+    });
+  });
+
+  describe('ColdChainMonitor.recordReadings', () => {
+    let findSpy;
+    let recordSpy;
+    let flagSpy;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      findSpy = jest.spyOn(HospitalBloodRequest, 'findDispatch');
+      recordSpy = jest.spyOn(HospitalBloodRequest, 'recordDispatchTemperature');
+      flagSpy = jest.spyOn(BloodUnit, 'flagColdChainExcursion').mockResolvedValue(2);
+      ColdChainReading.insertMany.mockImplementation(async (target, readings) => readings.length);
+      jest.spyOn(console, 'log').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+      findSpy.mockRestore();
+      recordSpy.mockRestore();
+      flagSpy.mockRestore();
+      console.log.mockRestore();
+    });
+
+    it('should store in-range readings without flagging anything', async () => {
+      const request = buildRequest(inTransit());
+      findSpy.mockResolvedValue({ request, dispatch: request.dispatch, allocation: null });
+      recordSpy.mockResolvedValue(request);
+
+      const result = await ColdChainMonitor.recordReadings(requestId, null, [{ temperatureC: 4 }, { temperatureC: 6 }]);
+
+      expect(result).toEqual({ success: true, stored: 2, excursions: 0, flagged: 0 });
+      expect(flagSpy).not.toHaveBeenCalled();
+      expect(Alert.create).not.toHaveBeenCalled();
+    });
+
+    it('should flag the issued bags and alert on the first excursion', async () => {
+      const request = buildRequest(null);
+      const allocation = { _id: allocationId, bloodBankId: 'bank-2', dispatch: inTransit() };
+      findSpy.mockResolvedValue({ request, dispatch: allocation.dispatch, allocation });
+      recordSpy.mockResolvedValue(request);
+
+      const result = await ColdChainMonitor.recordReadings(requestId, allocationId, [
+        { temperatureC: 4 },
+        { temperatureC: 14, bagId: 'BAG-7' }
+      ], { source: 'SIMULATED' });
+
+      expect(result).toEqual(expect.objectContaining({ excursions: 1, flagged: 2 }));
+      expect(flagSpy).toHaveBeenCalledWith(allocationId, ['BAG-7']);
+      expect(Alert.create).toHaveBeenCalledWith(expect.objectContaining({
+        type: 'COLD_CHAIN_EXCURSION',
+        severity: 'CRITICAL',
+        relatedEntity: expect.objectContaining({ allocationId, bloodBankId: 'bank-2' })
+      }));
+    });
+
+    it('should not alert again once the dispatch is already flagged', async () => {
+      const request = buildRequest(inTransit({ excursion: { flagged: true, count: 1 } }));
+      findSpy.mockResolvedValue({ request, dispatch: request.dispatch, allocation: null });
+      recordSpy.mockResolvedValue(request);
+
+      await ColdChainMonitor.recordReadings(requestId, null, [{ temperatureC: 15 }]);
+
+      expect(flagSpy).toHaveBeenCalledWith(requestId, []);
+      expect(Alert.create).not.toHaveBeenCalled();
+    });
+
+    it('should refuse readings once the units were received', async () => {
+      const request = buildRequest(inTransit({ status: 'RECEIVED' }));
+      findSpy.mockResolvedValue({ request, dispatch: request.dispatch, allocation: null });
+
+      const result = await ColdChainMonitor.recordReadings(requestId, null, [{ temperatureC: 4 }]);
+
+      expect(result.statusCode).toBe(409);
+      expect(recordSpy).not.toHaveBeenCalled();
+      expect(ColdChainReading.insertMany).not.toHaveBeenCalled();
+    });
+
+    it('should reject an unknown reading source', async () => {
+      const result = await ColdChainMonitor.recordReadings(requestId, null, [{ temperatureC: 4 }], { source: 'GUESS' });
+      expect(result.statusCode).toBe(400);
+    });
+  });
+});
@@ -0,0 +1,200 @@
+import DonorCallout, { hashResponseToken, summarizeCallout, isRareRequest } from '../services/DonorCallout.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import { checkDonorEligibility, findEligibleDonors, setEmergencyAppealOptIn } from '../models/donor/Donor.js';
+import NotificationDispatcher from '../services/NotificationDispatcher.js';
+import { REALTIME_EVENTS, realtimeEvents } from '../services/RealtimeEvents.js';
+
+jest.mock('../models/hospital/HospitalBloodRequest.js', () => ({
+  __esModule: true,
+  default: {
+    findById: jest.fn(),
+    startDonorCallout: jest.fn(),
+    findByDonorResponseToken: jest.fn(),
+    recordDonorResponse: jest.fn(),
+    findOpenDonorCallouts: jest.fn()
+  }
+}));
+
+jest.mock('../models/donor/Donor.js', () => {
+  const actual = jest.requireActual('../models/donor/Donor.js');
+  return {
+    __esModule: true,
+    ...actual,
+    findEligibleDonors: jest.fn(),
+    setEmergencyAppealOptIn: jest.fn()
+  };
+});
+
+jest.mock('../services/NotificationDispatcher.js', () => ({
+  __esModule: true,
+  default: { sendDirect: jest.fn() }
+}));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const now = new Date('2026-03-01T12:00:00Z');
+const hospitalId = '65f000000000000000000001';
+const ngoId = '65f000000000000000000009';
+const hospital = { _id: hospitalId, name: 'City Hospital', location: { city: 'Pune' } };
+
+const buildRequest = (overrides = {}) => ({
+  _id: 'request-1',
+  requestCode: 'REQ-1',
+  hospitalId,
+  status: 'PENDING',
+  bloodGroup: 'O-',
+  component: 'RBC',
+  unitsRequired: 2,
+  urgency: 'CRITICAL',
+  donorCallout: null,
+  ...overrides
+});
+
+describe('Donor call-out', () => {
+  let published;
+  const onUpdated = (event) => published.push(event);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    published = [];
+    realtimeEvents.on(REALTIME_EVENTS.DONOR_CALLOUT_UPDATED, onUpdated);
+    NotificationDispatcher.sendDirect.mockResolvedValue({ queued: 0, sent: 0, failed: 0 });
+    HospitalBloodRequest.startDonorCallout.mockImplementation(async (id, donorCallout) => buildRequest({ donorCallout }));
+  });
+
+  afterEach(() => {
+    realtimeEvents.off(REALTIME_EVENTS.DONOR_CALLOUT_UPDATED, onUpdated);
+  });
+
+  describe('eligibility', () => {
+    it('should apply the deferral interval since the last donation', () => {
+      const donor = { age: 30, createdAt: now };
+
+      expect(checkDonorEligibility({ ...donor, lastDonationDate: null }, now).eligible).toBe(true);
+      expect(checkDonorEligibility({ ...donor, lastDonationDate: new Date(now - 89 * DAY_MS) }, now))
+        .toEqual({ eligible: false, reason: 'DEFERRAL' });
+      expect(checkDonorEligibility({ ...donor, lastDonationDate: new Date(now - 90 * DAY_MS) }, now).eligible).toBe(true);
+    });
+
+    it('should age donors from their registration', () => {
+      const registeredAt = new Date(now - 3 * 366 * DAY_MS);
+
+      expect(checkDonorEligibility({ age: 64, createdAt: registeredAt }, now)).toEqual({ eligible: false, reason: 'AGE' });
+      expect(checkDonorEligibility({ age: 17, createdAt: now }, now).reason).toBe('AGE');
+      expect(checkDonorEligibility({ age: null }, now).reason).toBe('AGE');
+    });
+  });
+
+  describe('start', () => {
+    it('should only call out donors for rare groups', async () => {
+      expect(isRareRequest(buildRequest({ bloodGroup: 'B+' }))).toBe(false);
+      expect(await DonorCallout.start(buildRequest({ bloodGroup: 'B+' }), { hospital, now }))
+        .toMatchObject({ success: false, statusCode: 400 });
+      expect(await DonorCallout.start(buildRequest(), { hospital: { name: 'No city' }, now }))
+        .toMatchObject({ success: false, statusCode: 400 });
+      expect(findEligibleDonors).not.toHaveBeenCalled();
+    });
+
+    it('should appeal to eligible donors of compatible groups in the city', async () => {
+      findEligibleDonors.mockResolvedValue([
+        { _id: 'donor-2', name: 'Ravi', bloodGroup: 'O-', mobileNumber: '9876500002', email: 'ravi@test' },
+        { _id: 'donor-1', name: 'Asha', bloodGroup: 'O-', mobileNumber: '9876500001' }
+      ]);
+
+      const result = await DonorCallout.start(buildRequest(), { hospital, ngoIds: [ngoId], now });
+
+      expect(findEligibleDonors).toHaveBeenCalledWith({ bloodGroups: ['O-'], city: 'Pune' }, now);
+      expect(result.success).toBe(true);
+      expect(result.callout.counts).toMatchObject({ NO_RESPONSE: 2, COMING: 0, total: 2 });
+
+      const [, donorCallout] = HospitalBloodRequest.startDonorCallout.mock.calls[0];
+      expect(donorCallout).toMatchObject({ city: 'Pune', hospitalName: 'City Hospital', ngoIds: [ngoId] });
+
+      const [event, messages, options] = NotificationDispatcher.sendDirect.mock.calls[0];
+      expect(event).toBe('DONOR_EMERGENCY_APPEAL');
+      expect(messages.map((message) => [message.channel, message.address]))
+        .toEqual([['SMS', '9876500002'], ['EMAIL', 'ravi@test'], ['SMS', '9876500001']]);
+      expect(options.organizationId).toBe(hospitalId);
+
+      // The link carries the token; only its hash is stored
+      const token = /\/donor\/appeal\/([0-9a-f]+)/.exec(messages[0].body)[1];
+      expect(donorCallout.responders[0].responseTokenHash).toBe(hashResponseToken(token));
+      expect(JSON.stringify(donorCallout)).not.toContain(token);
+
+      expect(published).toHaveLength(1);
+    });
+
+    it('should look for substitute groups the component allows', async () => {
+      findEligibleDonors.mockResolvedValue([]);
+
+      await DonorCallout.start(buildRequest({ bloodGroup: 'AB-', component: 'RBC' }), { hospital, now });
+
+      expect(findEligibleDonors.mock.calls[0][0].bloodGroups).toEqual(['AB-', 'A-', 'B-', 'O-']);
+    });
+
+    it('should call out donors once per request', async () => {
+      findEligibleDonors.mockResolvedValue([]);
+      HospitalBloodRequest.startDonorCallout.mockResolvedValue(null);
+
+      expect(await DonorCallout.start(buildRequest(), { hospital, now })).toMatchObject({ success: false, statusCode: 409 });
+      expect(NotificationDispatcher.sendDirect).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('responses', () => {
+    const token = 'token-1';
+    const calledOut = (status) => buildRequest({
+      donorCallout: {
+        hospitalName: 'City Hospital',
+        city: 'Pune',
+        ngoIds: [ngoId],
+        responders: [
+          { donorId: 'donor-1', name: 'Asha', bloodGroup: 'O-', mobileNumber: '9876500001', status, responseTokenHash: hashResponseToken(token) },
+          { donorId: 'donor-2', name: 'Ravi', bloodGroup: 'O-', mobileNumber: '9876500002', status: 'NO_RESPONSE', responseTokenHash: 'other' }
+        ]
+      }
+    });
+
+    it('should record a donor response and publish the responder list', async () => {
+      HospitalBloodRequest.recordDonorResponse.mockResolvedValue(calledOut('COMING'));
+
+      const result = await DonorCallout.respond(token, 'COMING', { optOut: true });
+
+      expect(HospitalBloodRequest.recordDonorResponse).toHaveBeenCalledWith(hashResponseToken(token), 'COMING');
+      expect(result).toEqual({ success: true, status: 'COMING', optedOut: true });
+      expect(setEmergencyAppealOptIn).toHaveBeenCalledWith('donor-1', false);
+      expect(published).toHaveLength(1);
+    });
+
+    it('should reject invalid answers, unknown links and closed requests', async () => {
+      expect(await DonorCallout.respond(token, 'MAYBE')).toMatchObject({ statusCode: 400 });
+
+      HospitalBloodRequest.recordDonorResponse.mockResolvedValue(null);
+      HospitalBloodRequest.findByDonorResponseToken.mockResolvedValueOnce(null);
+      expect(await DonorCallout.respond('unknown', 'COMING')).toMatchObject({ statusCode: 404 });
+
+      HospitalBloodRequest.findByDonorResponseToken.mockResolvedValueOnce(calledOut('NO_RESPONSE'));
+      expect(await DonorCallout.respond(token, 'COMING')).toMatchObject({ statusCode: 409 });
+      expect(published).toHaveLength(0);
+    });
+
+    it('should only share contact details of donors who are coming', () => {
+      const { responders, counts } = summarizeCallout(calledOut('COMING'));
+
+      expect(counts).toEqual({ NO_RESPONSE: 1, COMING: 1, UNAVAILABLE: 0, total: 2 });
+      expect(responders.map((responder) => [responder.name, responder.mobileNumber])).toEqual([
+        ['Asha', '9876500001'],
+        ['Ravi', '******0002']
+      ]);
+      expect(responders[0].responseTokenHash).toBeUndefined();
+    });
+
+    it('should show a call-out only to the hospital and its NGOs', async () => {
+      HospitalBloodRequest.findById.mockResolvedValue(calledOut('NO_RESPONSE'));
+
+      expect((await DonorCallout.getForOrganization('request-1', ngoId)).success).toBe(true);
+      expect((await DonorCallout.getForOrganization('request-1', hospitalId)).success).toBe(true);
+      expect(await DonorCallout.getForOrganization('request-1', '65f000000000000000000005'))
+        .toMatchObject({ success: false, statusCode: 403 });
+    });
+  });
+});
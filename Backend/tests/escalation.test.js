@@ -0,0 +1,60 @@
+import {
+  ESCALATION_STAGES,
+  distanceKm,
+  estimateDistanceKm,
+  getStageWaitMs
+} from '../services/EscalationEngine.js';
+
+const hospital = {
+  name: 'City General Hospital',
+  location: { city: 'New Delhi', coordinates: [77.2090, 28.6139] }
+};
+
+describe('Escalation Engine', () => {
+  describe('distanceKm', () => {
+    it('should return 0 for identical points', () => {
+      expect(distanceKm([77.2090, 28.6139], [77.2090, 28.6139])).toBe(0);
+    });
+
+    it('should compute great-circle distance between Delhi and Mumbai', () => {
+      const km = distanceKm([77.2090, 28.6139], [72.8777, 19.0760]);
+      expect(km).toBeGreaterThan(1140);
+      expect(km).toBeLessThan(1160);
+    });
+  });
+
+  describe('estimateDistanceKm', () => {
+    it('should use coordinates when both organizations have them', () => {
+      const bank = { location: { city: 'New Delhi', coordinates: [77.2290, 28.6139] } };
+      const km = estimateDistanceKm(hospital, bank);
+      expect(km).toBeGreaterThan(1.5);
+      expect(km).toBeLessThan(2.5);
+    });
+
+    it('should fall back to a same-city estimate without coordinates', () => {
+      const bank = { location: { city: 'new delhi ' } };
+      expect(estimateDistanceKm(hospital, bank)).toBeLessThanOrEqual(ESCALATION_STAGES[1].radiusKm);
+    });
+
+    it('should ignore placeholder [0, 0] coordinates', () => {
+      const bank = { location: { city: 'Mumbai', coordinates: [0, 0] } };
+      expect(estimateDistanceKm(hospital, bank)).toBeNull();
+    });
+  });
+
+  describe('getStageWaitMs', () => {
+    it('should widen the radius at every stage', () => {
+      const radii = ESCALATION_STAGES.map((stage) => stage.radiusKm);
+      expect(radii).toEqual([...radii].sort((a, b) => a - b));
+    });
+
+    it('should escalate CRITICAL requests faster than LOW ones', () => {
+      expect(getStageWaitMs(0, 'CRITICAL')).toBeLessThan(getStageWaitMs(0, 'MEDIUM'));
+      expect(getStageWaitMs(0, 'LOW')).toBeGreaterThan(getStageWaitMs(0, 'MEDIUM'));
+    });
+
+    it('should default unknown urgency to the base wait', () => {
+      expect(getStageWaitMs(1, undefined)).toBe(ESCALATION_STAGES[1].waitMinutes * 60 * 1000);
+    });
+  });
+});
@@ -0,0 +1,40 @@
+import { getNearExpiryWindowMs, rankRedistributionTargets } from '../services/ExpirySweep.js';
+
+const bloodBank = {
+  name: 'City Blood Bank',
+  location: { city: 'New Delhi', coordinates: [77.2090, 28.6139] }
+};
+
+const pendingRequest = (id, hospital) => ({
+  _id: id,
+  hospitalId: `${id}-hospital`,
+  urgency: 'HIGH',
+  unitsRequired: 2,
+  hospital
+});
+
+describe('Expiry Sweep', () => {
+  afterEach(() => {
+    delete process.env.NEAR_EXPIRY_WINDOW_DAYS;
+  });
+
+  it('should read the near-expiry window from the environment', () => {
+    process.env.NEAR_EXPIRY_WINDOW_DAYS = '5';
+    expect(getNearExpiryWindowMs()).toBe(5 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should default the near-expiry window to three days', () => {
+    expect(getNearExpiryWindowMs()).toBe(3 * 24 * 60 * 60 * 1000);
+  });
+
+  it('should suggest the nearest hospitals within reach first', () => {
+    const targets = rankRedistributionTargets(bloodBank, [
+      pendingRequest('far', { location: { city: 'Gurugram', coordinates: [77.0266, 28.4595] } }),
+      pendingRequest('near', { location: { city: 'New Delhi', coordinates: [77.2290, 28.6139] } }),
+      pendingRequest('mumbai', { location: { city: 'Mumbai', coordinates: [72.8777, 19.0760] } }),
+      pendingRequest('unknown', undefined)
+    ]);
+
+    expect(targets.map((target) => target.requestId)).toEqual(['near', 'far']);
+  });
+});
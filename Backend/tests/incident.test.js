@@ -0,0 +1,128 @@
+import { HospitalBloodRequestController } from '../controllers/hospital/HospitalBloodRequestController.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import Incident from '../models/hospital/Incident.js';
+import EscalationEngine from '../services/EscalationEngine.js';
+
+jest.mock('../models/hospital/Incident.js', () => ({
+  __esModule: true,
+  INCIDENT_STATUS: { ACTIVE: 'ACTIVE', CLOSED: 'CLOSED' },
+  default: {
+    findById: jest.fn(),
+    addRequests: jest.fn()
+  }
+}));
+
+const hospitalId = '65f000000000000000000001';
+const incidentId = '65f000000000000000000002';
+const bloodBankId = '65f000000000000000000003';
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+describe('Mass-casualty incidents', () => {
+  describe('calculatePriority', () => {
+    it('should rank incident requests above every ordinary CRITICAL request', () => {
+      const criticalRare = HospitalBloodRequest.calculatePriority('CRITICAL', 'O-');
+      const incidentLow = HospitalBloodRequest.calculatePriority('LOW', 'O+', true);
+      expect(incidentLow).toBeGreaterThan(criticalRare);
+    });
+  });
+
+  describe('bulk incident requests', () => {
+    let createSpy;
+    let startSpy;
+
+    beforeEach(() => {
+      jest.clearAllMocks();
+      Incident.findById.mockResolvedValue({
+        _id: incidentId,
+        hospitalId: { toString: () => hospitalId },
+        status: 'ACTIVE',
+        notifiedBloodBankIds: [bloodBankId]
+      });
+      createSpy = jest
+        .spyOn(HospitalBloodRequest, 'create')
+        .mockImplementation(async (data) => ({ _id: `req-${data.bloodGroup}`, ...data }));
+      startSpy = jest.spyOn(EscalationEngine, 'start').mockResolvedValue();
+    });
+
+    afterEach(() => {
+      createSpy.mockRestore();
+      startSpy.mockRestore();
+    });
+
+    it('should create one CRITICAL request per item sent to the incident blood banks', async () => {
+      const res = mockResponse();
+      await HospitalBloodRequestController.createRequest({
+        body: {
+          hospitalId,
+          incidentId,
+          items: [
+            { bloodGroup: 'O-', unitsRequired: 10 },
+            { bloodGroup: 'AB+', component: 'PLASMA', unitsRequired: 4, allowSplit: false }
+          ]
+        }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(201);
+      expect(createSpy).toHaveBeenCalledTimes(2);
+      expect(createSpy).toHaveBeenCalledWith(expect.objectContaining({
+        incidentId,
+        bloodGroup: 'O-',
+        urgency: 'CRITICAL',
+        allowSplit: true,
+        notifiedBloodBankIds: [bloodBankId]
+      }), expect.anything());
+      expect(createSpy.mock.calls[1][0].allowSplit).toBe(false);
+      expect(Incident.addRequests).toHaveBeenCalledWith(incidentId, ['req-O-', 'req-AB+']);
+      expect(startSpy).toHaveBeenCalledTimes(2);
+    });
+
+    it('should reject the whole batch when one item is invalid', async () => {
+      const res = mockResponse();
+      await HospitalBloodRequestController.createRequest({
+        body: {
+          hospitalId,
+          incidentId,
+          items: [
+            { bloodGroup: 'O-', unitsRequired: 10 },
+            { bloodGroup: 'Z+', unitsRequired: 2 }
+          ]
+        }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ message: 'Item 2: Invalid blood group' }));
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse bulk requests without an incident', async () => {
+      const res = mockResponse();
+      await HospitalBloodRequestController.createRequest({
+        body: { hospitalId, items: [{ bloodGroup: 'O-', unitsRequired: 10 }] }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(400);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+
+    it('should refuse requests against a closed incident', async () => {
+      Incident.findById.mockResolvedValue({
+        _id: incidentId,
+        hospitalId: { toString: () => hospitalId },
+        status: 'CLOSED'
+      });
+      const res = mockResponse();
+      await HospitalBloodRequestController.createRequest({
+        body: { hospitalId, incidentId, items: [{ bloodGroup: 'O-', unitsRequired: 10 }] }
+      }, res);
+
+      expect(res.status).toHaveBeenCalledWith(409);
+      expect(createSpy).not.toHaveBeenCalled();
+    });
+  });
+});
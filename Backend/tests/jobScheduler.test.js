@@ -0,0 +1,117 @@
+import JobScheduler from '../services/JobScheduler.js';
+import ScheduledJob from '../models/admin/ScheduledJob.js';
+import JobRun from '../models/admin/JobRun.js';
+import { redisCache } from '../config/redis.js';
+
+jest.mock('../models/admin/ScheduledJob.js', () => ({
+  __esModule: true,
+  default: {
+    findDueNames: jest.fn(),
+    claimDueRun: jest.fn(),
+    acquireLease: jest.fn(),
+    releaseLease: jest.fn(),
+    recordOutcome: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/JobRun.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    finish: jest.fn()
+  }
+}));
+
+jest.mock('../config/redis.js', () => ({
+  __esModule: true,
+  redisCache: {
+    isConnected: true,
+    setNX: jest.fn(),
+    get: jest.fn(),
+    del: jest.fn()
+  }
+}));
+
+const handler = jest.fn();
+
+describe('Job Scheduler', () => {
+  beforeAll(() => {
+    JobScheduler.register('test-job', { handler, intervalMs: 60000 });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    redisCache.isConnected = true;
+    redisCache.setNX.mockResolvedValue(true);
+    redisCache.get.mockResolvedValue(JobScheduler.instanceId);
+    ScheduledJob.findDueNames.mockResolvedValue(['test-job']);
+    ScheduledJob.claimDueRun.mockResolvedValue(true);
+    JobRun.create.mockImplementation(async (data) => ({ _id: 'run1', startedAt: new Date(), ...data }));
+    handler.mockResolvedValue({ expired: 2 });
+  });
+
+  it('should reject jobs without a positive interval', () => {
+    expect(() => JobScheduler.register('bad-job', { handler, intervalMs: 0 })).toThrow();
+  });
+
+  it('should run a due job under the redis lock and record the run', async () => {
+    await JobScheduler.tick(new Date());
+
+    expect(redisCache.setNX).toHaveBeenCalledWith('job-lock:test-job', JobScheduler.instanceId, 600);
+    expect(handler).toHaveBeenCalledTimes(1);
+    expect(JobRun.finish).toHaveBeenCalledWith('run1', expect.objectContaining({ status: 'SUCCEEDED', result: { expired: 2 } }));
+    expect(redisCache.del).toHaveBeenCalledWith('job-lock:test-job');
+  });
+
+  it('should skip the job when another instance holds the lock', async () => {
+    redisCache.setNX.mockResolvedValue(false);
+
+    await JobScheduler.tick(new Date());
+
+    expect(ScheduledJob.claimDueRun).not.toHaveBeenCalled();
+    expect(handler).not.toHaveBeenCalled();
+  });
+
+  it('should skip the job when the run was already claimed', async () => {
+    ScheduledJob.claimDueRun.mockResolvedValue(false);
+
+    await JobScheduler.tick(new Date());
+
+    expect(handler).not.toHaveBeenCalled();
+    expect(redisCache.del).toHaveBeenCalled();
+  });
+
+  it('should record a FAILED run when the handler throws', async () => {
+    handler.mockRejectedValue(new Error('boom'));
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await JobScheduler.tick(new Date());
+
+    expect(ScheduledJob.recordOutcome).toHaveBeenCalledWith('test-job', expect.objectContaining({ status: 'FAILED', error: 'boom' }));
+    console.error.mockRestore();
+  });
+
+  it('should fall back to a registry lease when redis is down', async () => {
+    redisCache.isConnected = false;
+    ScheduledJob.acquireLease.mockResolvedValue(true);
+
+    await JobScheduler.tick(new Date());
+
+    expect(redisCache.setNX).not.toHaveBeenCalled();
+    expect(ScheduledJob.acquireLease).toHaveBeenCalledWith('test-job', JobScheduler.instanceId, 600000);
+    expect(ScheduledJob.releaseLease).toHaveBeenCalledWith('test-job', JobScheduler.instanceId);
+  });
+
+  it('should refuse to trigger a job that is already running', async () => {
+    redisCache.setNX.mockResolvedValue(false);
+
+    const result = await JobScheduler.trigger('test-job', 'admin@sebn.com');
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+  });
+
+  it('should return 404 when triggering an unknown job', async () => {
+    const result = await JobScheduler.trigger('missing-job', 'admin@sebn.com');
+    expect(result.statusCode).toBe(404);
+  });
+});
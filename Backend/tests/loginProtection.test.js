@@ -0,0 +1,310 @@
+import LoginProtection, {
+  describeDevice,
+  describeNetwork,
+  getLockoutDuration,
+  LOGIN_AUDIT_ACTIONS,
+  MAX_KNOWN_DEVICES
+} from '../services/LoginProtection.js';
+import LoginSecurity from '../models/auth/LoginSecurity.js';
+import Audit from '../models/admin/Audit.js';
+import Admin from '../models/admin/Admin.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import { sendAccountMail } from '../services/Mailer.js';
+
+jest.mock('../models/auth/LoginSecurity.js', () => ({
+  __esModule: true,
+  default: {
+    findByIdentifier: jest.fn(),
+    findLocked: jest.fn(),
+    countFailingSince: jest.fn(),
+    recordFailure: jest.fn(),
+    lock: jest.fn(),
+    recordSuccess: jest.fn(),
+    unlock: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/Audit.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    countRecent: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/Admin.js', () => ({
+  __esModule: true,
+  default: { findAll: jest.fn() }
+}));
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: { findContactsByRole: jest.fn() }
+}));
+
+jest.mock('../services/Mailer.js', () => ({
+  __esModule: true,
+  sendAccountMail: jest.fn()
+}));
+
+jest.mock('../services/Sessions.js', () => ({
+  __esModule: true,
+  SUBJECT_TYPES: { ORGANIZATION_USER: 'ORGANIZATION_USER', USER: 'USER', ADMIN: 'ADMIN' },
+  getSubjectId: (subjectType, claims) => (subjectType === 'ADMIN' ? claims.id : claims.userId)
+}));
+
+const CHROME_WINDOWS = 'Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 (KHTML, like Gecko) Chrome/128.0 Safari/537.36';
+const SAFARI_IPHONE = 'Mozilla/5.0 (iPhone; CPU iPhone OS 17_5 like Mac OS X) AppleWebKit/605.1.15 Version/17.5 Mobile/15E148 Safari/604.1';
+
+const doctor = {
+  subjectId: '65f0000000000000000000b2',
+  name: 'Dr. Mehta',
+  email: 'doctor@cityhospital.test',
+  role: 'Doctor'
+};
+
+const identity = LoginProtection.identity('ORGANIZATION_USER', 'Doctor@CityHospital.test', 'HOS-1');
+const clinic = { userAgent: CHROME_WINDOWS, ipAddress: '203.0.113.24' };
+
+// Notifications are sent in the background
+const flushNotifications = () => new Promise((resolve) => setImmediate(resolve));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  LoginSecurity.countFailingSince.mockResolvedValue(0);
+  LoginSecurity.findByIdentifier.mockResolvedValue(null);
+  Audit.countRecent.mockResolvedValue(0);
+  Admin.findAll.mockResolvedValue([]);
+  OrganizationUser.findContactsByRole.mockResolvedValue([]);
+});
+
+describe('device and network labels', () => {
+  it('describes browsers and systems without versions', () => {
+    expect(describeDevice(CHROME_WINDOWS)).toBe('Chrome on Windows');
+    expect(describeDevice(SAFARI_IPHONE)).toBe('Safari on iOS');
+    expect(describeDevice('curl/8.4.0')).toBe('Script');
+    expect(describeDevice('')).toBe('Unknown device');
+  });
+
+  it('groups addresses by /24 and /48', () => {
+    expect(describeNetwork('203.0.113.24')).toBe('203.0.113.0/24');
+    expect(describeNetwork('::ffff:203.0.113.99')).toBe('203.0.113.0/24');
+    expect(describeNetwork('2001:db8:85a3:8d3::370:7334')).toBe('2001:db8:85a3::/48');
+    expect(describeNetwork('')).toBe('unknown');
+  });
+});
+
+describe('LoginProtection.identity', () => {
+  it('counts organization users per organization and ignores email case', () => {
+    expect(identity).toEqual({
+      subjectType: 'ORGANIZATION_USER',
+      identifier: 'HOS-1/doctor@cityhospital.test',
+      email: 'doctor@cityhospital.test',
+      organizationCode: 'HOS-1'
+    });
+    expect(LoginProtection.identity('USER', ' Donor@Example.org ').identifier).toBe('donor@example.org');
+  });
+
+  it('finds the identity a two-factor login was counted against from its claims', () => {
+    const claims = { userId: doctor.subjectId, organizationCode: 'HOS-1', email: 'doctor@cityhospital.test', name: 'Dr. Mehta', role: 'Doctor' };
+
+    expect(LoginProtection.forClaims('ORGANIZATION_USER', claims)).toEqual({ identity, account: doctor });
+    expect(LoginProtection.forClaims('ADMIN', { id: 'a-1', email: 'root@bloodbridge.test', organizationCode: 'X' }).identity.identifier).toBe(
+      'root@bloodbridge.test'
+    );
+  });
+});
+
+describe('LoginProtection.check', () => {
+  it('refuses a locked identity with the time to come back', async () => {
+    const lockedUntil = new Date(Date.now() + 10 * 60 * 1000);
+    LoginSecurity.findByIdentifier.mockResolvedValue({ lockedUntil });
+
+    const result = await LoginProtection.check(identity);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 429, lockedUntil }));
+    expect(result.retryAfter).toBeGreaterThan(590);
+  });
+
+  it('lets the attempt through once the lock has run out', async () => {
+    LoginSecurity.findByIdentifier.mockResolvedValue({ lockedUntil: new Date(Date.now() - 1000) });
+
+    expect(await LoginProtection.check(identity)).toEqual({ success: true });
+  });
+});
+
+describe('LoginProtection.recordFailure', () => {
+  it('answers invalid credentials below the limit', async () => {
+    LoginSecurity.recordFailure.mockResolvedValue({ failedCount: 4, lockouts: 0 });
+
+    const result = await LoginProtection.recordFailure(identity, clinic, doctor);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 401, message: 'Invalid credentials' }));
+    expect(LoginSecurity.recordFailure).toHaveBeenCalledWith(
+      'ORGANIZATION_USER',
+      'HOS-1/doctor@cityhospital.test',
+      { organizationCode: 'HOS-1', email: 'doctor@cityhospital.test', subjectId: doctor.subjectId, ipAddress: '203.0.113.24' },
+      expect.any(Date)
+    );
+    expect(LoginSecurity.lock).not.toHaveBeenCalled();
+  });
+
+  it('locks at the limit, longer each time, and tells the user and their admins', async () => {
+    LoginSecurity.recordFailure.mockResolvedValue({ failedCount: 5, lockouts: 1 });
+    OrganizationUser.findContactsByRole.mockResolvedValue([
+      { userCode: 'HOS-1-ADMIN', name: 'Admin', email: 'admin@cityhospital.test' },
+      { userCode: 'HOS-1-DOC-001', name: 'Dr. Mehta', email: 'doctor@cityhospital.test' }
+    ]);
+
+    const result = await LoginProtection.recordFailure(identity, clinic, doctor);
+    await flushNotifications();
+
+    const lockedUntil = LoginSecurity.lock.mock.calls[0][2];
+    expect(lockedUntil.getTime() - Date.now()).toBeGreaterThan(getLockoutDuration(0));
+    expect(lockedUntil.getTime() - Date.now()).toBeLessThanOrEqual(getLockoutDuration(1));
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 429, lockedUntil }));
+
+    expect(Audit.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        entityType: 'AUTH',
+        action: LOGIN_AUDIT_ACTIONS.ACCOUNT_LOCKED,
+        status: 'FAILURE',
+        entityId: doctor.subjectId,
+        ipAddress: '203.0.113.24'
+      })
+    );
+    expect(OrganizationUser.findContactsByRole).toHaveBeenCalledWith('HOS-1', 'ADMIN');
+    expect(sendAccountMail.mock.calls.map(([template, to]) => [template, to])).toEqual([
+      ['ACCOUNT_LOCKED', 'doctor@cityhospital.test'],
+      ['SECURITY_NOTICE', 'admin@cityhospital.test']
+    ]);
+  });
+
+  it('locks unknown accounts the same way without emailing anyone there', async () => {
+    LoginSecurity.recordFailure.mockResolvedValue({ failedCount: 5, lockouts: 0 });
+    const stranger = LoginProtection.identity('USER', 'nobody@example.org');
+
+    const result = await LoginProtection.recordFailure(stranger, clinic);
+    await flushNotifications();
+
+    expect(result.statusCode).toBe(429);
+    expect(sendAccountMail).not.toHaveBeenCalled();
+  });
+
+  it('caps lock length at a day', () => {
+    expect(getLockoutDuration(20)).toBe(24 * 60 * 60 * 1000);
+  });
+
+  it('reports a spike of failing accounts to super admins once per window', async () => {
+    LoginSecurity.recordFailure.mockResolvedValue({ failedCount: 1, lockouts: 0 });
+    LoginSecurity.countFailingSince.mockResolvedValue(45);
+    Admin.findAll.mockResolvedValue([
+      { email: 'root@bloodbridge.test', name: 'Root', role: 'SUPERADMIN', isActive: true },
+      { email: 'ops@bloodbridge.test', name: 'Ops', role: 'ADMIN', isActive: true },
+      { email: 'old@bloodbridge.test', name: 'Old', role: 'SUPERADMIN', isActive: false }
+    ]);
+
+    await LoginProtection.recordFailure(identity, clinic, doctor);
+    Audit.countRecent.mockResolvedValue(1);
+    await LoginProtection.recordFailure(identity, clinic, doctor);
+
+    expect(Audit.create).toHaveBeenCalledTimes(1);
+    expect(Audit.create).toHaveBeenCalledWith(
+      expect.objectContaining({ action: LOGIN_AUDIT_ACTIONS.FAILURE_SPIKE, metadata: expect.objectContaining({ failing: 45 }) })
+    );
+    expect(sendAccountMail).toHaveBeenCalledTimes(1);
+    expect(sendAccountMail).toHaveBeenCalledWith('SECURITY_NOTICE', 'root@bloodbridge.test', expect.any(Object));
+  });
+
+  it("doesn't fail the login when the spike check does", async () => {
+    LoginSecurity.recordFailure.mockResolvedValue({ failedCount: 1, lockouts: 0 });
+    LoginSecurity.countFailingSince.mockRejectedValue(new Error('connection reset'));
+
+    const result = await LoginProtection.recordFailure(identity, clinic, doctor);
+
+    expect(result.statusCode).toBe(401);
+  });
+});
+
+describe('LoginProtection.recordSuccess', () => {
+  const known = (device, network) => ({ device, network, firstSeenAt: new Date(0), lastSeenAt: new Date(0) });
+
+  it("remembers the first device without flagging it", async () => {
+    const result = await LoginProtection.recordSuccess(identity, doctor, clinic);
+
+    expect(result).toEqual({ newDevice: false, newLocation: false });
+    expect(LoginSecurity.recordSuccess).toHaveBeenCalledWith('ORGANIZATION_USER', 'HOS-1/doctor@cityhospital.test', {
+      subjectId: doctor.subjectId,
+      organizationCode: 'HOS-1',
+      email: 'doctor@cityhospital.test',
+      knownDevices: [expect.objectContaining({ device: 'Chrome on Windows', network: '203.0.113.0/24' })]
+    });
+    expect(Audit.create).not.toHaveBeenCalled();
+  });
+
+  it('flags a new device and emails the user', async () => {
+    LoginSecurity.findByIdentifier.mockResolvedValue({ knownDevices: [known('Chrome on Windows', '203.0.113.0/24')] });
+
+    const result = await LoginProtection.recordSuccess(identity, doctor, { userAgent: SAFARI_IPHONE, ipAddress: '203.0.113.77' });
+    await flushNotifications();
+
+    expect(result).toEqual({ newDevice: true, newLocation: false });
+    expect(Audit.create).toHaveBeenCalledWith(expect.objectContaining({ action: LOGIN_AUDIT_ACTIONS.NEW_DEVICE }));
+    expect(sendAccountMail).toHaveBeenCalledWith(
+      'NEW_SIGN_IN',
+      'doctor@cityhospital.test',
+      expect.objectContaining({ change: 'a new device', device: 'Safari on iOS' })
+    );
+  });
+
+  it('flags a known device on a new network as a new location', async () => {
+    LoginSecurity.findByIdentifier.mockResolvedValue({ knownDevices: [known('Chrome on Windows', '203.0.113.0/24')] });
+
+    const result = await LoginProtection.recordSuccess(identity, doctor, { userAgent: CHROME_WINDOWS, ipAddress: '198.51.100.8' });
+
+    expect(result).toEqual({ newDevice: false, newLocation: true });
+    expect(Audit.create).toHaveBeenCalledWith(expect.objectContaining({ action: LOGIN_AUDIT_ACTIONS.NEW_LOCATION }));
+  });
+
+  it('keeps only the most recent devices', async () => {
+    const devices = Array.from({ length: MAX_KNOWN_DEVICES }, (_, index) => known(`Device ${index}`, `10.0.${index}.0/24`));
+    LoginSecurity.findByIdentifier.mockResolvedValue({ knownDevices: devices });
+
+    await LoginProtection.recordSuccess(identity, doctor, clinic);
+
+    const { knownDevices } = LoginSecurity.recordSuccess.mock.calls[0][2];
+    expect(knownDevices).toHaveLength(MAX_KNOWN_DEVICES);
+    expect(knownDevices[0].device).toBe('Device 1');
+    expect(knownDevices[MAX_KNOWN_DEVICES - 1].device).toBe('Chrome on Windows');
+  });
+});
+
+describe('LoginProtection.unlock', () => {
+  const orgAdmin = { email: 'admin@cityhospital.test', role: 'ADMIN', code: 'HOS-1-ADMIN' };
+
+  it('lifts a lock and writes it to the audit log', async () => {
+    LoginSecurity.findByIdentifier.mockResolvedValue({
+      subjectId: doctor.subjectId,
+      lockedUntil: new Date(Date.now() + 60 * 1000)
+    });
+
+    const result = await LoginProtection.unlock(identity, orgAdmin, clinic);
+
+    expect(result).toEqual({ success: true, wasLocked: true });
+    expect(LoginSecurity.unlock).toHaveBeenCalledWith('ORGANIZATION_USER', 'HOS-1/doctor@cityhospital.test', 'HOS-1-ADMIN');
+    expect(Audit.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: LOGIN_AUDIT_ACTIONS.ACCOUNT_UNLOCKED,
+        performedBy: 'admin@cityhospital.test',
+        entityId: doctor.subjectId
+      })
+    );
+  });
+
+  it('answers 404 for identities with no failed logins', async () => {
+    const result = await LoginProtection.unlock(identity, orgAdmin, clinic);
+
+    expect(result).toEqual(expect.objectContaining({ success: false, statusCode: 404 }));
+    expect(LoginSecurity.unlock).not.toHaveBeenCalled();
+  });
+});
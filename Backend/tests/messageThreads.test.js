@@ -0,0 +1,288 @@
+import MessageThreads, { THREAD_ENTITY_TYPES, toMessageView } from '../services/MessageThreads.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import HospitalNgoDrive from '../models/hospital/HospitalNgoDrive.js';
+import OrganizationMessage from '../models/organization/OrganizationMessage.js';
+import MessageAttachment from '../models/organization/MessageAttachment.js';
+import { saveAttachment } from '../services/AttachmentStorage.js';
+import { REALTIME_EVENTS, realtimeEvents } from '../services/RealtimeEvents.js';
+
+jest.mock('../models/hospital/HospitalBloodRequest.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/hospital/HospitalNgoDrive.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/admin/BloodBankNgoDrive.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/organization/OrganizationMessage.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findByThread: jest.fn(),
+    findThreadsForOrganization: jest.fn(),
+    markThreadRead: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/MessageAttachment.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    findPending: jest.fn(),
+    attachToMessage: jest.fn()
+  }
+}));
+
+jest.mock('../services/AttachmentStorage.js', () => {
+  const actual = jest.requireActual('../services/AttachmentStorage.js');
+  return {
+    __esModule: true,
+    ...actual,
+    saveAttachment: jest.fn(),
+    removeAttachment: jest.fn()
+  };
+});
+
+const hospitalId = '65f000000000000000000001';
+const bankId = '65f000000000000000000002';
+const otherBankId = '65f000000000000000000003';
+const ngoId = '65f000000000000000000004';
+const requestId = '65f0000000000000000000aa';
+
+const hospitalCaller = {
+  organizationId: hospitalId,
+  organizationCode: 'HOS-1',
+  organizationName: 'City Hospital',
+  organizationType: 'hospital',
+  userCode: 'U-HOS',
+  name: 'Dr. Rao'
+};
+const bankCaller = { ...hospitalCaller, organizationId: bankId, organizationCode: 'BB-1', userCode: 'U-BB' };
+
+const buildRequest = (overrides = {}) => ({
+  _id: requestId,
+  requestCode: 'REQ-1',
+  hospitalId,
+  bloodBankId: bankId,
+  status: 'ACCEPTED',
+  bloodGroup: 'O-',
+  unitsRequired: 2,
+  allocations: [],
+  escalation: null,
+  ...overrides
+});
+
+describe('Message threads', () => {
+  let events;
+  const onPosted = (event) => events.push(event);
+  const onRead = (event) => events.push(event);
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    events = [];
+    realtimeEvents.on(REALTIME_EVENTS.MESSAGE_POSTED, onPosted);
+    realtimeEvents.on(REALTIME_EVENTS.MESSAGE_READ, onRead);
+    HospitalBloodRequest.findById.mockResolvedValue(buildRequest());
+    OrganizationMessage.create.mockImplementation(async (data) => ({
+      _id: 'message-1',
+      ...data,
+      readBy: [],
+      createdAt: new Date()
+    }));
+  });
+
+  afterEach(() => {
+    realtimeEvents.off(REALTIME_EVENTS.MESSAGE_POSTED, onPosted);
+    realtimeEvents.off(REALTIME_EVENTS.MESSAGE_READ, onRead);
+  });
+
+  describe('participants', () => {
+    it('should let the hospital and serving blood bank into a request thread', async () => {
+      const result = await MessageThreads.resolve(THREAD_ENTITY_TYPES.BLOOD_REQUEST, requestId, bankId);
+
+      expect(result.success).toBe(true);
+      expect(result.thread).toEqual({
+        entityType: 'BLOOD_REQUEST',
+        entityId: requestId,
+        label: 'REQ-1 · 2 unit(s) O-',
+        participantIds: [hospitalId, bankId]
+      });
+      expect(await MessageThreads.resolve(THREAD_ENTITY_TYPES.BLOOD_REQUEST, requestId, otherBankId))
+        .toMatchObject({ success: false, statusCode: 403 });
+    });
+
+    it('should include banks notified about an unassigned request while it is pending', async () => {
+      HospitalBloodRequest.findById.mockResolvedValue(buildRequest({
+        bloodBankId: null,
+        status: 'PENDING',
+        escalation: { notifiedBloodBankIds: [otherBankId] }
+      }));
+
+      expect((await MessageThreads.resolve('BLOOD_REQUEST', requestId, otherBankId)).success).toBe(true);
+    });
+
+    it('should let the hospital, NGO and collecting bank into a drive thread', async () => {
+      HospitalNgoDrive.findById.mockResolvedValue({ _id: 'drive-1', hospitalId, ngoId, bloodBankId: null, driveTitle: 'Campus drive' });
+
+      const result = await MessageThreads.resolve(THREAD_ENTITY_TYPES.HOSPITAL_DRIVE, 'drive-1', ngoId);
+
+      expect(result.thread.participantIds).toEqual([hospitalId, ngoId]);
+      expect(result.thread.label).toBe('Campus drive');
+    });
+
+    it('should reject unknown entity types and missing entities', async () => {
+      expect(await MessageThreads.resolve('INVOICE', requestId, hospitalId)).toMatchObject({ statusCode: 400 });
+
+      HospitalBloodRequest.findById.mockResolvedValue(null);
+      expect(await MessageThreads.resolve('BLOOD_REQUEST', requestId, hospitalId)).toMatchObject({ statusCode: 404 });
+    });
+  });
+
+  describe('posting', () => {
+    it('should record the sender and push the message to participants', async () => {
+      const result = await MessageThreads.post('BLOOD_REQUEST', requestId, hospitalCaller, { body: '  ETA for the units?  ' });
+
+      expect(result.success).toBe(true);
+      expect(OrganizationMessage.create).toHaveBeenCalledWith(expect.objectContaining({
+        thread: { entityType: 'BLOOD_REQUEST', entityId: requestId, label: 'REQ-1 · 2 unit(s) O-' },
+        participantIds: [hospitalId, bankId],
+        sender: hospitalCaller,
+        body: 'ETA for the units?',
+        attachments: []
+      }));
+      expect(events).toEqual([expect.objectContaining({ type: 'MESSAGE_POSTED' })]);
+    });
+
+    it('should reject empty, overlong and outsider messages', async () => {
+      expect(await MessageThreads.post('BLOOD_REQUEST', requestId, hospitalCaller, { body: '   ' }))
+        .toMatchObject({ statusCode: 400 });
+      expect(await MessageThreads.post('BLOOD_REQUEST', requestId, hospitalCaller, { body: 'x'.repeat(5001) }))
+        .toMatchObject({ statusCode: 400 });
+      expect(await MessageThreads.post('BLOOD_REQUEST', requestId, { ...bankCaller, organizationId: otherBankId }, { body: 'Hi' }))
+        .toMatchObject({ statusCode: 403 });
+      expect(OrganizationMessage.create).not.toHaveBeenCalled();
+    });
+
+    it('should only send attachments the organization uploaded to this thread', async () => {
+      MessageAttachment.findPending.mockResolvedValue([
+        { _id: 'att-1', fileName: 'crossmatch.pdf', mimeType: 'application/pdf', size: 1200 }
+      ]);
+
+      const result = await MessageThreads.post('BLOOD_REQUEST', requestId, hospitalCaller, {
+        body: '',
+        attachmentIds: ['65f0000000000000000000b1']
+      });
+
+      expect(MessageAttachment.findPending).toHaveBeenCalledWith(['65f0000000000000000000b1'], {
+        organizationId: hospitalId,
+        entityType: 'BLOOD_REQUEST',
+        entityId: requestId
+      });
+      expect(result.message.attachments).toEqual([
+        { attachmentId: 'att-1', fileName: 'crossmatch.pdf', mimeType: 'application/pdf', size: 1200 }
+      ]);
+      expect(MessageAttachment.attachToMessage).toHaveBeenCalledWith(['65f0000000000000000000b1'], 'message-1');
+
+      MessageAttachment.findPending.mockResolvedValue([]);
+      expect(await MessageThreads.post('BLOOD_REQUEST', requestId, hospitalCaller, {
+        attachmentIds: ['65f0000000000000000000b2']
+      })).toMatchObject({ statusCode: 400 });
+    });
+  });
+
+  describe('read receipts', () => {
+    it('should push a receipt only when something was newly read', async () => {
+      OrganizationMessage.markThreadRead.mockResolvedValueOnce(2).mockResolvedValueOnce(0);
+
+      expect(await MessageThreads.markRead('BLOOD_REQUEST', requestId, bankCaller)).toEqual({ success: true, marked: 2 });
+      expect(await MessageThreads.markRead('BLOOD_REQUEST', requestId, bankCaller)).toEqual({ success: true, marked: 0 });
+
+      expect(OrganizationMessage.markThreadRead).toHaveBeenCalledWith('BLOOD_REQUEST', requestId, bankCaller);
+      expect(events).toEqual([
+        expect.objectContaining({ type: 'MESSAGE_READ', reader: expect.objectContaining({ userCode: 'U-BB' }) })
+      ]);
+    });
+
+    it('should show receipts from the other organizations only', () => {
+      const view = toMessageView({
+        _id: 'message-1',
+        thread: { entityType: 'BLOOD_REQUEST', entityId: requestId },
+        sender: { organizationId: hospitalId, userCode: 'U-HOS' },
+        body: 'Hi',
+        attachments: [],
+        readBy: [
+          { organizationId: hospitalId, userCode: 'U-HOS-2' },
+          { organizationId: bankId, userCode: 'U-BB' }
+        ],
+        createdAt: new Date()
+      });
+
+      expect(view.readBy).toEqual([{ organizationId: bankId, userCode: 'U-BB' }]);
+    });
+  });
+
+  describe('attachments', () => {
+    const file = { fileName: 'report.pdf', mimeType: 'application/pdf', content: Buffer.from('%PDF-1.4') };
+
+    it('should store allowed files for participants', async () => {
+      saveAttachment.mockResolvedValue('abc123');
+      MessageAttachment.create.mockImplementation(async (data) => ({ _id: 'att-1', ...data }));
+
+      const result = await MessageThreads.uploadAttachment('BLOOD_REQUEST', requestId, bankCaller, file);
+
+      expect(result).toEqual({
+        success: true,
+        attachment: { _id: 'att-1', fileName: 'report.pdf', mimeType: 'application/pdf', size: 8 }
+      });
+      expect(MessageAttachment.create).toHaveBeenCalledWith(expect.objectContaining({ storageKey: 'abc123', uploadedBy: 'U-BB' }));
+    });
+
+    it('should refuse disallowed, empty and oversized files', async () => {
+      expect(await MessageThreads.uploadAttachment('BLOOD_REQUEST', requestId, bankCaller, { ...file, mimeType: 'application/x-msdownload' }))
+        .toMatchObject({ statusCode: 400 });
+      expect(await MessageThreads.uploadAttachment('BLOOD_REQUEST', requestId, bankCaller, { ...file, content: Buffer.alloc(0) }))
+        .toMatchObject({ statusCode: 400 });
+      expect(await MessageThreads.uploadAttachment('BLOOD_REQUEST', requestId, bankCaller, { ...file, content: Buffer.alloc(6 * 1024 * 1024) }))
+        .toMatchObject({ statusCode: 400 });
+      expect(saveAttachment).not.toHaveBeenCalled();
+    });
+
+    it('should only serve files to participants of the thread', async () => {
+      MessageAttachment.findById.mockResolvedValue({
+        _id: 'att-1',
+        thread: { entityType: 'BLOOD_REQUEST', entityId: requestId },
+        organizationId: hospitalId,
+        messageId: 'message-1',
+        storageKey: 'abc123'
+      });
+
+      const result = await MessageThreads.getAttachment('att-1', bankCaller);
+      expect(result.success).toBe(true);
+      expect(result.filePath).toMatch(/messages[\\/]abc123$/);
+
+      expect(await MessageThreads.getAttachment('att-1', { ...bankCaller, organizationId: otherBankId }))
+        .toMatchObject({ statusCode: 403 });
+    });
+
+    it('should keep unsent files to the uploader', async () => {
+      MessageAttachment.findById.mockResolvedValue({
+        _id: 'att-2',
+        thread: { entityType: 'BLOOD_REQUEST', entityId: requestId },
+        organizationId: hospitalId,
+        messageId: null,
+        storageKey: 'def456'
+      });
+
+      expect((await MessageThreads.getAttachment('att-2', hospitalCaller)).success).toBe(true);
+      expect(await MessageThreads.getAttachment('att-2', bankCaller)).toMatchObject({ statusCode: 404 });
+    });
+  });
+});
@@ -0,0 +1,385 @@
+import { createHmac } from 'crypto';
+import NotificationDispatcher, { getRetryDelayMs, RETRY_DELAYS_MS } from '../services/NotificationDispatcher.js';
+import NotificationRecipient from '../models/organization/NotificationRecipient.js';
+import NotificationTemplate from '../models/organization/NotificationTemplate.js';
+import NotificationDelivery, { DELIVERY_STATUS } from '../models/admin/NotificationDelivery.js';
+import { Organization } from '../models/organization/Organization.js';
+import { getChannelAdapter, webhookAdapter, DeliveryError } from '../services/NotificationChannels.js';
+import { renderTemplate, NOTIFICATION_EVENTS } from '../services/NotificationTemplates.js';
+import { evaluatePreferences, mergePreferences, getQuietHoursEnd } from '../services/NotificationPreferences.js';
+import { personalize } from '../services/RealtimeHub.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import Admin from '../models/admin/Admin.js';
+import { getNotificationAudience } from '../services/RequestNotificationListener.js';
+import { createMockSmtpServer } from '../services/MockSmtpServer.js';
+import { sendMail } from '../services/SmtpClient.js';
+
+jest.mock('../models/organization/NotificationRecipient.js', () => ({
+  __esModule: true,
+  default: { findForEvent: jest.fn() }
+}));
+
+jest.mock('../models/organization/NotificationTemplate.js', () => ({
+  __esModule: true,
+  default: { findOne: jest.fn() }
+}));
+
+jest.mock('../models/admin/NotificationDelivery.js', () => ({
+  __esModule: true,
+  DELIVERY_STATUS: {
+    PENDING: 'PENDING',
+    SENDING: 'SENDING',
+    SENT: 'SENT',
+    RETRYING: 'RETRYING',
+    FAILED: 'FAILED'
+  },
+  default: {
+    create: jest.fn(),
+    claim: jest.fn(),
+    recordAttempt: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/Organization.js', () => ({
+  __esModule: true,
+  Organization: { findById: jest.fn() }
+}));
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: { findNotificationSubscribers: jest.fn() }
+}));
+
+jest.mock('../models/admin/Admin.js', () => ({
+  __esModule: true,
+  default: { findNotificationSubscribers: jest.fn() }
+}));
+
+jest.mock('../services/NotificationChannels.js', () => {
+  const actual = jest.requireActual('../services/NotificationChannels.js');
+  return { __esModule: true, ...actual, getChannelAdapter: jest.fn() };
+});
+
+const hospitalId = '65f000000000000000000001';
+const bankA = '65f000000000000000000002';
+
+const buildDelivery = (overrides = {}) => ({
+  _id: '65f0000000000000000000d1',
+  event: NOTIFICATION_EVENTS.REQUEST_CREATED,
+  channel: 'EMAIL',
+  address: 'ops@bank.test',
+  subject: 'Subject',
+  body: 'Body',
+  payload: {},
+  status: 'SENDING',
+  attempts: 0,
+  maxAttempts: 5,
+  ...overrides
+});
+
+describe('Notifications', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    NotificationDelivery.create.mockImplementation(async (data) => ({
+      _id: `${data.address}-id`,
+      ...data,
+      deferredUntil: data.nextAttemptAt || null
+    }));
+    OrganizationUser.findNotificationSubscribers.mockResolvedValue([]);
+    Admin.findNotificationSubscribers.mockResolvedValue([]);
+    NotificationDelivery.claim.mockImplementation(async (id) => buildDelivery({ _id: id }));
+    NotificationDelivery.recordAttempt.mockImplementation(async (id, attempt, outcome) => ({ _id: id, ...outcome }));
+  });
+
+  describe('templates', () => {
+    it('should fill placeholders and blank unknown variables', () => {
+      expect(renderTemplate('{{ unitsRequired }}u {{bloodGroup}} for {{missing}}!', {
+        unitsRequired: 3,
+        bloodGroup: 'O-'
+      })).toBe('3u O- for !');
+    });
+  });
+
+  describe('dispatching', () => {
+    const send = jest.fn();
+
+    beforeEach(() => {
+      getChannelAdapter.mockReturnValue({ name: 'test', send });
+      // Quiet hours below run 00:00-23:59 UTC; pin the clock inside them
+      jest.useFakeTimers({ now: new Date('2026-03-01T12:00:00Z'), doNotFake: ['nextTick', 'setImmediate', 'setTimeout'] });
+      Organization.findById.mockResolvedValue({ name: 'City Blood Bank' });
+      NotificationTemplate.findOne.mockResolvedValue(null);
+    });
+
+    afterEach(() => {
+      jest.useRealTimers();
+    });
+
+    it('should render each recipient\'s message and send it', async () => {
+      NotificationRecipient.findForEvent.mockResolvedValue([
+        { _id: 'r1', organizationId: bankA, channel: 'EMAIL', address: 'ops@bank.test' },
+        { _id: 'r2', organizationId: bankA, channel: 'SMS', address: '+15550100' }
+      ]);
+      send.mockResolvedValue({ response: 'ok' });
+
+      const result = await NotificationDispatcher.notify(NOTIFICATION_EVENTS.REQUEST_CREATED, {
+        organizationIds: [bankA, bankA, null],
+        variables: { hospitalName: 'General', unitsRequired: 2, bloodGroup: 'A+', urgency: 'CRITICAL', requestCode: 'REQ-1' }
+      });
+
+      expect(NotificationRecipient.findForEvent).toHaveBeenCalledWith([bankA], NOTIFICATION_EVENTS.REQUEST_CREATED);
+      expect(result).toEqual({ queued: 2, sent: 2, failed: 0, deferred: 0 });
+
+      const [email, sms] = NotificationDelivery.create.mock.calls.map(([data]) => data);
+      expect(email.subject).toBe('[CRITICAL] Blood request REQ-1: 2 unit(s) A+');
+      expect(sms.body).toContain('General needs 2u A+');
+    });
+
+    it('should prefer the organization\'s template override', async () => {
+      NotificationRecipient.findForEvent.mockResolvedValue([
+        { _id: 'r1', organizationId: bankA, channel: 'EMAIL', address: 'ops@bank.test' }
+      ]);
+      NotificationTemplate.findOne.mockResolvedValue({ subject: '{{organizationName}}: {{requestCode}}', body: null });
+      send.mockResolvedValue({});
+
+      await NotificationDispatcher.notify(NOTIFICATION_EVENTS.REQUEST_CREATED, {
+        organizationIds: [bankA],
+        variables: { requestCode: 'REQ-2', hospitalName: 'General' }
+      });
+
+      const [delivery] = NotificationDelivery.create.mock.calls[0];
+      expect(delivery.subject).toBe('City Blood Bank: REQ-2');
+      expect(delivery.body).toContain('General has requested');
+    });
+
+    it('should add opted-in users, deduplicated against the list and deferred by quiet hours', async () => {
+      Organization.findById.mockResolvedValue({ name: 'City Blood Bank', organizationCode: 'BB-1' });
+      NotificationRecipient.findForEvent.mockResolvedValue([
+        { _id: 'r1', organizationId: bankA, channel: 'EMAIL', address: 'ops@bank.test' }
+      ]);
+      OrganizationUser.findNotificationSubscribers.mockResolvedValue([
+        { userCode: 'U1', organizationCode: 'BB-1', name: 'Asha', email: 'OPS@bank.test', notificationPreferences: { channels: { EMAIL: true } } },
+        {
+          userCode: 'U2',
+          organizationCode: 'BB-1',
+          name: 'Ravi',
+          email: 'ravi@bank.test',
+          notificationPreferences: {
+            channels: { EMAIL: true },
+            quietHours: { enabled: true, start: '00:00', end: '23:59', timezone: 'UTC' }
+          }
+        },
+        { userCode: 'U3', organizationCode: 'BB-1', email: 'off@bank.test', notificationPreferences: { channels: { EMAIL: true }, events: { REQUEST_CREATED: false } } }
+      ]);
+      send.mockResolvedValue({});
+
+      const result = await NotificationDispatcher.notify(NOTIFICATION_EVENTS.REQUEST_CREATED, {
+        organizationIds: [bankA],
+        variables: { requestCode: 'REQ-3' }
+      });
+
+      expect(OrganizationUser.findNotificationSubscribers).toHaveBeenCalledWith(['BB-1']);
+      expect(Admin.findNotificationSubscribers).not.toHaveBeenCalled();
+      expect(result).toEqual({ queued: 2, sent: 1, failed: 0, deferred: 1 });
+
+      const deferred = NotificationDelivery.create.mock.calls[1][0];
+      expect(deferred).toMatchObject({ address: 'ravi@bank.test', userCode: 'U2', organizationId: bankA });
+      expect(deferred.nextAttemptAt.getTime()).toBeGreaterThan(Date.now());
+      expect(NotificationDelivery.claim).toHaveBeenCalledTimes(1);
+    });
+
+    it('should let on-call super admins through quiet hours for critical alerts', async () => {
+      NotificationRecipient.findForEvent.mockResolvedValue([]);
+      Admin.findNotificationSubscribers.mockResolvedValue([
+        {
+          adminCode: 'SA-1',
+          email: 'root@bloodbridge.test',
+          notificationPreferences: {
+            channels: { EMAIL: true },
+            quietHours: { enabled: true, start: '00:00', end: '23:59', timezone: 'UTC' },
+            onCall: true
+          }
+        }
+      ]);
+      send.mockResolvedValue({});
+
+      const result = await NotificationDispatcher.notify(NOTIFICATION_EVENTS.ALERT_RAISED, {
+        superAdmins: true,
+        critical: true,
+        variables: { severity: 'CRITICAL', alertTitle: 'O- shortage' }
+      });
+
+      expect(result).toEqual({ queued: 1, sent: 1, failed: 0, deferred: 0 });
+      expect(NotificationDelivery.create.mock.calls[0][0]).toMatchObject({
+        userCode: 'SA-1',
+        organizationId: null,
+        subject: '[CRITICAL] O- shortage'
+      });
+    });
+
+    it('should schedule a retry with backoff after a failed attempt', async () => {
+      send.mockRejectedValue(new DeliveryError('connection refused'));
+
+      const before = Date.now();
+      const result = await NotificationDispatcher.attempt('d1');
+
+      expect(result.status).toBe(DELIVERY_STATUS.RETRYING);
+      expect(result.nextAttemptAt.getTime()).toBeGreaterThanOrEqual(before + RETRY_DELAYS_MS[0]);
+      expect(NotificationDelivery.recordAttempt.mock.calls[0][1]).toEqual(
+        expect.objectContaining({ success: false, error: 'connection refused' })
+      );
+    });
+
+    it('should give up on permanent failures and after the last attempt', async () => {
+      send.mockRejectedValueOnce(new DeliveryError('mailbox unavailable', { permanent: true }));
+      expect((await NotificationDispatcher.attempt('d1')).status).toBe(DELIVERY_STATUS.FAILED);
+
+      NotificationDelivery.claim.mockResolvedValueOnce(buildDelivery({ attempts: 4 }));
+      send.mockRejectedValueOnce(new DeliveryError('timeout'));
+      expect((await NotificationDispatcher.attempt('d1')).status).toBe(DELIVERY_STATUS.FAILED);
+    });
+
+    it('should skip deliveries claimed by another instance', async () => {
+      NotificationDelivery.claim.mockResolvedValueOnce(null);
+      expect(await NotificationDispatcher.attempt('d1')).toBeNull();
+      expect(send).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('backoff', () => {
+    it('should grow with attempts and cap at the last delay', () => {
+      expect(getRetryDelayMs(1)).toBe(RETRY_DELAYS_MS[0]);
+      expect(getRetryDelayMs(2)).toBeGreaterThan(getRetryDelayMs(1));
+      expect(getRetryDelayMs(10)).toBe(RETRY_DELAYS_MS[RETRY_DELAYS_MS.length - 1]);
+    });
+  });
+
+  describe('preferences', () => {
+    const quietHours = { enabled: true, start: '22:00', end: '07:00', timezone: 'Asia/Kolkata' };
+
+    it('should detect quiet hours that wrap midnight in the user\'s timezone', () => {
+      // 23:30 IST
+      expect(getQuietHoursEnd(quietHours, new Date('2026-03-01T18:00:00Z')))
+        .toEqual(new Date('2026-03-02T01:30:00Z'));
+      // 06:59 IST
+      expect(getQuietHoursEnd(quietHours, new Date('2026-03-02T01:29:00Z')))
+        .toEqual(new Date('2026-03-02T01:30:00Z'));
+      // 12:00 IST
+      expect(getQuietHoursEnd(quietHours, new Date('2026-03-02T06:30:00Z'))).toBeNull();
+    });
+
+    it('should apply channels, event opt-outs, quiet hours and the on-call override', () => {
+      const at = new Date('2026-03-01T18:00:00Z');
+      const stored = { channels: { EMAIL: true }, events: { REQUEST_ACCEPTED: false }, quietHours };
+
+      expect(evaluatePreferences(null, { event: 'REQUEST_CREATED', channel: 'EMAIL', at }).reason).toBe('CHANNEL_DISABLED');
+      expect(evaluatePreferences(null, { event: 'REQUEST_CREATED', channel: 'IN_APP', at }).deliver).toBe(true);
+      expect(evaluatePreferences(stored, { event: 'REQUEST_ACCEPTED', channel: 'EMAIL', at }).reason).toBe('EVENT_DISABLED');
+      expect(evaluatePreferences(stored, { event: 'REQUEST_CREATED', channel: 'EMAIL', at })).toMatchObject({
+        deliver: false,
+        reason: 'QUIET_HOURS'
+      });
+      expect(evaluatePreferences(stored, { event: 'REQUEST_CREATED', channel: 'EMAIL', critical: true, at }).deliver).toBe(false);
+      expect(evaluatePreferences({ ...stored, onCall: true }, { event: 'REQUEST_ACCEPTED', channel: 'EMAIL', critical: true, at }))
+        .toEqual({ deliver: true, deferUntil: null, reason: 'ON_CALL' });
+    });
+
+    it('should validate updates and keep unspecified fields', () => {
+      const { preferences } = mergePreferences({ channels: { EMAIL: true }, quietHours: { enabled: true } });
+      expect(preferences.channels).toEqual({ EMAIL: true, SMS: false, IN_APP: true });
+      expect(preferences.quietHours).toMatchObject({ enabled: true, start: '22:00', end: '07:00' });
+
+      expect(mergePreferences({ channels: { SMS: true } }).error).toMatch('SMS number is required');
+      expect(mergePreferences({ quietHours: { start: '25:00', timezone: 'Mars/Base' } }).error)
+        .toBe('Quiet hours start must be HH:MM, Unknown timezone: Mars/Base');
+      expect(mergePreferences({ events: { NOPE: true } }).error).toBe('Unknown event: NOPE');
+    });
+
+    it('should only silence the dashboard toast for users holding the event back', () => {
+      const data = { critical: true, request: { _id: 'r1' } };
+      const notification = { event: NOTIFICATION_EVENTS.REQUEST_CREATED };
+
+      expect(personalize({ preferences: null }, data, notification)).toBe(data);
+      expect(personalize({ preferences: { channels: { IN_APP: false } } }, data, notification))
+        .toEqual({ critical: false, request: { _id: 'r1' } });
+      expect(personalize({ preferences: { channels: { IN_APP: false } } }, data, null)).toBe(data);
+    });
+  });
+
+  describe('request audience', () => {
+    const request = { hospitalId, escalation: { notifiedBloodBankIds: [bankA] } };
+
+    it('should notify banks of new and escalated requests and the hospital of acceptance', () => {
+      expect(getNotificationAudience({ type: NOTIFICATION_EVENTS.REQUEST_CREATED, request })).toEqual([bankA]);
+      expect(getNotificationAudience({
+        type: NOTIFICATION_EVENTS.REQUEST_ESCALATED,
+        request,
+        context: { notifiedBloodBankIds: ['b2'] }
+      })).toEqual(['b2']);
+      expect(getNotificationAudience({ type: NOTIFICATION_EVENTS.REQUEST_ACCEPTED, request })).toEqual([hospitalId]);
+    });
+  });
+
+  describe('channels', () => {
+    const originalFetch = global.fetch;
+
+    afterEach(() => {
+      global.fetch = originalFetch;
+      delete process.env.NOTIFICATION_WEBHOOK_SECRET;
+    });
+
+    it('should sign webhook bodies and treat 4xx responses as permanent', async () => {
+      process.env.NOTIFICATION_WEBHOOK_SECRET = 'secret';
+      global.fetch = jest.fn().mockResolvedValueOnce({ ok: true, status: 204, text: async () => '' });
+
+      await webhookAdapter.send({ to: 'https://hooks.test/in', event: 'REQUEST_CREATED', body: 'hi', deliveryId: 'd1' });
+
+      const [, init] = global.fetch.mock.calls[0];
+      const expected = createHmac('sha256', 'secret').update(init.body).digest('hex');
+      expect(init.headers['X-BloodBridge-Signature']).toBe(`sha256=${expected}`);
+
+      global.fetch = jest.fn().mockResolvedValueOnce({ ok: false, status: 410, text: async () => 'gone' });
+      await expect(webhookAdapter.send({ to: 'https://hooks.test/in', event: 'REQUEST_CREATED' }))
+        .rejects.toMatchObject({ permanent: true });
+    });
+
+    it('should send mail through the mock SMTP server', async () => {
+      const received = [];
+      const server = createMockSmtpServer({
+        onMessage: (message) => received.push(message),
+        rejectRecipients: ['nobody@bank.test']
+      });
+      await new Promise((resolve) => server.listen(0, '127.0.0.1', resolve));
+      const { port } = server.address();
+
+      try {
+        await sendMail({
+          host: '127.0.0.1',
+          port,
+          user: 'user',
+          pass: 'pass',
+          from: 'BloodBridge <noreply@bloodbridge.test>',
+          to: 'ops@bank.test',
+          subject: 'Request REQ-1',
+          text: 'Line one\n.starts with a dot'
+        });
+
+        expect(received).toHaveLength(1);
+        expect(received[0].to).toEqual(['ops@bank.test']);
+        expect(received[0].data).toContain('Subject: Request REQ-1');
+        expect(received[0].data).toContain('\r\n.starts with a dot');
+
+        await expect(sendMail({
+          host: '127.0.0.1',
+          port,
+          from: 'noreply@bloodbridge.test',
+          to: 'nobody@bank.test',
+          subject: 'x',
+          text: 'x'
+        })).rejects.toMatchObject({ code: 550, permanent: true });
+      } finally {
+        await new Promise((resolve) => server.close(resolve));
+      }
+    });
+  });
+});
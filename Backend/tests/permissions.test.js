@@ -0,0 +1,228 @@
+import Permissions from '../services/Permissions.js';
+import OrganizationRole from '../models/organization/OrganizationRole.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import requirePermission from '../middleware/permission.middleware.js';
+import {
+  normalizeRole,
+  ORGANIZATION_PERMISSIONS,
+  BUILT_IN_ORGANIZATION_ROLES,
+  PLATFORM_ROLES
+} from '../config/permissions.js';
+
+jest.mock('../models/organization/OrganizationRole.js', () => ({
+  __esModule: true,
+  default: {
+    findOne: jest.fn(),
+    findByOrganization: jest.fn(),
+    upsert: jest.fn(),
+    delete: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: { countByRole: jest.fn() }
+}));
+
+const superAdmin = { id: 'admin-1', adminCode: 'SA-001', email: 'root@example.org', role: 'SUPERADMIN' };
+const platformAdmin = { id: 'admin-2', adminCode: 'AD-001', email: 'ops@example.org', role: 'ADMIN', permissions: ['approvals', 'stock:update'] };
+const orgUser = (role) => ({ userId: 'u-1', userCode: 'HOS-1-U-1', organizationCode: 'HOS-1', role });
+const donor = { userId: 'u-9', email: 'donor@example.org', role: 'User' };
+
+const labTech = {
+  organizationCode: 'HOS-1',
+  key: 'LAB_TECH',
+  name: 'Lab technician',
+  description: null,
+  permissions: ['stock:read', 'stock:update']
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  OrganizationRole.findOne.mockResolvedValue(null);
+});
+
+describe('normalizeRole', () => {
+  it('treats casing, spaces and dashes alike', () => {
+    expect(normalizeRole('Admin')).toBe('ADMIN');
+    expect(normalizeRole(' lab tech ')).toBe('LAB_TECH');
+    expect(normalizeRole('Lab-Tech')).toBe('LAB_TECH');
+    expect(normalizeRole(undefined)).toBe('');
+  });
+});
+
+describe('Permissions.resolve', () => {
+  it('gives super admins everything and admins the platform set plus registry keys on their account', async () => {
+    const rootPermissions = await Permissions.resolve(superAdmin);
+    const adminPermissions = await Permissions.resolve(platformAdmin);
+
+    expect(rootPermissions).toEqual(expect.arrayContaining(['organization:verify', 'roles:manage', 'camp:register']));
+    expect(adminPermissions).toEqual(expect.arrayContaining([...PLATFORM_ROLES.ADMIN, 'stock:update']));
+    expect(adminPermissions).not.toContain('approvals');
+    expect(adminPermissions).not.toContain('users:manage');
+  });
+
+  it('lets admins oversee requests and keeps that out of organization roles', async () => {
+    expect(await Permissions.resolve(platformAdmin)).toEqual(expect.arrayContaining(['request:read', 'request:oversee']));
+    expect(ORGANIZATION_PERMISSIONS).not.toContain('request:oversee');
+    expect(await Permissions.resolve(orgUser('Viewer'))).toEqual(expect.arrayContaining(['incident:read']));
+    expect(await Permissions.resolve(orgUser('Viewer'))).not.toContain('incident:manage');
+  });
+
+  it('gives organization admins every organization permission without a lookup', async () => {
+    const permissions = await Permissions.resolve(orgUser('Admin'));
+
+    expect(permissions).toEqual(ORGANIZATION_PERMISSIONS);
+    expect(OrganizationRole.findOne).not.toHaveBeenCalled();
+  });
+
+  it("uses the organization's definition of a custom role", async () => {
+    OrganizationRole.findOne.mockImplementation(async (organizationCode, key) => (key === 'LAB_TECH' ? labTech : null));
+
+    const permissions = await Permissions.resolve(orgUser('Lab Tech'));
+
+    expect(OrganizationRole.findOne).toHaveBeenCalledWith('HOS-1', 'LAB_TECH');
+    expect(permissions).toEqual(['stock:read', 'stock:update']);
+  });
+
+  it("falls back to MEMBER, as the organization changed it, for roles it hasn't defined", async () => {
+    const defaults = await Permissions.resolve(orgUser('Doctor'));
+
+    OrganizationRole.findOne.mockImplementation(async (organizationCode, key) =>
+      key === 'MEMBER' ? { organizationCode, key, name: 'Member', permissions: ['request:read'] } : null
+    );
+    const customised = await Permissions.resolve(orgUser('Doctor'));
+
+    expect(defaults).toEqual(BUILT_IN_ORGANIZATION_ROLES.MEMBER.permissions);
+    expect(defaults).not.toContain('users:manage');
+    expect(customised).toEqual(['request:read']);
+  });
+
+  it('gives donors camp registration only', async () => {
+    expect(await Permissions.resolve(donor)).toEqual(['camp:register']);
+    expect(await Permissions.resolve({ ...donor, role: 'SUPERADMIN' })).toEqual([]);
+  });
+});
+
+describe('Permissions roles', () => {
+  const orgAdmin = { userCode: 'HOS-1-ADMIN', permissions: ORGANIZATION_PERMISSIONS };
+
+  it('saves a custom role under its normalized name', async () => {
+    OrganizationRole.upsert.mockImplementation(async (organizationCode, key, role, updatedBy) => ({
+      organizationCode,
+      key,
+      ...role,
+      updatedBy
+    }));
+
+    const result = await Permissions.saveRole('HOS-1', 'lab tech', { permissions: ['stock:read', 'stock:read'] }, orgAdmin);
+
+    expect(result.success).toBe(true);
+    expect(OrganizationRole.upsert).toHaveBeenCalledWith(
+      'HOS-1',
+      'LAB_TECH',
+      { name: 'lab tech', description: undefined, permissions: ['stock:read'] },
+      'HOS-1-ADMIN'
+    );
+    expect(result.role).toEqual(expect.objectContaining({ key: 'LAB_TECH', builtIn: false, customised: true }));
+  });
+
+  it('refuses to change ADMIN, unknown permissions and permissions the actor lacks', async () => {
+    const admin = await Permissions.saveRole('HOS-1', 'Admin', { permissions: [] }, orgAdmin);
+    const unknown = await Permissions.saveRole('HOS-1', 'LAB_TECH', { permissions: ['stock:delete'] }, orgAdmin);
+    const platform = await Permissions.saveRole('HOS-1', 'LAB_TECH', { permissions: ['organization:verify'] }, orgAdmin);
+    const escalation = await Permissions.saveRole(
+      'HOS-1',
+      'LAB_TECH',
+      { permissions: ['users:manage'] },
+      { userCode: 'HOS-1-U-2', permissions: ['roles:manage', 'stock:read'] }
+    );
+    const badName = await Permissions.saveRole('HOS-1', '9 lives', { permissions: [] }, orgAdmin);
+
+    expect(admin).toEqual(expect.objectContaining({ success: false, statusCode: 403 }));
+    expect(unknown).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+    expect(platform).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+    expect(escalation).toEqual(expect.objectContaining({ success: false, statusCode: 403 }));
+    expect(badName).toEqual(expect.objectContaining({ success: false, statusCode: 400 }));
+    expect(OrganizationRole.upsert).not.toHaveBeenCalled();
+  });
+
+  it('keeps custom roles that users still hold and resets built-in ones', async () => {
+    OrganizationUser.countByRole.mockResolvedValue(2);
+    const held = await Permissions.deleteRole('HOS-1', 'LAB_TECH');
+
+    OrganizationRole.delete.mockResolvedValue(true);
+    const reset = await Permissions.deleteRole('HOS-1', 'member');
+
+    expect(held).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+    expect(reset).toEqual({ success: true, reset: true });
+    expect(OrganizationRole.delete).toHaveBeenCalledWith('HOS-1', 'MEMBER');
+  });
+
+  it('lists built-in roles with overrides, then custom roles', async () => {
+    OrganizationRole.findByOrganization.mockResolvedValue([
+      labTech,
+      { organizationCode: 'HOS-1', key: 'VIEWER', name: 'Viewer', permissions: ['request:read'] },
+      { organizationCode: 'HOS-1', key: 'ADMIN', name: 'Admin', permissions: [] }
+    ]);
+
+    const { roles, permissions } = await Permissions.listRoles('HOS-1');
+
+    expect(roles.map((role) => role.key)).toEqual(['ADMIN', 'MEMBER', 'VIEWER', 'LAB_TECH']);
+    expect(roles[0].permissions).toEqual(ORGANIZATION_PERMISSIONS);
+    expect(roles[2]).toEqual(expect.objectContaining({ builtIn: true, customised: true, permissions: ['request:read'] }));
+    expect(permissions).toEqual(expect.arrayContaining([{ key: 'request:create', description: 'Raise blood requests' }]));
+  });
+
+  it('only assigns roles the organization has defined', async () => {
+    OrganizationRole.findOne.mockImplementation(async (organizationCode, key) => (key === 'LAB_TECH' ? labTech : null));
+
+    expect(await Permissions.findAssignableRole('HOS-1', 'lab_tech')).toEqual(expect.objectContaining({ key: 'LAB_TECH' }));
+    expect(await Permissions.findAssignableRole('HOS-1', 'viewer')).toEqual(expect.objectContaining({ key: 'VIEWER' }));
+    expect(await Permissions.findAssignableRole('HOS-1', 'Doctor')).toBeNull();
+  });
+});
+
+describe('requirePermission', () => {
+  const run = async (middleware, user, req = {}) => {
+    const request = { user, method: 'POST', originalUrl: '/api/test', ...req };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await middleware(request, res, next);
+    return { req: request, res, next };
+  };
+
+  it('refuses unknown permission keys when the route is defined', () => {
+    expect(() => requirePermission('request:destroy')).toThrow('Unknown permission(s): request:destroy');
+  });
+
+  it('lets callers with every permission through and leaves their permissions on the request', async () => {
+    const { req, next } = await run(requirePermission('request:read', 'request:create'), orgUser('ADMIN'));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.permissions).toEqual(ORGANIZATION_PERMISSIONS);
+  });
+
+  it('answers 403 when a permission is missing', async () => {
+    const { res, next } = await run(requirePermission('roles:manage'), orgUser('Viewer'));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(403);
+    expect(res.json).toHaveBeenCalledWith(expect.objectContaining({ code: 'PERMISSION_DENIED' }));
+  });
+
+  it('resolves permissions once per request', async () => {
+    const { next } = await run(requirePermission('stock:update'), orgUser('Lab Tech'), {
+      permissions: ['stock:update']
+    });
+
+    expect(next).toHaveBeenCalled();
+    expect(OrganizationRole.findOne).not.toHaveBeenCalled();
+  });
+
+  it('answers 401 without an authenticated user', async () => {
+    const { res } = await run(requirePermission('request:read'), undefined);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+});
@@ -0,0 +1,199 @@
+import { EventEmitter } from 'events';
+import RealtimeHub, { isInAudience } from '../services/RealtimeHub.js';
+import { registerRealtimeBroadcaster, getRequestAudience, toRequestPayload } from '../services/RealtimeBroadcaster.js';
+import { REQUEST_EVENTS, emitRequestEvent } from '../services/BloodRequestStateMachine.js';
+import { REALTIME_EVENTS, emitRealtimeEvent } from '../services/RealtimeEvents.js';
+
+const hospitalId = '65f000000000000000000001';
+const bankA = '65f000000000000000000002';
+const bankB = '65f000000000000000000003';
+
+const mockStream = () => {
+  const req = new EventEmitter();
+  const res = {
+    writeHead: jest.fn(),
+    write: jest.fn(),
+    end: jest.fn()
+  };
+  return { req, res };
+};
+
+// Events written to a stream after the initial "connected" frame
+const eventsWritten = (res) =>
+  res.write.mock.calls
+    .map(([frame]) => frame)
+    .filter((frame) => frame.startsWith('event: ') && !frame.startsWith('event: connected'))
+    .map((frame) => ({
+      type: frame.split('\n')[0].replace('event: ', ''),
+      data: JSON.parse(frame.split('\n')[1].replace('data: ', ''))
+    }));
+
+const buildRequest = (overrides = {}) => ({
+  _id: '65f0000000000000000000aa',
+  requestCode: 'REQ-1',
+  hospitalId,
+  bloodBankId: null,
+  status: 'PENDING',
+  urgency: 'CRITICAL',
+  bloodGroup: 'O-',
+  component: 'WHOLE_BLOOD',
+  unitsRequired: 4,
+  escalation: { notifiedBloodBankIds: [bankA] },
+  ...overrides
+});
+
+describe('Realtime push', () => {
+  describe('isInAudience', () => {
+    it('should scope organization users to their own organization and role', () => {
+      const doctor = { organizationId: hospitalId, role: 'Doctor' };
+      expect(isInAudience(doctor, { organizationIds: [hospitalId] })).toBe(true);
+      expect(isInAudience(doctor, { organizationIds: [bankA] })).toBe(false);
+      expect(isInAudience(doctor, { organizationIds: [hospitalId], roles: ['Admin'] })).toBe(false);
+    });
+
+    it('should let super admins see everything unless excluded', () => {
+      const superAdmin = { isSuperAdmin: true, role: 'SUPERADMIN' };
+      expect(isInAudience(superAdmin, { organizationIds: [bankA] })).toBe(true);
+      expect(isInAudience(superAdmin, { organizationIds: [bankA], superAdmin: false })).toBe(false);
+    });
+  });
+
+  describe('request audience', () => {
+    it('should include the hospital, notified banks and allocation banks', () => {
+      const request = buildRequest({ allocations: [{ bloodBankId: bankB }] });
+      const audience = getRequestAudience({ request, context: {} });
+      expect(audience.organizationIds).toEqual(expect.arrayContaining([hospitalId, bankA, bankB]));
+    });
+
+    it('should only mark arrivals of CRITICAL requests as critical', () => {
+      const request = buildRequest();
+      expect(toRequestPayload({ type: REQUEST_EVENTS.CREATED, request, to: 'PENDING' }).critical).toBe(true);
+      expect(toRequestPayload({ type: REQUEST_EVENTS.ACCEPTED, request, to: 'ACCEPTED' }).critical).toBe(false);
+      expect(toRequestPayload({
+        type: REQUEST_EVENTS.CREATED,
+        request: buildRequest({ urgency: 'LOW' }),
+        to: 'PENDING'
+      }).critical).toBe(false);
+    });
+  });
+
+  describe('broadcasting', () => {
+    let hospitalStream;
+    let bankAStream;
+    let bankBStream;
+    let adminStream;
+
+    beforeAll(() => {
+      registerRealtimeBroadcaster();
+    });
+
+    beforeEach(() => {
+      RealtimeHub.closeAll();
+      hospitalStream = mockStream();
+      bankAStream = mockStream();
+      bankBStream = mockStream();
+      adminStream = mockStream();
+      RealtimeHub.connect(hospitalStream.req, hospitalStream.res, { organizationId: hospitalId, role: 'Doctor' });
+      RealtimeHub.connect(bankAStream.req, bankAStream.res, { organizationId: bankA, role: 'Admin' });
+      RealtimeHub.connect(bankBStream.req, bankBStream.res, { organizationId: bankB, role: 'Admin' });
+      RealtimeHub.connect(adminStream.req, adminStream.res, { isSuperAdmin: true, role: 'SUPERADMIN' });
+    });
+
+    afterAll(() => {
+      RealtimeHub.closeAll();
+    });
+
+    it('should push request transitions to the organizations involved only', () => {
+      emitRequestEvent(REQUEST_EVENTS.CREATED, { request: buildRequest(), from: null, to: 'PENDING', actor: {} });
+
+      expect(eventsWritten(hospitalStream.res)).toEqual([
+        expect.objectContaining({ type: 'request', data: expect.objectContaining({ requestCode: 'REQ-1', critical: true }) })
+      ]);
+      expect(eventsWritten(bankAStream.res)).toHaveLength(1);
+      expect(eventsWritten(adminStream.res)).toHaveLength(1);
+      expect(eventsWritten(bankBStream.res)).toHaveLength(0);
+    });
+
+    it('should push stock changes to the blood bank alone', () => {
+      emitRealtimeEvent(REALTIME_EVENTS.STOCK_CHANGED, { bloodBankId: bankB, bloodGroup: 'A+', change: 'UPDATED' });
+
+      expect(eventsWritten(bankBStream.res)).toEqual([
+        expect.objectContaining({ type: 'stock', data: expect.objectContaining({ bloodGroup: 'A+', change: 'UPDATED' }) })
+      ]);
+      expect(eventsWritten(bankAStream.res)).toHaveLength(0);
+      expect(eventsWritten(hospitalStream.res)).toHaveLength(0);
+    });
+
+    it('should push alerts to the related organizations and super admins', () => {
+      emitRealtimeEvent(REALTIME_EVENTS.ALERT_CREATED, {
+        alert: {
+          _id: 'alert-1',
+          type: 'NGO_FALLBACK_TRIGGERED',
+          severity: 'CRITICAL',
+          relatedEntity: { hospitalId }
+        }
+      });
+
+      expect(eventsWritten(hospitalStream.res)[0].data).toEqual(expect.objectContaining({ alertId: 'alert-1', critical: true }));
+      expect(eventsWritten(adminStream.res)).toHaveLength(1);
+      expect(eventsWritten(bankAStream.res)).toHaveLength(0);
+    });
+
+    it('should keep thread messages between the participants', () => {
+      emitRealtimeEvent(REALTIME_EVENTS.MESSAGE_POSTED, {
+        label: 'REQ-1 · 2 unit(s) O-',
+        message: {
+          _id: 'message-1',
+          thread: { entityType: 'BLOOD_REQUEST', entityId: 'request-1' },
+          participantIds: [hospitalId, bankA],
+          sender: { organizationId: hospitalId, userCode: 'U-1' },
+          body: 'Can you send 2 units by noon?',
+          attachments: [],
+          readBy: [],
+          createdAt: new Date()
+        }
+      });
+
+      expect(eventsWritten(bankAStream.res)).toEqual([
+        expect.objectContaining({
+          type: 'message',
+          data: expect.objectContaining({ action: 'POSTED', entityId: 'request-1' })
+        })
+      ]);
+      expect(eventsWritten(hospitalStream.res)).toHaveLength(1);
+      expect(eventsWritten(bankBStream.res)).toHaveLength(0);
+      expect(eventsWritten(adminStream.res)).toHaveLength(0);
+    });
+
+    it('should push admin notices to their recipients without the recipient list', () => {
+      emitRealtimeEvent(REALTIME_EVENTS.NOTICE_SENT, {
+        notice: {
+          _id: 'notice-1',
+          title: 'Audit next week',
+          body: 'Keep your cold chain logs ready.',
+          priority: 'CRITICAL',
+          requiresAcknowledgment: true,
+          recipientIds: [bankA, bankB],
+          sentBy: { adminCode: 'SA-1', name: 'Control Room' },
+          createdAt: new Date()
+        }
+      });
+
+      const [event] = eventsWritten(bankAStream.res);
+      expect(event).toEqual(
+        expect.objectContaining({ type: 'notice', data: expect.objectContaining({ action: 'SENT', critical: true }) })
+      );
+      expect(event.data.notice.recipientIds).toBeUndefined();
+      expect(eventsWritten(bankBStream.res)).toHaveLength(1);
+      expect(eventsWritten(adminStream.res)).toHaveLength(1);
+      expect(eventsWritten(hospitalStream.res)).toHaveLength(0);
+    });
+
+    it('should stop writing to a stream once the client disconnects', () => {
+      hospitalStream.req.emit('close');
+      emitRealtimeEvent(REALTIME_EVENTS.ALERT_CREATED, { alert: { _id: 'alert-2', relatedEntity: { hospitalId } } });
+
+      expect(eventsWritten(hospitalStream.res)).toHaveLength(0);
+    });
+  });
+});
@@ -0,0 +1,395 @@
+import {
+  REQUEST_STATUS,
+  REQUEST_EVENTS,
+  ALLOCATION_STATUS,
+  DISPATCH_STATUS,
+  actionForStatus,
+  checkAllocationTransition,
+  checkTransition,
+  emitRequestEvent,
+  normalizeStatus,
+  requestEvents
+} from '../services/BloodRequestStateMachine.js';
+import HospitalBloodRequest from '../models/hospital/HospitalBloodRequest.js';
+import Alert from '../models/admin/Alert.js';
+import StockLedger from '../services/StockLedger.js';
+
+const BANK_A = '507f1f77bcf86cd799439011';
+const BANK_B = '507f1f77bcf86cd799439012';
+
+const buildRequest = (overrides = {}) => ({
+  status: REQUEST_STATUS.PENDING,
+  bloodBankId: BANK_A,
+  unitsRequired: 4,
+  escalation: { notifiedBloodBankIds: [BANK_A] },
+  ...overrides
+});
+
+describe('Blood Request State Machine', () => {
+  describe('normalizeStatus', () => {
+    it('should map legacy admin statuses onto the unified set', () => {
+      expect(normalizeStatus('APPROVED')).toBe(REQUEST_STATUS.ACCEPTED);
+      expect(normalizeStatus('completed')).toBe(REQUEST_STATUS.FULFILLED);
+      expect(normalizeStatus('pending')).toBe(REQUEST_STATUS.PENDING);
+    });
+  });
+
+  describe('checkTransition', () => {
+    it('should allow PENDING → ACCEPTED for the assigned bank', () => {
+      const result = checkTransition(buildRequest(), 'accept', { bloodBankId: BANK_A });
+      expect(result.allowed).toBe(true);
+      expect(result.transition.to).toBe(REQUEST_STATUS.ACCEPTED);
+      expect(result.transition.event).toBe(REQUEST_EVENTS.ACCEPTED);
+    });
+
+    it('should reject acceptance by a bank the request is not assigned to', () => {
+      const result = checkTransition(buildRequest(), 'accept', { bloodBankId: BANK_B });
+      expect(result.allowed).toBe(false);
+      expect(result.statusCode).toBe(400);
+    });
+
+    it('should let a notified bank claim an unassigned request', () => {
+      const request = buildRequest({
+        bloodBankId: null,
+        escalation: { notifiedBloodBankIds: [BANK_B] }
+      });
+      expect(checkTransition(request, 'accept', { bloodBankId: BANK_B }).allowed).toBe(true);
+      expect(checkTransition(request, 'accept', { bloodBankId: BANK_A }).allowed).toBe(false);
+    });
+
+    it('should refuse transitions out of terminal states with 409', () => {
+      const request = buildRequest({ status: REQUEST_STATUS.FULFILLED });
+      const result = checkTransition(request, 'cancel', {});
+      expect(result.allowed).toBe(false);
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should not fulfill a PENDING request', () => {
+      const result = checkTransition(buildRequest(), 'fulfill', { unitsFulfilled: 2 });
+      expect(result.allowed).toBe(false);
+      expect(result.statusCode).toBe(409);
+    });
+
+    it('should validate dispatch mode, hand-over details and units', () => {
+      const request = buildRequest({ status: REQUEST_STATUS.ACCEPTED });
+      const courier = { name: 'Ravi', phone: '9800000000' };
+
+      const result = checkTransition(request, 'dispatch', { mode: 'COURIER', courier, units: 4 });
+      expect(result.allowed).toBe(true);
+      expect(result.transition.to).toBe(REQUEST_STATUS.PROCESSING);
+
+      expect(checkTransition(request, 'dispatch', { mode: 'DRONE', units: 4 }).allowed).toBe(false);
+      expect(checkTransition(request, 'dispatch', { mode: 'COURIER', courier: { name: 'Ravi' }, units: 4 }).allowed).toBe(false);
+      expect(checkTransition(request, 'dispatch', { mode: 'PICKUP', pickup: { collectorName: 'Asha' }, units: 5 }).allowed).toBe(false);
+    });
+
+    it('should not dispatch a request twice', () => {
+      const request = buildRequest({
+        status: REQUEST_STATUS.PROCESSING,
+        dispatch: { status: DISPATCH_STATUS.DISPATCHED, units: 4 }
+      });
+      const result = checkTransition(request, 'dispatch', { mode: 'PICKUP', pickup: { collectorName: 'Asha' }, units: 4 });
+      expect(result.allowed).toBe(false);
+    });
+
+    it('should only fulfill once the hospital confirms receipt of dispatched units', () => {
+      const undispatched = buildRequest({ status: REQUEST_STATUS.PROCESSING });
+      expect(checkTransition(undispatched, 'fulfill', { unitsFulfilled: 4 }).allowed).toBe(false);
+
+      const dispatched = buildRequest({
+        status: REQUEST_STATUS.PROCESSING,
+        dispatch: { status: DISPATCH_STATUS.IN_TRANSIT, units: 3 }
+      });
+      expect(checkTransition(dispatched, 'fulfill', { unitsFulfilled: 3 }).allowed).toBe(true);
+      expect(checkTransition(dispatched, 'fulfill', { unitsFulfilled: 4 }).allowed).toBe(false);
+      expect(checkTransition(dispatched, 'fulfill', { unitsFulfilled: NaN }).allowed).toBe(false);
+    });
+
+    it('should not cancel a request whose units are on their way', () => {
+      const dispatched = buildRequest({
+        status: REQUEST_STATUS.PROCESSING,
+        dispatch: { status: DISPATCH_STATUS.DISPATCHED, units: 4 }
+      });
+      expect(checkTransition(dispatched, 'cancel', {}).allowed).toBe(false);
+    });
+
+    it('should only let the assigned bank reject', () => {
+      const reason = 'Out of stock';
+      expect(checkTransition(buildRequest(), 'reject', { reason, bloodBankId: BANK_A }).allowed).toBe(true);
+      expect(checkTransition(buildRequest(), 'reject', { reason, bloodBankId: BANK_B }).allowed).toBe(false);
+      expect(checkTransition(buildRequest({ status: REQUEST_STATUS.ACCEPTED }), 'reject', { reason, bloodBankId: BANK_B }).allowed).toBe(false);
+      expect(checkTransition(buildRequest({ bloodBankId: null }), 'reject', { reason }).allowed).toBe(false);
+    });
+
+    it('should require a reason to reject', () => {
+      expect(checkTransition(buildRequest(), 'reject', { reason: ' ' }).allowed).toBe(false);
+      expect(checkTransition(buildRequest(), 'reject', { reason: 'Out of stock' }).allowed).toBe(true);
+    });
+
+    it('should only expire requests past expiresAt', () => {
+      const now = new Date('2026-01-01T12:00:00Z');
+      const lapsed = buildRequest({ expiresAt: new Date('2026-01-01T11:00:00Z') });
+      const current = buildRequest({ expiresAt: new Date('2026-01-01T13:00:00Z') });
+      expect(checkTransition(lapsed, 'expire', { now }).allowed).toBe(true);
+      expect(checkTransition(current, 'expire', { now }).allowed).toBe(false);
+    });
+
+    it('should reject unknown actions', () => {
+      const result = checkTransition(buildRequest(), 'teleport', {});
+      expect(result.allowed).toBe(false);
+      expect(result.statusCode).toBe(400);
+    });
+  });
+
+  describe('split requests', () => {
+    const splitRequest = buildRequest({ bloodBankId: null, allowSplit: true });
+
+    it('should only accept or fulfill a split request as an allocation roll-up', () => {
+      expect(checkTransition(splitRequest, 'accept', { bloodBankId: BANK_A }).allowed).toBe(false);
+      expect(checkTransition(splitRequest, 'accept', { rollup: true }).allowed).toBe(true);
+
+      const accepted = { ...splitRequest, status: REQUEST_STATUS.ACCEPTED };
+      expect(checkTransition(accepted, 'fulfill', { unitsFulfilled: 4 }).allowed).toBe(false);
+      expect(checkTransition(accepted, 'fulfill', { unitsFulfilled: 4, rollup: true }).allowed).toBe(true);
+    });
+
+    it('should not let a single bank reject a split request', () => {
+      expect(checkTransition(splitRequest, 'reject', { reason: 'Out of stock' }).allowed).toBe(false);
+    });
+  });
+
+  describe('checkAllocationTransition', () => {
+    const buildAllocation = (overrides = {}) => ({
+      bloodBankId: BANK_A,
+      units: 3,
+      status: ALLOCATION_STATUS.PENDING,
+      dispatch: null,
+      ...overrides
+    });
+
+    it('should only let the allocated bank accept', () => {
+      expect(checkAllocationTransition(buildAllocation(), 'accept', { bloodBankId: BANK_A }).allowed).toBe(true);
+      expect(checkAllocationTransition(buildAllocation(), 'accept', { bloodBankId: BANK_B }).allowed).toBe(false);
+    });
+
+    it('should cap dispatched units at the allocated units', () => {
+      const allocation = buildAllocation({ status: ALLOCATION_STATUS.ACCEPTED });
+      const pickup = { collectorName: 'Asha' };
+      expect(checkAllocationTransition(allocation, 'dispatch', { mode: 'PICKUP', pickup, units: 3 }).allowed).toBe(true);
+      expect(checkAllocationTransition(allocation, 'dispatch', { mode: 'PICKUP', pickup, units: 4 }).allowed).toBe(false);
+    });
+
+    it('should only fulfill a dispatched allocation, up to the units dispatched', () => {
+      const accepted = buildAllocation({ status: ALLOCATION_STATUS.ACCEPTED });
+      expect(checkAllocationTransition(accepted, 'fulfill', { unitsFulfilled: 3 }).statusCode).toBe(409);
+
+      const dispatched = buildAllocation({
+        status: ALLOCATION_STATUS.DISPATCHED,
+        dispatch: { status: DISPATCH_STATUS.DISPATCHED, units: 2 }
+      });
+      const receipt = checkAllocationTransition(dispatched, 'fulfill', { unitsFulfilled: 2 });
+      expect(receipt.allowed).toBe(true);
+      expect(receipt.transition.to).toBe(ALLOCATION_STATUS.FULFILLED);
+      expect(checkAllocationTransition(dispatched, 'fulfill', { unitsFulfilled: 3 }).allowed).toBe(false);
+    });
+
+    it('should refuse to cancel a dispatched allocation', () => {
+      const dispatched = buildAllocation({ status: ALLOCATION_STATUS.DISPATCHED });
+      expect(checkAllocationTransition(dispatched, 'cancel').statusCode).toBe(409);
+    });
+
+    it('should refuse to cancel a fulfilled allocation', () => {
+      const result = checkAllocationTransition(buildAllocation({ status: ALLOCATION_STATUS.FULFILLED }), 'cancel');
+      expect(result.allowed).toBe(false);
+      expect(result.statusCode).toBe(409);
+    });
+  });
+
+  describe('actionForStatus', () => {
+    it('should resolve target statuses to actions', () => {
+      expect(actionForStatus('APPROVED')).toBe('accept');
+      expect(actionForStatus('PROCESSING')).toBe('startProcessing');
+      expect(actionForStatus('COMPLETED')).toBe('fulfill');
+      expect(actionForStatus('PENDING')).toBeNull();
+    });
+  });
+
+  describe('emitRequestEvent', () => {
+    it('should deliver to typed and wildcard listeners and survive listener errors', () => {
+      const typed = jest.fn();
+      const wildcard = jest.fn();
+      const failing = () => { throw new Error('boom'); };
+      const consoleSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+      requestEvents.on(REQUEST_EVENTS.CANCELLED, typed);
+      requestEvents.on(REQUEST_EVENTS.CANCELLED, failing);
+      requestEvents.on('*', wildcard);
+
+      expect(() => emitRequestEvent(REQUEST_EVENTS.CANCELLED, { request: {} })).not.toThrow();
+      expect(typed).toHaveBeenCalledWith(expect.objectContaining({ type: REQUEST_EVENTS.CANCELLED }));
+      expect(wildcard).toHaveBeenCalledTimes(1);
+
+      requestEvents.removeAllListeners();
+      consoleSpy.mockRestore();
+    });
+  });
+});
+
+describe('HospitalBloodRequest.updateById', () => {
+  const requestId = '507f1f77bcf86cd7994390aa';
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.fn(async (filter, update) => ({ _id: requestId, ...update.$set }));
+    jest.spyOn(HospitalBloodRequest, 'getCollection').mockReturnValue({ findOneAndUpdate });
+    jest.spyOn(HospitalBloodRequest, 'findById').mockResolvedValue(buildRequest({ _id: requestId }));
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should only write the editable details, and only while PENDING', async () => {
+    const result = await HospitalBloodRequest.updateById(requestId, {
+      hospitalNotes: 'Patient moved to ICU',
+      deliveryAddress: 'Gate 2',
+      unitsRequired: 40,
+      unitsFulfilled: 4,
+      allocations: [],
+      statusHistory: [],
+      priority: 999
+    });
+
+    expect(result.success).toBe(true);
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual({ _id: requestId, status: REQUEST_STATUS.PENDING });
+    expect(Object.keys(update.$set).sort()).toEqual(['fulfillmentDetails.deliveryAddress', 'hospitalNotes', 'updatedAt']);
+  });
+
+  it('should refuse edits with nothing editable, and edits once the request has moved on', async () => {
+    expect(await HospitalBloodRequest.updateById(requestId, { unitsRequired: 40 })).toEqual(
+      expect.objectContaining({ success: false, statusCode: 400 })
+    );
+
+    HospitalBloodRequest.findById.mockResolvedValue(buildRequest({ _id: requestId, status: REQUEST_STATUS.ACCEPTED }));
+    findOneAndUpdate.mockResolvedValue(null);
+    expect(await HospitalBloodRequest.updateById(requestId, { hospitalNotes: 'Later' })).toEqual(
+      expect.objectContaining({ success: false, statusCode: 409 })
+    );
+  });
+});
+
+describe('HospitalBloodRequest.transition', () => {
+  const requestId = '507f1f77bcf86cd7994390aa';
+  let findOneAndUpdate;
+
+  beforeEach(() => {
+    const request = buildRequest({ _id: requestId, requestCode: 'REQ-1', status: REQUEST_STATUS.ACCEPTED, stockIssues: [] });
+    findOneAndUpdate = jest
+      .fn()
+      .mockImplementationOnce(async (filter, update) => ({ ...request, ...update.$set }))
+      .mockImplementationOnce(async (filter, update) => ({
+        ...request,
+        status: REQUEST_STATUS.CANCELLED,
+        stockIssues: [update.$push.stockIssues]
+      }));
+    jest.spyOn(HospitalBloodRequest, 'getCollection').mockReturnValue({ findOneAndUpdate });
+    jest.spyOn(HospitalBloodRequest, 'findById').mockResolvedValue(request);
+    jest.spyOn(StockLedger, 'prepare').mockResolvedValue({ success: true, rollback: jest.fn() });
+    jest.spyOn(Alert, 'create').mockResolvedValue({});
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should flag the request and alert admins when its hold is not released', async () => {
+    jest.spyOn(StockLedger, 'settle').mockResolvedValue({ success: false });
+
+    const result = await HospitalBloodRequest.transition(requestId, 'cancel', { reason: 'Patient stable' }, { code: 'HOS-1-U' });
+
+    expect(result.success).toBe(true);
+    expect(result.request.status).toBe(REQUEST_STATUS.CANCELLED);
+    expect(result.request.stockIssues).toEqual([expect.objectContaining({ action: 'cancel', bloodBankId: BANK_A })]);
+    expect(Alert.create).toHaveBeenCalledWith(
+      expect.objectContaining({ type: 'STOCK_SETTLEMENT_FAILED', relatedEntity: expect.objectContaining({ emergencyId: requestId }) })
+    );
+  });
+
+  it('should not flag anything when the stock settles', async () => {
+    jest.spyOn(StockLedger, 'settle').mockResolvedValue({ success: true });
+
+    const result = await HospitalBloodRequest.transition(requestId, 'cancel', { reason: 'Patient stable' });
+
+    expect(result.success).toBe(true);
+    expect(findOneAndUpdate).toHaveBeenCalledTimes(1);
+    expect(Alert.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('HospitalBloodRequest.deleteById', () => {
+  const requestId = '507f1f77bcf86cd7994390aa';
+  let deleteOne;
+
+  beforeEach(() => {
+    deleteOne = jest.fn().mockResolvedValue({ deletedCount: 1 });
+    jest.spyOn(HospitalBloodRequest, 'getCollection').mockReturnValue({ deleteOne });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should only delete requests that hold no stock', async () => {
+    expect(await HospitalBloodRequest.deleteById(requestId)).toEqual({ success: true });
+
+    const [filter] = deleteOne.mock.calls[0];
+    expect(filter.status.$nin).toEqual([REQUEST_STATUS.ACCEPTED, REQUEST_STATUS.PROCESSING]);
+    expect(filter['allocations.status'].$nin).toEqual(
+      expect.arrayContaining([ALLOCATION_STATUS.PENDING, ALLOCATION_STATUS.ACCEPTED, ALLOCATION_STATUS.DISPATCHED])
+    );
+  });
+
+  it('should answer 409 for a request holding stock and 404 for an unknown one', async () => {
+    deleteOne.mockResolvedValue({ deletedCount: 0 });
+    const findSpy = jest.spyOn(HospitalBloodRequest, 'findById').mockResolvedValue(buildRequest({ status: REQUEST_STATUS.ACCEPTED }));
+
+    expect(await HospitalBloodRequest.deleteById(requestId)).toEqual(expect.objectContaining({ success: false, statusCode: 409 }));
+
+    findSpy.mockResolvedValue(null);
+    expect(await HospitalBloodRequest.deleteById(requestId)).toEqual(expect.objectContaining({ success: false, statusCode: 404 }));
+    expect(await HospitalBloodRequest.deleteById('not-an-id')).toEqual(expect.objectContaining({ statusCode: 404 }));
+  });
+});
+
+describe('HospitalBloodRequest.rejectRequest', () => {
+  const requestId = '507f1f77bcf86cd7994390aa';
+  let findOneAndUpdate;
+  let transitionSpy;
+
+  beforeEach(() => {
+    findOneAndUpdate = jest.fn(async () => ({ _id: requestId }));
+    jest.spyOn(HospitalBloodRequest, 'getCollection').mockReturnValue({ findOneAndUpdate });
+    transitionSpy = jest.spyOn(HospitalBloodRequest, 'transition').mockResolvedValue({ success: true });
+  });
+
+  afterEach(() => jest.restoreAllMocks());
+
+  it('should only record a decline when a notified bank rejects an unassigned request', async () => {
+    jest.spyOn(HospitalBloodRequest, 'findById').mockResolvedValue(
+      buildRequest({ _id: requestId, bloodBankId: null, escalation: { notifiedBloodBankIds: [BANK_A, BANK_B] } })
+    );
+
+    const result = await HospitalBloodRequest.rejectRequest(requestId, 'No stock', { code: 'BB-2-U' }, BANK_B);
+
+    expect(result).toEqual(expect.objectContaining({ success: true, declined: true }));
+    expect(transitionSpy).not.toHaveBeenCalled();
+    const [filter, update] = findOneAndUpdate.mock.calls[0];
+    expect(filter).toEqual(expect.objectContaining({ status: REQUEST_STATUS.PENDING, bloodBankId: null }));
+    expect(update.$set).not.toHaveProperty('status');
+    expect(update.$push['escalation.declines']).toEqual(expect.objectContaining({ reason: 'No stock', by: 'BB-2-U' }));
+  });
+
+  it('should reject through the state machine once a bank is assigned', async () => {
+    jest.spyOn(HospitalBloodRequest, 'findById').mockResolvedValue(buildRequest({ _id: requestId, status: REQUEST_STATUS.ACCEPTED }));
+
+    await HospitalBloodRequest.rejectRequest(requestId, 'Fridge failure', {}, BANK_B);
+
+    expect(transitionSpy).toHaveBeenCalledWith(requestId, 'reject', { reason: 'Fridge failure', bloodBankId: BANK_B }, {});
+    expect(findOneAndUpdate).not.toHaveBeenCalled();
+  });
+});
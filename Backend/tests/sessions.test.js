@@ -0,0 +1,328 @@
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Sessions, { SUBJECT_TYPES, REVOKE_REASONS, REUSE_GRACE_MS, subjectTypeOf } from '../services/Sessions.js';
+import Session from '../models/auth/Session.js';
+import OrganizationUser from '../models/organization/OrganizationUser.js';
+import Admin from '../models/admin/Admin.js';
+import { redisCache } from '../config/redis.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+
+jest.mock('../models/auth/Session.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findById: jest.fn(),
+    findActiveBySubject: jest.fn(),
+    rotate: jest.fn(),
+    revoke: jest.fn(),
+    revokeBySubject: jest.fn()
+  }
+}));
+
+jest.mock('../models/organization/OrganizationUser.js', () => ({
+  __esModule: true,
+  default: { findByUserCode: jest.fn() }
+}));
+
+jest.mock('../models/ngo/User.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../models/admin/Admin.js', () => ({
+  __esModule: true,
+  default: { findById: jest.fn() }
+}));
+
+jest.mock('../config/redis.js', () => ({
+  redisCache: {
+    isConnected: false,
+    getCachedUserSession: jest.fn(),
+    cacheUserSession: jest.fn(),
+    clearUserSession: jest.fn()
+  }
+}));
+
+const SECRET = 'sessions-test-secret';
+
+const sessionId = '65f0000000000000000000aa';
+const otherSessionId = '65f0000000000000000000bb';
+
+const claims = {
+  userId: '65f000000000000000000001',
+  userCode: 'U-1',
+  organizationCode: 'HOS-1',
+  organizationType: 'hospital',
+  role: 'Admin',
+  email: 'staff@example.org',
+  name: 'Asha'
+};
+
+const hash = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const buildSession = (overrides = {}) => ({
+  _id: { toString: () => sessionId },
+  subjectType: SUBJECT_TYPES.ORGANIZATION_USER,
+  subjectId: claims.userId,
+  claims,
+  refreshTokenHash: 'current-hash',
+  previousTokenHashes: [],
+  device: { userAgent: 'Firefox', ipAddress: '10.0.0.1' },
+  createdAt: new Date('2026-03-01T10:00:00Z'),
+  lastUsedAt: new Date(),
+  rotatedAt: null,
+  expiresAt: new Date(Date.now() + 60 * 60 * 1000),
+  revokedAt: null,
+  ...overrides
+});
+
+const mockResponse = () => {
+  const res = {};
+  res.status = jest.fn(() => res);
+  res.json = jest.fn(() => res);
+  return res;
+};
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.JWT_SECRET = SECRET;
+  redisCache.isConnected = false;
+  Session.create.mockImplementation(async (data) => ({ ...data, _id: { toString: () => data._id } }));
+  Session.revoke.mockResolvedValue(1);
+  OrganizationUser.findByUserCode.mockResolvedValue({ userCode: 'U-1', status: 'ACTIVE' });
+});
+
+describe('Sessions', () => {
+  describe('start', () => {
+    it('issues an access token bound to a new session and stores only the refresh token hash', async () => {
+      const result = await Sessions.start(SUBJECT_TYPES.ORGANIZATION_USER, claims, { userAgent: 'Firefox' });
+
+      const decoded = jwt.verify(result.token, SECRET);
+      expect(decoded.sid).toBe(result.sessionId);
+      expect(decoded.userCode).toBe('U-1');
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(result.refreshToken.startsWith(`${result.sessionId}.`)).toBe(true);
+
+      const stored = Session.create.mock.calls[0][0];
+      expect(stored.subjectId).toBe(claims.userId);
+      expect(stored.refreshTokenHash).toBe(hash(result.refreshToken));
+      expect(JSON.stringify(stored)).not.toContain(result.refreshToken);
+    });
+
+    it('refuses to sign without JWT_SECRET', async () => {
+      delete process.env.JWT_SECRET;
+
+      await expect(Sessions.start(SUBJECT_TYPES.ORGANIZATION_USER, claims)).rejects.toThrow('JWT_SECRET is not set');
+    });
+  });
+
+  describe('refresh', () => {
+    const presented = `${sessionId}.old-secret`;
+
+    it('rotates the refresh token and issues a new access token', async () => {
+      Session.rotate.mockResolvedValue(buildSession());
+
+      const result = await Sessions.refresh(presented, { ipAddress: '10.0.0.2' });
+
+      expect(result.success).toBe(true);
+      expect(result.refreshToken).not.toBe(presented);
+      expect(result.refreshToken.startsWith(`${sessionId}.`)).toBe(true);
+      expect(jwt.verify(result.token, SECRET).sid).toBe(sessionId);
+
+      const [id, currentHash, nextHash, , device] = Session.rotate.mock.calls[0];
+      expect(id).toBe(sessionId);
+      expect(currentHash).toBe(hash(presented));
+      expect(nextHash).toBe(hash(result.refreshToken));
+      expect(device).toEqual({ ipAddress: '10.0.0.2' });
+    });
+
+    it('rejects malformed tokens without touching the database', async () => {
+      const result = await Sessions.refresh('not-a-token');
+
+      expect(result).toEqual({ success: false, message: 'Invalid refresh token', statusCode: 401 });
+      expect(Session.rotate).not.toHaveBeenCalled();
+    });
+
+    it('revokes the session when an old refresh token is replayed', async () => {
+      Session.rotate.mockResolvedValue(null);
+      Session.findById.mockResolvedValue(
+        buildSession({ previousTokenHashes: [hash(presented), 'newer-hash'], rotatedAt: new Date(Date.now() - 60 * 60 * 1000) })
+      );
+
+      const result = await Sessions.refresh(presented);
+
+      expect(result.statusCode).toBe(401);
+      expect(Session.revoke).toHaveBeenCalledWith(sessionId, REVOKE_REASONS.REUSE_DETECTED);
+    });
+
+    it('asks a racing tab to retry instead of revoking within the grace period', async () => {
+      Session.rotate.mockResolvedValue(null);
+      Session.findById.mockResolvedValue(
+        buildSession({ previousTokenHashes: [hash(presented)], rotatedAt: new Date(Date.now() - REUSE_GRACE_MS / 2) })
+      );
+
+      const result = await Sessions.refresh(presented);
+
+      expect(result.statusCode).toBe(409);
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+
+    it('refuses tokens of revoked sessions', async () => {
+      Session.rotate.mockResolvedValue(null);
+      Session.findById.mockResolvedValue(buildSession({ revokedAt: new Date(), previousTokenHashes: [hash(presented)] }));
+
+      const result = await Sessions.refresh(presented);
+
+      expect(result.statusCode).toBe(401);
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+
+    it('ends the session when the account was deactivated', async () => {
+      Session.rotate.mockResolvedValue(buildSession());
+      OrganizationUser.findByUserCode.mockResolvedValue({ userCode: 'U-1', status: 'INACTIVE' });
+
+      const result = await Sessions.refresh(presented);
+
+      expect(result.statusCode).toBe(403);
+      expect(Session.revoke).toHaveBeenCalledWith(sessionId, REVOKE_REASONS.ACCOUNT_DISABLED);
+    });
+
+    it('checks admins against the admins collection', async () => {
+      Session.rotate.mockResolvedValue(
+        buildSession({ subjectType: SUBJECT_TYPES.ADMIN, claims: { id: 'admin-1', role: 'SUPERADMIN' } })
+      );
+      Admin.findById.mockResolvedValue({ isActive: false });
+
+      const result = await Sessions.refresh(presented);
+
+      expect(Admin.findById).toHaveBeenCalledWith('admin-1');
+      expect(result.statusCode).toBe(403);
+    });
+  });
+
+  describe('isActive', () => {
+    it('answers from Redis when the session is cached', async () => {
+      redisCache.isConnected = true;
+      redisCache.getCachedUserSession.mockResolvedValue({ subjectId: claims.userId });
+
+      await expect(Sessions.isActive(sessionId)).resolves.toBe(true);
+      expect(Session.findById).not.toHaveBeenCalled();
+    });
+
+    it('falls back to MongoDB and caches live sessions', async () => {
+      redisCache.isConnected = true;
+      redisCache.getCachedUserSession.mockResolvedValue(null);
+      Session.findById.mockResolvedValue(buildSession());
+
+      await expect(Sessions.isActive(sessionId)).resolves.toBe(true);
+      expect(redisCache.cacheUserSession).toHaveBeenCalledWith(sessionId, expect.any(Object), 15 * 60);
+    });
+
+    it('treats revoked, expired and unknown sessions as ended', async () => {
+      Session.findById.mockResolvedValueOnce(buildSession({ revokedAt: new Date() }));
+      Session.findById.mockResolvedValueOnce(buildSession({ expiresAt: new Date(Date.now() - 1000) }));
+      Session.findById.mockResolvedValueOnce(null);
+
+      await expect(Sessions.isActive(sessionId)).resolves.toBe(false);
+      await expect(Sessions.isActive(sessionId)).resolves.toBe(false);
+      await expect(Sessions.isActive(sessionId)).resolves.toBe(false);
+      await expect(Sessions.isActive(undefined)).resolves.toBe(false);
+    });
+  });
+
+  describe('revocation', () => {
+    it('drops a revoked session from Redis', async () => {
+      redisCache.isConnected = true;
+
+      await Sessions.revoke(sessionId);
+
+      expect(Session.revoke).toHaveBeenCalledWith(sessionId, REVOKE_REASONS.LOGOUT);
+      expect(redisCache.clearUserSession).toHaveBeenCalledWith(sessionId);
+    });
+
+    it('signs out every device of the caller, optionally keeping this one', async () => {
+      Session.findById.mockResolvedValue(buildSession());
+      Session.revokeBySubject.mockResolvedValue([otherSessionId]);
+
+      const revoked = await Sessions.revokeAllOwn(sessionId, { keepCurrent: true });
+
+      expect(revoked).toBe(1);
+      expect(Session.revokeBySubject).toHaveBeenCalledWith(
+        SUBJECT_TYPES.ORGANIZATION_USER,
+        claims.userId,
+        REVOKE_REASONS.LOGOUT_ALL,
+        sessionId
+      );
+    });
+
+    it("won't revoke another account's session", async () => {
+      Session.findById.mockImplementation(async (id) =>
+        id === sessionId ? buildSession() : buildSession({ subjectId: 'someone-else' })
+      );
+
+      const result = await Sessions.revokeOwn(sessionId, otherSessionId);
+
+      expect(result.statusCode).toBe(404);
+      expect(Session.revoke).not.toHaveBeenCalled();
+    });
+
+    it('lists the caller\'s sessions and marks the current one', async () => {
+      Session.findById.mockResolvedValue(buildSession());
+      Session.findActiveBySubject.mockResolvedValue([
+        buildSession(),
+        buildSession({ _id: { toString: () => otherSessionId } })
+      ]);
+
+      const sessions = await Sessions.list(sessionId);
+
+      expect(sessions.map((session) => session.current)).toEqual([true, false]);
+      expect(sessions[0]).not.toHaveProperty('claims');
+    });
+  });
+});
+
+describe('subjectTypeOf', () => {
+  it('tells account types apart by their claims', () => {
+    expect(subjectTypeOf({ id: 'admin-1', adminCode: 'SA-001', role: 'SUPERADMIN' })).toBe(SUBJECT_TYPES.ADMIN);
+    expect(subjectTypeOf({ userId: 'u1', userCode: 'HOS-1-DOC-1', role: 'Doctor' })).toBe(SUBJECT_TYPES.ORGANIZATION_USER);
+    expect(subjectTypeOf({ userId: 'u1', role: 'User' })).toBe(SUBJECT_TYPES.USER);
+  });
+});
+
+describe('authMiddleware', () => {
+  const run = async (token) => {
+    const req = { headers: { authorization: `Bearer ${token}` } };
+    const res = mockResponse();
+    const next = jest.fn();
+    await authMiddleware(req, res, next);
+    return { req, res, next };
+  };
+
+  it('accepts access tokens of live sessions', async () => {
+    Session.findById.mockResolvedValue(buildSession());
+
+    const { req, next } = await run(jwt.sign({ ...claims, sid: sessionId }, SECRET));
+
+    expect(next).toHaveBeenCalled();
+    expect(req.user.sid).toBe(sessionId);
+  });
+
+  it('refuses access tokens of revoked sessions', async () => {
+    Session.findById.mockResolvedValue(buildSession({ revokedAt: new Date() }));
+
+    const { res, next } = await run(jwt.sign({ ...claims, sid: sessionId }, SECRET));
+
+    expect(next).not.toHaveBeenCalled();
+    expect(res.status).toHaveBeenCalledWith(401);
+  });
+
+  it('refuses tokens without a session or signed with another secret', async () => {
+    const withoutSession = await run(jwt.sign(claims, SECRET));
+    const forged = await run(jwt.sign({ ...claims, sid: sessionId }, 'your_jwt_secret'));
+
+    expect(withoutSession.res.status).toHaveBeenCalledWith(401);
+    expect(forged.res.status).toHaveBeenCalledWith(401);
+    expect(withoutSession.next).not.toHaveBeenCalled();
+    expect(forged.next).not.toHaveBeenCalled();
+  });
+});
@@ -0,0 +1,178 @@
+import StockLedger from '../services/StockLedger.js';
+import BloodStock from '../models/admin/BloodStock.js';
+import StockReservation from '../models/admin/StockReservation.js';
+
+jest.mock('../models/admin/BloodStock.js', () => ({
+  __esModule: true,
+  default: {
+    findByBloodBankId: jest.fn(),
+    reserveUnits: jest.fn(),
+    releaseReservedUnits: jest.fn(),
+    consumeReservedUnits: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/StockReservation.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    findHeldByRequestId: jest.fn(),
+    settle: jest.fn(),
+    deleteHeld: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/BloodUnit.js', () => ({
+  __esModule: true,
+  default: {
+    allocateUnits: jest.fn(),
+    issueReservedUnits: jest.fn(),
+    issueUnits: jest.fn(),
+    releaseReservedUnits: jest.fn()
+  }
+}));
+
+const request = {
+  _id: 'request1',
+  bloodBankId: 'bank1',
+  bloodGroup: 'O-',
+  unitsRequired: 4
+};
+
+const held = {
+  _id: 'reservation1',
+  requestId: 'request1',
+  bloodBankId: 'bank1',
+  bloodGroup: 'O-',
+  units: 4
+};
+
+describe('Stock Ledger', () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    StockReservation.create.mockResolvedValue(held);
+    StockReservation.settle.mockImplementation(async (id, status, settlement) => ({ ...held, status, ...settlement }));
+    BloodStock.reserveUnits.mockResolvedValue(true);
+    BloodStock.releaseReservedUnits.mockResolvedValue(true);
+    BloodStock.consumeReservedUnits.mockResolvedValue(true);
+  });
+
+  it('should reserve unitsRequired when a request is accepted', async () => {
+    const result = await StockLedger.prepare(request, 'accept', {}, { code: 'BB-USER-1' });
+
+    expect(result.success).toBe(true);
+    expect(BloodStock.reserveUnits).toHaveBeenCalledWith('bank1', 'O-', 4);
+  });
+
+  it('should refuse the accept and drop the ledger entry when stock is short', async () => {
+    BloodStock.reserveUnits.mockResolvedValue(false);
+
+    const result = await StockLedger.prepare(request, 'accept');
+
+    expect(result.success).toBe(false);
+    expect(result.message).toMatch(/Not enough unreserved O- units/);
+    expect(StockReservation.deleteHeld).toHaveBeenCalledWith('reservation1');
+  });
+
+  it('should refuse a second reservation for the same request', async () => {
+    StockReservation.create.mockRejectedValue(Object.assign(new Error('dup'), { code: 11000 }));
+
+    const result = await StockLedger.prepare(request, 'accept');
+
+    expect(result.success).toBe(false);
+    expect(BloodStock.reserveUnits).not.toHaveBeenCalled();
+  });
+
+  it('should refuse to reserve a negative or zero quantity', async () => {
+    for (const unitsRequired of [-3, 0, 1.5]) {
+      const result = await StockLedger.prepare({ ...request, unitsRequired }, 'accept');
+
+      expect(result.success).toBe(false);
+      expect(result.message).toMatch(/positive whole number/);
+    }
+    expect(StockReservation.create).not.toHaveBeenCalled();
+    expect(BloodStock.reserveUnits).not.toHaveBeenCalled();
+  });
+
+  it('should issue dispatched units and release the remainder', async () => {
+    StockReservation.findHeldByRequestId.mockResolvedValue(held);
+
+    const result = await StockLedger.settle(request, 'dispatch', { units: 3 });
+
+    expect(result.success).toBe(true);
+    expect(StockReservation.settle).toHaveBeenCalledWith('reservation1', 'CONSUMED', expect.objectContaining({
+      unitsConsumed: 3,
+      unitsReleased: 1
+    }));
+    expect(BloodStock.consumeReservedUnits).toHaveBeenCalledWith('bank1', 'O-', 3, 'system');
+    expect(BloodStock.releaseReservedUnits).toHaveBeenCalledWith('bank1', 'O-', 1);
+  });
+
+  it('should not touch stock when another caller already settled the reservation', async () => {
+    StockReservation.findHeldByRequestId.mockResolvedValue(held);
+    StockReservation.settle.mockResolvedValue(null);
+
+    await StockLedger.settle(request, 'cancel', {});
+
+    expect(BloodStock.releaseReservedUnits).not.toHaveBeenCalled();
+  });
+
+  it('should treat releasing a request with no reservation as a no-op', async () => {
+    StockReservation.findHeldByRequestId.mockResolvedValue(null);
+
+    const result = await StockLedger.settle(request, 'reject', { reason: 'Out of stock' });
+
+    expect(result.success).toBe(true);
+    expect(BloodStock.releaseReservedUnits).not.toHaveBeenCalled();
+  });
+
+  it('should undo the hold when the accept write loses a race', async () => {
+    const prepared = await StockLedger.prepare(request, 'accept');
+    StockReservation.findHeldByRequestId.mockResolvedValue(held);
+
+    await prepared.rollback();
+
+    expect(StockReservation.settle).toHaveBeenCalledWith('reservation1', 'RELEASED', expect.objectContaining({
+      releaseReason: 'ACCEPT_NOT_APPLIED'
+    }));
+    expect(BloodStock.releaseReservedUnits).toHaveBeenCalledWith('bank1', 'O-', 4);
+  });
+
+  it('should hold and consume stock per allocation of a split request', async () => {
+    const splitRequest = { ...request, bloodBankId: null, allowSplit: true, unitsRequired: 10 };
+    const allocation = { _id: 'allocation1', bloodBankId: 'bank2', units: 3 };
+
+    const prepared = await StockLedger.prepareAllocation(splitRequest, allocation, 'accept', {}, { code: 'BB-USER-2' });
+
+    expect(prepared.success).toBe(true);
+    expect(StockReservation.create).toHaveBeenCalledWith(expect.objectContaining({
+      requestId: 'allocation1',
+      parentRequestId: 'request1',
+      bloodBankId: 'bank2',
+      units: 3
+    }));
+    expect(BloodStock.reserveUnits).toHaveBeenCalledWith('bank2', 'O-', 3);
+
+    StockReservation.findHeldByRequestId.mockResolvedValue({ ...held, requestId: 'allocation1', bloodBankId: 'bank2', units: 3 });
+    await StockLedger.settleAllocation(allocation, 'dispatch', { units: 3 });
+
+    expect(StockReservation.findHeldByRequestId).toHaveBeenCalledWith('allocation1');
+    expect(BloodStock.consumeReservedUnits).toHaveBeenCalledWith('bank2', 'O-', 3, 'system');
+  });
+
+  it('should leave stock alone when the hospital confirms receipt', async () => {
+    StockReservation.findHeldByRequestId.mockResolvedValue(held);
+
+    await StockLedger.settle(request, 'fulfill', { unitsFulfilled: 3 });
+
+    expect(StockReservation.settle).not.toHaveBeenCalled();
+    expect(BloodStock.consumeReservedUnits).not.toHaveBeenCalled();
+  });
+
+  it('should leave stock alone when a split request is rolled up', async () => {
+    const result = await StockLedger.prepare(request, 'accept', { rollup: true });
+
+    expect(result.success).toBe(true);
+    expect(StockReservation.create).not.toHaveBeenCalled();
+  });
+});
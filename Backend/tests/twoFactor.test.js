@@ -0,0 +1,415 @@
+import jwt from 'jsonwebtoken';
+import TwoFactor, { hashRecoveryCode, MAX_FAILED_ATTEMPTS } from '../services/TwoFactor.js';
+import TwoFactorModel from '../models/auth/TwoFactor.js';
+import Audit from '../models/admin/Audit.js';
+import Sessions from '../services/Sessions.js';
+import LoginProtection from '../services/LoginProtection.js';
+import authMiddleware from '../middleware/auth.middleware.js';
+import { base32Encode, base32Decode, totpForStep, currentTotpStep, verifyTotp, buildOtpauthUrl } from '../utils/totp.js';
+import { encodeQr, toQrSvg } from '../utils/qrCode.js';
+
+jest.mock('../models/auth/TwoFactor.js', () => ({
+  __esModule: true,
+  default: {
+    findBySubject: jest.fn(),
+    savePendingSecret: jest.fn(),
+    enable: jest.fn(),
+    recordUsedStep: jest.fn(),
+    useRecoveryCode: jest.fn(),
+    replaceRecoveryCodes: jest.fn(),
+    disable: jest.fn()
+  }
+}));
+
+jest.mock('../models/admin/Audit.js', () => ({
+  __esModule: true,
+  default: {
+    create: jest.fn(),
+    countRecent: jest.fn()
+  }
+}));
+
+jest.mock('../services/Sessions.js', () => ({
+  __esModule: true,
+  SUBJECT_TYPES: { ORGANIZATION_USER: 'ORGANIZATION_USER', USER: 'USER', ADMIN: 'ADMIN' },
+  REVOKE_REASONS: { TWO_FACTOR_CHANGED: 'TWO_FACTOR_CHANGED' },
+  getSubjectId: (subjectType, claims) => (subjectType === 'ADMIN' ? claims.id : claims.userId),
+  subjectTypeOf: (claims) => (claims.adminCode ? 'ADMIN' : claims.userCode ? 'ORGANIZATION_USER' : 'USER'),
+  default: {
+    start: jest.fn(async (subjectType, claims) => ({
+      token: `access:${JSON.stringify(claims)}`,
+      refreshToken: 'session-2.secret',
+      expiresIn: 900,
+      sessionId: 'session-2'
+    })),
+    isActive: jest.fn(),
+    revokeAllForSubject: jest.fn()
+  }
+}));
+
+jest.mock('../services/LoginProtection.js', () => ({
+  __esModule: true,
+  default: {
+    forClaims: jest.fn((subjectType, claims) => ({
+      identity: { subjectType, identifier: claims.email },
+      account: { email: claims.email }
+    })),
+    check: jest.fn(),
+    recordFailure: jest.fn(),
+    recordSuccess: jest.fn()
+  }
+}));
+
+const SECRET = 'two-factor-test-secret';
+
+// RFC 6238 appendix B, SHA-1 seed
+const RFC_SECRET = base32Encode(Buffer.from('12345678901234567890'));
+
+const superAdmin = {
+  id: '65f0000000000000000000a1',
+  email: 'root@bloodbridge.test',
+  adminCode: 'SA-001',
+  role: 'SUPERADMIN',
+  permissions: ['ALL']
+};
+
+const doctor = {
+  userId: '65f0000000000000000000b2',
+  userCode: 'HOS-1-DOC-001',
+  organizationCode: 'HOS-1',
+  email: 'doctor@cityhospital.test',
+  role: 'Doctor'
+};
+
+const enrolled = (overrides = {}) => ({
+  enabled: true,
+  secret: RFC_SECRET,
+  pendingSecret: null,
+  recoveryCodeHashes: [hashRecoveryCode('ABCD-EFGH'), hashRecoveryCode('JKLM-NPQR')],
+  lastUsedStep: -1,
+  ...overrides
+});
+
+const claimsOf = (session) => JSON.parse(session.token.slice('access:'.length));
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  process.env.JWT_SECRET = SECRET;
+  delete process.env.TWO_FACTOR_REQUIRED_ROLES;
+  Audit.countRecent.mockResolvedValue(0);
+  TwoFactorModel.recordUsedStep.mockResolvedValue(true);
+  LoginProtection.check.mockResolvedValue({ success: true });
+  LoginProtection.recordFailure.mockResolvedValue({ success: false, message: 'Invalid credentials', statusCode: 401 });
+});
+
+describe('TOTP', () => {
+  it('matches the RFC 6238 test vectors', () => {
+    const vectors = [
+      [59, '287082'],
+      [1111111109, '081804'],
+      [1111111111, '050471'],
+      [1234567890, '005924'],
+      [2000000000, '279037']
+    ];
+
+    for (const [seconds, code] of vectors) {
+      expect(totpForStep(RFC_SECRET, currentTotpStep(seconds * 1000))).toBe(code);
+    }
+  });
+
+  it('round-trips base32', () => {
+    const bytes = Buffer.from([0, 1, 2, 250, 251, 252, 253]);
+    expect(base32Decode(base32Encode(bytes))).toEqual(bytes);
+  });
+
+  it('accepts one step of clock drift and refuses replays', () => {
+    const now = 1111111111 * 1000;
+    const step = currentTotpStep(now);
+    const previous = totpForStep(RFC_SECRET, step - 1);
+
+    expect(verifyTotp(RFC_SECRET, previous, { now })).toBe(step - 1);
+    expect(verifyTotp(RFC_SECRET, previous, { now, lastUsedStep: step - 1 })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, totpForStep(RFC_SECRET, step - 2), { now })).toBeNull();
+    expect(verifyTotp(RFC_SECRET, 'abcdef', { now })).toBeNull();
+  });
+
+  it('builds an otpauth link authenticator apps understand', () => {
+    const url = new URL(buildOtpauthUrl({ issuer: 'BloodBridge', account: 'root@bloodbridge.test', secret: RFC_SECRET }));
+
+    expect(url.protocol).toBe('otpauth:');
+    expect(url.host).toBe('totp');
+    expect(decodeURIComponent(url.pathname)).toBe('/BloodBridge:root@bloodbridge.test');
+    expect(url.searchParams.get('secret')).toBe(RFC_SECRET);
+  });
+});
+
+describe('QR encoder', () => {
+  it('picks the smallest version and draws the finder patterns', () => {
+    const small = encodeQr('HELLO');
+    const link = encodeQr(buildOtpauthUrl({ issuer: 'BloodBridge', account: 'root@bloodbridge.test', secret: RFC_SECRET }));
+
+    expect(small.version).toBe(1);
+    expect(small.size).toBe(21);
+    expect(link.version).toBeGreaterThan(1);
+
+    // Top-left finder: dark ring, light ring, dark 3x3 centre
+    const row = small.modules[3].slice(0, 8);
+    expect(row).toEqual([true, false, true, true, true, false, true, false]);
+  });
+
+  it('renders an SVG with a quiet zone', () => {
+    const svg = toQrSvg('HELLO', { moduleSize: 2 });
+
+    expect(svg.startsWith('<svg')).toBe(true);
+    expect(svg).toContain('viewBox="0 0 29 29"');
+    expect(svg).toContain('width="58"');
+  });
+});
+
+describe('TwoFactor', () => {
+  describe('login', () => {
+    it('starts a session flagged for enrolment when a required role has not set it up', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue(null);
+
+      const result = await TwoFactor.login('ADMIN', superAdmin, {});
+
+      expect(result.twoFactorRequired).toBe(false);
+      expect(result.twoFactorSetupRequired).toBe(true);
+      expect(claimsOf(result).twoFactorSetupRequired).toBe(true);
+    });
+
+    it('leaves optional roles alone', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue(null);
+
+      const result = await TwoFactor.login('ORGANIZATION_USER', doctor, {});
+
+      expect(result.twoFactorSetupRequired).toBe(false);
+      expect(claimsOf(result).twoFactorSetupRequired).toBeUndefined();
+    });
+
+    it('returns a challenge instead of a session when two-factor is on', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue(enrolled());
+
+      const result = await TwoFactor.login('ADMIN', superAdmin, {});
+
+      expect(result).toEqual(expect.objectContaining({ twoFactorRequired: true, expiresIn: 300 }));
+      expect(result.token).toBeUndefined();
+      expect(Sessions.start).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('verifyLogin', () => {
+    const challenge = async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue(enrolled());
+      const { challengeToken } = await TwoFactor.login('ADMIN', superAdmin, {});
+      return challengeToken;
+    };
+
+    it('starts the session for a current code', async () => {
+      const token = await challenge();
+      const step = currentTotpStep();
+
+      const result = await TwoFactor.verifyLogin(token, { code: totpForStep(RFC_SECRET, step) }, { ipAddress: '10.0.0.1' });
+
+      expect(result.success).toBe(true);
+      expect(claimsOf(result)).toEqual(expect.objectContaining({ adminCode: 'SA-001', role: 'SUPERADMIN' }));
+      expect(claimsOf(result).twoFactorSetupRequired).toBeUndefined();
+      expect(TwoFactorModel.recordUsedStep).toHaveBeenCalledWith('ADMIN', superAdmin.id, step);
+      expect(LoginProtection.recordSuccess).toHaveBeenCalledWith(
+        { subjectType: 'ADMIN', identifier: superAdmin.email },
+        { email: superAdmin.email },
+        { ipAddress: '10.0.0.1' }
+      );
+    });
+
+    it("doesn't count the password as a login until the code is accepted", async () => {
+      await challenge();
+
+      expect(LoginProtection.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('counts wrong codes towards the login lock', async () => {
+      const token = await challenge();
+      const lockedUntil = new Date(Date.now() + 60000);
+      LoginProtection.recordFailure.mockResolvedValue({ success: false, statusCode: 429, lockedUntil, retryAfter: 60 });
+
+      const result = await TwoFactor.verifyLogin(token, { code: '000000' }, {});
+
+      expect(result).toEqual(expect.objectContaining({ statusCode: 429, lockedUntil }));
+      expect(LoginProtection.recordFailure).toHaveBeenCalledWith({ subjectType: 'ADMIN', identifier: superAdmin.email }, {}, { email: superAdmin.email });
+      expect(LoginProtection.recordSuccess).not.toHaveBeenCalled();
+    });
+
+    it('refuses any code while the account is locked', async () => {
+      const token = await challenge();
+      LoginProtection.check.mockResolvedValue({ success: false, message: 'Too many failed login attempts, try again later', statusCode: 429 });
+
+      const result = await TwoFactor.verifyLogin(token, { code: totpForStep(RFC_SECRET, currentTotpStep()) }, {});
+
+      expect(result.statusCode).toBe(429);
+      expect(TwoFactorModel.recordUsedStep).not.toHaveBeenCalled();
+      expect(Sessions.start).not.toHaveBeenCalled();
+    });
+
+    it('audits wrong codes', async () => {
+      const token = await challenge();
+
+      const result = await TwoFactor.verifyLogin(token, { code: '000000' }, { ipAddress: '10.0.0.1', userAgent: 'curl' });
+
+      expect(result).toEqual({ success: false, message: 'Code is not valid', statusCode: 401 });
+      expect(Audit.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          entityType: 'AUTH',
+          action: 'TWO_FACTOR_FAILED',
+          status: 'FAILURE',
+          performedBy: superAdmin.email,
+          performedByRole: 'SUPERADMIN',
+          entityId: superAdmin.id,
+          ipAddress: '10.0.0.1'
+        })
+      );
+      expect(Sessions.start).not.toHaveBeenCalled();
+    });
+
+    it('refuses a code another request already used', async () => {
+      const token = await challenge();
+      TwoFactorModel.recordUsedStep.mockResolvedValue(false);
+
+      const result = await TwoFactor.verifyLogin(token, { code: totpForStep(RFC_SECRET, currentTotpStep()) }, {});
+
+      expect(result.statusCode).toBe(401);
+      expect(Sessions.start).not.toHaveBeenCalled();
+    });
+
+    it('pauses after too many wrong codes', async () => {
+      const token = await challenge();
+      Audit.countRecent.mockResolvedValue(MAX_FAILED_ATTEMPTS);
+
+      const result = await TwoFactor.verifyLogin(token, { code: totpForStep(RFC_SECRET, currentTotpStep()) }, {});
+
+      expect(result.statusCode).toBe(429);
+      expect(Audit.countRecent).toHaveBeenCalledWith(
+        expect.objectContaining({ entityId: superAdmin.id, action: 'TWO_FACTOR_FAILED' })
+      );
+    });
+
+    it('accepts a recovery code once and audits its use', async () => {
+      const token = await challenge();
+      TwoFactorModel.useRecoveryCode.mockResolvedValue(true);
+
+      const result = await TwoFactor.verifyLogin(token, { recoveryCode: 'abcd efgh' }, {});
+
+      expect(result.success).toBe(true);
+      expect(result.recoveryCodesRemaining).toBe(1);
+      expect(TwoFactorModel.useRecoveryCode).toHaveBeenCalledWith('ADMIN', superAdmin.id, hashRecoveryCode('ABCD-EFGH'));
+      expect(Audit.create).toHaveBeenCalledWith(expect.objectContaining({ action: 'TWO_FACTOR_RECOVERY_CODE_USED' }));
+    });
+
+    it('rejects access tokens and expired challenges', async () => {
+      const accessToken = jwt.sign({ ...superAdmin, sid: 'session-1' }, SECRET);
+      const expired = jwt.sign({ typ: '2fa_challenge', subjectType: 'ADMIN', claims: superAdmin }, SECRET, { expiresIn: -1 });
+
+      expect((await TwoFactor.verifyLogin(accessToken, { code: '123456' })).statusCode).toBe(401);
+      expect((await TwoFactor.verifyLogin(expired, { code: '123456' })).statusCode).toBe(401);
+      expect(TwoFactorModel.findBySubject).not.toHaveBeenCalled();
+    });
+  });
+
+  describe('enrolment', () => {
+    it('turns on with the first code, returns recovery codes and renews the session', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValueOnce(null);
+      const { secret, otpauthUrl, qrSvg } = await TwoFactor.setup(superAdmin);
+
+      expect(TwoFactorModel.savePendingSecret).toHaveBeenCalledWith('ADMIN', superAdmin.id, secret);
+      expect(otpauthUrl).toContain(`secret=${secret}`);
+      expect(qrSvg).toContain('<svg');
+
+      TwoFactorModel.findBySubject
+        .mockResolvedValueOnce({ enabled: false, pendingSecret: secret })
+        .mockResolvedValue(enrolled({ secret }));
+      TwoFactorModel.enable.mockResolvedValue(enrolled({ secret }));
+
+      const claims = { ...superAdmin, sid: 'session-1', twoFactorSetupRequired: true };
+      const result = await TwoFactor.enable(claims, totpForStep(secret, currentTotpStep()), {});
+
+      expect(result.success).toBe(true);
+      expect(result.recoveryCodes).toHaveLength(10);
+      expect(result.recoveryCodes[0]).toMatch(/^[A-Z2-9]{4}-[A-Z2-9]{4}$/);
+      expect(TwoFactorModel.enable.mock.calls[0][2].recoveryCodeHashes).toEqual(result.recoveryCodes.map(hashRecoveryCode));
+      expect(Sessions.revokeAllForSubject).toHaveBeenCalledWith('ADMIN', superAdmin.id, 'TWO_FACTOR_CHANGED');
+      expect(claimsOf(result).twoFactorSetupRequired).toBeUndefined();
+      expect(claimsOf(result).sid).toBeUndefined();
+    });
+
+    it('refuses a wrong first code', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue({ enabled: false, pendingSecret: RFC_SECRET });
+
+      const result = await TwoFactor.enable(superAdmin, '000000', {});
+
+      expect(result.statusCode).toBe(400);
+      expect(TwoFactorModel.enable).not.toHaveBeenCalled();
+    });
+
+    it('does not let required roles turn it off', async () => {
+      const result = await TwoFactor.disable(superAdmin, { code: '123456' }, {});
+
+      expect(result.statusCode).toBe(403);
+      expect(TwoFactorModel.disable).not.toHaveBeenCalled();
+    });
+
+    it('lets optional roles turn it off with a code', async () => {
+      TwoFactorModel.findBySubject.mockResolvedValue(enrolled());
+
+      const result = await TwoFactor.disable({ ...doctor, sid: 'session-1' }, { code: totpForStep(RFC_SECRET, currentTotpStep()) }, {});
+
+      expect(result.success).toBe(true);
+      expect(TwoFactorModel.disable).toHaveBeenCalledWith('ORGANIZATION_USER', doctor.userId);
+      expect(Sessions.revokeAllForSubject).toHaveBeenCalledWith('ORGANIZATION_USER', doctor.userId, 'TWO_FACTOR_CHANGED', 'session-1');
+    });
+
+    it('follows TWO_FACTOR_REQUIRED_ROLES', () => {
+      process.env.TWO_FACTOR_REQUIRED_ROLES = 'Doctor';
+
+      expect(TwoFactor.isRequired(doctor)).toBe(true);
+      expect(TwoFactor.isRequired(superAdmin)).toBe(false);
+    });
+  });
+});
+
+describe('authMiddleware two-factor setup gate', () => {
+  const run = async (claims, baseUrl, path) => {
+    const req = { headers: { authorization: `Bearer ${jwt.sign({ ...claims, sid: 'session-1' }, SECRET)}` }, baseUrl, path };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+    await authMiddleware(req, res, next);
+    return { res, next };
+  };
+
+  beforeEach(() => Sessions.isActive.mockResolvedValue(true));
+
+  it('only lets enrolment and logout through until two-factor is on', async () => {
+    const claims = { ...superAdmin, twoFactorSetupRequired: true };
+
+    const blocked = await run(claims, '/api/admin/approvals', '/');
+    const setup = await run(claims, '/api/auth', '/2fa/setup');
+    const logout = await run(claims, '/api/auth', '/logout');
+
+    expect(blocked.res.status).toHaveBeenCalledWith(403);
+    expect(blocked.res.json.mock.calls[0][0].code).toBe('TWO_FACTOR_SETUP_REQUIRED');
+    expect(setup.next).toHaveBeenCalled();
+    expect(logout.next).toHaveBeenCalled();
+  });
+
+  it('never accepts a login challenge as an access token', async () => {
+    Sessions.isActive.mockResolvedValue(false);
+    const challengeToken = jwt.sign({ typ: '2fa_challenge', subjectType: 'ADMIN', claims: superAdmin }, SECRET);
+    const req = { headers: { authorization: `Bearer ${challengeToken}` }, baseUrl: '/api/admin/approvals', path: '/' };
+    const res = { status: jest.fn(() => res), json: jest.fn(() => res) };
+    const next = jest.fn();
+
+    await authMiddleware(req, res, next);
+
+    expect(res.status).toHaveBeenCalledWith(401);
+    expect(next).not.toHaveBeenCalled();
+  });
+});
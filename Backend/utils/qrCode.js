@@ -0,0 +1,422 @@
+/**
+ * QR Code Utility
+ * Encodes text as a QR code (ISO/IEC 18004, byte mode) and renders it as
+ * SVG, for 2FA enrolment links. No external library.
+ */
+
+// #region Tables
+
+export const ERROR_CORRECTION = {
+  L: { formatBits: 1, index: 0 },
+  M: { formatBits: 0, index: 1 },
+  Q: { formatBits: 3, index: 2 },
+  H: { formatBits: 2, index: 3 }
+};
+
+// Indexed by [level index][version]; version 0 is unused
+const ECC_CODEWORDS_PER_BLOCK = [
+  [-1, 7, 10, 15, 20, 26, 18, 20, 24, 30, 18, 20, 24, 26, 30, 22, 24, 28, 30, 28, 28, 28, 28, 30, 30, 26, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 10, 16, 26, 18, 24, 16, 18, 22, 22, 26, 30, 22, 22, 24, 24, 28, 28, 26, 26, 26, 26, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28, 28],
+  [-1, 13, 22, 18, 26, 18, 24, 18, 22, 20, 24, 28, 26, 24, 20, 30, 24, 28, 28, 26, 30, 28, 30, 30, 30, 30, 28, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30],
+  [-1, 17, 28, 22, 16, 22, 28, 26, 26, 24, 28, 24, 28, 22, 24, 24, 30, 28, 28, 26, 28, 30, 24, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30, 30]
+];
+
+const NUM_ERROR_CORRECTION_BLOCKS = [
+  [-1, 1, 1, 1, 1, 1, 2, 2, 2, 2, 4, 4, 4, 4, 4, 6, 6, 6, 6, 7, 8, 8, 9, 9, 10, 12, 12, 12, 13, 14, 15, 16, 17, 18, 19, 19, 20, 21, 22, 24, 25],
+  [-1, 1, 1, 1, 2, 2, 4, 4, 4, 5, 5, 5, 8, 9, 9, 10, 10, 11, 13, 14, 16, 17, 17, 18, 20, 21, 23, 25, 26, 28, 29, 31, 33, 35, 37, 38, 40, 43, 45, 47, 49],
+  [-1, 1, 1, 2, 2, 4, 4, 6, 6, 8, 8, 8, 10, 12, 16, 12, 17, 16, 18, 21, 20, 23, 23, 25, 27, 29, 34, 34, 35, 38, 40, 43, 45, 48, 51, 53, 56, 59, 62, 65, 68],
+  [-1, 1, 1, 2, 4, 4, 4, 5, 6, 8, 8, 11, 11, 16, 16, 18, 16, 19, 21, 25, 25, 25, 34, 30, 32, 35, 37, 40, 42, 45, 48, 51, 54, 57, 60, 63, 66, 70, 74, 77, 81]
+];
+
+const MASKS = [
+  (x, y) => (x + y) % 2 === 0,
+  (x, y) => y % 2 === 0,
+  (x) => x % 3 === 0,
+  (x, y) => (x + y) % 3 === 0,
+  (x, y) => (Math.floor(x / 3) + Math.floor(y / 2)) % 2 === 0,
+  (x, y) => ((x * y) % 2) + ((x * y) % 3) === 0,
+  (x, y) => (((x * y) % 2) + ((x * y) % 3)) % 2 === 0,
+  (x, y) => (((x + y) % 2) + ((x * y) % 3)) % 2 === 0
+];
+
+// #region Capacity
+
+const getBit = (value, index) => ((value >>> index) & 1) !== 0;
+
+// Modules left for data and error correction once function patterns are placed
+const getNumRawDataModules = (version) => {
+  let result = (16 * version + 128) * version + 64;
+  if (version >= 2) {
+    const numAlign = Math.floor(version / 7) + 2;
+    result -= (25 * numAlign - 10) * numAlign - 55;
+    if (version >= 7) {
+      result -= 36;
+    }
+  }
+  return result;
+};
+
+const getNumDataCodewords = (version, level) =>
+  Math.floor(getNumRawDataModules(version) / 8) -
+  ECC_CODEWORDS_PER_BLOCK[level.index][version] * NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+
+// #region ReedSolomon
+
+// Multiplication in GF(2^8) modulo x^8 + x^4 + x^3 + x^2 + 1
+const gfMultiply = (x, y) => {
+  let z = 0;
+  for (let i = 7; i >= 0; i--) {
+    z = (z << 1) ^ ((z >>> 7) * 0x11d);
+    z ^= ((y >>> i) & 1) * x;
+  }
+  return z;
+};
+
+export const reedSolomonDivisor = (degree) => {
+  const result = new Array(degree).fill(0);
+  result[degree - 1] = 1;
+  let root = 1;
+  for (let i = 0; i < degree; i++) {
+    for (let j = 0; j < result.length; j++) {
+      result[j] = gfMultiply(result[j], root);
+      if (j + 1 < result.length) {
+        result[j] ^= result[j + 1];
+      }
+    }
+    root = gfMultiply(root, 0x02);
+  }
+  return result;
+};
+
+export const reedSolomonRemainder = (data, divisor) => {
+  const result = divisor.map(() => 0);
+  for (const byte of data) {
+    const factor = byte ^ result.shift();
+    result.push(0);
+    divisor.forEach((coefficient, i) => {
+      result[i] ^= gfMultiply(coefficient, factor);
+    });
+  }
+  return result;
+};
+
+// #region Codewords
+
+const encodeData = (bytes, version, level) => {
+  const capacityBits = getNumDataCodewords(version, level) * 8;
+  const bits = [];
+  const append = (value, length) => {
+    for (let i = length - 1; i >= 0; i--) {
+      bits.push((value >>> i) & 1);
+    }
+  };
+
+  append(0b0100, 4); // Byte mode
+  append(bytes.length, version <= 9 ? 8 : 16);
+  bytes.forEach((byte) => append(byte, 8));
+  append(0, Math.min(4, capacityBits - bits.length)); // Terminator
+  append(0, (8 - (bits.length % 8)) % 8);
+  for (let pad = 0xec; bits.length < capacityBits; pad ^= 0xec ^ 0x11) {
+    append(pad, 8);
+  }
+
+  const codewords = [];
+  for (let i = 0; i < bits.length; i += 8) {
+    codewords.push(bits.slice(i, i + 8).reduce((byte, bit) => (byte << 1) | bit, 0));
+  }
+  return codewords;
+};
+
+// Split into blocks, add error correction to each, then interleave the blocks
+const addErrorCorrection = (data, version, level) => {
+  const numBlocks = NUM_ERROR_CORRECTION_BLOCKS[level.index][version];
+  const blockEccLength = ECC_CODEWORDS_PER_BLOCK[level.index][version];
+  const rawCodewords = Math.floor(getNumRawDataModules(version) / 8);
+  const numShortBlocks = numBlocks - (rawCodewords % numBlocks);
+  const shortBlockLength = Math.floor(rawCodewords / numBlocks);
+  const divisor = reedSolomonDivisor(blockEccLength);
+
+  const blocks = [];
+  for (let i = 0, offset = 0; i < numBlocks; i++) {
+    const length = shortBlockLength - blockEccLength + (i < numShortBlocks ? 0 : 1);
+    const block = data.slice(offset, offset + length);
+    offset += length;
+    const ecc = reedSolomonRemainder(block, divisor);
+    if (i < numShortBlocks) {
+      block.push(0); // Placeholder so every block has the same length
+    }
+    blocks.push(block.concat(ecc));
+  }
+
+  const result = [];
+  for (let i = 0; i < blocks[0].length; i++) {
+    blocks.forEach((block, j) => {
+      if (i !== shortBlockLength - blockEccLength || j >= numShortBlocks) {
+        result.push(block[i]);
+      }
+    });
+  }
+  return result;
+};
+
+// #region Matrix
+
+class QrMatrix {
+  constructor(version) {
+    this.version = version;
+    this.size = version * 4 + 17;
+    this.modules = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+    this.isFunction = Array.from({ length: this.size }, () => new Array(this.size).fill(false));
+  }
+
+  setFunction(x, y, dark) {
+    this.modules[y][x] = dark;
+    this.isFunction[y][x] = true;
+  }
+
+  alignmentPositions() {
+    if (this.version === 1) {
+      return [];
+    }
+    const numAlign = Math.floor(this.version / 7) + 2;
+    const step = this.version === 32 ? 26 : Math.ceil((this.version * 4 + 4) / (numAlign * 2 - 2)) * 2;
+    const result = [6];
+    for (let position = this.size - 7; result.length < numAlign; position -= step) {
+      result.splice(1, 0, position);
+    }
+    return result;
+  }
+
+  drawFunctionPatterns(level) {
+    for (let i = 0; i < this.size; i++) {
+      this.setFunction(6, i, i % 2 === 0);
+      this.setFunction(i, 6, i % 2 === 0);
+    }
+
+    [[3, 3], [this.size - 4, 3], [3, this.size - 4]].forEach(([cx, cy]) => {
+      for (let dy = -4; dy <= 4; dy++) {
+        for (let dx = -4; dx <= 4; dx++) {
+          const x = cx + dx;
+          const y = cy + dy;
+          const distance = Math.max(Math.abs(dx), Math.abs(dy));
+          if (x >= 0 && x < this.size && y >= 0 && y < this.size) {
+            this.setFunction(x, y, distance !== 2 && distance !== 4);
+          }
+        }
+      }
+    });
+
+    const positions = this.alignmentPositions();
+    const last = positions.length - 1;
+    positions.forEach((cx, i) => {
+      positions.forEach((cy, j) => {
+        // The three corners are taken by finder patterns
+        if ((i === 0 && j === 0) || (i === 0 && j === last) || (i === last && j === 0)) {
+          return;
+        }
+        for (let dy = -2; dy <= 2; dy++) {
+          for (let dx = -2; dx <= 2; dx++) {
+            this.setFunction(cx + dx, cy + dy, Math.max(Math.abs(dx), Math.abs(dy)) !== 1);
+          }
+        }
+      });
+    });
+
+    this.drawFormatBits(level, 0); // Reserve the area; redrawn with the chosen mask
+    this.drawVersion();
+  }
+
+  drawFormatBits(level, mask) {
+    const data = (level.formatBits << 3) | mask;
+    let remainder = data;
+    for (let i = 0; i < 10; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 9) * 0x537);
+    }
+    const bits = ((data << 10) | remainder) ^ 0x5412;
+
+    for (let i = 0; i <= 5; i++) {
+      this.setFunction(8, i, getBit(bits, i));
+    }
+    this.setFunction(8, 7, getBit(bits, 6));
+    this.setFunction(8, 8, getBit(bits, 7));
+    this.setFunction(7, 8, getBit(bits, 8));
+    for (let i = 9; i < 15; i++) {
+      this.setFunction(14 - i, 8, getBit(bits, i));
+    }
+
+    for (let i = 0; i < 8; i++) {
+      this.setFunction(this.size - 1 - i, 8, getBit(bits, i));
+    }
+    for (let i = 8; i < 15; i++) {
+      this.setFunction(8, this.size - 15 + i, getBit(bits, i));
+    }
+    this.setFunction(8, this.size - 8, true); // Always dark
+  }
+
+  drawVersion() {
+    if (this.version < 7) {
+      return;
+    }
+    let remainder = this.version;
+    for (let i = 0; i < 12; i++) {
+      remainder = (remainder << 1) ^ ((remainder >>> 11) * 0x1f25);
+    }
+    const bits = (this.version << 12) | remainder;
+
+    for (let i = 0; i < 18; i++) {
+      const dark = getBit(bits, i);
+      const a = this.size - 11 + (i % 3);
+      const b = Math.floor(i / 3);
+      this.setFunction(a, b, dark);
+      this.setFunction(b, a, dark);
+    }
+  }
+
+  // Zigzag through the non-function modules, two columns at a time, from the bottom right
+  drawCodewords(codewords) {
+    let i = 0;
+    for (let right = this.size - 1; right >= 1; right -= 2) {
+      if (right === 6) {
+        right = 5; // Skip the vertical timing pattern
+      }
+      for (let vertical = 0; vertical < this.size; vertical++) {
+        for (let j = 0; j < 2; j++) {
+          const x = right - j;
+          const upward = ((right + 1) & 2) === 0;
+          const y = upward ? this.size - 1 - vertical : vertical;
+          if (!this.isFunction[y][x] && i < codewords.length * 8) {
+            this.modules[y][x] = getBit(codewords[i >>> 3], 7 - (i & 7));
+            i++;
+          }
+        }
+      }
+    }
+  }
+
+  applyMask(mask) {
+    for (let y = 0; y < this.size; y++) {
+      for (let x = 0; x < this.size; x++) {
+        if (!this.isFunction[y][x] && MASKS[mask](x, y)) {
+          this.modules[y][x] = !this.modules[y][x];
+        }
+      }
+    }
+  }
+
+  // Penalty rules N1-N4: lower scores are easier for readers
+  penalty() {
+    const { size, modules } = this;
+    let score = 0;
+    const lines = [];
+    for (let i = 0; i < size; i++) {
+      lines.push(modules[i]);
+      lines.push(modules.map((row) => row[i]));
+    }
+
+    lines.forEach((line) => {
+      let run = 1;
+      for (let i = 1; i <= size; i++) {
+        if (i < size && line[i] === line[i - 1]) {
+          run++;
+          continue;
+        }
+        if (run >= 5) {
+          score += run - 2;
+        }
+        run = 1;
+      }
+
+      const text = line.map((dark) => (dark ? "1" : "0")).join("");
+      score += 40 * ((text.match(/(?=10111010000)/g) || []).length + (text.match(/(?=00001011101)/g) || []).length);
+    });
+
+    for (let y = 0; y < size - 1; y++) {
+      for (let x = 0; x < size - 1; x++) {
+        const color = modules[y][x];
+        if (color === modules[y][x + 1] && color === modules[y + 1][x] && color === modules[y + 1][x + 1]) {
+          score += 3;
+        }
+      }
+    }
+
+    const dark = modules.reduce((sum, row) => sum + row.filter(Boolean).length, 0);
+    score += Math.floor(Math.abs((dark * 100) / (size * size) - 50) / 5) * 10;
+    return score;
+  }
+}
+
+// #region Encode
+
+/**
+ * Encode text as a QR code in the smallest version that fits
+ * @param {string} text - UTF-8 text
+ * @param {Object} options - { level: "L"|"M"|"Q"|"H" (default M), mask: 0-7 (default: lowest penalty) }
+ * @returns {Object} { version, mask, size, modules } where modules[y][x] is true for dark
+ */
+export const encodeQr = (text, { level: levelName = "M", mask } = {}) => {
+  const level = ERROR_CORRECTION[levelName];
+  const bytes = [...Buffer.from(String(text), "utf8")];
+
+  let version = 1;
+  // Mode (4 bits) + length + data must fit the data codewords
+  while (4 + (version <= 9 ? 8 : 16) + bytes.length * 8 > getNumDataCodewords(version, level) * 8) {
+    version++;
+    if (version > 40) {
+      throw new Error("Text is too long for a QR code");
+    }
+  }
+
+  const codewords = addErrorCorrection(encodeData(bytes, version, level), version, level);
+
+  const build = (maskIndex) => {
+    const matrix = new QrMatrix(version);
+    matrix.drawFunctionPatterns(level);
+    matrix.drawCodewords(codewords);
+    matrix.applyMask(maskIndex);
+    matrix.drawFormatBits(level, maskIndex);
+    return matrix;
+  };
+
+  let best;
+  let bestPenalty = Infinity;
+  const candidates = mask === undefined ? MASKS.map((_, i) => i) : [mask];
+  candidates.forEach((maskIndex) => {
+    const matrix = build(maskIndex);
+    const penalty = candidates.length > 1 ? matrix.penalty() : 0;
+    if (penalty < bestPenalty) {
+      best = { matrix, mask: maskIndex };
+      bestPenalty = penalty;
+    }
+  });
+
+  return { version, mask: best.mask, size: best.matrix.size, modules: best.matrix.modules };
+};
+
+/**
+ * Render text as an SVG QR code with the standard 4-module quiet zone
+ * @param {string} text
+ * @param {Object} options - { level, moduleSize (pixels per module, default 4) }
+ * @returns {string} SVG document
+ */
+export const toQrSvg = (text, { level = "M", moduleSize = 4 } = {}) => {
+  const { size, modules } = encodeQr(text, { level });
+  const quietZone = 4;
+  const total = size + quietZone * 2;
+
+  let path = "";
+  modules.forEach((row, y) => {
+    row.forEach((dark, x) => {
+      if (dark) {
+        path += `M${x + quietZone} ${y + quietZone}h1v1h-1z`;
+      }
+    });
+  });
+
+  return (
+    `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 ${total} ${total}" ` +
+    `width="${total * moduleSize}" height="${total * moduleSize}" shape-rendering="crispEdges">` +
+    `<rect width="${total}" height="${total}" fill="#ffffff"/><path d="${path}" fill="#000000"/></svg>`
+  );
+};
+
+export default toQrSvg;
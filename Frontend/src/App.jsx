@@ -8,12 +8,15 @@ import SuperAdminLogin from "./pages/SuperAdminLogin";
 import Register from "./pages/Register";
 import OrganizationRegistration from "./pages/OrganizationRegistration";
 import RegistrationStatus from "./pages/RegistrationStatus";
+import SetPassword from "./pages/SetPassword";
+import ForgotPassword from "./pages/ForgotPassword";
+import ChangePassword from "./pages/ChangePassword";
+import TwoFactorSetup from "./pages/TwoFactorSetup";
 import BloodBankLayout from "./layouts/BloodBankLayout";
 import DashboardOverview from "./pages/bloodbank/DashboardOverview";
 import HospitalRequests from "./pages/bloodbank/HospitalRequests";
 import NgoDrives from "./pages/bloodbank/NgoDrives";
 import BloodStock from "./pages/bloodbank/BloodStock";
-import AdminMessages from "./pages/bloodbank/AdminMessages";
 import ProfileSettings from "./pages/bloodbank/ProfileSettings";
 import HospitalLayout from "./layouts/HospitalLayout";
 import HospitalOverview from "./pages/hospital/Overview";
@@ -27,7 +30,11 @@ import NgoCamps from "./pages/ngo/CampManagement";
 import NgoSlots from "./pages/ngo/SlotManagement";
 import NgoDonors from "./pages/ngo/DonorRegistry";
 import NgoConnectivity from "./pages/ngo/ConnectivityGrid";
+import NgoDonorCallouts from "./pages/ngo/DonorCallouts";
+import DonorAppeal from "./pages/DonorAppeal";
 import ProtectedRoute from "./components/ProtectedRoute";
+import MessageInbox from "./components/MessageInbox";
+import AdminNoticeInbox from "./components/AdminNoticeInbox";
 import SuperAdminLayout from "./layouts/SuperAdminLayout";
 import SuperAdminDashboard from "./pages/superadmin/Dashboard";
 import SuperAdminApprovals from "./pages/superadmin/Approvals";
@@ -36,6 +43,7 @@ import SuperAdminOrganizationDetails from "./pages/superadmin/OrganizationDetail
 import SuperAdminStats from "./pages/superadmin/Stats";
 import SuperAdminUsers from "./pages/superadmin/Users";
 import SuperAdminActivity from "./pages/superadmin/Activity";
+import SuperAdminNotices from "./pages/superadmin/Notices";
 import SuperAdminSystemHealth from "./pages/superadmin/SystemHealth";
 import SuperAdminSettings from "./pages/superadmin/Settings";
 
@@ -72,10 +80,16 @@ export default function App() {
         <Route path="/organization" element={<OrganizationPage />} />
         <Route path="/login" element={<Login />} />
         <Route path="/donor-registration" element={<DonorRegistration />} />
+        <Route path="/donor/appeal/:token" element={<DonorAppeal />} />
         <Route path="/superadmin-login" element={<SuperAdminLogin />} />
         <Route path="/register" element={<Register />} />
         <Route path="/organization-registration" element={<OrganizationRegistration />} />
         <Route path="/registration-status" element={<RegistrationStatus />} />
+        <Route path="/activate" element={<SetPassword mode="activate" />} />
+        <Route path="/reset-password" element={<SetPassword mode="reset" />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+        <Route path="/change-password" element={<ChangePassword />} />
+        <Route path="/two-factor-setup" element={<TwoFactorSetup />} />
 
         {/* Blood Bank Dashboard - Protected Routes */}
         <Route
@@ -91,7 +105,8 @@ export default function App() {
           <Route path="hospital-requests" element={<HospitalRequests />} />
           <Route path="ngo-drives" element={<NgoDrives />} />
           <Route path="blood-stock" element={<BloodStock />} />
-          <Route path="admin-messages" element={<AdminMessages />} />
+          <Route path="admin-messages" element={<AdminNoticeInbox />} />
+          <Route path="messages" element={<MessageInbox />} />
           <Route path="profile-settings" element={<ProfileSettings />} />
         </Route>
 
@@ -108,6 +123,8 @@ export default function App() {
           <Route path="overview" element={<HospitalOverview />} />
           <Route path="blood-requests" element={<HospitalBloodRequests />} />
           <Route path="ngo-drives" element={<HospitalNgoDrives />} />
+          <Route path="messages" element={<MessageInbox />} />
+          <Route path="admin-messages" element={<AdminNoticeInbox />} />
           <Route path="admin" element={<HospitalAdminVerification />} />
           <Route path="profile" element={<HospitalProfile />} />
         </Route>
@@ -126,6 +143,9 @@ export default function App() {
           <Route path="camps" element={<NgoCamps />} />
           <Route path="slots" element={<NgoSlots />} />
           <Route path="donors" element={<NgoDonors />} />
+          <Route path="callouts" element={<NgoDonorCallouts />} />
+          <Route path="messages" element={<MessageInbox />} />
+          <Route path="admin-messages" element={<AdminNoticeInbox />} />
           <Route path="connectivity" element={<NgoConnectivity />} />
         </Route>
 
@@ -146,6 +166,7 @@ export default function App() {
           <Route path="stats" element={<SuperAdminStats />} />
           <Route path="users" element={<SuperAdminUsers />} />
           <Route path="activity" element={<SuperAdminActivity />} />
+          <Route path="notices" element={<SuperAdminNotices />} />
           <Route path="health" element={<SuperAdminSystemHealth />} />
           <Route path="settings" element={<SuperAdminSettings />} />
         </Route>
@@ -0,0 +1,128 @@
+import { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { LogOut, Monitor, Smartphone } from "lucide-react";
+import { getSessions, revokeSession, logoutAllSessions } from "../services/sessionApi";
+
+const formatTime = (iso) =>
+  new Intl.DateTimeFormat("en-IN", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(iso));
+
+// Enough of the user agent to tell devices apart
+const describeDevice = (userAgent = "") => {
+  const browser =
+    ["Edg", "Chrome", "Firefox", "Safari"].find((name) => userAgent.includes(name)) || "Browser";
+  const system =
+    ["Android", "iPhone", "iPad", "Windows", "Mac OS", "Linux"].find((name) => userAgent.includes(name)) ||
+    "Unknown device";
+  return {
+    label: `${browser === "Edg" ? "Edge" : browser} on ${system}`,
+    mobile: /Android|iPhone|iPad/.test(userAgent),
+  };
+};
+
+/**
+ * Devices the logged-in user is signed in on, with sign-out per device and
+ * for every other device
+ */
+export default function ActiveSessions() {
+  const [sessions, setSessions] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadSessions = useCallback(
+    () =>
+      getSessions()
+        .then((response) => setSessions(response.data))
+        .catch(() => toast.error("Failed to load active sessions")),
+    []
+  );
+
+  useEffect(() => {
+    loadSessions();
+  }, [loadSessions]);
+
+  const handleRevoke = async (sessionId) => {
+    setBusy(sessionId);
+    try {
+      await revokeSession(sessionId);
+      setSessions((prev) => prev.filter((session) => session._id !== sessionId));
+      toast.success("Device signed out");
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out device");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevokeOthers = async () => {
+    setBusy("others");
+    try {
+      const response = await logoutAllSessions(true);
+      toast.success(`Signed out of ${response.data.revoked} other device(s)`);
+      loadSessions();
+    } catch (error) {
+      toast.error(error.response?.data?.message || "Failed to sign out other devices");
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  if (!sessions) {
+    return <p className="text-sm text-[#7c4a5e]">Loading sessions...</p>;
+  }
+
+  const others = sessions.filter((session) => !session.current);
+
+  return (
+    <div className="space-y-3">
+      {sessions.map((session) => {
+        const device = describeDevice(session.device?.userAgent);
+        const Icon = device.mobile ? Smartphone : Monitor;
+        return (
+          <div
+            key={session._id}
+            className="flex items-center justify-between gap-4 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4"
+          >
+            <div className="flex items-center gap-3">
+              <Icon className="h-5 w-5 text-[#7c4a5e]" />
+              <div>
+                <p className="font-medium text-[#31101e]">
+                  {device.label}
+                  {session.current && (
+                    <span className="ml-2 rounded-full bg-[#e6f6ec] px-2 py-0.5 text-[11px] font-semibold text-[#2c8a49]">
+                      This device
+                    </span>
+                  )}
+                </p>
+                <p className="text-sm text-[#7c4a5e]">
+                  {session.device?.ipAddress || "Unknown IP"} · Last active {formatTime(session.lastUsedAt)}
+                </p>
+              </div>
+            </div>
+            {!session.current && (
+              <button
+                onClick={() => handleRevoke(session._id)}
+                disabled={busy !== null}
+                className="rounded-full border border-[#ffb3c4] px-4 py-1.5 text-xs font-semibold text-[#c5114d] transition hover:bg-[#ffe0e8] disabled:opacity-50"
+              >
+                {busy === session._id ? "Signing out..." : "Sign out"}
+              </button>
+            )}
+          </div>
+        );
+      })}
+
+      {others.length > 0 && (
+        <button
+          onClick={handleRevokeOthers}
+          disabled={busy !== null}
+          className="flex w-full items-center justify-center gap-2 rounded-2xl border border-[#ffb3c4] px-4 py-3 font-semibold text-[#c5114d] transition hover:bg-[#ffe0e8] disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          <LogOut className="h-4 w-4" />
+          {busy === "others" ? "Signing out..." : "Sign out all other devices"}
+        </button>
+      )}
+    </div>
+  );
+}
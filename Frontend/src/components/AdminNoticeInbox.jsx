@@ -0,0 +1,176 @@
+import { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { getNotices, markNoticeRead, acknowledgeNotice } from "../services/noticeApi";
+import { subscribeToRealtime, publishRealtimeEvent } from "../services/realtimeApi";
+
+const priorityStyles = {
+  CRITICAL: "bg-[#fde4e4] text-[#9e121c] border border-[#f5a5ad]",
+  HIGH: "bg-[#fff3e4] text-[#b05f09] border border-[#f0c18c]",
+  NORMAL: "bg-[#e8f1fb] text-[#185a9d] border border-[#b5d0ee]",
+  LOW: "bg-gray-100 text-gray-600 border border-gray-200",
+};
+
+const formatTime = (iso) =>
+  new Intl.DateTimeFormat("en-IN", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(iso));
+
+/**
+ * Notices from the super admins to the organization (shared by the hospital,
+ * blood bank and NGO dashboards). Opening a notice marks it read; notices
+ * that ask for it are acknowledged once for the whole organization.
+ */
+export default function AdminNoticeInbox() {
+  const [notices, setNotices] = useState([]);
+  const [unreadCount, setUnreadCount] = useState(0);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [expanded, setExpanded] = useState(null);
+  const [acknowledging, setAcknowledging] = useState(null);
+
+  const loadNotices = useCallback(async () => {
+    try {
+      const response = await getNotices();
+      setNotices(response.data.notices || []);
+      setUnreadCount(response.data.unreadCount || 0);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load notices");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotices();
+  }, [loadNotices]);
+
+  // READ events are our own, re-broadcast so navigation badges refresh
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type === "notice" && event.data?.action !== "READ") loadNotices();
+      }),
+    [loadNotices]
+  );
+
+  const handleOpen = async (notice) => {
+    setExpanded((current) => (current === notice._id ? null : notice._id));
+    if (notice.read) return;
+
+    try {
+      await markNoticeRead(notice._id);
+      setNotices((prev) => prev.map((entry) => (entry._id === notice._id ? { ...entry, read: true } : entry)));
+      setUnreadCount((count) => Math.max(count - 1, 0));
+      publishRealtimeEvent({ type: "notice", data: { action: "READ", noticeId: notice._id } });
+    } catch (err) {
+      console.error("Failed to mark notice as read:", err);
+    }
+  };
+
+  const handleAcknowledge = async (notice) => {
+    setAcknowledging(notice._id);
+    try {
+      const response = await acknowledgeNotice(notice._id);
+      setNotices((prev) =>
+        prev.map((entry) =>
+          entry._id === notice._id ? { ...entry, read: true, acknowledgment: response.data } : entry
+        )
+      );
+      toast.success("Notice acknowledged");
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to acknowledge notice");
+      loadNotices();
+    } finally {
+      setAcknowledging(null);
+    }
+  };
+
+  return (
+    <section className="space-y-6 rounded-3xl border border-white/60 bg-white p-6 shadow-[0_25px_60px_rgba(255,154,187,0.2)]">
+      <header className="flex flex-wrap items-end justify-between gap-3">
+        <div>
+          <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">Admin Messages</p>
+          <h3 className="mt-2 text-2xl font-semibold text-[#31101e]">Notices from headquarters</h3>
+          <p className="mt-1 text-sm text-[#7c4a5e]">
+            Instructions and announcements from the central control team.
+          </p>
+        </div>
+        {unreadCount > 0 && (
+          <span className="rounded-full bg-[#ff4d6d] px-3 py-1 text-xs font-semibold text-white">
+            {unreadCount} unread
+          </span>
+        )}
+      </header>
+
+      {loading ? (
+        <p className="text-sm text-[#7c4a5e]">Loading notices...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : notices.length === 0 ? (
+        <p className="rounded-2xl border border-pink-50 bg-[#fff9fb] px-5 py-4 text-sm text-[#7c4a5e]">
+          No notices yet.
+        </p>
+      ) : (
+        <ul className="space-y-3">
+          {notices.map((notice) => {
+            const open = expanded === notice._id;
+            const pendingAck = notice.requiresAcknowledgment && !notice.acknowledgment;
+            return (
+              <li
+                key={notice._id}
+                className={`rounded-2xl border p-4 transition ${
+                  notice.read ? "border-pink-50 bg-white" : "border-pink-200 bg-pink-50/60"
+                }`}
+              >
+                <button onClick={() => handleOpen(notice)} className="flex w-full items-start justify-between gap-4 text-left">
+                  <div className="min-w-0">
+                    <div className="flex flex-wrap items-center gap-2">
+                      <span className={`rounded-full px-2 py-0.5 text-[11px] font-semibold ${priorityStyles[notice.priority]}`}>
+                        {notice.priority}
+                      </span>
+                      {pendingAck && (
+                        <span className="rounded-full bg-[#fff3e4] px-2 py-0.5 text-[11px] font-semibold text-[#b05f09]">
+                          Acknowledgment required
+                        </span>
+                      )}
+                    </div>
+                    <p className={`mt-2 text-[#31101e] ${notice.read ? "font-medium" : "font-semibold"}`}>
+                      {notice.title}
+                    </p>
+                    {!open && <p className="truncate text-sm text-[#7c4a5e]">{notice.body}</p>}
+                  </div>
+                  <span className="shrink-0 text-xs text-[#8a5c70]">{formatTime(notice.createdAt)}</span>
+                </button>
+
+                {open && (
+                  <div className="mt-3 space-y-3">
+                    <p className="whitespace-pre-wrap text-sm text-[#31101e]">{notice.body}</p>
+                    {notice.sentBy?.name && <p className="text-xs text-[#8a5c70]">— {notice.sentBy.name}</p>}
+                    {notice.acknowledgment ? (
+                      <p className="text-xs font-semibold text-[#1f7a3a]">
+                        ✓ Acknowledged by {notice.acknowledgment.name || notice.acknowledgment.userCode} on{" "}
+                        {formatTime(notice.acknowledgment.acknowledgedAt)}
+                      </p>
+                    ) : (
+                      pendingAck && (
+                        <button
+                          onClick={() => handleAcknowledge(notice)}
+                          disabled={acknowledging === notice._id}
+                          className="rounded-full bg-gradient-to-r from-[#8f0f1a] to-[#c62832] px-5 py-2 text-xs font-semibold text-white shadow-lg transition hover:scale-105 disabled:opacity-40"
+                        >
+                          {acknowledging === notice._id ? "Acknowledging..." : "Acknowledge"}
+                        </button>
+                      )
+                    )}
+                  </div>
+                )}
+              </li>
+            );
+          })}
+        </ul>
+      )}
+    </section>
+  );
+}
@@ -0,0 +1,259 @@
+import { useCallback, useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Copy, KeyRound, Plus } from "lucide-react";
+import { getApiKeys, createApiKey, revokeApiKey } from "../services/apiKeyApi";
+
+const inputClass =
+  "w-full rounded-2xl border border-[#ffd0dc] bg-white px-4 py-2 text-sm text-[#31101e] outline-none focus:border-[#ff4d6d]";
+
+const primaryButtonClass =
+  "rounded-full bg-[#c5114d] px-5 py-2 text-sm font-semibold text-white transition hover:bg-[#a30d3f] disabled:opacity-50";
+
+const secondaryButtonClass =
+  "rounded-full border border-[#ffb3c4] px-4 py-1.5 text-xs font-semibold text-[#c5114d] transition hover:bg-[#ffe0e8] disabled:opacity-50";
+
+const STATUS_STYLES = {
+  ACTIVE: "bg-[#e6f6ec] text-[#2c8a49]",
+  EXPIRED: "bg-[#fff3d6] text-[#9a6b00]",
+  REVOKED: "bg-[#f1e4e8] text-[#7c4a5e]",
+};
+
+const EMPTY_FORM = { name: "", permissions: [], expiresInDays: 90, rateLimitPerMinute: 60 };
+
+const formatTime = (iso) =>
+  iso
+    ? new Intl.DateTimeFormat("en-IN", {
+        dateStyle: "medium",
+        timeStyle: "short",
+      }).format(new Date(iso))
+    : "Never";
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+/**
+ * API keys the organization's own software (HIS, LIS, inventory) calls the
+ * API with: create with a scope, expiry and rate limit, see last use, revoke.
+ * Needs the apikeys:manage permission.
+ */
+export default function ApiKeys() {
+  const [keys, setKeys] = useState(null);
+  const [permissions, setPermissions] = useState([]);
+  const [forbidden, setForbidden] = useState(false);
+  const [form, setForm] = useState(null);
+  const [createdKey, setCreatedKey] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const loadKeys = useCallback(
+    () =>
+      getApiKeys()
+        .then((response) => {
+          setKeys(response.data.keys);
+          setPermissions(response.data.permissions);
+        })
+        .catch((error) => {
+          if (error.response?.status === 403) {
+            setForbidden(true);
+          } else {
+            toast.error("Failed to load API keys");
+          }
+        }),
+    []
+  );
+
+  useEffect(() => {
+    loadKeys();
+  }, [loadKeys]);
+
+  const togglePermission = (key) =>
+    setForm((prev) => ({
+      ...prev,
+      permissions: prev.permissions.includes(key)
+        ? prev.permissions.filter((permission) => permission !== key)
+        : [...prev.permissions, key],
+    }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setBusy("create");
+    try {
+      const response = await createApiKey({
+        ...form,
+        expiresInDays: Number(form.expiresInDays),
+        rateLimitPerMinute: Number(form.rateLimitPerMinute),
+      });
+      setCreatedKey(response.data.key);
+      setForm(null);
+      loadKeys();
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to create API key"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleRevoke = async (apiKey) => {
+    if (!window.confirm(`Revoke "${apiKey.name}"? Software using it stops working immediately.`)) return;
+
+    setBusy(apiKey._id);
+    try {
+      const response = await revokeApiKey(apiKey._id);
+      setKeys((prev) => prev.map((key) => (key._id === apiKey._id ? response.data : key)));
+      toast.success("API key revoked");
+    } catch (error) {
+      toast.error(errorMessage(error, "Failed to revoke API key"));
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(createdKey);
+      toast.success("API key copied");
+    } catch {
+      toast.error("Copy failed, select the key and copy it instead");
+    }
+  };
+
+  if (forbidden) {
+    return <p className="text-sm text-[#7c4a5e]">Only your organization's administrators can manage API keys.</p>;
+  }
+
+  if (!keys) {
+    return <p className="text-sm text-[#7c4a5e]">Loading API keys...</p>;
+  }
+
+  return (
+    <div className="space-y-3">
+      {createdKey && (
+        <div className="space-y-3 rounded-2xl border border-[#ffb3c4] bg-[#fff7f9] p-4">
+          <p className="text-sm text-[#7c4a5e]">
+            Copy this key into your system's settings now. It won't be shown again; if it is lost, revoke it and
+            create a new one.
+          </p>
+          <p className="break-all rounded-xl border border-[#ffe0e8] bg-white p-3 font-mono text-sm text-[#31101e]">
+            {createdKey}
+          </p>
+          <div className="flex gap-3">
+            <button onClick={handleCopy} className={secondaryButtonClass}>
+              <Copy className="mr-1 inline h-3 w-3" />
+              Copy key
+            </button>
+            <button onClick={() => setCreatedKey(null)} className={primaryButtonClass}>
+              I have saved it
+            </button>
+          </div>
+        </div>
+      )}
+
+      {keys.length === 0 && !form && (
+        <p className="text-sm text-[#7c4a5e]">
+          No API keys yet. Create one to let your hospital or inventory system call BloodBridge directly.
+        </p>
+      )}
+
+      {keys.map((apiKey) => (
+        <div
+          key={apiKey._id}
+          className="flex items-center justify-between gap-4 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4"
+        >
+          <div className="flex items-center gap-3">
+            <KeyRound className="h-5 w-5 text-[#7c4a5e]" />
+            <div>
+              <p className="font-medium text-[#31101e]">
+                {apiKey.name}
+                <span className={`ml-2 rounded-full px-2 py-0.5 text-[11px] font-semibold ${STATUS_STYLES[apiKey.status]}`}>
+                  {apiKey.status}
+                </span>
+              </p>
+              <p className="font-mono text-xs text-[#7c4a5e]">{apiKey.prefix}_...</p>
+              <p className="text-sm text-[#7c4a5e]">{apiKey.permissions.join(", ")}</p>
+              <p className="text-xs text-[#7c4a5e]">
+                {apiKey.rateLimitPerMinute}/min · Expires {formatTime(apiKey.expiresAt)} · Last used{" "}
+                {formatTime(apiKey.lastUsedAt)}
+                {apiKey.lastUsedIp && ` from ${apiKey.lastUsedIp}`}
+              </p>
+            </div>
+          </div>
+          {apiKey.status === "ACTIVE" && (
+            <button onClick={() => handleRevoke(apiKey)} disabled={busy !== null} className={secondaryButtonClass}>
+              {busy === apiKey._id ? "Revoking..." : "Revoke"}
+            </button>
+          )}
+        </div>
+      ))}
+
+      {form ? (
+        <form onSubmit={handleCreate} className="space-y-4 rounded-2xl border border-[#ffe0e8] p-4">
+          <input
+            type="text"
+            placeholder="Name, e.g. HIS integration"
+            maxLength={60}
+            value={form.name}
+            onChange={(e) => setForm((prev) => ({ ...prev, name: e.target.value }))}
+            className={inputClass}
+          />
+          <div className="grid gap-2 sm:grid-cols-2">
+            {permissions.map((permission) => (
+              <label key={permission.key} className="flex items-start gap-2 text-sm text-[#31101e]">
+                <input
+                  type="checkbox"
+                  checked={form.permissions.includes(permission.key)}
+                  onChange={() => togglePermission(permission.key)}
+                  className="mt-1"
+                />
+                <span>
+                  <span className="font-mono text-xs">{permission.key}</span>
+                  <span className="block text-xs text-[#7c4a5e]">{permission.description}</span>
+                </span>
+              </label>
+            ))}
+          </div>
+          <div className="grid gap-3 sm:grid-cols-2">
+            <label className="text-xs font-semibold text-[#7c4a5e]">
+              Expires after (days)
+              <input
+                type="number"
+                min={1}
+                value={form.expiresInDays}
+                onChange={(e) => setForm((prev) => ({ ...prev, expiresInDays: e.target.value }))}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+            <label className="text-xs font-semibold text-[#7c4a5e]">
+              Requests per minute
+              <input
+                type="number"
+                min={1}
+                value={form.rateLimitPerMinute}
+                onChange={(e) => setForm((prev) => ({ ...prev, rateLimitPerMinute: e.target.value }))}
+                className={`${inputClass} mt-1`}
+              />
+            </label>
+          </div>
+          <div className="flex gap-3">
+            <button
+              type="submit"
+              disabled={busy !== null || !form.name.trim() || form.permissions.length === 0}
+              className={primaryButtonClass}
+            >
+              {busy === "create" ? "Creating..." : "Create key"}
+            </button>
+            <button type="button" onClick={() => setForm(null)} disabled={busy !== null} className={secondaryButtonClass}>
+              Cancel
+            </button>
+          </div>
+        </form>
+      ) : (
+        <button
+          onClick={() => setForm(EMPTY_FORM)}
+          disabled={busy !== null}
+          className="flex w-full items-center justify-center gap-2 rounded-2xl border border-[#ffb3c4] px-4 py-3 font-semibold text-[#c5114d] transition hover:bg-[#ffe0e8] disabled:cursor-not-allowed disabled:opacity-60"
+        >
+          <Plus className="h-4 w-4" />
+          New API key
+        </button>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,45 @@
+/**
+ * Centered card on the dark login background, for the account pages
+ * (activation, password reset, forced password change)
+ */
+export default function AuthCard({ title, subtitle, errors = [], children }) {
+  return (
+    <div className="min-h-screen bg-[#050816] overflow-hidden relative">
+      <div className="absolute inset-0 overflow-hidden pointer-events-none">
+        <div className="absolute top-0 left-0 w-[500px] h-[500px] bg-red-500/20 blur-3xl rounded-full"></div>
+        <div className="absolute bottom-0 right-0 w-[500px] h-[500px] bg-blue-500/20 blur-3xl rounded-full"></div>
+      </div>
+
+      <div className="relative z-10 min-h-screen flex items-center justify-center px-4 py-10 sm:px-8">
+        <div className="w-full max-w-md relative overflow-hidden rounded-3xl border border-white/10 bg-white/5 backdrop-blur-2xl shadow-2xl p-8 sm:p-10">
+          <div className="absolute inset-0 bg-gradient-to-br from-white/10 to-transparent pointer-events-none"></div>
+
+          <div className="relative z-10">
+            <div className="mb-8">
+              <h2 className="text-3xl font-bold text-white mb-3">{title}</h2>
+              {subtitle && <p className="text-gray-400">{subtitle}</p>}
+            </div>
+
+            {errors.length > 0 && (
+              <div className="mb-6 rounded-2xl border border-red-500/20 bg-red-500/10 p-4">
+                {errors.map((error, idx) => (
+                  <p key={idx} className="text-sm text-red-300">
+                    {error}
+                  </p>
+                ))}
+              </div>
+            )}
+
+            {children}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+export const authInputClass =
+  "w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10";
+
+export const authButtonClass =
+  "w-full rounded-2xl bg-gradient-to-r from-red-500 via-pink-500 to-rose-500 py-4 font-bold text-white transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-red-500/30 disabled:opacity-50";
@@ -0,0 +1,43 @@
+import { useEffect } from "react";
+import toast from "react-hot-toast";
+import {
+  openRealtimeStream,
+  publishRealtimeEvent,
+  playCriticalCue,
+} from "../services/realtimeApi";
+
+const describeCriticalEvent = ({ type, data }) => {
+  if (type === "alert") {
+    return data.title || "Critical alert";
+  }
+  if (type === "notice") {
+    return `Admin notice: ${data.notice.title}`;
+  }
+  return `CRITICAL: ${data.unitsRequired} unit(s) ${data.bloodGroup} needed (${data.requestCode})`;
+};
+
+/**
+ * Holds the live event stream for a dashboard layout.
+ * Every pushed event is re-broadcast to the pages (see subscribeToRealtime);
+ * CRITICAL requests, alerts and admin notices also raise a toast and an
+ * audible cue.
+ */
+export default function LiveUpdates({ token }) {
+  useEffect(() => {
+    if (!token) return undefined;
+
+    return openRealtimeStream(token, (event) => {
+      publishRealtimeEvent(event);
+
+      if (event.data?.critical) {
+        playCriticalCue();
+        toast.error(describeCriticalEvent(event), {
+          id: `${event.type}-${event.data.alertId || event.data.requestId || event.data.notice?._id}`,
+          duration: 8000,
+        });
+      }
+    });
+  }, [token]);
+
+  return null;
+}
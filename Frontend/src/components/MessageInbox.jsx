@@ -0,0 +1,119 @@
+import { useCallback, useEffect, useState } from "react";
+import { getMessageThreads } from "../services/messageApi";
+import { subscribeToRealtime } from "../services/realtimeApi";
+import MessageThreadModal from "./MessageThreadModal";
+
+const ENTITY_LABELS = {
+  BLOOD_REQUEST: "Blood request",
+  HOSPITAL_DRIVE: "Hospital drive",
+  BLOODBANK_DRIVE: "Blood bank drive",
+};
+
+const formatTime = (iso) =>
+  new Intl.DateTimeFormat("en-IN", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(iso));
+
+/**
+ * Conversations of the organization across its requests and drives (shared
+ * by the hospital, blood bank and NGO dashboards)
+ */
+export default function MessageInbox() {
+  const [threads, setThreads] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [openThread, setOpenThread] = useState(null);
+
+  const loadThreads = useCallback(async () => {
+    try {
+      const response = await getMessageThreads();
+      setThreads(response.data || []);
+      setError(null);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load conversations");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadThreads();
+  }, [loadThreads]);
+
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type === "message") loadThreads();
+      }),
+    [loadThreads]
+  );
+
+  const handleClose = () => {
+    setOpenThread(null);
+    loadThreads();
+  };
+
+  return (
+    <section className="space-y-6 rounded-3xl border border-white/80 bg-white/95 p-6 shadow-[0_25px_60px_rgba(241,122,146,0.18)]">
+      <header>
+        <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">Messages</p>
+        <h3 className="text-2xl font-semibold text-[#31101e]">Conversations</h3>
+        <p className="text-sm text-[#7c4a5e]">
+          Questions and updates exchanged on your blood requests and drives.
+        </p>
+      </header>
+
+      {loading ? (
+        <p className="text-sm text-[#7c4a5e]">Loading conversations...</p>
+      ) : error ? (
+        <p className="text-sm text-red-600">{error}</p>
+      ) : threads.length === 0 ? (
+        <p className="rounded-2xl border border-pink-50 bg-[#fff9fb] px-5 py-4 text-sm text-[#7c4a5e]">
+          No conversations yet. Open a request or drive and use “Messages” to start one.
+        </p>
+      ) : (
+        <ul className="divide-y divide-pink-50 rounded-2xl border border-pink-50">
+          {threads.map((thread) => (
+            <li key={`${thread.entityType}-${thread.entityId}`}>
+              <button
+                onClick={() => setOpenThread(thread)}
+                className="flex w-full items-start justify-between gap-4 px-5 py-4 text-left transition hover:bg-pink-50/60"
+              >
+                <div className="min-w-0">
+                  <p className="text-[11px] uppercase tracking-[0.3em] text-[#b45a6f]">
+                    {ENTITY_LABELS[thread.entityType] || thread.entityType}
+                  </p>
+                  <p className="font-semibold text-[#31101e]">{thread.label}</p>
+                  <p className="truncate text-sm text-[#7c4a5e]">
+                    {thread.lastMessage.sender.organizationName}:{" "}
+                    {thread.lastMessage.body ||
+                      `${thread.lastMessage.attachmentCount} attachment(s)`}
+                  </p>
+                </div>
+                <div className="flex shrink-0 flex-col items-end gap-2">
+                  <span className="text-xs text-[#8a5c70]">
+                    {formatTime(thread.lastMessage.createdAt)}
+                  </span>
+                  {thread.unreadCount > 0 && (
+                    <span className="rounded-full bg-[#ff4d6d] px-2 py-0.5 text-xs font-semibold text-white">
+                      {thread.unreadCount}
+                    </span>
+                  )}
+                </div>
+              </button>
+            </li>
+          ))}
+        </ul>
+      )}
+
+      <MessageThreadModal
+        isOpen={Boolean(openThread)}
+        onClose={handleClose}
+        entityType={openThread?.entityType}
+        entityId={openThread?.entityId}
+        title={openThread?.label}
+      />
+    </section>
+  );
+}
@@ -0,0 +1,246 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/AuthContext";
+import {
+  getThreadMessages,
+  sendMessage,
+  markThreadRead,
+  uploadMessageAttachment,
+  downloadMessageAttachment
+} from "../services/messageApi";
+import { subscribeToRealtime } from "../services/realtimeApi";
+
+const MAX_ATTACHMENTS = 5;
+
+const formatTime = (iso) =>
+  new Intl.DateTimeFormat("en-IN", {
+    dateStyle: "medium",
+    timeStyle: "short",
+  }).format(new Date(iso));
+
+const formatSize = (bytes) =>
+  bytes >= 1024 * 1024 ? `${(bytes / 1024 / 1024).toFixed(1)} MB` : `${Math.ceil(bytes / 1024)} KB`;
+
+/**
+ * Message thread of a blood request or drive between the organizations
+ * involved. New messages and read receipts arrive live; opening the thread
+ * marks it as read.
+ *
+ * @param {string} entityType - "BLOOD_REQUEST", "HOSPITAL_DRIVE" or "BLOODBANK_DRIVE"
+ */
+export default function MessageThreadModal({ isOpen, onClose, entityType, entityId, title }) {
+  const { user } = useAuth();
+  const [thread, setThread] = useState(null);
+  const [messages, setMessages] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [body, setBody] = useState("");
+  const [files, setFiles] = useState([]);
+  const [sending, setSending] = useState(false);
+  const fileInput = useRef(null);
+  const bottom = useRef(null);
+
+  const loadThread = useCallback(async () => {
+    try {
+      const response = await getThreadMessages(entityType, entityId);
+      setThread(response.data.thread);
+      setMessages(response.data.messages);
+      setError(null);
+      await markThreadRead(entityType, entityId);
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load messages");
+    } finally {
+      setLoading(false);
+    }
+  }, [entityType, entityId]);
+
+  useEffect(() => {
+    if (!isOpen) return;
+    setLoading(true);
+    loadThread();
+  }, [isOpen, loadThread]);
+
+  // Messages from the other side are appended (and read); receipts reload the thread
+  useEffect(() => {
+    if (!isOpen) return undefined;
+    return subscribeToRealtime((event) => {
+      if (event.type !== "message") return;
+      const { action, entityType: type, entityId: id, message, reader } = event.data;
+      if (type !== entityType || String(id) !== String(entityId)) return;
+
+      if (action === "POSTED") {
+        setMessages((prev) =>
+          prev.some((entry) => entry._id === message._id) ? prev : [...prev, message]
+        );
+        if (message.sender.userCode !== user?.userCode) {
+          markThreadRead(entityType, entityId).catch(() => {});
+        }
+      } else if (action === "READ" && reader.userCode !== user?.userCode) {
+        loadThread();
+      }
+    });
+  }, [isOpen, entityType, entityId, user, loadThread]);
+
+  useEffect(() => {
+    bottom.current?.scrollIntoView({ behavior: "smooth" });
+  }, [messages]);
+
+  const handleFiles = (event) => {
+    const selected = Array.from(event.target.files || []);
+    setFiles((prev) => [...prev, ...selected].slice(0, MAX_ATTACHMENTS));
+    event.target.value = "";
+  };
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    if (!body.trim() && files.length === 0) return;
+
+    setSending(true);
+    try {
+      const attachmentIds = [];
+      for (const file of files) {
+        const uploaded = await uploadMessageAttachment(entityType, entityId, file);
+        attachmentIds.push(uploaded.data._id);
+      }
+      const response = await sendMessage(entityType, entityId, { body, attachmentIds });
+      setMessages((prev) =>
+        prev.some((entry) => entry._id === response.data._id) ? prev : [...prev, response.data]
+      );
+      setBody("");
+      setFiles([]);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to send message");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  const handleDownload = async (attachment) => {
+    try {
+      await downloadMessageAttachment(attachment);
+    } catch {
+      toast.error("Failed to download attachment");
+    }
+  };
+
+  if (!isOpen) return null;
+
+  return (
+    <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+      <div className="relative flex h-[85vh] w-full max-w-2xl flex-col rounded-3xl border border-white/80 bg-white p-6 shadow-[0_25px_60px_rgba(77,10,15,0.25)]">
+        <button
+          onClick={onClose}
+          className="absolute right-6 top-5 text-2xl text-[#8b6161] hover:text-[#8f0f1a] transition"
+        >
+          ×
+        </button>
+
+        <header className="pr-10">
+          <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">Messages</p>
+          <h3 className="text-xl font-semibold text-[#31101e]">{title || thread?.label}</h3>
+        </header>
+
+        <div className="mt-4 flex-1 space-y-3 overflow-y-auto rounded-2xl border border-pink-50 bg-[#fff9fb] p-4">
+          {loading ? (
+            <p className="text-sm text-[#7c4a5e]">Loading messages...</p>
+          ) : error ? (
+            <p className="text-sm text-red-600">{error}</p>
+          ) : messages.length === 0 ? (
+            <p className="text-sm text-[#7c4a5e]">
+              No messages yet. Ask your question here instead of calling.
+            </p>
+          ) : (
+            messages.map((message) => {
+              const own = message.sender.userCode === user?.userCode;
+              return (
+                <div key={message._id} className={`flex ${own ? "justify-end" : "justify-start"}`}>
+                  <div
+                    className={`max-w-[80%] rounded-2xl px-4 py-3 text-sm shadow-sm ${
+                      own ? "bg-[#ff4d6d] text-white" : "border border-pink-100 bg-white text-[#31101e]"
+                    }`}
+                  >
+                    <p className={`text-xs font-semibold ${own ? "text-white/80" : "text-[#a44255]"}`}>
+                      {message.sender.name || message.sender.userCode} · {message.sender.organizationName}
+                    </p>
+                    {message.body && <p className="mt-1 whitespace-pre-wrap">{message.body}</p>}
+                    {message.attachments.map((attachment) => (
+                      <button
+                        key={attachment.attachmentId}
+                        onClick={() => handleDownload(attachment)}
+                        className={`mt-2 block text-left text-xs underline ${own ? "text-white" : "text-[#0f6fa6]"}`}
+                      >
+                        📎 {attachment.fileName} ({formatSize(attachment.size)})
+                      </button>
+                    ))}
+                    <p className={`mt-1 text-[10px] ${own ? "text-white/70" : "text-[#8a5c70]"}`}>
+                      {formatTime(message.createdAt)}
+                      {own && message.readBy.length > 0 &&
+                        ` · Read by ${message.readBy.map((receipt) => receipt.name || receipt.userCode).join(", ")}`}
+                    </p>
+                  </div>
+                </div>
+              );
+            })
+          )}
+          <div ref={bottom} />
+        </div>
+
+        <form onSubmit={handleSend} className="mt-4 space-y-2">
+          {files.length > 0 && (
+            <div className="flex flex-wrap gap-2 text-xs">
+              {files.map((file, index) => (
+                <span
+                  key={`${file.name}-${index}`}
+                  className="flex items-center gap-2 rounded-full border border-pink-100 bg-pink-50 px-3 py-1 text-[#7c4a5e]"
+                >
+                  {file.name}
+                  <button
+                    type="button"
+                    onClick={() => setFiles((prev) => prev.filter((_, i) => i !== index))}
+                    className="text-[#c5114d]"
+                  >
+                    ×
+                  </button>
+                </span>
+              ))}
+            </div>
+          )}
+          <div className="flex items-end gap-2">
+            <textarea
+              value={body}
+              onChange={(e) => setBody(e.target.value)}
+              rows={2}
+              maxLength={5000}
+              placeholder="Write a message..."
+              disabled={Boolean(error)}
+              className="flex-1 resize-none rounded-2xl border border-pink-100 px-4 py-2 text-sm focus:border-[#ff4d6d] focus:outline-none"
+            />
+            <input
+              ref={fileInput}
+              type="file"
+              multiple
+              accept=".pdf,.png,.jpg,.jpeg,.webp,.txt,.csv,.docx,.xlsx"
+              onChange={handleFiles}
+              className="hidden"
+            />
+            <button
+              type="button"
+              onClick={() => fileInput.current?.click()}
+              disabled={Boolean(error) || files.length >= MAX_ATTACHMENTS}
+              className="rounded-full border border-pink-100 px-4 py-2 text-xs font-semibold text-[#7c4a5e] transition hover:bg-pink-50 disabled:opacity-40"
+            >
+              Attach
+            </button>
+            <button
+              type="submit"
+              disabled={sending || Boolean(error) || (!body.trim() && files.length === 0)}
+              className="rounded-full bg-gradient-to-r from-[#8f0f1a] to-[#c62832] px-5 py-2 text-xs font-semibold text-white shadow-lg transition hover:scale-105 disabled:opacity-40"
+            >
+              {sending ? "Sending..." : "Send"}
+            </button>
+          </div>
+        </form>
+      </div>
+    </div>
+  );
+}
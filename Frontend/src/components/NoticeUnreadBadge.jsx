@@ -0,0 +1,39 @@
+import { useCallback, useEffect, useState } from "react";
+import { getUnreadNoticeCount } from "../services/noticeApi";
+import { subscribeToRealtime } from "../services/realtimeApi";
+
+/**
+ * Unread admin notices of the logged-in user, for the "Admin Messages"
+ * navigation item. Refreshes on every notice event (sent, acknowledged, read).
+ */
+export default function NoticeUnreadBadge() {
+  const [count, setCount] = useState(0);
+
+  const loadCount = useCallback(
+    () =>
+      getUnreadNoticeCount()
+        .then((response) => setCount(response.data.unreadCount || 0))
+        .catch((err) => console.error("Failed to load unread notices:", err)),
+    []
+  );
+
+  useEffect(() => {
+    loadCount();
+  }, [loadCount]);
+
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type === "notice") loadCount();
+      }),
+    [loadCount]
+  );
+
+  if (count === 0) return null;
+
+  return (
+    <span className="ml-auto mr-2 rounded-full bg-white px-2 py-0.5 text-xs font-bold text-[#c5114d]">
+      {count}
+    </span>
+  );
+}
@@ -0,0 +1,236 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { Bell, Mail, MessageSquare, Moon, Save, Siren } from "lucide-react";
+import {
+  getNotificationPreferences,
+  updateNotificationPreferences,
+} from "../services/notificationApi";
+
+const EVENT_LABELS = {
+  REQUEST_CREATED: {
+    title: "New Blood Requests",
+    description: "Requests sent to your organization",
+  },
+  REQUEST_ESCALATED: {
+    title: "Escalated Requests",
+    description: "Unanswered requests that widened their search",
+  },
+  REQUEST_ACCEPTED: {
+    title: "Accepted Requests",
+    description: "A blood bank accepted one of your requests",
+  },
+  ALERT_RAISED: {
+    title: "System Alerts",
+    description: "Shortages, cold-chain excursions and other alerts",
+  },
+  ALERT_ESCALATED: {
+    title: "Escalated Alerts",
+    description: "Alerts nobody acknowledged within their SLA",
+  },
+};
+
+const CHANNELS = [
+  { key: "IN_APP", title: "Browser Notifications", description: "Toasts and sound on the dashboard", icon: Bell },
+  { key: "EMAIL", title: "Email Notifications", description: "Receive notifications via email", icon: Mail },
+  { key: "SMS", title: "SMS Notifications", description: "Receive text messages", icon: MessageSquare },
+];
+
+const Toggle = ({ checked, onChange }) => (
+  <button
+    type="button"
+    onClick={onChange}
+    className={`relative inline-flex h-6 w-11 shrink-0 items-center rounded-full transition-colors ${
+      checked ? "bg-[#2c8a49]" : "bg-[#ffe0e8]"
+    }`}
+  >
+    <span
+      className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
+        checked ? "translate-x-6" : "translate-x-1"
+      }`}
+    />
+  </button>
+);
+
+const Row = ({ icon, title, description, children }) => {
+  const Icon = icon;
+  return (
+    <div className="flex items-center justify-between gap-4 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
+      <div className="flex items-center gap-3">
+        <Icon className="h-5 w-5 text-[#7c4a5e]" />
+        <div>
+          <p className="font-medium text-[#31101e]">{title}</p>
+          <p className="text-sm text-[#7c4a5e]">{description}</p>
+        </div>
+      </div>
+      {children}
+    </div>
+  );
+};
+
+/**
+ * Notification preferences of the logged-in user: event types, channels,
+ * quiet hours and the on-call override for CRITICAL events.
+ *
+ * @param {string} scope - "organization" or "superadmin"
+ * @param {Array<string>} events - Event types to offer (keys of EVENT_LABELS)
+ */
+export default function NotificationPreferences({
+  scope = "organization",
+  events = Object.keys(EVENT_LABELS),
+}) {
+  const [preferences, setPreferences] = useState(null);
+  const [saving, setSaving] = useState(false);
+
+  useEffect(() => {
+    getNotificationPreferences(scope)
+      .then((response) => setPreferences(response.data))
+      .catch(() => toast.error("Failed to load notification preferences"));
+  }, [scope]);
+
+  if (!preferences) {
+    return <p className="text-sm text-[#7c4a5e]">Loading preferences...</p>;
+  }
+
+  const toggle = (group, key) => {
+    setPreferences((prev) => ({
+      ...prev,
+      [group]: { ...prev[group], [key]: !prev[group][key] },
+    }));
+  };
+
+  const setQuietHours = (changes) => {
+    setPreferences((prev) => ({
+      ...prev,
+      quietHours: { ...prev.quietHours, ...changes },
+    }));
+  };
+
+  const handleQuietHoursToggle = () => {
+    const enabling = !preferences.quietHours.enabled;
+    setQuietHours({
+      enabled: enabling,
+      // Quiet hours follow the browser's timezone when switched on
+      ...(enabling && {
+        timezone: Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC",
+      }),
+    });
+  };
+
+  const handleSave = async () => {
+    setSaving(true);
+    try {
+      const response = await updateNotificationPreferences(
+        {
+          events: preferences.events,
+          channels: preferences.channels,
+          quietHours: preferences.quietHours,
+          onCall: preferences.onCall,
+          smsNumber: preferences.smsNumber || null,
+        },
+        scope
+      );
+      setPreferences(response.data);
+      toast.success("Notification preferences updated");
+    } catch (error) {
+      toast.error(
+        error.response?.data?.message || "Failed to update notification preferences"
+      );
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      {CHANNELS.map(({ key, title, description, icon }) => (
+        <Row key={key} icon={icon} title={title} description={description}>
+          <Toggle
+            checked={preferences.channels[key]}
+            onChange={() => toggle("channels", key)}
+          />
+        </Row>
+      ))}
+
+      {preferences.channels.SMS && (
+        <input
+          type="tel"
+          value={preferences.smsNumber || ""}
+          onChange={(e) =>
+            setPreferences((prev) => ({ ...prev, smsNumber: e.target.value }))
+          }
+          placeholder="SMS number, e.g. +919800000000"
+          className="w-full rounded-2xl border border-[#ffe0e8] px-4 py-3 text-sm text-[#31101e] focus:border-[#ff4d6d] focus:outline-none"
+        />
+      )}
+
+      <p className="pt-2 text-xs uppercase tracking-[0.3em] text-[#ff4d6d]">
+        Notify me about
+      </p>
+      {events.map((event) => (
+        <Row
+          key={event}
+          icon={Bell}
+          title={EVENT_LABELS[event].title}
+          description={EVENT_LABELS[event].description}
+        >
+          <Toggle
+            checked={preferences.events[event] !== false}
+            onChange={() => toggle("events", event)}
+          />
+        </Row>
+      ))}
+
+      <Row
+        icon={Moon}
+        title="Quiet Hours"
+        description="Hold email and SMS until the quiet period ends"
+      >
+        <Toggle
+          checked={preferences.quietHours.enabled}
+          onChange={handleQuietHoursToggle}
+        />
+      </Row>
+
+      {preferences.quietHours.enabled && (
+        <div className="flex flex-wrap items-center gap-3 text-sm text-[#7c4a5e]">
+          <input
+            type="time"
+            value={preferences.quietHours.start}
+            onChange={(e) => setQuietHours({ start: e.target.value })}
+            className="rounded-2xl border border-[#ffe0e8] px-3 py-2 text-[#31101e]"
+          />
+          <span>to</span>
+          <input
+            type="time"
+            value={preferences.quietHours.end}
+            onChange={(e) => setQuietHours({ end: e.target.value })}
+            className="rounded-2xl border border-[#ffe0e8] px-3 py-2 text-[#31101e]"
+          />
+          <span>({preferences.quietHours.timezone})</span>
+        </div>
+      )}
+
+      <Row
+        icon={Siren}
+        title="On Call"
+        description="CRITICAL events always reach me, even in quiet hours"
+      >
+        <Toggle
+          checked={preferences.onCall}
+          onChange={() =>
+            setPreferences((prev) => ({ ...prev, onCall: !prev.onCall }))
+          }
+        />
+      </Row>
+
+      <button
+        onClick={handleSave}
+        disabled={saving}
+        className="flex w-full items-center justify-center gap-2 rounded-2xl bg-gradient-to-r from-[#1e5aa8] to-[#6fb1ff] px-4 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:cursor-not-allowed disabled:opacity-60"
+      >
+        <Save className="h-4 w-4" />
+        {saving ? "Saving..." : "Save Preferences"}
+      </button>
+    </div>
+  );
+}
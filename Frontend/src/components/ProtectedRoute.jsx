@@ -23,6 +23,16 @@ export default function ProtectedRoute({ allowedRoles, children }) {
     return <Navigate to="/login" replace />;
   }
 
+  // The backend refuses everything until a password set by an admin is replaced
+  if (user.mustChangePassword) {
+    return <Navigate to="/change-password" replace />;
+  }
+
+  // Roles that must use two-factor are held at enrolment until it is on
+  if (user.twoFactorSetupRequired) {
+    return <Navigate to="/two-factor-setup" replace />;
+  }
+
   // Check if user has required role
   if (allowedRoles && !allowedRoles.includes(user.role)) {
     return (
@@ -0,0 +1,91 @@
+import { useState } from "react";
+import { verifyTwoFactor, responseErrors } from "../services/authApi";
+
+/**
+ * Second login step for accounts with two-factor on: a code from the
+ * authenticator app, or one of the recovery codes.
+ * @param {string} challengeToken - From the login response (valid 5 minutes)
+ * @param {Function} onVerified - Receives { token, refreshToken, expiresIn, recoveryCodesRemaining }
+ * @param {Function} onCancel - Back to the password form
+ */
+export default function TwoFactorChallenge({ challengeToken, onVerified, onCancel, inputClassName, buttonClassName }) {
+  const [useRecoveryCode, setUseRecoveryCode] = useState(false);
+  const [value, setValue] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!value.trim()) {
+      return setErrors([useRecoveryCode ? "Enter a recovery code" : "Enter the 6-digit code"]);
+    }
+
+    setLoading(true);
+    setErrors([]);
+    try {
+      const answer = useRecoveryCode ? { recoveryCode: value.trim() } : { code: value.replace(/\s/g, "") };
+      const res = await verifyTwoFactor({ challengeToken, ...answer });
+      onVerified(res.data.data);
+    } catch (err) {
+      setErrors(responseErrors(err, "Verification failed"));
+      setValue("");
+      setLoading(false);
+    }
+  };
+
+  const toggleMode = () => {
+    setUseRecoveryCode((prev) => !prev);
+    setValue("");
+    setErrors([]);
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-5">
+      {errors.length > 0 && (
+        <div className="rounded-2xl border border-red-500/20 bg-red-500/10 p-4">
+          {errors.map((error, idx) => (
+            <p key={idx} className="text-sm text-red-300">
+              {error}
+            </p>
+          ))}
+        </div>
+      )}
+
+      <div>
+        <label className="block text-sm font-medium text-gray-300 mb-2">
+          {useRecoveryCode ? "Recovery code" : "Authentication code"}
+        </label>
+        <input
+          type="text"
+          inputMode={useRecoveryCode ? "text" : "numeric"}
+          autoComplete="one-time-code"
+          autoFocus
+          placeholder={useRecoveryCode ? "XXXX-XXXX" : "123456"}
+          maxLength={useRecoveryCode ? 12 : 6}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          disabled={loading}
+          className={`${inputClassName} tracking-[0.3em] text-center`}
+        />
+        <p className="mt-2 text-xs text-gray-500">
+          {useRecoveryCode
+            ? "Each recovery code works once."
+            : "Open your authenticator app and enter the current code."}
+        </p>
+      </div>
+
+      <button type="submit" disabled={loading} className={buttonClassName}>
+        {loading ? "Verifying..." : "Verify"}
+      </button>
+
+      <div className="flex items-center justify-between text-xs">
+        <button type="button" onClick={toggleMode} className="font-semibold text-gray-400 hover:text-white transition-colors">
+          {useRecoveryCode ? "Use authenticator code" : "Use a recovery code"}
+        </button>
+        <button type="button" onClick={onCancel} className="font-semibold text-gray-400 hover:text-white transition-colors">
+          Back to login
+        </button>
+      </div>
+    </form>
+  );
+}
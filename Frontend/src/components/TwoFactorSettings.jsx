@@ -0,0 +1,243 @@
+import { useEffect, useState } from "react";
+import toast from "react-hot-toast";
+import { KeyRound, ShieldCheck, ShieldOff } from "lucide-react";
+import { useAuth } from "../context/AuthContext";
+import {
+  getTwoFactorStatus,
+  setupTwoFactor,
+  enableTwoFactor,
+  regenerateRecoveryCodes,
+  disableTwoFactor,
+} from "../services/authApi";
+
+const inputClass =
+  "w-full rounded-2xl border border-[#ffd0dc] bg-white px-4 py-3 text-center tracking-[0.3em] text-[#31101e] outline-none focus:border-[#ff4d6d]";
+
+const primaryButtonClass =
+  "rounded-full bg-[#c5114d] px-5 py-2 text-sm font-semibold text-white transition hover:bg-[#a30d3f] disabled:opacity-50";
+
+const secondaryButtonClass =
+  "rounded-full border border-[#ffb3c4] px-4 py-1.5 text-xs font-semibold text-[#c5114d] transition hover:bg-[#ffe0e8] disabled:opacity-50";
+
+const errorMessage = (error, fallback) => error.response?.data?.message || fallback;
+
+/**
+ * Two-factor enrolment for the logged-in account: QR code, first code,
+ * recovery codes, and turning it off where the role allows.
+ * @param {Function} onDone - Called once the new recovery codes were acknowledged
+ */
+export default function TwoFactorSettings({ onDone }) {
+  const { user, login } = useAuth();
+  const [status, setStatus] = useState(null);
+  const [enrolment, setEnrolment] = useState(null);
+  const [recoveryCodes, setRecoveryCodes] = useState(null);
+  const [action, setAction] = useState(null);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+
+  useEffect(() => {
+    getTwoFactorStatus()
+      .then((response) => setStatus(response.data.data))
+      .catch(() => toast.error("Failed to load two-factor status"));
+  }, []);
+
+  const run = async (task, fallback) => {
+    setBusy(true);
+    try {
+      await task();
+    } catch (error) {
+      toast.error(errorMessage(error, fallback));
+    } finally {
+      setBusy(false);
+      setCode("");
+    }
+  };
+
+  const handleSetup = () =>
+    run(async () => {
+      const response = await setupTwoFactor();
+      setEnrolment(response.data.data);
+    }, "Failed to start two-factor setup");
+
+  const handleEnable = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      const response = await enableTwoFactor(code.replace(/\s/g, ""));
+      const { recoveryCodes: codes, token, refreshToken } = response.data.data;
+
+      // Enabling ends every session; carry on with the one it started
+      login({ ...user, twoFactorSetupRequired: false }, token, refreshToken);
+      setEnrolment(null);
+      setRecoveryCodes(codes);
+      setStatus((prev) => ({ ...prev, enabled: true, recoveryCodesRemaining: codes.length }));
+      toast.success("Two-factor authentication is on");
+    }, "Failed to turn on two-factor authentication");
+  };
+
+  const handleConfirmedAction = (e) => {
+    e.preventDefault();
+    return run(async () => {
+      if (action === "regenerate") {
+        const response = await regenerateRecoveryCodes(code.replace(/\s/g, ""));
+        setRecoveryCodes(response.data.data.recoveryCodes);
+        setStatus((prev) => ({ ...prev, recoveryCodesRemaining: response.data.data.recoveryCodes.length }));
+        toast.success("New recovery codes created");
+      } else {
+        await disableTwoFactor({ code: code.replace(/\s/g, "") });
+        setStatus((prev) => ({ ...prev, enabled: false, recoveryCodesRemaining: 0 }));
+        toast.success("Two-factor authentication is off");
+      }
+      setAction(null);
+    }, "Code is not valid");
+  };
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(recoveryCodes.join("\n"));
+      toast.success("Recovery codes copied");
+    } catch {
+      toast.error("Copy failed, write the codes down instead");
+    }
+  };
+
+  const handleDone = () => {
+    setRecoveryCodes(null);
+    onDone?.();
+  };
+
+  if (!status) {
+    return <p className="text-sm text-[#7c4a5e]">Loading two-factor status...</p>;
+  }
+
+  if (recoveryCodes) {
+    return (
+      <div className="space-y-4">
+        <p className="text-sm text-[#7c4a5e]">
+          Save these recovery codes somewhere safe. Each one signs you in once if you lose your
+          authenticator app. They will not be shown again.
+        </p>
+        <div className="grid grid-cols-2 gap-2 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4 font-mono text-sm text-[#31101e]">
+          {recoveryCodes.map((recoveryCode) => (
+            <span key={recoveryCode}>{recoveryCode}</span>
+          ))}
+        </div>
+        <div className="flex gap-3">
+          <button onClick={handleCopy} className={secondaryButtonClass}>
+            Copy codes
+          </button>
+          <button onClick={handleDone} className={primaryButtonClass}>
+            I have saved them
+          </button>
+        </div>
+      </div>
+    );
+  }
+
+  if (enrolment) {
+    return (
+      <form onSubmit={handleEnable} className="space-y-4">
+        <p className="text-sm text-[#7c4a5e]">
+          Scan the code with an authenticator app (Google Authenticator, Authy, 1Password...), then
+          enter the 6-digit code it shows.
+        </p>
+        <img
+          src={`data:image/svg+xml;utf8,${encodeURIComponent(enrolment.qrSvg)}`}
+          alt="Two-factor QR code"
+          className="mx-auto h-48 w-48 rounded-xl border border-[#ffe0e8] bg-white"
+        />
+        <p className="text-center text-xs text-[#7c4a5e]">
+          Can't scan? Enter this key: <span className="break-all font-mono text-[#31101e]">{enrolment.secret}</span>
+        </p>
+        <input
+          type="text"
+          inputMode="numeric"
+          autoComplete="one-time-code"
+          placeholder="123456"
+          maxLength={6}
+          value={code}
+          onChange={(e) => setCode(e.target.value)}
+          disabled={busy}
+          className={inputClass}
+        />
+        <div className="flex gap-3">
+          <button type="submit" disabled={busy || !code} className={primaryButtonClass}>
+            {busy ? "Checking..." : "Turn on"}
+          </button>
+          <button type="button" onClick={() => setEnrolment(null)} disabled={busy} className={secondaryButtonClass}>
+            Cancel
+          </button>
+        </div>
+      </form>
+    );
+  }
+
+  if (!status.enabled) {
+    return (
+      <div className="flex items-center justify-between gap-4 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
+        <div className="flex items-center gap-3">
+          <ShieldOff className="h-5 w-5 text-[#7c4a5e]" />
+          <div>
+            <p className="font-medium text-[#31101e]">Two-factor authentication is off</p>
+            <p className="text-sm text-[#7c4a5e]">
+              {status.required
+                ? "Required for your role: set it up to keep using your account"
+                : "Ask for a code from your phone at every sign-in"}
+            </p>
+          </div>
+        </div>
+        <button onClick={handleSetup} disabled={busy} className={primaryButtonClass}>
+          {busy ? "Starting..." : "Set up"}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between gap-4 rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
+        <div className="flex items-center gap-3">
+          <ShieldCheck className="h-5 w-5 text-[#2c8a49]" />
+          <div>
+            <p className="font-medium text-[#31101e]">Two-factor authentication is on</p>
+            <p className="text-sm text-[#7c4a5e]">
+              {status.recoveryCodesRemaining} recovery code(s) left
+            </p>
+          </div>
+        </div>
+        <div className="flex gap-2">
+          <button onClick={() => setAction("regenerate")} disabled={busy} className={secondaryButtonClass}>
+            <KeyRound className="mr-1 inline h-3 w-3" />
+            New recovery codes
+          </button>
+          {!status.required && (
+            <button onClick={() => setAction("disable")} disabled={busy} className={secondaryButtonClass}>
+              Turn off
+            </button>
+          )}
+        </div>
+      </div>
+
+      {action && (
+        <form onSubmit={handleConfirmedAction} className="flex items-center gap-3">
+          <input
+            type="text"
+            inputMode="numeric"
+            autoComplete="one-time-code"
+            placeholder="Current code"
+            maxLength={6}
+            value={code}
+            onChange={(e) => setCode(e.target.value)}
+            disabled={busy}
+            className={inputClass}
+          />
+          <button type="submit" disabled={busy || !code} className={primaryButtonClass}>
+            {action === "regenerate" ? "Create" : "Turn off"}
+          </button>
+          <button type="button" onClick={() => setAction(null)} disabled={busy} className={secondaryButtonClass}>
+            Cancel
+          </button>
+        </form>
+      )}
+    </div>
+  );
+}
@@ -1,5 +1,6 @@
 import { createContext, useContext, useState, useEffect } from "react";
 import { useNavigate } from "react-router-dom";
+import { logoutSession, subscribeToSession } from "../services/sessionApi";
 
 const   AuthContext = createContext(null);
 
@@ -38,12 +39,15 @@ export const AuthProvider = ({ children }) => {
     setLoading(false);
   }, []);
 
-  const login = (userData, authToken) => {
+  const login = (userData, authToken, refreshToken) => {
     setToken(authToken);
     setUser(userData);
     
     // Store in localStorage - Save complete user object
     localStorage.setItem("token", authToken);
+    if (refreshToken) {
+      localStorage.setItem("refreshToken", refreshToken);
+    }
     localStorage.setItem("user", JSON.stringify(userData)); // ✅ Save complete user object
     localStorage.setItem("role", userData.role);
     localStorage.setItem("email", userData.email);
@@ -58,11 +62,10 @@ export const AuthProvider = ({ children }) => {
     console.log("✅ Organization ID saved:", userData.organizationId);
   };
 
-  const logout = () => {
-    console.log("[LOGOUT] Starting logout process");
-    
+  const clearSession = () => {
     // Clear localStorage first
     localStorage.removeItem("token");
+    localStorage.removeItem("refreshToken");
     localStorage.removeItem("user"); // ✅ Remove user object
     localStorage.removeItem("role");
     localStorage.removeItem("email");
@@ -80,6 +83,29 @@ export const AuthProvider = ({ children }) => {
     window.location.href = "/organization";
   };
 
+  const logout = async () => {
+    console.log("[LOGOUT] Starting logout process");
+
+    // End the session on the server so its tokens stop working
+    try {
+      await logoutSession();
+    } catch (error) {
+      console.warn("[LOGOUT] Server logout failed:", error.message);
+    }
+
+    clearSession();
+  };
+
+  // Pick up refreshed tokens; sign out when the server ends the session
+  useEffect(
+    () =>
+      subscribeToSession((event) => {
+        if (event.type === "refreshed") setToken(event.token);
+        if (event.type === "ended") clearSession();
+      }),
+    []
+  );
+
   const isAuthenticated = () => {
     return !!token && !!user;
   };
@@ -1,13 +1,16 @@
 import { useEffect, useState } from "react";
 import { Link, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import LiveUpdates from "../components/LiveUpdates";
+import NoticeUnreadBadge from "../components/NoticeUnreadBadge";
 
 const navItems = [
   { label: "Dashboard Overview", path: "/bloodbank/overview" },
   { label: "Hospital Requests", path: "/bloodbank/hospital-requests" },
   { label: "NGO Drives", path: "/bloodbank/ngo-drives" },
   { label: "Blood Stock", path: "/bloodbank/blood-stock" },
-  { label: "Admin Messages", path: "/bloodbank/admin-messages" },
+  { label: "Messages", path: "/bloodbank/messages" },
+  { label: "Admin Messages", path: "/bloodbank/admin-messages", notices: true },
   { label: "Profile & Settings", path: "/bloodbank/profile-settings" },
 ];
 
@@ -22,7 +25,7 @@ const statusBadgeStyles = {
 
 export default function BloodBankLayout() {
   const location = useLocation();
-  const { logout, user } = useAuth(); // ✅ Get user from AuthContext
+  const { logout, user, token } = useAuth(); // ✅ Get user from AuthContext
   const [drawerOpen, setDrawerOpen] = useState(false);
 
   // ✅ Use real user data from AuthContext
@@ -55,6 +58,7 @@ export default function BloodBankLayout() {
             }`}
           >
             {item.label}
+            {item.notices && <NoticeUnreadBadge />}
             <span>↗</span>
           </Link>
         ))}
@@ -150,6 +154,7 @@ export default function BloodBankLayout() {
               </div>
             )}
 
+            <LiveUpdates token={token} />
             <Outlet />
           </main>
         </div>
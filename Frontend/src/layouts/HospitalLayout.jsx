@@ -1,12 +1,16 @@
 import { useEffect, useState } from "react";
 import { Link, Outlet, useLocation } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import LiveUpdates from "../components/LiveUpdates";
+import NoticeUnreadBadge from "../components/NoticeUnreadBadge";
 import { getHospitalById } from "../services/hospitalApi";
 
 const navItems = [
   { label: "Dashboard Overview", path: "/hospital/overview" },
   { label: "Blood Bank Requests", path: "/hospital/blood-requests" },
   { label: "NGO Donation Drives", path: "/hospital/ngo-drives" },
+  { label: "Messages", path: "/hospital/messages" },
+  { label: "Admin Messages", path: "/hospital/admin-messages", notices: true },
   { label: "Admin & Verification", path: "/hospital/admin" },
   { label: "Profile & Settings", path: "/hospital/profile" },
 ];
@@ -24,7 +28,7 @@ const statusBadgeStyles = {
 
 export default function HospitalLayout() {
   const location = useLocation();
-  const { logout } = useAuth();
+  const { logout, token } = useAuth();
   const [drawerOpen, setDrawerOpen] = useState(false);
   const [hospital, setHospital] = useState(null);
   const [loading, setLoading] = useState(true);
@@ -80,6 +84,7 @@ export default function HospitalLayout() {
             }`}
           >
             {item.label}
+            {item.notices && <NoticeUnreadBadge />}
             <span>↗</span>
           </Link>
         ))}
@@ -161,6 +166,7 @@ export default function HospitalLayout() {
           </header>
 
           <main className="flex-1 px-4 py-8 md:px-10 bg-gradient-to-b from-gray-50 to-white">
+            <LiveUpdates token={token} />
             <Outlet />
           </main>
         </div>
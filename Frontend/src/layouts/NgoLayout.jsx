@@ -2,12 +2,17 @@ import { useEffect, useState } from "react";
 import { Link, Outlet, useLocation } from "react-router-dom";
 import { NgoDataProvider, useNgoData } from "../pages/ngo/context";
 import { useAuth } from "../context/AuthContext";
+import LiveUpdates from "../components/LiveUpdates";
+import NoticeUnreadBadge from "../components/NoticeUnreadBadge";
 
 const navItems = [
   { label: "Dashboard Overview", path: "/ngo/dashboard/overview" },
   { label: "Camp Management", path: "/ngo/dashboard/camps" },
   { label: "Slot Management", path: "/ngo/dashboard/slots" },
   { label: "Donor Registry", path: "/ngo/dashboard/donors" },
+  { label: "Emergency Call-outs", path: "/ngo/dashboard/callouts" },
+  { label: "Messages", path: "/ngo/dashboard/messages" },
+  { label: "Admin Messages", path: "/ngo/dashboard/admin-messages", notices: true },
   { label: "Connectivity Grid", path: "/ngo/dashboard/connectivity" },
 ];
 
@@ -20,7 +25,7 @@ const ngoProfile = {
 function NgoShell() {
   const location = useLocation();
   const { stats, expectedActualRatio } = useNgoData();
-  const { logout } = useAuth();
+  const { logout, token } = useAuth();
   const [drawerOpen, setDrawerOpen] = useState(false);
 
   const heroStats = [
@@ -62,6 +67,7 @@ function NgoShell() {
             }`}
           >
             {item.label}
+            {item.notices && <NoticeUnreadBadge />}
             <span>↗</span>
           </Link>
         ))}
@@ -149,6 +155,7 @@ function NgoShell() {
           </header>
 
           <main className="flex-1 px-4 py-8 md:px-10">
+            <LiveUpdates token={token} />
             <section className="grid gap-4 sm:grid-cols-2 xl:grid-cols-4">
               {heroStats.map((card) => (
                 <article
@@ -1,6 +1,7 @@
 import { useEffect, useState } from "react";
 import { Link, Outlet, useLocation, useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
+import LiveUpdates from "../components/LiveUpdates";
 import toast from "react-hot-toast";
 import {
   LayoutDashboard,
@@ -11,6 +12,7 @@ import {
   Activity,
   HeartPulse,
   Settings,
+  Megaphone,
 } from "lucide-react";
 
 const navItems = [
@@ -32,6 +34,7 @@ const navItems = [
   { path: "/superadmin/dashboard/stats", icon: BarChart3, label: "Statistics" },
   { path: "/superadmin/dashboard/users", icon: Users, label: "Users" },
   { path: "/superadmin/dashboard/activity", icon: Activity, label: "Activity" },
+  { path: "/superadmin/dashboard/notices", icon: Megaphone, label: "Notices" },
   {
     path: "/superadmin/dashboard/health",
     icon: HeartPulse,
@@ -42,7 +45,7 @@ const navItems = [
 
 export default function SuperAdminLayout() {
   const location = useLocation();
-  const { logout, user } = useAuth();
+  const { logout, user, token } = useAuth();
   const [drawerOpen, setDrawerOpen] = useState(false);
   const navigate = useNavigate();
   const organizationName = user?.name || "SuperAdmin";
@@ -157,6 +160,7 @@ export default function SuperAdminLayout() {
 
           {/* Main Content Area */}
           <main className="flex-1 px-4 py-8 md:px-10">
+            <LiveUpdates token={token} />
             <Outlet />
           </main>
         </div>
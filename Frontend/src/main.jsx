@@ -1,9 +1,14 @@
 import React from "react";
+import axios from "axios";
 import ReactDOM from "react-dom/client";
 import { BrowserRouter } from "react-router-dom";
 import App from "./App";
 import "./index.css";
 import { AuthProvider } from "./context/AuthContext";
+import { withSessionRefresh } from "./services/sessionApi";
+
+// Requests made with the shared axios client survive access token expiry
+withSessionRefresh(axios);
 
 ReactDOM.createRoot(document.getElementById("root")).render(
   <React.StrictMode>
@@ -0,0 +1,109 @@
+import { useState } from "react";
+import { Navigate, useNavigate } from "react-router-dom";
+import toast from "react-hot-toast";
+import { useAuth } from "../context/AuthContext";
+import { changePassword, responseErrors } from "../services/authApi";
+import AuthCard, { authInputClass, authButtonClass } from "../components/AuthCard";
+
+const dashboardPath = (user) => {
+  const orgType = (user.organizationType || "").toLowerCase();
+  if (orgType === "hospital") return "/hospital";
+  if (orgType === "blood_bank" || orgType === "bloodbank") return "/bloodbank";
+  if (orgType === "ngo") return "/ngo/dashboard";
+  return "/login";
+};
+
+/**
+ * First-login password change for users whose password an admin chose.
+ * The backend refuses everything else until it is done.
+ */
+export default function ChangePassword() {
+  const navigate = useNavigate();
+  const { user, loading: authLoading, isAuthenticated, login, logout } = useAuth();
+
+  const [formData, setFormData] = useState({ currentPassword: "", newPassword: "", confirmPassword: "" });
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  if (authLoading) return null;
+  if (!isAuthenticated()) return <Navigate to="/login" replace />;
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const { currentPassword, newPassword, confirmPassword } = formData;
+
+    if (!currentPassword || newPassword.length < 6) {
+      return setErrors(["Enter your current password and a new one of at least 6 characters"]);
+    }
+    if (newPassword !== confirmPassword) {
+      return setErrors(["Passwords do not match"]);
+    }
+
+    setLoading(true);
+    setErrors([]);
+    try {
+      const res = await changePassword({ currentPassword, newPassword });
+      const { token, refreshToken, twoFactorSetupRequired } = res.data.data;
+      const updatedUser = { ...user, mustChangePassword: false, twoFactorSetupRequired };
+
+      login(updatedUser, token, refreshToken);
+      toast.success("Password changed");
+      navigate(twoFactorSetupRequired ? "/two-factor-setup" : dashboardPath(updatedUser));
+    } catch (err) {
+      setErrors(responseErrors(err, "Password change failed"));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard
+      title="Choose a New Password"
+      subtitle="Your account was set up with a password chosen by your administrator. Replace it to continue."
+      errors={errors}
+    >
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <input
+          type="password"
+          name="currentPassword"
+          placeholder="Current password"
+          value={formData.currentPassword}
+          onChange={handleChange}
+          disabled={loading}
+          className={authInputClass}
+        />
+        <input
+          type="password"
+          name="newPassword"
+          placeholder="New password (min. 6 characters)"
+          value={formData.newPassword}
+          onChange={handleChange}
+          disabled={loading}
+          className={authInputClass}
+        />
+        <input
+          type="password"
+          name="confirmPassword"
+          placeholder="Confirm new password"
+          value={formData.confirmPassword}
+          onChange={handleChange}
+          disabled={loading}
+          className={authInputClass}
+        />
+        <button type="submit" disabled={loading} className={authButtonClass}>
+          {loading ? "Saving..." : "Change Password"}
+        </button>
+      </form>
+
+      <p className="mt-6 text-center text-sm text-gray-400">
+        <button onClick={logout} className="font-semibold text-red-400 hover:text-red-300 transition-colors">
+          Sign out
+        </button>
+      </p>
+    </AuthCard>
+  );
+}
@@ -0,0 +1,124 @@
+import { useEffect, useState } from "react";
+import { useNavigate, useParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { CheckCircle2, Droplets, HeartPulse, MapPin, XCircle } from "lucide-react";
+import { getAppeal, respondToAppeal } from "../services/donorApi";
+
+const RESPONSE_LABELS = {
+  COMING: "You said you are coming. Thank you!",
+  UNAVAILABLE: "You said you can't make it this time.",
+};
+
+/**
+ * Page behind the link in a donor's emergency appeal (no login; the link
+ * token identifies the donor)
+ */
+export default function DonorAppeal() {
+  const { token } = useParams();
+  const navigate = useNavigate();
+  const [appeal, setAppeal] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [submitting, setSubmitting] = useState(false);
+  const [error, setError] = useState("");
+  const [optOut, setOptOut] = useState(false);
+
+  useEffect(() => {
+    getAppeal(token)
+      .then((response) => setAppeal(response.data.data))
+      .catch((err) => setError(err.response?.data?.message || "This appeal link is not valid"))
+      .finally(() => setLoading(false));
+  }, [token]);
+
+  const handleRespond = async (response) => {
+    setSubmitting(true);
+    try {
+      const result = await respondToAppeal(token, response, optOut);
+      toast.success(result.data.message);
+      setAppeal((prev) => ({ ...prev, status: result.data.data.status }));
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Could not record your response");
+    } finally {
+      setSubmitting(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen bg-[#050816] text-white flex items-center justify-center px-4 py-12">
+      <div className="w-full max-w-lg rounded-[28px] border border-white/10 bg-slate-950/60 p-8 shadow-2xl backdrop-blur-xl">
+        <button onClick={() => navigate("/")} className="flex items-center gap-3">
+          <div className="flex h-11 w-11 items-center justify-center rounded-2xl bg-gradient-to-br from-rose-500 to-pink-500">
+            <HeartPulse className="h-6 w-6 text-white" />
+          </div>
+          <span className="text-lg font-extrabold tracking-tight">BloodBridge</span>
+        </button>
+
+        {loading ? (
+          <p className="mt-8 text-gray-300">Loading appeal...</p>
+        ) : error ? (
+          <p className="mt-8 rounded-2xl border border-amber-500/20 bg-amber-500/10 p-4 text-sm text-amber-200">
+            {error}
+          </p>
+        ) : (
+          <>
+            <h1 className="mt-8 text-3xl font-black leading-tight">
+              <span className="bg-gradient-to-r from-rose-400 via-pink-400 to-red-400 bg-clip-text text-transparent">
+                {appeal.bloodGroup} blood needed urgently
+              </span>
+            </h1>
+            <p className="mt-3 text-gray-300">
+              Hi {appeal.name || "there"}, {appeal.hospitalName} needs {appeal.bloodGroup} donors and no
+              blood bank nearby can cover the request.
+            </p>
+            <div className="mt-5 flex flex-wrap gap-3 text-sm text-gray-300">
+              <span className="flex items-center gap-2 rounded-full border border-white/10 bg-white/5 px-4 py-2">
+                <MapPin className="h-4 w-4 text-rose-300" /> {appeal.city}
+              </span>
+              <span className="flex items-center gap-2 rounded-full border border-white/10 bg-white/5 px-4 py-2">
+                <Droplets className="h-4 w-4 text-rose-300" /> Urgency: {appeal.urgency}
+              </span>
+            </div>
+
+            {!appeal.isOpen ? (
+              <p className="mt-8 rounded-2xl border border-emerald-500/20 bg-emerald-500/10 p-4 text-sm text-emerald-200">
+                This request no longer needs donors. Thank you for being there!
+              </p>
+            ) : (
+              <>
+                {RESPONSE_LABELS[appeal.status] && (
+                  <p className="mt-8 text-sm text-gray-300">
+                    {RESPONSE_LABELS[appeal.status]} You can change your answer below.
+                  </p>
+                )}
+                <div className="mt-6 grid grid-cols-1 gap-3 sm:grid-cols-2">
+                  <button
+                    disabled={submitting}
+                    onClick={() => handleRespond("COMING")}
+                    className="flex items-center justify-center gap-2 rounded-2xl bg-gradient-to-r from-rose-500 to-pink-500 px-5 py-4 font-semibold transition hover:scale-[1.02] disabled:opacity-60"
+                  >
+                    <CheckCircle2 className="h-5 w-5" /> I'm coming
+                  </button>
+                  <button
+                    disabled={submitting}
+                    onClick={() => handleRespond("UNAVAILABLE")}
+                    className="flex items-center justify-center gap-2 rounded-2xl border border-white/10 bg-white/5 px-5 py-4 font-semibold text-gray-200 transition hover:bg-white/10 disabled:opacity-60"
+                  >
+                    <XCircle className="h-5 w-5" /> Can't make it
+                  </button>
+                </div>
+                <label className="mt-5 flex items-center gap-3 text-sm text-gray-400">
+                  <input
+                    type="checkbox"
+                    checked={optOut}
+                    onChange={(event) => setOptOut(event.target.checked)}
+                    className="h-4 w-4 accent-rose-500"
+                  />
+                  Don't send me emergency appeals anymore
+                </label>
+              </>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
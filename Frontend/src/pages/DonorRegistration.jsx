@@ -42,6 +42,7 @@ export default function DonorRegistration() {
     donationTime: "",
     campId: "",
     slotId: "",
+    emergencyAppealOptIn: false,
   });
 
   const bloodGroups = ["O+", "O-", "A+", "A-", "B+", "B-", "AB+", "AB-"];
@@ -101,10 +102,10 @@ export default function DonorRegistration() {
   }, [selectedCamp]);
 
   const handleChange = (e) => {
-    const { name, value } = e.target;
+    const { name, value, type, checked } = e.target;
     setFormData((prev) => ({
       ...prev,
-      [name]: value,
+      [name]: type === "checkbox" ? checked : value,
     }));
   };
 
@@ -187,6 +188,7 @@ export default function DonorRegistration() {
         slotId: formData.slotId,
         campName: selectedCamp.campName,
         campLocation: selectedCamp.location,
+        emergencyAppealOptIn: formData.emergencyAppealOptIn,
       });
 
       toast.success(
@@ -206,6 +208,7 @@ export default function DonorRegistration() {
         donationTime: "",
         campId: "",
         slotId: "",
+        emergencyAppealOptIn: false,
       });
       setSelectedCamp(null);
       setSelectedSlot(null);
@@ -556,6 +559,21 @@ export default function DonorRegistration() {
                       />
                     </div>
                   </div>
+
+                  <label className="flex items-start gap-3 rounded-2xl border border-white/10 bg-white/5 p-4 text-sm text-gray-300">
+                    <input
+                      type="checkbox"
+                      name="emergencyAppealOptIn"
+                      checked={formData.emergencyAppealOptIn}
+                      onChange={handleChange}
+                      className="mt-1 h-4 w-4 accent-rose-500"
+                    />
+                    <span>
+                      Contact me by SMS or email when a hospital in my city
+                      urgently needs my blood group. You can opt out from any
+                      appeal.
+                    </span>
+                  </label>
                 </div>
 
                 {/* Camp selection */}
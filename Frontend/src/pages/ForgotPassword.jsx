@@ -0,0 +1,88 @@
+import { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { forgotPassword, responseErrors } from "../services/authApi";
+import AuthCard, { authInputClass, authButtonClass } from "../components/AuthCard";
+
+/**
+ * Request a password reset link for an organization account
+ */
+export default function ForgotPassword() {
+  const navigate = useNavigate();
+  const [formData, setFormData] = useState({ organizationCode: "", email: "" });
+  const [loading, setLoading] = useState(false);
+  const [sent, setSent] = useState(false);
+  const [errors, setErrors] = useState([]);
+
+  const handleChange = (e) => {
+    const { name, value } = e.target;
+    setFormData((prev) => ({ ...prev, [name]: value }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!formData.organizationCode.trim() || !formData.email.trim()) {
+      return setErrors(["Organization code and email are required"]);
+    }
+
+    setLoading(true);
+    setErrors([]);
+    try {
+      await forgotPassword(formData);
+      setSent(true);
+    } catch (err) {
+      setErrors(responseErrors(err, "Could not send the reset link"));
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard
+      title="Forgot Password"
+      subtitle="We will email you a link to choose a new password"
+      errors={errors}
+    >
+      {sent ? (
+        <div className="rounded-2xl border border-green-500/20 bg-green-500/10 p-4">
+          <p className="text-sm text-green-200">
+            If an account matches, a reset link is on its way to {formData.email}. It works once and expires
+            within the hour.
+          </p>
+        </div>
+      ) : (
+        <form onSubmit={handleSubmit} className="space-y-5">
+          <input
+            type="text"
+            name="organizationCode"
+            placeholder="Organization code, e.g. HOSP-DEL-001"
+            value={formData.organizationCode}
+            onChange={handleChange}
+            disabled={loading}
+            className={authInputClass}
+          />
+          <input
+            type="email"
+            name="email"
+            placeholder="your.email@organization.com"
+            value={formData.email}
+            onChange={handleChange}
+            disabled={loading}
+            className={authInputClass}
+          />
+          <button type="submit" disabled={loading} className={authButtonClass}>
+            {loading ? "Sending..." : "Send Reset Link"}
+          </button>
+        </form>
+      )}
+
+      <p className="mt-6 text-center text-sm text-gray-400">
+        <button
+          onClick={() => navigate("/login")}
+          className="font-semibold text-red-400 hover:text-red-300 transition-colors"
+        >
+          Back to login
+        </button>
+      </p>
+    </AuthCard>
+  );
+}
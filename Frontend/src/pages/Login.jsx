@@ -4,6 +4,7 @@ import { useNavigate } from "react-router-dom";
 import { useAuth } from "../context/AuthContext";
 import { Eye, EyeOff } from "lucide-react";
 import toast from "react-hot-toast";
+import TwoFactorChallenge from "../components/TwoFactorChallenge";
 
 export default function Login() {
   const navigate = useNavigate();
@@ -17,6 +18,8 @@ export default function Login() {
   const [showPassword, setShowPassword] = useState(false);
   const [loading, setLoading] = useState(false);
   const [errors, setErrors] = useState([]);
+  // Password accepted, waiting for the two-factor code: { token, user }
+  const [challenge, setChallenge] = useState(null);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -56,34 +59,16 @@ export default function Login() {
       // Call login API with organization code, email, and password
       const res = await loginUser(formData);
 
-      // Backend returns: { success, message, token, user: { userCode, role, email, name, organizationCode, organizationType, ... } }
+      // Backend returns: { success, message, token, refreshToken, expiresIn, user: { userCode, role, email, name, organizationCode, organizationType, ... } }
+      // or, with two-factor on: { success, twoFactorRequired, challengeToken, user }
       if (res.data.success) {
-        const { token, user } = res.data;
-
-        // ✅ SAVE AUTH DATA using AuthContext
-        login(user, token);
-
-        toast.success("Login successful! Redirecting...");
-
-        // 🔀 ORGANIZATION TYPE REDIRECT
-        // Redirect based on organization type user belongs to
-        setTimeout(() => {
-          const orgType = user.organizationType
-            ? user.organizationType.toLowerCase()
-            : "";
-          console.log("Redirecting based on organization type:", orgType);
-
-          if (orgType === "hospital") {
-            navigate("/hospital");
-          } else if (orgType === "blood_bank" || orgType === "bloodbank") {
-            navigate("/bloodbank");
-          } else if (orgType === "ngo") {
-            navigate("/ngo/dashboard");
-          } else {
-            console.log("Unknown organization type:", orgType);
-            navigate("/login");
-          }
-        }, 500);
+        if (res.data.twoFactorRequired) {
+          setChallenge({ token: res.data.challengeToken, user: res.data.user });
+          setLoading(false);
+          return;
+        }
+
+        completeLogin(res.data.user, res.data.token, res.data.refreshToken);
       }
     } catch (err) {
       console.error("Login error:", err);
@@ -105,6 +90,50 @@ export default function Login() {
     }
   };
 
+  const handleTwoFactorVerified = ({ token, refreshToken, twoFactorSetupRequired, recoveryCodesRemaining }) => {
+    if (recoveryCodesRemaining !== undefined) {
+      toast(`Recovery code used, ${recoveryCodesRemaining} left`);
+    }
+    completeLogin({ ...challenge.user, twoFactorSetupRequired }, token, refreshToken);
+  };
+
+  const completeLogin = (user, token, refreshToken) => {
+    // ✅ SAVE AUTH DATA using AuthContext
+    login(user, token, refreshToken);
+
+    toast.success("Login successful! Redirecting...");
+
+    // 🔀 ORGANIZATION TYPE REDIRECT
+    // Redirect based on organization type user belongs to
+    setTimeout(() => {
+      if (user.mustChangePassword) {
+        navigate("/change-password");
+        return;
+      }
+
+      if (user.twoFactorSetupRequired) {
+        navigate("/two-factor-setup");
+        return;
+      }
+
+      const orgType = user.organizationType
+        ? user.organizationType.toLowerCase()
+        : "";
+      console.log("Redirecting based on organization type:", orgType);
+
+      if (orgType === "hospital") {
+        navigate("/hospital");
+      } else if (orgType === "blood_bank" || orgType === "bloodbank") {
+        navigate("/bloodbank");
+      } else if (orgType === "ngo") {
+        navigate("/ngo/dashboard");
+      } else {
+        console.log("Unknown organization type:", orgType);
+        navigate("/login");
+      }
+    }, 500);
+  };
+
   return (
     <div className="min-h-screen bg-[#050816] overflow-hidden relative">
       {/* Background Effects */}
@@ -207,11 +236,13 @@ export default function Login() {
                 {/* Heading */}
                 <div className="mb-8">
                   <h2 className="text-4xl font-bold text-white mb-3">
-                    Welcome Back
+                    {challenge ? "Two-Factor Check" : "Welcome Back"}
                   </h2>
 
                   <p className="text-gray-400">
-                    Login to access your organization dashboard
+                    {challenge
+                      ? `Signing in as ${challenge.user.email}`
+                      : "Login to access your organization dashboard"}
                   </p>
                 </div>
 
@@ -226,95 +257,114 @@ export default function Login() {
                   </div>
                 )}
 
-                {/* Form */}
-                <form onSubmit={handleSubmit} className="space-y-5">
-                  {/* Organization Code */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-2">
-                      Organization Code
-                    </label>
-
-                    <input
-                      type="text"
-                      name="organizationCode"
-                      placeholder="e.g. HOSP-DEL-001"
-                      value={formData.organizationCode}
-                      onChange={handleChange}
-                      disabled={loading}
-                      className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
-                    />
-
-                    <p className="mt-2 text-xs text-gray-500">
-                      Your unique organization identifier
-                    </p>
-                  </div>
-
-                  {/* Email */}
-                  <div>
-                    <label className="block text-sm font-medium text-gray-300 mb-2">
-                      Email Address
-                    </label>
-
-                    <input
-                      type="email"
-                      name="email"
-                      placeholder="your.email@organization.com"
-                      value={formData.email}
-                      onChange={handleChange}
-                      disabled={loading}
-                      className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
-                    />
-                  </div>
-
-                  {/* Password */}
-                  <div>
-                    <lable className="block text-sm font-medium text-gray-300 mb-2">
-                      <div className="relative">
-                        <input
-                          types={showPassword ? "text" : "password"}
-                          name="password"
-                          placeholder="Enter your password"
-                          value={formData.password}
-                          onChange={handleChange}
-                          disabled={loading}
-                          className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-5 pr-14 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
-                        />
-
-                        <button
-                          type="button"
-                          onClick={() => setShowPassword(!showPassword)}
-                          className="absolute inset-y-0 right-4 flex items-center text-gray-400 hover:text-white transition-colors"
-                        >
-                          {showPassword ? (
-                            <EyeOff className="h-5 w-5" />
-                          ) : (
-                            <Eye className="h-5 w-5" />
-                          )}
-                        </button>
-                      </div>
+                {/* Form (then the two-factor code when it is on) */}
+                {challenge ? (
+                  <TwoFactorChallenge
+                    challengeToken={challenge.token}
+                    onVerified={handleTwoFactorVerified}
+                    onCancel={() => setChallenge(null)}
+                    inputClassName="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
+                    buttonClassName="w-full rounded-2xl bg-gradient-to-r from-red-500 via-pink-500 to-rose-500 py-4 font-bold text-white transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-red-500/30 disabled:opacity-50"
+                  />
+                ) : (
+                  <form onSubmit={handleSubmit} className="space-y-5">
+                    {/* Organization Code */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Organization Code
+                      </label>
+
+                      <input
+                        type="text"
+                        name="organizationCode"
+                        placeholder="e.g. HOSP-DEL-001"
+                        value={formData.organizationCode}
+                        onChange={handleChange}
+                        disabled={loading}
+                        className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
+                      />
 
                       <p className="mt-2 text-xs text-gray-500">
-                        Minimum 6 characters
+                        Your unique organization identifier
                       </p>
-                    </lable>
-                  </div>
-
-                  {/* Button */}
-                  <button
-                    type="submit"
-                    disabled={loading}
-                    className="w-full rounded-2xl bg-gradient-to-r from-red-500 via-pink-500 to-rose-500 py-4 font-bold text-white transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-red-500/30 disabled:opacity-50"
-                  >
-                    {loading ? (
-                      <div className="flex items-center justify-center gap-3">
-                        <div className="h-5 w-5 rounded-full border-2 border-white border-t-transparent animate-spin"></div>
-                        Logging in...
-                      </div>
-                    ) : (
-                      "Login"
-                    )}
-                  </button>
-                </form>
+                    </div>
+
+                    {/* Email */}
+                    <div>
+                      <label className="block text-sm font-medium text-gray-300 mb-2">
+                        Email Address
+                      </label>
+
+                      <input
+                        type="email"
+                        name="email"
+                        placeholder="your.email@organization.com"
+                        value={formData.email}
+                        onChange={handleChange}
+                        disabled={loading}
+                        className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
+                      />
+                    </div>
+
+                    {/* Password */}
+                    <div>
+                      <lable className="block text-sm font-medium text-gray-300 mb-2">
+                        <div className="relative">
+                          <input
+                            types={showPassword ? "text" : "password"}
+                            name="password"
+                            placeholder="Enter your password"
+                            value={formData.password}
+                            onChange={handleChange}
+                            disabled={loading}
+                            className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-5 pr-14 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-red-500 focus:bg-white/10"
+                          />
+
+                          <button
+                            type="button"
+                            onClick={() => setShowPassword(!showPassword)}
+                            className="absolute inset-y-0 right-4 flex items-center text-gray-400 hover:text-white transition-colors"
+                          >
+                            {showPassword ? (
+                              <EyeOff className="h-5 w-5" />
+                            ) : (
+                              <Eye className="h-5 w-5" />
+                            )}
+                          </button>
+                        </div>
+
+                        <div className="mt-2 flex items-center justify-between">
+                          <p className="text-xs text-gray-500">
+                            Minimum 6 characters
+                          </p>
+                          <button
+                            type="button"
+                            onClick={() => navigate("/forgot-password")}
+                            className="text-xs font-semibold text-red-400 hover:text-red-300 transition-colors"
+                          >
+                            Forgot password?
+                          </button>
+                        </div>
+                      </lable>
+                    </div>
+
+                    {/* Button */}
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="w-full rounded-2xl bg-gradient-to-r from-red-500 via-pink-500 to-rose-500 py-4 font-bold text-white transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-red-500/30 disabled:opacity-50"
+                    >
+                      {loading ? (
+                        <div className="flex items-center justify-center gap-3">
+                          <div className="h-5 w-5 rounded-full border-2 border-white border-t-transparent animate-spin"></div>
+                          Logging in...
+                        </div>
+                      ) : (
+                        "Login"
+                      )}
+                    </button>
+                  </form>
+                )}
 
                 {/* Register */}
                 <div className="mt-8 border-t border-white/10 pt-6">
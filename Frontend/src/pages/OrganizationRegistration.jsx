@@ -660,9 +660,9 @@ export default function OrganizationRegistration() {
 
                       <div className="rounded-2xl border border-emerald-500/20 bg-emerald-500/10 p-4">
                         <p className="text-sm text-emerald-100">
-                          <strong>Note:</strong> Your password will be
-                          auto-generated as <strong>admin123</strong> by the
-                          system and sent to your admin email after approval.
+                          <strong>Note:</strong> After approval we email an
+                          activation link to the admin email. Use it to choose
+                          your password before signing in.
                         </p>
                       </div>
 
@@ -0,0 +1,100 @@
+import { useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import toast from "react-hot-toast";
+import { activateAccount, resetPassword, responseErrors } from "../services/authApi";
+import AuthCard, { authInputClass, authButtonClass } from "../components/AuthCard";
+
+const MODES = {
+  activate: {
+    title: "Activate Your Account",
+    subtitle: "Choose the password you will sign in with",
+    submit: activateAccount,
+    button: "Activate Account",
+    success: "Account activated! Please sign in",
+    failure: "Activation failed",
+  },
+  reset: {
+    title: "Reset Password",
+    subtitle: "Choose a new password. You will be signed out everywhere",
+    submit: resetPassword,
+    button: "Reset Password",
+    success: "Password reset! Please sign in",
+    failure: "Password reset failed",
+  },
+};
+
+/**
+ * Landing page of an emailed account link (/activate?token=..., /reset-password?token=...)
+ * @param {string} mode - "activate" or "reset"
+ */
+export default function SetPassword({ mode }) {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+  const config = MODES[mode];
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [errors, setErrors] = useState(token ? [] : ["This link is incomplete. Open it again from your email"]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+
+    if (password.length < 6) {
+      return setErrors(["Password must be at least 6 characters"]);
+    }
+    if (password !== confirmPassword) {
+      return setErrors(["Passwords do not match"]);
+    }
+
+    setLoading(true);
+    setErrors([]);
+    try {
+      await config.submit({ token, password });
+      toast.success(config.success);
+      navigate("/login");
+    } catch (err) {
+      setErrors(responseErrors(err, config.failure));
+      setLoading(false);
+    }
+  };
+
+  return (
+    <AuthCard title={config.title} subtitle={config.subtitle} errors={errors}>
+      <form onSubmit={handleSubmit} className="space-y-5">
+        <input
+          type="password"
+          placeholder="New password (min. 6 characters)"
+          value={password}
+          onChange={(e) => setPassword(e.target.value)}
+          disabled={loading || !token}
+          className={authInputClass}
+        />
+        <input
+          type="password"
+          placeholder="Confirm new password"
+          value={confirmPassword}
+          onChange={(e) => setConfirmPassword(e.target.value)}
+          disabled={loading || !token}
+          className={authInputClass}
+        />
+        <button type="submit" disabled={loading || !token} className={authButtonClass}>
+          {loading ? "Saving..." : config.button}
+        </button>
+      </form>
+
+      {mode === "reset" && (
+        <p className="mt-6 text-center text-sm text-gray-400">
+          Link expired?{" "}
+          <button
+            onClick={() => navigate("/forgot-password")}
+            className="font-semibold text-red-400 hover:text-red-300 transition-colors"
+          >
+            Request a new one
+          </button>
+        </p>
+      )}
+    </AuthCard>
+  );
+}
@@ -14,6 +14,7 @@ import {
   LockKeyhole,
   Clock3,
 } from "lucide-react";
+import TwoFactorChallenge from "../components/TwoFactorChallenge";
 
 export default function AdminLogin() {
   const navigate = useNavigate();
@@ -26,6 +27,8 @@ export default function AdminLogin() {
   const [loading, setLoading] = useState(false);
   const [showPassword, setShowPassword] = useState(false);
   const [errors, setErrors] = useState([]);
+  // Password accepted, waiting for the two-factor code: { token, admin }
+  const [challenge, setChallenge] = useState(null);
 
   const handleChange = (e) => {
     const { name, value } = e.target;
@@ -63,24 +66,18 @@ export default function AdminLogin() {
         formData,
       );
 
-      // Backend returns: { success, message, data: { token, admin: { email, adminCode, name, permissions, ... } } }
+      // Backend returns: { success, message, data: { token, refreshToken, expiresIn, admin: { email, adminCode, name, permissions, ... } } }
+      // or, with two-factor on: data: { twoFactorRequired, challengeToken, admin }
       if (res.data.success) {
-        const { token, admin } = res.data.data;
-
-        // ✅ SAVE AUTH DATA using AuthContext
-        const adminData = {
-          ...admin,
-          role: "SUPERADMIN", // Mark as superadmin
-          isSuperAdmin: true,
-        };
-        login(adminData, token);
-
-        toast.success("Superadmin login successful! Redirecting...");
-
-        // 🔀 REDIRECT TO ADMIN DASHBOARD
-        setTimeout(() => {
-          navigate("/superadmin/dashboard");
-        }, 500);
+        const { token, refreshToken, admin, twoFactorRequired, challengeToken } = res.data.data;
+
+        if (twoFactorRequired) {
+          setChallenge({ token: challengeToken, admin });
+          setLoading(false);
+          return;
+        }
+
+        completeLogin(admin, token, refreshToken);
       }
     } catch (err) {
       console.error("Admin login error:", err);
@@ -102,6 +99,30 @@ export default function AdminLogin() {
     }
   };
 
+  const handleTwoFactorVerified = ({ token, refreshToken, twoFactorSetupRequired, recoveryCodesRemaining }) => {
+    if (recoveryCodesRemaining !== undefined) {
+      toast(`Recovery code used, ${recoveryCodesRemaining} left`);
+    }
+    completeLogin({ ...challenge.admin, twoFactorSetupRequired }, token, refreshToken);
+  };
+
+  const completeLogin = (admin, token, refreshToken) => {
+    // ✅ SAVE AUTH DATA using AuthContext
+    const adminData = {
+      ...admin,
+      role: "SUPERADMIN", // Mark as superadmin
+      isSuperAdmin: true,
+    };
+    login(adminData, token, refreshToken);
+
+    toast.success("Superadmin login successful! Redirecting...");
+
+    // 🔀 REDIRECT TO ADMIN DASHBOARD (or to two-factor enrolment, which superadmins must complete)
+    setTimeout(() => {
+      navigate(admin.twoFactorSetupRequired ? "/two-factor-setup" : "/superadmin/dashboard");
+    }, 500);
+  };
+
   return (
     <div className="min-h-screen overflow-hidden bg-[#070816] text-white relative">
       {/* Background */}
@@ -217,10 +238,12 @@ export default function AdminLogin() {
                     <ShieldAlert className="h-7 w-7 text-violet-300" />
                   </div>
                   <h1 className="text-4xl font-black text-white mb-3">
-                    Superadmin Login
+                    {challenge ? "Two-Factor Check" : "Superadmin Login"}
                   </h1>
                   <p className="text-gray-400">
-                    Global administrator access to manage all organizations
+                    {challenge
+                      ? `Signing in as ${challenge.admin.email}`
+                      : "Global administrator access to manage all organizations"}
                   </p>
                 </div>
 
@@ -246,82 +269,92 @@ export default function AdminLogin() {
                   </div>
                 )}
 
-                <form onSubmit={handleSubmit} className="space-y-5">
-                  <div>
-                    <label
-                      htmlFor="email"
-                      className="block text-sm font-medium text-gray-300 mb-2"
-                    >
-                      Email Address
-                    </label>
-                    <input
-                      id="email"
-                      type="email"
-                      name="email"
-                      placeholder="admin@platform.com"
-                      value={formData.email}
-                      onChange={handleChange}
-                      disabled={loading}
-                      className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-violet-500 focus:bg-white/10"
-                    />
-                  </div>
-
-                  <div>
-                    <label
-                      htmlFor="password"
-                      className="block text-sm font-medium text-gray-300 mb-2"
-                    >
-                      Password
-                    </label>
-
-                    <div className="relative">
+                {challenge ? (
+                  <TwoFactorChallenge
+                    challengeToken={challenge.token}
+                    onVerified={handleTwoFactorVerified}
+                    onCancel={() => setChallenge(null)}
+                    inputClassName="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-violet-500 focus:bg-white/10"
+                    buttonClassName="w-full rounded-2xl bg-gradient-to-r from-violet-600 via-fuchsia-600 to-pink-600 py-4 font-bold text-white shadow-lg shadow-violet-500/20 transition-all duration-300 hover:scale-[1.02] disabled:cursor-not-allowed disabled:opacity-50"
+                  />
+                ) : (
+                  <form onSubmit={handleSubmit} className="space-y-5">
+                    <div>
+                      <label
+                        htmlFor="email"
+                        className="block text-sm font-medium text-gray-300 mb-2"
+                      >
+                        Email Address
+                      </label>
                       <input
-                        id="password"
-                        type={showPassword ? "text" : "password"}
-                        name="password"
-                        placeholder="Enter your password"
-                        value={formData.password}
+                        id="email"
+                        type="email"
+                        name="email"
+                        placeholder="admin@platform.com"
+                        value={formData.email}
                         onChange={handleChange}
                         disabled={loading}
-                        className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 pr-14 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-violet-500 focus:bg-white/10"
+                        className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-violet-500 focus:bg-white/10"
                       />
+                    </div>
 
-                      <button
-                        type="button"
-                        onClick={() => setShowPassword((v) => !v)}
-                        className="absolute inset-y-0 right-4 flex items-center text-gray-400 transition-colors hover:text-white"
+                    <div>
+                      <label
+                        htmlFor="password"
+                        className="block text-sm font-medium text-gray-300 mb-2"
                       >
-                        {showPassword ? (
-                          <EyeOff className="h-5 w-5" />
-                        ) : (
-                          <Eye className="h-5 w-5" />
-                        )}
-                      </button>
-                    </div>
+                        Password
+                      </label>
+
+                      <div className="relative">
+                        <input
+                          id="password"
+                          type={showPassword ? "text" : "password"}
+                          name="password"
+                          placeholder="Enter your password"
+                          value={formData.password}
+                          onChange={handleChange}
+                          disabled={loading}
+                          className="w-full rounded-2xl border border-white/10 bg-white/5 px-5 py-4 pr-14 text-white placeholder:text-gray-500 outline-none transition-all duration-300 focus:border-violet-500 focus:bg-white/10"
+                        />
+
+                        <button
+                          type="button"
+                          onClick={() => setShowPassword((v) => !v)}
+                          className="absolute inset-y-0 right-4 flex items-center text-gray-400 transition-colors hover:text-white"
+                        >
+                          {showPassword ? (
+                            <EyeOff className="h-5 w-5" />
+                          ) : (
+                            <Eye className="h-5 w-5" />
+                          )}
+                        </button>
+                      </div>
 
-                    <p className="mt-2 text-xs text-gray-500">
-                      Minimum 8 characters for security
-                    </p>
-                  </div>
+                      <p className="mt-2 text-xs text-gray-500">
+                        Minimum 8 characters for security
+                      </p>
+                    </div>
 
-                  <button
-                    type="submit"
-                    disabled={loading}
-                    className="mt-2 w-full rounded-2xl bg-gradient-to-r from-violet-600 via-fuchsia-600 to-pink-600 py-4 font-bold text-white shadow-lg shadow-violet-500/20 transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-violet-500/30 disabled:cursor-not-allowed disabled:opacity-50"
-                  >
-                    {loading ? (
-                      <div className="flex items-center justify-center gap-2">
-                        <div className="h-5 w-5 rounded-full border-2 border-white border-t-transparent animate-spin" />
-                        <span>Logging in...</span>
-                      </div>
-                    ) : (
-                      <span className="inline-flex items-center justify-center gap-2">
-                        Login as Superadmin
-                        <ArrowRight className="h-5 w-5" />
-                      </span>
-                    )}
-                  </button>
-                </form>
+                    <button
+                      type="submit"
+                      disabled={loading}
+                      className="mt-2 w-full rounded-2xl bg-gradient-to-r from-violet-600 via-fuchsia-600 to-pink-600 py-4 font-bold text-white shadow-lg shadow-violet-500/20 transition-all duration-300 hover:scale-[1.02] hover:shadow-2xl hover:shadow-violet-500/30 disabled:cursor-not-allowed disabled:opacity-50"
+                    >
+                      {loading ? (
+                        <div className="flex items-center justify-center gap-2">
+                          <div className="h-5 w-5 rounded-full border-2 border-white border-t-transparent animate-spin" />
+                          <span>Logging in...</span>
+                        </div>
+                      ) : (
+                        <span className="inline-flex items-center justify-center gap-2">
+                          Login as Superadmin
+                          <ArrowRight className="h-5 w-5" />
+                        </span>
+                      )}
+                    </button>
+                  </form>
+                )}
 
                 <div className="mt-8 border-t border-white/10 pt-6">
                   <p className="text-center text-sm text-gray-400">
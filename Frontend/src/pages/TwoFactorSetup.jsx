@@ -0,0 +1,42 @@
+import { Navigate, useNavigate } from "react-router-dom";
+import { useAuth } from "../context/AuthContext";
+import AuthCard from "../components/AuthCard";
+import TwoFactorSettings from "../components/TwoFactorSettings";
+
+const dashboardPath = (user) => {
+  if (user.role === "SUPERADMIN") return "/superadmin/dashboard";
+  const orgType = (user.organizationType || "").toLowerCase();
+  if (orgType === "hospital") return "/hospital";
+  if (orgType === "blood_bank" || orgType === "bloodbank") return "/bloodbank";
+  if (orgType === "ngo") return "/ngo/dashboard";
+  return "/login";
+};
+
+/**
+ * Mandatory two-factor enrolment for roles that require it. The backend
+ * refuses everything else until it is on.
+ */
+export default function TwoFactorSetup() {
+  const navigate = useNavigate();
+  const { user, loading, isAuthenticated, logout } = useAuth();
+
+  if (loading) return null;
+  if (!isAuthenticated()) return <Navigate to="/login" replace />;
+
+  return (
+    <AuthCard
+      title="Set Up Two-Factor Authentication"
+      subtitle="Your role requires a code from an authenticator app at every sign-in."
+    >
+      <div className="rounded-2xl bg-white p-5">
+        <TwoFactorSettings onDone={() => navigate(dashboardPath(user))} />
+      </div>
+
+      <p className="mt-6 text-center text-sm text-gray-400">
+        <button onClick={logout} className="font-semibold text-red-400 hover:text-red-300 transition-colors">
+          Sign out
+        </button>
+      </p>
+    </AuthCard>
+  );
+}
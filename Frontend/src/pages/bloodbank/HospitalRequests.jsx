@@ -3,10 +3,12 @@ import {
   getBloodBankRequests,
   acceptBloodRequest,
   rejectBloodRequest,
-  completeBloodRequest,
+  dispatchBloodRequest,
 } from "../../services/hospitalBloodRequestApi";
 import { getHospitalById } from "../../services/hospitalApi";
+import { subscribeToRealtime } from "../../services/realtimeApi";
 import toast from "react-hot-toast";
+import MessageThreadModal from "../../components/MessageThreadModal";
 
 
 const statusBadgeStyles = {
@@ -18,6 +20,7 @@ const statusBadgeStyles = {
     "bg-[#fde4e4] text-[#9e121c] border border-[#f5a5ad] shadow-[0_3px_12px_rgba(181,39,57,0.25)]",
   ACCEPTED: "bg-[#ecf8ef] text-[#1f7a3a] border border-[#a2d8b3]",
   REJECTED: "bg-[#fde4e4] text-[#9e121c] border border-[#f5a5ad]",
+  PROCESSING: "bg-[#f1ecff] text-[#5b3fa8] border border-[#cfc2f2]",
   COMPLETED: "bg-[#e7f3ff] text-[#185a9d] border border-[#b6d8f2]",
 };
 
@@ -42,12 +45,26 @@ const normalizeRequests = (payload) => {
   return [];
 };
 
+const getStoredBloodBankId = () => {
+  const storedUser = JSON.parse(localStorage.getItem("user") || "{}");
+  return (
+    storedUser.organizationId ||
+    storedUser.bloodBankId ||
+    storedUser._id ||
+    storedUser.organization?._id
+  );
+};
+
 export default function HospitalRequests() {
   const [loading, setLoading] = useState(true);
   const [requests, setRequests] = useState([]);
   const [hospitalNames, setHospitalNames] = useState({});
   const [requestStatusFilter, setRequestStatusFilter] = useState("ALL");
   const [requestUrgencyFilter, setRequestUrgencyFilter] = useState("ALL");
+  // Hand-over details of the request being dispatched
+  const [dispatchForm, setDispatchForm] = useState(null);
+  // Request whose message thread is open
+  const [messageRequest, setMessageRequest] = useState(null);
 
   const verificationStatus = "VERIFIED"; // This would come from context/state in real app
   const actionsLocked = verificationStatus !== "VERIFIED";
@@ -56,16 +73,20 @@ export default function HospitalRequests() {
     fetchRequests();
   }, []);
 
-  const fetchRequests = async () => {
+  // New, escalated or updated requests for this bank are pushed live
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type === "request") fetchRequests({ silent: true });
+      }),
+    []
+  );
+
+  const fetchRequests = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       const token = localStorage.getItem("token");
-      const storedUser = JSON.parse(localStorage.getItem("user") || "{}");
-      const bloodBankId =
-        storedUser.organizationId ||
-        storedUser.bloodBankId ||
-        storedUser._id ||
-        storedUser.organization?._id;
+      const bloodBankId = getStoredBloodBankId();
 
       if (!bloodBankId) {
         toast.error("Blood bank ID not found. Please login again.");
@@ -154,9 +175,13 @@ export default function HospitalRequests() {
       let response;
 
       if (nextStatus === "ACCEPTED") {
+        // bloodBankId lets this bank claim requests fanned out by escalation
         response = await acceptBloodRequest(
           request._id,
-          { bloodBankResponse: "Accepted via dashboard" },
+          {
+            bloodBankResponse: "Accepted via dashboard",
+            bloodBankId: getStoredBloodBankId()
+          },
           token
         );
       } else if (nextStatus === "REJECTED") {
@@ -165,14 +190,24 @@ export default function HospitalRequests() {
           { rejectionReason: "Rejected via dashboard" },
           token
         );
-      } else if (nextStatus === "COMPLETED") {
-        const unitsFulfilled =
-          request.unitsFulfilled || request.unitsRequired || 0;
-        response = await completeBloodRequest(
+      } else if (nextStatus === "DISPATCHED") {
+        const { mode, name, phone } = dispatchForm || {};
+        if (!name || (mode === "COURIER" && !phone)) {
+          toast.error("Enter the courier or collector details");
+          return;
+        }
+        response = await dispatchBloodRequest(
           request._id,
-          { unitsFulfilled },
+          {
+            mode,
+            units: request.unitsRequired,
+            ...(mode === "COURIER"
+              ? { courier: { name, phone } }
+              : { pickup: { collectorName: name, collectorPhone: phone } }),
+          },
           token
         );
+        setDispatchForm(null);
       } else {
         toast.error("Unsupported action");
         return;
@@ -235,6 +270,7 @@ export default function HospitalRequests() {
               <option value="ALL">All</option>
               <option value="PENDING">Pending</option>
               <option value="ACCEPTED">Accepted</option>
+              <option value="PROCESSING">Dispatched</option>
               <option value="COMPLETED">Completed</option>
               <option value="REJECTED">Rejected</option>
             </select>
@@ -342,17 +378,77 @@ export default function HospitalRequests() {
                         </button>
                       </>
                     )}
-                    {req.status === "ACCEPTED" && (
-                      <button
-                        disabled={actionsLocked}
-                        onClick={() =>
-                          handleRequestStatus(req, "COMPLETED")
-                        }
-                        className="rounded-full border border-[#9dd4ff] px-4 py-1 text-xs font-semibold text-[#0f6fa6] transition hover:bg-sky-50 disabled:cursor-not-allowed disabled:opacity-40"
-                      >
-                        Mark Completed
-                      </button>
-                    )}
+                    {req.status === "ACCEPTED" &&
+                      dispatchForm?.requestId !== req._id && (
+                        <button
+                          disabled={actionsLocked}
+                          onClick={() =>
+                            setDispatchForm({
+                              requestId: req._id,
+                              mode: "PICKUP",
+                              name: "",
+                              phone: "",
+                            })
+                          }
+                          className="rounded-full border border-[#9dd4ff] px-4 py-1 text-xs font-semibold text-[#0f6fa6] transition hover:bg-sky-50 disabled:cursor-not-allowed disabled:opacity-40"
+                        >
+                          Dispatch
+                        </button>
+                      )}
+                    {req.status === "ACCEPTED" &&
+                      dispatchForm?.requestId === req._id && (
+                        <div className="flex flex-wrap items-center gap-2 text-xs">
+                          <select
+                            value={dispatchForm.mode}
+                            onChange={(e) =>
+                              setDispatchForm({ ...dispatchForm, mode: e.target.value })
+                            }
+                            className="rounded-full border border-pink-100 bg-white px-3 py-1 focus:border-[#ff4d6d]"
+                          >
+                            <option value="PICKUP">Hospital pickup</option>
+                            <option value="COURIER">Courier</option>
+                          </select>
+                          <input
+                            value={dispatchForm.name}
+                            onChange={(e) =>
+                              setDispatchForm({ ...dispatchForm, name: e.target.value })
+                            }
+                            placeholder={
+                              dispatchForm.mode === "COURIER"
+                                ? "Courier name"
+                                : "Collected by"
+                            }
+                            className="w-32 rounded-full border border-pink-100 px-3 py-1 focus:border-[#ff4d6d]"
+                          />
+                          <input
+                            value={dispatchForm.phone}
+                            onChange={(e) =>
+                              setDispatchForm({ ...dispatchForm, phone: e.target.value })
+                            }
+                            placeholder="Phone"
+                            className="w-28 rounded-full border border-pink-100 px-3 py-1 focus:border-[#ff4d6d]"
+                          />
+                          <button
+                            disabled={actionsLocked}
+                            onClick={() => handleRequestStatus(req, "DISPATCHED")}
+                            className="rounded-full border border-[#9dd4ff] px-4 py-1 font-semibold text-[#0f6fa6] transition hover:bg-sky-50 disabled:cursor-not-allowed disabled:opacity-40"
+                          >
+                            Confirm
+                          </button>
+                          <button
+                            onClick={() => setDispatchForm(null)}
+                            className="rounded-full border border-[#dcd2c6] px-4 py-1 font-semibold text-[#6b5d55] transition hover:bg-[#f3f0ea]"
+                          >
+                            Cancel
+                          </button>
+                        </div>
+                      )}
+                    <button
+                      onClick={() => setMessageRequest(req)}
+                      className="rounded-full border border-pink-100 px-4 py-1 text-xs font-semibold text-[#7c4a5e] transition hover:bg-pink-50"
+                    >
+                      Messages
+                    </button>
                   </div>
                 </td>
               </tr>
@@ -360,6 +456,14 @@ export default function HospitalRequests() {
           </tbody>
         </table>
       </div>
+
+      <MessageThreadModal
+        isOpen={Boolean(messageRequest)}
+        onClose={() => setMessageRequest(null)}
+        entityType="BLOOD_REQUEST"
+        entityId={messageRequest?._id}
+        title={messageRequest && `${messageRequest.requestCode} · ${messageRequest.unitsRequired} unit(s) ${messageRequest.bloodGroup}`}
+      />
     </section>
   );
 }
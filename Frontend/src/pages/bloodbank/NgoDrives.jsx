@@ -6,6 +6,7 @@ import {
   updateNgoDrive,
 } from "../../services/bloodBankApi";
 import toast from "react-hot-toast";
+import MessageThreadModal from "../../components/MessageThreadModal";
 
 const statusBadgeStyles = {
   VERIFIED:
@@ -33,6 +34,8 @@ export default function NgoDrives() {
   const [loading, setLoading] = useState(true);
   const [ngoDrives, setNgoDrives] = useState([]);
   const [driveStatusFilter, setDriveStatusFilter] = useState("ALL");
+  // Drive whose message thread is open
+  const [messageDrive, setMessageDrive] = useState(null);
 
   const verificationStatus = "VERIFIED"; // This would come from context/state in real app
   const actionsLocked = verificationStatus !== "VERIFIED";
@@ -271,10 +274,24 @@ export default function NgoDrives() {
                   </button>
                 </>
               )}
+              <button
+                onClick={() => setMessageDrive(drive)}
+                className="rounded-full border border-pink-100 px-4 py-2 text-[#7c4a5e] transition hover:bg-pink-50"
+              >
+                Messages
+              </button>
             </div>
           </article>
         ))}
       </div>
+
+      <MessageThreadModal
+        isOpen={Boolean(messageDrive)}
+        onClose={() => setMessageDrive(null)}
+        entityType="BLOODBANK_DRIVE"
+        entityId={messageDrive?._id}
+        title={messageDrive?.driveName || messageDrive?.ngoName}
+      />
     </section>
   );
 }
@@ -2,6 +2,10 @@ import { useState, useEffect } from "react";
 import { jsPDF } from "jspdf";
 import { getOrganizationByCode, updateBloodBank } from "../../services/bloodBankApi";
 import toast from "react-hot-toast";
+import NotificationPreferences from "../../components/NotificationPreferences";
+import ActiveSessions from "../../components/ActiveSessions";
+import TwoFactorSettings from "../../components/TwoFactorSettings";
+import ApiKeys from "../../components/ApiKeys";
 
 export default function ProfileSettings() {
   const [loading, setLoading] = useState(true);
@@ -413,6 +417,36 @@ export default function ProfileSettings() {
         </>
       )}
 
+      <div className="mt-6 rounded-2xl border border-pink-100 bg-white p-5">
+        <p className="mb-4 text-xs uppercase tracking-[0.4em] text-[#ff4d6d]/70">
+          Notification Preferences
+        </p>
+        <NotificationPreferences
+          events={["REQUEST_CREATED", "REQUEST_ESCALATED", "ALERT_RAISED", "ALERT_ESCALATED"]}
+        />
+      </div>
+
+      <div className="mt-6 rounded-2xl border border-pink-100 bg-white p-5">
+        <p className="mb-4 text-xs uppercase tracking-[0.4em] text-[#ff4d6d]/70">
+          Two-Factor Authentication
+        </p>
+        <TwoFactorSettings />
+      </div>
+
+      <div className="mt-6 rounded-2xl border border-pink-100 bg-white p-5">
+        <p className="mb-4 text-xs uppercase tracking-[0.4em] text-[#ff4d6d]/70">
+          Active Sessions
+        </p>
+        <ActiveSessions />
+      </div>
+
+      <div className="mt-6 rounded-2xl border border-pink-100 bg-white p-5">
+        <p className="mb-4 text-xs uppercase tracking-[0.4em] text-[#ff4d6d]/70">
+          API Keys
+        </p>
+        <ApiKeys />
+      </div>
+
       <div className="mt-6 rounded-2xl border border-pink-100 bg-gradient-to-br from-[#ffe5ec] to-[#fff5f9] p-5">
         <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]/70">
           Account Security
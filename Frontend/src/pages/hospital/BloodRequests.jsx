@@ -6,7 +6,9 @@ import {
   completeBloodRequest
 } from "../../services/hospitalBloodRequestApi";
 import { getHospitalById } from "../../services/hospitalApi";
+import { subscribeToRealtime } from "../../services/realtimeApi";
 import CreateBloodRequestModal from "../../components/CreateBloodRequestModal";
+import MessageThreadModal from "../../components/MessageThreadModal";
 
 const statusClasses = {
   PENDING:
@@ -37,6 +39,8 @@ export default function HospitalBloodRequests() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  // Request whose message thread is open
+  const [messageRequest, setMessageRequest] = useState(null);
 
   const location = useLocation();
 
@@ -60,9 +64,19 @@ export default function HospitalBloodRequests() {
     }
   }, [location.state]);
 
-  const fetchData = async () => {
+  // Accepted, dispatched or escalated requests are pushed live
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type === "request") fetchData({ silent: true });
+      }),
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+    []
+  );
+
+  const fetchData = async ({ silent = false } = {}) => {
     try {
-      setLoading(true);
+      if (!silent) setLoading(true);
       setError(null);
 
       // Fetch hospital details for verification status
@@ -283,13 +297,23 @@ export default function HospitalBloodRequests() {
                   <td className="px-6 py-4">
                     <div className="flex flex-wrap gap-2">
                       {req.status === "ACCEPTED" && (
-                        <button
-                          disabled={actionsLocked}
-                          onClick={() => handleStatusUpdate(req._id, "COMPLETED")}
-                          className="rounded-full border border-[#b6d8f2] px-4 py-1 text-xs font-semibold text-[#185a9d] transition hover:bg-[#e7f3ff] disabled:cursor-not-allowed disabled:opacity-40"
-                        >
-                          Mark Completed
-                        </button>
+                        <span className="text-xs text-[#185a9d]">Awaiting dispatch</span>
+                      )}
+                      {req.status === "PROCESSING" && req.dispatch && (
+                        <>
+                          {req.dispatch.excursion?.flagged && (
+                            <span className="text-xs font-semibold text-[#9e121c]">
+                              ⚠ Cold-chain excursion, inspect units
+                            </span>
+                          )}
+                          <button
+                            disabled={actionsLocked}
+                            onClick={() => handleStatusUpdate(req._id, "COMPLETED")}
+                            className="rounded-full border border-[#b6d8f2] px-4 py-1 text-xs font-semibold text-[#185a9d] transition hover:bg-[#e7f3ff] disabled:cursor-not-allowed disabled:opacity-40"
+                          >
+                            Confirm Receipt
+                          </button>
+                        </>
                       )}
                       {req.status === "COMPLETED" && (
                         <span className="text-xs text-[#1f7a3a]">✓ Fulfilled</span>
@@ -300,6 +324,12 @@ export default function HospitalBloodRequests() {
                       {req.status === "REJECTED" && (
                         <span className="text-xs text-[#9e121c]">Declined</span>
                       )}
+                      <button
+                        onClick={() => setMessageRequest(req)}
+                        className="rounded-full border border-gray-300 px-4 py-1 text-xs font-semibold text-gray-700 transition hover:bg-gray-100"
+                      >
+                        Messages
+                      </button>
                     </div>
                   </td>
                 </tr>
@@ -316,6 +346,14 @@ export default function HospitalBloodRequests() {
         onSuccess={fetchData}
         hospitalId={organizationId}
       />
+
+      <MessageThreadModal
+        isOpen={Boolean(messageRequest)}
+        onClose={() => setMessageRequest(null)}
+        entityType="BLOOD_REQUEST"
+        entityId={messageRequest?._id}
+        title={messageRequest && `${messageRequest.requestCode} · ${messageRequest.unitsRequired} unit(s) ${messageRequest.bloodGroup}`}
+      />
     </section>
   );
 }
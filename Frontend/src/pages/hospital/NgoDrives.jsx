@@ -6,6 +6,7 @@ import {
 import { getHospitalById } from "../../services/hospitalApi";
 
 import CreateDriveRequestModal from "../../components/CreateDriveRequestModal";
+import MessageThreadModal from "../../components/MessageThreadModal";
 
 const statusPills = {
   PENDING: "bg-[#fff3e4] text-[#b05f09] border border-[#f0c18c]",
@@ -29,6 +30,8 @@ export default function HospitalNgoDrives() {
   const [loading, setLoading] = useState(true);
   const [error, setError] = useState(null);
   const [isModalOpen, setIsModalOpen] = useState(false);
+  // Drive whose message thread is open
+  const [messageDrive, setMessageDrive] = useState(null);
 
   // Get auth data from localStorage
   const token = localStorage.getItem('token');
@@ -261,6 +264,12 @@ export default function HospitalNgoDrives() {
                   {drive.status === "SCHEDULED" && (
                   <span className="text-gray-700 font-bold">Scheduled</span>
                 )}
+                <button
+                  onClick={() => setMessageDrive(drive)}
+                  className="rounded-full border-2 border-gray-300 px-4 py-2 text-gray-700 font-semibold transition hover:bg-gray-100"
+                >
+                  Messages
+                </button>
               </div>
             </article>
           ))}
@@ -273,6 +282,14 @@ export default function HospitalNgoDrives() {
         onSuccess={fetchData}
         hospitalId={organizationId}
     />
+
+    <MessageThreadModal
+        isOpen={Boolean(messageDrive)}
+        onClose={() => setMessageDrive(null)}
+        entityType="HOSPITAL_DRIVE"
+        entityId={messageDrive?._id}
+        title={messageDrive?.driveTitle}
+    />
     </section>
   );
 }
@@ -1,6 +1,10 @@
 import { useState, useEffect } from "react";
 import { getHospitalById, updateHospital } from "../../services/hospitalApi";
 import { jsPDF } from "jspdf";
+import NotificationPreferences from "../../components/NotificationPreferences";
+import ActiveSessions from "../../components/ActiveSessions";
+import TwoFactorSettings from "../../components/TwoFactorSettings";
+import ApiKeys from "../../components/ApiKeys";
 
 export default function HospitalProfile() {
   const [hospital, setHospital] = useState(null);
@@ -658,6 +662,40 @@ export default function HospitalProfile() {
         </div>
       )}
 
+      {/* Notification Preferences */}
+      <article className="rounded-2xl border border-gray-200 p-5">
+        <p className="mb-4 text-xs uppercase tracking-widest text-red-700 font-bold">
+          Notification Preferences
+        </p>
+        <NotificationPreferences
+          events={["REQUEST_ACCEPTED", "REQUEST_ESCALATED", "ALERT_RAISED", "ALERT_ESCALATED"]}
+        />
+      </article>
+
+      {/* Two-Factor Authentication */}
+      <article className="rounded-2xl border border-gray-200 p-5">
+        <p className="mb-4 text-xs uppercase tracking-widest text-red-700 font-bold">
+          Two-Factor Authentication
+        </p>
+        <TwoFactorSettings />
+      </article>
+
+      {/* Active Sessions */}
+      <article className="rounded-2xl border border-gray-200 p-5">
+        <p className="mb-4 text-xs uppercase tracking-widest text-red-700 font-bold">
+          Active Sessions
+        </p>
+        <ActiveSessions />
+      </article>
+
+      {/* API Keys */}
+      <article className="rounded-2xl border border-gray-200 p-5">
+        <p className="mb-4 text-xs uppercase tracking-widest text-red-700 font-bold">
+          API Keys
+        </p>
+        <ApiKeys />
+      </article>
+
       {/* EDIT MODAL */}
       {isEditModalOpen && (
         <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4 backdrop-blur-sm">
@@ -0,0 +1,145 @@
+import { useCallback, useEffect, useState } from "react";
+import { getDonorCallouts } from "../../services/ngoApi";
+import { subscribeToRealtime } from "../../services/realtimeApi";
+
+// Request statuses that still need donors (OPEN_STATUSES on the server)
+const OPEN_STATUSES = ["PENDING", "ACCEPTED", "PROCESSING"];
+
+const RESPONSE_META = {
+  COMING: { label: "Coming", className: "bg-emerald-50 text-emerald-700 border-emerald-200" },
+  NO_RESPONSE: { label: "No response", className: "bg-[#fff7f9] text-[#a44255] border-[#ffe0e8]" },
+  UNAVAILABLE: { label: "Unavailable", className: "bg-slate-50 text-slate-500 border-slate-200" },
+};
+
+const upsertCallout = (callouts, callout) => {
+  const rest = callouts.filter((entry) => entry.requestId !== callout.requestId);
+  return OPEN_STATUSES.includes(callout.requestStatus) ? [callout, ...rest] : rest;
+};
+
+export default function DonorCallouts() {
+  const [callouts, setCallouts] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState("");
+
+  const loadCallouts = useCallback(async () => {
+    try {
+      const response = await getDonorCallouts();
+      setCallouts(response.data?.data || []);
+      setError("");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to load donor call-outs");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  useEffect(() => {
+    loadCallouts();
+  }, [loadCallouts]);
+
+  // Responses arrive live; requests closed since are dropped on their next update
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type !== "donor-callout") return;
+        setCallouts((prev) => upsertCallout(prev, event.data));
+      }),
+    []
+  );
+
+  return (
+    <section className="space-y-6">
+      <div className="rounded-[32px] border border-[#ffe5ed] bg-white p-8 shadow-[0_35px_90px_rgba(42,8,20,0.08)]">
+        <header className="flex flex-col gap-3 lg:flex-row lg:items-center lg:justify-between">
+          <div>
+            <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">
+              Emergency Call-outs
+            </p>
+            <h3 className="text-2xl font-semibold text-[#2a0814]">
+              Rare-group Donor Appeals
+            </h3>
+            <p className="text-sm text-[#7a4456]">
+              Eligible donors appealed to when no blood bank could cover a request. Responses update live.
+            </p>
+          </div>
+          <button
+            type="button"
+            onClick={loadCallouts}
+            className="rounded-full border border-[#ffd1df] px-5 py-2 text-xs font-semibold uppercase tracking-[0.3em] text-[#7a0f25]"
+          >
+            Refresh
+          </button>
+        </header>
+
+        {loading ? (
+          <p className="mt-6 text-sm text-[#7a4456]">Loading call-outs...</p>
+        ) : error ? (
+          <p className="mt-6 text-sm text-red-600">{error}</p>
+        ) : callouts.length === 0 ? (
+          <p className="mt-6 rounded-2xl border border-[#ffe0e8] bg-[#fff9fb] px-5 py-4 text-sm text-[#7a4456]">
+            No open donor call-outs right now.
+          </p>
+        ) : (
+          <div className="mt-6 space-y-5">
+            {callouts.map((callout) => (
+              <article
+                key={callout.requestId}
+                className="rounded-3xl border border-[#ffe0e8] bg-[#fff9fb] p-5 shadow-[0_25px_60px_rgba(42,8,20,0.08)]"
+              >
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div>
+                    <p className="text-[11px] uppercase tracking-[0.4em] text-[#b45a6f]">
+                      {callout.requestCode} · {callout.urgency}
+                    </p>
+                    <p className="mt-2 text-lg font-semibold text-[#2a0814]">
+                      {callout.unitsRequired} unit(s) {callout.bloodGroup} for {callout.hospitalName}
+                    </p>
+                    <p className="text-xs text-[#7a4456]">
+                      {callout.city} · donors of {callout.bloodGroups.join(", ")} · started{" "}
+                      {new Date(callout.startedAt).toLocaleString()}
+                    </p>
+                  </div>
+                  <div className="flex gap-2 text-xs font-semibold">
+                    {Object.entries(RESPONSE_META).map(([status, meta]) => (
+                      <span key={status} className={`rounded-full border px-3 py-1 ${meta.className}`}>
+                        {meta.label}: {callout.counts?.[status] ?? 0}
+                      </span>
+                    ))}
+                  </div>
+                </div>
+
+                {callout.responders.length === 0 ? (
+                  <p className="mt-4 text-sm text-[#7a4456]">
+                    No eligible donors who opted in to appeals were found in {callout.city}.
+                  </p>
+                ) : (
+                  <div className="mt-4 grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+                    {callout.responders.map((responder) => {
+                      const meta = RESPONSE_META[responder.status] || RESPONSE_META.NO_RESPONSE;
+                      return (
+                        <div
+                          key={responder.donorId}
+                          className="flex items-center justify-between rounded-2xl border border-[#ffe0e8] bg-white px-4 py-3 text-sm"
+                        >
+                          <div>
+                            <p className="font-semibold text-[#2a0814]">
+                              {responder.name} <span className="text-[#a44255]">({responder.bloodGroup})</span>
+                            </p>
+                            <p className="text-xs text-[#7a4456]">{responder.mobileNumber}</p>
+                          </div>
+                          <span className={`rounded-full border px-3 py-1 text-xs font-semibold ${meta.className}`}>
+                            {meta.label}
+                          </span>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+              </article>
+            ))}
+          </div>
+        )}
+      </div>
+    </section>
+  );
+}
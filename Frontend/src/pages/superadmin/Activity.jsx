@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
+import { withSessionRefresh } from "../../services/sessionApi";
 import toast from "react-hot-toast";
 import {
   Search,
@@ -211,10 +212,12 @@ export default function Activity() {
   const [totalItems, setTotalItems] = useState(0);
 
   const api = useMemo(() => {
-    return axios.create({
-      baseURL: API_BASE,
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return withSessionRefresh(
+      axios.create({
+        baseURL: API_BASE,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+    );
   }, [token]);
 
   useEffect(() => {
@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
+import { withSessionRefresh } from "../../services/sessionApi";
 import toast from "react-hot-toast";
 import {
   Search,
@@ -87,10 +88,12 @@ export default function Approvals() {
   }, [token, navigate]);
 
   const api = useMemo(() => {
-    return axios.create({
-      baseURL: API_BASE,
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return withSessionRefresh(
+      axios.create({
+        baseURL: API_BASE,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+    );
   }, [token]);
 
   const loadPendingOrganizations = async (signal) => {
@@ -210,7 +213,8 @@ export default function Approvals() {
         organizationCode,
         approvalRemarks: "Approved by Superadmin",
       });
-      toast.success(res.data?.message || "Organization approved successfully");
+      // data.message says where the admin's activation link went
+      toast.success(res.data?.data?.message || res.data?.message || "Organization approved successfully");
       setShowApproveModal(false);
       setSelectedOrganization(null);
       await loadPendingOrganizations();
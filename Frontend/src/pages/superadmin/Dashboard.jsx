@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
+import { withSessionRefresh } from "../../services/sessionApi";
 import {
   Activity,
   AlertTriangle,
@@ -24,6 +25,7 @@ import {
   RefreshCw,
 } from "lucide-react";
 import { useAuth } from "../../context/AuthContext";
+import { subscribeToRealtime } from "../../services/realtimeApi";
 import toast from "react-hot-toast";
 
 const API = {
@@ -77,6 +79,7 @@ export default function Dashboard() {
   const [organizations, setOrganizations] = useState([]);
   const [recentActivity, setRecentActivity] = useState([]);
   const [systemHealth, setSystemHealth] = useState([]);
+  const [activeIncidents, setActiveIncidents] = useState([]);
 
   useEffect(() => {
     if (!token) {
@@ -90,10 +93,12 @@ export default function Dashboard() {
   }, [token, isSuperAdmin, navigate]);
 
   const api = useMemo(() => {
-    return axios.create({
-      baseURL: "http://localhost:5000",
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return withSessionRefresh(
+      axios.create({
+        baseURL: "http://localhost:5000",
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+    );
   }, [token]);
 
   const loadDashboard = async () => {
@@ -126,6 +131,7 @@ export default function Dashboard() {
           hospitals: data.organizations?.hospitals || 0,
           ngos: data.organizations?.ngos || 0,
         }));
+        setActiveIncidents(safeArray(data.activeIncidents));
       }
 
       if (pendingRes.status === "fulfilled") {
@@ -209,6 +215,24 @@ export default function Dashboard() {
     // eslint-disable-next-line react-hooks/exhaustive-deps
   }, [token]);
 
+  // Pushed requests, stock changes and alerts refresh the overview, at most
+  // once every few seconds
+  useEffect(() => {
+    let pending = null;
+    const unsubscribe = subscribeToRealtime(() => {
+      if (pending) return;
+      pending = setTimeout(() => {
+        pending = null;
+        loadDashboard();
+      }, 3000);
+    });
+    return () => {
+      clearTimeout(pending);
+      unsubscribe();
+    };
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [token]);
+
   const handleRefresh = () => {
     setRefreshing(true);
     loadDashboard();
@@ -323,6 +347,56 @@ export default function Dashboard() {
         </div>
       )}
 
+      {/* Active mass-casualty incidents stay pinned until closed */}
+      {activeIncidents.length > 0 && (
+        <div className="rounded-3xl border border-red-300 bg-red-50 p-5 shadow-[0_20px_45px_rgba(255,77,109,0.18)]">
+          <div className="flex items-center gap-2 text-red-700">
+            <AlertTriangle className="h-5 w-5" />
+            <h2 className="text-lg font-bold">
+              {activeIncidents.length} active mass-casualty incident
+              {activeIncidents.length > 1 ? "s" : ""}
+            </h2>
+          </div>
+          <div className="mt-4 space-y-3">
+            {activeIncidents.map((incident) => (
+              <div
+                key={incident._id}
+                className="flex flex-col gap-2 rounded-2xl border border-red-200 bg-white p-4 md:flex-row md:items-center md:justify-between"
+              >
+                <div>
+                  <p className="font-semibold text-[#31101e]">
+                    {incident.title}
+                  </p>
+                  <p className="text-sm text-[#7c4a5e]">
+                    {incident.hospitalName || "Hospital"}
+                    {incident.city ? ` · ${incident.city}` : ""}
+                    {incident.patientCount
+                      ? ` · ${incident.patientCount} patients`
+                      : ""}
+                    {" · declared "}
+                    {new Date(incident.declaredAt).toLocaleString()}
+                  </p>
+                </div>
+                <div className="flex flex-wrap gap-2 text-xs font-semibold">
+                  <span className="rounded-full bg-red-100 px-3 py-1 text-red-700">
+                    {formatNumber(incident.openRequests)} open of{" "}
+                    {formatNumber(incident.requestCount)} requests
+                  </span>
+                  <span className="rounded-full bg-[#fff1f4] px-3 py-1 text-[#ff4d6d]">
+                    {formatNumber(incident.unitsFulfilled)}/
+                    {formatNumber(incident.unitsRequired)} units
+                  </span>
+                  <span className="rounded-full bg-[#fff1f4] px-3 py-1 text-[#7c4a5e]">
+                    {formatNumber(incident.notifiedBloodBanks)} blood banks
+                    notified
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      )}
+
       {/* Stats */}
       <div className="grid gap-6 md:grid-cols-2 xl:grid-cols-4">
         {(loading ? Array.from({ length: 4 }) : stats).map((item, idx) => {
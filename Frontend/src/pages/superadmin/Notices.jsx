@@ -0,0 +1,383 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import toast from "react-hot-toast";
+import { Send, RefreshCw, X, CheckCircle2, Eye } from "lucide-react";
+import {
+  sendNotice,
+  getSentNotices,
+  getNoticeTracking,
+  getAllOrganizations,
+} from "../../services/superadminApi";
+import { subscribeToRealtime } from "../../services/realtimeApi";
+
+const PRIORITIES = ["LOW", "NORMAL", "HIGH", "CRITICAL"];
+
+const SCOPE_OPTIONS = [
+  { value: "ALL", label: "Every organization" },
+  { value: "ORGANIZATION_TYPE", label: "Organization types" },
+  { value: "ORGANIZATION", label: "Chosen organizations" },
+];
+
+const TYPE_OPTIONS = [
+  { value: "hospital", label: "Hospitals" },
+  { value: "bloodbank", label: "Blood Banks" },
+  { value: "ngo", label: "NGOs" },
+];
+
+const priorityStyles = {
+  CRITICAL: "bg-red-100 border-red-300 text-red-700",
+  HIGH: "bg-amber-100 border-amber-300 text-amber-700",
+  NORMAL: "bg-blue-100 border-blue-300 text-blue-700",
+  LOW: "bg-gray-100 border-gray-300 text-gray-700",
+};
+
+const emptyForm = {
+  title: "",
+  body: "",
+  priority: "NORMAL",
+  requiresAcknowledgment: false,
+  scope: "ALL",
+  organizationTypes: [],
+  organizationIds: [],
+};
+
+const formatTime = (iso) =>
+  iso
+    ? new Intl.DateTimeFormat("en-IN", { dateStyle: "medium", timeStyle: "short" }).format(new Date(iso))
+    : "-";
+
+const describeAudience = (audience) => {
+  if (audience.scope === "ALL") return "Everyone";
+  if (audience.scope === "ORGANIZATION_TYPE") {
+    return audience.organizationTypes
+      .map((type) => TYPE_OPTIONS.find((option) => option.value === type)?.label || type)
+      .join(", ");
+  }
+  return `${audience.organizationIds.length} organization(s)`;
+};
+
+/**
+ * Compose notices to organizations and follow who has read and acknowledged them
+ */
+export default function Notices() {
+  const [form, setForm] = useState(emptyForm);
+  const [sending, setSending] = useState(false);
+  const [organizations, setOrganizations] = useState([]);
+  const [orgSearch, setOrgSearch] = useState("");
+  const [notices, setNotices] = useState([]);
+  const [loading, setLoading] = useState(true);
+  const [tracking, setTracking] = useState(null);
+
+  const loadNotices = useCallback(async () => {
+    try {
+      const response = await getSentNotices({}, { limit: 50 });
+      setNotices(response.data.notices || []);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to load notices");
+    } finally {
+      setLoading(false);
+    }
+  }, []);
+
+  const openTracking = useCallback(async (noticeId) => {
+    try {
+      const response = await getNoticeTracking(noticeId);
+      setTracking(response.data);
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to load notice");
+    }
+  }, []);
+
+  useEffect(() => {
+    loadNotices();
+  }, [loadNotices]);
+
+  useEffect(() => {
+    if (form.scope !== "ORGANIZATION" || organizations.length > 0) return;
+    getAllOrganizations({ status: "APPROVED" }, { limit: 500 })
+      .then((response) => setOrganizations(response.data.organizations || []))
+      .catch(() => toast.error("Failed to load organizations"));
+  }, [form.scope, organizations.length]);
+
+  // Acknowledgments arrive live
+  useEffect(
+    () =>
+      subscribeToRealtime((event) => {
+        if (event.type !== "notice" || event.data?.action !== "ACKNOWLEDGED") return;
+        loadNotices();
+        if (tracking && String(tracking.notice._id) === String(event.data.noticeId)) {
+          openTracking(event.data.noticeId);
+        }
+      }),
+    [loadNotices, openTracking, tracking]
+  );
+
+  const filteredOrganizations = useMemo(() => {
+    const term = orgSearch.trim().toLowerCase();
+    return organizations.filter(
+      (org) =>
+        !term ||
+        org.name?.toLowerCase().includes(term) ||
+        org.organizationCode?.toLowerCase().includes(term)
+    );
+  }, [organizations, orgSearch]);
+
+  const toggleInList = (field, value) =>
+    setForm((prev) => ({
+      ...prev,
+      [field]: prev[field].includes(value)
+        ? prev[field].filter((entry) => entry !== value)
+        : [...prev[field], value],
+    }));
+
+  const handleSend = async (event) => {
+    event.preventDefault();
+    setSending(true);
+    try {
+      const response = await sendNotice({
+        title: form.title,
+        body: form.body,
+        priority: form.priority,
+        requiresAcknowledgment: form.requiresAcknowledgment,
+        audience: {
+          scope: form.scope,
+          organizationTypes: form.organizationTypes,
+          organizationIds: form.organizationIds,
+        },
+      });
+      toast.success(response.message || "Notice sent");
+      setForm(emptyForm);
+      loadNotices();
+    } catch (err) {
+      toast.error(err.response?.data?.message || "Failed to send notice");
+    } finally {
+      setSending(false);
+    }
+  };
+
+  return (
+    <section className="space-y-6">
+      <div className="flex flex-col gap-4 md:flex-row md:items-end md:justify-between">
+        <div>
+          <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">Notices</p>
+          <h3 className="text-3xl font-semibold text-[#31101e]">Admin Notices</h3>
+          <p className="text-sm text-[#7c4a5e]">
+            Send notices to organizations and track who has acknowledged them
+          </p>
+        </div>
+        <button
+          onClick={loadNotices}
+          className="flex items-center gap-2 rounded-full border border-pink-100 bg-white px-4 py-2 text-sm font-semibold text-[#7c4a5e] transition hover:bg-pink-50"
+        >
+          <RefreshCw className="h-4 w-4" /> Refresh
+        </button>
+      </div>
+
+      <form
+        onSubmit={handleSend}
+        className="space-y-4 rounded-3xl border border-white/80 bg-white p-6 shadow-[0_25px_60px_rgba(241,122,146,0.18)]"
+      >
+        <div className="grid gap-4 md:grid-cols-[1fr_auto]">
+          <input
+            value={form.title}
+            onChange={(e) => setForm({ ...form, title: e.target.value })}
+            maxLength={200}
+            placeholder="Title"
+            className="rounded-2xl border border-pink-100 px-4 py-2 text-sm focus:border-[#ff4d6d] focus:outline-none"
+          />
+          <select
+            value={form.priority}
+            onChange={(e) => setForm({ ...form, priority: e.target.value })}
+            className="rounded-2xl border border-pink-100 px-4 py-2 text-sm focus:border-[#ff4d6d] focus:outline-none"
+          >
+            {PRIORITIES.map((priority) => (
+              <option key={priority} value={priority}>
+                {priority}
+              </option>
+            ))}
+          </select>
+        </div>
+        <textarea
+          value={form.body}
+          onChange={(e) => setForm({ ...form, body: e.target.value })}
+          rows={4}
+          maxLength={5000}
+          placeholder="Message"
+          className="w-full resize-none rounded-2xl border border-pink-100 px-4 py-2 text-sm focus:border-[#ff4d6d] focus:outline-none"
+        />
+
+        <div className="flex flex-wrap items-center gap-4 text-sm text-[#31101e]">
+          {SCOPE_OPTIONS.map((option) => (
+            <label key={option.value} className="flex items-center gap-2">
+              <input
+                type="radio"
+                name="scope"
+                checked={form.scope === option.value}
+                onChange={() => setForm({ ...form, scope: option.value })}
+              />
+              {option.label}
+            </label>
+          ))}
+          <label className="ml-auto flex items-center gap-2">
+            <input
+              type="checkbox"
+              checked={form.requiresAcknowledgment}
+              onChange={(e) => setForm({ ...form, requiresAcknowledgment: e.target.checked })}
+            />
+            Require acknowledgment
+          </label>
+        </div>
+
+        {form.scope === "ORGANIZATION_TYPE" && (
+          <div className="flex flex-wrap gap-2">
+            {TYPE_OPTIONS.map((option) => (
+              <button
+                type="button"
+                key={option.value}
+                onClick={() => toggleInList("organizationTypes", option.value)}
+                className={`rounded-full border px-4 py-1 text-xs font-semibold transition ${
+                  form.organizationTypes.includes(option.value)
+                    ? "border-[#ff4d6d] bg-[#ff4d6d] text-white"
+                    : "border-pink-100 text-[#7c4a5e] hover:bg-pink-50"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+        )}
+
+        {form.scope === "ORGANIZATION" && (
+          <div className="space-y-2">
+            <input
+              value={orgSearch}
+              onChange={(e) => setOrgSearch(e.target.value)}
+              placeholder="Search approved organizations"
+              className="w-full rounded-2xl border border-pink-100 px-4 py-2 text-sm focus:border-[#ff4d6d] focus:outline-none"
+            />
+            <div className="max-h-48 space-y-1 overflow-y-auto rounded-2xl border border-pink-50 p-2">
+              {filteredOrganizations.map((org) => (
+                <label key={org._id} className="flex items-center gap-2 rounded-xl px-2 py-1 text-sm hover:bg-pink-50">
+                  <input
+                    type="checkbox"
+                    checked={form.organizationIds.includes(org._id)}
+                    onChange={() => toggleInList("organizationIds", org._id)}
+                  />
+                  <span className="text-[#31101e]">{org.name}</span>
+                  <span className="text-xs text-[#8a5c70]">
+                    {org.organizationCode} · {org.type}
+                  </span>
+                </label>
+              ))}
+            </div>
+            <p className="text-xs text-[#8a5c70]">{form.organizationIds.length} selected</p>
+          </div>
+        )}
+
+        <button
+          type="submit"
+          disabled={sending || !form.title.trim() || !form.body.trim()}
+          className="flex items-center gap-2 rounded-full bg-gradient-to-r from-[#8f0f1a] to-[#c62832] px-6 py-2 text-sm font-semibold text-white shadow-lg transition hover:scale-105 disabled:opacity-40"
+        >
+          <Send className="h-4 w-4" /> {sending ? "Sending..." : "Send notice"}
+        </button>
+      </form>
+
+      <div className="rounded-3xl border border-white/80 bg-white p-6 shadow-[0_25px_60px_rgba(241,122,146,0.18)]">
+        <h4 className="text-lg font-semibold text-[#31101e]">Sent notices</h4>
+        {loading ? (
+          <p className="mt-4 text-sm text-[#7c4a5e]">Loading notices...</p>
+        ) : notices.length === 0 ? (
+          <p className="mt-4 text-sm text-[#7c4a5e]">No notices sent yet.</p>
+        ) : (
+          <table className="mt-4 w-full text-left text-sm">
+            <thead className="text-xs uppercase tracking-wider text-[#8a5c70]">
+              <tr>
+                <th className="py-2">Notice</th>
+                <th className="py-2">Audience</th>
+                <th className="py-2">Read</th>
+                <th className="py-2">Acknowledged</th>
+                <th className="py-2">Sent</th>
+                <th className="py-2" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-pink-50">
+              {notices.map((notice) => (
+                <tr key={notice._id}>
+                  <td className="py-3">
+                    <span className={`mr-2 rounded-full border px-2 py-0.5 text-[11px] font-semibold ${priorityStyles[notice.priority]}`}>
+                      {notice.priority}
+                    </span>
+                    <span className="font-semibold text-[#31101e]">{notice.title}</span>
+                  </td>
+                  <td className="py-3 text-[#7c4a5e]">{describeAudience(notice.audience)}</td>
+                  <td className="py-3 text-[#7c4a5e]">
+                    {notice.readCount}/{notice.recipientCount}
+                  </td>
+                  <td className="py-3 text-[#7c4a5e]">
+                    {notice.requiresAcknowledgment ? `${notice.acknowledgedCount}/${notice.recipientCount}` : "—"}
+                  </td>
+                  <td className="py-3 text-[#7c4a5e]">{formatTime(notice.createdAt)}</td>
+                  <td className="py-3 text-right">
+                    <button
+                      onClick={() => openTracking(notice._id)}
+                      className="rounded-full border border-pink-100 p-2 text-[#7c4a5e] transition hover:bg-pink-50"
+                      title="Track"
+                    >
+                      <Eye className="h-4 w-4" />
+                    </button>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {tracking && (
+        <div className="fixed inset-0 z-50 flex items-center justify-center bg-black/50 p-4">
+          <div className="relative max-h-[85vh] w-full max-w-2xl overflow-y-auto rounded-3xl bg-white p-6 shadow-2xl">
+            <button
+              onClick={() => setTracking(null)}
+              className="absolute right-5 top-5 text-[#8b6161] transition hover:text-[#8f0f1a]"
+            >
+              <X className="h-5 w-5" />
+            </button>
+            <p className="text-xs uppercase tracking-[0.4em] text-[#ff4d6d]">{tracking.notice.priority}</p>
+            <h4 className="pr-8 text-xl font-semibold text-[#31101e]">{tracking.notice.title}</h4>
+            <p className="mt-2 whitespace-pre-wrap text-sm text-[#7c4a5e]">{tracking.notice.body}</p>
+            <p className="mt-4 text-sm text-[#31101e]">
+              {tracking.summary.read}/{tracking.summary.recipients} read
+              {tracking.notice.requiresAcknowledgment &&
+                ` · ${tracking.summary.acknowledged} acknowledged · ${tracking.summary.pendingAcknowledgment} pending`}
+            </p>
+            <ul className="mt-4 divide-y divide-pink-50 rounded-2xl border border-pink-50">
+              {tracking.recipients.map((recipient) => (
+                <li key={recipient.organizationId} className="flex items-center justify-between gap-4 px-4 py-3 text-sm">
+                  <div>
+                    <p className="font-semibold text-[#31101e]">{recipient.name}</p>
+                    <p className="text-xs text-[#8a5c70]">
+                      {recipient.organizationCode} · {recipient.type}
+                    </p>
+                  </div>
+                  <div className="text-right text-xs text-[#7c4a5e]">
+                    {recipient.acknowledgment ? (
+                      <p className="flex items-center gap-1 font-semibold text-emerald-700">
+                        <CheckCircle2 className="h-4 w-4" />
+                        {recipient.acknowledgment.name || recipient.acknowledgment.userCode} ·{" "}
+                        {formatTime(recipient.acknowledgment.acknowledgedAt)}
+                      </p>
+                    ) : recipient.readCount > 0 ? (
+                      <p>Read {formatTime(recipient.firstReadAt)}</p>
+                    ) : (
+                      <p className="text-amber-700">Not read</p>
+                    )}
+                  </div>
+                </li>
+              ))}
+            </ul>
+          </div>
+        </div>
+      )}
+    </section>
+  );
+}
@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { useNavigate, useParams } from "react-router-dom";
 import axios from "axios";
+import { withSessionRefresh } from "../../services/sessionApi";
 import toast from "react-hot-toast";
 import {
   Building2,
@@ -122,10 +123,12 @@ export default function OrganizationDetails() {
   const [suspendReason, setSuspendReason] = useState("");
 
   const api = useMemo(() => {
-    return axios.create({
-      baseURL: API_BASE,
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return withSessionRefresh(
+      axios.create({
+        baseURL: API_BASE,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+    );
   }, [token]);
 
   const loadOrganization = async () => {
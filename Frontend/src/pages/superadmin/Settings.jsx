@@ -1,6 +1,9 @@
 import { useState } from "react";
 import { useAuth } from "../../context/AuthContext";
 import toast from "react-hot-toast";
+import NotificationPreferences from "../../components/NotificationPreferences";
+import ActiveSessions from "../../components/ActiveSessions";
+import TwoFactorSettings from "../../components/TwoFactorSettings";
 import {
   User,
   Mail,
@@ -11,6 +14,8 @@ import {
   Save,
   Eye,
   EyeOff,
+  Monitor,
+  Smartphone,
 } from "lucide-react";
 
 export default function Settings() {
@@ -25,12 +30,6 @@ export default function Settings() {
     currentPassword: "",
     newPassword: "",
     confirmPassword: "",
-    notifications: {
-      email: true,
-      browser: true,
-      approvalAlerts: true,
-      systemAlerts: true,
-    },
   });
 
   const handleInputChange = (e) => {
@@ -41,16 +40,6 @@ export default function Settings() {
     }));
   };
 
-  const handleNotificationChange = (key) => {
-    setFormData((prev) => ({
-      ...prev,
-      notifications: {
-        ...prev.notifications,
-        [key]: !prev.notifications[key],
-      },
-    }));
-  };
-
   const handleProfileUpdate = async (e) => {
     e.preventDefault();
     setLoading(true);
@@ -96,19 +85,6 @@ export default function Settings() {
     }
   };
 
-  const handleNotificationUpdate = async () => {
-    setLoading(true);
-
-    try {
-      // API call to update notification preferences
-      toast.success("Notification preferences updated");
-    } catch {
-      toast.error("Failed to update notification preferences");
-    } finally {
-      setLoading(false);
-    }
-  };
-
   return (
     <section className="space-y-6">
       <div>
@@ -305,130 +281,48 @@ export default function Settings() {
             </div>
           </div>
 
-          <div className="space-y-4">
-            <div className="flex items-center justify-between rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
-              <div className="flex items-center gap-3">
-                <Mail className="h-5 w-5 text-[#7c4a5e]" />
-                <div>
-                  <p className="font-medium text-[#31101e]">
-                    Email Notifications
-                  </p>
-                  <p className="text-sm text-[#7c4a5e]">
-                    Receive notifications via email
-                  </p>
-                </div>
-              </div>
-              <button
-                onClick={() => handleNotificationChange("email")}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                  formData.notifications.email ? "bg-[#2c8a49]" : "bg-[#ffe0e8]"
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                    formData.notifications.email
-                      ? "translate-x-6"
-                      : "translate-x-1"
-                  }`}
-                />
-              </button>
-            </div>
+          <NotificationPreferences
+            scope="superadmin"
+            events={["ALERT_RAISED", "ALERT_ESCALATED", "REQUEST_CREATED", "REQUEST_ESCALATED"]}
+          />
+        </div>
 
-            <div className="flex items-center justify-between rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
-              <div className="flex items-center gap-3">
-                <Bell className="h-5 w-5 text-[#7c4a5e]" />
-                <div>
-                  <p className="font-medium text-[#31101e]">
-                    Browser Notifications
-                  </p>
-                  <p className="text-sm text-[#7c4a5e]">
-                    Receive in-browser notifications
-                  </p>
-                </div>
-              </div>
-              <button
-                onClick={() => handleNotificationChange("browser")}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                  formData.notifications.browser
-                    ? "bg-[#2c8a49]"
-                    : "bg-[#ffe0e8]"
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                    formData.notifications.browser
-                      ? "translate-x-6"
-                      : "translate-x-1"
-                  }`}
-                />
-              </button>
+        {/* Two-Factor Authentication */}
+        <div className="rounded-3xl border border-[#ffe0e8] bg-white/90 p-6 shadow-[0_20px_45px_rgba(255,122,149,0.12)]">
+          <div className="mb-6 flex items-center gap-3">
+            <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-[#fff7f9]">
+              <Smartphone className="h-5 w-5 text-[#9b1e27]" />
             </div>
-
-            <div className="flex items-center justify-between rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
-              <div className="flex items-center gap-3">
-                <Shield className="h-5 w-5 text-[#7c4a5e]" />
-                <div>
-                  <p className="font-medium text-[#31101e]">Approval Alerts</p>
-                  <p className="text-sm text-[#7c4a5e]">
-                    Get notified for new approval requests
-                  </p>
-                </div>
-              </div>
-              <button
-                onClick={() => handleNotificationChange("approvalAlerts")}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                  formData.notifications.approvalAlerts
-                    ? "bg-[#2c8a49]"
-                    : "bg-[#ffe0e8]"
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                    formData.notifications.approvalAlerts
-                      ? "translate-x-6"
-                      : "translate-x-1"
-                  }`}
-                />
-              </button>
+            <div>
+              <h2 className="text-lg font-semibold text-[#31101e]">
+                Two-Factor Authentication
+              </h2>
+              <p className="text-sm text-[#7c4a5e]">
+                Codes from an authenticator app at every sign-in
+              </p>
             </div>
+          </div>
 
-            <div className="flex items-center justify-between rounded-2xl border border-[#ffe0e8] bg-[#fff7f9] p-4">
-              <div className="flex items-center gap-3">
-                <Bell className="h-5 w-5 text-[#7c4a5e]" />
-                <div>
-                  <p className="font-medium text-[#31101e]">System Alerts</p>
-                  <p className="text-sm text-[#7c4a5e]">
-                    Get notified for system issues
-                  </p>
-                </div>
-              </div>
-              <button
-                onClick={() => handleNotificationChange("systemAlerts")}
-                className={`relative inline-flex h-6 w-11 items-center rounded-full transition-colors ${
-                  formData.notifications.systemAlerts
-                    ? "bg-[#2c8a49]"
-                    : "bg-[#ffe0e8]"
-                }`}
-              >
-                <span
-                  className={`inline-block h-4 w-4 transform rounded-full bg-white transition-transform ${
-                    formData.notifications.systemAlerts
-                      ? "translate-x-6"
-                      : "translate-x-1"
-                  }`}
-                />
-              </button>
-            </div>
+          <TwoFactorSettings />
+        </div>
 
-            <button
-              onClick={handleNotificationUpdate}
-              disabled={loading}
-              className="flex w-full items-center justify-center gap-2 rounded-2xl bg-gradient-to-r from-[#1e5aa8] to-[#6fb1ff] px-4 py-3 font-semibold text-white shadow-md transition hover:shadow-lg disabled:cursor-not-allowed disabled:opacity-60"
-            >
-              <Save className="h-4 w-4" />
-              {loading ? "Saving..." : "Save Preferences"}
-            </button>
+        {/* Active Sessions */}
+        <div className="rounded-3xl border border-[#ffe0e8] bg-white/90 p-6 shadow-[0_20px_45px_rgba(255,122,149,0.12)]">
+          <div className="mb-6 flex items-center gap-3">
+            <div className="flex h-10 w-10 items-center justify-center rounded-2xl bg-[#fff7f9]">
+              <Monitor className="h-5 w-5 text-[#9b1e27]" />
+            </div>
+            <div>
+              <h2 className="text-lg font-semibold text-[#31101e]">
+                Active Sessions
+              </h2>
+              <p className="text-sm text-[#7c4a5e]">
+                Devices signed in to your account
+              </p>
+            </div>
           </div>
+
+          <ActiveSessions />
         </div>
 
         {/* Account Info */}
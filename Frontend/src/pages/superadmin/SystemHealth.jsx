@@ -1,6 +1,7 @@
 import { useEffect, useMemo, useState } from "react";
 import { useNavigate } from "react-router-dom";
 import axios from "axios";
+import { withSessionRefresh } from "../../services/sessionApi";
 import toast from "react-hot-toast";
 import {
   AlertTriangle,
@@ -124,10 +125,12 @@ export default function SystemHealth() {
   const [detailsLoading, setDetailsLoading] = useState(false);
 
   const api = useMemo(() => {
-    return axios.create({
-      baseURL: API_BASE,
-      headers: token ? { Authorization: `Bearer ${token}` } : {},
-    });
+    return withSessionRefresh(
+      axios.create({
+        baseURL: API_BASE,
+        headers: token ? { Authorization: `Bearer ${token}` } : {},
+      })
+    );
   }, [token]);
 
   useEffect(() => {
@@ -0,0 +1,48 @@
+import axios from "axios";
+import { withSessionRefresh } from "./sessionApi";
+
+const API_BASE = "http://localhost:5000/api/organization-api-keys";
+
+const apiKeyClient = withSessionRefresh(axios.create({ baseURL: API_BASE }));
+
+apiKeyClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem("token");
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+// #region ApiKeys
+
+/**
+ * The organization's API keys and the permissions a key can hold
+ * GET /api/organization-api-keys
+ *
+ * @returns {Promise<Object>} { data: { keys: [{ _id, name, prefix, permissions, rateLimitPerMinute, expiresAt, lastUsedAt, lastUsedIp, status }], permissions: [{ key, description }] } }
+ */
+export const getApiKeys = async () => {
+  const response = await apiKeyClient.get("/");
+  return response.data;
+};
+
+/**
+ * Create an API key; the key itself is only in this response
+ * POST /api/organization-api-keys
+ *
+ * @param {Object} data - { name, permissions, expiresInDays, rateLimitPerMinute }
+ * @returns {Promise<Object>} { data: { key, apiKey } }
+ */
+export const createApiKey = async (data) => {
+  const response = await apiKeyClient.post("/", data);
+  return response.data;
+};
+
+/**
+ * Revoke an API key
+ * DELETE /api/organization-api-keys/:keyId
+ */
+export const revokeApiKey = async (keyId) => {
+  const response = await apiKeyClient.delete(`/${keyId}`);
+  return response.data;
+};
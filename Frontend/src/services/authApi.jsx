@@ -1,8 +1,44 @@
 import axios from "axios";
+import { withSessionRefresh } from "./sessionApi";
 
-const API = axios.create({
-  baseURL: "http://localhost:5000/api/auth"
-});
+const API = withSessionRefresh(
+  axios.create({
+    baseURL: "http://localhost:5000/api/auth"
+  })
+);
+
+// Backend validation errors come as { errors: [...] }, other failures as { message }
+export const responseErrors = (err, fallback) =>
+  Array.isArray(err.response?.data?.errors)
+    ? err.response.data.errors
+    : [err.response?.data?.message || fallback];
 
 export const registerUser = (data) => API.post("/register", data);
 export const loginUser = (data) => API.post("/login", data);
+
+// Account links (emailed single-use tokens)
+export const activateAccount = (data) => API.post("/activate", data);
+export const forgotPassword = (data) => API.post("/forgot-password", data);
+export const resetPassword = (data) => API.post("/reset-password", data);
+
+// Ends every other session; the response carries the new token pair
+export const changePassword = (data) =>
+  API.post("/change-password", data, {
+    headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+  });
+
+// #region TwoFactor
+
+const withToken = () => ({
+  headers: { Authorization: `Bearer ${localStorage.getItem("token")}` },
+});
+
+// Second login step (also for admin and superadmin logins): { challengeToken, code } or { challengeToken, recoveryCode }
+export const verifyTwoFactor = (data) => API.post("/2fa/verify", data);
+
+export const getTwoFactorStatus = () => API.get("/2fa", withToken());
+export const setupTwoFactor = () => API.post("/2fa/setup", {}, withToken());
+// Returns the recovery codes once, and a new token pair (other sessions end)
+export const enableTwoFactor = (code) => API.post("/2fa/enable", { code }, withToken());
+export const regenerateRecoveryCodes = (code) => API.post("/2fa/recovery-codes", { code }, withToken());
+export const disableTwoFactor = (data) => API.post("/2fa/disable", data, withToken());
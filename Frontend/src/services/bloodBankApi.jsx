@@ -1,14 +1,17 @@
 import axios from "axios";
+import { withSessionRefresh } from "./sessionApi";
 
 const API_BASE = "http://localhost:5000/api";
 
 // #region AxiosConfig
-const api = axios.create({
-  baseURL: API_BASE,
-  headers: {
-    "Content-Type": "application/json",
-  },
-});
+const api = withSessionRefresh(
+  axios.create({
+    baseURL: API_BASE,
+    headers: {
+      "Content-Type": "application/json",
+    },
+  })
+);
 
 // #region TokenInterceptor
 api.interceptors.request.use((config) => {
@@ -158,12 +161,6 @@ export const deleteNgoDrive = (id) => api.delete(`/admin/drives/${id}`);
  */
 export const getAllHospitalRequests = () => api.get("/admin/requests/all");
 
-/**
- * Get hospital request by ID
- * GET /api/admin/requests/:id
- */
-export const getHospitalRequestById = (id) => api.get(`/admin/requests/${id}`);
-
 /**
  * Get requests by blood bank
  * GET /api/admin/requests/bloodbank/:bloodBankId
@@ -178,34 +175,6 @@ export const getRequestsByBloodBank = (bloodBankId) =>
 export const getRequestsByHospital = (hospitalId) =>
   api.get(`/admin/requests/hospital/${hospitalId}`);
 
-/**
- * Get requests by status
- * GET /api/admin/requests/status/:status
- */
-export const getRequestsByStatus = (status) =>
-  api.get(`/admin/requests/status/${status}`);
-
-/**
- * Create new hospital request
- * POST /api/admin/requests/create
- */
-export const createHospitalRequest = (requestData) =>
-  api.post("/admin/requests/create", requestData);
-
-/**
- * Update hospital request
- * PUT /api/admin/requests/:id
- */
-export const updateHospitalRequest = (id, requestData) =>
-  api.put(`/admin/requests/${id}`, requestData);
-
-/**
- * Update request status
- * PATCH /api/admin/requests/:id/status
- */
-export const updateRequestStatus = (id, status, responseNote) =>
-  api.patch(`/admin/requests/${id}/status`, { status, responseNote });
-
 /**
  * Delete hospital request
  * DELETE /api/admin/requests/:id
@@ -0,0 +1,25 @@
+import axios from "axios";
+
+const API_BASE = import.meta.env.VITE_API_URL || "http://localhost:5000/api";
+
+/**
+ * Emergency appeal behind a donor's link (no login)
+ * GET /api/donor/appeals/:token
+ */
+export const getAppeal = (token) => {
+    return axios.get(`${API_BASE}/donor/appeals/${encodeURIComponent(token)}`);
+};
+
+/**
+ * Answer an emergency appeal (no login)
+ * POST /api/donor/appeals/:token/respond
+ *
+ * @param {string} response - "COMING" | "UNAVAILABLE"
+ * @param {boolean} optOut - Stop future emergency appeals
+ */
+export const respondToAppeal = (token, response, optOut = false) => {
+    return axios.post(`${API_BASE}/donor/appeals/${encodeURIComponent(token)}/respond`, {
+        response,
+        optOut,
+    });
+};
@@ -185,14 +185,45 @@ export const rejectBloodRequest = (requestId, data, token) =>
   });
 
 /**
- * Complete blood request
- * POST /api/hospital-blood-requests/:id/complete
- * Changes status to COMPLETED
+ * Dispatch blood units (Blood Bank action)
+ * POST /api/hospital-blood-requests/:id/dispatch
+ * Issues the units from stock; the request stays PROCESSING until the hospital confirms receipt
+ * 
+ * @param {string} requestId
+ * @param {Object} data - { mode: COURIER|PICKUP, courier: { name, phone }, pickup: { collectorName }, units }
+ * @param {string} token - Blood Bank JWT token
+ */
+export const dispatchBloodRequest = (requestId, data, token) =>
+  axios.post(`${API_BASE}/hospital-blood-requests/${requestId}/dispatch`, data, {
+    headers: {
+      Authorization: `Bearer ${token}`,
+      "Content-Type": "application/json"
+    }
+  });
+
+/**
+ * Get dispatch checkpoints and temperature trace
+ * GET /api/hospital-blood-requests/:id/dispatch
  * 
  * @param {string} requestId
- * @param {Object} data - { completedBy, remarks }
  * @param {string} token - Hospital/Blood Bank JWT token
  */
+export const getBloodRequestDispatch = (requestId, token) =>
+  axios.get(`${API_BASE}/hospital-blood-requests/${requestId}/dispatch`, {
+    headers: {
+      Authorization: `Bearer ${token}`
+    }
+  });
+
+/**
+ * Confirm receipt of dispatched blood (Hospital action)
+ * POST /api/hospital-blood-requests/:id/complete
+ * Changes status to FULFILLED
+ * 
+ * @param {string} requestId
+ * @param {Object} data - { unitsReceived, remarks } (units default to all dispatched)
+ * @param {string} token - Hospital JWT token
+ */
 export const completeBloodRequest = (requestId, data, token) =>
   axios.post(`${API_BASE}/hospital-blood-requests/${requestId}/complete`, data, {
     headers: {
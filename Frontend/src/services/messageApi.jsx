@@ -0,0 +1,105 @@
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000/api";
+
+// Helper function to get auth token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json"
+  };
+};
+
+// Thread entities: "BLOOD_REQUEST", "HOSPITAL_DRIVE" or "BLOODBANK_DRIVE"
+const threadUrl = (entityType, entityId) => `${API_BASE}/messages/${entityType}/${entityId}`;
+
+// #region Threads
+
+/**
+ * Conversations of the logged-in user's organization, most recent first
+ * GET /api/messages/threads
+ *
+ * @returns {Promise<Object>} { data: [{ entityType, entityId, label, messageCount, unreadCount, lastMessage }] }
+ */
+export const getMessageThreads = async () => {
+  const response = await axios.get(`${API_BASE}/messages/threads`, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Messages of a request or drive, oldest first
+ * GET /api/messages/:entityType/:entityId
+ *
+ * @returns {Promise<Object>} { data: { thread, messages } }
+ */
+export const getThreadMessages = async (entityType, entityId) => {
+  const response = await axios.get(threadUrl(entityType, entityId), {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Send a message
+ * POST /api/messages/:entityType/:entityId
+ *
+ * @param {Object} message - { body, attachmentIds } (ids from uploadMessageAttachment)
+ */
+export const sendMessage = async (entityType, entityId, message) => {
+  const response = await axios.post(threadUrl(entityType, entityId), message, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Mark everything in the thread as read by the logged-in user
+ * POST /api/messages/:entityType/:entityId/read
+ */
+export const markThreadRead = async (entityType, entityId) => {
+  const response = await axios.post(`${threadUrl(entityType, entityId)}/read`, null, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+// #region Attachments
+
+/**
+ * Upload a file to send with the next message (the file is the request body)
+ * POST /api/messages/:entityType/:entityId/attachments?fileName=
+ *
+ * @param {File} file
+ * @returns {Promise<Object>} { data: { _id, fileName, mimeType, size } }
+ */
+export const uploadMessageAttachment = async (entityType, entityId, file) => {
+  const response = await axios.post(`${threadUrl(entityType, entityId)}/attachments`, file, {
+    params: { fileName: file.name },
+    headers: {
+      Authorization: `Bearer ${localStorage.getItem("token")}`,
+      "Content-Type": file.type || "application/octet-stream"
+    }
+  });
+  return response.data;
+};
+
+/**
+ * Download an attachment and hand it to the browser
+ * GET /api/messages/attachments/:attachmentId
+ */
+export const downloadMessageAttachment = async ({ attachmentId, fileName }) => {
+  const response = await axios.get(`${API_BASE}/messages/attachments/${attachmentId}`, {
+    headers: getAuthHeaders(),
+    responseType: "blob"
+  });
+
+  const url = URL.createObjectURL(response.data);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = fileName;
+  link.click();
+  URL.revokeObjectURL(url);
+};
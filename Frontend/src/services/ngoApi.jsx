@@ -106,3 +106,14 @@ export const deleteSlot = (slotId) => {
 export const getNgoDonors = () => {
   return axios.get(`${API_BASE}/ngo/donors`, getAuthHeaders());
 };
+
+// #region DonorCalloutEndpoints
+
+/**
+ * Open emergency donor call-outs the NGO was asked to mobilise donors for
+ * GET /api/donor-callouts
+ * Protected - requires NGO token
+ */
+export const getDonorCallouts = () => {
+  return axios.get(`${API_BASE}/donor-callouts`, getAuthHeaders());
+};
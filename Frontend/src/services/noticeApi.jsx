@@ -0,0 +1,64 @@
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000/api";
+
+// Helper function to get auth token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json"
+  };
+};
+
+// #region Inbox
+
+/**
+ * Super admin notices sent to the logged-in user's organization, newest first
+ * GET /api/notices
+ *
+ * @returns {Promise<Object>} { data: { notices: [{ _id, title, body, priority, requiresAcknowledgment, read, acknowledgment }], unreadCount } }
+ */
+export const getNotices = async () => {
+  const response = await axios.get(`${API_BASE}/notices`, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Notices the logged-in user hasn't opened
+ * GET /api/notices/unread-count
+ *
+ * @returns {Promise<Object>} { data: { unreadCount } }
+ */
+export const getUnreadNoticeCount = async () => {
+  const response = await axios.get(`${API_BASE}/notices/unread-count`, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+// #region Actions
+
+/**
+ * Mark a notice as read by the logged-in user
+ * POST /api/notices/:id/read
+ */
+export const markNoticeRead = async (noticeId) => {
+  const response = await axios.post(`${API_BASE}/notices/${noticeId}/read`, null, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Acknowledge a notice for the whole organization
+ * POST /api/notices/:id/acknowledge
+ */
+export const acknowledgeNotice = async (noticeId) => {
+  const response = await axios.post(`${API_BASE}/notices/${noticeId}/acknowledge`, null, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
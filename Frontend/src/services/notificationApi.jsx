@@ -0,0 +1,50 @@
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000/api";
+
+// Helper function to get auth token
+const getAuthHeaders = () => {
+  const token = localStorage.getItem("token");
+  return {
+    Authorization: `Bearer ${token}`,
+    "Content-Type": "application/json"
+  };
+};
+
+// Organization users and super admins keep their preferences in different places
+const preferencesUrl = (scope) =>
+  scope === "superadmin"
+    ? `${API_BASE}/admin/notifications/preferences`
+    : `${API_BASE}/notifications/preferences`;
+
+// #region Preferences
+
+/**
+ * Get the logged-in user's notification preferences
+ * GET /api/notifications/preferences (organization users)
+ * GET /api/admin/notifications/preferences (super admins)
+ *
+ * @param {string} scope - "organization" or "superadmin"
+ * @returns {Promise<Object>} { events, channels: { EMAIL, SMS, IN_APP }, quietHours, onCall, smsNumber }
+ */
+export const getNotificationPreferences = async (scope = "organization") => {
+  const response = await axios.get(preferencesUrl(scope), {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Save the logged-in user's notification preferences (partial updates allowed)
+ * PUT /api/notifications/preferences (organization users)
+ * PUT /api/admin/notifications/preferences (super admins)
+ *
+ * @param {Object} preferences - Any of { events, channels, quietHours, onCall, smsNumber }
+ * @param {string} scope - "organization" or "superadmin"
+ */
+export const updateNotificationPreferences = async (preferences, scope = "organization") => {
+  const response = await axios.put(preferencesUrl(scope), preferences, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
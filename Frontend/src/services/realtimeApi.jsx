@@ -0,0 +1,94 @@
+import { refreshSession } from "./sessionApi";
+
+const API_BASE = "http://localhost:5000/api";
+
+// Window event pages listen on to refresh when the server pushes a change
+const REALTIME_WINDOW_EVENT = "bloodbridge:realtime";
+
+// #region LiveStream
+
+/**
+ * Open the live event stream
+ * GET /api/realtime/stream?token=xxx (server-sent events)
+ * EventSource reconnects on its own after a dropped connection. A refused
+ * reconnect (expired access token) closes it for good, so the session is
+ * refreshed; the new token reaches LiveUpdates, which opens a new stream.
+ *
+ * @param {string} token - Organization user or superadmin JWT
+ * @param {Function} onEvent - Called with { type: "request"|"stock"|"alert"|"donor-callout"|"message"|"notice", data }
+ * @returns {Function} Closes the stream
+ */
+export const openRealtimeStream = (token, onEvent) => {
+  const source = new EventSource(
+    `${API_BASE}/realtime/stream?token=${encodeURIComponent(token)}`
+  );
+
+  ["request", "stock", "alert", "donor-callout", "message", "notice"].forEach((type) => {
+    source.addEventListener(type, (event) => {
+      try {
+        onEvent({ type, data: JSON.parse(event.data) });
+      } catch (error) {
+        console.error("Invalid realtime event:", error);
+      }
+    });
+  });
+
+  source.onerror = () => {
+    if (source.readyState === EventSource.CLOSED) {
+      refreshSession().catch((error) => console.error("Live updates stopped:", error.message));
+    }
+  };
+
+  return () => source.close();
+};
+
+/**
+ * Re-broadcast a pushed event to the pages on screen
+ * @param {Object} event - { type, data }
+ */
+export const publishRealtimeEvent = (event) => {
+  window.dispatchEvent(new CustomEvent(REALTIME_WINDOW_EVENT, { detail: event }));
+};
+
+/**
+ * Listen for pushed events (the layout holds the actual stream)
+ *
+ * @param {Function} handler - Called with { type, data }
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToRealtime = (handler) => {
+  const listener = (event) => handler(event.detail);
+  window.addEventListener(REALTIME_WINDOW_EVENT, listener);
+  return () => window.removeEventListener(REALTIME_WINDOW_EVENT, listener);
+};
+
+// #region Cues
+
+/**
+ * Short two-tone beep for CRITICAL events (no audio asset needed).
+ * Browsers block audio until the user has interacted with the page; the
+ * toast is still shown when the beep is blocked.
+ */
+export const playCriticalCue = () => {
+  try {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (!AudioContext) return;
+
+    const context = new AudioContext();
+    [880, 660].forEach((frequency, index) => {
+      const oscillator = context.createOscillator();
+      const gain = context.createGain();
+      const start = context.currentTime + index * 0.2;
+
+      oscillator.frequency.value = frequency;
+      gain.gain.setValueAtTime(0.15, start);
+      gain.gain.exponentialRampToValueAtTime(0.001, start + 0.18);
+      oscillator.connect(gain).connect(context.destination);
+      oscillator.start(start);
+      oscillator.stop(start + 0.18);
+    });
+    setTimeout(() => context.close(), 600);
+  } catch (error) {
+    console.warn("Critical cue unavailable:", error);
+  }
+};
@@ -0,0 +1,139 @@
+import axios from "axios";
+
+const API_BASE = "http://localhost:5000/api/auth";
+
+// Refresh calls go through a bare client so a failed refresh never triggers another one
+const refreshClient = axios.create({ baseURL: API_BASE });
+
+const listeners = new Set();
+let pendingRefresh = null;
+
+const notify = (event) => listeners.forEach((listener) => listener(event));
+
+/**
+ * Follow session changes: { type: "refreshed", token } after a refresh,
+ * { type: "ended" } when the server no longer accepts the session.
+ * @returns {Function} Unsubscribe
+ */
+export const subscribeToSession = (listener) => {
+  listeners.add(listener);
+  return () => listeners.delete(listener);
+};
+
+// #region Refresh
+
+/**
+ * Trade the stored refresh token for a new access token and refresh token
+ * POST /api/auth/refresh
+ *
+ * Concurrent callers share one request: a refresh token only works once.
+ * @returns {Promise<string>} New access token
+ */
+export const refreshSession = () => {
+  if (pendingRefresh) return pendingRefresh;
+
+  const presented = localStorage.getItem("refreshToken");
+  pendingRefresh = (async () => {
+    if (!presented) throw new Error("No refresh token");
+    try {
+      const response = await refreshClient.post("/refresh", { refreshToken: presented });
+      const { token, refreshToken } = response.data.data;
+      localStorage.setItem("token", token);
+      localStorage.setItem("refreshToken", refreshToken);
+      notify({ type: "refreshed", token });
+      return token;
+    } catch (error) {
+      // Another tab refreshed first and already stored the new pair
+      if (localStorage.getItem("refreshToken") !== presented) {
+        return localStorage.getItem("token");
+      }
+      if ([401, 403].includes(error.response?.status)) {
+        notify({ type: "ended" });
+      }
+      throw error;
+    }
+  })().finally(() => {
+    pendingRefresh = null;
+  });
+
+  return pendingRefresh;
+};
+
+/**
+ * Retry requests that failed on an expired access token once, after a
+ * refresh. Returns the client so instances can be wrapped where created:
+ * withSessionRefresh(axios.create({ ... }))
+ */
+export const withSessionRefresh = (client) => {
+  client.interceptors.response.use(undefined, async (error) => {
+    const { config, response } = error;
+    if (response?.status !== 401 || response.data?.message !== "Token has expired" || !config || config.sessionRetried) {
+      throw error;
+    }
+
+    let token;
+    try {
+      token = await refreshSession();
+    } catch {
+      throw error;
+    }
+
+    config.sessionRetried = true;
+    config.headers.Authorization = `Bearer ${token}`;
+    return client(config);
+  });
+  return client;
+};
+
+// #region Sessions
+
+const sessionsClient = withSessionRefresh(axios.create({ baseURL: API_BASE }));
+
+sessionsClient.interceptors.request.use((config) => {
+  const token = localStorage.getItem("token");
+  if (token) {
+    config.headers.Authorization = `Bearer ${token}`;
+  }
+  return config;
+});
+
+/**
+ * Devices the logged-in user is signed in on
+ * GET /api/auth/sessions
+ *
+ * @returns {Promise<Object>} { data: [{ _id, device: { userAgent, ipAddress }, createdAt, lastUsedAt, expiresAt, current }] }
+ */
+export const getSessions = async () => {
+  const response = await sessionsClient.get("/sessions");
+  return response.data;
+};
+
+/**
+ * Sign out one device
+ * DELETE /api/auth/sessions/:sessionId
+ */
+export const revokeSession = async (sessionId) => {
+  const response = await sessionsClient.delete(`/sessions/${sessionId}`);
+  return response.data;
+};
+
+/**
+ * Sign out every device
+ * POST /api/auth/logout-all
+ *
+ * @param {boolean} keepCurrent - Stay signed in on this device
+ * @returns {Promise<Object>} { data: { revoked } }
+ */
+export const logoutAllSessions = async (keepCurrent = false) => {
+  const response = await sessionsClient.post("/logout-all", { keepCurrent });
+  return response.data;
+};
+
+/**
+ * End the current session on the server
+ * POST /api/auth/logout
+ */
+export const logoutSession = async () => {
+  const response = await sessionsClient.post("/logout");
+  return response.data;
+};
@@ -253,3 +253,42 @@ export const getOrganizationStatus = async (organizationCode) => {
   });
   return response.data;
 };
+
+// #region Notice APIs
+
+/**
+ * Send a notice to organizations
+ * POST /api/admin/notices
+ *
+ * @param {Object} notice - { title, body, priority, requiresAcknowledgment,
+ *   audience: { scope: "ORGANIZATION"|"ORGANIZATION_TYPE"|"ALL", organizationIds, organizationTypes } }
+ */
+export const sendNotice = async (notice) => {
+  const response = await axios.post(`${API_BASE}/admin/notices`, notice, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};
+
+/**
+ * Sent notices with read and acknowledgment counts
+ * GET /api/admin/notices
+ */
+export const getSentNotices = async (filters = {}, pagination = {}) => {
+  const response = await axios.get(`${API_BASE}/admin/notices`, {
+    headers: getAuthHeaders(),
+    params: { ...filters, ...pagination }
+  });
+  return response.data;
+};
+
+/**
+ * Read and acknowledgment status of every recipient of a notice
+ * GET /api/admin/notices/:id
+ */
+export const getNoticeTracking = async (noticeId) => {
+  const response = await axios.get(`${API_BASE}/admin/notices/${noticeId}`, {
+    headers: getAuthHeaders()
+  });
+  return response.data;
+};